@@ -5,6 +5,16 @@
  * ДОБАВЛЕНО: Поддержка фильтров по датам (startDate, endDate) для аналитики.
  * ДОБАВЛЕНО: Эндпоинты для обновления адресов/комментариев и взятия заказа с биржи.
  * ДОБАВЛЕНО: Поиск пользователей по CRM.
+ * ДОБАВЛЕНО: Выгрузка реестров и аналитики в XLSX/CSV.
+ * ДОБАВЛЕНО: Каталог материалов (/materials).
+ * ДОБАВЛЕНО: Складской учет (/stock/*) и выдача материалов по объекту.
+ * ДОБАВЛЕНО: Заказы поставщикам (/purchase-orders).
+ * ДОБАВЛЕНО: Календарь замеров и монтажа (/appointments).
+ * ДОБАВЛЕНО: Оплаты клиента по объекту (/orders/:id/payments).
+ * ДОБАВЛЕНО: Счета онлайн-оплаты Kaspi QR (/orders/:id/payment-invoices).
+ * ДОБАВЛЕНО: Смена языка интерфейса (/auth/language).
+ * ДОБАВЛЕНО: Роли и права доступа (/roles) для редактора Владельца.
+ * ДОБАВЛЕНО: Активные сеансы (/auth/sessions) и «выйти везде» для сотрудника.
  * НИКАКИХ СОКРАЩЕНИЙ: Весь оригинальный код и методы сохранены на 100%.
  *
  * @module API
@@ -63,7 +73,11 @@ async function fetchWrapper(endpoint, options = {}) {
 
     if (!response.ok) {
       // Пробрасываем ошибку с бэкенда для отображения в UI (включая 401 и 403)
-      throw new Error(data.error || "Неизвестная ошибка сервера");
+      const apiError = new Error(data.error || "Неизвестная ошибка сервера");
+      apiError.status = response.status;
+      apiError.code = data.code; // Напр. ORDER_TRANSITION_REJECTED (стейт-машина)
+      apiError.details = data;
+      throw apiError;
     }
     return data;
   } catch (error) {
@@ -80,13 +94,19 @@ export const API = {
   // 🔐 AUTHENTICATION & OTP (Zero-Trust)
   // ==========================================
 
-  // Legacy login (Оставлен для обратной совместимости / fallback)
+  // Вход сотрудника по логину и паролю (учетная запись выдается Владельцем)
   login: (login, password) =>
     fetchWrapper("/auth/login", {
       method: "POST",
       body: JSON.stringify({ login, password }),
     }),
 
+  changePassword: (currentPassword, newPassword) =>
+    fetchWrapper("/auth/password", {
+      method: "POST",
+      body: JSON.stringify({ currentPassword, newPassword }),
+    }),
+
   // OTP Авторизация по номеру телефона
   requestOtp: (phone) =>
     fetchWrapper("/auth/otp/request", {
@@ -102,9 +122,28 @@ export const API = {
 
   logout: () => fetchWrapper("/auth/logout", { method: "POST" }),
 
+  // Журнал входов (только Владелец): event — фильтр по типу события
+  getAuthEvents: (event = "", limit = 100) =>
+    fetchWrapper(`/auth/events${buildQuery({ event, limit })}`),
+
+  // Свои сеансы: веб-сессии CRM и устройства приложения
+  getSessions: () => fetchWrapper("/auth/sessions"),
+
+  endSession: (id) =>
+    fetchWrapper(`/auth/sessions/${encodeURIComponent(id)}`, {
+      method: "DELETE",
+    }),
+
   // Проверка сессии (возвращает роль пользователя для RBAC роутинга)
   checkAuth: () => fetchWrapper("/auth/me"),
 
+  // Язык интерфейса (ru, kk, en) — сохраняется в профиле, бот переключается тоже
+  setLanguage: (language) =>
+    fetchWrapper("/auth/language", {
+      method: "POST",
+      body: JSON.stringify({ language }),
+    }),
+
   // ==========================================
   // 📊 DASHBOARD & ADVANCED ANALYTICS (WITH DATES)
   // ==========================================
@@ -130,6 +169,29 @@ export const API = {
   getBrigadesAnalytics: (startDate, endDate) =>
     fetchWrapper(`/analytics/brigades${buildQuery({ startDate, endDate })}`),
 
+  // ==========================================
+  // 📤 EXPORT (XLSX / CSV) — сырой Response для Utils.downloadBlob
+  // ==========================================
+  exportOrders: (format, status, startDate, endDate) =>
+    fetchWrapper(
+      `/orders/export${buildQuery({ format, status, startDate, endDate })}`,
+    ),
+
+  exportTransactions: (format, startDate, endDate) =>
+    fetchWrapper(
+      `/finance/transactions/export${buildQuery({ format, startDate, endDate })}`,
+    ),
+
+  exportDeepAnalytics: (format, startDate, endDate) =>
+    fetchWrapper(
+      `/analytics/deep/export${buildQuery({ format, startDate, endDate })}`,
+    ),
+
+  exportBrigadesAnalytics: (format, startDate, endDate) =>
+    fetchWrapper(
+      `/analytics/brigades/export${buildQuery({ format, startDate, endDate })}`,
+    ),
+
   // ==========================================
   // 🏗 BRIGADES MANAGEMENT (ERP)
   // ==========================================
@@ -168,12 +230,18 @@ export const API = {
       body: JSON.stringify({ address, admin_comment }),
     }),
 
+  // Граф допустимых переходов статусов (стейт-машина сервера)
+  getOrderTransitions: () => fetchWrapper("/orders/transitions"),
+
   updateOrderStatus: (id, status) =>
     fetchWrapper(`/orders/${id}/status`, {
       method: "PATCH",
       body: JSON.stringify({ status }),
     }),
 
+  // Журнал событий объекта (кто, что, когда, откуда)
+  getOrderTimeline: (id) => fetchWrapper(`/orders/${id}/timeline`),
+
   updateOrderDetails: (id, key, value) =>
     fetchWrapper(`/orders/${id}/details`, {
       method: "PATCH",
@@ -196,6 +264,13 @@ export const API = {
   finalizeOrder: (id) =>
     fetchWrapper(`/orders/${id}/finalize`, { method: "POST" }),
 
+  // Сторно финализации (только Владелец): возврат объекта в работу
+  reverseOrderFinalization: (id, reason) =>
+    fetchWrapper(`/orders/${id}/storno`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
   // ==========================================
   // 💸 PROJECT FINANCE (ORDER LEVEL)
   // ==========================================
@@ -205,6 +280,117 @@ export const API = {
       body: JSON.stringify({ newPrice }),
     }),
 
+  // ==========================================
+  // 🧰 MATERIALS CATALOG (BOM COSTING)
+  // ==========================================
+  getMaterials: (includeInactive = false) =>
+    fetchWrapper(`/materials${buildQuery({ all: includeInactive ? 1 : "" })}`),
+
+  createMaterial: (data) =>
+    fetchWrapper("/materials", { method: "POST", body: JSON.stringify(data) }),
+
+  updateMaterial: (id, data) =>
+    fetchWrapper(`/materials/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+    }),
+
+  // ==========================================
+  // 🏬 WAREHOUSE STOCK (LOCATIONS & MOVEMENTS)
+  // ==========================================
+  getStockLocations: () => fetchWrapper("/stock/locations"),
+
+  getStockBalances: (locationId = "") =>
+    fetchWrapper(`/stock/balances${buildQuery({ locationId })}`),
+
+  getLowStock: () => fetchWrapper("/stock/low"),
+
+  getStockMovements: (filters = {}) =>
+    fetchWrapper(`/stock/movements${buildQuery(filters)}`),
+
+  // kind: receipt | transfer | adjustment
+  createStockMovement: (kind, data) => {
+    const paths = {
+      receipt: "/stock/receipts",
+      transfer: "/stock/transfers",
+      adjustment: "/stock/adjustments",
+    };
+    return fetchWrapper(paths[kind], {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  },
+
+  getOrderMaterials: (id) => fetchWrapper(`/orders/${id}/materials`),
+
+  // kind: issue (выдача на объект) | return (возврат на склад)
+  moveOrderMaterial: (id, kind, data) =>
+    fetchWrapper(`/orders/${id}/materials/${kind}`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  getOrderPayments: (id) => fetchWrapper(`/orders/${id}/payments`),
+
+  addOrderPayment: (id, data) =>
+    fetchWrapper(`/orders/${id}/payments`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  getPaymentInvoices: (id) => fetchWrapper(`/orders/${id}/payment-invoices`),
+
+  createPaymentInvoice: (id) =>
+    fetchWrapper(`/orders/${id}/payment-invoices`, { method: "POST" }),
+
+  // ==========================================
+  // 🚚 PURCHASE ORDERS (SUPPLIERS)
+  // ==========================================
+  getPurchaseOrders: (status = "") =>
+    fetchWrapper(`/purchase-orders${buildQuery({ status })}`),
+
+  getPurchaseOrder: (id) => fetchWrapper(`/purchase-orders/${id}`),
+
+  generatePurchaseOrders: (orderIds) =>
+    fetchWrapper("/purchase-orders/generate", {
+      method: "POST",
+      body: JSON.stringify({ orderIds }),
+    }),
+
+  // action: send | receive | cancel
+  updatePurchaseOrder: (id, action, data = {}) =>
+    fetchWrapper(`/purchase-orders/${id}/${action}`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  getAppointments: (from, to, brigadeId = "") =>
+    fetchWrapper(`/appointments${buildQuery({ from, to, brigadeId })}`),
+
+  createAppointment: (data) =>
+    fetchWrapper("/appointments", {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  updateAppointment: (id, data) =>
+    fetchWrapper(`/appointments/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+    }),
+
+  // PDF смета отдается файлом (ссылка на скачивание, не JSON)
+  getEstimatePdfUrl: (id) => `${API_BASE}/orders/${id}/estimate.pdf`,
+
+  // Позиционная смета: итог пересчитывается на сервере
+  getEstimateCatalog: () => fetchWrapper("/estimate/catalog"),
+
+  saveEstimateLines: (id, lines) =>
+    fetchWrapper(`/orders/${id}/estimate-lines`, {
+      method: "PATCH",
+      body: JSON.stringify({ lines }),
+    }),
+
   addOrderExpense: (id, amount, category, comment) =>
     fetchWrapper(`/orders/${id}/finance/expense`, {
       method: "POST",
@@ -225,6 +411,9 @@ export const API = {
       body: JSON.stringify(data),
     }),
 
+  // Оборотно-сальдовая ведомость (сверка балансов с журналом проводок)
+  getTrialBalance: () => fetchWrapper("/finance/trial-balance"),
+
   // Проведение Инкассации (Списание долга бригады)
   approveIncassation: (brigadierId, amount) =>
     fetchWrapper("/finance/incassation/approve", {
@@ -239,6 +428,18 @@ export const API = {
 
   getPricelist: () => fetchWrapper("/pricelist"),
 
+  // Версионируемые правила сметы по типам объектов
+  getEstimateRules: () => fetchWrapper("/estimate-rules"),
+
+  publishEstimateRules: (objectType, rules, comment) =>
+    fetchWrapper(`/estimate-rules/${objectType}`, {
+      method: "POST",
+      body: JSON.stringify({ rules, comment }),
+    }),
+
+  activateEstimateRuleSet: (id) =>
+    fetchWrapper(`/estimate-rules/${id}/activate`, { method: "POST" }),
+
   updateSetting: (key, value) =>
     fetchWrapper("/settings", {
       method: "POST",
@@ -268,9 +469,73 @@ export const API = {
       body: JSON.stringify({ userId, role }),
     }),
 
-  sendBroadcast: (text, imageUrl, targetRole) =>
+  // Логин и временный пароль для входа в CRM (только Владелец)
+  issueStaffCredentials: (userId, login) =>
+    fetchWrapper(`/users/${userId}/credentials`, {
+      method: "POST",
+      body: JSON.stringify({ login }),
+    }),
+
+  revokeStaffCredentials: (userId) =>
+    fetchWrapper(`/users/${userId}/credentials`, { method: "DELETE" }),
+
+  // «Выйти везде»: все сеансы сотрудника (право users.sessions)
+  logoutUserEverywhere: (userId) =>
+    fetchWrapper(`/users/${userId}/sessions`, { method: "DELETE" }),
+
+  // Роли с правами и каталог прав; правка — только с правом roles.manage
+  getRoles: () => fetchWrapper("/roles"),
+
+  createRole: (name, title) =>
+    fetchWrapper("/roles", {
+      method: "POST",
+      body: JSON.stringify({ name, title }),
+    }),
+
+  // Полная замена набора прав роли
+  saveRolePermissions: (name, permissions) =>
+    fetchWrapper(`/roles/${encodeURIComponent(name)}/permissions`, {
+      method: "PUT",
+      body: JSON.stringify({ permissions }),
+    }),
+
+  deleteRole: (name) =>
+    fetchWrapper(`/roles/${encodeURIComponent(name)}`, { method: "DELETE" }),
+
+  // Аудитория: сохраненный сегмент (segmentId) или фильтры сегмента
+  sendBroadcast: (
+    text,
+    imageUrl,
+    targetRole,
+    filters = null,
+    segmentId = null,
+  ) =>
     fetchWrapper("/broadcast", {
       method: "POST",
-      body: JSON.stringify({ text, imageUrl, targetRole }),
+      body: JSON.stringify({ text, imageUrl, targetRole, filters, segmentId }),
     }),
+
+  getBroadcastCampaigns: () => fetchWrapper("/broadcast/campaigns"),
+
+  cancelBroadcastCampaign: (campaignId) =>
+    fetchWrapper(`/broadcast/campaigns/${campaignId}/cancel`, {
+      method: "POST",
+    }),
+
+  previewBroadcastAudience: (data) =>
+    fetchWrapper("/broadcast/audience/preview", {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  getBroadcastSegments: () => fetchWrapper("/broadcast/segments"),
+
+  saveBroadcastSegment: (data) =>
+    fetchWrapper("/broadcast/segments", {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  deleteBroadcastSegment: (segmentId) =>
+    fetchWrapper(`/broadcast/segments/${segmentId}`, { method: "DELETE" }),
 };
@@ -4,6 +4,27 @@
  * Управляет состоянием интерфейса, модальными окнами, OTP-авторизацией.
  * ДОБАВЛЕНО: Таймлайны (фильтрация по датам), Поиск CRM, Режим Read-Only для 'done'.
  * ДОБАВЛЕНО: Взятие заказа с биржи (Web), Метаданные (Адрес/Коммент), Создание Бригад.
+ * ДОБАВЛЕНО: Селект статусов следует графу стейт-машины сервера (структурированные 409).
+ * ДОБАВЛЕНО: Вкладка «Таймлайн» в модалке объекта (журнал order_events).
+ * ДОБАВЛЕНО: Редактор версионируемых правил сметы по типам объектов (Настройки).
+ * ДОБАВЛЕНО: Вкладка «Смета» — позиционная смета из прайс-листа с пересчетом на сервере.
+ * ДОБАВЛЕНО: Скачивание PDF сметы для клиента из карточки объекта.
+ * ДОБАВЛЕНО: Кнопки выгрузки XLSX/CSV (реестр, проводки, аналитика, рейтинг бригад).
+ * ДОБАВЛЕНО: Склад — каталог материалов; BOM-редактор выбирает позиции из каталога.
+ * ДОБАВЛЕНО: Остатки по локациям, движения склада, выдача/возврат материалов по объекту.
+ * ДОБАВЛЕНО: Заказы поставщикам из BOM (черновик → отправлен → получен).
+ * ДОБАВЛЕНО: Календарь выездов — неделя замеров и монтажных дней по бригадам.
+ * ДОБАВЛЕНО: Оплаты клиента в карточке объекта (предоплаты, частичные платежи, остаток).
+ * ДОБАВЛЕНО: Счет Kaspi QR на остаток — ссылка и QR для клиента, статус онлайн-оплаты.
+ * ДОБАВЛЕНО: Переключатель языка интерфейса (ru/kk/en) — оболочка CRM и уведомления.
+ * ДОБАВЛЕНО: История рассылок с прогрессом доставки в реальном времени и остановкой.
+ * ДОБАВЛЕНО: Сегменты аудитории рассылки (фильтры, сохранение) и число получателей.
+ * ДОБАВЛЕНО: Вход по логину/паролю, обязательная смена временного пароля, выдача входа в CRM.
+ * ДОБАВЛЕНО: Журнал входов (OTP и пароль) для Владельца на вкладке пользователей.
+ * ДОБАВЛЕНО: Интерфейс по правам роли (data-permission), редактор ролей и прав Владельца.
+ * ДОБАВЛЕНО: Мои сеансы (устройство, IP, активность) и «выйти везде» для сотрудника.
+ * ДОБАВЛЕНО: Таймлайн объекта экранирует имена и значения полей (защита от XSS).
+ * ДОБАВЛЕНО: Тайминги и тексты follow-up напоминаний в настройках (settings.edit_prices).
  * НИКАКИХ УДАЛЕНИЙ: Весь оригинальный код сохранен на 100%.
  *
  * @module AppController
@@ -11,6 +32,8 @@
  */
 
 import { API } from "./api.js";
+import { I18n } from "./i18n.js";
+import { escapeHtml } from "./html.js";
 
 // =============================================================================
 // 1. 🛠 УТИЛИТЫ И ФОРМАТТЕРЫ (UTILITIES)
@@ -19,7 +42,7 @@ import { API } from "./api.js";
 const Utils = {
   formatCurrency: (value) => {
     const num = parseFloat(value) || 0;
-    return new Intl.NumberFormat("ru-KZ", {
+    return new Intl.NumberFormat(I18n.getLocaleTag(), {
       style: "currency",
       currency: "KZT",
       maximumFractionDigits: 0,
@@ -28,7 +51,7 @@ const Utils = {
   formatDate: (dateString) => {
     if (!dateString) return "—";
     const d = new Date(dateString);
-    return d.toLocaleString("ru-RU", {
+    return d.toLocaleString(I18n.getLocaleTag(), {
       day: "2-digit",
       month: "2-digit",
       year: "numeric",
@@ -83,36 +106,58 @@ const State = {
   users: [],
   brigades: [],
   selectedOrderId: null,
+  statusTransitions: null, // Граф переходов статусов с сервера
   currentBOM: [],
+  materials: [], // Каталог материалов (SKU и цены для BOM)
+  stockLocations: [], // Склад и машины бригад
+  estimateLines: [], // Черновик позиционной сметы открытого объекта
+  estimateCatalog: null, // Прайс-лист для позиций сметы (кэш)
   financeAccounts: [],
+  pricelist: [],
+  estimateRules: null, // { fields, active, history } с сервера
   timelineChartInstance: null,
   ordersTimelineChartInstance: null,
   // 🔥 НОВЫЕ ГЛОБАЛЬНЫЕ ФИЛЬТРЫ
   dateStart: "",
   dateEnd: "",
   searchUserTerm: "",
+  scheduleWeekStart: null, // Понедельник отображаемой недели календаря
+  passwordChangeForced: false, // Смена временного пароля перед входом в CRM
+  broadcastSegments: [], // Сохраненные сегменты аудитории рассылки
+  roles: [], // Роли с правами (селект ролей и редактор прав)
+  permissionCatalog: [], // Каталог прав { key, description }
 };
 
+// Право текущего сотрудника (список приходит с сессией, Владелец получает все)
+const can = (permission) =>
+  Boolean(State.user?.permissions?.includes(permission));
+
 const socket = typeof io !== "undefined" ? io() : null;
 
 if (socket) {
   socket.on("connect", () => {
     document.getElementById("socketStatusDot").className =
       "pe-status-dot online";
-    document.getElementById("socketStatusText").textContent = "Online";
+    document.getElementById("socketStatusText").dataset.i18n = "topbar.online";
+    document.getElementById("socketStatusText").textContent =
+      I18n.t("topbar.online");
   });
   socket.on("disconnect", () => {
     document.getElementById("socketStatusDot").className =
       "pe-status-dot offline";
-    document.getElementById("socketStatusText").textContent = "Offline";
+    document.getElementById("socketStatusText").dataset.i18n = "topbar.offline";
+    document.getElementById("socketStatusText").textContent =
+      I18n.t("topbar.offline");
   });
 
   socket.on("order_updated", (data) => {
     if (State.currentView === "ordersView") loadOrders();
     if (State.currentView === "dashboardView") loadDashboard();
+    if (State.selectedOrderId && State.selectedOrderId === Number(data.orderId))
+      loadOrderPayments(State.selectedOrderId);
   });
   socket.on("expense_added", (data) => {
-    Utils.showToast("Кто-то добавил новый чек к объекту!", "info");
+    Utils.showToast(I18n.t("toast.expenseAdded"), "info");
     if (
       State.currentView === "ordersView" &&
       State.selectedOrderId === data.orderId
@@ -123,14 +168,54 @@ if (socket) {
   socket.on("settings_updated", () => {
     if (State.currentView === "settingsView") loadSettings();
   });
+  socket.on("appointment_updated", () => {
+    if (State.currentView === "scheduleView") loadSchedule();
+  });
+  socket.on("broadcast_updated", () => {
+    if (State.currentView === "broadcastView") loadBroadcasts();
+  });
 }
 
 document.addEventListener("DOMContentLoaded", async () => {
+  I18n.setLanguage(I18n.lang);
+  I18n.apply();
+  bindLanguageSwitch();
   bindAuthEvents();
   bindMobileEvents();
   await checkSession();
 });
 
+// =============================================================================
+// 2.1 🌐 ЯЗЫК ИНТЕРФЕЙСА (ru / kk / en)
+// =============================================================================
+
+function syncLanguageSelects() {
+  document.querySelectorAll(".language-select").forEach((select) => {
+    select.value = I18n.lang;
+  });
+}
+
+function bindLanguageSwitch() {
+  syncLanguageSelects();
+  document.querySelectorAll(".language-select").forEach((select) => {
+    select.addEventListener("change", async (e) => {
+      I18n.setLanguage(e.target.value);
+      I18n.apply();
+      syncLanguageSelects();
+      if (!State.user) return;
+
+      // Язык сохраняется в профиле — бот тоже отвечает на нем
+      try {
+        await API.setLanguage(I18n.lang);
+        State.user.language = I18n.lang;
+      } catch (err) {
+        Utils.showToast(I18n.t("toast.languageFailed"), "error");
+      }
+      loadViewData(State.currentView);
+    });
+  });
+}
+
 // =============================================================================
 // 3. 🔐 АВТОРИЗАЦИЯ, OTP И RBAC РОУТИНГ
 // =============================================================================
@@ -140,6 +225,14 @@ async function checkSession() {
     const res = await API.checkAuth();
     if (res.authenticated) {
       State.user = res.user;
+      if (State.user.language && State.user.language !== I18n.lang) {
+        I18n.setLanguage(State.user.language);
+        I18n.apply();
+        syncLanguageSelects();
+      }
+      // Временный пароль: до смены приложение не открывается
+      if (State.user.mustChangePassword) return showPasswordChange(true);
+
       document.getElementById("loginView").classList.remove("active");
       document.getElementById("appLayout").style.display = "flex";
 
@@ -149,7 +242,10 @@ async function checkSession() {
         ? State.user.role.toUpperCase()
         : "OWNER";
 
-      applyRoleRestrictions(State.user.role);
+      const passwordBtn = document.getElementById("btnChangePassword");
+      passwordBtn.style.display = State.user.hasPassword ? "" : "none";
+
+      applyPermissions();
       initApp();
     } else {
       showLogin();
@@ -164,31 +260,59 @@ function showLogin() {
   document.getElementById("appLayout").style.display = "none";
 }
 
-function applyRoleRestrictions(role) {
-  const isAdmin = role === "owner" || role === "admin";
+// Формы экрана входа: телефон (OTP), логин/пароль, смена пароля
+function showAuthForm(formId) {
+  ["phoneForm", "otpForm", "passwordForm", "passwordChangeForm"].forEach(
+    (id) => {
+      document.getElementById(id).style.display =
+        id === formId ? "block" : "none";
+    },
+  );
+  document.getElementById("loginError").style.display = "none";
+}
 
-  document
-    .querySelectorAll(".admin-only-nav, .admin-only-block")
-    .forEach((el) => {
-      el.style.display = isAdmin ? "" : "none";
-    });
+/**
+ * Смена пароля. forced — временный пароль после выдачи: отмена означает выход.
+ */
+function showPasswordChange(forced) {
+  State.passwordChangeForced = forced;
+  showLogin();
+  showAuthForm("passwordChangeForm");
+  const hint = document.getElementById("passwordChangeHint");
+  hint.dataset.i18n = forced
+    ? "auth.changePasswordRequired"
+    : "auth.changePasswordTitle";
+  hint.textContent = I18n.t(hint.dataset.i18n);
+}
 
-  document.querySelectorAll(".manager-only-block").forEach((el) => {
-    el.style.display = isAdmin ? "none" : "";
+/**
+ * Видимость разметки по правам: data-permission="finance.view",
+ * "a|b" — любое из прав, "!perm" — только без права (блоки бригадира).
+ */
+function applyPermissions() {
+  document.querySelectorAll("[data-permission]").forEach((el) => {
+    const rule = el.dataset.permission;
+    const visible = rule.startsWith("!")
+      ? !can(rule.slice(1))
+      : rule.split("|").some(can);
+    el.style.display = visible ? "" : "none";
   });
 
-  if (!isAdmin) {
-    const navOrdersText = document.getElementById("navOrdersText");
-    if (navOrdersText) navOrdersText.textContent = "Мои Объекты / Биржа";
-
-    const ordersPageTitle = document.getElementById("ordersPageTitle");
-    if (ordersPageTitle) ordersPageTitle.textContent = "Мои Объекты / Биржа";
-
-    const dashboardTitle = document.getElementById("dashboardMainTitle");
-    if (dashboardTitle) dashboardTitle.textContent = "Моя Статистика";
-
-    const dashboardSub = document.getElementById("dashboardSubTitle");
-    if (dashboardSub) dashboardSub.textContent = "Ваши показатели и заработок";
+  if (!can("orders.view_all")) {
+    // Подписи бригадира размечаются ключами, чтобы смена языка их не затирала
+    const managerLabels = {
+      navOrdersText: "nav.myOrders",
+      ordersPageTitle: "nav.myOrders",
+      dashboardMainTitle: "views.myStatsTitle",
+      dashboardSubTitle: "views.myStatsSubtitle",
+    };
+    Object.entries(managerLabels).forEach(([id, key]) => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.dataset.i18n = key;
+        el.textContent = I18n.t(key);
+      }
+    });
 
     const priceBlock = document.getElementById("modalFinalPriceBlock");
     if (priceBlock) priceBlock.style.display = "flex";
@@ -208,12 +332,12 @@ function bindAuthEvents() {
     try {
       loginError.style.display = "none";
       btn.disabled = true;
-      btn.innerHTML = `<i data-feather="loader" class="spin"></i> Отправка...`;
+      btn.innerHTML = `<i data-feather="loader" class="spin"></i> ${I18n.t("auth.sending")}`;
       if (typeof feather !== "undefined") feather.replace();
 
       await API.requestOtp(phone);
 
-      Utils.showToast("Код отправлен в Telegram", "success");
+      Utils.showToast(I18n.t("toast.codeSent"), "success");
       phoneForm.style.display = "none";
       otpForm.style.display = "block";
     } catch (error) {
@@ -221,7 +345,7 @@ function bindAuthEvents() {
       loginError.style.display = "block";
     } finally {
       btn.disabled = false;
-      btn.innerHTML = `Получить код в Telegram <i data-feather="arrow-right"></i>`;
+      btn.innerHTML = `<span data-i18n="auth.requestCode">${I18n.t("auth.requestCode")}</span> <i data-feather="arrow-right"></i>`;
       if (typeof feather !== "undefined") feather.replace();
     }
   });
@@ -237,7 +361,7 @@ function bindAuthEvents() {
       btn.disabled = true;
 
       await API.verifyOtp(phone, otp);
-      Utils.showToast("Авторизация успешна!", "success");
+      Utils.showToast(I18n.t("toast.authSuccess"), "success");
       checkSession();
     } catch (error) {
       loginError.textContent = error.message;
@@ -253,12 +377,115 @@ function bindAuthEvents() {
     document.getElementById("authOtp").value = "";
   });
 
+  document
+    .getElementById("btnUsePassword")
+    .addEventListener("click", () => showAuthForm("passwordForm"));
+  document
+    .getElementById("btnUsePhone")
+    .addEventListener("click", () => showAuthForm("phoneForm"));
+
+  document
+    .getElementById("passwordForm")
+    .addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const btn = document.getElementById("btnPasswordLogin");
+      const passwordInput = document.getElementById("authPassword");
+      try {
+        loginError.style.display = "none";
+        btn.disabled = true;
+        await API.login(
+          document.getElementById("authLogin").value,
+          passwordInput.value,
+        );
+        passwordInput.value = "";
+        Utils.showToast(I18n.t("toast.authSuccess"), "success");
+        checkSession();
+      } catch (error) {
+        loginError.textContent =
+          error.code === "ACCOUNT_LOCKED" && error.details?.lockedUntil
+            ? I18n.t("auth.lockedUntil", {
+                time: Utils.formatDate(error.details.lockedUntil),
+              })
+            : error.message;
+        loginError.style.display = "block";
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
+  document
+    .getElementById("passwordChangeForm")
+    .addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const fields = ["currentPassword", "newPassword", "confirmPassword"].map(
+        (id) => document.getElementById(id),
+      );
+      const [current, next, confirmation] = fields.map((f) => f.value);
+      if (next !== confirmation) {
+        loginError.textContent = I18n.t("auth.passwordMismatch");
+        loginError.style.display = "block";
+        return;
+      }
+      const btn = document.getElementById("btnSavePassword");
+      try {
+        loginError.style.display = "none";
+        btn.disabled = true;
+        await API.changePassword(current, next);
+        fields.forEach((f) => (f.value = ""));
+        Utils.showToast(I18n.t("toast.passwordChanged"), "success");
+        showAuthForm("phoneForm");
+        if (State.passwordChangeForced) return checkSession();
+        document.getElementById("loginView").classList.remove("active");
+        document.getElementById("appLayout").style.display = "flex";
+      } catch (error) {
+        loginError.textContent = error.message;
+        loginError.style.display = "block";
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
+  document
+    .getElementById("btnCancelPasswordChange")
+    .addEventListener("click", async () => {
+      if (State.passwordChangeForced) {
+        await API.logout().catch(() => {});
+        return window.location.reload();
+      }
+      showAuthForm("phoneForm");
+      document.getElementById("loginView").classList.remove("active");
+      document.getElementById("appLayout").style.display = "flex";
+    });
+
+  document
+    .getElementById("btnChangePassword")
+    .addEventListener("click", () => showPasswordChange(false));
+
+  document.getElementById("btnSessions").addEventListener("click", () => {
+    document.getElementById("sessionsModal").style.display = "flex";
+    loadSessions();
+  });
+  document
+    .getElementById("btnCloseSessionsModal")
+    .addEventListener(
+      "click",
+      () => (document.getElementById("sessionsModal").style.display = "none"),
+    );
+
+  document
+    .getElementById("authEventFilter")
+    .addEventListener("change", loadAuthEvents);
+
+  document
+    .getElementById("roleCreateForm")
+    .addEventListener("submit", createRole);
+
   document.getElementById("logoutBtn").addEventListener("click", async () => {
     try {
       await API.logout();
       window.location.reload();
     } catch (e) {
-      Utils.showToast("Ошибка при выходе", "error");
+      Utils.showToast(I18n.t("toast.logoutFailed"), "error");
     }
   });
 
@@ -304,18 +531,28 @@ function loadViewData(viewId) {
     case "ordersView":
       loadOrders();
       break;
+    case "scheduleView":
+      loadSchedule();
+      break;
     case "brigadesView":
       loadBrigades();
       break;
     case "financeView":
       loadFinance();
       break;
+    case "warehouseView":
+      loadWarehouse();
+      break;
     case "settingsView":
       loadSettings();
       break;
     case "usersView":
       loadUsers();
       break;
+    case "broadcastView":
+      loadBroadcastSegments();
+      loadBroadcasts();
+      break;
   }
 }
 
@@ -328,7 +565,7 @@ async function loadDashboard() {
     const btn = document.getElementById("refreshStatsBtn");
     if (btn) {
       btn.disabled = true;
-      btn.innerHTML = `<i data-feather="loader" class="spin"></i> Загрузка...`;
+      btn.innerHTML = `<i data-feather="loader" class="spin"></i> ${I18n.t("nav.loading")}`;
       if (typeof feather !== "undefined") feather.replace();
     }
 
@@ -341,11 +578,9 @@ async function loadDashboard() {
       API.getDeepAnalytics(State.dateStart, State.dateEnd),
     ]);
 
-    const isAdmin =
-      State.user &&
-      (State.user.role === "owner" || State.user.role === "admin");
+    const canViewFinance = can("finance.view");
 
-    if (isAdmin) {
+    if (canViewFinance) {
       const elNetProfit = document.getElementById("statNetProfit");
       const elRevenue = document.getElementById("statRevenue");
       const elDebts = document.getElementById("statBrigadeDebts");
@@ -383,11 +618,13 @@ async function loadDashboard() {
     renderFunnel(stats.funnel);
     renderExpensesChart(deepData.expenseBreakdown);
 
-    if (isAdmin) {
+    if (canViewFinance) {
       const [timelineData, brigadesData, ordersTimelineData] =
         await Promise.all([
           API.getTimeline(State.dateStart, State.dateEnd),
-          API.getBrigadesAnalytics(State.dateStart, State.dateEnd),
+          can("analytics.brigades")
+            ? API.getBrigadesAnalytics(State.dateStart, State.dateEnd)
+            : [],
           API.getOrdersTimeline(State.dateStart, State.dateEnd),
         ]);
       renderTimelineChart(timelineData);
@@ -403,16 +640,16 @@ async function loadDashboard() {
 
     if (btn) {
       btn.disabled = false;
-      btn.innerHTML = `<i data-feather="refresh-cw"></i> Применить`;
+      btn.innerHTML = `<i data-feather="refresh-cw"></i> ${I18n.t("views.apply")}`;
       if (typeof feather !== "undefined") feather.replace();
     }
   } catch (e) {
     console.error(e);
-    Utils.showToast("Ошибка загрузки аналитики", "error");
+    Utils.showToast(I18n.t("toast.analyticsFailed"), "error");
     const btn = document.getElementById("refreshStatsBtn");
     if (btn) {
       btn.disabled = false;
-      btn.innerHTML = `<i data-feather="refresh-cw"></i> Применить`;
+      btn.innerHTML = `<i data-feather="refresh-cw"></i> ${I18n.t("views.apply")}`;
       feather.replace();
     }
   }
@@ -439,7 +676,7 @@ function renderTimelineChart(data) {
       labels: labels,
       datasets: [
         {
-          label: "Оборот (Выручка)",
+          label: I18n.t("dashboard.revenue"),
           data: revenue,
           borderColor: "#ff6b00",
           backgroundColor: "rgba(255, 107, 0, 0.1)",
@@ -448,7 +685,7 @@ function renderTimelineChart(data) {
           tension: 0.4,
         },
         {
-          label: "Чистая прибыль",
+          label: I18n.t("dashboard.netProfit"),
           data: netProfit,
           borderColor: "#10b981",
           backgroundColor: "rgba(16, 185, 129, 0.1)",
@@ -497,9 +734,21 @@ function renderOrdersTimelineChart(data) {
     data: {
       labels: labels,
       datasets: [
-        { label: "Новые", data: newOrders, backgroundColor: "#ff6b00" },
-        { label: "В работе", data: workOrders, backgroundColor: "#f59e0b" },
-        { label: "Завершено", data: doneOrders, backgroundColor: "#10b981" },
+        {
+          label: I18n.t("dashboard.ordersNew"),
+          data: newOrders,
+          backgroundColor: "#ff6b00",
+        },
+        {
+          label: I18n.t("dashboard.ordersWork"),
+          data: workOrders,
+          backgroundColor: "#f59e0b",
+        },
+        {
+          label: I18n.t("dashboard.ordersDone"),
+          data: doneOrders,
+          backgroundColor: "#10b981",
+        },
       ],
     },
     options: {
@@ -528,16 +777,15 @@ function renderLeaderboard(brigades) {
   tbody.innerHTML = "";
 
   if (!Array.isArray(brigades) || brigades.length === 0) {
-    tbody.innerHTML =
-      '<tr><td colspan="5" class="pe-text-center pe-text-muted">Нет данных для рейтинга</td></tr>';
+    tbody.innerHTML = `<tr><td colspan="5" class="pe-text-center pe-text-muted">${I18n.t("dashboard.noRating")}</td></tr>`;
     return;
   }
 
   brigades.forEach((b) => {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td><b>${b.name || "Без названия"}</b></td>
-      <td>${b.closed_orders_count} шт.</td>
+      <td><b>${b.name || I18n.t("common.untitled")}</b></td>
+      <td>${I18n.t("common.pieces", { count: b.closed_orders_count })}</td>
       <td>${Utils.formatCurrency(b.total_revenue_brought)}</td>
       <td class="pe-text-success fw-bold">${Utils.formatCurrency(b.total_net_profit_brought)}</td>
       <td class="pe-text-right ${b.current_debt > 0 ? "pe-text-danger fw-bold" : ""}">${Utils.formatCurrency(b.current_debt)}</td>
@@ -552,9 +800,9 @@ function renderFunnel(funnelData) {
   container.innerHTML = "";
 
   const statuses = [
-    { key: "new", label: "Новые (Биржа)", color: "#ff6b00" },
-    { key: "work", label: "В работе", color: "#f59e0b" },
-    { key: "done", label: "Завершено (Выручка)", color: "#10b981" },
+    { key: "new", label: I18n.t("dashboard.funnelNew"), color: "#ff6b00" },
+    { key: "work", label: I18n.t("dashboard.funnelWork"), color: "#f59e0b" },
+    { key: "done", label: I18n.t("dashboard.funnelDone"), color: "#10b981" },
   ];
 
   statuses.forEach((s) => {
@@ -568,7 +816,7 @@ function renderFunnel(funnelData) {
     row.className = "funnel-row pe-mb-2";
     row.innerHTML = `
       <div class="funnel-label" style="border-left: 4px solid ${s.color}; padding-left: 10px;">${s.label}</div>
-      <div class="funnel-value"><b>${count}</b> шт.</div>
+      <div class="funnel-value">${I18n.t("common.pieces", { count: `<b>${count}</b>` })}</div>
       <div class="funnel-sum">${Utils.formatCurrency(sum)}</div>
     `;
     container.appendChild(row);
@@ -581,7 +829,7 @@ function renderExpensesChart(expensesData) {
   container.innerHTML = "";
 
   if (!Array.isArray(expensesData) || expensesData.length === 0) {
-    container.innerHTML = `<div class="pe-text-muted">Нет данных о расходах</div>`;
+    container.innerHTML = `<div class="pe-text-muted">${I18n.t("dashboard.noExpenses")}</div>`;
     return;
   }
 
@@ -589,7 +837,7 @@ function renderExpensesChart(expensesData) {
     const row = document.createElement("div");
     row.className = "funnel-row pe-mb-2";
     row.innerHTML = `
-      <div class="funnel-label" style="border-left: 4px solid #ef4444; padding-left: 10px;">${exp.category || "Прочее"}</div>
+      <div class="funnel-label" style="border-left: 4px solid #ef4444; padding-left: 10px;">${exp.category || I18n.t("dashboard.otherCategory")}</div>
       <div class="funnel-sum pe-text-danger">-${Utils.formatCurrency(exp.total)}</div>
     `;
     container.appendChild(row);
@@ -608,8 +856,7 @@ async function loadBrigades() {
     tbody.innerHTML = "";
 
     if (!Array.isArray(State.brigades) || State.brigades.length === 0) {
-      tbody.innerHTML =
-        '<tr><td colspan="6" class="pe-text-center">Бригады не найдены</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="6" class="pe-text-center">${I18n.t("brigades.empty")}</td></tr>`;
       return;
     }
 
@@ -621,17 +868,17 @@ async function loadBrigades() {
       const tr = document.createElement("tr");
 
       tr.innerHTML = `
-        <td><b>#${b.id}</b> ${b.name || "Без названия"}</td>
+        <td><b>#${b.id}</b> ${b.name || I18n.t("common.untitled")}</td>
         <td><code>${b.brigadier_id}</code></td>
         <td>${b.profit_percentage || 0}%</td>
         <td class="${debtClass}">${Utils.formatCurrency(debt)}</td>
-        <td><span class="pe-badge ${b.is_active ? "badge-done" : "badge-cancel"}">${b.is_active ? "Активна" : "Заблокирована"}</span></td>
+        <td><span class="pe-badge ${b.is_active ? "badge-done" : "badge-cancel"}">${I18n.t(b.is_active ? "brigades.active" : "brigades.blocked")}</span></td>
         <td class="pe-text-right" style="display:flex; flex-direction:column; gap:0.5rem; align-items:flex-end;">
-          ${debt > 0 ? `<button class="pe-btn pe-btn-sm pe-btn-success" onclick="openIncassationModal(${b.brigadier_id}, '${b.name || "Бригада"}')">Списать долг</button>` : ""}
+          ${debt > 0 ? `<button class="pe-btn pe-btn-sm pe-btn-success" onclick="openIncassationModal(${b.brigadier_id}, '${b.name || I18n.t("brigades.defaultName")}')">${I18n.t("brigades.writeOffDebt")}</button>` : ""}
           <div style="display:flex; gap:0.25rem;">
              <button class="pe-btn pe-btn-sm pe-btn-secondary" onclick="window.openEditBrigadeModal(${b.id}, ${b.profit_percentage})"><i data-feather="percent"></i></button>
              <button class="pe-btn pe-btn-sm ${b.is_active ? "pe-btn-danger" : "pe-btn-primary"}" onclick="window.toggleBrigadeStatus(${b.id}, ${!b.is_active})">
-               ${b.is_active ? "🚫 Блок" : "✅ Акт"}
+               ${I18n.t(b.is_active ? "brigades.block" : "brigades.activate")}
              </button>
           </div>
         </td>
@@ -640,17 +887,19 @@ async function loadBrigades() {
     });
     if (typeof feather !== "undefined") feather.replace();
   } catch (e) {
-    Utils.showToast("Ошибка загрузки бригад", "error");
+    Utils.showToast(I18n.t("toast.brigadesFailed"), "error");
   }
 }
 
 window.toggleBrigadeStatus = async (brigadeId, isActive) => {
-  const actionText = isActive ? "АКТИВИРОВАТЬ" : "ЗАБЛОКИРОВАТЬ";
-  if (!confirm(`Вы уверены, что хотите ${actionText} эту бригаду?`)) return;
+  const confirmKey = isActive
+    ? "brigades.activateConfirm"
+    : "brigades.blockConfirm";
+  if (!confirm(I18n.t(confirmKey))) return;
   try {
     await API.updateBrigade(brigadeId, null, isActive);
     Utils.showToast(
-      `Бригада успешно ${isActive ? "активирована" : "заблокирована"}`,
+      I18n.t(isActive ? "toast.brigadeActivated" : "toast.brigadeBlocked"),
       "success",
     );
     loadBrigades();
@@ -684,16 +933,17 @@ async function loadOrders() {
     if (!tbody) return;
     tbody.innerHTML = "";
 
-    if (
-      State.user &&
-      (State.user.role === "owner" || State.user.role === "admin")
-    ) {
+    if (can("brigades.view")) {
       State.brigades = await API.getBrigades();
     }
 
+    if (!State.statusTransitions) {
+      const graph = await API.getOrderTransitions();
+      State.statusTransitions = graph.transitions || {};
+    }
+
     if (!Array.isArray(State.orders) || State.orders.length === 0) {
-      tbody.innerHTML =
-        '<tr><td colspan="7" class="pe-text-center">Объектов не найдено</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="7" class="pe-text-center">${I18n.t("orders.empty")}</td></tr>`;
       return;
     }
 
@@ -708,21 +958,21 @@ async function loadOrders() {
       const tr = document.createElement("tr");
       tr.innerHTML = `
         <td><b>#${o.id}</b><br><small class="pe-text-muted">${Utils.formatDate(o.created_at)}</small></td>
-        <td>${o.client_name || "Неизвестно"}<br><small>${o.client_phone || "—"}</small></td>
-        <td>${area} м²</td>
-        <td>${o.brigade_name ? `<span class="pe-badge badge-processing">${o.brigade_name}</span>` : '<span class="pe-text-muted">Биржа</span>'}</td>
+        <td>${o.client_name || I18n.t("common.unknown")}<br><small>${o.client_phone || "—"}</small></td>
+        <td>${I18n.t("common.area", { area })}</td>
+        <td>${o.brigade_name ? `<span class="pe-badge badge-processing">${o.brigade_name}</span>` : `<span class="pe-text-muted">${I18n.t("common.exchange")}</span>`}</td>
         <td><span class="pe-badge badge-${o.status}">${o.status.toUpperCase()}</span></td>
         <td class="pe-text-success fw-bold">${Utils.formatCurrency(netProfit)}</td>
         <td class="pe-text-right">
             <button class="pe-btn pe-btn-sm pe-btn-secondary" onclick="openOrderModal(${o.id})">
-                Управление
+                ${I18n.t("orders.manage")}
             </button>
         </td>
       `;
       tbody.appendChild(tr);
     });
   } catch (e) {
-    Utils.showToast("Ошибка загрузки заказов", "error");
+    Utils.showToast(I18n.t("toast.ordersFailed"), "error");
   }
 }
 
@@ -732,8 +982,14 @@ window.openOrderModal = (orderId) => {
   State.selectedOrderId = order.id;
 
   const area = order.area || order.details?.params?.area || 0;
+  const objectTypeName = order.details?.params?.objectTypeName;
+  const ruleVersion = order.details?.ruleSet?.version;
   document.getElementById("modalOrderTitle").textContent =
-    `Объект #${order.id} (${area} м²)`;
+    I18n.t("orders.modalTitle", { id: order.id, area }) +
+    (objectTypeName ? ` · ${objectTypeName}` : "") +
+    (ruleVersion
+      ? ` · ${I18n.t("orders.ruleVersion", { version: ruleVersion })}`
+      : "");
 
   // Поля метаданных
   document.getElementById("modalOrderAddress").value =
@@ -742,58 +998,83 @@ window.openOrderModal = (orderId) => {
     order.details?.admin_comment || "";
 
   const statusSelect = document.getElementById("modalOrderStatus");
-  const isAdmin =
-    State.user && (State.user.role === "owner" || State.user.role === "admin");
   const isDone = order.status === "done";
 
-  // Кнопка взять в работу (Биржа)
+  // Кнопка взять в работу (Биржа); кто назначает бригады — назначает, а не берет
   const btnTake = document.getElementById("btnTakeOrderWeb");
-  if (!isAdmin && order.status === "new") {
+  if (can("orders.take") && !can("orders.assign") && order.status === "new") {
     btnTake.style.display = "flex";
   } else {
     btnTake.style.display = "none";
   }
 
-  if (isAdmin) {
-    statusSelect.innerHTML = `
-      <option value="new">Новый (Биржа)</option>
-      <option value="processing">Взят в расчет / Замер</option>
-      <option value="work">В работе (Монтаж)</option>
-      <option value="done">Завершен</option>
-      <option value="cancel">Отменен</option>
-    `;
+  const statusOptions = (statuses) =>
+    statuses
+      .map(
+        (status) =>
+          `<option value="${status}">${I18n.t(`orders.statuses.${status}`)}</option>`,
+      )
+      .join("");
+  if (can("orders.cancel")) {
+    statusSelect.innerHTML = statusOptions([
+      "new",
+      "processing",
+      "work",
+      "material",
+      "done",
+      "cancel",
+    ]);
   } else {
-    statusSelect.innerHTML = `
-      <option value="processing">Взят в расчет / Замер</option>
-      <option value="work">В работе (Монтаж)</option>
-    `;
+    statusSelect.innerHTML = statusOptions(["processing", "work"]);
     if (!["processing", "work"].includes(order.status)) {
       statusSelect.innerHTML += `<option value="${order.status}" disabled>${order.status.toUpperCase()}</option>`;
     }
   }
   statusSelect.value = order.status;
 
+  // Блокируем переходы, запрещенные стейт-машиной ('done' — только финализацией)
+  const allowedNext = State.statusTransitions?.[order.status] || [];
+  Array.from(statusSelect.options).forEach((opt) => {
+    if (opt.value === order.status) return;
+    // 'material' ставится автоматически по открытым заказам поставщикам
+    opt.disabled =
+      ["done", "material"].includes(opt.value) ||
+      !allowedNext.includes(opt.value);
+  });
+
   const brigadeSelect = document.getElementById("modalOrderBrigade");
-  if (isAdmin) {
+  if (can("orders.assign")) {
     brigadeSelect.disabled = false;
-    brigadeSelect.innerHTML = `<option value="">-- Не назначена (Биржа) --</option>`;
+    brigadeSelect.innerHTML = `<option value="">${I18n.t("orders.unassignedOption")}</option>`;
     if (Array.isArray(State.brigades)) {
       State.brigades.forEach((b) => {
         brigadeSelect.innerHTML += `<option value="${b.id}" ${order.brigade_id === b.id ? "selected" : ""}>${b.name}</option>`;
       });
     }
   } else {
-    brigadeSelect.innerHTML = `<option>${order.brigade_name || "Не назначена"}</option>`;
+    brigadeSelect.innerHTML = `<option>${order.brigade_name || I18n.t("orders.unassigned")}</option>`;
     brigadeSelect.disabled = true;
   }
 
   const btnFinalize = document.getElementById("btnFinalizeOrder");
-  if (order.status === "work" && order.brigade_id) {
+  if (
+    can("orders.finalize") &&
+    ["work", "payment"].includes(order.status) &&
+    order.brigade_id
+  ) {
     btnFinalize.style.display = "flex";
   } else {
     btnFinalize.style.display = "none";
   }
 
+  // Сторно финализации — отдельное право (по умолчанию только Владелец)
+  const btnStorno = document.getElementById("btnStornoOrder");
+  btnStorno.style.display = isDone && can("orders.storno") ? "flex" : "none";
+
+  document.getElementById("btnEstimatePdf").href = API.getEstimatePdfUrl(
+    order.id,
+  );
+
   // 🔥 РЕЖИМ READ-ONLY ДЛЯ ЗАВЕРШЕННЫХ ОБЪЕКТОВ
   const warningDiv = document.getElementById("orderDoneWarning");
   const editables = document.querySelectorAll(".order-editable-field");
@@ -810,7 +1091,14 @@ window.openOrderModal = (orderId) => {
     ? JSON.parse(JSON.stringify(order.details.bom))
     : [];
   renderBOMEditor(isDone);
+  ensureMaterialsCatalog().then(() => renderBOMEditor(isDone));
+  loadOrderStockIssues(order.id, isDone);
+  loadOrderPayments(order.id);
+  State.estimateLines = Array.isArray(order.details?.estimate_lines)
+    ? JSON.parse(JSON.stringify(order.details.estimate_lines))
+    : [];
   renderOrderFinancials(order);
+  switchOrderTab("orderTabMain");
 
   document.getElementById("orderModal").style.display = "flex";
   if (typeof feather !== "undefined") feather.replace();
@@ -829,6 +1117,17 @@ function renderOrderFinancials(order) {
     details.total?.work || order.total_price,
   );
   document.getElementById("modalFinalPrice").value = financials.final_price;
+
+  // Цена по позиционной смете правится только через вкладку "Смета"
+  const hasEstimateLines =
+    Array.isArray(details.estimate_lines) && details.estimate_lines.length > 0;
+  if (hasEstimateLines || order.status === "done") {
+    document.getElementById("modalFinalPrice").disabled = true;
+    document.getElementById("btnUpdateFinalPrice").disabled = true;
+  } else {
+    document.getElementById("modalFinalPrice").disabled = false;
+    document.getElementById("btnUpdateFinalPrice").disabled = false;
+  }
   document.getElementById("modalTotalExpenses").textContent =
     Utils.formatCurrency(financials.total_expenses);
   document.getElementById("modalNetProfit").textContent = Utils.formatCurrency(
@@ -842,8 +1141,7 @@ function renderOrderFinancials(order) {
     ? financials.expenses
     : [];
   if (expensesArray.length === 0) {
-    expensesList.innerHTML =
-      '<div class="pe-text-muted text-center p-1">Нет чеков по объекту</div>';
+    expensesList.innerHTML = `<div class="pe-text-muted text-center p-1">${I18n.t("orders.noExpenses")}</div>`;
   } else {
     expensesArray.forEach((exp) => {
       const div = document.createElement("div");
@@ -863,10 +1161,10 @@ function renderOrderFinancials(order) {
 function renderBOMEditor(isDone) {
   const container = document.getElementById("modalBOMList");
   container.innerHTML = "";
+  const lock = isDone ? "disabled" : "";
 
   if (State.currentBOM.length === 0) {
-    container.innerHTML =
-      '<div class="pe-text-muted pe-mb-4" style="font-size: 0.875rem;">Спецификация пуста</div>';
+    container.innerHTML = `<div class="pe-text-muted pe-mb-4" style="font-size: 0.875rem;">${I18n.t("bom.empty")}</div>`;
   } else {
     State.currentBOM.forEach((item, index) => {
       const row = document.createElement("div");
@@ -874,45 +1172,367 @@ function renderBOMEditor(isDone) {
       row.style.gap = "0.5rem";
       row.style.marginBottom = "0.5rem";
       row.style.alignItems = "center";
+      const price = parseFloat(item.price) || 0;
+      const sum = (parseFloat(item.qty) || 0) * price;
+      // Позиция каталога: выбор SKU; своя позиция: имя, ед. и цена вручную
+      const itemFields = item.sku
+        ? `<select class="pe-input pe-input-sm" style="flex:1;" onchange="window.updateBOMItem(${index}, 'sku', this.value)" ${lock}>${materialOptions(item.sku)}</select>
+           <span class="pe-text-muted" style="width:50px;">${item.unit || ""}</span>`
+        : `<input type="text" class="pe-input pe-input-sm" style="flex:1;" value="${item.name}" placeholder="${I18n.t("common.name")}" onchange="window.updateBOMItem(${index}, 'name', this.value)" ${lock}>
+           <input type="text" class="pe-input pe-input-sm" style="width:50px;" value="${item.unit}" placeholder="${I18n.t("common.unit")}" onchange="window.updateBOMItem(${index}, 'unit', this.value)" ${lock}>
+           <input type="number" class="pe-input pe-input-sm" style="width:80px;" value="${price}" placeholder="${I18n.t("common.price")}" onchange="window.updateBOMItem(${index}, 'price', this.value)" ${lock}>`;
       row.innerHTML = `
-        <input type="text" class="pe-input pe-input-sm" style="flex:1;" value="${item.name}" placeholder="Наименование" onchange="window.updateBOMItem(${index}, 'name', this.value)" ${isDone ? "disabled" : ""}>
-        <input type="number" class="pe-input pe-input-sm" style="width:70px;" value="${item.qty}" placeholder="Кол-во" onchange="window.updateBOMItem(${index}, 'qty', this.value)" ${isDone ? "disabled" : ""}>
-        <input type="text" class="pe-input pe-input-sm" style="width:60px;" value="${item.unit}" placeholder="Ед." onchange="window.updateBOMItem(${index}, 'unit', this.value)" ${isDone ? "disabled" : ""}>
+        ${itemFields}
+        <input type="number" class="pe-input pe-input-sm" style="width:70px;" value="${item.qty}" placeholder="${I18n.t("common.qty")}" onchange="window.updateBOMItem(${index}, 'qty', this.value)" ${lock}>
+        <span style="width:90px; text-align:right; font-size:0.8rem;">${Utils.formatCurrency(sum)}</span>
         ${!isDone ? `<button class="pe-btn pe-btn-danger pe-btn-sm pe-btn-icon" onclick="window.removeBOMItem(${index})"><i data-feather="trash-2"></i></button>` : ""}
       `;
       container.appendChild(row);
     });
+
+    const total = State.currentBOM.reduce(
+      (acc, item) =>
+        acc + (parseFloat(item.qty) || 0) * (parseFloat(item.price) || 0),
+      0,
+    );
+    const totalRow = document.createElement("div");
+    totalRow.className = "pe-fin-row pe-mt-2";
+    totalRow.innerHTML = `<span>${I18n.t("bom.total")}</span><strong>${Utils.formatCurrency(total)}</strong>`;
+    container.appendChild(totalRow);
+  }
+
+  if (!isDone) {
+    const controls = document.createElement("div");
+    controls.style.display = "flex";
+    controls.style.gap = "0.5rem";
+    controls.style.marginTop = "1rem";
+    controls.innerHTML = `
+      <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.addBOMItem(false)"><i data-feather="plus"></i> ${I18n.t("bom.fromCatalog")}</button>
+      <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.addBOMItem(true)"><i data-feather="edit-3"></i> ${I18n.t("common.customItem")}</button>
+      <button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.saveBOMArray()"><i data-feather="save"></i> ${I18n.t("bom.save")}</button>
+    `;
+    container.appendChild(controls);
+  }
+  if (typeof feather !== "undefined") feather.replace();
+}
+
+// Каталог материалов (кэш для BOM-редактора, грузится один раз)
+async function ensureMaterialsCatalog() {
+  if (State.materials.length > 0) return;
+  try {
+    State.materials = await API.getMaterials();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+function materialOptions(selectedSku) {
+  const options = State.materials.map(
+    (m) =>
+      `<option value="${m.sku}" ${m.sku === selectedSku ? "selected" : ""}>${m.name} · ${Utils.formatCurrency(m.sell_price)}/${m.unit}</option>`,
+  );
+  // Снятый с продажи артикул остается видимым в старых спецификациях
+  if (selectedSku && !State.materials.some((m) => m.sku === selectedSku)) {
+    options.unshift(
+      `<option value="${selectedSku}" selected>${selectedSku} ${I18n.t("bom.notInCatalog")}</option>`,
+    );
+  }
+  return options.join("");
+}
+
+// 🗂 Вкладки модалки объекта (Управление / Смета / Таймлайн)
+function switchOrderTab(tabId) {
+  document.querySelectorAll("#orderModalTabs .pe-tab").forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.tab === tabId);
+  });
+  document.querySelectorAll("#orderModal .pe-tab-panel").forEach((panel) => {
+    panel.style.display = panel.id === tabId ? "block" : "none";
+  });
+  if (tabId === "orderTabTimeline" && State.selectedOrderId) {
+    loadOrderTimeline(State.selectedOrderId);
+  }
+  if (tabId === "orderTabEstimate" && State.selectedOrderId) {
+    loadEstimateEditor();
+  }
+}
+
+// =============================================================================
+// 🧾 ПОЗИЦИОННАЯ СМЕТА (details.estimate_lines)
+// Цены и суммы здесь — предпросмотр; итог пересчитывает сервер.
+// =============================================================================
+
+async function loadEstimateEditor() {
+  const order = State.orders.find((o) => o.id === State.selectedOrderId);
+  if (!order) return;
+  if (!State.estimateCatalog) {
+    try {
+      State.estimateCatalog = await API.getEstimateCatalog();
+    } catch (err) {
+      Utils.showToast(err.message, "error");
+      State.estimateCatalog = [];
+    }
+  }
+  renderEstimateEditor(order.status === "done");
+}
+
+function getEstimateCatalogItem(key) {
+  for (const section of State.estimateCatalog || []) {
+    const item = section.items.find((i) => i.key === key);
+    if (item) return item;
+  }
+  return null;
+}
+
+function estimateLinePrice(line) {
+  if (line.custom) return parseFloat(line.price) || 0;
+  const item = getEstimateCatalogItem(line.key);
+  return item ? item.currentPrice : parseFloat(line.price) || 0;
+}
+
+function estimateCatalogOptions(selectedKey) {
+  return (State.estimateCatalog || [])
+    .map(
+      (section) => `
+        <optgroup label="${section.category}">
+          ${section.items
+            .map(
+              (item) =>
+                `<option value="${item.key}" ${item.key === selectedKey ? "selected" : ""}>${item.name}</option>`,
+            )
+            .join("")}
+        </optgroup>`,
+    )
+    .join("");
+}
+
+function renderEstimateEditor(isDone) {
+  const container = document.getElementById("modalEstimateLines");
+  if (!container) return;
+  container.innerHTML = "";
+  const lock = isDone ? "disabled" : "";
+
+  if (State.estimateLines.length === 0) {
+    container.innerHTML = `<div class="pe-text-muted pe-mb-4" style="font-size: 0.875rem;">${I18n.t("estimate.empty")}</div>`;
+  } else {
+    State.estimateLines.forEach((line, index) => {
+      const price = estimateLinePrice(line);
+      const sum = Math.round((parseFloat(line.qty) || 0) * price);
+      const row = document.createElement("div");
+      row.className = "pe-estimate-row";
+      const itemFields = line.custom
+        ? `
+          <input type="text" class="pe-input pe-input-sm" style="flex:1;" value="${line.name || ""}" placeholder="${I18n.t("common.name")}" onchange="window.updateEstimateLine(${index}, 'name', this.value)" ${lock}>
+          <input type="text" class="pe-input pe-input-sm" style="width:60px;" value="${line.unit || ""}" placeholder="${I18n.t("common.unit")}" onchange="window.updateEstimateLine(${index}, 'unit', this.value)" ${lock}>
+          <input type="number" class="pe-input pe-input-sm" style="width:100px;" value="${line.price}" placeholder="${I18n.t("common.price")}" onchange="window.updateEstimateLine(${index}, 'price', this.value)" ${lock}>`
+        : `
+          <select class="pe-input pe-input-sm" style="flex:1;" onchange="window.updateEstimateLine(${index}, 'key', this.value)" ${lock}>${estimateCatalogOptions(line.key)}</select>
+          <span class="pe-text-muted" style="width:100px;">${Utils.formatCurrency(price)}</span>`;
+      row.innerHTML = `
+        ${itemFields}
+        <input type="number" class="pe-input pe-input-sm" style="width:70px;" value="${line.qty}" placeholder="${I18n.t("common.qty")}" onchange="window.updateEstimateLine(${index}, 'qty', this.value)" ${lock}>
+        <span class="pe-estimate-sum">${Utils.formatCurrency(sum)}</span>
+        ${!isDone ? `<button class="pe-btn pe-btn-danger pe-btn-sm pe-btn-icon" onclick="window.removeEstimateLine(${index})"><i data-feather="trash-2"></i></button>` : ""}
+      `;
+      container.appendChild(row);
+    });
   }
 
+  const total = State.estimateLines.reduce(
+    (acc, line) =>
+      acc + Math.round((parseFloat(line.qty) || 0) * estimateLinePrice(line)),
+    0,
+  );
+  document.getElementById("modalEstimateTotal").textContent =
+    Utils.formatCurrency(total);
+
   if (!isDone) {
     const controls = document.createElement("div");
     controls.style.display = "flex";
     controls.style.gap = "0.5rem";
     controls.style.marginTop = "1rem";
     controls.innerHTML = `
-      <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.addBOMItem()"><i data-feather="plus"></i> Добавить</button>
-      <button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.saveBOMArray()"><i data-feather="save"></i> Сохранить BOM</button>
+      <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.addEstimateLine(false)"><i data-feather="plus"></i> ${I18n.t("estimate.fromPricelist")}</button>
+      <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.addEstimateLine(true)"><i data-feather="edit-3"></i> ${I18n.t("common.customItem")}</button>
+      <button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.saveEstimateLines()"><i data-feather="save"></i> ${I18n.t("estimate.save")}</button>
     `;
     container.appendChild(controls);
   }
   if (typeof feather !== "undefined") feather.replace();
 }
 
-window.updateBOMItem = (i, f, v) =>
-  (State.currentBOM[i][f] = f === "qty" ? parseFloat(v) || 0 : v);
+window.updateEstimateLine = (i, field, value) => {
+  const line = State.estimateLines[i];
+  if (!line) return;
+  line[field] = ["qty", "price"].includes(field)
+    ? parseFloat(value) || 0
+    : value;
+  renderEstimateEditor(false);
+};
+window.removeEstimateLine = (i) => {
+  State.estimateLines.splice(i, 1);
+  renderEstimateEditor(false);
+};
+window.addEstimateLine = (custom) => {
+  if (custom) {
+    State.estimateLines.push({
+      custom: true,
+      name: "",
+      unit: I18n.t("common.unitPiece"),
+      price: 0,
+      qty: 1,
+    });
+  } else {
+    const firstItem = State.estimateCatalog?.[0]?.items?.[0];
+    if (!firstItem)
+      return Utils.showToast(I18n.t("toast.pricelistMissing"), "error");
+    State.estimateLines.push({ key: firstItem.key, qty: 1 });
+  }
+  renderEstimateEditor(false);
+};
+window.saveEstimateLines = async () => {
+  if (!State.selectedOrderId) return;
+  // На сервер уходят только ключ и количество (цены прайса он берет сам)
+  const payload = State.estimateLines.map((line) =>
+    line.custom
+      ? {
+          custom: true,
+          name: line.name,
+          unit: line.unit,
+          price: line.price,
+          qty: line.qty,
+        }
+      : { key: line.key, qty: line.qty },
+  );
+  try {
+    const result = await API.saveEstimateLines(State.selectedOrderId, payload);
+    State.estimateLines = result.lines;
+    Utils.showToast(
+      I18n.t("estimate.saved", { total: Utils.formatCurrency(result.total) }),
+      "success",
+    );
+    await loadOrders();
+    const order = State.orders.find((o) => o.id === State.selectedOrderId);
+    if (order) renderOrderFinancials(order);
+    renderEstimateEditor(false);
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+// Краткий diff "поле: было → стало" (массивы BOM сворачиваются до количества позиций).
+// Значения полей вводят клиенты и сотрудники — в HTML попадают только экранированными.
+function formatTimelineDiff(before, after) {
+  const fmtValue = (v) => {
+    if (v === null || v === undefined) return "—";
+    if (Array.isArray(v)) return I18n.t("timeline.items", { count: v.length });
+    if (typeof v === "object") return JSON.stringify(v);
+    return String(v);
+  };
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  return Array.from(keys)
+    .map((key) => {
+      const from = before ? fmtValue(before[key]) : null;
+      const to = after ? fmtValue(after[key]) : "—";
+      const line = from !== null ? `${key}: ${from} → ${to}` : `${key}: ${to}`;
+      return escapeHtml(line);
+    })
+    .join("<br>");
+}
+
+async function loadOrderTimeline(orderId) {
+  const container = document.getElementById("modalTimelineList");
+  if (!container) return;
+  container.innerHTML = `<div class="pe-text-muted" style="font-size: 0.875rem;">${I18n.t("nav.loading")}</div>`;
+
+  try {
+    const events = await API.getOrderTimeline(orderId);
+    if (!Array.isArray(events) || events.length === 0) {
+      container.innerHTML = `<div class="pe-text-muted" style="font-size: 0.875rem;">${I18n.t("timeline.empty")}</div>`;
+      return;
+    }
+
+    container.innerHTML = events
+      .map((ev) => {
+        const actor =
+          ev.actor_name ||
+          (ev.actor_id
+            ? I18n.t("timeline.actorId", { id: ev.actor_id })
+            : I18n.t("common.system"));
+        return `
+          <div class="pe-timeline-item">
+            <div class="pe-timeline-meta">${Utils.formatDate(ev.created_at)} · ${escapeHtml(actor)} · ${escapeHtml(I18n.t(`timeline.sources.${ev.source}`))}</div>
+            <strong>${escapeHtml(I18n.t(`timeline.events.${ev.action}`))}</strong>
+            <div class="pe-timeline-diff">${formatTimelineDiff(ev.before_data, ev.after_data)}</div>
+          </div>
+        `;
+      })
+      .join("");
+  } catch (err) {
+    container.innerHTML = `<div class="pe-text-danger" style="font-size: 0.875rem;">${err.message}</div>`;
+  }
+}
+
+window.updateBOMItem = (i, f, v) => {
+  const item = State.currentBOM[i];
+  if (f === "sku") {
+    // Смена материала: имя, единица и цена — из каталога (итог пересчитает сервер)
+    const material = State.materials.find((m) => m.sku === v);
+    if (material) {
+      Object.assign(item, {
+        sku: material.sku,
+        name: material.name,
+        unit: material.unit,
+        price: parseFloat(material.sell_price) || 0,
+      });
+    }
+  } else {
+    item[f] = ["qty", "price"].includes(f) ? parseFloat(v) || 0 : v;
+  }
+  renderBOMEditor(false);
+};
 window.removeBOMItem = (i) => {
   State.currentBOM.splice(i, 1);
   renderBOMEditor(false);
 };
-window.addBOMItem = () => {
-  State.currentBOM.push({ name: "", qty: 1, unit: "шт" });
+window.addBOMItem = (custom) => {
+  const material = State.materials[0];
+  if (custom || !material) {
+    State.currentBOM.push({
+      sku: null,
+      name: "",
+      qty: 1,
+      unit: I18n.t("common.unitPiece"),
+      price: 0,
+    });
+  } else {
+    State.currentBOM.push({
+      sku: material.sku,
+      name: material.name,
+      qty: 1,
+      unit: material.unit,
+      price: parseFloat(material.sell_price) || 0,
+    });
+  }
   renderBOMEditor(false);
 };
 window.saveBOMArray = async () => {
   if (!State.selectedOrderId) return;
   try {
-    await API.updateBOM(State.selectedOrderId, State.currentBOM);
-    Utils.showToast("Спецификация сохранена", "success");
+    const result = await API.updateBOM(
+      State.selectedOrderId,
+      State.currentBOM,
+    );
+    State.currentBOM = result.bom;
+    renderBOMEditor(false);
+    Utils.showToast(
+      I18n.t("bom.saved", {
+        total: Utils.formatCurrency(result.total?.material || 0),
+      }),
+      "success",
+    );
     loadOrders();
   } catch (err) {
     Utils.showToast(err.message, "error");
@@ -920,51 +1540,711 @@ window.saveBOMArray = async () => {
 };
 
 // =============================================================================
-// 7. 🏢 ГЛОБАЛЬНАЯ КАССА (CORPORATE FINANCE)
+// 🧰 СКЛАД: КАТАЛОГ МАТЕРИАЛОВ
 // =============================================================================
 
-async function loadFinance() {
+async function loadWarehouse() {
   try {
-    const accounts = await API.getFinanceAccounts();
-    State.financeAccounts = accounts;
+    const materials = await API.getMaterials(true);
+    // Кэш BOM-редактора — только активные позиции
+    State.materials = materials.filter((m) => m.is_active);
+    renderMaterialsTable(materials);
+    await loadStock();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
 
-    const grid = document.getElementById("financeAccountsGrid");
-    const accountSelect = document.getElementById("txAccount");
-    if (grid) grid.innerHTML = "";
-    if (accountSelect) accountSelect.innerHTML = "";
+function renderMaterialsTable(materials) {
+  const tbody = document.getElementById("materialsTableBody");
+  if (!tbody) return;
+  if (materials.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="10" class="pe-text-muted text-center">${I18n.t("materials.empty")}</td></tr>`;
+    return;
+  }
 
-    if (Array.isArray(accounts)) {
-      accounts.forEach((acc) => {
-        const icon =
-          acc.type === "cash"
-            ? "dollar-sign"
-            : acc.type === "brigade_acc"
-              ? "hard-hat"
-              : "credit-card";
-        const colorClass =
-          acc.balance >= 0 ? "pe-kpi-primary" : "pe-kpi-danger";
+  tbody.innerHTML = materials
+    .map((m) => {
+      const purchase = parseFloat(m.purchase_price) || 0;
+      const sell = parseFloat(m.sell_price) || 0;
+      const markup =
+        purchase > 0 ? `${Math.round((sell / purchase - 1) * 100)}%` : "—";
+      return `
+        <tr data-material-id="${m.id}">
+          <td><code>${m.sku}</code></td>
+          <td><input type="text" class="pe-input pe-input-sm" data-field="name" value="${m.name}"></td>
+          <td><input type="text" class="pe-input pe-input-sm" style="width:60px;" data-field="unit" value="${m.unit}"></td>
+          <td><input type="number" class="pe-input pe-input-sm" style="width:100px;" data-field="purchasePrice" value="${purchase}"></td>
+          <td><input type="number" class="pe-input pe-input-sm" style="width:100px;" data-field="sellPrice" value="${sell}"></td>
+          <td>${markup}</td>
+          <td><input type="number" class="pe-input pe-input-sm" style="width:80px;" data-field="minStock" value="${parseFloat(m.min_stock) || 0}"></td>
+          <td><input type="text" class="pe-input pe-input-sm" data-field="supplier" value="${m.supplier || ""}"></td>
+          <td><input type="checkbox" data-field="isActive" ${m.is_active ? "checked" : ""}></td>
+          <td><button class="pe-btn pe-btn-primary pe-btn-sm pe-btn-icon" onclick="window.saveMaterial(${m.id})"><i data-feather="save"></i></button></td>
+        </tr>
+      `;
+    })
+    .join("");
+  if (typeof feather !== "undefined") feather.replace();
+}
 
-        grid.innerHTML += `
-          <div class="pe-card pe-card-kpi ${colorClass}">
-            <div class="pe-kpi-icon"><i data-feather="${icon}"></i></div>
-            <div class="pe-kpi-data">
-              <span class="pe-kpi-label">${acc.name}</span>
-              <h3 class="pe-kpi-value">${Utils.formatCurrency(acc.balance)}</h3>
-            </div>
-          </div>
-        `;
-        accountSelect.innerHTML += `<option value="${acc.id}">${acc.name} (Баланс: ${Utils.formatCurrency(acc.balance)})</option>`;
-      });
-    }
+window.saveMaterial = async (id) => {
+  const row = document.querySelector(`tr[data-material-id="${id}"]`);
+  if (!row) return;
+  const data = {};
+  row.querySelectorAll("[data-field]").forEach((input) => {
+    data[input.dataset.field] =
+      input.type === "checkbox" ? input.checked : input.value;
+  });
+  try {
+    await API.updateMaterial(id, data);
+    Utils.showToast(I18n.t("toast.materialSaved"), "success");
+    loadWarehouse();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
 
-    const transactions = await API.getFinanceTransactions(50);
-    const tbody = document.getElementById("transactionsTableBody");
-    if (!tbody) return;
-    tbody.innerHTML = "";
+// =============================================================================
+// 🏬 СКЛАД: ОСТАТКИ, ДВИЖЕНИЯ, ВЫДАЧА НА ОБЪЕКТ
+// =============================================================================
+
+// Журнал движений и список PO обновляются вместе со складом (по правам)
+async function loadStock() {
+  const locationId = document.getElementById("stockLocationFilter")?.value;
+  const [locations, balances, lowStock, movements] = await Promise.all([
+    API.getStockLocations(),
+    API.getStockBalances(locationId),
+    API.getLowStock(),
+    can("warehouse.manage") ? API.getStockMovements({ locationId }) : [],
+  ]);
+  State.stockLocations = locations;
+  renderStockSelects(locationId);
+  renderStockTable(balances);
+  renderLowStock(lowStock);
+  renderStockMovements(movements);
+  if (can("purchases.manage")) await loadPurchaseOrders();
+}
+
+const PO_STATUS_BADGES = {
+  draft: "badge-new",
+  sent: "badge-work",
+  received: "badge-done",
+  cancelled: "badge-cancel",
+};
+
+async function loadPurchaseOrders() {
+  const status = document.getElementById("purchaseStatusFilter")?.value;
+  const [purchaseOrders, accounts] = await Promise.all([
+    API.getPurchaseOrders(status),
+    State.financeAccounts.length
+      ? State.financeAccounts
+      : API.getFinanceAccounts(),
+  ]);
+  State.financeAccounts = accounts;
+  renderPurchaseOrders(purchaseOrders);
+}
+
+function renderPurchaseOrders(purchaseOrders) {
+  const tbody = document.getElementById("purchaseOrdersTableBody");
+  if (!tbody) return;
+  if (purchaseOrders.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="6" class="pe-text-muted text-center">${I18n.t("purchases.empty")}</td></tr>`;
+    return;
+  }
+  const accountOptions = State.financeAccounts
+    .map((a) => `<option value="${a.id}">${a.name}</option>`)
+    .join("");
+
+  tbody.innerHTML = purchaseOrders
+    .map((po) => {
+      const badge = PO_STATUS_BADGES[po.status] || "";
+      const label = I18n.t(`purchases.statuses.${po.status}`);
+      let actions = "";
+      if (po.status === "draft") {
+        actions = `<button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.updatePurchaseOrder(${po.id}, 'send')">${I18n.t("purchases.markSent")}</button>`;
+      } else if (po.status === "sent") {
+        actions = `<select class="pe-input pe-input-sm" id="poAccount_${po.id}">${accountOptions}</select>
+          <button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.updatePurchaseOrder(${po.id}, 'receive')">${I18n.t("purchases.receive")}</button>`;
+      }
+      if (["draft", "sent"].includes(po.status)) {
+        actions += ` <button class="pe-btn pe-btn-danger pe-btn-sm pe-btn-icon" title="${I18n.t("common.cancel")}" onclick="window.updatePurchaseOrder(${po.id}, 'cancel')"><i data-feather="x"></i></button>`;
+      }
+      return `
+        <tr>
+          <td><a href="#" onclick="window.togglePurchaseOrder(${po.id}); return false;"><b>#${po.id}</b></a><br><small class="pe-text-muted">${Utils.formatDate(po.created_at)}</small></td>
+          <td>${po.supplier}</td>
+          <td>${(po.order_ids || []).map((id) => `#${id}`).join(", ")}</td>
+          <td>${Utils.formatCurrency(po.total)}</td>
+          <td><span class="pe-badge ${badge}">${label}</span></td>
+          <td style="display:flex; gap:0.5rem; align-items:center;">${actions}</td>
+        </tr>
+        <tr id="poDetails_${po.id}" style="display:none;"><td colspan="6"></td></tr>
+      `;
+    })
+    .join("");
+  if (typeof feather !== "undefined") feather.replace();
+}
+
+// Сводка позиций PO (суммарно по всем объектам) — раскрывается по клику
+window.togglePurchaseOrder = async (id) => {
+  const row = document.getElementById(`poDetails_${id}`);
+  if (!row) return;
+  if (row.style.display !== "none") {
+    row.style.display = "none";
+    return;
+  }
+  try {
+    const po = await API.getPurchaseOrder(id);
+    row.firstElementChild.innerHTML = po.items
+      .map(
+        (item) =>
+          `<div>${item.name} — <b>${item.qty} ${item.unit}</b> · ${Utils.formatCurrency(item.sum)} <small class="pe-text-muted">(${item.order_ids.map((o) => `#${o}`).join(", ")})</small></div>`,
+      )
+      .join("");
+    row.style.display = "";
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+window.updatePurchaseOrder = async (id, action) => {
+  const messages = {
+    send: "toast.poSent",
+    receive: "toast.poReceived",
+    cancel: "toast.poCancelled",
+  };
+  if (action === "cancel" && !confirm(I18n.t("toast.poCancelConfirm", { id })))
+    return;
+  const data =
+    action === "receive"
+      ? { accountId: document.getElementById(`poAccount_${id}`)?.value }
+      : {};
+  try {
+    const result = await API.updatePurchaseOrder(id, action, data);
+    Utils.showToast(I18n.t(messages[action]), "success");
+    if (result.skippedOrders?.length) {
+      Utils.showToast(
+        I18n.t("toast.poSkippedOrders", {
+          orders: result.skippedOrders.map((o) => `#${o}`).join(", "),
+        }),
+        "info",
+      );
+    }
+    await loadPurchaseOrders();
+    loadOrders();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+async function generatePurchaseOrders(orderIds) {
+  const created = await API.generatePurchaseOrders(orderIds);
+  Utils.showToast(
+    I18n.t("purchases.created", { count: created.purchaseOrders.length }),
+    "success",
+  );
+  loadOrders();
+}
+
+function stockLocationOptions(selectedId) {
+  return State.stockLocations
+    .map(
+      (l) =>
+        `<option value="${l.id}" ${String(l.id) === String(selectedId) ? "selected" : ""}>${l.name}</option>`,
+    )
+    .join("");
+}
+
+function renderStockSelects(filterId) {
+  const filter = document.getElementById("stockLocationFilter");
+  if (filter) {
+    filter.innerHTML = `<option value="">${I18n.t("stock.allLocations")}</option>${stockLocationOptions(filterId)}`;
+  }
+  const from = document.getElementById("stockMoveFrom");
+  const to = document.getElementById("stockMoveTo");
+  if (from) from.innerHTML = stockLocationOptions(from.value);
+  if (to) to.innerHTML = stockLocationOptions(to.value);
+
+  const material = document.getElementById("stockMoveMaterial");
+  if (material) {
+    const selected = material.value;
+    material.innerHTML = State.materials
+      .map(
+        (m) =>
+          `<option value="${m.id}" ${String(m.id) === selected ? "selected" : ""}>${m.name} (${m.sku})</option>`,
+      )
+      .join("");
+  }
+  toggleStockMoveFields();
+}
+
+// Приход и корректировка — одна локация (поле "Куда"), перемещение — две
+function toggleStockMoveFields() {
+  const kind = document.getElementById("stockMoveKind")?.value;
+  const from = document.getElementById("stockMoveFrom");
+  if (from) from.style.display = kind === "transfer" ? "" : "none";
+}
+
+function renderStockTable(balances) {
+  const tbody = document.getElementById("stockTableBody");
+  if (!tbody) return;
+  if (balances.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="pe-text-muted text-center">${I18n.t("stock.empty")}</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = balances
+    .map((b) => {
+      const qty = parseFloat(b.qty) || 0;
+      return `
+        <tr>
+          <td>${b.location_name}</td>
+          <td><code>${b.sku}</code></td>
+          <td>${b.name}</td>
+          <td><strong>${qty}</strong> ${b.unit}</td>
+          <td>${Utils.formatCurrency(qty * (parseFloat(b.purchase_price) || 0))}</td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
+function renderLowStock(items) {
+  const container = document.getElementById("lowStockList");
+  if (!container) return;
+  container.innerHTML = items.length
+    ? `<div class="pe-text-danger"><strong>${I18n.t("stock.belowMinimum")}</strong> ${items
+        .map(
+          (i) =>
+            `${i.name} — ${parseFloat(i.qty)} / ${parseFloat(i.min_stock)} ${i.unit}`,
+        )
+        .join("; ")}</div>`
+    : "";
+}
+
+function renderStockMovements(movements) {
+  const tbody = document.getElementById("stockMovementsTableBody");
+  if (!tbody) return;
+  if (movements.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="7" class="pe-text-muted text-center">${I18n.t("stock.noMovements")}</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = movements
+    .map(
+      (m) => `
+        <tr>
+          <td>${Utils.formatDate(m.created_at)}</td>
+          <td>${I18n.t(`stock.kinds.${m.kind}`)}</td>
+          <td>${m.material_name}</td>
+          <td>${m.location_from_name || "—"} → ${m.location_to_name || "—"}</td>
+          <td>${parseFloat(m.qty)} ${m.unit}</td>
+          <td>${m.order_id ? `#${m.order_id}` : ""}</td>
+          <td>${m.user_name || ""}</td>
+        </tr>
+      `,
+    )
+    .join("");
+}
+
+// Выдача со склада в карточке объекта: план BOM против выданного
+async function loadOrderStockIssues(orderId, isDone) {
+  const container = document.getElementById("modalStockIssues");
+  if (!container) return;
+  container.innerHTML = `<div class="pe-text-muted" style="font-size: 0.875rem;">${I18n.t("nav.loading")}</div>`;
+  try {
+    const [lines, locations] = await Promise.all([
+      API.getOrderMaterials(orderId),
+      State.stockLocations.length
+        ? State.stockLocations
+        : API.getStockLocations(),
+    ]);
+    State.stockLocations = locations;
+    if (State.selectedOrderId !== orderId) return;
+
+    if (lines.length === 0) {
+      container.innerHTML = `<div class="pe-text-muted" style="font-size: 0.875rem;">${I18n.t("stock.noCatalogItems")}</div>`;
+      return;
+    }
+    const lock = isDone ? "disabled" : "";
+    container.innerHTML = lines
+      .map(
+        (line) => `
+        <div style="display:flex; gap:0.5rem; margin-bottom:0.5rem; align-items:center;">
+          <span style="flex:1; font-size:0.8rem;">${line.name}<br><small class="pe-text-muted">${I18n.t("stock.issuedOf", { issued: line.issued, planned: line.planned, unit: line.unit })} · ${Utils.formatCurrency(line.cost)}</small></span>
+          <select class="pe-input pe-input-sm" style="width:130px;" id="stockIssueLoc_${line.material_id}" ${lock}>${stockLocationOptions()}</select>
+          <input type="number" class="pe-input pe-input-sm" style="width:70px;" id="stockIssueQty_${line.material_id}" value="${Math.max(line.planned - line.issued, 0) || ""}" placeholder="${I18n.t("common.qty")}" ${lock}>
+          <button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.moveOrderMaterial(${line.material_id}, 'issue')" ${lock}>${I18n.t("stock.issue")}</button>
+          <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.moveOrderMaterial(${line.material_id}, 'return')" ${lock || (line.issued > 0 ? "" : "disabled")}>${I18n.t("stock.return")}</button>
+        </div>
+      `,
+      )
+      .join("");
+  } catch (err) {
+    container.innerHTML = `<div class="pe-text-danger" style="font-size: 0.875rem;">${err.message}</div>`;
+  }
+}
+
+window.moveOrderMaterial = async (materialId, kind) => {
+  const orderId = State.selectedOrderId;
+  if (!orderId) return;
+  const qty = document.getElementById(`stockIssueQty_${materialId}`).value;
+  const locationId = document.getElementById(
+    `stockIssueLoc_${materialId}`,
+  ).value;
+  if (!qty || qty <= 0)
+    return Utils.showToast(I18n.t("toast.invalidQuantity"), "error");
+  try {
+    const result = await API.moveOrderMaterial(orderId, kind, {
+      materialId,
+      locationId,
+      qty,
+    });
+    // Расход по себестоимости уже в финансах объекта
+    const order = State.orders.find((o) => o.id === orderId);
+    if (order) {
+      order.details = { ...order.details, financials: result.financials };
+      renderOrderFinancials(order);
+    }
+    Utils.showToast(
+      I18n.t(
+        kind === "issue" ? "toast.materialIssued" : "toast.materialReturned",
+      ),
+      "success",
+    );
+    loadOrderStockIssues(orderId, false);
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+// Оплаты клиента в карточке объекта: собрано, остаток, история платежей
+async function loadOrderPayments(orderId) {
+  const list = document.getElementById("modalPaymentsList");
+  if (!list) return;
+  list.innerHTML = `<div class="pe-text-muted" style="font-size: 0.875rem;">${I18n.t("nav.loading")}</div>`;
+  try {
+    const canChooseAccount = can("finance.edit");
+    const [{ payments, summary }, accounts, invoices] = await Promise.all([
+      API.getOrderPayments(orderId),
+      canChooseAccount && !State.financeAccounts.length
+        ? API.getFinanceAccounts()
+        : State.financeAccounts,
+      API.getPaymentInvoices(orderId),
+    ]);
+    State.financeAccounts = accounts;
+    if (State.selectedOrderId !== orderId) return;
+
+    const accountSelect = document.getElementById("paymentAccount");
+    if (canChooseAccount && accountSelect.options.length === 1) {
+      accountSelect.insertAdjacentHTML(
+        "beforeend",
+        accounts
+          .map(
+            (a) =>
+              `<option value="${a.id}">${I18n.t("payments.toAccount", { name: a.name })}</option>`,
+          )
+          .join(""),
+      );
+    }
+    document.getElementById("paymentAmount").value =
+      summary.outstanding > 0 ? summary.outstanding : "";
+    renderPaymentInvoice(invoices[0], invoices);
+
+    document.getElementById("modalPaymentsSummary").innerHTML = `
+      <div style="display:flex; justify-content:space-between; font-size:0.875rem;">
+        <span>${I18n.t("payments.total")} <b>${Utils.formatCurrency(summary.total)}</b></span>
+        <span>${I18n.t("payments.collected")} <b class="pe-text-success">${Utils.formatCurrency(summary.collected)}</b></span>
+        <span>${I18n.t("payments.outstanding")} <b class="${summary.outstanding > 0 ? "pe-text-danger" : ""}">${Utils.formatCurrency(summary.outstanding)}</b></span>
+      </div>`;
+
+    list.innerHTML = payments.length
+      ? payments
+          .map(
+            (p) => `
+        <div style="display:flex; justify-content:space-between; font-size:0.8rem; margin-bottom:0.25rem;">
+          <span>${Utils.formatDate(p.received_at)} · ${I18n.t(`payments.methods.${p.method}`)}${p.kind === "prepayment" ? ` · ${I18n.t("payments.prepayment")}` : ""}<br>
+            <small class="pe-text-muted">${p.account_name ? I18n.t("payments.account", { name: p.account_name }) : I18n.t("payments.withBrigade")}${p.comment ? ` · ${p.comment}` : ""}</small></span>
+          <b>${Utils.formatCurrency(p.amount)}</b>
+        </div>`,
+          )
+          .join("")
+      : `<div class="pe-text-muted" style="font-size: 0.875rem;">${I18n.t("payments.empty")}</div>`;
+  } catch (err) {
+    list.innerHTML = `<div class="pe-text-danger" style="font-size: 0.875rem;">${err.message}</div>`;
+  }
+}
+
+// Актуальный счет онлайн-оплаты: QR показывается только у свежесозданного.
+// Оплаты на ручной сверке (status = 'review') видны, даже если счет не последний.
+function renderPaymentInvoice(invoice, invoices = []) {
+  const box = document.getElementById("modalPaymentInvoice");
+  if (!box) return;
+  if (!invoice) {
+    box.innerHTML = "";
+    return;
+  }
+  const reviews = invoices.filter(
+    (i) => i.status === "review" && i.id !== invoice.id,
+  );
+  box.innerHTML = `
+    <div style="font-size:0.8rem;">
+      ${I18n.t("payments.invoice", { id: invoice.id, amount: `<b>${Utils.formatCurrency(invoice.amount)}</b>` })} · ${I18n.t(`payments.invoiceStatuses.${invoice.status}`)}
+      ${invoice.status === "pending" && invoice.payment_url ? `<br><a href="${invoice.payment_url}" target="_blank" rel="noopener">${I18n.t("payments.paymentLink")}</a>` : ""}
+      ${invoice.status === "review" ? `<br><span class="pe-text-danger">${invoice.review_reason || ""}</span>` : ""}
+    </div>
+    ${reviews
+      .map(
+        (i) =>
+          `<div style="font-size:0.8rem;" class="pe-text-danger">${I18n.t("payments.invoiceReceived", { id: i.id, amount: Utils.formatCurrency(i.paid_amount) })} · ${I18n.t("payments.invoiceStatuses.review")} (${i.review_reason || ""})</div>`,
+      )
+      .join("")}
+    ${invoice.qrDataUrl ? `<img src="${invoice.qrDataUrl}" alt="QR" style="width:160px; height:160px; margin-top:0.5rem;">` : ""}`;
+}
+
+async function createPaymentInvoice() {
+  const orderId = State.selectedOrderId;
+  if (!orderId) return;
+  try {
+    const { invoice } = await API.createPaymentInvoice(orderId);
+    renderPaymentInvoice(invoice);
+    Utils.showToast(I18n.t("toast.invoiceIssued"), "success");
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+async function addOrderPayment() {
+  const orderId = State.selectedOrderId;
+  if (!orderId) return;
+  const amount = parseFloat(document.getElementById("paymentAmount").value);
+  if (!amount || amount <= 0)
+    return Utils.showToast(I18n.t("toast.paymentAmountRequired"), "error");
+  try {
+    await API.addOrderPayment(orderId, {
+      amount,
+      method: document.getElementById("paymentMethod").value,
+      accountId: document.getElementById("paymentAccount").value || null,
+      receivedAt: document.getElementById("paymentDate").value || null,
+      comment: document.getElementById("paymentComment").value,
+    });
+    document.getElementById("paymentComment").value = "";
+    Utils.showToast(I18n.t("toast.paymentRecorded"), "success");
+    loadOrderPayments(orderId);
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+// =============================================================================
+// 📅 КАЛЕНДАРЬ ВЫЕЗДОВ (ЗАМЕРЫ И МОНТАЖ)
+// =============================================================================
+
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+function shiftScheduleWeek(days) {
+  const next = new Date(State.scheduleWeekStart || getWeekStart(new Date()));
+  next.setDate(next.getDate() + days);
+  State.scheduleWeekStart = next;
+  loadSchedule();
+}
+
+function getWeekStart(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+async function loadSchedule() {
+  if (!State.scheduleWeekStart)
+    State.scheduleWeekStart = getWeekStart(new Date());
+  const from = State.scheduleWeekStart;
+  const to = new Date(from);
+  to.setDate(to.getDate() + 7);
+
+  const canViewBrigades = can("brigades.view");
+  if (canViewBrigades && State.brigades.length === 0)
+    State.brigades = await API.getBrigades();
+  if (canViewBrigades) fillScheduleBrigadeSelects();
+
+  try {
+    const appointments = await API.getAppointments(
+      from.toISOString(),
+      to.toISOString(),
+      document.getElementById("scheduleBrigadeFilter")?.value,
+    );
+    renderSchedule(appointments);
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+function fillScheduleBrigadeSelects() {
+  const options = State.brigades
+    .filter((b) => b.is_active)
+    .map((b) => `<option value="${b.id}">${b.name}</option>`)
+    .join("");
+  ["scheduleBrigadeFilter", "apptBrigade"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (!select || select.options.length > 1) return;
+    select.insertAdjacentHTML("beforeend", options);
+  });
+}
+
+function renderSchedule(appointments) {
+  const grid = document.getElementById("scheduleGrid");
+  if (!grid) return;
+  const start = State.scheduleWeekStart;
+  const end = new Date(start);
+  end.setDate(end.getDate() + 6);
+  const dayLabel = (d) =>
+    d.toLocaleDateString(I18n.getLocaleTag(), {
+      day: "2-digit",
+      month: "2-digit",
+    });
+  document.getElementById("scheduleWeekLabel").textContent =
+    `${dayLabel(start)} — ${dayLabel(end)}`;
+
+  const todayKey = new Date().toDateString();
+  const time = (d) =>
+    new Date(d).toLocaleTimeString(I18n.getLocaleTag(), {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  grid.innerHTML = WEEKDAYS.map((weekday, i) => {
+    const day = new Date(start);
+    day.setDate(day.getDate() + i);
+    const items = appointments
+      .filter(
+        (a) => new Date(a.starts_at).toDateString() === day.toDateString(),
+      )
+      .map((a) => {
+        const actions =
+          a.status === "scheduled"
+            ? `<div class="pe-mt-2">
+                <button class="pe-btn pe-btn-primary pe-btn-sm pe-btn-icon" title="${I18n.t("schedule.done")}" onclick="window.updateAppointment(${a.id}, { status: 'done' })"><i data-feather="check"></i></button>
+                <button class="pe-btn pe-btn-secondary pe-btn-sm pe-btn-icon" title="${I18n.t("schedule.reschedule")}" onclick="window.rescheduleAppointment(${a.id}, '${a.starts_at}', '${a.ends_at}')"><i data-feather="clock"></i></button>
+                <button class="pe-btn pe-btn-danger pe-btn-sm pe-btn-icon" title="${I18n.t("common.cancel")}" onclick="window.updateAppointment(${a.id}, { status: 'cancelled' })"><i data-feather="x"></i></button>
+              </div>`
+            : "";
+        return `
+          <div class="pe-schedule-item kind-${a.kind} status-${a.status}">
+            <b>${time(a.starts_at)}–${time(a.ends_at)}</b> · ${I18n.t(`schedule.kinds.${a.kind}`)}
+            <br><a href="#" onclick="window.openOrderModal(${a.order_id}); return false;">#${a.order_id}</a> ${a.client_name || ""}
+            <br><small class="pe-text-muted">${a.brigade_name || I18n.t("common.exchange")}${a.address ? ` · ${a.address}` : ""}</small>
+            ${actions}
+          </div>`;
+      })
+      .join("");
+    return `
+      <div class="pe-schedule-day ${day.toDateString() === todayKey ? "today" : ""}">
+        <b>${I18n.t(`schedule.weekdays.${weekday}`)}</b> <span class="pe-text-muted">${dayLabel(day)}</span>
+        ${items || `<div class="pe-text-muted pe-mt-2"><small>${I18n.t("schedule.free")}</small></div>`}
+      </div>`;
+  }).join("");
+  if (typeof feather !== "undefined") feather.replace();
+}
+
+window.updateAppointment = async (id, data) => {
+  if (data.status === "cancelled" && !confirm(I18n.t("schedule.cancelConfirm")))
+    return;
+  try {
+    await API.updateAppointment(id, data);
+    Utils.showToast(I18n.t("toast.appointmentUpdated"), "success");
+    loadSchedule();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+// Перенос с сохранением длительности
+window.rescheduleAppointment = async (id, startsAt, endsAt) => {
+  const current = new Date(startsAt);
+  const pad = (n) => String(n).padStart(2, "0");
+  const suggested = `${current.getFullYear()}-${pad(current.getMonth() + 1)}-${pad(current.getDate())} ${pad(current.getHours())}:${pad(current.getMinutes())}`;
+  const input = prompt(I18n.t("schedule.reschedulePrompt"), suggested);
+  if (!input) return;
+  const start = new Date(input.replace(" ", "T"));
+  if (isNaN(start.getTime()))
+    return Utils.showToast(I18n.t("toast.invalidDate"), "error");
+  const end = new Date(start.getTime() + (new Date(endsAt) - current));
+  await window.updateAppointment(id, {
+    startsAt: start.toISOString(),
+    endsAt: end.toISOString(),
+  });
+};
+
+async function createAppointment() {
+  const startsRaw = document.getElementById("apptStartsAt").value;
+  const hours = parseFloat(document.getElementById("apptHours").value) || 0;
+  if (!startsRaw || hours <= 0)
+    return Utils.showToast(I18n.t("toast.timeRequired"), "error");
+  const startsAt = new Date(startsRaw);
+  const endsAt = new Date(startsAt.getTime() + hours * 3600000);
+  try {
+    await API.createAppointment({
+      orderId: parseInt(document.getElementById("apptOrderId").value),
+      kind: document.getElementById("apptKind").value,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      brigadeId: document.getElementById("apptBrigade")?.value || null,
+      comment: document.getElementById("apptComment").value,
+    });
+    Utils.showToast(I18n.t("toast.appointmentAdded"), "success");
+    document.getElementById("apptComment").value = "";
+    State.scheduleWeekStart = getWeekStart(startsAt);
+    loadSchedule();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+// =============================================================================
+// 7. 🏢 ГЛОБАЛЬНАЯ КАССА (CORPORATE FINANCE)
+// =============================================================================
+
+async function loadFinance() {
+  try {
+    const accounts = await API.getFinanceAccounts();
+    State.financeAccounts = accounts;
+
+    const grid = document.getElementById("financeAccountsGrid");
+    const accountSelect = document.getElementById("txAccount");
+    if (grid) grid.innerHTML = "";
+    if (accountSelect) accountSelect.innerHTML = "";
+
+    if (Array.isArray(accounts)) {
+      accounts.forEach((acc) => {
+        const icon =
+          acc.type === "cash"
+            ? "dollar-sign"
+            : acc.type === "brigade_acc"
+              ? "hard-hat"
+              : "credit-card";
+        const colorClass =
+          acc.balance >= 0 ? "pe-kpi-primary" : "pe-kpi-danger";
+
+        grid.innerHTML += `
+          <div class="pe-card pe-card-kpi ${colorClass}">
+            <div class="pe-kpi-icon"><i data-feather="${icon}"></i></div>
+            <div class="pe-kpi-data">
+              <span class="pe-kpi-label">${acc.name}</span>
+              <h3 class="pe-kpi-value">${Utils.formatCurrency(acc.balance)}</h3>
+            </div>
+          </div>
+        `;
+        accountSelect.innerHTML += `<option value="${acc.id}">${I18n.t("finance.accountOption", { name: acc.name, balance: Utils.formatCurrency(acc.balance) })}</option>`;
+      });
+    }
+
+    const transactions = await API.getFinanceTransactions(50);
+    const tbody = document.getElementById("transactionsTableBody");
+    if (!tbody) return;
+    tbody.innerHTML = "";
 
     if (!Array.isArray(transactions) || transactions.length === 0) {
-      tbody.innerHTML =
-        '<tr><td colspan="6" class="pe-text-center pe-text-muted">Операций нет</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="6" class="pe-text-center pe-text-muted">${I18n.t("finance.empty")}</td></tr>`;
     } else {
       transactions.forEach((tx) => {
         const isIncome = tx.type === "income";
@@ -972,8 +2252,8 @@ async function loadFinance() {
         const tr = document.createElement("tr");
         tr.innerHTML = `
           <td>${Utils.formatDate(tx.created_at)}</td>
-          <td><span class="pe-badge ${isIncome ? "badge-done" : "badge-cancel"}">${isIncome ? "ДОХОД" : "РАСХОД"}</span></td>
-          <td><b>${tx.account_name || "Неизвестный счет"}</b></td>
+          <td><span class="pe-badge ${isIncome ? "badge-done" : "badge-cancel"}">${I18n.t(isIncome ? "finance.income" : "finance.expense")}</span></td>
+          <td><b>${tx.account_name || I18n.t("finance.unknownAccount")}</b></td>
           <td>${tx.category || "—"}</td>
           <td class="${amountClass} fw-bold">${isIncome ? "+" : "-"}${Utils.formatCurrency(tx.amount)}</td>
           <td>${tx.comment || "—"}</td>
@@ -981,9 +2261,50 @@ async function loadFinance() {
         tbody.appendChild(tr);
       });
     }
+    await loadTrialBalance();
     if (typeof feather !== "undefined") feather.replace();
   } catch (e) {
-    Utils.showToast("Ошибка загрузки финансового модуля", "error");
+    Utils.showToast(I18n.t("toast.financeFailed"), "error");
+  }
+}
+
+// Сверка кэшированных балансов счетов с журналом двойной записи
+async function loadTrialBalance() {
+  const tbody = document.getElementById("trialBalanceTableBody");
+  const status = document.getElementById("trialBalanceStatus");
+  if (!tbody) return;
+
+  const report = await API.getTrialBalance();
+  tbody.innerHTML = "";
+
+  (report.accounts || []).forEach((acc) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><b>${acc.name}</b></td>
+      <td>${I18n.t(`finance.accountTypes.${acc.type}`)}</td>
+      <td>${Utils.formatCurrency(acc.total_debit)}</td>
+      <td>${Utils.formatCurrency(acc.total_credit)}</td>
+      <td>${Utils.formatCurrency(acc.journal_balance)}</td>
+      <td>${Utils.formatCurrency(acc.cached_balance)}</td>
+      <td class="${acc.has_drift ? "pe-text-danger fw-bold" : "pe-text-muted"}">${acc.has_drift ? Utils.formatCurrency(acc.drift) : "—"}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td colspan="2"><b>${I18n.t("finance.total")}</b></td>
+    <td class="fw-bold">${Utils.formatCurrency(report.totals?.debit)}</td>
+    <td class="fw-bold">${Utils.formatCurrency(report.totals?.credit)}</td>
+    <td colspan="3" class="pe-text-muted">${I18n.t("finance.unbalanced", { count: (report.unbalancedEntries || []).length })}</td>
+  `;
+  tbody.appendChild(tr);
+
+  if (status) {
+    status.className = `pe-badge ${report.hasDrift ? "badge-cancel" : "badge-done"}`;
+    status.textContent = I18n.t(
+      report.hasDrift ? "finance.drift" : "finance.balanced",
+    );
   }
 }
 
@@ -1015,13 +2336,17 @@ function bindGlobalEvents() {
       State.selectedOrderId = null;
     });
 
+  document.querySelectorAll("#orderModalTabs .pe-tab").forEach((tab) => {
+    tab.addEventListener("click", () => switchOrderTab(tab.dataset.tab));
+  });
+
   document
     .getElementById("btnTakeOrderWeb")
     ?.addEventListener("click", async () => {
       if (!State.selectedOrderId) return;
       try {
         await API.takeOrderWeb(State.selectedOrderId);
-        Utils.showToast("Вы забрали заказ с биржи!", "success");
+        Utils.showToast(I18n.t("toast.orderTaken"), "success");
         document.getElementById("orderModal").style.display = "none";
         loadOrders();
       } catch (e) {
@@ -1037,7 +2362,7 @@ function bindGlobalEvents() {
       const comment = document.getElementById("modalOrderComment").value;
       try {
         await API.updateOrderMetadata(State.selectedOrderId, address, comment);
-        Utils.showToast("Данные объекта сохранены", "success");
+        Utils.showToast(I18n.t("toast.orderSaved"), "success");
         loadOrders();
       } catch (e) {
         Utils.showToast(e.message, "error");
@@ -1050,7 +2375,7 @@ function bindGlobalEvents() {
       if (!State.selectedOrderId || !e.target.value) return;
       try {
         await API.assignBrigade(State.selectedOrderId, e.target.value);
-        Utils.showToast("Бригада назначена на объект", "success");
+        Utils.showToast(I18n.t("toast.brigadeAssigned"), "success");
         loadOrders();
         document.getElementById("orderModal").style.display = "none";
       } catch (err) {
@@ -1064,11 +2389,21 @@ function bindGlobalEvents() {
       if (!State.selectedOrderId) return;
       try {
         await API.updateOrderStatus(State.selectedOrderId, e.target.value);
-        Utils.showToast("Статус обновлен", "success");
+        Utils.showToast(I18n.t("toast.statusUpdated"), "success");
         loadOrders();
         document.getElementById("orderModal").style.display = "none";
       } catch (err) {
-        Utils.showToast(err.message, "error");
+        if (err.code === "ORDER_TRANSITION_REJECTED") {
+          // Откат селекта к фактическому статусу и подсказка по допустимым шагам
+          e.target.value = err.details.from;
+          const allowed = (err.details.allowed || []).join(", ") || "—";
+          Utils.showToast(
+            I18n.t("toast.statusAllowed", { message: err.message, allowed }),
+            "error",
+          );
+        } else {
+          Utils.showToast(err.message, "error");
+        }
       }
     });
 
@@ -1076,22 +2411,22 @@ function bindGlobalEvents() {
     .getElementById("btnFinalizeOrder")
     ?.addEventListener("click", async () => {
       if (!State.selectedOrderId) return;
-      if (
-        !confirm(
-          "Вы уверены, что хотите закрыть объект? Будет произведен расчет долей и начислен долг на бригаду.",
-        )
-      )
-        return;
+      if (!confirm(I18n.t("orders.finalizeConfirm"))) return;
 
       try {
         const btn = document.getElementById("btnFinalizeOrder");
         btn.disabled = true;
-        btn.innerHTML = `<i data-feather="loader" class="spin"></i> Расчет...`;
+        btn.innerHTML = `<i data-feather="loader" class="spin"></i> ${I18n.t("orders.finalizing")}`;
         if (typeof feather !== "undefined") feather.replace();
 
         const res = await API.finalizeOrder(State.selectedOrderId);
         Utils.showToast(
-          `Объект закрыт! Заработано бригадой: ${Utils.formatCurrency(res.distribution.brigadeShare)}. Долг Шефу: ${Utils.formatCurrency(res.distribution.ownerShare)}`,
+          I18n.t("orders.finalized", {
+            brigadeShare: Utils.formatCurrency(res.distribution.brigadeShare),
+            ownerDue: Utils.formatCurrency(
+              res.distribution.ownerDue ?? res.distribution.ownerShare,
+            ),
+          }),
           "success",
         );
 
@@ -1103,12 +2438,47 @@ function bindGlobalEvents() {
         const btn = document.getElementById("btnFinalizeOrder");
         if (btn) {
           btn.disabled = false;
-          btn.innerHTML = `<i data-feather="check-circle"></i> ЗАКРЫТЬ И РАСПРЕДЕЛИТЬ ПРИБЫЛЬ`;
+          btn.innerHTML = `<i data-feather="check-circle"></i> ${I18n.t("orders.finalizeButton")}`;
           if (typeof feather !== "undefined") feather.replace();
         }
       }
     });
 
+  document
+    .getElementById("btnStornoOrder")
+    ?.addEventListener("click", async () => {
+      if (!State.selectedOrderId) return;
+      const reason = prompt(I18n.t("orders.stornoPrompt"));
+      if (reason === null) return;
+      if (reason.trim().length < 3)
+        return Utils.showToast(I18n.t("toast.stornoReasonRequired"), "error");
+
+      const btn = document.getElementById("btnStornoOrder");
+      try {
+        btn.disabled = true;
+        const res = await API.reverseOrderFinalization(
+          State.selectedOrderId,
+          reason.trim(),
+        );
+        Utils.showToast(
+          I18n.t("orders.stornoDone", {
+            brigadeShare: Utils.formatCurrency(res.reversal.brigadeShare),
+            ownerShare: Utils.formatCurrency(res.reversal.ownerShare),
+          }),
+          "success",
+        );
+
+        document.getElementById("orderModal").style.display = "none";
+        loadOrders();
+        if (State.currentView === "dashboardView") loadDashboard();
+        if (State.currentView === "financeView") loadFinance();
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
   document
     .getElementById("btnUpdateFinalPrice")
     ?.addEventListener("click", async () => {
@@ -1118,7 +2488,7 @@ function bindGlobalEvents() {
           State.selectedOrderId,
           document.getElementById("modalFinalPrice").value,
         );
-        Utils.showToast("Итоговая цена зафиксирована", "success");
+        Utils.showToast(I18n.t("toast.finalPriceSaved"), "success");
         loadOrders();
       } catch (err) {
         Utils.showToast(err.message, "error");
@@ -1132,7 +2502,7 @@ function bindGlobalEvents() {
       const amount = document.getElementById("newExpenseAmount").value;
       const cat = document.getElementById("newExpenseCat").value;
       if (!amount || amount <= 0)
-        return Utils.showToast("Введите корректную сумму", "error");
+        return Utils.showToast(I18n.t("toast.invalidAmount"), "error");
       try {
         await API.addOrderExpense(
           State.selectedOrderId,
@@ -1140,7 +2510,7 @@ function bindGlobalEvents() {
           cat,
           "Web CRM",
         );
-        Utils.showToast("Расход добавлен", "success");
+        Utils.showToast(I18n.t("toast.expenseSaved"), "success");
         document.getElementById("newExpenseAmount").value = "";
         document.getElementById("newExpenseCat").value = "";
         loadOrders();
@@ -1155,9 +2525,20 @@ function bindGlobalEvents() {
     .getElementById("btnOpenManualOrderModal")
     ?.addEventListener(
       "click",
-      () =>
-        (document.getElementById("manualOrderModal").style.display = "flex"),
-    );
+      async () => {
+        document.getElementById("manualOrderModal").style.display = "flex";
+        try {
+          if (!State.estimateRules)
+            State.estimateRules = await API.getEstimateRules();
+          fillManualWallTypes();
+        } catch (e) {
+          /* Остаются типы стен по умолчанию */
+        }
+      },
+    );
+  document
+    .getElementById("manualObjectType")
+    ?.addEventListener("change", fillManualWallTypes);
   document
     .getElementById("btnCloseManualModal")
     ?.addEventListener(
@@ -1175,12 +2556,14 @@ function bindGlobalEvents() {
         area: document.getElementById("manualArea").value,
         rooms: document.getElementById("manualRooms").value,
         wallType: document.getElementById("manualWallType").value,
+        objectType: document.getElementById("manualObjectType").value,
       };
       try {
         await API.createManualOrder(data);
         document.getElementById("manualOrderModal").style.display = "none";
         document.getElementById("formManualOrder").reset();
-        Utils.showToast("Оффлайн-заказ успешно создан!", "success");
+        fillManualWallTypes();
+        Utils.showToast(I18n.t("toast.offlineOrderCreated"), "success");
         loadOrders();
       } catch (err) {
         Utils.showToast(err.message, "error");
@@ -1212,7 +2595,7 @@ function bindGlobalEvents() {
         );
         document.getElementById("brigadeModal").style.display = "none";
         document.getElementById("formBrigade").reset();
-        Utils.showToast("Бригада создана", "success");
+        Utils.showToast(I18n.t("toast.brigadeCreated"), "success");
         loadBrigades();
       } catch (err) {
         Utils.showToast(err.message, "error");
@@ -1238,7 +2621,7 @@ function bindGlobalEvents() {
           null,
         );
         document.getElementById("editBrigadeModal").style.display = "none";
-        Utils.showToast("Процент успешно изменен", "success");
+        Utils.showToast(I18n.t("toast.percentUpdated"), "success");
         loadBrigades();
       } catch (err) {
         Utils.showToast(err.message, "error");
@@ -1260,7 +2643,7 @@ function bindGlobalEvents() {
       const amount = document.getElementById("incAmount").value;
       try {
         await API.approveIncassation(brigadierId, amount);
-        Utils.showToast("Деньги приняты, долг списан!", "success");
+        Utils.showToast(I18n.t("toast.incassationDone"), "success");
         document.getElementById("incassationModal").style.display = "none";
         loadBrigades();
         loadFinance();
@@ -1298,7 +2681,7 @@ function bindGlobalEvents() {
         await API.addFinanceTransaction(data);
         document.getElementById("transactionModal").style.display = "none";
         document.getElementById("formTransaction").reset();
-        Utils.showToast("Операция успешно проведена", "success");
+        Utils.showToast(I18n.t("toast.transactionDone"), "success");
         loadFinance();
       } catch (err) {
         Utils.showToast(err.message, "error");
@@ -1309,34 +2692,399 @@ function bindGlobalEvents() {
     .getElementById("btnDownloadBackup")
     ?.addEventListener("click", async () => {
       try {
-        Utils.showToast("Формирование дампа...", "info");
+        Utils.showToast(I18n.t("toast.backupStarting"), "info");
         const res = await API.downloadBackup();
         Utils.downloadBlob(
           res,
           `ProElectric_DB_${new Date().toISOString().slice(0, 10)}.json`,
         );
-        Utils.showToast("Резервная копия скачана", "success");
+        Utils.showToast(I18n.t("toast.backupDownloaded"), "success");
       } catch (e) {
-        Utils.showToast("Ошибка скачивания бекапа", "error");
+        Utils.showToast(I18n.t("toast.backupFailed"), "error");
+      }
+    });
+
+  document
+    .getElementById("btnAddMaterial")
+    ?.addEventListener("click", async () => {
+      const value = (id) => document.getElementById(id).value;
+      try {
+        await API.createMaterial({
+          sku: value("newMaterialSku"),
+          name: value("newMaterialName"),
+          unit: value("newMaterialUnit"),
+          purchasePrice: value("newMaterialPurchase"),
+          sellPrice: value("newMaterialSell"),
+          supplier: value("newMaterialSupplier"),
+        });
+        [
+          "newMaterialSku",
+          "newMaterialName",
+          "newMaterialPurchase",
+          "newMaterialSell",
+          "newMaterialSupplier",
+        ].forEach((id) => (document.getElementById(id).value = ""));
+        Utils.showToast(I18n.t("toast.materialAdded"), "success");
+        loadWarehouse();
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      }
+    });
+
+  document
+    .getElementById("purchaseStatusFilter")
+    ?.addEventListener("change", () =>
+      loadPurchaseOrders().catch((err) =>
+        Utils.showToast(err.message, "error"),
+      ),
+    );
+
+  document
+    .getElementById("btnGeneratePurchases")
+    ?.addEventListener("click", async () => {
+      const input = document.getElementById("purchaseOrderIds");
+      const orderIds = input.value
+        .split(/[,\s]+/)
+        .map((id) => parseInt(id.replace("#", "")))
+        .filter(Boolean);
+      try {
+        await generatePurchaseOrders(orderIds);
+        input.value = "";
+        await loadPurchaseOrders();
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      }
+    });
+
+  document
+    .getElementById("btnOrderPurchase")
+    ?.addEventListener("click", async () => {
+      if (!State.selectedOrderId) return;
+      try {
+        await generatePurchaseOrders([State.selectedOrderId]);
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      }
+    });
+
+  document
+    .getElementById("btnAddPayment")
+    ?.addEventListener("click", addOrderPayment);
+
+  document
+    .getElementById("btnCreateInvoice")
+    ?.addEventListener("click", createPaymentInvoice);
+
+  document
+    .getElementById("btnSchedulePrev")
+    ?.addEventListener("click", () => shiftScheduleWeek(-7));
+  document
+    .getElementById("btnScheduleNext")
+    ?.addEventListener("click", () => shiftScheduleWeek(7));
+  document
+    .getElementById("scheduleBrigadeFilter")
+    ?.addEventListener("change", loadSchedule);
+  document
+    .getElementById("btnCreateAppointment")
+    ?.addEventListener("click", createAppointment);
+
+  document
+    .getElementById("stockLocationFilter")
+    ?.addEventListener("change", () =>
+      loadStock().catch((err) => Utils.showToast(err.message, "error")),
+    );
+  document
+    .getElementById("stockMoveKind")
+    ?.addEventListener("change", toggleStockMoveFields);
+
+  document
+    .getElementById("btnStockMovement")
+    ?.addEventListener("click", async () => {
+      const value = (id) => document.getElementById(id).value;
+      const kind = value("stockMoveKind");
+      const data = {
+        materialId: value("stockMoveMaterial"),
+        qty: value("stockMoveQty"),
+        comment: value("stockMoveComment"),
+      };
+      if (kind === "transfer") {
+        data.fromId = value("stockMoveFrom");
+        data.toId = value("stockMoveTo");
+      } else if (kind === "adjustment") {
+        data.locationId = value("stockMoveTo");
+        data.delta = data.qty; // Со знаком: минус — списание
+      } else {
+        data.locationId = value("stockMoveTo");
+      }
+      try {
+        await API.createStockMovement(kind, data);
+        ["stockMoveQty", "stockMoveComment"].forEach(
+          (id) => (document.getElementById(id).value = ""),
+        );
+        Utils.showToast(I18n.t("toast.stockMoved"), "success");
+        await loadStock();
+      } catch (err) {
+        Utils.showToast(err.message, "error");
       }
     });
 
+  // 📤 Выгрузка XLSX/CSV: период из фильтра дашборда, статус из реестра
+  document.querySelectorAll("[data-export]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const { export: dataset, format } = btn.dataset;
+      const startDate = document.getElementById("filterDateStart")?.value;
+      const endDate = document.getElementById("filterDateEnd")?.value;
+      const exporters = {
+        orders: () =>
+          API.exportOrders(
+            format,
+            document.getElementById("orderStatusFilter")?.value,
+            startDate,
+            endDate,
+          ),
+        transactions: () =>
+          API.exportTransactions(format, startDate, endDate),
+        deep: () => API.exportDeepAnalytics(format, startDate, endDate),
+        brigades: () => API.exportBrigadesAnalytics(format, startDate, endDate),
+      };
+
+      btn.disabled = true;
+      try {
+        Utils.showToast(I18n.t("toast.exportStarting"), "info");
+        const res = await exporters[dataset]();
+        Utils.downloadBlob(
+          res,
+          `ProElectric_${dataset}_${new Date().toISOString().slice(0, 10)}.${format}`,
+        );
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  });
+
   document
     .getElementById("btnSendBroadcast")
     ?.addEventListener("click", async () => {
       const text = document.getElementById("broadcastText").value;
-      const target = document.getElementById("broadcastTarget").value;
-      if (!text) return Utils.showToast("Введите текст рассылки", "error");
+      const { filters, segmentId } = collectBroadcastAudience();
+      if (!text)
+        return Utils.showToast(I18n.t("toast.broadcastTextRequired"), "error");
       try {
-        const res = await API.sendBroadcast(text, null, target);
+        const res = await API.sendBroadcast(
+          text,
+          null,
+          filters?.role,
+          filters,
+          segmentId,
+        );
         Utils.showToast(res.message, "success");
         document.getElementById("broadcastText").value = "";
+        loadBroadcasts();
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      }
+    });
+
+  // 🎯 Сегменты аудитории: пересчет получателей при смене фильтров
+  document.querySelectorAll(".broadcast-filter").forEach((input) => {
+    input.addEventListener("change", refreshBroadcastAudience);
+  });
+  document
+    .getElementById("broadcastSegment")
+    ?.addEventListener("change", refreshBroadcastAudience);
+
+  document
+    .getElementById("btnSaveSegment")
+    ?.addEventListener("click", async () => {
+      const nameInput = document.getElementById("broadcastSegmentName");
+      const name = nameInput.value.trim();
+      if (!name)
+        return Utils.showToast(I18n.t("toast.segmentNameRequired"), "error");
+      try {
+        const segment = await API.saveBroadcastSegment({
+          name,
+          filters: collectBroadcastFilters(),
+        });
+        nameInput.value = "";
+        Utils.showToast(I18n.t("toast.segmentSaved"), "success");
+        await loadBroadcastSegments(segment.id);
       } catch (err) {
         Utils.showToast(err.message, "error");
       }
     });
+
+  document
+    .getElementById("btnDeleteSegment")
+    ?.addEventListener("click", async () => {
+      const select = document.getElementById("broadcastSegment");
+      const segment = State.broadcastSegments.find(
+        (s) => String(s.id) === select.value,
+      );
+      if (!segment) return;
+      if (
+        !confirm(
+          I18n.t("broadcast.segmentDeleteConfirm", { name: segment.name }),
+        )
+      )
+        return;
+      try {
+        await API.deleteBroadcastSegment(segment.id);
+        Utils.showToast(I18n.t("toast.segmentDeleted"), "success");
+        await loadBroadcastSegments();
+      } catch (err) {
+        Utils.showToast(err.message, "error");
+      }
+    });
+}
+
+// =============================================================================
+// 📣 ИСТОРИЯ РАССЫЛОК (КАМПАНИИ)
+// =============================================================================
+
+const BROADCAST_STATUS_BADGES = {
+  queued: "badge-new",
+  running: "badge-work",
+  done: "badge-done",
+  cancelled: "badge-cancel",
+};
+
+const BROADCAST_FILTER_INPUTS = {
+  role: "broadcastTarget",
+  orderStatus: "broadcastOrderStatus",
+  completedDaysAgo: "broadcastCompletedDays",
+  inactiveDays: "broadcastInactiveDays",
+  brigadeId: "broadcastBrigade",
+};
+
+function collectBroadcastFilters() {
+  const filters = {};
+  Object.entries(BROADCAST_FILTER_INPUTS).forEach(([key, id]) => {
+    const value = document.getElementById(id)?.value;
+    if (value && value !== "all") filters[key] = value;
+  });
+  if (document.getElementById("broadcastWithoutPhone")?.checked)
+    filters.withoutPhone = true;
+  return filters;
+}
+
+// Аудитория отправки: выбранный сегмент или фильтры формы
+function collectBroadcastAudience() {
+  const segmentId = document.getElementById("broadcastSegment")?.value;
+  return segmentId
+    ? { segmentId: Number(segmentId), filters: null }
+    : { segmentId: null, filters: collectBroadcastFilters() };
+}
+
+async function loadBroadcastSegments(selectedId = "") {
+  const select = document.getElementById("broadcastSegment");
+  if (!select) return;
+  try {
+    const brigadeSelect = document.getElementById("broadcastBrigade");
+    if (State.brigades.length === 0) State.brigades = await API.getBrigades();
+    if (brigadeSelect && brigadeSelect.options.length <= 1) {
+      State.brigades.forEach((b) =>
+        brigadeSelect.add(new Option(b.name, b.id)),
+      );
+    }
+
+    State.broadcastSegments = await API.getBroadcastSegments();
+    select.innerHTML = `<option value="">${I18n.t("broadcast.customSegment")}</option>`;
+    State.broadcastSegments.forEach((s) =>
+      select.add(new Option(s.name, s.id)),
+    );
+    select.value = String(selectedId);
+  } catch (e) {
+    Utils.showToast(e.message, "error");
+  }
+  refreshBroadcastAudience();
+}
+
+function refreshBroadcastAudience() {
+  const segmentId = document.getElementById("broadcastSegment")?.value;
+  // Для сохраненного сегмента фильтры формы не используются
+  document.getElementById("broadcastFilters").style.display = segmentId
+    ? "none"
+    : "";
+  document.getElementById("btnDeleteSegment").style.display = segmentId
+    ? ""
+    : "none";
+
+  const counter = document.getElementById("broadcastAudienceCount");
+  clearTimeout(window.broadcastAudienceTimeout);
+  window.broadcastAudienceTimeout = setTimeout(async () => {
+    try {
+      const { count } = await API.previewBroadcastAudience(
+        collectBroadcastAudience(),
+      );
+      counter.textContent = I18n.t("broadcast.audienceCount", { count });
+    } catch (err) {
+      counter.textContent = err.message;
+    }
+  }, 300);
+}
+
+// Колонка «Аудитория»: имя сегмента или роль (+ отметка о доп. фильтрах)
+function describeBroadcastAudience(c) {
+  if (c.segment_name) return c.segment_name;
+  const audience = I18n.t(`broadcast.audiences.${c.target_role}`);
+  const extra = Object.keys(c.filters || {}).filter((k) => k !== "role");
+  return extra.length
+    ? I18n.t("broadcast.withFilters", { audience })
+    : audience;
+}
+
+async function loadBroadcasts() {
+  const tbody = document.getElementById("broadcastCampaignsBody");
+  if (!tbody) return;
+  try {
+    const campaigns = await API.getBroadcastCampaigns();
+    tbody.innerHTML = "";
+
+    if (!Array.isArray(campaigns) || campaigns.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="5" class="pe-text-center pe-text-muted">${I18n.t("broadcast.empty")}</td></tr>`;
+      return;
+    }
+
+    campaigns.forEach((c) => {
+      const processed = c.sent + c.failed + c.blocked;
+      const percent = c.total ? Math.round((processed / c.total) * 100) : 100;
+      const active = c.status === "queued" || c.status === "running";
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><b>#${c.id}</b> <small class="pe-text-muted">${Utils.formatDate(c.created_at)}${c.created_by_name ? ` · ${c.created_by_name}` : ""}</small><div class="broadcast-text pe-text-muted"></div></td>
+        <td class="broadcast-audience"></td>
+        <td><span class="${BROADCAST_STATUS_BADGES[c.status] || ""}">${I18n.t(`broadcast.statuses.${c.status}`)}</span></td>
+        <td>
+          <b>${c.sent} / ${c.total}</b>
+          <div class="pe-progress"><div class="pe-progress-bar" style="width: ${percent}%"></div></div>
+          <small class="pe-text-muted">${I18n.t("broadcast.stats", { failed: c.failed, blocked: c.blocked })}</small>
+        </td>
+        <td>${active ? `<button class="pe-btn pe-btn-danger pe-btn-sm" onclick="window.cancelBroadcast(${c.id})">${I18n.t("broadcast.cancel")}</button>` : ""}</td>
+      `;
+      // Текст рассылки — пользовательский HTML, показываем как есть (без разметки)
+      tr.querySelector(".broadcast-text").textContent = c.text;
+      tr.querySelector(".broadcast-audience").textContent =
+        describeBroadcastAudience(c);
+      tbody.appendChild(tr);
+    });
+  } catch (e) {
+    Utils.showToast(I18n.t("toast.broadcastsFailed"), "error");
+  }
 }
 
+window.cancelBroadcast = async (id) => {
+  if (!confirm(I18n.t("broadcast.cancelConfirm", { id }))) return;
+  try {
+    await API.cancelBroadcastCampaign(id);
+    Utils.showToast(I18n.t("toast.broadcastCancelled"), "success");
+    loadBroadcasts();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
 // =============================================================================
 // 9. ⚙️ НАСТРОЙКИ ПРАЙСА И ПЕРСОНАЛ
 // =============================================================================
@@ -1344,6 +3092,7 @@ function bindGlobalEvents() {
 async function loadSettings() {
   try {
     const pricelist = await API.getPricelist();
+    State.pricelist = Array.isArray(pricelist) ? pricelist : [];
     const container = document.getElementById("settingsFormContainer");
     if (!container) return;
     container.innerHTML = "";
@@ -1370,10 +3119,238 @@ async function loadSettings() {
       });
     }
   } catch (e) {
-    Utils.showToast("Ошибка загрузки прайс-листа", "error");
+    Utils.showToast(I18n.t("toast.pricelistFailed"), "error");
   }
+  await loadEstimateRules();
+  if (can("settings.edit_prices")) await loadFollowUpSettings();
 }
 
+// =============================================================================
+// 🔔 FOLLOW-UP НАПОМИНАНИЯ (ТАЙМИНГИ И ШАБЛОНЫ ШАГОВ)
+// =============================================================================
+
+const FOLLOWUP_KINDS = ["estimate", "order"];
+const FOLLOWUP_STEPS = [1, 2, 3];
+
+async function loadFollowUpSettings() {
+  const container = document.getElementById("followUpSettings");
+  if (!container) return;
+  try {
+    const settings = await API.getSettings();
+    container.innerHTML = FOLLOWUP_KINDS.map(
+      (kind) => `
+      <h4 class="pe-h4 pe-mt-4 pe-mb-4">${I18n.t(`followUp.kinds.${kind}`)}</h4>
+      ${FOLLOWUP_STEPS.map(
+        (step) => `
+        <div class="pe-form-group" style="display:flex; gap:0.5rem; align-items:flex-start;">
+          <label style="width:70px;">${I18n.t("followUp.step", { step })}</label>
+          <input type="number" min="1" step="1" class="pe-input pe-input-sm followup-delay" style="width:110px;" data-key="followup_${kind}_delay_${step}" data-label="${I18n.t(`followUp.kinds.${kind}`)} · ${I18n.t("followUp.step", { step })}" placeholder="${I18n.t("followUp.delay")}">
+          <textarea class="pe-input pe-textarea followup-text" style="flex:1;" rows="2" data-key="followup_${kind}_text_${step}" placeholder="${I18n.t("followUp.defaultText")}"></textarea>
+        </div>`,
+      ).join("")}`,
+    ).join("");
+    // Значения (в т.ч. шаблоны с HTML бота) выставляются через value, а не разметку
+    container.querySelectorAll("[data-key]").forEach((el) => {
+      const value = settings[el.dataset.key];
+      el.value =
+        el.classList.contains("followup-delay") && !(value > 0)
+          ? ""
+          : (value ?? "");
+    });
+  } catch (e) {
+    Utils.showToast(I18n.t("followUp.failed"), "error");
+  }
+}
+
+// =============================================================================
+// 📐 ПРАВИЛА СМЕТЫ (ВЕРСИИ ПО ТИПАМ ОБЪЕКТОВ)
+// =============================================================================
+
+async function loadEstimateRules() {
+  try {
+    State.estimateRules = await API.getEstimateRules();
+    renderEstimateRulesEditor();
+  } catch (e) {
+    Utils.showToast(I18n.t("toast.rulesFailed"), "error");
+  }
+}
+
+// Заполнение селекта стен в оффлайн-заказе по активным правилам типа объекта
+function fillManualWallTypes() {
+  const objectType = document.getElementById("manualObjectType")?.value;
+  const wallSelect = document.getElementById("manualWallType");
+  const config = State.estimateRules?.active?.find(
+    (item) => item.objectType === objectType,
+  );
+  if (!wallSelect || !config) return;
+  wallSelect.innerHTML = config.walls
+    .map((wall) => `<option value="${wall.key}">${wall.name}</option>`)
+    .join("");
+}
+
+function estimateWallRow(key = "", wall = {}) {
+  const strobeItems = State.pricelist
+    .flatMap((section) => section.items)
+    .filter((item) => item.key.startsWith("price_strobe_"));
+  const row = document.createElement("div");
+  row.className = "estimate-wall-row";
+  row.style.display = "flex";
+  row.style.gap = "0.5rem";
+  row.style.marginBottom = "0.5rem";
+  row.style.alignItems = "center";
+  row.innerHTML = `
+    <input type="text" class="pe-input pe-input-sm" data-field="key" style="width:150px;" value="${key}" placeholder="wall_xxx">
+    <input type="text" class="pe-input pe-input-sm" data-field="name" style="flex:1;" value="${wall.name || ""}" placeholder="${I18n.t("rules.wallName")}">
+    <select class="pe-input pe-input-sm" data-field="strobePriceKey" style="width:220px;">
+      ${strobeItems.map((item) => `<option value="${item.key}" ${item.key === wall.strobePriceKey ? "selected" : ""}>${item.name}</option>`).join("")}
+    </select>
+    <input type="number" step="0.05" class="pe-input pe-input-sm" data-field="multiplier" style="width:80px;" value="${wall.multiplier ?? 1}" title="${I18n.t("rules.multiplierTitle")}">
+    <button class="pe-btn pe-btn-danger pe-btn-sm pe-btn-icon" data-action="remove-wall"><i data-feather="trash-2"></i></button>
+  `;
+  return row;
+}
+
+/**
+ * Редактор правил: source — версия из истории (загрузка в редактор для отката/правки).
+ */
+function renderEstimateRulesEditor(source = null) {
+  const data = State.estimateRules;
+  const objectType = document.getElementById("estimateRulesObjectType")?.value;
+  if (!data || !objectType) return;
+
+  const history = (data.history || []).filter(
+    (item) => item.object_type === objectType,
+  );
+  const active = history.find((item) => item.is_active);
+  const ruleSet = source || active;
+  const rules = ruleSet?.rules || { coefficients: {}, walls: {} };
+
+  document.getElementById("estimateRulesActiveInfo").textContent = active
+    ? I18n.t("rules.active", {
+        version: active.version,
+        date: Utils.formatDate(active.created_at),
+      }) +
+      (source && source.id !== active.id
+        ? ` · ${I18n.t("rules.editing", { version: source.version })}`
+        : "")
+    : I18n.t("rules.noActive");
+
+  const grid = document.getElementById("estimateRulesCoefficients");
+  grid.innerHTML = (data.fields || [])
+    .map(
+      (field) => `
+      <div class="pe-form-group">
+        <label>${field.name}</label>
+        <input type="number" step="any" class="pe-input estimate-coef-input" data-key="${field.key}" min="${field.min}" max="${field.max}" value="${rules.coefficients?.[field.key] ?? ""}">
+      </div>
+    `,
+    )
+    .join("");
+
+  const walls = document.getElementById("estimateRulesWalls");
+  walls.innerHTML = "";
+  Object.entries(rules.walls || {}).forEach(([key, wall]) =>
+    walls.appendChild(estimateWallRow(key, wall)),
+  );
+
+  const tbody = document.getElementById("estimateRulesHistoryBody");
+  tbody.innerHTML = "";
+  if (history.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="6" class="pe-text-center pe-text-muted">${I18n.t("rules.empty")}</td></tr>`;
+  }
+  history.forEach((item) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><b>v${item.version}</b> ${item.is_active ? `<span class="pe-badge badge-done">${I18n.t("rules.activeBadge")}</span>` : ""}</td>
+      <td>${Utils.formatDate(item.created_at)}</td>
+      <td>${item.author_name || I18n.t("common.system")}</td>
+      <td>${item.comment || "—"}</td>
+      <td>${item.orders_count || 0}</td>
+      <td>
+        <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.loadEstimateRuleVersion(${item.id})">${I18n.t("rules.toEditor")}</button>
+        ${item.is_active ? "" : `<button class="pe-btn pe-btn-primary pe-btn-sm" onclick="window.activateEstimateRuleSet(${item.id})">${I18n.t("rules.activate")}</button>`}
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  if (typeof feather !== "undefined") feather.replace();
+}
+
+function collectEstimateRules() {
+  const coefficients = {};
+  document.querySelectorAll(".estimate-coef-input").forEach((input) => {
+    coefficients[input.getAttribute("data-key")] = parseFloat(input.value);
+  });
+
+  const walls = {};
+  document.querySelectorAll(".estimate-wall-row").forEach((row) => {
+    const get = (field) => row.querySelector(`[data-field="${field}"]`).value;
+    const key = get("key").trim();
+    if (!key) return;
+    walls[key] = {
+      name: get("name").trim(),
+      strobePriceKey: get("strobePriceKey"),
+      multiplier: parseFloat(get("multiplier")),
+    };
+  });
+  return { coefficients, walls };
+}
+
+window.loadEstimateRuleVersion = (id) => {
+  const source = State.estimateRules?.history?.find((item) => item.id === id);
+  if (source) renderEstimateRulesEditor(source);
+};
+
+window.activateEstimateRuleSet = async (id) => {
+  if (!confirm(I18n.t("rules.activateConfirm"))) return;
+  try {
+    await API.activateEstimateRuleSet(id);
+    Utils.showToast(I18n.t("toast.rulesActivated"), "success");
+    loadEstimateRules();
+  } catch (e) {
+    Utils.showToast(e.message, "error");
+  }
+};
+
+document
+  .getElementById("estimateRulesObjectType")
+  ?.addEventListener("change", () => renderEstimateRulesEditor());
+
+document.getElementById("btnAddEstimateWall")?.addEventListener("click", () => {
+  document
+    .getElementById("estimateRulesWalls")
+    .appendChild(estimateWallRow("wall_", { multiplier: 1 }));
+  if (typeof feather !== "undefined") feather.replace();
+});
+
+document.getElementById("estimateRulesWalls")?.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-action='remove-wall']");
+  if (btn) btn.closest(".estimate-wall-row").remove();
+});
+
+document
+  .getElementById("btnPublishEstimateRules")
+  ?.addEventListener("click", async () => {
+    const objectType = document.getElementById("estimateRulesObjectType").value;
+    const comment = document.getElementById("estimateRulesComment").value;
+    try {
+      const res = await API.publishEstimateRules(
+        objectType,
+        collectEstimateRules(),
+        comment,
+      );
+      Utils.showToast(
+        I18n.t("rules.published", { version: res.ruleSet.version }),
+        "success",
+      );
+      document.getElementById("estimateRulesComment").value = "";
+      loadEstimateRules();
+    } catch (e) {
+      Utils.showToast(e.message, "error");
+    }
+  });
+
 document
   .getElementById("btnSaveSettings")
   ?.addEventListener("click", async () => {
@@ -1387,45 +3364,82 @@ document
     );
     try {
       await API.updateBulkSettings(payload);
-      Utils.showToast("Прайс-лист успешно обновлен", "success");
+      Utils.showToast(I18n.t("toast.pricelistUpdated"), "success");
+    } catch (e) {
+      Utils.showToast(I18n.t("toast.pricelistUpdateFailed"), "error");
+    }
+  });
+
+// Пустая задержка выключает шаг (сохраняется 0), иначе — целое число минут > 0
+document
+  .getElementById("btnSaveFollowUp")
+  ?.addEventListener("click", async () => {
+    const payload = [];
+    for (const input of document.querySelectorAll(".followup-delay")) {
+      const raw = input.value.trim();
+      if (raw && !/^[1-9]\d*$/.test(raw)) {
+        input.focus();
+        return Utils.showToast(
+          I18n.t("followUp.invalidDelay", { label: input.dataset.label }),
+          "error",
+        );
+      }
+      payload.push({ key: input.dataset.key, value: raw || "0" });
+    }
+    document
+      .querySelectorAll(".followup-text")
+      .forEach((input) =>
+        payload.push({ key: input.dataset.key, value: input.value.trim() }),
+      );
+    try {
+      await API.updateBulkSettings(payload);
+      Utils.showToast(I18n.t("followUp.saved"), "success");
     } catch (e) {
-      Utils.showToast("Ошибка при обновлении цен", "error");
+      Utils.showToast(e.message, "error");
     }
   });
 
 async function loadUsers() {
   try {
+    if (!State.roles.length) await loadRoles();
     State.users = await API.getUsers(State.searchUserTerm);
     const tbody = document.getElementById("usersTableBody");
     if (!tbody) return;
     tbody.innerHTML = "";
 
     if (!Array.isArray(State.users) || State.users.length === 0) {
-      tbody.innerHTML =
-        '<tr><td colspan="4" class="pe-text-center">Пользователи не найдены</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="5" class="pe-text-center">${I18n.t("users.empty")}</td></tr>`;
       return;
     }
 
+    if (can("auth.audit")) loadAuthEvents();
+    const canChangeRoles = can("users.manage_roles");
     State.users.forEach((u) => {
-      const isManager = u.role === "manager";
-      const isAdmin = u.role === "admin" || u.role === "owner";
-      const usernameDisplay = u.username ? `@${u.username}` : "нет username";
+      const isSelf = String(u.telegram_id) === String(State.user.id);
+      const usernameDisplay = u.username
+        ? `@${u.username}`
+        : I18n.t("users.noUsername");
       const phoneDisplay = u.phone ? u.phone : "—";
 
       const tr = document.createElement("tr");
       tr.innerHTML = `
         <td>${u.telegram_id}</td>
-        <td>${u.first_name || "Без имени"} <br> <small class="pe-text-muted">${usernameDisplay}</small></td>
+        <td>${u.first_name || I18n.t("users.noName")} <br> <small class="pe-text-muted">${usernameDisplay}</small></td>
         <td>${phoneDisplay}</td>
         <td>
-          <select class="pe-input pe-input-sm role-select" data-uid="${u.telegram_id}" ${isAdmin && u.telegram_id === State.user.id ? "disabled" : ""}>
-            <option value="user" ${u.role === "user" ? "selected" : ""}>Клиент</option>
-            <option value="manager" ${isManager ? "selected" : ""}>Мастер (Бригадир)</option>
-            <option value="admin" ${u.role === "admin" ? "selected" : ""}>Администратор</option>
-            ${u.role === "owner" ? `<option value="owner" selected>Владелец</option>` : ""}
-          </select>
+          <select class="pe-input pe-input-sm role-select" data-uid="${u.telegram_id}" ${!canChangeRoles || isSelf ? "disabled" : ""}></select>
         </td>
+        <td>${renderWebLoginCell(u)}</td>
       `;
+      // Названия ролей задает Владелец — в DOM только как текст опций
+      tr.querySelector(".role-select").append(
+        ...State.roles
+          .filter((r) => r.name !== "owner" || u.role === "owner")
+          .map(
+            (r) =>
+              new Option(getRoleTitle(r), r.name, false, r.name === u.role),
+          ),
+      );
       tbody.appendChild(tr);
     });
 
@@ -1436,7 +3450,7 @@ async function loadUsers() {
             e.target.getAttribute("data-uid"),
             e.target.value,
           );
-          Utils.showToast("Роль успешно изменена", "success");
+          Utils.showToast(I18n.t("toast.roleChanged"), "success");
         } catch (err) {
           Utils.showToast(err.message, "error");
           loadUsers();
@@ -1444,6 +3458,288 @@ async function loadUsers() {
       });
     });
   } catch (e) {
-    Utils.showToast("Ошибка загрузки пользователей", "error");
+    Utils.showToast(I18n.t("toast.usersFailed"), "error");
   }
 }
+
+// Колонка «Вход в CRM»: логин сотрудника; выдача и отзыв — право users.credentials
+function renderWebLoginCell(u) {
+  const role = State.roles.find((r) => r.name === u.role);
+  if (!role?.permissions.includes("crm.access")) return "—";
+  const login = u.web_login
+    ? `<code>${u.web_login}</code>`
+    : `<span class="pe-text-muted">${I18n.t("users.noWebLogin")}</span>`;
+  // «Выйти везде» — право users.sessions, свои сеансы завершаются в «Мои сеансы»
+  const logoutAll =
+    can("users.sessions") && String(u.telegram_id) !== String(State.user.id)
+      ? `<button class="pe-btn pe-btn-ghost pe-btn-sm" onclick="window.logoutEverywhere(${u.telegram_id})">${I18n.t("sessions.logoutEverywhere")}</button>`
+      : "";
+  if (!can("users.credentials")) return `${login} ${logoutAll}`;
+  return `${login}
+    <button class="pe-btn pe-btn-secondary pe-btn-sm" onclick="window.issueWebLogin(${u.telegram_id})">${I18n.t(u.web_login ? "users.resetWebLogin" : "users.issueWebLogin")}</button>
+    ${u.web_login ? `<button class="pe-btn pe-btn-danger pe-btn-sm" onclick="window.revokeWebLogin(${u.telegram_id})">${I18n.t("users.revokeWebLogin")}</button>` : ""}
+    ${logoutAll}`;
+}
+
+window.logoutEverywhere = async (userId) => {
+  if (!confirm(I18n.t("sessions.logoutEverywhereConfirm"))) return;
+  try {
+    const res = await API.logoutUserEverywhere(userId);
+    Utils.showToast(
+      I18n.t("sessions.loggedOutEverywhere", {
+        sessions: res.sessions,
+        devices: res.devices,
+      }),
+      "success",
+    );
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+async function loadSessions() {
+  const tbody = document.getElementById("sessionsBody");
+  try {
+    const sessions = await API.getSessions();
+    tbody.innerHTML = "";
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="4" class="pe-text-center pe-text-muted">${I18n.t("sessions.empty")}</td></tr>`;
+      return;
+    }
+    sessions.forEach((s) => {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><span class="badge-new">${I18n.t(`sessions.types.${s.type}`)}</span> <small class="pe-text-muted session-device"></small></td>
+        <td class="session-ip"></td>
+        <td>${s.lastSeenAt ? Utils.formatDate(s.lastSeenAt) : "—"}</td>
+        <td>${
+          s.current
+            ? `<span class="badge-done">${I18n.t("sessions.current")}</span>`
+            : `<button class="pe-btn pe-btn-danger pe-btn-sm">${I18n.t("sessions.end")}</button>`
+        }</td>
+      `;
+      // User-Agent и название устройства приходят от клиента — только как текст
+      tr.querySelector(".session-device").textContent = s.device || "";
+      tr.querySelector(".session-ip").textContent = s.ip || "—";
+      tr.querySelector("button")?.addEventListener("click", () =>
+        endSession(s.id),
+      );
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    Utils.showToast(I18n.t("sessions.failed"), "error");
+  }
+}
+
+async function endSession(id) {
+  if (!confirm(I18n.t("sessions.endConfirm"))) return;
+  try {
+    await API.endSession(id);
+    Utils.showToast(I18n.t("sessions.ended"), "success");
+    loadSessions();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+// Ошибочные и заблокированные попытки подсвечиваются
+const AUTH_EVENT_BADGES = {
+  otp_verified: "badge-done",
+  password_success: "badge-done",
+  otp_failed: "badge-cancel",
+  password_failed: "badge-cancel",
+  otp_throttled: "badge-cancel",
+  account_locked: "badge-cancel",
+  token_reused: "badge-cancel",
+};
+
+async function loadAuthEvents() {
+  const tbody = document.getElementById("authEventsBody");
+  if (!tbody) return;
+  try {
+    const events = await API.getAuthEvents(
+      document.getElementById("authEventFilter").value,
+    );
+    tbody.innerHTML = "";
+    if (!Array.isArray(events) || events.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="pe-text-center pe-text-muted">${I18n.t("authLog.empty")}</td></tr>`;
+      return;
+    }
+    events.forEach((e) => {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${Utils.formatDate(e.created_at)}</td>
+        <td><span class="${AUTH_EVENT_BADGES[e.event] || "badge-new"}">${I18n.t(`authLog.events.${e.event}`)}</span></td>
+        <td class="auth-user"></td>
+        <td>${e.phone || "—"}</td>
+        <td>${e.ip || e.details?.channel || "—"}</td>
+        <td><small class="pe-text-muted auth-agent"></small></td>
+      `;
+      // Имя, логин и User-Agent — пользовательский ввод, выводим как текст
+      tr.querySelector(".auth-user").textContent =
+        e.user_name || e.details?.login || "—";
+      tr.querySelector(".auth-agent").textContent = e.user_agent || "";
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    Utils.showToast(I18n.t("toast.authEventsFailed"), "error");
+  }
+}
+
+window.issueWebLogin = async (userId) => {
+  const user = State.users.find(
+    (u) => String(u.telegram_id) === String(userId),
+  );
+  const login = prompt(I18n.t("users.webLoginPrompt"), user?.web_login || "");
+  if (!login) return;
+  try {
+    const res = await API.issueStaffCredentials(userId, login.trim());
+    // Временный пароль показывается один раз — поле prompt удобно скопировать
+    prompt(
+      I18n.t("users.tempPassword", { login: res.login }),
+      res.tempPassword,
+    );
+    loadUsers();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+window.revokeWebLogin = async (userId) => {
+  if (!confirm(I18n.t("users.revokeWebLoginConfirm"))) return;
+  try {
+    await API.revokeStaffCredentials(userId);
+    Utils.showToast(I18n.t("toast.webLoginRevoked"), "success");
+    loadUsers();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
+
+// =============================================================================
+// 🧩 РОЛИ И ПРАВА ДОСТУПА (RBAC EDITOR)
+// =============================================================================
+
+// Роли для селекта пользователей и матрица прав (только с правом roles.manage)
+async function loadRoles() {
+  const { roles, permissions } = await API.getRoles();
+  State.roles = Array.isArray(roles) ? roles : [];
+  State.permissionCatalog = Array.isArray(permissions) ? permissions : [];
+  if (can("roles.manage")) renderRolesMatrix();
+}
+
+// Системные роли переводятся, пользовательские показываются как названы
+function getRoleTitle(role) {
+  const key = `roles.names.${role.name}`;
+  const title = I18n.t(key);
+  return title === key ? role.title : title;
+}
+
+/**
+ * Матрица «право × роль»: права сгруппированы по префиксу (orders.*, finance.*).
+ * Галочка сохраняет новый набор прав роли сразу; права Владельца не редактируются.
+ */
+function renderRolesMatrix() {
+  const head = document.getElementById("rolesMatrixHead");
+  const body = document.getElementById("rolesMatrixBody");
+  if (!head || !body) return;
+
+  const headRow = document.createElement("tr");
+  headRow.innerHTML = `<th>${I18n.t("roles.colPermission")}</th>`;
+  State.roles.forEach((role) => {
+    const th = document.createElement("th");
+    th.className = "pe-text-center";
+    th.textContent = getRoleTitle(role);
+    const meta = document.createElement("small");
+    meta.className = "pe-text-muted";
+    meta.textContent = ` (${role.users_count})`;
+    th.appendChild(meta);
+    if (!role.is_system) {
+      th.insertAdjacentHTML(
+        "beforeend",
+        `<br><button class="pe-btn pe-btn-danger pe-btn-sm" onclick="window.deleteRole('${role.name}')">${I18n.t("roles.delete")}</button>`,
+      );
+    }
+    headRow.appendChild(th);
+  });
+  head.replaceChildren(headRow);
+
+  body.innerHTML = "";
+  let currentGroup = null;
+  State.permissionCatalog.forEach(({ key, description }) => {
+    const group = key.split(".")[0];
+    if (group !== currentGroup) {
+      currentGroup = group;
+      body.insertAdjacentHTML(
+        "beforeend",
+        `<tr><td colspan="${State.roles.length + 1}"><strong>${I18n.t(`roles.groups.${group}`)}</strong></td></tr>`,
+      );
+    }
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td>${description}<br><small class="pe-text-muted"><code>${key}</code></small></td>`;
+    State.roles.forEach((role) => {
+      const td = document.createElement("td");
+      td.className = "pe-text-center";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = role.permissions.includes(key);
+      checkbox.disabled = role.name === "owner";
+      checkbox.addEventListener("change", () =>
+        toggleRolePermission(role, key, checkbox),
+      );
+      td.appendChild(checkbox);
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+}
+
+async function toggleRolePermission(role, permission, checkbox) {
+  const next = checkbox.checked
+    ? [...role.permissions, permission]
+    : role.permissions.filter((p) => p !== permission);
+  checkbox.disabled = true;
+  try {
+    const { permissions } = await API.saveRolePermissions(role.name, next);
+    role.permissions = permissions;
+    Utils.showToast(
+      I18n.t("roles.saved", { role: getRoleTitle(role) }),
+      "success",
+    );
+  } catch (err) {
+    checkbox.checked = !checkbox.checked;
+    Utils.showToast(err.message, "error");
+  } finally {
+    checkbox.disabled = false;
+  }
+}
+
+async function createRole(e) {
+  e.preventDefault();
+  const nameInput = document.getElementById("roleNameInput");
+  const titleInput = document.getElementById("roleTitleInput");
+  try {
+    await API.createRole(nameInput.value.trim(), titleInput.value.trim());
+    Utils.showToast(I18n.t("roles.created"), "success");
+    nameInput.value = "";
+    titleInput.value = "";
+    await loadRoles();
+    loadUsers();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+}
+
+window.deleteRole = async (name) => {
+  const role = State.roles.find((r) => r.name === name);
+  if (!confirm(I18n.t("roles.deleteConfirm", { role: role?.title || name })))
+    return;
+  try {
+    await API.deleteRole(name);
+    Utils.showToast(I18n.t("roles.deleted"), "success");
+    await loadRoles();
+    loadUsers();
+  } catch (err) {
+    Utils.showToast(err.message, "error");
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * @file public/js/html.js
+ * @description Экранирование данных пользователей и клиентов перед вставкой в innerHTML.
+ * Имена из Telegram и поля объекта (адрес, комментарии) редактируются извне,
+ * поэтому в шаблонах CRM они выводятся только через escapeHtml().
+ *
+ * @module Html
+ */
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Превращает произвольное значение в безопасный текст для HTML-шаблона.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ENTITIES[c]);
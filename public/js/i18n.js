@@ -0,0 +1,1585 @@
+/**
+ * @file public/js/i18n.js
+ * @description Локализация Web CRM (русский, казахский, английский).
+ * Статические подписи размечаются в admin.html атрибутами data-i18n,
+ * data-i18n-placeholder и data-i18n-title; динамические — через I18n.t().
+ * Язык хранится в localStorage и синхронизируется с профилем (users.language_code).
+ *
+ * @module I18n
+ */
+
+const STORAGE_KEY = "pe_language";
+const DEFAULT_LANGUAGE = "ru";
+
+const LOCALE_TAGS = {
+  ru: "ru-RU",
+  kk: "kk-KZ",
+  en: "en-US",
+};
+
+const CATALOGS = {
+  ru: {
+    languageName: "Русский",
+    auth: {
+      phoneLabel: "Номер телефона",
+      requestCode: "Получить код в Telegram",
+      sending: "Отправка...",
+      codeLabel: "Код из Telegram",
+      signIn: "Войти в систему",
+      changePhone: "Изменить номер",
+      usePassword: "Войти по логину и паролю",
+      usePhone: "Войти по номеру телефона",
+      loginLabel: "Логин",
+      passwordLabel: "Пароль",
+      lockedUntil:
+        "Слишком много неудачных попыток. Вход заблокирован до {time}.",
+      changePasswordTitle: "Сменить пароль",
+      changePasswordRequired:
+        "Вам выдан временный пароль. Задайте собственный пароль, чтобы продолжить.",
+      currentPassword: "Текущий пароль",
+      newPassword: "Новый пароль",
+      confirmPassword: "Повторите пароль",
+      savePassword: "Сохранить пароль",
+      passwordMismatch: "Пароли не совпадают",
+      cancel: "Отмена",
+    },
+    nav: {
+      workspace: "Рабочая область",
+      dashboard: "Дашборд",
+      orders: "Все Объекты",
+      myOrders: "Мои Объекты / Биржа",
+      schedule: "Календарь",
+      brigades: "Бригады",
+      finance: "Глобальная Касса",
+      warehouse: "Склад / Материалы",
+      administration: "Администрирование",
+      settings: "Настройки / Прайс",
+      users: "CRM Клиентов",
+      broadcast: "Рассылка",
+      logout: "Выход",
+      loading: "Загрузка...",
+    },
+    topbar: {
+      terminal: "Терминал",
+      connecting: "Соединение...",
+      online: "Online",
+      offline: "Offline",
+      language: "Язык интерфейса",
+    },
+    views: {
+      dashboardTitle: "Глубокая Аналитика (Deep Analytics)",
+      dashboardSubtitle: "Метрики и показатели в реальном времени",
+      myStatsTitle: "Моя Статистика",
+      myStatsSubtitle: "Ваши показатели и заработок",
+      periodStart: "Начало периода",
+      periodEnd: "Конец периода",
+      apply: "Применить",
+      brigadesTitle: "Управление Подрядчиками (Бригады)",
+      brigadesSubtitle: "Контроль долгов, инкассация и доступ",
+      ordersTitle: "Реестр Объектов",
+      ordersSubtitle: "Управление адресами, комментариями и сметами",
+      scheduleTitle: "Календарь выездов",
+      scheduleSubtitle:
+        "Замеры и монтажные дни бригад (двойная запись исключена)",
+      financeTitle: "Глобальная Касса",
+      financeSubtitle: "Учет внепроектных доходов и расходов",
+      warehouseTitle: "Склад и Материалы",
+      warehouseSubtitle:
+        "Остатки по локациям, движения и каталог материалов для BOM",
+      settingsTitle: "Конфигурация Ядра",
+      settingsSubtitle: "Прайс-лист и DevOps утилиты",
+      usersTitle: "CRM & Персонал",
+      usersSubtitle: "Управление доступом и база клиентов",
+      broadcastTitle: "Центр Уведомлений",
+      broadcastSubtitle: "Прямая рассылка через Telegram бота",
+    },
+    toast: {
+      expenseAdded: "Кто-то добавил новый чек к объекту!",
+      codeSent: "Код отправлен в Telegram",
+      authSuccess: "Авторизация успешна!",
+      logoutFailed: "Ошибка при выходе",
+      languageFailed: "Не удалось сохранить язык в профиле",
+      analyticsFailed: "Ошибка загрузки аналитики",
+      brigadesFailed: "Ошибка загрузки бригад",
+      brigadeActivated: "Бригада успешно активирована",
+      brigadeBlocked: "Бригада успешно заблокирована",
+      ordersFailed: "Ошибка загрузки заказов",
+      pricelistMissing: "Прайс-лист не загружен",
+      materialSaved: "Материал сохранен",
+      poSent: "Заказ отмечен как отправленный",
+      poReceived:
+        "Заказ принят: оплата проведена, расходы разнесены по объектам",
+      poCancelled: "Заказ поставщику отменен",
+      poCancelConfirm: "Отменить заказ поставщику #{id}?",
+      poSkippedOrders: "Объекты закрыты, расход не добавлен: {orders}",
+      invalidQuantity: "Введите корректное количество",
+      materialIssued: "Материал выдан на объект",
+      materialReturned: "Материал возвращен",
+      invoiceIssued: "Счет выставлен: отправьте клиенту ссылку или QR",
+      paymentAmountRequired: "Введите сумму оплаты",
+      paymentRecorded: "Оплата зафиксирована",
+      appointmentUpdated: "Запись обновлена",
+      invalidDate: "Некорректная дата",
+      timeRequired: "Укажите время и длительность",
+      appointmentAdded: "Запись добавлена в календарь",
+      financeFailed: "Ошибка загрузки финансового модуля",
+      orderTaken: "Вы забрали заказ с биржи!",
+      orderSaved: "Данные объекта сохранены",
+      brigadeAssigned: "Бригада назначена на объект",
+      statusUpdated: "Статус обновлен",
+      statusAllowed: "{message} Допустимо: {allowed}",
+      stornoReasonRequired: "Укажите причину сторнирования",
+      finalPriceSaved: "Итоговая цена зафиксирована",
+      invalidAmount: "Введите корректную сумму",
+      expenseSaved: "Расход добавлен",
+      offlineOrderCreated: "Оффлайн-заказ успешно создан!",
+      brigadeCreated: "Бригада создана",
+      percentUpdated: "Процент успешно изменен",
+      incassationDone: "Деньги приняты, долг списан!",
+      transactionDone: "Операция успешно проведена",
+      backupStarting: "Формирование дампа...",
+      backupDownloaded: "Резервная копия скачана",
+      backupFailed: "Ошибка скачивания бекапа",
+      materialAdded: "Материал добавлен в каталог",
+      stockMoved: "Движение проведено",
+      exportStarting: "Формирование файла...",
+      broadcastTextRequired: "Введите текст рассылки",
+      pricelistFailed: "Ошибка загрузки прайс-листа",
+      rulesFailed: "Ошибка загрузки правил сметы",
+      rulesActivated: "Версия правил активирована",
+      pricelistUpdated: "Прайс-лист успешно обновлен",
+      pricelistUpdateFailed: "Ошибка при обновлении цен",
+      roleChanged: "Роль успешно изменена",
+      usersFailed: "Ошибка загрузки пользователей",
+      broadcastCancelled: "Рассылка остановлена",
+      broadcastsFailed: "Ошибка загрузки истории рассылок",
+      segmentSaved: "Сегмент сохранен",
+      segmentDeleted: "Сегмент удален",
+      segmentNameRequired: "Укажите название сегмента",
+      passwordChanged: "Пароль изменен",
+      webLoginRevoked: "Вход в CRM отозван",
+      authEventsFailed: "Ошибка загрузки журнала входов",
+    },
+    users: {
+      colWebLogin: "Вход в CRM",
+      noWebLogin: "не выдан",
+      issueWebLogin: "Выдать",
+      resetWebLogin: "Сбросить пароль",
+      revokeWebLogin: "Отозвать",
+      webLoginPrompt: "Логин для входа в CRM (латиница, цифры, . _ -):",
+      tempPassword:
+        "Временный пароль для «{login}». Передайте его сотруднику — он будет показан только сейчас:",
+      revokeWebLoginConfirm: "Отозвать вход в CRM по паролю?",
+      empty: "Пользователи не найдены",
+      noUsername: "нет username",
+      noName: "Без имени",
+    },
+    authLog: {
+      title: "Журнал входов",
+      allEvents: "Все события",
+      empty: "Событий нет",
+      colTime: "Время",
+      colEvent: "Событие",
+      colUser: "Сотрудник",
+      colPhone: "Телефон",
+      colIp: "IP / канал",
+      colAgent: "Устройство",
+      events: {
+        otp_issued: "Код выдан",
+        otp_verified: "Вход по коду",
+        otp_failed: "Неверный код / номер",
+        otp_throttled: "Превышен лимит попыток",
+        password_success: "Вход по паролю",
+        password_failed: "Неверный пароль",
+        account_locked: "Вход заблокирован",
+        token_reused: "Повтор refresh-токена (устройство отозвано)",
+      },
+    },
+    sessions: {
+      title: "Активные сеансы",
+      open: "Мои сеансы",
+      colDevice: "Устройство",
+      colIp: "IP",
+      colLastSeen: "Активность",
+      current: "Текущий",
+      types: { web: "Web CRM", api: "Приложение" },
+      end: "Завершить",
+      endConfirm: "Завершить этот сеанс?",
+      ended: "Сеанс завершен",
+      empty: "Активных сеансов нет",
+      failed: "Ошибка загрузки сеансов",
+      logoutEverywhere: "Выйти везде",
+      logoutEverywhereConfirm:
+        "Завершить все сеансы сотрудника в CRM и приложении?",
+      loggedOutEverywhere:
+        "Сеансы завершены: веб-сессий {sessions}, устройств {devices}",
+    },
+    roles: {
+      title: "Роли и права доступа",
+      colPermission: "Право",
+      namePlaceholder: "Код роли (латиница)",
+      titlePlaceholder: "Название роли",
+      create: "Создать роль",
+      delete: "Удалить",
+      deleteConfirm: "Удалить роль «{role}»?",
+      created: "Роль создана",
+      deleted: "Роль удалена",
+      saved: "Права роли «{role}» сохранены",
+      names: {
+        owner: "Владелец",
+        admin: "Администратор",
+        manager: "Бригадир",
+        accountant: "Бухгалтер",
+        dispatcher: "Диспетчер",
+        user: "Клиент",
+        banned: "Заблокирован",
+      },
+      groups: {
+        crm: "CRM",
+        dashboard: "Дашборд",
+        analytics: "Аналитика",
+        brigades: "Бригады",
+        orders: "Объекты",
+        payments: "Оплаты",
+        finance: "Финансы",
+        settings: "Настройки",
+        warehouse: "Склад",
+        purchases: "Закупки",
+        schedule: "Календарь",
+        users: "Пользователи",
+        auth: "Безопасность",
+        roles: "Роли",
+        broadcast: "Рассылки",
+        bot: "Telegram-бот",
+        system: "Система",
+      },
+    },
+    broadcast: {
+      historyTitle: "История рассылок",
+      segment: "Сегмент",
+      customSegment: "Настроить фильтры",
+      deleteSegment: "Удалить сегмент",
+      segmentName: "Название сегмента",
+      segmentDeleteConfirm: "Удалить сегмент «{name}»?",
+      filterOrderStatus: "Есть заказ в статусе",
+      filterCompletedDays: "Объект сдан не менее N дней назад",
+      filterInactiveDays: "Неактивны не менее N дней",
+      filterBrigade: "Клиенты бригады",
+      filterWithoutPhone: "Без телефона",
+      any: "Не важно",
+      audienceCount: "Получателей: {count}",
+      withFilters: "{audience} + фильтры",
+      colCampaign: "Рассылка",
+      colAudience: "Аудитория",
+      colStatus: "Статус",
+      colProgress: "Доставка",
+      empty: "Рассылок еще не было",
+      cancel: "Остановить",
+      cancelConfirm:
+        "Остановить рассылку #{id}? Недоставленные сообщения не будут отправлены.",
+      stats: "Ошибок: {failed} · Заблокировали бота: {blocked}",
+      statuses: {
+        queued: "В очереди",
+        running: "Отправляется",
+        done: "Завершена",
+        cancelled: "Остановлена",
+      },
+      audiences: {
+        all: "Всем",
+        user: "Клиентам",
+        manager: "Бригадам",
+        admin: "Администраторам",
+      },
+    },
+    common: {
+      untitled: "Без названия",
+      unknown: "Неизвестно",
+      exchange: "Биржа",
+      system: "Система",
+      pieces: "{count} шт.",
+      unitPiece: "шт",
+      area: "{area} м²",
+      name: "Наименование",
+      unit: "Ед.",
+      price: "Цена",
+      qty: "Кол-во",
+      customItem: "Своя позиция",
+      cancel: "Отменить",
+    },
+    dashboard: {
+      revenue: "Оборот (Выручка)",
+      netProfit: "Чистая прибыль",
+      ordersNew: "Новые",
+      ordersWork: "В работе",
+      ordersDone: "Завершено",
+      noRating: "Нет данных для рейтинга",
+      funnelNew: "Новые (Биржа)",
+      funnelWork: "В работе",
+      funnelDone: "Завершено (Выручка)",
+      noExpenses: "Нет данных о расходах",
+      otherCategory: "Прочее",
+    },
+    brigades: {
+      empty: "Бригады не найдены",
+      active: "Активна",
+      blocked: "Заблокирована",
+      defaultName: "Бригада",
+      writeOffDebt: "Списать долг",
+      block: "🚫 Блок",
+      activate: "✅ Акт",
+      activateConfirm: "Вы уверены, что хотите АКТИВИРОВАТЬ эту бригаду?",
+      blockConfirm: "Вы уверены, что хотите ЗАБЛОКИРОВАТЬ эту бригаду?",
+    },
+    orders: {
+      empty: "Объектов не найдено",
+      manage: "Управление",
+      modalTitle: "Объект #{id} ({area} м²)",
+      ruleVersion: "правила v{version}",
+      statuses: {
+        new: "Новый (Биржа)",
+        processing: "Взят в расчет / Замер",
+        work: "В работе (Монтаж)",
+        material: "Ожидание материалов (закупка)",
+        done: "Завершен",
+        cancel: "Отменен",
+      },
+      unassignedOption: "-- Не назначена (Биржа) --",
+      unassigned: "Не назначена",
+      noExpenses: "Нет чеков по объекту",
+      finalizeConfirm:
+        "Вы уверены, что хотите закрыть объект? Будет произведен расчет долей и начислен долг на бригаду.",
+      finalizing: "Расчет...",
+      finalized:
+        "Объект закрыт! Заработано бригадой: {brigadeShare}. Долг Шефу: {ownerDue}",
+      finalizeButton: "ЗАКРЫТЬ И РАСПРЕДЕЛИТЬ ПРИБЫЛЬ",
+      stornoPrompt:
+        "Причина сторно (будут проведены компенсирующие проводки, объект вернется в работу):",
+      stornoDone:
+        "Финализация отменена. Сторнировано: доля бригады {brigadeShare}, доля фирмы {ownerShare}",
+    },
+    bom: {
+      empty: "Спецификация пуста",
+      total: "Материалы по каталогу:",
+      fromCatalog: "Из каталога",
+      save: "Сохранить BOM",
+      notInCatalog: "(нет в каталоге)",
+      saved: "Спецификация сохранена: {total}",
+    },
+    estimate: {
+      empty: "Смета не составлена — договорная цена задается вручную",
+      fromPricelist: "Из прайса",
+      save: "Сохранить смету",
+      saved: "Смета сохранена: {total}",
+    },
+    timeline: {
+      empty: "Событий пока нет",
+      actorId: "ID {id}",
+      items: "{count} поз.",
+      events: {
+        created: "Объект создан",
+        status_changed: "Смена статуса",
+        price_changed: "Изменение цены",
+        bom_changed: "Изменение спецификации (BOM)",
+        details_changed: "Изменение данных объекта",
+        brigade_transferred: "Передача бригаде",
+        expense_added: "Добавлен расход",
+        finalized: "Финализация и расчет долей",
+        reversed: "Сторно финализации",
+        estimate_changed: "Изменение позиционной сметы",
+        material_issued: "Выдача материала со склада",
+        material_returned: "Возврат материала на склад",
+        payment_received: "Оплата клиента",
+        invoice_payment_review: "Онлайн-оплата ждет сверки",
+      },
+      sources: {
+        bot: "Telegram",
+        web: "Web CRM",
+        api: "API",
+        system: "Система",
+      },
+    },
+    materials: {
+      empty: "Каталог пуст",
+    },
+    stock: {
+      kinds: {
+        receipt: "Приход",
+        issue: "Выдача на объект",
+        return: "Возврат с объекта",
+        transfer: "Перемещение",
+        adjustment: "Корректировка",
+      },
+      allLocations: "Все локации",
+      empty: "Остатков нет",
+      belowMinimum: "Ниже минимума:",
+      noMovements: "Движений нет",
+      noCatalogItems: "Нет позиций каталога в спецификации",
+      issuedOf: "выдано {issued} из {planned} {unit}",
+      issue: "Выдать",
+      return: "Вернуть",
+    },
+    purchases: {
+      statuses: {
+        draft: "Черновик",
+        sent: "Отправлен",
+        received: "Получен",
+        cancelled: "Отменен",
+      },
+      empty: "Заказов поставщикам нет",
+      markSent: "Отправлен",
+      receive: "Принять",
+      created: "Создано заказов поставщикам: {count}",
+    },
+    payments: {
+      methods: {
+        cash: "Наличные",
+        kaspi: "Kaspi",
+        bank_transfer: "Перевод",
+      },
+      toAccount: "В кассу: {name}",
+      total: "К оплате:",
+      collected: "Оплачено:",
+      outstanding: "Остаток:",
+      prepayment: "предоплата",
+      account: "Касса: {name}",
+      withBrigade: "На руках у бригады",
+      empty: "Оплат пока нет",
+      invoice: "Счет #{id} на {amount}",
+      invoiceReceived: "Счет #{id}: получено {amount}",
+      paymentLink: "Ссылка на оплату",
+      invoiceStatuses: {
+        pending: "ожидает оплаты",
+        paid: "оплачен",
+        failed: "платеж отклонен",
+        cancelled: "заменен новым счетом",
+        review: "оплачен, требует ручной сверки",
+      },
+    },
+    schedule: {
+      kinds: { visit: "Замер", work: "Монтаж" },
+      weekdays: {
+        mon: "Пн",
+        tue: "Вт",
+        wed: "Ср",
+        thu: "Чт",
+        fri: "Пт",
+        sat: "Сб",
+        sun: "Вс",
+      },
+      done: "Выполнено",
+      reschedule: "Перенести",
+      free: "Свободно",
+      cancelConfirm: "Отменить запись?",
+      reschedulePrompt: "Новое время (ГГГГ-ММ-ДД ЧЧ:ММ):",
+    },
+    finance: {
+      accountOption: "{name} (Баланс: {balance})",
+      empty: "Операций нет",
+      income: "ДОХОД",
+      expense: "РАСХОД",
+      unknownAccount: "Неизвестный счет",
+      accountTypes: {
+        cash: "Касса",
+        card: "Безнал",
+        brigade_acc: "Бригада",
+        revenue: "Доходы",
+        expense: "Расходы",
+        equity: "Капитал",
+      },
+      total: "ИТОГО",
+      unbalanced: "Несбалансированных проводок: {count}",
+      drift: "ЕСТЬ РАСХОЖДЕНИЯ",
+      balanced: "СХОДИТСЯ",
+    },
+    rules: {
+      wallName: "Название",
+      multiplierTitle: "Множитель цены штробления",
+      active: "Активная версия: v{version} от {date}",
+      editing: "В редакторе загружена v{version}",
+      noActive: "Активной версии нет — используются встроенные правила.",
+      empty: "Версий нет",
+      activeBadge: "АКТИВНА",
+      toEditor: "В редактор",
+      activate: "Активировать",
+      activateConfirm: "Сделать эту версию правил активной для новых смет?",
+      published:
+        "Опубликована версия v{version}. Новые сметы считаются по ней.",
+    },
+    followUp: {
+      title: "Follow-up напоминания",
+      hint: "Задержка шага — минуты от расчета сметы или создания заявки. Пустое поле выключает шаг. В тексте доступны {name}, {work} и {id}; пустой текст — стандартный на языке клиента.",
+      kinds: {
+        estimate: "Брошенная смета",
+        order: "Зависшая заявка",
+      },
+      step: "Шаг {step}",
+      delay: "Минуты",
+      defaultText: "Стандартный текст",
+      save: "Сохранить напоминания",
+      saved: "Напоминания сохранены",
+      failed: "Ошибка загрузки напоминаний",
+      invalidDelay: "Задержка — целое число минут больше нуля: {label}",
+    },
+  },
+
+  kk: {
+    languageName: "Қазақша",
+    auth: {
+      phoneLabel: "Телефон нөмірі",
+      requestCode: "Telegram-ға код алу",
+      sending: "Жіберілуде...",
+      codeLabel: "Telegram-дағы код",
+      signIn: "Жүйеге кіру",
+      changePhone: "Нөмірді өзгерту",
+      usePassword: "Логин және құпиясөзбен кіру",
+      usePhone: "Телефон нөмірі арқылы кіру",
+      loginLabel: "Логин",
+      passwordLabel: "Құпиясөз",
+      lockedUntil: "Сәтсіз әрекеттер тым көп. Кіру {time} дейін бұғатталған.",
+      changePasswordTitle: "Құпиясөзді өзгерту",
+      changePasswordRequired:
+        "Сізге уақытша құпиясөз берілген. Жалғастыру үшін өз құпиясөзіңізді орнатыңыз.",
+      currentPassword: "Ағымдағы құпиясөз",
+      newPassword: "Жаңа құпиясөз",
+      confirmPassword: "Құпиясөзді қайталаңыз",
+      savePassword: "Құпиясөзді сақтау",
+      passwordMismatch: "Құпиясөздер сәйкес емес",
+      cancel: "Болдырмау",
+    },
+    nav: {
+      workspace: "Жұмыс аймағы",
+      dashboard: "Дашборд",
+      orders: "Барлық нысандар",
+      myOrders: "Менің нысандарым / Биржа",
+      schedule: "Күнтізбе",
+      brigades: "Бригадалар",
+      finance: "Жалпы касса",
+      warehouse: "Қойма / Материалдар",
+      administration: "Әкімшілік",
+      settings: "Баптаулар / Баға",
+      users: "Клиенттер CRM",
+      broadcast: "Тарату",
+      logout: "Шығу",
+      loading: "Жүктелуде...",
+    },
+    topbar: {
+      terminal: "Терминал",
+      connecting: "Қосылуда...",
+      online: "Online",
+      offline: "Offline",
+      language: "Интерфейс тілі",
+    },
+    views: {
+      dashboardTitle: "Терең аналитика (Deep Analytics)",
+      dashboardSubtitle: "Нақты уақыттағы метрикалар мен көрсеткіштер",
+      myStatsTitle: "Менің статистикам",
+      myStatsSubtitle: "Сіздің көрсеткіштеріңіз бен табысыңыз",
+      periodStart: "Кезең басы",
+      periodEnd: "Кезең соңы",
+      apply: "Қолдану",
+      brigadesTitle: "Мердігерлерді басқару (Бригадалар)",
+      brigadesSubtitle: "Қарыздарды бақылау, инкассация және қолжетімділік",
+      ordersTitle: "Нысандар тізілімі",
+      ordersSubtitle: "Мекенжайларды, түсініктемелерді және сметаларды басқару",
+      scheduleTitle: "Шығулар күнтізбесі",
+      scheduleSubtitle:
+        "Бригадалардың өлшеу және монтаж күндері (қайталанатын жазба жоқ)",
+      financeTitle: "Жалпы касса",
+      financeSubtitle: "Жобадан тыс кірістер мен шығыстарды есепке алу",
+      warehouseTitle: "Қойма және материалдар",
+      warehouseSubtitle:
+        "Орындар бойынша қалдықтар, қозғалыстар және BOM материалдар каталогы",
+      settingsTitle: "Жүйе конфигурациясы",
+      settingsSubtitle: "Баға парағы және DevOps құралдары",
+      usersTitle: "CRM және персонал",
+      usersSubtitle: "Қолжетімділікті басқару және клиенттер базасы",
+      broadcastTitle: "Хабарламалар орталығы",
+      broadcastSubtitle: "Telegram бот арқылы тікелей тарату",
+    },
+    toast: {
+      expenseAdded: "Біреу нысанға жаңа чек қосты!",
+      codeSent: "Код Telegram-ға жіберілді",
+      authSuccess: "Авторизация сәтті өтті!",
+      logoutFailed: "Шығу кезінде қате",
+      languageFailed: "Тілді профильде сақтау мүмкін болмады",
+      analyticsFailed: "Аналитиканы жүктеу қатесі",
+      brigadesFailed: "Бригадаларды жүктеу қатесі",
+      brigadeActivated: "Бригада сәтті белсендірілді",
+      brigadeBlocked: "Бригада сәтті бұғатталды",
+      ordersFailed: "Тапсырыстарды жүктеу қатесі",
+      pricelistMissing: "Баға парағы жүктелмеген",
+      materialSaved: "Материал сақталды",
+      poSent: "Тапсырыс жіберілді деп белгіленді",
+      poReceived:
+        "Тапсырыс қабылданды: төлем жүргізілді, шығыстар нысандарға бөлінді",
+      poCancelled: "Жеткізушіге тапсырыс тоқтатылды",
+      poCancelConfirm: "Жеткізушіге #{id} тапсырысын тоқтату керек пе?",
+      poSkippedOrders: "Нысандар жабылған, шығыс қосылмады: {orders}",
+      invalidQuantity: "Дұрыс мөлшерді енгізіңіз",
+      materialIssued: "Материал нысанға берілді",
+      materialReturned: "Материал қайтарылды",
+      invoiceIssued: "Шот жасалды: клиентке сілтемені немесе QR жіберіңіз",
+      paymentAmountRequired: "Төлем сомасын енгізіңіз",
+      paymentRecorded: "Төлем тіркелді",
+      appointmentUpdated: "Жазба жаңартылды",
+      invalidDate: "Қате күн",
+      timeRequired: "Уақыт пен ұзақтықты көрсетіңіз",
+      appointmentAdded: "Жазба күнтізбеге қосылды",
+      financeFailed: "Қаржы модулін жүктеу қатесі",
+      orderTaken: "Сіз тапсырысты биржадан алдыңыз!",
+      orderSaved: "Нысан деректері сақталды",
+      brigadeAssigned: "Бригада нысанға тағайындалды",
+      statusUpdated: "Мәртебе жаңартылды",
+      statusAllowed: "{message} Рұқсат етілген: {allowed}",
+      stornoReasonRequired: "Сторнолау себебін көрсетіңіз",
+      finalPriceSaved: "Қорытынды баға бекітілді",
+      invalidAmount: "Дұрыс соманы енгізіңіз",
+      expenseSaved: "Шығыс қосылды",
+      offlineOrderCreated: "Офлайн-тапсырыс сәтті құрылды!",
+      brigadeCreated: "Бригада құрылды",
+      percentUpdated: "Пайыз сәтті өзгертілді",
+      incassationDone: "Ақша қабылданды, қарыз есептен шығарылды!",
+      transactionDone: "Операция сәтті жүргізілді",
+      backupStarting: "Дамп дайындалуда...",
+      backupDownloaded: "Резервтік көшірме жүктелді",
+      backupFailed: "Бекапты жүктеу қатесі",
+      materialAdded: "Материал каталогқа қосылды",
+      stockMoved: "Қозғалыс жүргізілді",
+      exportStarting: "Файл дайындалуда...",
+      broadcastTextRequired: "Тарату мәтінін енгізіңіз",
+      pricelistFailed: "Баға парағын жүктеу қатесі",
+      rulesFailed: "Смета ережелерін жүктеу қатесі",
+      rulesActivated: "Ережелер нұсқасы белсендірілді",
+      pricelistUpdated: "Баға парағы сәтті жаңартылды",
+      pricelistUpdateFailed: "Бағаларды жаңарту қатесі",
+      roleChanged: "Рөл сәтті өзгертілді",
+      usersFailed: "Пайдаланушыларды жүктеу қатесі",
+      broadcastCancelled: "Тарату тоқтатылды",
+      broadcastsFailed: "Тарату тарихын жүктеу қатесі",
+      segmentSaved: "Сегмент сақталды",
+      segmentDeleted: "Сегмент жойылды",
+      segmentNameRequired: "Сегмент атауын көрсетіңіз",
+      passwordChanged: "Құпиясөз өзгертілді",
+      webLoginRevoked: "CRM-ге кіру қайтарып алынды",
+      authEventsFailed: "Кіру журналын жүктеу қатесі",
+    },
+    users: {
+      colWebLogin: "CRM-ге кіру",
+      noWebLogin: "берілмеген",
+      issueWebLogin: "Беру",
+      resetWebLogin: "Құпиясөзді қалпына келтіру",
+      revokeWebLogin: "Қайтарып алу",
+      webLoginPrompt: "CRM-ге кіру логині (латын әріптері, сандар, . _ -):",
+      tempPassword:
+        "«{login}» үшін уақытша құпиясөз. Оны қызметкерге беріңіз — ол тек қазір көрсетіледі:",
+      revokeWebLoginConfirm: "CRM-ге құпиясөзбен кіруді қайтарып алу керек пе?",
+      empty: "Пайдаланушылар табылмады",
+      noUsername: "username жоқ",
+      noName: "Аты жоқ",
+    },
+    authLog: {
+      title: "Кіру журналы",
+      allEvents: "Барлық оқиғалар",
+      empty: "Оқиғалар жоқ",
+      colTime: "Уақыт",
+      colEvent: "Оқиға",
+      colUser: "Қызметкер",
+      colPhone: "Телефон",
+      colIp: "IP / арна",
+      colAgent: "Құрылғы",
+      events: {
+        otp_issued: "Код берілді",
+        otp_verified: "Код арқылы кіру",
+        otp_failed: "Қате код / нөмір",
+        otp_throttled: "Әрекеттер лимиті асты",
+        password_success: "Құпиясөзбен кіру",
+        password_failed: "Қате құпиясөз",
+        account_locked: "Кіру бұғатталды",
+        token_reused: "Refresh-токен қайталанды (құрылғы қайтарылды)",
+      },
+    },
+    sessions: {
+      title: "Белсенді сеанстар",
+      open: "Менің сеанстарым",
+      colDevice: "Құрылғы",
+      colIp: "IP",
+      colLastSeen: "Белсенділік",
+      current: "Ағымдағы",
+      types: { web: "Web CRM", api: "Қосымша" },
+      end: "Аяқтау",
+      endConfirm: "Осы сеансты аяқтау керек пе?",
+      ended: "Сеанс аяқталды",
+      empty: "Белсенді сеанстар жоқ",
+      failed: "Сеанстарды жүктеу қатесі",
+      logoutEverywhere: "Барлық жерден шығу",
+      logoutEverywhereConfirm:
+        "Қызметкердің CRM мен қосымшадағы барлық сеанстарын аяқтау керек пе?",
+      loggedOutEverywhere:
+        "Сеанстар аяқталды: веб-сессиялар {sessions}, құрылғылар {devices}",
+    },
+    roles: {
+      title: "Рөлдер және қолжетімділік құқықтары",
+      colPermission: "Құқық",
+      namePlaceholder: "Рөл коды (латын)",
+      titlePlaceholder: "Рөл атауы",
+      create: "Рөл құру",
+      delete: "Жою",
+      deleteConfirm: "«{role}» рөлін жою керек пе?",
+      created: "Рөл құрылды",
+      deleted: "Рөл жойылды",
+      saved: "«{role}» рөлінің құқықтары сақталды",
+      names: {
+        owner: "Иесі",
+        admin: "Әкімші",
+        manager: "Бригадир",
+        accountant: "Бухгалтер",
+        dispatcher: "Диспетчер",
+        user: "Клиент",
+        banned: "Бұғатталған",
+      },
+      groups: {
+        crm: "CRM",
+        dashboard: "Дашборд",
+        analytics: "Аналитика",
+        brigades: "Бригадалар",
+        orders: "Нысандар",
+        payments: "Төлемдер",
+        finance: "Қаржы",
+        settings: "Баптаулар",
+        warehouse: "Қойма",
+        purchases: "Сатып алу",
+        schedule: "Күнтізбе",
+        users: "Пайдаланушылар",
+        auth: "Қауіпсіздік",
+        roles: "Рөлдер",
+        broadcast: "Таратулар",
+        bot: "Telegram-бот",
+        system: "Жүйе",
+      },
+    },
+    broadcast: {
+      historyTitle: "Тарату тарихы",
+      segment: "Сегмент",
+      customSegment: "Сүзгілерді баптау",
+      deleteSegment: "Сегментті жою",
+      segmentName: "Сегмент атауы",
+      segmentDeleteConfirm: "«{name}» сегментін жою керек пе?",
+      filterOrderStatus: "Тапсырысы осы күйде",
+      filterCompletedDays: "Нысан кемінде N күн бұрын тапсырылған",
+      filterInactiveDays: "Кемінде N күн белсенді емес",
+      filterBrigade: "Бригада клиенттері",
+      filterWithoutPhone: "Телефонсыз",
+      any: "Маңызды емес",
+      audienceCount: "Алушылар: {count}",
+      withFilters: "{audience} + сүзгілер",
+      colCampaign: "Тарату",
+      colAudience: "Аудитория",
+      colStatus: "Күйі",
+      colProgress: "Жеткізу",
+      empty: "Тарату әлі болған жоқ",
+      cancel: "Тоқтату",
+      cancelConfirm:
+        "#{id} таратуды тоқтатасыз ба? Жеткізілмеген хабарламалар жіберілмейді.",
+      stats: "Қателер: {failed} · Ботты бұғаттағандар: {blocked}",
+      statuses: {
+        queued: "Кезекте",
+        running: "Жіберілуде",
+        done: "Аяқталды",
+        cancelled: "Тоқтатылды",
+      },
+      audiences: {
+        all: "Барлығына",
+        user: "Клиенттерге",
+        manager: "Бригадаларға",
+        admin: "Әкімшілерге",
+      },
+    },
+    common: {
+      untitled: "Атауы жоқ",
+      unknown: "Белгісіз",
+      exchange: "Биржа",
+      system: "Жүйе",
+      pieces: "{count} дана",
+      unitPiece: "дана",
+      area: "{area} м²",
+      name: "Атауы",
+      unit: "Өлш.",
+      price: "Бағасы",
+      qty: "Саны",
+      customItem: "Өз позициясы",
+      cancel: "Болдырмау",
+    },
+    dashboard: {
+      revenue: "Айналым (Түсім)",
+      netProfit: "Таза пайда",
+      ordersNew: "Жаңа",
+      ordersWork: "Жұмыста",
+      ordersDone: "Аяқталды",
+      noRating: "Рейтинг үшін деректер жоқ",
+      funnelNew: "Жаңа (Биржа)",
+      funnelWork: "Жұмыста",
+      funnelDone: "Аяқталды (Түсім)",
+      noExpenses: "Шығындар туралы деректер жоқ",
+      otherCategory: "Басқа",
+    },
+    brigades: {
+      empty: "Бригадалар табылмады",
+      active: "Белсенді",
+      blocked: "Бұғатталған",
+      defaultName: "Бригада",
+      writeOffDebt: "Қарызды есептен шығару",
+      block: "🚫 Бұғат",
+      activate: "✅ Белс.",
+      activateConfirm: "Бұл бригаданы БЕЛСЕНДІРУГЕ сенімдісіз бе?",
+      blockConfirm: "Бұл бригаданы БҰҒАТТАУҒА сенімдісіз бе?",
+    },
+    orders: {
+      empty: "Нысандар табылмады",
+      manage: "Басқару",
+      modalTitle: "Нысан #{id} ({area} м²)",
+      ruleVersion: "ережелер v{version}",
+      statuses: {
+        new: "Жаңа (Биржа)",
+        processing: "Есептеуге алынды / Өлшеу",
+        work: "Жұмыста (Монтаж)",
+        material: "Материалдарды күту (сатып алу)",
+        done: "Аяқталды",
+        cancel: "Бас тартылды",
+      },
+      unassignedOption: "-- Тағайындалмаған (Биржа) --",
+      unassigned: "Тағайындалмаған",
+      noExpenses: "Нысан бойынша чектер жоқ",
+      finalizeConfirm:
+        "Нысанды жабуға сенімдісіз бе? Үлестер есептеліп, бригадаға қарыз есептеледі.",
+      finalizing: "Есептеу...",
+      finalized:
+        "Нысан жабылды! Бригада тапқаны: {brigadeShare}. Басшыға қарыз: {ownerDue}",
+      finalizeButton: "ЖАБУ ЖӘНЕ ПАЙДАНЫ БӨЛУ",
+      stornoPrompt:
+        "Сторно себебі (өтемақы өткізбелері жүргізіледі, нысан жұмысқа қайтарылады):",
+      stornoDone:
+        "Қорытындылау болдырылмады. Сторноланды: бригада үлесі {brigadeShare}, фирма үлесі {ownerShare}",
+    },
+    bom: {
+      empty: "Спецификация бос",
+      total: "Каталог бойынша материалдар:",
+      fromCatalog: "Каталогтан",
+      save: "BOM сақтау",
+      notInCatalog: "(каталогта жоқ)",
+      saved: "Спецификация сақталды: {total}",
+    },
+    estimate: {
+      empty: "Смета құрылмаған — келісімді баға қолмен беріледі",
+      fromPricelist: "Прайстан",
+      save: "Сметаны сақтау",
+      saved: "Смета сақталды: {total}",
+    },
+    timeline: {
+      empty: "Әзірге оқиғалар жоқ",
+      actorId: "ID {id}",
+      items: "{count} поз.",
+      events: {
+        created: "Нысан құрылды",
+        status_changed: "Мәртебе өзгерді",
+        price_changed: "Баға өзгерді",
+        bom_changed: "Спецификация өзгерді (BOM)",
+        details_changed: "Нысан деректері өзгерді",
+        brigade_transferred: "Бригадаға берілді",
+        expense_added: "Шығын қосылды",
+        finalized: "Қорытындылау және үлестерді есептеу",
+        reversed: "Қорытындылауды сторнолау",
+        estimate_changed: "Позициялық смета өзгерді",
+        material_issued: "Материал қоймадан берілді",
+        material_returned: "Материал қоймаға қайтарылды",
+        payment_received: "Клиент төлемі",
+        invoice_payment_review: "Онлайн-төлем салыстыруды күтуде",
+      },
+      sources: {
+        bot: "Telegram",
+        web: "Web CRM",
+        api: "API",
+        system: "Жүйе",
+      },
+    },
+    materials: {
+      empty: "Каталог бос",
+    },
+    stock: {
+      kinds: {
+        receipt: "Кіріс",
+        issue: "Нысанға беру",
+        return: "Нысаннан қайтару",
+        transfer: "Ауыстыру",
+        adjustment: "Түзету",
+      },
+      allLocations: "Барлық локациялар",
+      empty: "Қалдықтар жоқ",
+      belowMinimum: "Минимумнан төмен:",
+      noMovements: "Қозғалыстар жоқ",
+      noCatalogItems: "Спецификацияда каталог позициялары жоқ",
+      issuedOf: "берілді {issued} / {planned} {unit}",
+      issue: "Беру",
+      return: "Қайтару",
+    },
+    purchases: {
+      statuses: {
+        draft: "Жоба",
+        sent: "Жіберілді",
+        received: "Алынды",
+        cancelled: "Бас тартылды",
+      },
+      empty: "Жеткізушілерге тапсырыстар жоқ",
+      markSent: "Жіберілді",
+      receive: "Қабылдау",
+      created: "Жеткізушілерге тапсырыстар құрылды: {count}",
+    },
+    payments: {
+      methods: {
+        cash: "Қолма-қол",
+        kaspi: "Kaspi",
+        bank_transfer: "Аударым",
+      },
+      toAccount: "Кассаға: {name}",
+      total: "Төлеуге:",
+      collected: "Төленді:",
+      outstanding: "Қалдық:",
+      prepayment: "алдын ала төлем",
+      account: "Касса: {name}",
+      withBrigade: "Бригаданың қолында",
+      empty: "Әзірге төлемдер жоқ",
+      invoice: "Шот #{id}, сомасы {amount}",
+      invoiceReceived: "Шот #{id}: алынды {amount}",
+      paymentLink: "Төлем сілтемесі",
+      invoiceStatuses: {
+        pending: "төлемді күтуде",
+        paid: "төленді",
+        failed: "төлем қабылданбады",
+        cancelled: "жаңа шотпен ауыстырылды",
+        review: "төленді, қолмен салыстыру қажет",
+      },
+    },
+    schedule: {
+      kinds: { visit: "Өлшеу", work: "Монтаж" },
+      weekdays: {
+        mon: "Дс",
+        tue: "Сс",
+        wed: "Ср",
+        thu: "Бс",
+        fri: "Жм",
+        sat: "Сн",
+        sun: "Жс",
+      },
+      done: "Орындалды",
+      reschedule: "Ауыстыру",
+      free: "Бос",
+      cancelConfirm: "Жазбаны болдырмау керек пе?",
+      reschedulePrompt: "Жаңа уақыт (ЖЖЖЖ-АА-КК СС:ММ):",
+    },
+    finance: {
+      accountOption: "{name} (Баланс: {balance})",
+      empty: "Операциялар жоқ",
+      income: "КІРІС",
+      expense: "ШЫҒЫС",
+      unknownAccount: "Белгісіз шот",
+      accountTypes: {
+        cash: "Касса",
+        card: "Қолма-қолсыз",
+        brigade_acc: "Бригада",
+        revenue: "Кірістер",
+        expense: "Шығыстар",
+        equity: "Капитал",
+      },
+      total: "БАРЛЫҒЫ",
+      unbalanced: "Теңгерілмеген өткізбелер: {count}",
+      drift: "АЙЫРМАШЫЛЫҚТАР БАР",
+      balanced: "СӘЙКЕС",
+    },
+    rules: {
+      wallName: "Атауы",
+      multiplierTitle: "Ойық жасау бағасының көбейткіші",
+      active: "Белсенді нұсқа: v{version}, {date}",
+      editing: "Редакторда v{version} жүктелген",
+      noActive: "Белсенді нұсқа жоқ — кірістірілген ережелер қолданылады.",
+      empty: "Нұсқалар жоқ",
+      activeBadge: "БЕЛСЕНДІ",
+      toEditor: "Редакторға",
+      activate: "Белсендіру",
+      activateConfirm:
+        "Ережелердің бұл нұсқасын жаңа сметалар үшін белсенді ету керек пе?",
+      published:
+        "v{version} нұсқасы жарияланды. Жаңа сметалар соған сай есептеледі.",
+    },
+    followUp: {
+      title: "Follow-up еске салғыштар",
+      hint: "Қадам кідірісі — сметаны есептеуден немесе өтінім құрудан бастап минуттар. Бос өріс қадамды өшіреді. Мәтінде {name}, {work} және {id} қолжетімді; бос мәтін — клиент тіліндегі стандартты мәтін.",
+      kinds: {
+        estimate: "Тасталған смета",
+        order: "Тоқтап қалған өтінім",
+      },
+      step: "{step}-қадам",
+      delay: "Минуттар",
+      defaultText: "Стандартты мәтін",
+      save: "Еске салғыштарды сақтау",
+      saved: "Еске салғыштар сақталды",
+      failed: "Еске салғыштарды жүктеу қатесі",
+      invalidDelay:
+        "Кідіріс нөлден үлкен бүтін минут саны болуы керек: {label}",
+    },
+  },
+
+  en: {
+    languageName: "English",
+    auth: {
+      phoneLabel: "Phone number",
+      requestCode: "Get code in Telegram",
+      sending: "Sending...",
+      codeLabel: "Code from Telegram",
+      signIn: "Sign in",
+      changePhone: "Change number",
+      usePassword: "Sign in with login and password",
+      usePhone: "Sign in with phone number",
+      loginLabel: "Login",
+      passwordLabel: "Password",
+      lockedUntil: "Too many failed attempts. Sign-in is locked until {time}.",
+      changePasswordTitle: "Change password",
+      changePasswordRequired:
+        "You were given a temporary password. Set your own password to continue.",
+      currentPassword: "Current password",
+      newPassword: "New password",
+      confirmPassword: "Repeat password",
+      savePassword: "Save password",
+      passwordMismatch: "Passwords do not match",
+      cancel: "Cancel",
+    },
+    nav: {
+      workspace: "Workspace",
+      dashboard: "Dashboard",
+      orders: "All sites",
+      myOrders: "My sites / Market",
+      schedule: "Calendar",
+      brigades: "Brigades",
+      finance: "Company cash desk",
+      warehouse: "Warehouse / Materials",
+      administration: "Administration",
+      settings: "Settings / Prices",
+      users: "Client CRM",
+      broadcast: "Broadcast",
+      logout: "Log out",
+      loading: "Loading...",
+    },
+    topbar: {
+      terminal: "Terminal",
+      connecting: "Connecting...",
+      online: "Online",
+      offline: "Offline",
+      language: "Interface language",
+    },
+    views: {
+      dashboardTitle: "Deep Analytics",
+      dashboardSubtitle: "Real-time metrics and KPIs",
+      myStatsTitle: "My statistics",
+      myStatsSubtitle: "Your performance and earnings",
+      periodStart: "Period start",
+      periodEnd: "Period end",
+      apply: "Apply",
+      brigadesTitle: "Contractor management (Brigades)",
+      brigadesSubtitle: "Debt control, cash collection and access",
+      ordersTitle: "Site registry",
+      ordersSubtitle: "Manage addresses, notes and estimates",
+      scheduleTitle: "Visit calendar",
+      scheduleSubtitle:
+        "Brigade measurement and installation days (no double booking)",
+      financeTitle: "Company cash desk",
+      financeSubtitle: "Non-project income and expenses",
+      warehouseTitle: "Warehouse & Materials",
+      warehouseSubtitle:
+        "Stock by location, movements and the BOM material catalog",
+      settingsTitle: "Core configuration",
+      settingsSubtitle: "Price list and DevOps tools",
+      usersTitle: "CRM & Staff",
+      usersSubtitle: "Access management and client base",
+      broadcastTitle: "Notification center",
+      broadcastSubtitle: "Direct broadcast via the Telegram bot",
+    },
+    toast: {
+      expenseAdded: "Someone added a new receipt to a site!",
+      codeSent: "Code sent to Telegram",
+      authSuccess: "Signed in successfully!",
+      logoutFailed: "Logout failed",
+      languageFailed: "Could not save the language to your profile",
+      analyticsFailed: "Failed to load analytics",
+      brigadesFailed: "Failed to load brigades",
+      brigadeActivated: "Brigade activated",
+      brigadeBlocked: "Brigade blocked",
+      ordersFailed: "Failed to load orders",
+      pricelistMissing: "Price list is not loaded",
+      materialSaved: "Material saved",
+      poSent: "Order marked as sent",
+      poReceived: "Order received: payment posted, costs allocated to sites",
+      poCancelled: "Supplier order cancelled",
+      poCancelConfirm: "Cancel supplier order #{id}?",
+      poSkippedOrders: "Sites already closed, cost not added: {orders}",
+      invalidQuantity: "Enter a valid quantity",
+      materialIssued: "Material issued to the site",
+      materialReturned: "Material returned",
+      invoiceIssued: "Invoice issued: send the link or QR to the client",
+      paymentAmountRequired: "Enter the payment amount",
+      paymentRecorded: "Payment recorded",
+      appointmentUpdated: "Appointment updated",
+      invalidDate: "Invalid date",
+      timeRequired: "Specify time and duration",
+      appointmentAdded: "Appointment added to the calendar",
+      financeFailed: "Failed to load the finance module",
+      orderTaken: "You took the order from the market!",
+      orderSaved: "Site details saved",
+      brigadeAssigned: "Brigade assigned to the site",
+      statusUpdated: "Status updated",
+      statusAllowed: "{message} Allowed: {allowed}",
+      stornoReasonRequired: "Specify the reversal reason",
+      finalPriceSaved: "Final price saved",
+      invalidAmount: "Enter a valid amount",
+      expenseSaved: "Expense added",
+      offlineOrderCreated: "Offline order created!",
+      brigadeCreated: "Brigade created",
+      percentUpdated: "Percentage updated",
+      incassationDone: "Money received, debt written off!",
+      transactionDone: "Transaction posted",
+      backupStarting: "Preparing dump...",
+      backupDownloaded: "Backup downloaded",
+      backupFailed: "Backup download failed",
+      materialAdded: "Material added to the catalog",
+      stockMoved: "Stock movement posted",
+      exportStarting: "Preparing file...",
+      broadcastTextRequired: "Enter the broadcast text",
+      pricelistFailed: "Failed to load the price list",
+      rulesFailed: "Failed to load estimate rules",
+      rulesActivated: "Rules version activated",
+      pricelistUpdated: "Price list updated",
+      pricelistUpdateFailed: "Failed to update prices",
+      roleChanged: "Role changed",
+      usersFailed: "Failed to load users",
+      broadcastCancelled: "Broadcast stopped",
+      broadcastsFailed: "Failed to load broadcast history",
+      segmentSaved: "Segment saved",
+      segmentDeleted: "Segment deleted",
+      segmentNameRequired: "Enter the segment name",
+      passwordChanged: "Password changed",
+      webLoginRevoked: "CRM sign-in revoked",
+      authEventsFailed: "Failed to load sign-in log",
+    },
+    users: {
+      colWebLogin: "CRM sign-in",
+      noWebLogin: "not issued",
+      issueWebLogin: "Issue",
+      resetWebLogin: "Reset password",
+      revokeWebLogin: "Revoke",
+      webLoginPrompt: "CRM login (latin letters, digits, . _ -):",
+      tempPassword:
+        "Temporary password for “{login}”. Pass it to the employee — it is shown only once:",
+      revokeWebLoginConfirm: "Revoke CRM password sign-in?",
+      empty: "No users found",
+      noUsername: "no username",
+      noName: "No name",
+    },
+    authLog: {
+      title: "Sign-in log",
+      allEvents: "All events",
+      empty: "No events",
+      colTime: "Time",
+      colEvent: "Event",
+      colUser: "Employee",
+      colPhone: "Phone",
+      colIp: "IP / channel",
+      colAgent: "Device",
+      events: {
+        otp_issued: "Code issued",
+        otp_verified: "Signed in with code",
+        otp_failed: "Wrong code / number",
+        otp_throttled: "Attempt limit exceeded",
+        password_success: "Signed in with password",
+        password_failed: "Wrong password",
+        account_locked: "Sign-in locked",
+        token_reused: "Refresh token reused (device revoked)",
+      },
+    },
+    sessions: {
+      title: "Active sessions",
+      open: "My sessions",
+      colDevice: "Device",
+      colIp: "IP",
+      colLastSeen: "Last active",
+      current: "Current",
+      types: { web: "Web CRM", api: "App" },
+      end: "End",
+      endConfirm: "End this session?",
+      ended: "Session ended",
+      empty: "No active sessions",
+      failed: "Failed to load sessions",
+      logoutEverywhere: "Log out everywhere",
+      logoutEverywhereConfirm:
+        "End all of this employee's CRM and app sessions?",
+      loggedOutEverywhere:
+        "Sessions ended: web sessions {sessions}, devices {devices}",
+    },
+    roles: {
+      title: "Roles & permissions",
+      colPermission: "Permission",
+      namePlaceholder: "Role code (latin)",
+      titlePlaceholder: "Role title",
+      create: "Create role",
+      delete: "Delete",
+      deleteConfirm: "Delete role “{role}”?",
+      created: "Role created",
+      deleted: "Role deleted",
+      saved: "Permissions of “{role}” saved",
+      names: {
+        owner: "Owner",
+        admin: "Administrator",
+        manager: "Brigade leader",
+        accountant: "Accountant",
+        dispatcher: "Dispatcher",
+        user: "Client",
+        banned: "Banned",
+      },
+      groups: {
+        crm: "CRM",
+        dashboard: "Dashboard",
+        analytics: "Analytics",
+        brigades: "Brigades",
+        orders: "Sites",
+        payments: "Payments",
+        finance: "Finance",
+        settings: "Settings",
+        warehouse: "Warehouse",
+        purchases: "Purchasing",
+        schedule: "Calendar",
+        users: "Users",
+        auth: "Security",
+        roles: "Roles",
+        broadcast: "Broadcasts",
+        bot: "Telegram bot",
+        system: "System",
+      },
+    },
+    broadcast: {
+      historyTitle: "Broadcast history",
+      segment: "Segment",
+      customSegment: "Custom filters",
+      deleteSegment: "Delete segment",
+      segmentName: "Segment name",
+      segmentDeleteConfirm: "Delete segment “{name}”?",
+      filterOrderStatus: "Has an order in status",
+      filterCompletedDays: "Site completed at least N days ago",
+      filterInactiveDays: "Inactive for at least N days",
+      filterBrigade: "Clients of crew",
+      filterWithoutPhone: "Without phone",
+      any: "Any",
+      audienceCount: "Recipients: {count}",
+      withFilters: "{audience} + filters",
+      colCampaign: "Broadcast",
+      colAudience: "Audience",
+      colStatus: "Status",
+      colProgress: "Delivery",
+      empty: "No broadcasts yet",
+      cancel: "Stop",
+      cancelConfirm:
+        "Stop broadcast #{id}? Undelivered messages will not be sent.",
+      stats: "Errors: {failed} · Blocked the bot: {blocked}",
+      statuses: {
+        queued: "Queued",
+        running: "Sending",
+        done: "Completed",
+        cancelled: "Stopped",
+      },
+      audiences: {
+        all: "Everyone",
+        user: "Clients",
+        manager: "Crews",
+        admin: "Administrators",
+      },
+    },
+    common: {
+      untitled: "Untitled",
+      unknown: "Unknown",
+      exchange: "Market",
+      system: "System",
+      pieces: "{count} pcs",
+      unitPiece: "pcs",
+      area: "{area} m²",
+      name: "Name",
+      unit: "Unit",
+      price: "Price",
+      qty: "Qty",
+      customItem: "Custom item",
+      cancel: "Cancel",
+    },
+    dashboard: {
+      revenue: "Turnover (Revenue)",
+      netProfit: "Net profit",
+      ordersNew: "New",
+      ordersWork: "In progress",
+      ordersDone: "Completed",
+      noRating: "No data for the leaderboard",
+      funnelNew: "New (Market)",
+      funnelWork: "In progress",
+      funnelDone: "Completed (Revenue)",
+      noExpenses: "No expense data",
+      otherCategory: "Other",
+    },
+    brigades: {
+      empty: "No brigades found",
+      active: "Active",
+      blocked: "Blocked",
+      defaultName: "Brigade",
+      writeOffDebt: "Write off debt",
+      block: "🚫 Block",
+      activate: "✅ Act.",
+      activateConfirm: "Are you sure you want to ACTIVATE this brigade?",
+      blockConfirm: "Are you sure you want to BLOCK this brigade?",
+    },
+    orders: {
+      empty: "No sites found",
+      manage: "Manage",
+      modalTitle: "Site #{id} ({area} m²)",
+      ruleVersion: "rules v{version}",
+      statuses: {
+        new: "New (Market)",
+        processing: "Estimating / Measuring",
+        work: "In progress (Installation)",
+        material: "Waiting for materials (purchasing)",
+        done: "Completed",
+        cancel: "Cancelled",
+      },
+      unassignedOption: "-- Not assigned (Market) --",
+      unassigned: "Not assigned",
+      noExpenses: "No receipts for this site",
+      finalizeConfirm:
+        "Are you sure you want to close the site? Shares will be calculated and the debt will be charged to the brigade.",
+      finalizing: "Calculating...",
+      finalized:
+        "Site closed! Brigade earned: {brigadeShare}. Owed to the owner: {ownerDue}",
+      finalizeButton: "CLOSE AND DISTRIBUTE PROFIT",
+      stornoPrompt:
+        "Reversal reason (compensating entries will be posted, the site returns to work):",
+      stornoDone:
+        "Finalization reversed. Reversed: brigade share {brigadeShare}, company share {ownerShare}",
+    },
+    bom: {
+      empty: "The specification is empty",
+      total: "Catalog materials:",
+      fromCatalog: "From catalog",
+      save: "Save BOM",
+      notInCatalog: "(not in catalog)",
+      saved: "Specification saved: {total}",
+    },
+    estimate: {
+      empty: "No estimate yet — the contract price is set manually",
+      fromPricelist: "From price list",
+      save: "Save estimate",
+      saved: "Estimate saved: {total}",
+    },
+    timeline: {
+      empty: "No events yet",
+      actorId: "ID {id}",
+      items: "{count} items",
+      events: {
+        created: "Site created",
+        status_changed: "Status changed",
+        price_changed: "Price changed",
+        bom_changed: "Specification changed (BOM)",
+        details_changed: "Site details changed",
+        brigade_transferred: "Transferred to brigade",
+        expense_added: "Expense added",
+        finalized: "Finalization and share calculation",
+        reversed: "Finalization reversed",
+        estimate_changed: "Itemized estimate changed",
+        material_issued: "Material issued from stock",
+        material_returned: "Material returned to stock",
+        payment_received: "Client payment",
+        invoice_payment_review: "Online payment awaits reconciliation",
+      },
+      sources: {
+        bot: "Telegram",
+        web: "Web CRM",
+        api: "API",
+        system: "System",
+      },
+    },
+    materials: {
+      empty: "The catalog is empty",
+    },
+    stock: {
+      kinds: {
+        receipt: "Receipt",
+        issue: "Issue to site",
+        return: "Return from site",
+        transfer: "Transfer",
+        adjustment: "Adjustment",
+      },
+      allLocations: "All locations",
+      empty: "No stock",
+      belowMinimum: "Below minimum:",
+      noMovements: "No movements",
+      noCatalogItems: "No catalog items in the specification",
+      issuedOf: "issued {issued} of {planned} {unit}",
+      issue: "Issue",
+      return: "Return",
+    },
+    purchases: {
+      statuses: {
+        draft: "Draft",
+        sent: "Sent",
+        received: "Received",
+        cancelled: "Cancelled",
+      },
+      empty: "No supplier orders",
+      markSent: "Sent",
+      receive: "Receive",
+      created: "Supplier orders created: {count}",
+    },
+    payments: {
+      methods: {
+        cash: "Cash",
+        kaspi: "Kaspi",
+        bank_transfer: "Transfer",
+      },
+      toAccount: "To account: {name}",
+      total: "Due:",
+      collected: "Paid:",
+      outstanding: "Outstanding:",
+      prepayment: "prepayment",
+      account: "Account: {name}",
+      withBrigade: "Held by the brigade",
+      empty: "No payments yet",
+      invoice: "Invoice #{id} for {amount}",
+      invoiceReceived: "Invoice #{id}: received {amount}",
+      paymentLink: "Payment link",
+      invoiceStatuses: {
+        pending: "awaiting payment",
+        paid: "paid",
+        failed: "payment declined",
+        cancelled: "replaced by a new invoice",
+        review: "paid, needs manual reconciliation",
+      },
+    },
+    schedule: {
+      kinds: { visit: "Measurement", work: "Installation" },
+      weekdays: {
+        mon: "Mon",
+        tue: "Tue",
+        wed: "Wed",
+        thu: "Thu",
+        fri: "Fri",
+        sat: "Sat",
+        sun: "Sun",
+      },
+      done: "Done",
+      reschedule: "Reschedule",
+      free: "Free",
+      cancelConfirm: "Cancel this appointment?",
+      reschedulePrompt: "New time (YYYY-MM-DD HH:MM):",
+    },
+    finance: {
+      accountOption: "{name} (Balance: {balance})",
+      empty: "No transactions",
+      income: "INCOME",
+      expense: "EXPENSE",
+      unknownAccount: "Unknown account",
+      accountTypes: {
+        cash: "Cash desk",
+        card: "Non-cash",
+        brigade_acc: "Brigade",
+        revenue: "Revenue",
+        expense: "Expenses",
+        equity: "Equity",
+      },
+      total: "TOTAL",
+      unbalanced: "Unbalanced entries: {count}",
+      drift: "DISCREPANCIES FOUND",
+      balanced: "BALANCED",
+    },
+    rules: {
+      wallName: "Name",
+      multiplierTitle: "Chasing price multiplier",
+      active: "Active version: v{version} of {date}",
+      editing: "Editor has v{version} loaded",
+      noActive: "No active version — built-in rules are used.",
+      empty: "No versions",
+      activeBadge: "ACTIVE",
+      toEditor: "To editor",
+      activate: "Activate",
+      activateConfirm: "Make this rules version active for new estimates?",
+      published: "Version v{version} published. New estimates use it.",
+    },
+    followUp: {
+      title: "Follow-up reminders",
+      hint: "Step delay is minutes since the estimate was calculated or the request was created. An empty field turns the step off. The text may use {name}, {work} and {id}; an empty text uses the default in the client's language.",
+      kinds: {
+        estimate: "Abandoned estimate",
+        order: "Stalled request",
+      },
+      step: "Step {step}",
+      delay: "Minutes",
+      defaultText: "Default text",
+      save: "Save reminders",
+      saved: "Reminders saved",
+      failed: "Failed to load reminders",
+      invalidDelay:
+        "Delay must be a whole number of minutes above zero: {label}",
+    },
+  },
+};
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+const normalize = (lang) => (CATALOGS[lang] ? lang : DEFAULT_LANGUAGE);
+
+export const I18n = {
+  languages: Object.keys(CATALOGS),
+  lang: normalize(localStorage.getItem(STORAGE_KEY)),
+
+  /**
+   * Перевод по ключу "раздел.ключ" с подстановкой {параметров}.
+   * Отсутствующие ключи берутся из русского каталога.
+   */
+  t(key, params = {}) {
+    const template =
+      lookup(CATALOGS[this.lang], key) ?? lookup(CATALOGS.ru, key);
+    if (typeof template !== "string") return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match,
+    );
+  },
+
+  getLanguageName(lang) {
+    return lookup(CATALOGS[normalize(lang)], "languageName");
+  },
+
+  getLocaleTag() {
+    return LOCALE_TAGS[this.lang];
+  },
+
+  setLanguage(lang) {
+    this.lang = normalize(lang);
+    localStorage.setItem(STORAGE_KEY, this.lang);
+    document.documentElement.lang = this.lang;
+    return this.lang;
+  },
+
+  /**
+   * Применяет переводы к размеченным элементам страницы.
+   * @param {ParentNode} [root=document]
+   */
+  apply(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+      el.placeholder = this.t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll("[data-i18n-title]").forEach((el) => {
+      el.title = this.t(el.dataset.i18nTitle);
+    });
+  },
+};
@@ -5,6 +5,33 @@
  * ИСПРАВЛЕНО: Бригадирам (Менеджерам) разрешено завершать (finalize) свои заказы.
  * ИСПРАВЛЕНО: Баг с Web-аналитикой (totalNetProfit теперь корректно передает чистую прибыль).
  * ДОБАВЛЕНО: Глобальный контроллер массовых рассылок (Broadcast API) с поддержкой таргетинга ролей.
+ * ДОБАВЛЕНО: Все смены статусов идут через стейт-машину OrderService (структурированные 409).
+ * ДОБАВЛЕНО: Таймлайн объекта из журнала order_events (GET /api/orders/:id/timeline).
+ * ДОБАВЛЕНО: Версионируемые правила сметы по типам объектов (/api/estimate-rules).
+ * ДОБАВЛЕНО: Сторно финализированных объектов (POST /api/orders/:id/storno, только Владелец).
+ * ДОБАВЛЕНО: Оборотно-сальдовая ведомость с контролем расхождений (GET /api/finance/trial-balance).
+ * ДОБАВЛЕНО: Позиционная смета объекта (PATCH /api/orders/:id/estimate-lines, GET /api/estimate/catalog).
+ * ДОБАВЛЕНО: PDF смета / коммерческое предложение (GET /api/orders/:id/estimate.pdf).
+ * ДОБАВЛЕНО: Выгрузка XLSX/CSV заказов, проводок и аналитики (.../export?format=xlsx|csv).
+ * ДОБАВЛЕНО: Каталог материалов (/api/materials), BOM пересчитывается по ценам каталога.
+ * ДОБАВЛЕНО: Складской учет (/api/stock/*) и выдача/возврат материалов по объекту.
+ * ДОБАВЛЕНО: Заказы поставщикам из BOM объектов (/api/purchase-orders).
+ * ДОБАВЛЕНО: Календарь замеров и монтажных дней (/api/appointments).
+ * ДОБАВЛЕНО: Оплаты клиентов по объекту и остаток к оплате (/api/orders/:id/payments).
+ * ДОБАВЛЕНО: Счета онлайн-оплаты Kaspi QR (/api/orders/:id/payment-invoices),
+ * webhook провайдера (/api/payments/webhook/:provider) и страница mock-шлюза.
+ * ДОБАВЛЕНО: Язык интерфейса CRM (POST /api/auth/language), сообщения бота — на языке получателя.
+ * ДОБАВЛЕНО: Рассылки — кампании в очереди с лимитом скорости и историей (/api/broadcast/campaigns).
+ * ДОБАВЛЕНО: Сегменты аудитории рассылок и предпросмотр числа получателей (/api/broadcast/segments).
+ * ДОБАВЛЕНО: Вход персонала по логину/паролю (AuthService) вместо общего isAdmin,
+ * смена пароля (/api/auth/password) и выдача учетных записей (/api/users/:id/credentials).
+ * ДОБАВЛЕНО: OTP с троттлингом по телефону и IP, журнал входов (GET /api/auth/events).
+ * ДОБАВЛЕНО: Именованные права вместо проверок owner/admin/manager (requirePermission),
+ * редактор ролей Владельца (/api/roles).
+ * ДОБАВЛЕНО: Bearer-токены для мобильного приложения и интеграций (/api/auth/token*),
+ * сотрудник запроса — req.user (токен или cookie-сессия).
+ * ДОБАВЛЕНО: Сеансы сотрудника (/api/auth/sessions) и «выйти везде» (DELETE /api/users/:id/sessions).
+ * ДОБАВЛЕНО: Проверка задержек follow-up цепочек при сохранении настроек (POST /api/settings).
  * НИКАКИХ СОКРАЩЕНИЙ.
  *
  * @module Application
@@ -28,7 +55,36 @@ import { bot, getSocketIO } from "./bot.js";
 
 // --- SERVICES ---
 import { UserService } from "./services/UserService.js";
-import { OrderService } from "./services/OrderService.js";
+import { AuthService, AuthError } from "./services/AuthService.js";
+import { TokenService } from "./services/TokenService.js";
+import { SessionService, SessionError } from "./services/SessionService.js";
+import {
+  PermissionService,
+  PermissionError,
+} from "./services/PermissionService.js";
+import { I18nService } from "./services/I18nService.js";
+import {
+  OrderService,
+  ORDER_TRANSITIONS,
+  OrderTransitionError,
+  ESTIMATE_RULE_FIELDS,
+} from "./services/OrderService.js";
+import { DocumentService } from "./services/DocumentService.js";
+import { MaterialService } from "./services/MaterialService.js";
+import { WarehouseService } from "./services/WarehouseService.js";
+import { PurchaseService } from "./services/PurchaseService.js";
+import { SchedulingService } from "./services/SchedulingService.js";
+import { PaymentService } from "./services/PaymentService.js";
+import { MockPaymentProvider } from "./services/MockPaymentProvider.js";
+import { BroadcastService } from "./services/BroadcastService.js";
+import { FollowUpService } from "./services/FollowUpService.js";
+import {
+  ExportService,
+  ORDER_EXPORT_COLUMNS,
+  TRANSACTION_EXPORT_COLUMNS,
+  BRIGADE_ANALYTICS_EXPORT_COLUMNS,
+  DEEP_ANALYTICS_EXPORT_COLUMNS,
+} from "./services/ExportService.js";
 
 const app = express();
 app.set("trust proxy", 1);
@@ -61,7 +117,15 @@ const apiLimiter = rateLimit({
 });
 app.use("/api/", apiLimiter);
 
-app.use(express.json({ limit: "50mb" }));
+// rawBody — исходные байты запроса для проверки подписи webhook платежей
+app.use(
+  express.json({
+    limit: "50mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
 const PgStore = pgSession(session);
@@ -92,37 +156,86 @@ app.use(express.static(path.join(__dirname, "../public")));
 // 2. 🔐 AUTHENTICATION & STRICT RBAC
 // =============================================================================
 
-const requireAdmin = (req, res, next) => {
-  if (
-    req.session &&
-    (req.session.isAdmin ||
-      (req.session.user && ["owner", "admin"].includes(req.session.user.role)))
-  )
-    return next();
-  return res
-    .status(401)
-    .json({ error: "⛔ Доступ запрещен. Требуются права Администратора." });
+// Последняя активность веб-сессии для списка сеансов. Запись сессии в БД —
+// не чаще раза в LAST_SEEN_INTERVAL_MS, а не на каждый запрос.
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const touchStaffSession = (req) => {
+  const lastSeenAt = new Date(req.session.lastSeenAt || 0).getTime();
+  if (Date.now() - lastSeenAt < LAST_SEEN_INTERVAL_MS) return;
+  req.session.lastSeenAt = new Date();
+  req.session.client = getRequestMeta(req);
 };
 
-const requireManager = (req, res, next) => {
-  if (
-    req.session &&
-    (req.session.isAdmin ||
-      (req.session.user &&
-        ["owner", "admin", "manager"].includes(req.session.user.role)))
-  )
+/**
+ * Сотрудник запроса (req.user): Bearer access-токен устройства или cookie-сессия
+ * Web CRM. Ошибка токена не обрывает запрос сразу — ее вернут защищенные
+ * маршруты (401 TOKEN_EXPIRED → клиент обновляет токен), публичные
+ * (webhook платежей) работают как раньше.
+ */
+app.use("/api/", async (req, res, next) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer") {
+    req.user = req.session?.user || null;
+    if (req.user) touchStaffSession(req);
     return next();
-  return res
+  }
+  try {
+    req.user = await TokenService.authenticate(token);
+  } catch (error) {
+    if (!(error instanceof AuthError)) return next(error);
+    req.user = null;
+    req.authError = error;
+  }
+  return next();
+});
+
+// 401 без сотрудника: причина отказа токена (если был) или общий ответ
+const sendUnauthorized = (req, res) =>
+  res
     .status(401)
-    .json({ error: "⛔ Доступ запрещен. Требуются права Бригадира." });
+    .json(req.authError?.toJSON() || { error: "Требуется авторизация" });
+
+/**
+ * Проверка права роли сотрудника (PermissionService). Права читаются из БД
+ * (с кэшем), а не из сессии — правки Владельца действуют сразу. С временным
+ * паролем доступны только маршруты /api/auth/* (смена пароля, выход).
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  const user = req.user;
+  if (!user) return sendUnauthorized(req, res);
+  if (user.mustChangePassword)
+    return res.status(403).json({
+      error: "Смените временный пароль, чтобы продолжить работу.",
+      code: "PASSWORD_CHANGE_REQUIRED",
+    });
+
+  const allowed =
+    (await PermissionService.can(user.role, "crm.access")) &&
+    (await PermissionService.can(user.role, permission));
+  if (!allowed)
+    return res.status(403).json({
+      error: `⛔ Доступ запрещен. Нет права «${PermissionService.PERMISSIONS[permission]}».`,
+      code: "PERMISSION_DENIED",
+      permission,
+    });
+  return next();
+};
+
+const hasPermission = (req, permission) =>
+  PermissionService.can(req.user?.role, permission);
+
+// Любой вошедший сотрудник, в т.ч. с временным паролем (маршруты /api/auth/*)
+const requireSession = (req, res, next) => {
+  if (req.user) return next();
+  return sendUnauthorized(req, res);
 };
 
 /**
- * 🔥 ГЛАВНЫЙ СИСТЕМНЫЙ ЩИТ:
- * 1. Запрещает менять завершенные заказы всем.
- * 2. Изолирует заказы менеджеров друг от друга.
+ * 🔍 Проверка доступа к заказу (чтение): без права orders.view_all сотрудник
+ * видит только объекты своей бригады.
  */
-const enforceOrderModification = async (req, orderId) => {
+const enforceOrderAccess = async (req, orderId) => {
   const oRes = await db.query(
     "SELECT brigade_id, status FROM orders WHERE id = $1",
     [orderId],
@@ -130,18 +243,11 @@ const enforceOrderModification = async (req, orderId) => {
   if (oRes.rows.length === 0) throw new Error("Заказ не найден.");
   const order = oRes.rows[0];
 
-  // ЖЕСТКАЯ БЛОКИРОВКА ПРИ ЗАВЕРШЕНИИ (Аудит и безопасность)
-  if (order.status === "done") {
-    throw new Error(
-      "⛔ Заказ ЗАВЕРШЕН. Любые финансовые изменения или изменения сметы заблокированы.",
-    );
-  }
-
-  // ПРОВЕРКА ПРИНАДЛЕЖНОСТИ ДЛЯ МЕНЕДЖЕРА
-  if (req.session?.user?.role === "manager") {
+  // ПРОВЕРКА ПРИНАДЛЕЖНОСТИ К БРИГАДЕ
+  if (!(await hasPermission(req, "orders.view_all"))) {
     const bRes = await db.query(
       "SELECT id FROM brigades WHERE brigadier_id = $1",
-      [req.session.user.id],
+      [req.user.id],
     );
     const brigadeId = bRes.rows.length > 0 ? bRes.rows[0].id : null;
 
@@ -149,690 +255,1750 @@ const enforceOrderModification = async (req, orderId) => {
     if (order.brigade_id !== brigadeId)
       throw new Error("⛔ Доступ запрещен: Это не ваш объект!");
   }
+  return order;
 };
 
-app.get("/", (req, res) => res.redirect("/admin.html"));
-
-app.post("/api/auth/login", (req, res) => {
-  const { login, password } = req.body;
-  if (
-    login === (process.env.ADMIN_LOGIN || "admin") &&
-    password === (process.env.ADMIN_PASS || "Qazplm01")
-  ) {
-    req.session.isAdmin = true;
-    req.session.loginTime = new Date();
-    return res.json({ success: true, message: "Welcome back, Boss!" });
-  }
-  return res.status(401).json({ error: "Неверный логин или пароль" });
-});
-
-app.post("/api/auth/otp/request", async (req, res) => {
-  try {
-    const { phone } = req.body;
-    if (!phone)
-      return res.status(400).json({ error: "Введите номер телефона" });
-
-    const cleanPhone = phone.replace(/\D/g, "");
-    const result = await db.query(
-      "SELECT * FROM users WHERE REGEXP_REPLACE(phone, '\\D', '', 'g') LIKE '%' || $1 LIMIT 1",
-      [cleanPhone],
-    );
+/**
+ * 🔥 ГЛАВНЫЙ СИСТЕМНЫЙ ЩИТ:
+ * 1. Запрещает менять завершенные заказы всем.
+ * 2. Изолирует заказы бригад друг от друга (без права orders.view_all).
+ */
+const enforceOrderModification = async (req, orderId) => {
+  const order = await enforceOrderAccess(req, orderId);
 
-    if (result.rows.length === 0)
-      return res
-        .status(404)
-        .json({ error: "Пользователь с таким номером не найден" });
-    const user = result.rows[0];
-    if (!["owner", "admin", "manager"].includes(user.role))
-      return res
-        .status(403)
-        .json({ error: "Доступ разрешен только персоналу" });
-
-    const { otp } = await UserService.generateWebOTP(user.telegram_id);
-    await bot.telegram.sendMessage(
-      user.telegram_id,
-      `🔐 <b>Вход в Web CRM</b>\nВаш код: <code>${otp}</code>\n<i>Действителен 15 минут.</i>`,
-      { parse_mode: "HTML" },
+  // ЖЕСТКАЯ БЛОКИРОВКА ПРИ ЗАВЕРШЕНИИ (Аудит и безопасность)
+  if (order.status === "done") {
+    throw new Error(
+      "⛔ Заказ ЗАВЕРШЕН. Любые финансовые изменения или изменения сметы заблокированы.",
     );
-
-    res.json({ success: true, message: "Код отправлен в Telegram" });
-  } catch (error) {
-    res.status(500).json({ error: "Ошибка генерации кода" });
   }
+  return order;
+};
+
+/**
+ * 🧾 Инициатор изменения для журнала order_events (Web CRM или клиент API).
+ */
+const getActor = (req) => ({
+  id: req.user?.id || null,
+  source: req.user?.deviceId ? "api" : "web",
 });
 
-app.post("/api/auth/otp/verify", async (req, res) => {
-  try {
-    const { phone, otp } = req.body;
-    if (!phone || !otp)
-      return res.status(400).json({ error: "Телефон и код обязательны" });
-
-    const user = await UserService.verifyWebOTP(phone, otp);
-    if (!user)
-      return res.status(401).json({ error: "Неверный или просроченный код" });
-
-    req.session.user = {
-      id: user.telegram_id,
-      role: user.role,
-      name: user.first_name,
-      phone: user.phone,
-    };
-    res.json({ success: true, user: req.session.user });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+/**
+ * 🚦 Ответ на ошибки стейт-машины заказов: структурированный JSON (409)
+ * с полями code/from/to/allowed для Web CRM. Прочие ошибки — с fallback-кодом.
+ */
+const sendOrderError = (res, error, fallbackStatus = 500) => {
+  if (error instanceof OrderTransitionError) {
+    return res.status(error.status).json(error.toJSON());
   }
-});
+  return res.status(fallbackStatus).json({ error: error.message });
+};
 
-app.get("/api/auth/me", (req, res) => {
-  if (req.session && req.session.user)
-    return res.json({
-      authenticated: true,
-      user: req.session.user,
-      isLegacy: false,
-    });
-  if (req.session && req.session.isAdmin)
-    return res.json({
-      authenticated: true,
-      user: { role: "owner", name: "SuperAdmin" },
-      isLegacy: true,
-    });
-  res.json({ authenticated: false });
-});
+app.get("/", (req, res) => res.redirect("/admin.html"));
 
-app.post("/api/auth/logout", (req, res) => {
-  req.session.destroy(() => {
-    res.clearCookie("proelectric.sid");
-    res.json({ success: true });
+/**
+ * Новая сессия после входа (защита от фиксации идентификатора сессии).
+ */
+const startStaffSession = (req, user) =>
+  new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+      if (error) return reject(error);
+      req.session.user = user;
+      req.session.loginTime = new Date();
+      req.session.lastSeenAt = req.session.loginTime;
+      req.session.client = getRequestMeta(req);
+      resolve(user);
+    });
   });
+
+// IP и User-Agent для журнала входов (trust proxy включен — IP клиента)
+const getRequestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: (req.get("user-agent") || "").slice(0, 500),
 });
 
-// =============================================================================
-// 3. 📊 DEEP ANALYTICS & TIMELINES (WITH DATE FILTERS)
-// =============================================================================
+const sendAuthError = (res, error) => {
+  if (error instanceof AuthError)
+    return res.status(error.status).json(error.toJSON());
+  return res.status(500).json({ error: error.message });
+};
 
-const getManagerBrigadeId = async (req) => {
-  if (req.session?.user?.role === "manager") {
-    const b = await db.query(
-      "SELECT id FROM brigades WHERE brigadier_id = $1",
-      [req.session.user.id],
-    );
-    return b.rows.length > 0 ? b.rows[0].id : -1;
-  }
-  return null;
+const sendPermissionError = (res, error) => {
+  if (error instanceof PermissionError)
+    return res.status(error.status).json(error.toJSON());
+  return res.status(500).json({ error: error.message });
 };
 
-app.get("/api/dashboard/stats", requireManager, async (req, res) => {
-  try {
-    const brigadeId = await getManagerBrigadeId(req);
-    const { startDate, endDate } = req.query;
-
-    const [globalStats, funnelStats] = await Promise.all([
-      db.getGlobalStats(brigadeId, startDate, endDate),
-      db.getOrdersFunnel(brigadeId, startDate, endDate),
-    ]);
-    const activeCount =
-      funnelStats.find((f) => f.status === "work" || f.status === "processing")
-        ?.count || 0;
-    res.json({
-      overview: {
-        totalRevenue: globalStats.totalRevenue,
-        // 🔥 ИСПРАВЛЕНИЕ: Теперь мы передаем чистую прибыль, а не дублируем выручку
-        totalNetProfit: globalStats.totalNetProfit,
-        totalUsers: globalStats.totalUsers,
-        activeToday: globalStats.active24h,
-        pendingOrders: activeCount,
-      },
-      funnel: funnelStats,
-      financials: {},
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+const sendSessionError = (res, error) => {
+  if (error instanceof SessionError)
+    return res.status(error.status).json(error.toJSON());
+  return res.status(500).json({ error: error.message });
+};
 
-app.get("/api/analytics/deep", requireManager, async (req, res) => {
+app.post("/api/auth/login", async (req, res) => {
   try {
-    const brigadeId = await getManagerBrigadeId(req);
-    const deepData = await db.getDeepAnalyticsData(
-      brigadeId,
-      req.query.startDate,
-      req.query.endDate,
-    );
-    res.json(deepData);
+    const { login, password } = req.body;
+    const user = await AuthService.login(login, password, getRequestMeta(req));
+    await startStaffSession(req, user);
+    res.json({ success: true, user: await AuthService.withPermissions(user) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.get("/api/analytics/timeline", requireManager, async (req, res) => {
+app.post("/api/auth/password", requireSession, async (req, res) => {
   try {
-    const brigadeId = await getManagerBrigadeId(req);
-    const timelineData = await db.getTimelineAnalytics(
-      brigadeId,
-      req.query.startDate,
-      req.query.endDate,
-    );
-    res.json(timelineData);
+    const { currentPassword, newPassword } = req.body;
+    await AuthService.changePassword(req.user.id, currentPassword, newPassword);
+    req.user.hasPassword = true;
+    req.user.mustChangePassword = false;
+    res.json({
+      success: true,
+      user: await AuthService.withPermissions(req.user),
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.get("/api/analytics/orders-timeline", requireManager, async (req, res) => {
+app.post("/api/auth/otp/request", async (req, res) => {
   try {
-    const brigadeId = await getManagerBrigadeId(req);
-    const ordersTimeline = await db.getOrdersTimelineAnalytics(
-      brigadeId,
-      req.query.startDate,
-      req.query.endDate,
+    const { user, otp, expiresIn } = await AuthService.requestOtp(
+      req.body.phone,
+      getRequestMeta(req),
+    );
+    await bot.telegram.sendMessage(
+      user.telegram_id,
+      I18nService.t(user.language_code, "notify.webLoginCode", {
+        otp,
+        minutes: expiresIn,
+      }),
+      { parse_mode: "HTML" },
     );
-    res.json(ordersTimeline);
+
+    res.json({ success: true, message: "Код отправлен в Telegram" });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (error instanceof AuthError) return sendAuthError(res, error);
+    res.status(500).json({ error: "Ошибка генерации кода" });
   }
 });
 
-app.get("/api/analytics/brigades", requireAdmin, async (req, res) => {
+app.post("/api/auth/otp/verify", async (req, res) => {
   try {
-    const data = await db.getBrigadesAnalytics(
-      req.query.startDate,
-      req.query.endDate,
-    );
-    res.json(data);
+    const { phone, otp } = req.body;
+    const user = await AuthService.verifyOtp(phone, otp, getRequestMeta(req));
+    await startStaffSession(req, user);
+    res.json({ success: true, user: await AuthService.withPermissions(user) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-// =============================================================================
-// 🏗 4. BRIGADES MANAGEMENT (ERP CORE)
-// =============================================================================
+// Журнал входов (выдача/проверка OTP, вход по паролю) — только Владелец
+app.get(
+  "/api/auth/events",
+  requirePermission("auth.audit"),
+  async (req, res) => {
+    try {
+      res.json(await AuthService.getEvents(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
-app.get("/api/brigades", requireAdmin, async (req, res) => {
+// Права роли отдаются актуальными: UI скрывает разделы по user.permissions
+app.get("/api/auth/me", async (req, res) => {
   try {
-    const brigades = await db.getBrigades();
-    for (let b of brigades) {
-      const acc = await db.query(
-        "SELECT balance FROM accounts WHERE user_id = $1 AND type = 'brigade_acc' LIMIT 1",
-        [b.brigadier_id],
-      );
-      b.balance = acc.rows.length > 0 ? parseFloat(acc.rows[0].balance) : 0;
-    }
-    res.json(brigades);
+    if (req.user)
+      return res.json({
+        authenticated: true,
+        user: await AuthService.withPermissions(req.user),
+      });
+    res.json({ authenticated: false });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/brigades", requireAdmin, async (req, res) => {
+// Язык интерфейса CRM: сохраняется в сессии и в профиле (бот переключается тоже)
+app.post("/api/auth/language", requireSession, async (req, res) => {
   try {
-    const { name, brigadierId, profitPercentage } = req.body;
-    if (!name || !brigadierId)
-      return res.status(400).json({ error: "Название и ID обязательны" });
-    const newBrigade = await db.createBrigade(
-      name,
-      brigadierId,
-      profitPercentage || 40,
-    );
-    res.json({ success: true, brigade: newBrigade });
+    const { language } = req.body;
+    if (!I18nService.isSupported(language))
+      return res.status(400).json({ error: "Неподдерживаемый язык" });
+
+    await UserService.setUserLanguage(req.user.id, language);
+    req.user.language = language;
+    res.json({ success: true, language });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Обновление доли или блокировка
-app.patch("/api/brigades/:id", requireAdmin, async (req, res) => {
-  try {
-    const { profitPercentage, isActive } = req.body;
-    const updated = await db.updateBrigade(
-      req.params.id,
-      profitPercentage,
-      isActive,
-    );
-    res.json({ success: true, brigade: updated });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+app.post("/api/auth/logout", (req, res) => {
+  req.session.destroy(() => {
+    res.clearCookie("proelectric.sid");
+    res.json({ success: true });
+  });
 });
 
-// =============================================================================
-// 📦 5. ORDER MANAGEMENT & LEAD MARKET
-// =============================================================================
+// --- Bearer-токены: Android-приложение бригадиров и интеграции (без cookie) ---
 
-app.get("/api/orders", requireManager, async (req, res) => {
+// Вход устройства: код из /api/auth/otp/request меняется на пару токенов
+app.post("/api/auth/token", async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-    const status = req.query.status || null;
-    const isManager = req.session?.user?.role === "manager";
-    const userId = req.session?.user?.id;
-
-    let query = `
-      SELECT o.*, u.first_name as client_name, u.phone as client_phone, b.name as brigade_name
-      FROM orders o
-      LEFT JOIN users u ON o.user_id = u.telegram_id
-      LEFT JOIN brigades b ON o.brigade_id = b.id
-      WHERE 1=1
-    `;
-    const params = [];
-
-    if (isManager) {
-      if (status === "new") {
-        params.push("new");
-        query += ` AND o.status = $${params.length}`;
-      } else {
-        const bRes = await db.query(
-          "SELECT id FROM brigades WHERE brigadier_id = $1",
-          [userId],
-        );
-        const brigadeId = bRes.rows.length > 0 ? bRes.rows[0].id : -1;
-        params.push(brigadeId);
-        query += ` AND o.brigade_id = $${params.length}`;
-        if (status && status !== "all") {
-          params.push(status);
-          query += ` AND o.status = $${params.length}`;
-        }
-      }
-    } else {
-      if (status && status !== "all") {
-        params.push(status);
-        query += ` AND o.status = $${params.length}`;
-      }
-    }
-
-    params.push(limit, offset);
-    query += ` ORDER BY o.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
-
-    const result = await db.query(query, params);
-    res.json(result.rows);
+    const { phone, otp, deviceName } = req.body || {};
+    const { user, ...tokens } = await TokenService.issueForOtp(
+      { phone, otp, deviceName },
+      getRequestMeta(req),
+    );
+    res.json({
+      success: true,
+      ...tokens,
+      user: await AuthService.withPermissions(user),
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.post("/api/orders", requireAdmin, async (req, res) => {
+app.post("/api/auth/token/refresh", async (req, res) => {
   try {
-    const {
-      clientName,
-      clientPhone,
-      area = 50,
-      rooms = 2,
-      wallType = "wall_concrete",
-    } = req.body;
-    if (!clientName || !clientPhone)
-      return res.status(400).json({ error: "Имя и телефон обязательны" });
-
-    let userId;
-    const existingUser = await db.query(
-      "SELECT telegram_id FROM users WHERE phone = $1 LIMIT 1",
-      [clientPhone],
-    );
-
-    if (existingUser.rows.length > 0) userId = existingUser.rows[0].telegram_id;
-    else {
-      userId = -Date.now();
-      await db.query(
-        "INSERT INTO users (telegram_id, first_name, username, phone, role) VALUES ($1, $2, $3, $4, 'user')",
-        [userId, clientName, "crm_lead", clientPhone],
-      );
-    }
-
-    const estimate = await OrderService.calculateComplexEstimate(
-      Number(area),
-      Number(rooms),
-      wallType,
+    const tokens = await TokenService.refresh(
+      req.body?.refreshToken,
+      getRequestMeta(req),
     );
-    const order = await OrderService.createOrder(userId, estimate);
-
-    const io = getSocketIO();
-    if (io) io.emit("new_order", order);
-
-    try {
-      const managersRes = await db.query(
-        "SELECT telegram_id FROM users WHERE role = 'manager'",
-      );
-      const fmtPrice = new Intl.NumberFormat("ru-RU").format(order.total_price);
-      for (const manager of managersRes.rows) {
-        await bot.telegram
-          .sendMessage(
-            manager.telegram_id,
-            `⚡️ <b>НОВЫЙ ОБЪЕКТ НА БИРЖЕ!</b>\n➖➖➖➖➖➖➖➖➖➖\n💰 <b>Смета:</b> ${fmtPrice} ₸\n📐 <b>Объем:</b> ${area} м² / Комнат: ${rooms}\n➖➖➖➖➖➖➖➖➖➖\n<i>Кто первый заберет, того и объект!</i>`,
-            {
-              parse_mode: "HTML",
-              reply_markup: {
-                inline_keyboard: [
-                  [
-                    {
-                      text: "✅ Забрать объект",
-                      callback_data: `take_order_${order.id}`,
-                    },
-                  ],
-                ],
-              },
-            },
-          )
-          .catch(() => { });
-      }
-    } catch (pushErr) { }
-
-    res.json({ success: true, order });
+    res.json({ success: true, ...tokens });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.post("/api/orders/:id/take", requireManager, async (req, res) => {
+// Выход из приложения: отзыв устройства, которому выдан текущий токен
+app.post("/api/auth/token/revoke", requireSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.session?.user?.id;
-
-    const bRes = await db.query(
-      "SELECT id, name FROM brigades WHERE brigadier_id = $1 AND is_active = true",
-      [userId],
-    );
-    if (bRes.rows.length === 0)
-      return res.status(403).json({ error: "У вас нет активной бригады." });
-    const brigade = bRes.rows[0];
-
-    const oRes = await db.query("SELECT status FROM orders WHERE id = $1", [
-      id,
-    ]);
-    if (oRes.rows.length === 0 || oRes.rows[0].status !== "new") {
-      return res
-        .status(400)
-        .json({ error: "Объект уже забрали или он недоступен." });
-    }
-
-    await db.query(
-      "UPDATE orders SET brigade_id = $1, status = 'processing', updated_at = NOW() WHERE id = $2",
-      [brigade.id, id],
-    );
-
-    const io = getSocketIO();
-    if (io)
-      io.emit("order_updated", {
-        orderId: id,
-        status: "processing",
-        brigade_id: brigade.id,
+    if (!req.user.deviceId)
+      return res.status(400).json({
+        error: "Запрос выполнен не по токену устройства",
+        code: "NOT_A_DEVICE",
       });
-
-    res.json({ success: true, message: "Заказ успешно взят в работу!" });
+    await TokenService.revokeDevice(req.user.id, req.user.deviceId);
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.patch("/api/orders/:id/metadata", requireManager, async (req, res) => {
+// Устройства сотрудника с доступом к API; отзыв — например, при потере телефона
+app.get("/api/auth/devices", requireSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { address, admin_comment } = req.body;
-
-    await enforceOrderModification(req, id);
-
-    const orderRes = await db.query(
-      "SELECT details FROM orders WHERE id = $1",
-      [id],
-    );
-    const details = orderRes.rows[0].details || {};
-
-    if (address !== undefined) details.address = address;
-    if (admin_comment !== undefined) details.admin_comment = admin_comment;
-
-    await db.query(
-      "UPDATE orders SET details = $1, updated_at = NOW() WHERE id = $2",
-      [details, id],
+    const devices = await TokenService.listDevices(req.user.id);
+    res.json(
+      devices.map((d) => ({
+        ...d,
+        current: String(d.id) === req.user.deviceId,
+      })),
     );
-
-    const io = getSocketIO();
-    if (io) io.emit("order_updated", { orderId: id, metadata_updated: true });
-
-    res.json({ success: true, details });
   } catch (error) {
-    res.status(403).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.patch("/api/orders/:id/status", requireManager, async (req, res) => {
+app.delete("/api/auth/devices/:id", requireSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-
-    await enforceOrderModification(req, id);
-
-    if (
-      req.session?.user?.role === "manager" &&
-      ["new", "cancel", "done"].includes(status)
-    ) {
-      return res
-        .status(403)
-        .json({
-          error: "⛔ Бригадирам запрещено ставить статусы New, Cancel и Done.",
-        });
-    }
-
-    await OrderService.updateOrderStatus(id, status);
-    res.json({ success: true, status });
+    await TokenService.revokeDevice(req.user.id, req.params.id);
+    res.json({ success: true });
   } catch (error) {
-    res.status(403).json({ error: error.message });
+    sendAuthError(res, error);
   }
 });
 
-app.patch("/api/orders/:id/bom", requireManager, async (req, res) => {
+// Все сеансы сотрудника: веб-сессии CRM и устройства API (устройство, IP, активность)
+app.get("/api/auth/sessions", requireSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    await enforceOrderModification(req, id);
-    const updatedDetails = await OrderService.updateOrderDetails(
-      id,
-      "bom",
-      req.body.newBomArray,
+    res.json(
+      await SessionService.listForUser(req.user.id, {
+        sid: req.user.deviceId ? null : req.sessionID,
+        deviceId: req.user.deviceId,
+      }),
     );
-    res.json({ success: true, bom: updatedDetails.bom });
   } catch (error) {
-    res.status(403).json({ error: error.message });
+    sendSessionError(res, error);
   }
 });
 
-app.patch("/api/orders/:id/finance/price", requireManager, async (req, res) => {
+// :sid — id из списка сеансов (веб-сессия или устройство API)
+app.delete("/api/auth/sessions/:sid", requireSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { newPrice } = req.body;
-    if (!newPrice || isNaN(newPrice))
-      return res.status(400).json({ error: "Укажите корректную новую цену" });
-    await enforceOrderModification(req, id);
-
-    const financials = await OrderService.updateOrderFinalPrice(id, newPrice);
-    res.json({ success: true, financials });
+    await SessionService.endSession(req.user.id, req.params.sid);
+    res.json({ success: true });
   } catch (error) {
-    res.status(403).json({ error: error.message });
+    sendSessionError(res, error);
   }
 });
 
-app.patch("/api/orders/:id/assign", requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { brigadeId } = req.body;
-    await db.query(
-      "UPDATE orders SET brigade_id = $1, status = 'work', updated_at = NOW() WHERE id = $2",
-      [brigadeId, id],
-    );
+// =============================================================================
+// 3. 📊 DEEP ANALYTICS & TIMELINES (WITH DATE FILTERS)
+// =============================================================================
 
-    const bRes = await db.query(
-      "SELECT brigadier_id FROM brigades WHERE id = $1",
-      [brigadeId],
+// Бригада, которой ограничены данные сотрудника без orders.view_all (-1 — нет бригады)
+const getScopedBrigadeId = async (req) => {
+  if (!(await hasPermission(req, "orders.view_all"))) {
+    const b = await db.query(
+      "SELECT id FROM brigades WHERE brigadier_id = $1",
+      [req.user.id],
     );
-    if (bRes.rows.length > 0) {
-      await bot.telegram
-        .sendMessage(
-          bRes.rows[0].brigadier_id,
-          `🔔 <b>ШЕФ НАЗНАЧИЛ ВАМ ОБЪЕКТ!</b>\nОбъект <b>#${id}</b> принудительно добавлен в ваш список задач ("Мои объекты").`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => { });
-    }
-
-    const io = getSocketIO();
-    if (io)
-      io.emit("order_updated", {
-        orderId: id,
-        status: "work",
-        brigade_id: brigadeId,
-      });
-    res.json({ success: true, message: "Бригада назначена" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    return b.rows.length > 0 ? b.rows[0].id : -1;
   }
-});
-
-app.post("/api/orders/:id/finalize", requireManager, async (req, res) => {
-  try {
-    const { id } = req.params;
-    await enforceOrderModification(req, id);
+  return null;
+};
 
-    const result = await db.finalizeOrderAndDistributeProfit(id);
-    const io = getSocketIO();
-    if (io) io.emit("order_updated", { orderId: id, status: "done" });
-    res.json({ success: true, distribution: result });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Ошибка до начала потока — JSON, после отправки заголовков — только обрыв
+const sendExportError = (res, error) => {
+  console.error("❌ [EXPORT]", error.message);
+  if (res.headersSent) return res.destroy(error);
+  res.status(error.status || 500).json({ error: error.message });
+};
 
-app.post(
-  "/api/orders/:id/finance/expense",
-  requireManager,
+app.get(
+  "/api/dashboard/stats",
+  requirePermission("dashboard.view"),
   async (req, res) => {
     try {
-      const { amount, category, comment } = req.body;
-      await enforceOrderModification(req, req.params.id);
+      const brigadeId = await getScopedBrigadeId(req);
+      const { startDate, endDate } = req.query;
+
+      const [globalStats, funnelStats] = await Promise.all([
+        db.getGlobalStats(brigadeId, startDate, endDate),
+        db.getOrdersFunnel(brigadeId, startDate, endDate),
+      ]);
+      const activeCount =
+        funnelStats.find(
+          (f) => f.status === "work" || f.status === "processing",
+        )?.count || 0;
+      res.json({
+        overview: {
+          totalRevenue: globalStats.totalRevenue,
+          // 🔥 ИСПРАВЛЕНИЕ: Теперь мы передаем чистую прибыль, а не дублируем выручку
+          totalNetProfit: globalStats.totalNetProfit,
+          totalUsers: globalStats.totalUsers,
+          activeToday: globalStats.active24h,
+          pendingOrders: activeCount,
+        },
+        funnel: funnelStats,
+        financials: {},
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
-      const financials = await OrderService.addOrderExpense(
-        req.params.id,
+app.get(
+  "/api/analytics/deep",
+  requirePermission("dashboard.view"),
+  async (req, res) => {
+    try {
+      const brigadeId = await getScopedBrigadeId(req);
+      const deepData = await db.getDeepAnalyticsData(
+        brigadeId,
+        req.query.startDate,
+        req.query.endDate,
+      );
+      res.json(deepData);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/analytics/deep/export",
+  requirePermission("dashboard.view"),
+  async (req, res) => {
+    try {
+      const format = ExportService.parseFormat(req.query.format);
+      const brigadeId = await getScopedBrigadeId(req);
+      const deepData = await db.getDeepAnalyticsData(
+        brigadeId,
+        req.query.startDate,
+        req.query.endDate,
+      );
+      await ExportService.sendExport(res, {
+        format,
+        filename: "analytics_deep",
+        sheetName: "Аналитика",
+        columns: DEEP_ANALYTICS_EXPORT_COLUMNS,
+        rows: ExportService.deepAnalyticsRows(deepData),
+      });
+    } catch (error) {
+      sendExportError(res, error);
+    }
+  },
+);
+
+app.get(
+  "/api/analytics/timeline",
+  requirePermission("dashboard.view"),
+  async (req, res) => {
+    try {
+      const brigadeId = await getScopedBrigadeId(req);
+      const timelineData = await db.getTimelineAnalytics(
+        brigadeId,
+        req.query.startDate,
+        req.query.endDate,
+      );
+      res.json(timelineData);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/analytics/orders-timeline",
+  requirePermission("dashboard.view"),
+  async (req, res) => {
+    try {
+      const brigadeId = await getScopedBrigadeId(req);
+      const ordersTimeline = await db.getOrdersTimelineAnalytics(
+        brigadeId,
+        req.query.startDate,
+        req.query.endDate,
+      );
+      res.json(ordersTimeline);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/analytics/brigades",
+  requirePermission("analytics.brigades"),
+  async (req, res) => {
+    try {
+      const data = await db.getBrigadesAnalytics(
+        req.query.startDate,
+        req.query.endDate,
+      );
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/analytics/brigades/export",
+  requirePermission("analytics.brigades"),
+  async (req, res) => {
+    try {
+      const format = ExportService.parseFormat(req.query.format);
+      const data = await db.getBrigadesAnalytics(
+        req.query.startDate,
+        req.query.endDate,
+      );
+      await ExportService.sendExport(res, {
+        format,
+        filename: "analytics_brigades",
+        sheetName: "Бригады",
+        columns: BRIGADE_ANALYTICS_EXPORT_COLUMNS,
+        rows: data,
+      });
+    } catch (error) {
+      sendExportError(res, error);
+    }
+  },
+);
+
+// =============================================================================
+// 🏗 4. BRIGADES MANAGEMENT (ERP CORE)
+// =============================================================================
+
+app.get(
+  "/api/brigades",
+  requirePermission("brigades.view"),
+  async (req, res) => {
+    try {
+      const brigades = await db.getBrigades();
+      for (let b of brigades) {
+        const acc = await db.query(
+          "SELECT balance FROM accounts WHERE user_id = $1 AND type = 'brigade_acc' LIMIT 1",
+          [b.brigadier_id],
+        );
+        b.balance = acc.rows.length > 0 ? parseFloat(acc.rows[0].balance) : 0;
+      }
+      res.json(brigades);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/brigades",
+  requirePermission("brigades.manage"),
+  async (req, res) => {
+    try {
+      const { name, brigadierId, profitPercentage } = req.body;
+      if (!name || !brigadierId)
+        return res.status(400).json({ error: "Название и ID обязательны" });
+      const newBrigade = await db.createBrigade(
+        name,
+        brigadierId,
+        profitPercentage || 40,
+      );
+      res.json({ success: true, brigade: newBrigade });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// Обновление доли или блокировка
+app.patch(
+  "/api/brigades/:id",
+  requirePermission("brigades.manage"),
+  async (req, res) => {
+    try {
+      const { profitPercentage, isActive } = req.body;
+      const updated = await db.updateBrigade(
+        req.params.id,
+        profitPercentage,
+        isActive,
+      );
+      res.json({ success: true, brigade: updated });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// =============================================================================
+// 📦 5. ORDER MANAGEMENT & LEAD MARKET
+// =============================================================================
+
+/**
+ * Реестр заказов с учетом прав (без orders.view_all — Биржа и своя бригада),
+ * статуса и периода. Общий для списка и выгрузки.
+ */
+const buildOrdersQuery = async (req) => {
+  const status = req.query.status || null;
+  const { startDate, endDate } = req.query;
+  const isScoped = !(await hasPermission(req, "orders.view_all"));
+  const userId = req.user?.id;
+
+  let query = `
+      SELECT o.*, u.first_name as client_name, u.phone as client_phone, b.name as brigade_name
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.telegram_id
+      LEFT JOIN brigades b ON o.brigade_id = b.id
+      WHERE 1=1
+    `;
+  const params = [];
+
+  if (isScoped) {
+    if (status === "new") {
+      params.push("new");
+      query += ` AND o.status = $${params.length}`;
+    } else {
+      const bRes = await db.query(
+        "SELECT id FROM brigades WHERE brigadier_id = $1",
+        [userId],
+      );
+      const brigadeId = bRes.rows.length > 0 ? bRes.rows[0].id : -1;
+      params.push(brigadeId);
+      query += ` AND o.brigade_id = $${params.length}`;
+      if (status && status !== "all") {
+        params.push(status);
+        query += ` AND o.status = $${params.length}`;
+      }
+    }
+  } else {
+    if (status && status !== "all") {
+      params.push(status);
+      query += ` AND o.status = $${params.length}`;
+    }
+  }
+
+  if (startDate) {
+    params.push(startDate);
+    query += ` AND o.created_at >= $${params.length}`;
+  }
+  if (endDate) {
+    params.push(endDate);
+    query += ` AND o.created_at <= $${params.length}::date + interval '1 day' - interval '1 second'`;
+  }
+
+  return { query, params };
+};
+
+app.get("/api/orders", requirePermission("orders.view"), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+    let { query, params } = await buildOrdersQuery(req);
+
+    params.push(limit, offset);
+    query += ` ORDER BY o.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await db.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Полная выгрузка реестра (без пагинации, потоком через курсор)
+app.get(
+  "/api/orders/export",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      const format = ExportService.parseFormat(req.query.format);
+      const { query, params } = await buildOrdersQuery(req);
+      await ExportService.sendExport(res, {
+        format,
+        filename: "orders",
+        sheetName: "Заказы",
+        columns: ORDER_EXPORT_COLUMNS,
+        rows: db.streamRows(`${query} ORDER BY o.created_at DESC`, params),
+      });
+    } catch (error) {
+      sendExportError(res, error);
+    }
+  },
+);
+
+app.post(
+  "/api/orders",
+  requirePermission("orders.create"),
+  async (req, res) => {
+    try {
+      const {
+        clientName,
+        clientPhone,
+        area = 50,
+        rooms = 2,
+        wallType = "wall_concrete",
+        objectType = "apartment",
+      } = req.body;
+      if (!clientName || !clientPhone)
+        return res.status(400).json({ error: "Имя и телефон обязательны" });
+
+      let userId;
+      const existingUser = await db.query(
+        "SELECT telegram_id FROM users WHERE phone = $1 LIMIT 1",
+        [clientPhone],
+      );
+
+      if (existingUser.rows.length > 0)
+        userId = existingUser.rows[0].telegram_id;
+      else {
+        userId = -Date.now();
+        await db.query(
+          "INSERT INTO users (telegram_id, first_name, username, phone, role) VALUES ($1, $2, $3, $4, 'user')",
+          [userId, clientName, "crm_lead", clientPhone],
+        );
+      }
+
+      const estimate = await OrderService.calculateComplexEstimate(
+        Number(area),
+        Number(rooms),
+        wallType,
+        objectType,
+      );
+      const order = await OrderService.createOrder(
+        userId,
+        estimate,
+        getActor(req),
+      );
+
+      const io = getSocketIO();
+      if (io) io.emit("new_order", order);
+
+      try {
+        // Пуш на Биржу — ролям, которые могут взять объект (orders.take)
+        const managers = await db.getUsersWithPermission("orders.take", {
+          includeOwner: false,
+        });
+        for (const manager of managers) {
+          const lang = manager.language_code;
+          await bot.telegram
+            .sendMessage(
+              manager.telegram_id,
+              I18nService.t(lang, "brigade.marketPushWeb", {
+                price: I18nService.formatNumber(lang, order.total_price),
+                area,
+                rooms,
+              }),
+              {
+                parse_mode: "HTML",
+                reply_markup: {
+                  inline_keyboard: [
+                    [
+                      {
+                        text: I18nService.t(lang, "brigade.takeButton"),
+                        callback_data: `take_order_${order.id}`,
+                      },
+                    ],
+                  ],
+                },
+              },
+            )
+            .catch(() => {});
+        }
+      } catch (pushErr) {}
+
+      res.json({ success: true, order });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/orders/transitions",
+  requirePermission("orders.view"),
+  (req, res) => {
+    res.json({ transitions: ORDER_TRANSITIONS });
+  },
+);
+
+app.post(
+  "/api/orders/:id/take",
+  requirePermission("orders.take"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const bRes = await db.query(
+        "SELECT id, name FROM brigades WHERE brigadier_id = $1 AND is_active = true",
+        [userId],
+      );
+      if (bRes.rows.length === 0)
+        return res.status(403).json({ error: "У вас нет активной бригады." });
+      const brigade = bRes.rows[0];
+
+      const oRes = await db.query("SELECT status FROM orders WHERE id = $1", [
+        id,
+      ]);
+      if (oRes.rows.length === 0 || oRes.rows[0].status !== "new") {
+        return res
+          .status(400)
+          .json({ error: "Объект уже забрали или он недоступен." });
+      }
+
+      await OrderService.updateOrderStatus(id, "processing", {
+        brigadeId: brigade.id,
+        actor: getActor(req),
+      });
+
+      const io = getSocketIO();
+      if (io)
+        io.emit("order_updated", {
+          orderId: id,
+          status: "processing",
+          brigade_id: brigade.id,
+        });
+
+      res.json({ success: true, message: "Заказ успешно взят в работу!" });
+    } catch (error) {
+      sendOrderError(res, error);
+    }
+  },
+);
+
+app.patch(
+  "/api/orders/:id/metadata",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { address, admin_comment } = req.body;
+
+      await enforceOrderModification(req, id);
+
+      const orderRes = await db.query(
+        "SELECT details FROM orders WHERE id = $1",
+        [id],
+      );
+      let details = orderRes.rows[0].details || {};
+
+      // Каждое реально измененное поле — отдельное событие в журнале
+      const patch = { address, admin_comment };
+      for (const [key, value] of Object.entries(patch)) {
+        if (value === undefined || details[key] === value) continue;
+        details = await OrderService.updateOrderDetails(
+          id,
+          key,
+          value,
+          getActor(req),
+        );
+      }
+
+      const io = getSocketIO();
+      if (io) io.emit("order_updated", { orderId: id, metadata_updated: true });
+
+      res.json({ success: true, details });
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/orders/:id/timeline",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      await enforceOrderAccess(req, req.params.id);
+      res.json(await OrderService.getOrderTimeline(req.params.id));
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/orders/:id/estimate.pdf",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      await enforceOrderAccess(req, req.params.id);
+      const { buffer, filename } = await DocumentService.getOrderEstimatePdf(
+        req.params.id,
+      );
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      });
+      res.send(buffer);
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/orders/:id/status",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+
+      await enforceOrderModification(req, id);
+
+      if (
+        ["new", "cancel"].includes(status) &&
+        !(await hasPermission(req, "orders.cancel"))
+      ) {
+        return res.status(403).json({
+          error: "⛔ Недостаточно прав: статусы New и Cancel вам недоступны.",
+          code: "PERMISSION_DENIED",
+          permission: "orders.cancel",
+        });
+      }
+
+      await OrderService.updateOrderStatus(id, status, {
+        actor: getActor(req),
+      });
+      res.json({ success: true, status });
+    } catch (error) {
+      sendOrderError(res, error, 403);
+    }
+  },
+);
+
+app.patch(
+  "/api/orders/:id/bom",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      await enforceOrderModification(req, id);
+      const updatedDetails = await OrderService.updateOrderDetails(
+        id,
+        "bom",
+        req.body.newBomArray,
+        getActor(req),
+      );
+      res.json({
+        success: true,
+        bom: updatedDetails.bom,
+        total: updatedDetails.total,
+      });
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+// --- Материалы объекта: план BOM против выдачи со склада ---
+app.get(
+  "/api/orders/:id/materials",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      await enforceOrderAccess(req, req.params.id);
+      res.json(await WarehouseService.getOrderMaterials(req.params.id));
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/orders/:id/materials/:kind",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { id, kind } = req.params;
+      if (!["issue", "return"].includes(kind))
+        return res.status(404).json({ error: "Неизвестная операция" });
+      await enforceOrderModification(req, id);
+
+      // Бригадир работает только с основным складом и своей машиной
+      const brigadeId = await getScopedBrigadeId(req);
+      if (brigadeId !== null) {
+        const location = await db.getStockLocationById(
+          parseInt(req.body.locationId),
+        );
+        if (
+          location &&
+          location.type !== "warehouse" &&
+          location.brigade_id !== brigadeId
+        )
+          return res
+            .status(403)
+            .json({ error: "Доступ запрещен: чужая локация склада." });
+      }
+
+      const result =
+        kind === "issue"
+          ? await WarehouseService.issueToOrder(
+              parseInt(id),
+              req.body || {},
+              getActor(req),
+            )
+          : await WarehouseService.returnFromOrder(
+              parseInt(id),
+              req.body || {},
+              getActor(req),
+            );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/orders/:id/finance/price",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { newPrice } = req.body;
+      if (!newPrice || isNaN(newPrice))
+        return res.status(400).json({ error: "Укажите корректную новую цену" });
+      await enforceOrderModification(req, id);
+
+      const financials = await OrderService.updateOrderFinalPrice(
+        id,
+        newPrice,
+        getActor(req),
+      );
+      res.json({ success: true, financials });
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+// --- Позиционная смета (строки из прайс-листа + свои позиции) ---
+app.get(
+  "/api/estimate/catalog",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      res.json(await OrderService.getPublicPricelist());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/orders/:id/estimate-lines",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { lines } = req.body;
+      if (!Array.isArray(lines))
+        return res
+          .status(400)
+          .json({ error: "Передайте массив позиций сметы" });
+      await enforceOrderModification(req, id);
+
+      const estimate = await OrderService.saveEstimateLines(
+        id,
+        lines,
+        getActor(req),
+      );
+      res.json({ success: true, ...estimate });
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/orders/:id/assign",
+  requirePermission("orders.assign"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { brigadeId } = req.body;
+      if (!brigadeId)
+        return res
+          .status(400)
+          .json({ error: "Укажите бригаду для назначения" });
+
+      await OrderService.assignOrderToBrigade(id, brigadeId, getActor(req));
+
+      const bRes = await db.query(
+        `SELECT b.brigadier_id, u.language_code
+       FROM brigades b
+       LEFT JOIN users u ON u.telegram_id = b.brigadier_id
+       WHERE b.id = $1`,
+        [brigadeId],
+      );
+      if (bRes.rows.length > 0) {
+        await bot.telegram
+          .sendMessage(
+            bRes.rows[0].brigadier_id,
+            I18nService.t(
+              bRes.rows[0].language_code,
+              "brigade.assignedByOwner",
+              {
+                id,
+              },
+            ),
+            { parse_mode: "HTML" },
+          )
+          .catch(() => {});
+      }
+
+      const io = getSocketIO();
+      if (io)
+        io.emit("order_updated", {
+          orderId: id,
+          status: "work",
+          brigade_id: brigadeId,
+        });
+      res.json({ success: true, message: "Бригада назначена" });
+    } catch (error) {
+      sendOrderError(res, error);
+    }
+  },
+);
+
+app.post(
+  "/api/orders/:id/finalize",
+  requirePermission("orders.finalize"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      await enforceOrderModification(req, id);
+
+      const result = await OrderService.finalizeOrderAndDistributeProfit(
+        id,
+        getActor(req),
+      );
+      const io = getSocketIO();
+      if (io) io.emit("order_updated", { orderId: id, status: "done" });
+      res.json({ success: true, distribution: result });
+    } catch (error) {
+      sendOrderError(res, error);
+    }
+  },
+);
+
+app.get(
+  "/api/orders/:id/payments",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      await enforceOrderAccess(req, req.params.id);
+      res.json(await PaymentService.getOrderPayments(parseInt(req.params.id)));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// Оплата "на руках" у бригады; зачисление в кассу компании — право finance.edit
+app.post(
+  "/api/orders/:id/payments",
+  requirePermission("payments.record"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      await enforceOrderModification(req, id);
+      const toCompany = await hasPermission(req, "finance.edit");
+      const payment = await PaymentService.recordPayment(
+        parseInt(id),
+        { ...req.body, accountId: toCompany ? req.body?.accountId : null },
+        getActor(req),
+      );
+      const io = getSocketIO();
+      if (io) io.emit("order_updated", { orderId: parseInt(id) });
+      res.json({ success: true, payment });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/orders/:id/payment-invoices",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      await enforceOrderAccess(req, req.params.id);
+      res.json(await PaymentService.getOrderInvoices(parseInt(req.params.id)));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// Счет на остаток: ссылка и QR для клиента (Kaspi QR / mock-шлюз)
+app.post(
+  "/api/orders/:id/payment-invoices",
+  requirePermission("payments.record"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      await enforceOrderModification(req, id);
+      const invoice = await PaymentService.createInvoice(
+        parseInt(id),
+        getActor(req),
+      );
+      res.json({ success: true, invoice });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/orders/:id/storno",
+  requirePermission("orders.storno"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await OrderService.reverseOrderFinalization(
+        id,
+        req.body?.reason,
+        getActor(req),
+      );
+      const io = getSocketIO();
+      if (io) io.emit("order_updated", { orderId: id, status: "work" });
+      res.json({ success: true, reversal: result });
+    } catch (error) {
+      sendOrderError(res, error, 400);
+    }
+  },
+);
+
+app.post(
+  "/api/orders/:id/finance/expense",
+  requirePermission("orders.edit"),
+  async (req, res) => {
+    try {
+      const { amount, category, comment } = req.body;
+      await enforceOrderModification(req, req.params.id);
+
+      const financials = await OrderService.addOrderExpense(
+        req.params.id,
         amount,
         category || "Расход",
         comment,
-        req.session?.user?.id || "admin",
+        getActor(req),
       );
       const io = getSocketIO();
       if (io)
         io.emit("expense_added", { orderId: req.params.id, amount, category });
       res.json({ success: true, financials });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// =============================================================================
+// 🏢 7. CORPORATE FINANCE & CASH FLOW (GLOBAL)
+// =============================================================================
+
+app.get(
+  "/api/finance/accounts",
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      res.json(await db.getAccounts());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/finance/transactions",
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      res.json(
+        await db.getCompanyTransactions(parseInt(req.query.limit) || 100),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/finance/transactions/export",
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      const format = ExportService.parseFormat(req.query.format);
+      await ExportService.sendExport(res, {
+        format,
+        filename: "transactions",
+        sheetName: "Проводки",
+        columns: TRANSACTION_EXPORT_COLUMNS,
+        rows: db.streamCompanyTransactions({
+          startDate: req.query.startDate,
+          endDate: req.query.endDate,
+          accountId: req.query.accountId,
+        }),
+      });
+    } catch (error) {
+      sendExportError(res, error);
+    }
+  },
+);
+
+app.post(
+  "/api/finance/transactions",
+  requirePermission("finance.edit"),
+  async (req, res) => {
+    try {
+      const { accountId, amount, type, category, comment } = req.body;
+      const transaction = await db.addCompanyTransaction({
+        accountId,
+        userId: req.user?.id || 0,
+        amount: parseFloat(amount),
+        type,
+        category: category || "Прочее",
+        comment: comment || "",
+      });
+      res.json({ success: true, transaction });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/finance/trial-balance",
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      res.json(await db.getTrialBalance());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/finance/incassation/approve",
+  requirePermission("finance.edit"),
+  async (req, res) => {
+    try {
+      const { brigadierId, amount } = req.body;
+      const resAcc = await db.query(
+        "SELECT id FROM accounts WHERE type = 'cash' ORDER BY id ASC LIMIT 1",
+      );
+      if (resAcc.rows.length === 0)
+        return res.status(500).json({ error: "Главная Касса не найдена" });
+      await db.processIncassation(
+        brigadierId,
+        parseFloat(amount),
+        resAcc.rows[0].id,
+      );
+      res.json({ success: true, message: "Инкассация успешно проведена" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// =============================================================================
+// ⚙️ 8. SYSTEM SETTINGS & DEVOPS
+// =============================================================================
+
+app.get(
+  "/api/settings",
+  requirePermission("settings.view"),
+  async (req, res) => {
+    try {
+      res.json(await db.getSettings());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/pricelist",
+  requirePermission("settings.view"),
+  async (req, res) => {
+    try {
+      res.json(await OrderService.getPublicPricelist());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// --- Правила сметы (версии по типам объектов) ---
+app.get(
+  "/api/estimate-rules",
+  requirePermission("settings.view"),
+  async (req, res) => {
+    try {
+      res.json({
+        fields: ESTIMATE_RULE_FIELDS,
+        active: await OrderService.getEstimateConfig(),
+        history: await OrderService.getEstimateRuleSetHistory(
+          req.query.objectType || null,
+        ),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/estimate-rules/:objectType",
+  requirePermission("settings.edit_prices"),
+  async (req, res) => {
+    try {
+      const ruleSet = await OrderService.publishEstimateRules(
+        req.params.objectType,
+        req.body?.rules,
+        req.body?.comment,
+        getActor(req),
+      );
+      res.json({ success: true, ruleSet });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/estimate-rules/:id/activate",
+  requirePermission("settings.edit_prices"),
+  async (req, res) => {
+    try {
+      const ruleSet = await OrderService.activateEstimateRuleSet(
+        parseInt(req.params.id),
+      );
+      res.json({ success: true, ruleSet });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// --- Каталог материалов (цены для BOM) ---
+app.get(
+  "/api/materials",
+  requirePermission("orders.view"),
+  async (req, res) => {
+    try {
+      res.json(
+        await MaterialService.getCatalog({
+          includeInactive: req.query.all === "1",
+        }),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/materials",
+  requirePermission("settings.edit_prices"),
+  async (req, res) => {
+    try {
+      const material = await MaterialService.createMaterial(req.body || {});
+      res.json({ success: true, material });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/materials/:id",
+  requirePermission("settings.edit_prices"),
+  async (req, res) => {
+    try {
+      const material = await MaterialService.updateMaterial(
+        parseInt(req.params.id),
+        req.body || {},
+      );
+      res.json({ success: true, material });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// --- Склад: остатки по локациям и движения ---
+app.get(
+  "/api/stock/locations",
+  requirePermission("warehouse.view"),
+  async (req, res) => {
+    try {
+      res.json(await WarehouseService.getLocations());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/stock/balances",
+  requirePermission("warehouse.view"),
+  async (req, res) => {
+    try {
+      res.json(
+        await WarehouseService.getBalances({
+          locationId: req.query.locationId,
+        }),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/stock/low",
+  requirePermission("warehouse.view"),
+  async (req, res) => {
+    try {
+      res.json(await WarehouseService.getLowStock());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/stock/movements",
+  requirePermission("warehouse.manage"),
+  async (req, res) => {
+    try {
+      res.json(await WarehouseService.getMovements(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/stock/receipts",
+  requirePermission("warehouse.manage"),
+  async (req, res) => {
+    try {
+      const movement = await WarehouseService.receive(
+        req.body || {},
+        getActor(req),
+      );
+      res.json({ success: true, movement });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/stock/transfers",
+  requirePermission("warehouse.manage"),
+  async (req, res) => {
+    try {
+      const movement = await WarehouseService.transfer(
+        req.body || {},
+        getActor(req),
+      );
+      res.json({ success: true, movement });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/stock/adjustments",
+  requirePermission("warehouse.manage"),
+  async (req, res) => {
+    try {
+      const movement = await WarehouseService.adjust(
+        req.body || {},
+        getActor(req),
+      );
+      res.json({ success: true, movement });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// --- Заказы поставщикам (PO) по спецификациям объектов ---
+app.get(
+  "/api/purchase-orders",
+  requirePermission("purchases.manage"),
+  async (req, res) => {
+    try {
+      res.json(
+        await PurchaseService.getPurchaseOrders({ status: req.query.status }),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/purchase-orders/:id",
+  requirePermission("purchases.manage"),
+  async (req, res) => {
+    try {
+      res.json(await PurchaseService.getPurchaseOrder(parseInt(req.params.id)));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/purchase-orders/generate",
+  requirePermission("purchases.manage"),
+  async (req, res) => {
+    try {
+      const purchaseOrders = await PurchaseService.generateFromOrders(
+        req.body?.orderIds,
+        getActor(req),
+      );
+      res.json({ success: true, purchaseOrders });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
   },
 );
 
-// =============================================================================
-// 🏢 7. CORPORATE FINANCE & CASH FLOW (GLOBAL)
-// =============================================================================
-
-app.get("/api/finance/accounts", requireAdmin, async (req, res) => {
-  try {
-    res.json(await db.getAccounts());
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get("/api/finance/transactions", requireAdmin, async (req, res) => {
-  try {
-    res.json(await db.getCompanyTransactions(parseInt(req.query.limit) || 100));
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+app.post(
+  "/api/purchase-orders/:id/send",
+  requirePermission("purchases.manage"),
+  async (req, res) => {
+    try {
+      const purchaseOrder = await PurchaseService.markSent(
+        parseInt(req.params.id),
+      );
+      res.json({ success: true, purchaseOrder });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
 
-app.post("/api/finance/transactions", requireAdmin, async (req, res) => {
-  try {
-    const { accountId, amount, type, category, comment } = req.body;
-    const transaction = await db.addCompanyTransaction({
-      accountId,
-      userId: req.session?.user?.id || 0,
-      amount: parseFloat(amount),
-      type,
-      category: category || "Прочее",
-      comment: comment || "",
-    });
-    res.json({ success: true, transaction });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+app.post(
+  "/api/purchase-orders/:id/receive",
+  requirePermission("purchases.manage"),
+  async (req, res) => {
+    try {
+      const result = await PurchaseService.receive(
+        parseInt(req.params.id),
+        req.body || {},
+        getActor(req),
+      );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
 
-app.post("/api/finance/incassation/approve", requireAdmin, async (req, res) => {
-  try {
-    const { brigadierId, amount } = req.body;
-    const resAcc = await db.query(
-      "SELECT id FROM accounts WHERE type = 'cash' ORDER BY id ASC LIMIT 1",
-    );
-    if (resAcc.rows.length === 0)
-      return res.status(500).json({ error: "Главная Касса не найдена" });
-    await db.processIncassation(
-      brigadierId,
-      parseFloat(amount),
-      resAcc.rows[0].id,
-    );
-    res.json({ success: true, message: "Инкассация успешно проведена" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+app.post(
+  "/api/purchase-orders/:id/cancel",
+  requirePermission("purchases.manage"),
+  async (req, res) => {
+    try {
+      const purchaseOrder = await PurchaseService.cancel(
+        parseInt(req.params.id),
+      );
+      res.json({ success: true, purchaseOrder });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
 
 // =============================================================================
-// ⚙️ 8. SYSTEM SETTINGS & DEVOPS
+// 📅 КАЛЕНДАРЬ ЗАМЕРОВ И МОНТАЖА (APPOINTMENTS)
 // =============================================================================
 
-app.get("/api/settings", requireAdmin, async (req, res) => {
-  try {
-    res.json(await db.getSettings());
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Бригадир видит свою бригаду и нераспределенные замеры с Биржи
+app.get(
+  "/api/appointments",
+  requirePermission("schedule.view"),
+  async (req, res) => {
+    try {
+      const brigadeId = await getScopedBrigadeId(req);
+      const appointments = await SchedulingService.getCalendar({
+        from: req.query.from,
+        to: req.query.to,
+        brigadeId:
+          brigadeId ??
+          (req.query.brigadeId ? parseInt(req.query.brigadeId) : null),
+        orderId: req.query.orderId,
+      });
+      res.json(appointments);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
 
-app.get("/api/pricelist", requireAdmin, async (req, res) => {
-  try {
-    res.json(await OrderService.getPublicPricelist());
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+app.get(
+  "/api/appointments/slots",
+  requirePermission("schedule.view"),
+  async (req, res) => {
+    try {
+      const slots = await SchedulingService.getAvailableVisitSlots({
+        brigadeId: req.query.brigadeId ? parseInt(req.query.brigadeId) : null,
+      });
+      res.json(slots);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
-app.post("/api/settings", requireAdmin, async (req, res) => {
-  try {
-    if (Array.isArray(req.body)) {
-      await db.saveBulkSettings(req.body);
-      return res.json({ success: true, message: "Bulk update successful" });
+app.post(
+  "/api/appointments",
+  requirePermission("schedule.manage"),
+  async (req, res) => {
+    try {
+      await enforceOrderModification(req, parseInt(req.body?.orderId));
+      const brigadeId = await getScopedBrigadeId(req);
+      const appointment = await SchedulingService.scheduleAppointment(
+        { ...req.body, brigadeId: brigadeId ?? req.body?.brigadeId },
+        getActor(req),
+      );
+      const io = getSocketIO();
+      if (io) io.emit("appointment_updated", { orderId: appointment.order_id });
+      res.json({ success: true, appointment });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
-    res.json({
-      success: true,
-      setting: await db.saveSetting(req.body.key, req.body.value),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  },
+);
+
+app.patch(
+  "/api/appointments/:id",
+  requirePermission("schedule.manage"),
+  async (req, res) => {
+    try {
+      const current = await db.getAppointmentById(parseInt(req.params.id));
+      if (!current) return res.status(404).json({ error: "Запись не найдена" });
+      await enforceOrderModification(req, current.order_id);
+
+      const data = { ...req.body };
+      if ((await getScopedBrigadeId(req)) !== null) delete data.brigadeId;
+      const appointment = await SchedulingService.updateAppointment(
+        current.id,
+        data,
+      );
+      const io = getSocketIO();
+      if (io) io.emit("appointment_updated", { orderId: appointment.order_id });
+      res.json({ success: true, appointment });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/settings",
+  requirePermission("settings.edit_prices"),
+  async (req, res) => {
+    try {
+      const followUpError = FollowUpService.validateSettings(
+        Array.isArray(req.body) ? req.body : [req.body],
+      );
+      if (followUpError) return res.status(400).json({ error: followUpError });
+      if (Array.isArray(req.body)) {
+        await db.saveBulkSettings(req.body);
+        return res.json({ success: true, message: "Bulk update successful" });
+      }
+      res.json({
+        success: true,
+        setting: await db.saveSetting(req.body.key, req.body.value),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
 // =============================================================================
 // 👥 9. STAFF, CRM & BROADCAST
 // =============================================================================
 
-app.get("/api/users", requireAdmin, async (req, res) => {
+app.get("/api/users", requirePermission("users.view"), async (req, res) => {
   try {
     const search = req.query.search;
     let limit = parseInt(req.query.limit) || 100;
     let offset = parseInt(req.query.offset) || 0;
 
-    let q = `SELECT telegram_id, first_name, username, phone, role FROM users`;
+    // web_login — логин для входа в CRM по паролю (если выдан)
+    let q = `SELECT u.telegram_id, u.first_name, u.username, u.phone, u.role, c.login AS web_login
+             FROM users u LEFT JOIN staff_credentials c ON c.user_id = u.telegram_id`;
     let params = [];
 
     if (search) {
-      q += ` WHERE (first_name ILIKE $1 OR phone ILIKE $1 OR CAST(telegram_id AS TEXT) ILIKE $1)`;
+      q += ` WHERE (u.first_name ILIKE $1 OR u.phone ILIKE $1 OR CAST(u.telegram_id AS TEXT) ILIKE $1)`;
       params.push(`%${search}%`);
     }
 
     params.push(limit, offset);
-    q += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    q += ` ORDER BY u.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
 
     const result = await db.query(q, params);
     res.json(result.rows);
@@ -841,88 +2007,304 @@ app.get("/api/users", requireAdmin, async (req, res) => {
   }
 });
 
-app.post("/api/users/role", requireAdmin, async (req, res) => {
+app.post(
+  "/api/users/role",
+  requirePermission("users.manage_roles"),
+  async (req, res) => {
+    try {
+      const { userId, role } = req.body;
+      const targetRes = await db.query(
+        "SELECT role FROM users WHERE telegram_id = $1",
+        [userId],
+      );
+      if (targetRes.rows[0]?.role === "owner" && role !== "owner")
+        return res
+          .status(403)
+          .json({ error: "⛔ Невозможно изменить роль Владельца системы." });
+      res.json({
+        success: true,
+        user: await UserService.changeUserRole(req.user?.id || 0, userId, role),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// Вход в Web CRM по логину/паролю: выдает и отзывает только Владелец.
+// Временный пароль возвращается один раз, сотрудник меняет его при первом входе.
+app.post(
+  "/api/users/:id/credentials",
+  requirePermission("users.credentials"),
+  async (req, res) => {
+    try {
+      const credentials = await AuthService.issueCredentials(
+        req.params.id,
+        req.body.login,
+        getActor(req),
+      );
+      res.json({ success: true, ...credentials });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  },
+);
+
+app.delete(
+  "/api/users/:id/credentials",
+  requirePermission("users.credentials"),
+  async (req, res) => {
+    try {
+      await AuthService.revokeCredentials(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  },
+);
+
+// «Выйти везде»: все веб-сессии и устройства API сотрудника (потерянный телефон)
+app.delete(
+  "/api/users/:id/sessions",
+  requirePermission("users.sessions"),
+  async (req, res) => {
+    try {
+      const ended = await SessionService.logoutEverywhere(
+        req.params.id,
+        req.user.role,
+      );
+      res.json({ success: true, ...ended });
+    } catch (error) {
+      sendSessionError(res, error);
+    }
+  },
+);
+
+// Список ролей нужен и для выбора роли в таблице пользователей
+app.get("/api/roles", requirePermission("users.view"), async (req, res) => {
   try {
-    const { userId, role } = req.body;
-    const targetRes = await db.query(
-      "SELECT role FROM users WHERE telegram_id = $1",
-      [userId],
-    );
-    if (targetRes.rows[0]?.role === "owner" && role !== "owner")
-      return res
-        .status(403)
-        .json({ error: "⛔ Невозможно изменить роль Владельца системы." });
-    res.json({
-      success: true,
-      user: await UserService.changeUserRole(
-        req.session?.user?.id || 0,
-        userId,
-        role,
-      ),
-    });
+    res.json(await PermissionService.listRoles());
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendPermissionError(res, error);
   }
 });
 
-// 🔥 НОВОЕ: Глобальный контроллер рассылок (Broadcast API)
-app.post("/api/broadcast", requireAdmin, async (req, res) => {
+app.post("/api/roles", requirePermission("roles.manage"), async (req, res) => {
   try {
-    const { text, imageUrl, targetRole } = req.body;
+    const role = await PermissionService.createRole(req.body || {});
+    res.json({ success: true, role });
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+});
 
-    if (!text) {
-      return res.status(400).json({ error: "Текст рассылки обязателен" });
+app.put(
+  "/api/roles/:name/permissions",
+  requirePermission("roles.manage"),
+  async (req, res) => {
+    try {
+      const permissions = await PermissionService.setRolePermissions(
+        req.params.name,
+        req.body?.permissions,
+      );
+      res.json({ success: true, permissions });
+    } catch (error) {
+      sendPermissionError(res, error);
     }
+  },
+);
 
-    // 1. Формируем SQL-запрос для таргетинга
-    let query = "SELECT telegram_id FROM users";
-    let params = [];
-
-    if (targetRole && targetRole !== "all") {
-      query += " WHERE role = $1";
-      params.push(targetRole);
+app.delete(
+  "/api/roles/:name",
+  requirePermission("roles.manage"),
+  async (req, res) => {
+    try {
+      await PermissionService.deleteRole(req.params.name);
+      res.json({ success: true });
+    } catch (error) {
+      sendPermissionError(res, error);
     }
+  },
+);
 
-    const usersRes = await db.query(query, params);
-    const usersToNotify = usersRes.rows;
-
-    if (usersToNotify.length === 0) {
-      return res.json({
+// Рассылка: кампания сохраняется и доставляется фоновым воркером (BroadcastService)
+app.post(
+  "/api/broadcast",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      const { text, imageUrl, targetRole, filters, segmentId } = req.body;
+      const campaign = await BroadcastService.createCampaign(
+        { text, imageUrl, targetRole, filters, segmentId },
+        getActor(req),
+      );
+      res.json({
         success: true,
-        message: "Нет пользователей для рассылки в данной категории"
+        campaign,
+        message:
+          campaign.total > 0
+            ? `Рассылка #${campaign.id} поставлена в очередь: ${campaign.total} получателей.`
+            : "Нет пользователей для рассылки в данной категории",
       });
+    } catch (error) {
+      console.error("[Broadcast] Ошибка создания рассылки:", error.message);
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// Число получателей по сегменту или набору фильтров (до отправки)
+app.post(
+  "/api/broadcast/audience/preview",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      res.json(await BroadcastService.previewAudience(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+app.get(
+  "/api/broadcast/segments",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      res.json(await BroadcastService.getSegments());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
+  },
+);
 
-    let successCount = 0;
+app.post(
+  "/api/broadcast/segments",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      res.json(await BroadcastService.saveSegment(req.body, getActor(req)));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
 
-    // 2. Рассылаем сообщения через Telegram-бота (асинхронно)
-    // Игнорируем ошибки конкретных пользователей (например, если они заблокировали бота), чтобы рассылка не падала
-    for (const u of usersToNotify) {
-      try {
-        if (imageUrl) {
-          await bot.telegram.sendPhoto(u.telegram_id, imageUrl, {
-            caption: text,
-            parse_mode: "HTML"
-          });
-        } else {
-          await bot.telegram.sendMessage(u.telegram_id, text, {
-            parse_mode: "HTML"
-          });
-        }
-        successCount++;
-      } catch (err) {
-        console.error(`[Broadcast] Ошибка отправки пользователю ${u.telegram_id}:`, err.message);
-      }
+app.delete(
+  "/api/broadcast/segments/:id",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      await BroadcastService.deleteSegment(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
+  },
+);
 
-    res.json({
-      success: true,
-      message: `Рассылка успешно завершена. Доставлено: ${successCount} из ${usersToNotify.length} пользователей.`
+app.get(
+  "/api/broadcast/campaigns",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      res.json(await BroadcastService.getCampaigns());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.post(
+  "/api/broadcast/campaigns/:id/cancel",
+  requirePermission("broadcast.send"),
+  async (req, res) => {
+    try {
+      res.json(await BroadcastService.cancelCampaign(req.params.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+);
+
+// =============================================================================
+// 💳 ОНЛАЙН-ОПЛАТА: WEBHOOK ПРОВАЙДЕРА И MOCK-ШЛЮЗ (БЕЗ СЕССИИ)
+// =============================================================================
+
+const emitPaymentResult = (result) => {
+  const io = getSocketIO();
+  if (!io || result.duplicate) return;
+  io.emit("order_updated", {
+    orderId: result.invoice.order_id,
+    ...(result.settlement?.finalized ? { status: "done" } : {}),
+  });
+};
+
+// Подлинность проверяет провайдер (подпись); 200 — чтобы не было повторов
+app.post("/api/payments/webhook/:provider", async (req, res) => {
+  try {
+    const result = await PaymentService.handleWebhook(req.params.provider, {
+      headers: req.headers,
+      rawBody: req.rawBody,
     });
+    emitPaymentResult(result);
+    res.json({ success: true, duplicate: result.duplicate });
+  } catch (error) {
+    console.error("[Payments] Webhook отклонен:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+// Тестовая страница оплаты (аналог страницы Kaspi) — только при PAYMENT_PROVIDER=mock
+// и включенном mock-шлюзе (вне production или PAYMENT_MOCK_ENABLED=true)
+app.get("/api/payments/mock/:externalId", async (req, res) => {
+  try {
+    const invoice = await PaymentService.getMockInvoice(req.params.externalId);
+    if (!invoice) return res.status(404).send("Счет не найден");
+    const action = `/api/payments/mock/${encodeURIComponent(invoice.external_id)}`;
+    const amount = new Intl.NumberFormat("ru-RU").format(invoice.amount);
+    res.type("html").send(`<!DOCTYPE html>
+<html lang="ru"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(MockPaymentProvider.title)}</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 3rem auto; text-align: center;">
+  <h2>${escapeHtml(MockPaymentProvider.title)}</h2>
+  <p>Объект #${invoice.order_id} · счет #${invoice.id}</p>
+  <h1>${amount} ₸</h1>
+  <p>Статус: <b>${escapeHtml(invoice.status)}</b></p>
+  ${
+    invoice.status === "pending"
+      ? `<form method="POST" action="${action}"><input type="hidden" name="result" value="paid"><button style="padding: 0.75rem 2rem;">Оплатить</button></form>
+  <form method="POST" action="${action}" style="margin-top: 0.5rem;"><input type="hidden" name="result" value="failed"><button>Отклонить платеж</button></form>`
+      : ""
+  }
+</body></html>`);
+  } catch (error) {
+    res.status(400).send(escapeHtml(error.message));
+  }
+});
 
+app.post("/api/payments/mock/:externalId", async (req, res) => {
+  try {
+    const result = await PaymentService.simulateMockPayment(
+      req.params.externalId,
+      req.body?.result !== "failed",
+    );
+    emitPaymentResult(result);
+    res.redirect(
+      303,
+      `/api/payments/mock/${encodeURIComponent(req.params.externalId)}`,
+    );
   } catch (error) {
-    console.error("[Broadcast] Системная ошибка:", error);
-    res.status(500).json({ error: "Внутренняя ошибка сервера при рассылке" });
+    res.status(400).send(escapeHtml(error.message));
   }
 });
 
@@ -6,6 +6,13 @@
  * ИСПРАВЛЕНИЕ: Добавлены обработчики инлайн-кнопок для Клиентов (Отмена заказа, пинг шефа).
  * ДОБАВЛЕНО: Глобальный middleware для автоматического трекинга активности (last_active).
  * ДОБАВЛЕНО: Graceful Error Boundary (пользователь получает уведомление при ошибке).
+ * ДОБАВЛЕНО: Доставка складских уведомлений о низком остатке Владельцу.
+ * ДОБАВЛЕНО: Запись клиента на замер (слоты) и доставка напоминаний о визитах.
+ * ДОБАВЛЕНО: Уведомления клиента о статусе объекта с отключением из бота.
+ * ДОБАВЛЕНО: Язык интерфейса (ru/kk/en): ctx.t, триггеры кнопок на всех языках, /language.
+ * ДОБАВЛЕНО: Сессии FSM хранятся в PostgreSQL (BotSessionStore) и переживают рестарт.
+ * ДОБАВЛЕНО: Доставка follow-up напоминаний (брошенные сметы и зависшие заявки).
+ * ДОБАВЛЕНО: Отправитель кампаний рассылки (текст или фото с подписью).
  * НИКАКИХ СОКРАЩЕНИЙ.
  *
  * @module BotCore
@@ -20,6 +27,13 @@ import { UserHandler } from "./handlers/UserHandler.js";
 import { AdminHandler } from "./handlers/AdminHandler.js";
 import { BrigadeHandler } from "./handlers/BrigadeHandler.js";
 import { UserService } from "./services/UserService.js"; // 🔥 ДОБАВЛЕНО: Для глобального трекинга
+import { WarehouseService } from "./services/WarehouseService.js";
+import { SchedulingService } from "./services/SchedulingService.js";
+import { NotificationService } from "./services/NotificationService.js";
+import { I18nService } from "./services/I18nService.js";
+import { BotSessionStore } from "./services/BotSessionStore.js";
+import { FollowUpService } from "./services/FollowUpService.js";
+import { BroadcastService } from "./services/BroadcastService.js";
 
 // =============================================================================
 // 1. ИНИЦИАЛИЗАЦИЯ ИНСТАНСА
@@ -41,12 +55,43 @@ export const setSocketIO = (io) => {
 
 export const getSocketIO = () => ioInstance;
 
+// Складские уведомления (низкий остаток) уходят Владельцу через этот инстанс
+WarehouseService.setAlertSender((chatId, html) =>
+  bot.telegram.sendMessage(chatId, html, { parse_mode: "HTML" }),
+);
+
+// Напоминания о замерах и монтаже (клиенту и бригадиру)
+SchedulingService.setMessageSender((chatId, html) =>
+  bot.telegram.sendMessage(chatId, html, { parse_mode: "HTML" }),
+);
+
+// Уведомления клиента о ходе работ по объекту (статусы из order_updates)
+NotificationService.setMessageSender((chatId, html, extra = {}) =>
+  bot.telegram.sendMessage(chatId, html, { parse_mode: "HTML", ...extra }),
+);
+
+// Follow-up цепочки: алерты Владельцу и напоминания клиентам (очередь задач)
+FollowUpService.setMessageSender((chatId, html, extra = {}) =>
+  bot.telegram.sendMessage(chatId, html, { parse_mode: "HTML", ...extra }),
+);
+
+// Рассылки из Web CRM (воркер очереди, ошибки Bot API обрабатывает сервис)
+BroadcastService.setMessageSender((chatId, html, imageUrl) =>
+  imageUrl
+    ? bot.telegram.sendPhoto(chatId, imageUrl, {
+        caption: html,
+        parse_mode: "HTML",
+      })
+    : bot.telegram.sendMessage(chatId, html, { parse_mode: "HTML" }),
+);
+
 // =============================================================================
 // 3. MIDDLEWARES (СЕССИИ, КОНТЕКСТ И ТЕЛЕМЕТРИЯ)
 // =============================================================================
 
-// Подключаем хранилище сессий (критично для калькулятора и FSM)
-bot.use(session());
+// Подключаем хранилище сессий (критично для калькулятора и FSM).
+// Сессии лежат в PostgreSQL: диалог не теряется при деплое и общий для всех инстансов.
+bot.use(session({ store: BotSessionStore }));
 
 // Гарантируем, что объект сессии всегда существует, чтобы избежать TypeError
 bot.use((ctx, next) => {
@@ -54,6 +99,25 @@ bot.use((ctx, next) => {
   return next();
 });
 
+// Язык пользователя: читается из БД один раз на сессию, далее из ctx.session.lang
+bot.use(async (ctx, next) => {
+  if (!ctx.session.lang && ctx.from?.id) {
+    try {
+      ctx.session.lang = await UserService.getUserLanguage(
+        ctx.from.id,
+        ctx.from.language_code,
+      );
+    } catch (err) {
+      console.error("[I18n] Failed to load user language:", err.message);
+    }
+  }
+  ctx.lang = I18nService.normalizeLanguage(
+    ctx.session.lang || ctx.from?.language_code,
+  );
+  ctx.t = (key, params) => I18nService.t(ctx.lang, key, params);
+  return next();
+});
+
 // 🔥 ДОБАВЛЕНО: Глобальный трекинг активности (Telemetry).
 // Выполняется асинхронно, не блокируя основной поток (Performance First).
 bot.use(async (ctx, next) => {
@@ -74,50 +138,61 @@ bot.use(async (ctx, next) => {
 
 bot.start((ctx) => UserHandler.startCommand(ctx));
 bot.command("webauth", (ctx) => UserHandler.generateWebOTP(ctx)); // Прямая команда для OTP
+bot.command(["language", "lang"], (ctx) => UserHandler.showLanguageMenu(ctx));
 
 // =============================================================================
 // 5. МАРШРУТИЗАТОР ТЕКСТОВЫХ КНОПОК (HEARS)
 // =============================================================================
 
+// Подписи кнопок на всех языках каталога (ru, kk, en)
+const triggers = (...keys) => keys.flatMap((key) => I18nService.variants(key));
+
 // --- Клиентский интерфейс ---
-const USER_TRIGGERS = [
-  "🚀 Рассчитать стоимость",
-  "📂 Мои заявки",
-  "💰 Прайс-лист",
-  "📞 Контакты",
-  "ℹ️ Как мы работаем",
-  "🔙 Назад",
-  "❌ Отмена",
-  "🔑 Доступ в Web CRM", // Кнопка запроса OTP
-];
+const USER_TRIGGERS = triggers(
+  "buttons.calculate",
+  "buttons.orders",
+  "buttons.priceList",
+  "buttons.contacts",
+  "buttons.howWork",
+  "buttons.back",
+  "buttons.cancel",
+  "buttons.webAuth", // Кнопка запроса OTP
+);
 bot.hears(USER_TRIGGERS, (ctx) => UserHandler.handleTextMessage(ctx));
+bot.hears(triggers("buttons.language"), (ctx) =>
+  UserHandler.showLanguageMenu(ctx),
+);
 
 // --- Интерфейс управления (CRM) ---
-bot.hears("👑 Админ-панель", (ctx) => AdminHandler.showAdminMenu(ctx));
+bot.hears(triggers("buttons.adminPanel"), (ctx) =>
+  AdminHandler.showAdminMenu(ctx),
+);
 
 // ИСПРАВЛЕНИЕ: Добавлен триггер "🏗 Управление Бригадами"
-const ADMIN_TRIGGERS = [
-  "📊 Финансовый Отчет",
-  "📦 Реестр объектов",
-  "🏗 Управление Бригадами",
-  "⚙️ Настройки цен",
-  "👥 Персонал",
-  "👨‍💻 SQL Терминал",
-  "💾 Дамп базы",
-  "🖥 Статус сервера",
-  "🔙 В главное меню",
-];
+const ADMIN_TRIGGERS = triggers(
+  "buttons.dashboard",
+  "buttons.registry",
+  "buttons.brigades",
+  "buttons.priceSettings",
+  "buttons.staff",
+  "buttons.sqlConsole",
+  "buttons.backup",
+  "buttons.serverStats",
+  "buttons.toMainMenu",
+);
 bot.hears(ADMIN_TRIGGERS, (ctx) => AdminHandler.handleMessage(ctx));
 
 // --- Интерфейс Бригадира (ERP) ---
-bot.hears("👷 Панель Бригадира", (ctx) => BrigadeHandler.showMenu(ctx));
-
-const BRIGADE_TRIGGERS = [
-  "💼 Биржа заказов", // Просмотр статусов 'new'
-  "🛠 Мои объекты", // Управление своими заказами
-  "💸 Сверка и Выручка", // Инкассация
-  "🔙 В главное меню",
-];
+bot.hears(triggers("buttons.brigadePanel"), (ctx) =>
+  BrigadeHandler.showMenu(ctx),
+);
+
+const BRIGADE_TRIGGERS = triggers(
+  "buttons.market", // Просмотр статусов 'new'
+  "buttons.myObjects", // Управление своими заказами
+  "buttons.finance", // Инкассация
+  "buttons.toMainMenu",
+);
 bot.hears(BRIGADE_TRIGGERS, (ctx) => BrigadeHandler.handleMessage(ctx));
 
 // =============================================================================
@@ -131,9 +206,30 @@ bot.action(/user_cancel_order_(.+)/, (ctx) =>
 bot.action(/user_ping_boss_(.+)/, (ctx) =>
   UserHandler.pingBoss(ctx, ctx.match[1]),
 );
+bot.action(/user_estimate_pdf_(\d+)/, (ctx) =>
+  UserHandler.sendEstimatePdf(ctx, ctx.match[1]),
+);
+bot.action(/^user_pick_visit_(\d+)$/, (ctx) =>
+  UserHandler.showVisitSlots(ctx, ctx.match[1]),
+);
+bot.action(/^visit_slot_(\d+)_(\d+)$/, (ctx) =>
+  UserHandler.bookVisitSlot(ctx, ctx.match[1], ctx.match[2]),
+);
+bot.action(/^visit_skip_(\d+)$/, (ctx) =>
+  UserHandler.skipVisitSlot(ctx, ctx.match[1]),
+);
+bot.action(/^user_notify_(on|off)$/, (ctx) =>
+  UserHandler.toggleOrderNotifications(ctx, ctx.match[1] === "on"),
+);
+bot.action(/^set_lang_(ru|kk|en)$/, (ctx) =>
+  UserHandler.setLanguage(ctx, ctx.match[1]),
+);
 
 // --- Клиент: Калькулятор и Заказы ---
-bot.action(/wall_(gas|brick|concrete)/, (ctx) =>
+bot.action(/^objtype_(apartment|house|office|commercial)$/, (ctx) =>
+  UserHandler.handleObjectTypeSelection(ctx),
+);
+bot.action(/^wall_[a-z0-9_]+$/, (ctx) =>
   UserHandler.handleWallSelection(ctx),
 );
 bot.action("action_save_order", (ctx) => UserHandler.saveOrderAction(ctx));
@@ -157,6 +253,10 @@ bot.action(/cancel_reason_(\d+)_([a-zA-Z_]+)/, (ctx) => {
 
 bot.action(/refresh_order_(\d+)/, (ctx) => AdminHandler.findOrder(ctx));
 
+bot.action(/prompt_storno_(\d+)/, (ctx) =>
+  AdminHandler.promptStorno(ctx, ctx.match[1]),
+);
+
 bot.action(/prompt_address_(\d+)/, (ctx) =>
   AdminHandler.promptAddress(ctx, ctx.match[1]),
 );
@@ -177,6 +277,9 @@ bot.action(/rej_inc_(\d+)_([\d.]+)/, (ctx) =>
 bot.action(/toggle_brigade_(\d+)_(true|false)/, (ctx) =>
   AdminHandler.toggleBrigadeAccess(ctx, ctx.match[1], ctx.match[2]),
 );
+bot.action(/^logout_all_(\d+)$/, (ctx) =>
+  AdminHandler.logoutEverywhere(ctx, ctx.match[1]),
+);
 
 // --- Бригадир: Действия по объектам и Финансам ---
 bot.action(/take_order_(\d+)/, (ctx) =>
@@ -261,7 +364,10 @@ bot.catch(async (err, ctx) => {
   try {
     if (ctx.chat) {
       await ctx.reply(
-        "⚠️ <b>Произошла системная ошибка.</b>\nПожалуйста, попробуйте повторить действие позже или напишите /start для перезапуска.",
+        I18nService.t(
+          ctx.lang || ctx.from?.language_code,
+          "common.systemError",
+        ),
         { parse_mode: "HTML" },
       );
     }
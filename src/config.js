@@ -4,6 +4,15 @@
  * Устраняет ошибки "undefined" в app.js и connection.js, объединяя все секции.
  * Внедрены настройки безопасности для OTP авторизации и WebSockets.
  * ДОБАВЛЕНО: Централизация лимитов (Rate Limit) и времени жизни сессий.
+ * ДОБАВЛЕНО: Секция documents (реквизиты фирмы и шрифты для PDF смет).
+ * ДОБАВЛЕНО: Секция scheduling (слоты выезда, горизонт записи, напоминания).
+ * ДОБАВЛЕНО: Секция payments (провайдер онлайн-оплаты, секрет webhook, касса зачисления).
+ * ДОБАВЛЕНО: Время жизни сессий Telegram-бота в PostgreSQL (bot.sessionTtlHours).
+ * ДОБАВЛЕНО: Лимит скорости рассылок (bot.broadcastRatePerSec).
+ * ДОБАВЛЕНО: Секция auth (блокировка входа после неудачных попыток, длина пароля).
+ * ДОБАВЛЕНО: Лимиты OTP (попытки на код, троттлинг по телефону и IP).
+ * ДОБАВЛЕНО: Время жизни access- и refresh-токенов API (auth.accessTokenMinutes / refreshTokenDays).
+ * ДОБАВЛЕНО: Mock-шлюз оплаты в production только по PAYMENT_MOCK_ENABLED, секрет webhook обязателен.
  * НИКАКИХ СОКРАЩЕНИЙ: Весь оригинальный код сохранен.
  *
  * @module Configuration
@@ -67,7 +76,11 @@ const configRaw = {
   server: {
     corsOrigin: getEnv("CORS_ORIGIN", "*"),
     sessionSecret: getEnv("SESSION_SECRET", "dev_secret_key_change_me"),
-    jwtSecret: getEnv("JWT_SECRET", "proelectric_enterprise_jwt_secret_key"), // Для Web CRM (OTP Auth)
+    // Подпись access-токенов API (TokenService); в production — только из окружения
+    jwtSecret: getEnv(
+      "JWT_SECRET",
+      isProduction ? undefined : "proelectric_dev_jwt_secret_key",
+    ),
     otpExpiresIn: getInt("OTP_EXPIRES_IN", 15), // Время жизни OTP пароля в минутах
     // 🔥 НОВОЕ: Enterprise константы вынесены из app.js
     rateLimitWindowMs: getInt("RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000), // Окно лимита (15 минут)
@@ -96,14 +109,85 @@ const configRaw = {
     ),
     adminIds: getList("ADDITIONAL_ADMIN_IDS"),
     bossUsername: (process.env.BOSS_USERNAME || "yeeerniyaz").replace("@", ""),
+    sessionTtlHours: getInt("BOT_SESSION_TTL_HOURS", 72), // Незавершенный диалог живет 3 дня
+    broadcastRatePerSec: getInt("BROADCAST_RATE_PER_SEC", 25), // Лимит Telegram ~30 сообщений/сек
+  },
+
+  // Секция documents — брендирование PDF смет / коммерческих предложений
+  documents: {
+    companyName: getEnv("COMPANY_NAME", "ProElectric"),
+    companyDetails: getEnv("COMPANY_DETAILS", "Электромонтажные работы"), // Реквизиты / слоган под шапкой
+    companyPhone: getEnv("COMPANY_PHONE", ""),
+    // TTF с кириллицей (встроенные шрифты PDF ее не содержат)
+    fontPath: getEnv("PDF_FONT_PATH", ""),
+    fontBoldPath: getEnv("PDF_FONT_BOLD_PATH", ""),
+  },
+
+  // Секция scheduling — слоты выезда инженера и напоминания о визитах
+  scheduling: {
+    visitSlots: getList("SCHEDULE_VISIT_SLOTS").length
+      ? getList("SCHEDULE_VISIT_SLOTS")
+      : [10, 12, 14, 16], // Часы начала слотов (местное время)
+    workDays: getList("SCHEDULE_WORK_DAYS").length
+      ? getList("SCHEDULE_WORK_DAYS")
+      : [1, 2, 3, 4, 5, 6], // 0 = воскресенье
+    visitDurationMin: getInt("SCHEDULE_VISIT_MINUTES", 120),
+    bookingDays: getInt("SCHEDULE_BOOKING_DAYS", 7), // Горизонт записи клиента
+    reminderLeadHours: getInt("SCHEDULE_REMINDER_HOURS", 24),
   },
 
-  // Секция admin — необходима для авторизации (обратная совместимость)
+  // Секция payments — онлайн-оплата счетов. Реальный провайдер (Kaspi QR) подключается
+  // в PaymentService.PAYMENT_PROVIDERS; пока доступен только mock-шлюз для разработки.
+  payments: {
+    // Mock-шлюз отмечает счет оплаченным без входа — в production только явным флагом
+    mockEnabled: !isProduction || process.env.PAYMENT_MOCK_ENABLED === "true",
+    provider: process.env.PAYMENT_PROVIDER || (isProduction ? null : "mock"), // null — онлайн-оплата выключена
+    publicUrl: getEnv(
+      "PUBLIC_URL",
+      `http://localhost:${getInt("PORT", 3000)}`,
+    ).replace(/\/$/, ""), // Адрес CRM для ссылок оплаты
+    // Подпись webhook; в production обязателен, если подключен провайдер
+    webhookSecret:
+      process.env.PAYMENT_WEBHOOK_SECRET ||
+      (isProduction ? null : "dev_payment_webhook_secret"),
+    accountId: getInt("PAYMENT_ACCOUNT_ID", null), // Касса зачисления (по умолчанию первый безнал)
+    invoiceTtlMinutes: getInt("PAYMENT_INVOICE_TTL_MIN", 24 * 60),
+  },
+
+  // Секция auth — вход персонала в Web CRM по логину и паролю
+  auth: {
+    maxLoginAttempts: getInt("AUTH_MAX_LOGIN_ATTEMPTS", 5), // Неудачных попыток подряд до блокировки
+    lockMinutes: getInt("AUTH_LOCK_MINUTES", 15),
+    minPasswordLength: getInt("AUTH_MIN_PASSWORD_LENGTH", 8),
+    // OTP: окно троттлинга и лимиты внутри окна
+    otpWindowMinutes: getInt("OTP_WINDOW_MINUTES", 15),
+    otpMaxCodeAttempts: getInt("OTP_MAX_CODE_ATTEMPTS", 5), // Неверных вводов до аннулирования кода
+    otpMaxRequestsPerPhone: getInt("OTP_MAX_REQUESTS_PER_PHONE", 3),
+    otpMaxFailuresPerPhone: getInt("OTP_MAX_FAILURES_PER_PHONE", 10),
+    otpMaxFailuresPerIp: getInt("OTP_MAX_FAILURES_PER_IP", 30),
+    // Bearer-токены API (мобильное приложение, интеграции)
+    accessTokenMinutes: getInt("ACCESS_TOKEN_MINUTES", 15),
+    refreshTokenDays: getInt("REFRESH_TOKEN_DAYS", 30),
+  },
+
+  // Секция admin — первичная учетная запись Владельца. Используется один раз,
+  // пока в staff_credentials нет ни одной записи; пароль придется сменить.
   admin: {
-    password: getEnv("ADMIN_PASS", "admin123"),
+    login: getEnv("ADMIN_LOGIN", "admin"),
+    password: process.env.ADMIN_PASS || null,
   },
 };
 
+// Онлайн-оплата без секрета webhook или mock-шлюз в production без флага — отказ при старте
+if (configRaw.payments.provider && !configRaw.payments.webhookSecret)
+  throw new Error(
+    '❌ [CONFIG FATAL] Отсутствует обязательная переменная "PAYMENT_WEBHOOK_SECRET"',
+  );
+if (configRaw.payments.provider === "mock" && !configRaw.payments.mockEnabled)
+  throw new Error(
+    "❌ [CONFIG FATAL] PAYMENT_PROVIDER=mock в production требует PAYMENT_MOCK_ENABLED=true",
+  );
+
 // Замораживаем объект для предотвращения изменений в рантайме
 export const config = Object.freeze(configRaw);
 
@@ -6,6 +6,27 @@
  * 2. Инициализацию полной ERP схемы БД (DDL) при старте (вкл. Финансы и Чеки).
  * 3. Наполнение начальными данными (Seeding) под новый динамический прайс.
  * 4. Инициализацию триггеров LISTEN/NOTIFY для WebSockets.
+ * 5. Журнал двойной записи (journal_entries) с переносом начальных остатков.
+ * 6. Версионируемые правила сметы по типам объектов (estimate_rule_sets).
+ * 7. Каталог материалов (materials) с закупочными и отпускными ценами для BOM.
+ * 8. Складской учет: локации (склад, машины бригад), журнал движений, остатки.
+ * 9. Заказы поставщикам (purchase_orders) со строками по объектам.
+ * 10. Календарь выездов (appointments) с запретом двойного бронирования бригады.
+ * 11. Уведомления клиентов о статусе объекта (users.notify_order_updates, payload триггера).
+ * 12. Оплаты клиентов по объектам (order_payments): предоплаты, частичные платежи.
+ * 13. Счета онлайн-оплаты (payment_invoices): QR/ссылка провайдера и подтверждение webhook.
+ * 14. Язык интерфейса пользователя (users.language_code: ru, kk, en).
+ * 15. Сессии Telegram-бота (bot_sessions): состояние диалогов переживает рестарт.
+ * 16. Очередь отложенных задач (scheduled_jobs): follow-up брошенных смет и заявок.
+ * 17. Кампании рассылок (broadcast_campaigns) с журналом доставки по получателям.
+ * 18. Сохраненные сегменты аудитории рассылок (broadcast_segments).
+ * 19. Учетные записи персонала для входа в Web CRM (staff_credentials, scrypt-хэши).
+ * 20. Хэшированные OTP-коды с лимитом попыток и журнал входов (auth_events).
+ * 21. Роли и их права доступа (roles, role_permissions), редактирует Владелец.
+ * 22. Устройства с доступом к API по Bearer-токенам (api_devices, refresh-токены).
+ * 23. Веб-сессии Web CRM (user_sessions) с индексом по сотруднику для списка сеансов.
+ * 24. Онлайн-оплаты, требующие ручной сверки (payment_invoices.status = 'review').
+ * 25. Отложенные замена и отмена выполняемых задач очереди (pending_payload, cancel_requested).
  *
  * Архитектура: Code-First Migration / Self-Healing Schema.
  *
@@ -43,7 +64,7 @@ const SCHEMA_SQL = `
     first_name TEXT,
     username TEXT,
     phone TEXT,
-    role TEXT DEFAULT 'user',       -- Роли: user, admin, manager, owner, banned
+    role TEXT DEFAULT 'user',       -- Роль из таблицы roles: user, admin, manager, owner, banned, ...
     web_password TEXT,              -- NEW: OTP пароль для WEB CRM
     web_password_expires TIMESTAMP, -- NEW: Время жизни OTP пароля
     created_at TIMESTAMP DEFAULT NOW(),
@@ -53,6 +74,16 @@ const SCHEMA_SQL = `
   -- Безопасное добавление колонок для существующих баз (Self-Healing)
   ALTER TABLE users ADD COLUMN IF NOT EXISTS web_password TEXT;
   ALTER TABLE users ADD COLUMN IF NOT EXISTS web_password_expires TIMESTAMP;
+  -- Неверные вводы текущего OTP-кода (web_password хранит HMAC кода)
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS web_password_attempts INTEGER NOT NULL DEFAULT 0;
+  -- Отказ клиента от Telegram-уведомлений о смене статуса объекта
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS notify_order_updates BOOLEAN NOT NULL DEFAULT TRUE;
+  -- Язык интерфейса бота и CRM (ru, kk, en); при регистрации берется из Telegram
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS language_code VARCHAR(10);
+  -- Пользователь заблокировал бота (выставляется рассылкой, снимается при /start)
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS is_blocked BOOLEAN NOT NULL DEFAULT FALSE;
+  -- Последняя активность в боте (метрики Retention, сегмент "неактивные")
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS last_active TIMESTAMP DEFAULT NOW();
 
   -- 2. ТАБЛИЦА БРИГАД (BRIGADES CORE - NEW)
   CREATE TABLE IF NOT EXISTS brigades (
@@ -121,6 +152,38 @@ const SCHEMA_SQL = `
     order_id INTEGER REFERENCES orders(id),
     created_at TIMESTAMP DEFAULT NOW()
   );
+
+  -- 8. ГРАФ ПЕРЕХОДОВ СТАТУСОВ (STATE MACHINE)
+  -- Зеркало OrderService.ORDER_TRANSITIONS, синхронизируется при старте сервера.
+  CREATE TABLE IF NOT EXISTS order_status_transitions (
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    PRIMARY KEY (from_status, to_status)
+  );
+
+  -- 9. ЖУРНАЛ СОБЫТИЙ ЗАКАЗОВ (AUDIT LOG - APPEND-ONLY)
+  -- Без FK на orders: история переживает удаление заказа.
+  CREATE TABLE IF NOT EXISTS order_events (
+    id BIGSERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    actor_id BIGINT,                 -- telegram_id инициатора (NULL = система)
+    action VARCHAR(50) NOT NULL,     -- created, status_changed, price_changed, bom_changed...
+    before_data JSONB,               -- Diff: значения полей ДО изменения
+    after_data JSONB,                -- Diff: значения полей ПОСЛЕ изменения
+    source VARCHAR(10) NOT NULL DEFAULT 'system', -- bot, web, api, system
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  -- Миграция legacy-истории статусов (details.history) в журнал событий
+  INSERT INTO order_events (order_id, action, before_data, after_data, source, created_at)
+  SELECT o.id, 'status_changed',
+         jsonb_build_object('status', h->>'old_status'),
+         jsonb_build_object('status', COALESCE(h->>'new_status', h->>'status')),
+         'system',
+         COALESCE((h->>'changed_at')::timestamp, o.created_at)
+  FROM orders o, jsonb_array_elements(o.details->'history') h
+  WHERE jsonb_typeof(o.details->'history') = 'array';
+  UPDATE orders SET details = details - 'history' WHERE details ? 'history';
   
   -- ИНДЕКСЫ ДЛЯ УСКОРЕНИЯ АНАЛИТИКИ
   CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
@@ -128,23 +191,81 @@ const SCHEMA_SQL = `
   CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
   CREATE INDEX IF NOT EXISTS idx_expenses_order ON object_expenses(order_id);
   CREATE INDEX IF NOT EXISTS idx_orders_brigade ON orders(brigade_id);
+  CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);
 
   -- ===========================================================================
   -- ⚡️ ТРИГГЕРЫ REAL-TIME WEBSOCKETS (PL/pgSQL) - NEW
   -- ===========================================================================
   
-  -- Триггер для заказов
+  -- Триггер для заказов (old_* поля нужны для уведомлений клиента о переходах)
   CREATE OR REPLACE FUNCTION notify_order_update() RETURNS trigger AS $$
   BEGIN
-    PERFORM pg_notify('order_updates', json_build_object('order_id', NEW.id, 'status', NEW.status)::text);
+    PERFORM pg_notify('order_updates', json_build_object(
+      'order_id', NEW.id, 'status', NEW.status, 'old_status', OLD.status,
+      'brigade_id', NEW.brigade_id, 'old_brigade_id', OLD.brigade_id
+    )::text);
     RETURN NEW;
   END;
   $$ LANGUAGE plpgsql;
 
   DROP TRIGGER IF EXISTS order_update_trigger ON orders;
   CREATE TRIGGER order_update_trigger 
-  AFTER UPDATE OF status ON orders 
-  FOR EACH ROW EXECUTE PROCEDURE notify_order_update();
+  AFTER UPDATE OF status, brigade_id ON orders 
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status OR OLD.brigade_id IS DISTINCT FROM NEW.brigade_id)
+  EXECUTE PROCEDURE notify_order_update();
+
+  -- Триггер-страж стейт-машины заказов (блокирует обход графа прямыми UPDATE)
+  CREATE OR REPLACE FUNCTION enforce_order_transition() RETURNS trigger AS $$
+  BEGIN
+    IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+      RETURN NEW;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM order_status_transitions) AND NOT EXISTS (
+      SELECT 1 FROM order_status_transitions
+      WHERE from_status = OLD.status AND to_status = NEW.status
+    ) THEN
+      RAISE EXCEPTION 'Переход статуса % -> % запрещен для заказа #%', OLD.status, NEW.status, NEW.id
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NEW.status = 'done' AND COALESCE(current_setting('proelectric.transition_via', true), '') <> 'finalize' THEN
+      RAISE EXCEPTION 'Статус done устанавливается только через финализацию (заказ #%)', NEW.id
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF OLD.status = 'done' AND NEW.status = 'work' AND COALESCE(current_setting('proelectric.transition_via', true), '') <> 'storno' THEN
+      RAISE EXCEPTION 'Завершенный заказ #% возвращается в работу только сторнированием', NEW.id
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NEW.status IN ('work', 'material', 'payment') AND NEW.brigade_id IS NULL THEN
+      RAISE EXCEPTION 'Статус % требует назначенной бригады (заказ #%)', NEW.status, NEW.id
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS order_transition_trigger ON orders;
+  CREATE TRIGGER order_transition_trigger
+  BEFORE UPDATE OF status ON orders
+  FOR EACH ROW EXECUTE PROCEDURE enforce_order_transition();
+
+  -- Журнал событий только на дозапись (UPDATE/DELETE запрещены)
+  CREATE OR REPLACE FUNCTION forbid_order_events_mutation() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'Журнал order_events доступен только для добавления записей'
+      USING ERRCODE = 'insufficient_privilege';
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS order_events_append_only ON order_events;
+  CREATE TRIGGER order_events_append_only
+  BEFORE UPDATE OR DELETE ON order_events
+  FOR EACH ROW EXECUTE PROCEDURE forbid_order_events_mutation();
 
   -- Триггер для прайс-листа (настроек)
   CREATE OR REPLACE FUNCTION notify_setting_update() RETURNS trigger AS $$
@@ -158,6 +279,612 @@ const SCHEMA_SQL = `
   CREATE TRIGGER setting_update_trigger 
   AFTER UPDATE OF value ON settings 
   FOR EACH ROW EXECUTE PROCEDURE notify_setting_update();
+
+  -- ===========================================================================
+  -- 📒 ДВОЙНАЯ ЗАПИСЬ (DOUBLE-ENTRY LEDGER)
+  -- ===========================================================================
+  -- journal_entries — заголовок проводки, transactions — ее строки (дебет/кредит).
+  -- accounts.balance — кэш журнала, обновляется только триггером apply_ledger_line.
+  -- Строки без entry_id — legacy-история до перехода на двойную запись.
+
+  CREATE TABLE IF NOT EXISTS journal_entries (
+    id SERIAL PRIMARY KEY,
+    description TEXT NOT NULL,
+    order_id INTEGER REFERENCES orders(id),
+    user_id BIGINT REFERENCES users(telegram_id),
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  -- kind: profit_split, storno, incassation, manual, opening
+  ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS kind VARCHAR(30) DEFAULT 'manual';
+  ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reversal_of INTEGER REFERENCES journal_entries(id);
+  ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reason TEXT;
+  -- Одна проводка сторнируется не более одного раза
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_reversal ON journal_entries(reversal_of) WHERE reversal_of IS NOT NULL;
+  UPDATE journal_entries SET kind = 'profit_split' WHERE kind = 'manual' AND order_id IS NOT NULL AND reversal_of IS NULL;
+
+  ALTER TABLE transactions ADD COLUMN IF NOT EXISTS entry_id INTEGER REFERENCES journal_entries(id);
+  ALTER TABLE transactions ADD COLUMN IF NOT EXISTS debit NUMERIC(12, 2) DEFAULT 0 CHECK (debit >= 0);
+  ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credit NUMERIC(12, 2) DEFAULT 0 CHECK (credit >= 0);
+  CREATE INDEX IF NOT EXISTS idx_transactions_entry ON transactions(entry_id);
+  CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id);
+
+  -- Системные (номинальные) счета для второй стороны проводок
+  INSERT INTO accounts (name, type, balance)
+  SELECT 'Доходы компании', 'revenue', 0
+  WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE type = 'revenue');
+  INSERT INTO accounts (name, type, balance)
+  SELECT 'Расходы компании', 'expense', 0
+  WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE type = 'expense');
+  INSERT INTO accounts (name, type, balance)
+  SELECT 'Капитал (Ввод остатков)', 'equity', 0
+  WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE type = 'equity');
+
+  -- Нормальная сторона счета: +1 активные (дебет увеличивает), -1 пассивные
+  -- (brigade_acc: плюс = фирма должна бригаде, минус = долг бригады Шефу)
+  CREATE OR REPLACE FUNCTION ledger_sign(acc_type TEXT) RETURNS INTEGER AS $$
+    SELECT CASE WHEN acc_type IN ('brigade_acc', 'revenue', 'equity') THEN -1 ELSE 1 END;
+  $$ LANGUAGE sql IMMUTABLE;
+
+  -- Пересчет кэша баланса по каждой строке проводки
+  CREATE OR REPLACE FUNCTION apply_ledger_line() RETURNS trigger AS $$
+  BEGIN
+    UPDATE accounts
+    SET balance = balance + ledger_sign(type) * (NEW.debit - NEW.credit), updated_at = NOW()
+    WHERE id = NEW.account_id;
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS ledger_line_apply_trigger ON transactions;
+  CREATE TRIGGER ledger_line_apply_trigger
+  AFTER INSERT ON transactions
+  FOR EACH ROW WHEN (NEW.entry_id IS NOT NULL)
+  EXECUTE PROCEDURE apply_ledger_line();
+
+  -- Баланс проводки проверяется на COMMIT: сумма дебетов = сумме кредитов
+  CREATE OR REPLACE FUNCTION check_journal_entry_balanced() RETURNS trigger AS $$
+  DECLARE
+    diff NUMERIC;
+  BEGIN
+    SELECT COALESCE(SUM(debit), 0) - COALESCE(SUM(credit), 0) INTO diff
+    FROM transactions WHERE entry_id = NEW.entry_id;
+    IF diff <> 0 THEN
+      RAISE EXCEPTION 'Проводка #% не сбалансирована (дебет - кредит = %)', NEW.entry_id, diff
+        USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS journal_balance_check ON transactions;
+  CREATE CONSTRAINT TRIGGER journal_balance_check
+  AFTER INSERT ON transactions
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW WHEN (NEW.entry_id IS NOT NULL)
+  EXECUTE PROCEDURE check_journal_entry_balanced();
+
+  -- Проведенные строки неизменяемы (исправления — только сторно-проводками)
+  CREATE OR REPLACE FUNCTION forbid_ledger_line_mutation() RETURNS trigger AS $$
+  BEGIN
+    IF OLD.entry_id IS NOT NULL THEN
+      RAISE EXCEPTION 'Строки проводок неизменяемы (проводка #%)', OLD.entry_id
+        USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    RETURN COALESCE(NEW, OLD);
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS ledger_line_immutable ON transactions;
+  CREATE TRIGGER ledger_line_immutable
+  BEFORE UPDATE OR DELETE ON transactions
+  FOR EACH ROW EXECUTE PROCEDURE forbid_ledger_line_mutation();
+
+  -- Миграция: текущие балансы счетов без проводок вводятся как начальные остатки
+  -- (корреспонденция со счетом капитала), после чего баланс = журнал.
+  DO $$
+  DECLARE
+    acc RECORD;
+    equity_id INTEGER;
+    new_entry_id INTEGER;
+    amt NUMERIC;
+  BEGIN
+    SELECT id INTO equity_id FROM accounts WHERE type = 'equity' ORDER BY id LIMIT 1;
+
+    FOR acc IN
+      SELECT a.id, a.type, a.balance FROM accounts a
+      WHERE a.type <> 'equity' AND COALESCE(a.balance, 0) <> 0
+        AND NOT EXISTS (
+          SELECT 1 FROM transactions t WHERE t.account_id = a.id AND t.entry_id IS NOT NULL
+        )
+    LOOP
+      amt := ledger_sign(acc.type) * acc.balance; -- Дебет минус кредит для счета
+      UPDATE accounts SET balance = 0 WHERE id = acc.id;
+
+      INSERT INTO journal_entries (description, kind, created_at)
+      VALUES ('Ввод начальных остатков (переход на двойную запись)', 'opening', NOW())
+      RETURNING id INTO new_entry_id;
+
+      INSERT INTO transactions (entry_id, account_id, amount, type, category, comment, debit, credit, created_at)
+      VALUES
+        (new_entry_id, acc.id, ABS(acc.balance),
+         CASE WHEN acc.balance >= 0 THEN 'income' ELSE 'expense' END,
+         'Ввод остатков', 'Начальный остаток счета', GREATEST(amt, 0), GREATEST(-amt, 0), NOW()),
+        (new_entry_id, equity_id, ABS(acc.balance),
+         CASE WHEN amt >= 0 THEN 'income' ELSE 'expense' END,
+         'Ввод остатков', 'Корреспонденция начального остатка', GREATEST(-amt, 0), GREATEST(amt, 0), NOW());
+    END LOOP;
+  END $$;
+
+  -- ===========================================================================
+  -- 📐 ВЕРСИОНИРУЕМЫЕ ПРАВИЛА СМЕТЫ (ESTIMATE RULE SETS)
+  -- ===========================================================================
+  -- Одна активная версия на тип объекта; опубликованные версии не редактируются,
+  -- откат выполняется активацией прошлой версии.
+
+  CREATE TABLE IF NOT EXISTS estimate_rule_sets (
+    id SERIAL PRIMARY KEY,
+    object_type VARCHAR(20) NOT NULL, -- apartment, house, office, commercial
+    version INTEGER NOT NULL,
+    rules JSONB NOT NULL,             -- { coefficients: {...}, walls: {...} }
+    is_active BOOLEAN DEFAULT FALSE,
+    comment TEXT,
+    created_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (object_type, version)
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_estimate_rule_sets_active ON estimate_rule_sets(object_type) WHERE is_active;
+
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS object_type VARCHAR(20) DEFAULT 'apartment';
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS rule_set_id INTEGER REFERENCES estimate_rule_sets(id);
+
+  CREATE OR REPLACE FUNCTION forbid_rule_set_rules_mutation() RETURNS trigger AS $$
+  BEGIN
+    IF NEW.rules IS DISTINCT FROM OLD.rules OR NEW.version IS DISTINCT FROM OLD.version
+       OR NEW.object_type IS DISTINCT FROM OLD.object_type THEN
+      RAISE EXCEPTION 'Версия правил #% неизменяема. Создайте новую версию.', OLD.id
+        USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS estimate_rule_sets_immutable ON estimate_rule_sets;
+  CREATE TRIGGER estimate_rule_sets_immutable
+  BEFORE UPDATE ON estimate_rule_sets
+  FOR EACH ROW EXECUTE PROCEDURE forbid_rule_set_rules_mutation();
+
+  -- ==========================================
+  -- 📦 КАТАЛОГ МАТЕРИАЛОВ (BOM COSTING)
+  -- ==========================================
+  CREATE TABLE IF NOT EXISTS materials (
+    id SERIAL PRIMARY KEY,
+    sku VARCHAR(64) UNIQUE NOT NULL,       -- Артикул (на него ссылается генератор BOM)
+    name TEXT NOT NULL,
+    unit VARCHAR(16) NOT NULL DEFAULT 'шт',
+    purchase_price NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (purchase_price >= 0), -- Закупка
+    sell_price NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (sell_price >= 0),         -- Отпуск клиенту
+    supplier TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+
+  -- ===========================================================================
+  -- 🏬 СКЛАДСКОЙ УЧЕТ (STOCK ON HAND)
+  -- ===========================================================================
+  -- stock_movements — append-only журнал движений (приход, выдача на объект,
+  -- возврат, перемещение, корректировка). stock_balances — кэш остатков по
+  -- локациям, обновляется только триггером apply_stock_movement.
+
+  ALTER TABLE materials ADD COLUMN IF NOT EXISTS min_stock NUMERIC(12, 3) NOT NULL DEFAULT 0 CHECK (min_stock >= 0);
+
+  CREATE TABLE IF NOT EXISTS stock_locations (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'warehouse', -- warehouse, brigade_van
+    brigade_id INTEGER UNIQUE REFERENCES brigades(id),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  INSERT INTO stock_locations (name, type)
+  SELECT 'Основной склад', 'warehouse'
+  WHERE NOT EXISTS (SELECT 1 FROM stock_locations WHERE type = 'warehouse');
+
+  CREATE TABLE IF NOT EXISTS stock_movements (
+    id SERIAL PRIMARY KEY,
+    material_id INTEGER NOT NULL REFERENCES materials(id),
+    kind VARCHAR(20) NOT NULL,                           -- receipt, issue, return, transfer, adjustment
+    location_from INTEGER REFERENCES stock_locations(id), -- NULL = поступление извне
+    location_to INTEGER REFERENCES stock_locations(id),   -- NULL = списание (на объект)
+    qty NUMERIC(12, 3) NOT NULL CHECK (qty > 0),
+    unit_cost NUMERIC(12, 2) NOT NULL DEFAULT 0,          -- Закупочная цена на момент движения
+    order_id INTEGER REFERENCES orders(id),
+    user_id BIGINT,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (location_from IS NOT NULL OR location_to IS NOT NULL),
+    CHECK (kind NOT IN ('issue', 'return') OR order_id IS NOT NULL)
+  );
+  CREATE INDEX IF NOT EXISTS idx_stock_movements_material ON stock_movements(material_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_stock_movements_order ON stock_movements(order_id);
+
+  CREATE TABLE IF NOT EXISTS stock_balances (
+    material_id INTEGER NOT NULL REFERENCES materials(id),
+    location_id INTEGER NOT NULL REFERENCES stock_locations(id),
+    qty NUMERIC(12, 3) NOT NULL DEFAULT 0 CHECK (qty >= 0), -- Уход в минус запрещен
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (material_id, location_id)
+  );
+
+  CREATE OR REPLACE FUNCTION apply_stock_movement() RETURNS trigger AS $$
+  BEGIN
+    IF NEW.location_from IS NOT NULL THEN
+      INSERT INTO stock_balances (material_id, location_id, qty)
+      VALUES (NEW.material_id, NEW.location_from, 0)
+      ON CONFLICT (material_id, location_id) DO NOTHING;
+      UPDATE stock_balances SET qty = qty - NEW.qty, updated_at = NOW()
+      WHERE material_id = NEW.material_id AND location_id = NEW.location_from;
+    END IF;
+    IF NEW.location_to IS NOT NULL THEN
+      INSERT INTO stock_balances (material_id, location_id, qty)
+      VALUES (NEW.material_id, NEW.location_to, NEW.qty)
+      ON CONFLICT (material_id, location_id)
+      DO UPDATE SET qty = stock_balances.qty + EXCLUDED.qty, updated_at = NOW();
+    END IF;
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS stock_movement_apply_trigger ON stock_movements;
+  CREATE TRIGGER stock_movement_apply_trigger
+  AFTER INSERT ON stock_movements
+  FOR EACH ROW EXECUTE PROCEDURE apply_stock_movement();
+
+  CREATE OR REPLACE FUNCTION forbid_stock_movement_mutation() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'Движения склада неизменяемы (движение #%). Оформите обратное движение.', OLD.id
+      USING ERRCODE = 'insufficient_privilege';
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS stock_movements_append_only ON stock_movements;
+  CREATE TRIGGER stock_movements_append_only
+  BEFORE UPDATE OR DELETE ON stock_movements
+  FOR EACH ROW EXECUTE PROCEDURE forbid_stock_movement_mutation();
+
+  -- ===========================================================================
+  -- 🚚 ЗАКАЗЫ ПОСТАВЩИКАМ (PURCHASE ORDERS)
+  -- ===========================================================================
+  -- Один PO — один поставщик. Строки хранят объект (order_id), под который
+  -- заказан материал: при приемке себестоимость раскладывается по объектам.
+
+  CREATE TABLE IF NOT EXISTS purchase_orders (
+    id SERIAL PRIMARY KEY,
+    supplier TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, sent, received, cancelled
+    total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    comment TEXT,
+    account_id INTEGER REFERENCES accounts(id),    -- Касса оплаты (при приемке)
+    transaction_id INTEGER REFERENCES transactions(id),
+    created_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    sent_at TIMESTAMP,
+    received_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status);
+
+  CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL REFERENCES orders(id),
+    material_id INTEGER REFERENCES materials(id),
+    sku VARCHAR(64),                               -- NULL для своих позиций BOM
+    name TEXT NOT NULL,
+    unit VARCHAR(16) NOT NULL DEFAULT 'шт',
+    qty NUMERIC(12, 3) NOT NULL CHECK (qty > 0),
+    unit_cost NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0)
+  );
+  CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po ON purchase_order_lines(purchase_order_id);
+  CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order ON purchase_order_lines(order_id);
+
+  -- ===========================================================================
+  -- 📅 КАЛЕНДАРЬ ВЫЕЗДОВ И РАБОЧИХ ДНЕЙ (APPOINTMENTS)
+  -- ===========================================================================
+  -- Двойное бронирование бригады запрещено EXCLUDE-ограничением (btree_gist).
+  -- brigade_id = NULL — выезд по объекту на Бирже, бригада подставится триггером
+  -- при взятии объекта (конфликт по времени отклоняет назначение).
+
+  CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+  CREATE TABLE IF NOT EXISTS appointments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id),
+    brigade_id INTEGER REFERENCES brigades(id),
+    kind VARCHAR(20) NOT NULL DEFAULT 'visit',       -- visit (замер), work (монтажный день)
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- scheduled, done, cancelled
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    comment TEXT,
+    created_by BIGINT,
+    reminder_sent_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+  );
+  CREATE INDEX IF NOT EXISTS idx_appointments_order ON appointments(order_id);
+  CREATE INDEX IF NOT EXISTS idx_appointments_starts ON appointments(starts_at) WHERE status = 'scheduled';
+
+  DO $$
+  BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'appointments_no_overlap') THEN
+      ALTER TABLE appointments ADD CONSTRAINT appointments_no_overlap
+      EXCLUDE USING gist (brigade_id WITH =, tstzrange(starts_at, ends_at) WITH &&)
+      WHERE (status = 'scheduled' AND brigade_id IS NOT NULL);
+    END IF;
+  END $$;
+
+  -- Смена бригады переносит ее выезды, отмена объекта — отменяет их
+  CREATE OR REPLACE FUNCTION sync_order_appointments() RETURNS trigger AS $$
+  BEGIN
+    IF NEW.status IN ('cancel', 'archived') THEN
+      UPDATE appointments SET status = 'cancelled', updated_at = NOW()
+      WHERE order_id = NEW.id AND status = 'scheduled';
+    ELSIF OLD.brigade_id IS DISTINCT FROM NEW.brigade_id THEN
+      UPDATE appointments SET brigade_id = NEW.brigade_id, updated_at = NOW()
+      WHERE order_id = NEW.id AND status = 'scheduled';
+    END IF;
+    RETURN NEW;
+  EXCEPTION WHEN exclusion_violation THEN
+    RAISE EXCEPTION 'Бригада уже занята в это время. Перенесите выезд по объекту #% в календаре.', NEW.id
+      USING ERRCODE = 'exclusion_violation';
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS order_appointments_sync_trigger ON orders;
+  CREATE TRIGGER order_appointments_sync_trigger
+  AFTER UPDATE OF brigade_id, status ON orders
+  FOR EACH ROW EXECUTE PROCEDURE sync_order_appointments();
+
+  -- ===========================================================================
+  -- 💳 ОПЛАТЫ КЛИЕНТОВ ПО ОБЪЕКТАМ (ORDER PAYMENTS)
+  -- ===========================================================================
+  -- account_id = NULL — деньги на руках у бригады (рассчитываются при финализации),
+  -- иначе платеж сразу проведен в кассу компании (entry_id — проводка прихода).
+
+  CREATE TABLE IF NOT EXISTS order_payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id),
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(20) NOT NULL CHECK (method IN ('cash', 'kaspi', 'bank_transfer')),
+    kind VARCHAR(20) NOT NULL DEFAULT 'installment' CHECK (kind IN ('prepayment', 'installment')),
+    account_id INTEGER REFERENCES accounts(id),
+    entry_id INTEGER REFERENCES journal_entries(id),
+    received_by BIGINT REFERENCES users(telegram_id),
+    received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_order_payments_order ON order_payments(order_id);
+
+  -- ===========================================================================
+  -- 🧾 СЧЕТА ОНЛАЙН-ОПЛАТЫ (PAYMENT INVOICES: KASPI QR / MOCK)
+  -- ===========================================================================
+  -- Счет закрывается webhook провайдера: pending -> paid ровно один раз,
+  -- payment_id указывает на созданную оплату в order_payments.
+
+  CREATE TABLE IF NOT EXISTS payment_invoices (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id),
+    provider VARCHAR(30) NOT NULL,
+    external_id VARCHAR(128),
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'cancelled', 'review')),
+    payment_url TEXT,
+    qr_payload TEXT,
+    payment_id INTEGER REFERENCES order_payments(id),
+    created_by BIGINT,
+    expires_at TIMESTAMP,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_payment_invoices_order ON payment_invoices(order_id);
+
+  -- Оплата по отмененному, просроченному или не совпадающему счету ждет ручной сверки (status = 'review')
+  ALTER TABLE payment_invoices ADD COLUMN IF NOT EXISTS paid_amount NUMERIC(12, 2);
+  ALTER TABLE payment_invoices ADD COLUMN IF NOT EXISTS review_reason TEXT;
+  DO $$
+  BEGIN
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conname = 'payment_invoices_status_check'
+        AND pg_get_constraintdef(oid) LIKE '%review%'
+    ) THEN
+      ALTER TABLE payment_invoices DROP CONSTRAINT IF EXISTS payment_invoices_status_check;
+      ALTER TABLE payment_invoices ADD CONSTRAINT payment_invoices_status_check
+        CHECK (status IN ('pending', 'paid', 'failed', 'cancelled', 'review'));
+    END IF;
+  END $$;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_invoices_external ON payment_invoices(provider, external_id) WHERE external_id IS NOT NULL;
+
+  -- ===========================================================================
+  -- 💬 СЕССИИ TELEGRAM-БОТА (FSM: state, adminState, brigadeState)
+  -- ===========================================================================
+  -- Хранилище для Telegraf session() рядом с веб-сессиями user_sessions.
+  -- Ключ — "<from.id>:<chat.id>", срок жизни продлевается при каждой записи.
+
+  CREATE TABLE IF NOT EXISTS bot_sessions (
+    session_key VARCHAR(100) PRIMARY KEY,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    expires_at TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_bot_sessions_expires ON bot_sessions(expires_at);
+
+  -- ===========================================================================
+  -- ⏱ ОЧЕРЕДЬ ОТЛОЖЕННЫХ ЗАДАЧ (SCHEDULED JOBS: FOLLOW-UP ЦЕПОЧКИ)
+  -- ===========================================================================
+  -- Задачу забирает воркер любого инстанса (FOR UPDATE SKIP LOCKED + locked_until).
+  -- Многошаговые цепочки хранят номер шага в step и переназначают run_at.
+  -- dedupe_key: не больше одной ожидающей задачи на объект/клиента.
+
+  CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    dedupe_key VARCHAR(100),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    step INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'cancelled', 'failed')),
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(run_at) WHERE status = 'pending';
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_jobs_dedupe ON scheduled_jobs(type, dedupe_key) WHERE status = 'pending' AND dedupe_key IS NOT NULL;
+  CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_key ON scheduled_jobs(type, dedupe_key);
+  -- Замена или отмена задачи, которую сейчас выполняет воркер, применяется при ее освобождении
+  ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS pending_payload JSONB;
+  ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS pending_run_at TIMESTAMPTZ;
+  ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+
+  -- ===========================================================================
+  -- 📣 КАМПАНИИ РАССЫЛОК (BROADCAST CAMPAIGNS)
+  -- ===========================================================================
+  -- Аудитория фиксируется при создании (broadcast_recipients), доставку ведет
+  -- задача очереди с лимитом скорости; рестарт продолжает с pending-получателей.
+
+  CREATE TABLE IF NOT EXISTS broadcast_campaigns (
+    id SERIAL PRIMARY KEY,
+    text TEXT NOT NULL,
+    image_url TEXT,
+    target_role VARCHAR(20) NOT NULL DEFAULT 'all',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'cancelled')),
+    total INTEGER NOT NULL DEFAULT 0,
+    sent INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    blocked INTEGER NOT NULL DEFAULT 0,
+    created_by BIGINT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS broadcast_recipients (
+    campaign_id INTEGER NOT NULL REFERENCES broadcast_campaigns(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'blocked')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    sent_at TIMESTAMP,
+    PRIMARY KEY (campaign_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_pending ON broadcast_recipients(campaign_id) WHERE status = 'pending';
+
+  -- Сегменты аудитории: фильтры (роль, статус заказа, давность сдачи объекта,
+  -- неактивность, без телефона, клиенты бригады) объединяются через AND.
+  CREATE TABLE IF NOT EXISTS broadcast_segments (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  ALTER TABLE broadcast_campaigns ADD COLUMN IF NOT EXISTS segment_id INTEGER REFERENCES broadcast_segments(id) ON DELETE SET NULL;
+  ALTER TABLE broadcast_campaigns ADD COLUMN IF NOT EXISTS filters JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+  -- Вход персонала в Web CRM по логину и паролю. Учетная запись привязана к
+  -- users.telegram_id; пароль — scrypt-хэш с солью, после серии неудачных
+  -- попыток вход блокируется до locked_until. Выданный Владельцем временный
+  -- пароль требует смены при первом входе (must_change_password).
+  CREATE TABLE IF NOT EXISTS staff_credentials (
+    user_id BIGINT PRIMARY KEY REFERENCES users(telegram_id) ON DELETE CASCADE,
+    login VARCHAR(64) NOT NULL,
+    password_hash TEXT NOT NULL,
+    must_change_password BOOLEAN NOT NULL DEFAULT TRUE,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    last_login_at TIMESTAMPTZ,
+    password_changed_at TIMESTAMPTZ,
+    created_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_credentials_login ON staff_credentials(LOWER(login));
+
+  -- Журнал входов в Web CRM: выдача и проверка OTP, вход по паролю.
+  -- Служит и аудитом (просматривает Владелец), и счетчиком для троттлинга
+  -- по телефону и по IP (выборки за последние N минут).
+  CREATE TABLE IF NOT EXISTS auth_events (
+    id BIGSERIAL PRIMARY KEY,
+    event VARCHAR(32) NOT NULL,
+    user_id BIGINT,
+    phone VARCHAR(32),
+    ip VARCHAR(64),
+    user_agent TEXT,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_auth_events_created ON auth_events(created_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_auth_events_phone ON auth_events(phone, event, created_at);
+  CREATE INDEX IF NOT EXISTS idx_auth_events_ip ON auth_events(ip, event, created_at);
+
+  -- Роли персонала и именованные права (orders.finalize, finance.view, ...).
+  -- Каталог прав задан в PermissionService; системные роли создаются при старте
+  -- с правами по умолчанию, дальше набор прав меняет Владелец. users.role
+  -- ссылается на roles.name логически (роль в users не удаляется каскадом).
+  CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(32) PRIMARY KEY,
+    title VARCHAR(100) NOT NULL,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(32) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission VARCHAR(64) NOT NULL,
+    PRIMARY KEY (role, permission)
+  );
+
+  -- Устройства с доступом к /api по Bearer-токенам (Android-приложение
+  -- бригадиров, интеграции). Хранится только SHA-256 текущего refresh-токена,
+  -- при каждом обновлении он заменяется новым. Отзыв устройства (revoked_at)
+  -- сразу лишает силы и выданные ему access-токены.
+  CREATE TABLE IF NOT EXISTS api_devices (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+    device_name VARCHAR(100),
+    refresh_token_hash CHAR(64) NOT NULL,
+    previous_refresh_hashes TEXT[] NOT NULL DEFAULT '{}',
+    refresh_expires_at TIMESTAMPTZ NOT NULL,
+    ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+  );
+  -- Уже замененные refresh-токены устройства: по ним распознается повторное предъявление
+  ALTER TABLE api_devices ADD COLUMN IF NOT EXISTS previous_refresh_hashes TEXT[] NOT NULL DEFAULT '{}';
+  CREATE INDEX IF NOT EXISTS idx_api_devices_user ON api_devices(user_id) WHERE revoked_at IS NULL;
+
+  -- Веб-сессии Web CRM (connect-pg-simple). Таблица объявлена и здесь, чтобы
+  -- индекс по сотруднику (sess.user.id) был до первого входа: по нему строятся
+  -- список сеансов, «выйти везде» и сброс сессий при смене роли.
+  CREATE TABLE IF NOT EXISTS user_sessions (
+    sid VARCHAR NOT NULL COLLATE "default" PRIMARY KEY,
+    sess JSON NOT NULL,
+    expire TIMESTAMP(6) NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON user_sessions(expire);
+  CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions((sess->'user'->>'id'));
 `;
 
 // =============================================================================
@@ -191,6 +918,37 @@ const DEFAULT_SETTINGS = [
 
   // --- Финансовые Коэффициенты ---
   ["material_factor", "0.45"], // Эвристика: стоимость материалов = 45% от стоимости работ
+
+  // --- Follow-up цепочки (минуты от расчета / создания заявки; 0 — шаг выключен) ---
+  // Текст шага: пусто — стандартный текст на языке клиента, иначе шаблон с {name}, {work}, {id}
+  ["followup_estimate_delay_1", "15"],
+  ["followup_estimate_delay_2", "1440"],
+  ["followup_estimate_delay_3", "0"],
+  ["followup_estimate_text_1", ""],
+  ["followup_estimate_text_2", ""],
+  ["followup_estimate_text_3", ""],
+  ["followup_order_delay_1", "1440"],
+  ["followup_order_delay_2", "4320"],
+  ["followup_order_delay_3", "0"],
+  ["followup_order_text_1", ""],
+  ["followup_order_text_2", ""],
+  ["followup_order_text_3", ""],
+];
+
+/**
+ * Стартовый каталог материалов: [sku, name, unit, purchase_price, sell_price].
+ * Артикулы используются шаблоном BOM в MaterialService. Сеется только при отсутствии SKU.
+ */
+const DEFAULT_MATERIALS = [
+  ["CAB-VVG-3X2.5", "Кабель ВВГнг-LS 3x2.5", "м", 380, 450],
+  ["CAB-VVG-3X1.5", "Кабель ВВГнг-LS 3x1.5", "м", 260, 310],
+  ["CORR-PVC-D20", "Гофра ПВХ D20", "м", 40, 55],
+  ["CHAN-25X16", "Кабель-канал 25x16", "м", 180, 230],
+  ["BOX-D68", "Подрозетник D68", "шт", 35, 50],
+  ["JBOX-100", "Распредкоробка 100x100", "шт", 250, 320],
+  ["MCB-16A", "Автоматический выключатель 16A", "шт", 1500, 1900],
+  ["RCBO-16A", "Дифавтомат / УЗО 16A 30mA", "шт", 6500, 8000],
+  ["WAGO-221", "Клеммы WAGO 221 (упаковка)", "уп", 2500, 3200],
 ];
 
 // =============================================================================
@@ -226,6 +984,18 @@ export const initDB = async () => {
       );
     }
 
+    // 2.1 Сидинг каталога материалов (цены правятся в CRM и не перетираются)
+    for (const [sku, name, unit, purchasePrice, sellPrice] of DEFAULT_MATERIALS) {
+      await client.query(
+        `
+        INSERT INTO materials (sku, name, unit, purchase_price, sell_price)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (sku) DO NOTHING
+      `,
+        [sku, name, unit, purchasePrice, sellPrice],
+      );
+    }
+
     await client.query("COMMIT"); // Фиксация транзакции
 
     // 3. Активация слушателя сокетов после успешного развертывания схемы
@@ -0,0 +1,54 @@
+/**
+ * @file src/database/ledger.js
+ * @description Чистые функции двойной записи (без обращения к БД).
+ * Вынесены из репозитория, чтобы правила проводок проверялись тестами
+ * без подключения к PostgreSQL.
+ *
+ * @module Ledger
+ */
+
+/**
+ * Округление денежной суммы до копеек.
+ * @param {*} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Строки сторно для заказа, закрытого до перехода на двойную запись.
+ * Legacy-финализация меняла только баланс бригады (+Заработок −Удержание),
+ * а в журнал этот остаток попал вводом начальных остатков против счета
+ * капитала. Поэтому корреспондирующая строка сторно — капитал, а не выручка:
+ * после сторно оба счета стоят там, где стояли бы без финализации.
+ */
+export const buildLegacyStornoLines = ({
+  orderId,
+  brigadeAccountId,
+  equityAccountId,
+  brigadeShare,
+  netProfit,
+  reason,
+}) => {
+  const ownerShare = roundMoney(netProfit - brigadeShare);
+  return [
+    {
+      accountId: brigadeAccountId,
+      debit: brigadeShare,
+      category: "Сторно",
+      comment: `Сторно «Заработок» по объекту #${orderId}: ${reason}`,
+    },
+    {
+      accountId: brigadeAccountId,
+      credit: netProfit,
+      category: "Сторно",
+      comment: `Сторно «Удержание» по объекту #${orderId}: ${reason}`,
+    },
+    {
+      accountId: equityAccountId,
+      debit: Math.max(ownerShare, 0),
+      credit: Math.max(-ownerShare, 0),
+      category: "Сторно",
+      comment: `Сторно корреспонденции начального остатка по объекту #${orderId}: ${reason}`,
+    },
+  ];
+};
@@ -6,6 +6,21 @@
  * распределение прибыли и Web OTP авторизация.
  * ИСПРАВЛЕНО: Глобальная статистика (getGlobalStats) теперь корректно
  * высчитывает net_profit (чистую прибыль) с учетом расходов, а не приравнивает ее к выручке.
+ * ДОБАВЛЕНО: Журнал событий заказов order_events (append-only аудит).
+ * ДОБАВЛЕНО: Двойная запись (journal_entries + строки transactions), балансы
+ * счетов выводятся из журнала, оборотно-сальдовая ведомость (getTrialBalance).
+ * ДОБАВЛЕНО: Версионируемые правила сметы (estimate_rule_sets), версия в заказе.
+ * ДОБАВЛЕНО: Сторно финализации заказа компенсирующими проводками (reverseOrderFinalization).
+ * ДОБАВЛЕНО: Потоковая выгрузка курсором (streamRows) для экспорта XLSX/CSV.
+ * ДОБАВЛЕНО: Каталог материалов (materials) для расчета стоимости BOM.
+ * ДОБАВЛЕНО: Счета онлайн-оплаты (payment_invoices), закрытие счета вместе с оплатой.
+ * ДОБАВЛЕНО: Хранилище сессий Telegram-бота (bot_sessions) с TTL.
+ * ДОБАВЛЕНО: Очередь отложенных задач (scheduled_jobs) с блокировкой SKIP LOCKED.
+ * ДОБАВЛЕНО: Кампании рассылок (broadcast_campaigns) и статусы доставки получателям.
+ * ДОБАВЛЕНО: Сегменты аудитории рассылок (broadcast_segments) и подсчет получателей.
+ * ДОБАВЛЕНО: Роли и наборы прав доступа (roles, role_permissions).
+ * ДОБАВЛЕНО: Устройства API (api_devices) с ротацией refresh-токенов.
+ * ДОБАВЛЕНО: Веб-сессии сотрудника (user_sessions): список, завершение, «выйти везде».
  *
  * Архитектура: Repository Pattern. Строгие транзакции (ACID) для финансов.
  *
@@ -14,6 +29,7 @@
  */
 
 import { query, getClient } from "./connection.js";
+import { roundMoney, buildLegacyStornoLines } from "./ledger.js";
 
 // =============================================================================
 // ⚙️ SETTINGS (DYNAMIC PRICING & CONFIG)
@@ -68,6 +84,15 @@ export const saveBulkSettings = async (settingsArray) => {
   }
 };
 
+// Сырые строковые значения по префиксу (шаблоны текстов не парсятся в числа)
+export const getSettingsByPrefix = async (prefix) => {
+  const { rows } = await query(
+    "SELECT key, value FROM settings WHERE key LIKE $1 || '%'",
+    [prefix],
+  );
+  return Object.fromEntries(rows.map((row) => [row.key, row.value]));
+};
+
 // =============================================================================
 // 👤 USERS REPOSITORY (CRM & WEB AUTH)
 // =============================================================================
@@ -94,6 +119,7 @@ export const upsertUser = async ({ id, first_name, username }) => {
     ON CONFLICT (telegram_id) DO UPDATE SET 
       first_name = EXCLUDED.first_name,
       username = EXCLUDED.username,
+      is_blocked = FALSE,
       updated_at = NOW()
     RETURNING *
   `;
@@ -108,6 +134,13 @@ export const updateUserPhone = async (userId, phone) => {
   return res.rows[0];
 };
 
+export const setUserOrderNotifications = async (userId, enabled) => {
+  const sql =
+    "UPDATE users SET notify_order_updates = $1, updated_at = NOW() WHERE telegram_id = $2 RETURNING *";
+  const res = await query(sql, [Boolean(enabled), userId]);
+  return res.rows[0];
+};
+
 export const updateUserRole = async (userId, newRole) => {
   const sql =
     "UPDATE users SET role = $1, updated_at = NOW() WHERE telegram_id = $2 RETURNING *";
@@ -135,11 +168,54 @@ export const setWebPassword = async (
 ) => {
   const sql = `
     UPDATE users 
-    SET web_password = $1, web_password_expires = NOW() + INTERVAL '${expiresInMinutes} minutes'
+    SET web_password = $1, web_password_expires = NOW() + make_interval(mins => $3),
+        web_password_attempts = 0
     WHERE telegram_id = $2
     RETURNING *
   `;
-  const res = await query(sql, [otpHash, telegramId]);
+  const res = await query(sql, [otpHash, telegramId, expiresInMinutes]);
+  return res.rows[0];
+};
+
+/**
+ * Атомарное погашение OTP: код подходит только один раз и только до истечения.
+ * @returns {Promise<Object|undefined>} Пользователь, если код принят.
+ */
+export const consumeWebPassword = async (telegramId, otpHash) => {
+  const res = await query(
+    `UPDATE users
+     SET web_password = NULL, web_password_expires = NULL, web_password_attempts = 0
+     WHERE telegram_id = $1 AND web_password = $2 AND web_password_expires > NOW()
+     RETURNING *`,
+    [telegramId, otpHash],
+  );
+  return res.rows[0];
+};
+
+/**
+ * Неверный ввод кода. На maxAttempts-й попытке код аннулируется.
+ * @returns {Promise<number>} Число неверных попыток по текущему коду.
+ */
+export const recordWebPasswordFailure = async (telegramId, maxAttempts) => {
+  const res = await query(
+    `UPDATE users SET
+       web_password_attempts = web_password_attempts + 1,
+       web_password = CASE WHEN web_password_attempts + 1 >= $2 THEN NULL ELSE web_password END,
+       web_password_expires = CASE WHEN web_password_attempts + 1 >= $2 THEN NULL ELSE web_password_expires END
+     WHERE telegram_id = $1
+     RETURNING web_password_attempts`,
+    [telegramId, maxAttempts],
+  );
+  return res.rows[0]?.web_password_attempts || 0;
+};
+
+// Поиск по последним цифрам номера: формат хранения телефона не унифицирован
+export const findUserByPhone = async (phone) => {
+  const cleanPhone = phone.replace(/\D/g, "");
+  const res = await query(
+    "SELECT * FROM users WHERE REGEXP_REPLACE(phone, '\\D', '', 'g') LIKE '%' || $1 LIMIT 1",
+    [cleanPhone],
+  );
   return res.rows[0];
 };
 
@@ -161,74 +237,1752 @@ export const clearWebPassword = async (telegramId) => {
 };
 
 // =============================================================================
-// 📦 ORDERS REPOSITORY (BUSINESS CORE & BRIGADE ASSIGNMENT)
+// 🛡 AUTH EVENTS (ЖУРНАЛ ВХОДОВ И ТРОТТЛИНГ)
 // =============================================================================
 
-export const createOrder = async (userId, data) => {
-  const sql = `
-    INSERT INTO orders (id, user_id, total_price, area, details, status, created_at, updated_at)
-    VALUES ($1, $2, $3, $4, $5, 'new', NOW(), NOW())
-    RETURNING *
-  `;
-  const area =
-    data.area ||
-    (data.details && data.details.params ? data.details.params.area : 0);
-  const res = await query(sql, [
-    data.id,
+export const recordAuthEvent = async ({
+  event,
+  userId = null,
+  phone = null,
+  ip = null,
+  userAgent = null,
+  details = {},
+}) => {
+  await query(
+    `INSERT INTO auth_events (event, user_id, phone, ip, user_agent, details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [event, userId, phone, ip, userAgent, JSON.stringify(details)],
+  );
+};
+
+/**
+ * Число событий за последние minutes минут по телефону или по IP.
+ * @param {Object} filter - { events: string[], phone?, ip?, minutes }
+ */
+export const countRecentAuthEvents = async ({ events, phone, ip, minutes }) => {
+  const params = [events, minutes];
+  let where =
+    "event = ANY($1) AND created_at > NOW() - make_interval(mins => $2)";
+  if (phone) {
+    params.push(phone);
+    where += ` AND phone = $${params.length}`;
+  }
+  if (ip) {
+    params.push(ip);
+    where += ` AND ip = $${params.length}`;
+  }
+  const res = await query(
+    `SELECT COUNT(*)::int AS count FROM auth_events WHERE ${where}`,
+    params,
+  );
+  return res.rows[0].count;
+};
+
+export const getAuthEvents = async ({
+  event = null,
+  userId = null,
+  limit = 100,
+  offset = 0,
+} = {}) => {
+  const res = await query(
+    `SELECT e.*, u.first_name AS user_name
+     FROM auth_events e
+     LEFT JOIN users u ON u.telegram_id = e.user_id
+     WHERE ($1::varchar IS NULL OR e.event = $1)
+       AND ($2::bigint IS NULL OR e.user_id = $2)
+     ORDER BY e.created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [event, userId, limit, offset],
+  );
+  return res.rows;
+};
+
+// =============================================================================
+// 🔑 STAFF CREDENTIALS (WEB CRM LOGIN & LOCKOUT)
+// =============================================================================
+
+const STAFF_CREDENTIAL_SELECT = `
+  SELECT c.*, u.first_name, u.phone, u.role, u.language_code
+  FROM staff_credentials c
+  JOIN users u ON u.telegram_id = c.user_id`;
+
+export const getStaffCredentialByLogin = async (login) => {
+  const res = await query(
+    `${STAFF_CREDENTIAL_SELECT} WHERE LOWER(c.login) = LOWER($1)`,
+    [login],
+  );
+  return res.rows[0];
+};
+
+export const getStaffCredential = async (userId) => {
+  const res = await query(`${STAFF_CREDENTIAL_SELECT} WHERE c.user_id = $1`, [
     userId,
-    data.price,
-    area,
-    data.details || {},
   ]);
   return res.rows[0];
 };
 
-export const getOrderById = async (orderId) => {
-  const sql = "SELECT * FROM orders WHERE id = $1";
-  const res = await query(sql, [orderId]);
-  return res.rows[0];
+export const countStaffCredentials = async () => {
+  const res = await query(
+    "SELECT COUNT(*)::int AS count FROM staff_credentials",
+  );
+  return res.rows[0].count;
 };
 
-export const updateOrderStatus = async (orderId, status) => {
-  const sql =
-    "UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *";
-  const res = await query(sql, [status, orderId]);
+/**
+ * Выдача (или перевыпуск) учетной записи: сбрасывает счетчик попыток и блокировку.
+ */
+export const saveStaffCredential = async ({
+  userId,
+  login,
+  passwordHash,
+  mustChangePassword = true,
+  createdBy = null,
+}) => {
+  const res = await query(
+    `INSERT INTO staff_credentials (user_id, login, password_hash, must_change_password, password_changed_at, created_by)
+     VALUES ($1, $2, $3, $4, NOW(), $5)
+     ON CONFLICT (user_id) DO UPDATE SET
+       login = EXCLUDED.login,
+       password_hash = EXCLUDED.password_hash,
+       must_change_password = EXCLUDED.must_change_password,
+       failed_attempts = 0,
+       locked_until = NULL,
+       password_changed_at = NOW(),
+       updated_at = NOW()
+     RETURNING user_id, login, must_change_password`,
+    [userId, login, passwordHash, mustChangePassword, createdBy],
+  );
   return res.rows[0];
 };
 
-export const updateOrderDetails = async (orderId, details, totalPrice) => {
-  const sql = `UPDATE orders SET details = $1, total_price = $2, updated_at = NOW() WHERE id = $3 RETURNING *`;
-  const res = await query(sql, [details, totalPrice, orderId]);
+export const updateStaffPassword = async (userId, passwordHash) => {
+  await query(
+    `UPDATE staff_credentials
+     SET password_hash = $2, must_change_password = FALSE, password_changed_at = NOW(), updated_at = NOW()
+     WHERE user_id = $1`,
+    [userId, passwordHash],
+  );
+};
+
+/**
+ * Неудачная попытка входа. На maxAttempts-й подряд учетная запись блокируется
+ * на lockMinutes, счетчик начинается заново.
+ * @returns {Promise<{failed_attempts: number, locked_until: Date|null}>}
+ */
+export const recordStaffLoginFailure = async (
+  userId,
+  maxAttempts,
+  lockMinutes,
+) => {
+  const res = await query(
+    `UPDATE staff_credentials SET
+       locked_until = CASE WHEN failed_attempts + 1 >= $2
+         THEN NOW() + make_interval(mins => $3) ELSE locked_until END,
+       failed_attempts = CASE WHEN failed_attempts + 1 >= $2
+         THEN 0 ELSE failed_attempts + 1 END,
+       updated_at = NOW()
+     WHERE user_id = $1
+     RETURNING failed_attempts, locked_until`,
+    [userId, maxAttempts, lockMinutes],
+  );
   return res.rows[0];
 };
 
-export const getUserOrders = async (userId, limit = 20) => {
-  const sql = `SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`;
-  const res = await query(sql, [userId, limit]);
+export const recordStaffLoginSuccess = async (userId) => {
+  await query(
+    `UPDATE staff_credentials
+     SET failed_attempts = 0, locked_until = NULL, last_login_at = NOW(), updated_at = NOW()
+     WHERE user_id = $1`,
+    [userId],
+  );
+};
+
+export const deleteStaffCredential = async (userId) => {
+  const res = await query("DELETE FROM staff_credentials WHERE user_id = $1", [
+    userId,
+  ]);
+  return res.rowCount > 0;
+};
+
+// =============================================================================
+// 🖥 STAFF WEB SESSIONS (CONNECT-PG-SIMPLE)
+// =============================================================================
+
+// Клиенту отдается md5(sid) — сам sid (значение cookie) не покидает сервер
+
+export const getUserWebSessions = async (userId) => {
+  const res = await query(
+    `SELECT md5(sid) AS id, sid, sess, expire
+     FROM user_sessions
+     WHERE sess->'user'->>'id' = $1 AND expire > NOW()`,
+    [String(userId)],
+  );
   return res.rows;
 };
 
-export const getAvailableNewOrders = async () => {
-  const sql = `SELECT * FROM orders WHERE status = 'new' ORDER BY created_at ASC`;
-  const res = await query(sql);
+export const deleteUserWebSession = async (userId, sessionId) => {
+  const res = await query(
+    "DELETE FROM user_sessions WHERE md5(sid) = $2 AND sess->'user'->>'id' = $1",
+    [String(userId), sessionId],
+  );
+  return res.rowCount > 0;
+};
+
+export const deleteUserWebSessions = async (userId) => {
+  const res = await query(
+    "DELETE FROM user_sessions WHERE sess->'user'->>'id' = $1",
+    [String(userId)],
+  );
+  return res.rowCount;
+};
+
+// =============================================================================
+// 📱 API DEVICES (BEARER TOKENS)
+// =============================================================================
+
+export const createApiDevice = async ({
+  userId,
+  deviceName = null,
+  refreshTokenHash,
+  refreshExpiresAt,
+  ip = null,
+  userAgent = null,
+}) => {
+  const res = await query(
+    `INSERT INTO api_devices (user_id, device_name, refresh_token_hash, refresh_expires_at, ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, user_id, device_name, refresh_expires_at, created_at`,
+    [userId, deviceName, refreshTokenHash, refreshExpiresAt, ip, userAgent],
+  );
+  return res.rows[0];
+};
+
+/**
+ * Активное устройство вместе с сотрудником — проверка access-токена на каждый запрос.
+ */
+export const getActiveApiDevice = async (deviceId) => {
+  const res = await query(
+    `SELECT d.id, d.user_id, d.device_name, u.telegram_id, u.role, u.first_name,
+            u.phone, u.language_code, (c.user_id IS NOT NULL) AS has_password
+     FROM api_devices d
+     JOIN users u ON u.telegram_id = d.user_id
+     LEFT JOIN staff_credentials c ON c.user_id = d.user_id
+     WHERE d.id = $1 AND d.revoked_at IS NULL`,
+    [deviceId],
+  );
+  return res.rows[0];
+};
+
+export const getApiDevice = async (deviceId) => {
+  const res = await query("SELECT * FROM api_devices WHERE id = $1", [
+    deviceId,
+  ]);
+  return res.rows[0];
+};
+
+// Сколько замененных refresh-токенов устройства помнить для распознавания повтора
+const REFRESH_HASH_HISTORY = 50;
+
+/**
+ * Ротация refresh-токена: срабатывает только для текущего (не отозванного и
+ * не просроченного) токена устройства. Замененный хэш уходит в историю
+ * previous_refresh_hashes. null — токен уже заменен или недействителен.
+ */
+export const rotateApiDeviceRefreshToken = async ({
+  deviceId,
+  currentHash,
+  nextHash,
+  refreshExpiresAt,
+  ip = null,
+  userAgent = null,
+}) => {
+  const res = await query(
+    `UPDATE api_devices SET
+       refresh_token_hash = $3,
+       previous_refresh_hashes = (array_prepend(refresh_token_hash::text, previous_refresh_hashes))[1:$7::int],
+       refresh_expires_at = $4,
+       ip = COALESCE($5, ip),
+       user_agent = COALESCE($6, user_agent),
+       last_used_at = NOW()
+     WHERE id = $1 AND refresh_token_hash = $2
+       AND revoked_at IS NULL AND refresh_expires_at > NOW()
+     RETURNING id, user_id, device_name, refresh_expires_at`,
+    [
+      deviceId,
+      currentHash,
+      nextHash,
+      refreshExpiresAt,
+      ip,
+      userAgent,
+      REFRESH_HASH_HISTORY,
+    ],
+  );
+  return res.rows[0] || null;
+};
+
+/**
+ * Был ли хэш выдан устройству раньше и уже заменен (повторное предъявление).
+ */
+export const isReplacedApiRefreshToken = async (deviceId, hash) => {
+  const res = await query(
+    `SELECT 1 FROM api_devices
+     WHERE id = $1 AND revoked_at IS NULL AND $2 = ANY(previous_refresh_hashes)`,
+    [deviceId, hash],
+  );
+  return res.rowCount > 0;
+};
+
+export const getUserApiDevices = async (userId) => {
+  const res = await query(
+    `SELECT id, device_name, ip, user_agent, created_at, last_used_at, refresh_expires_at
+     FROM api_devices
+     WHERE user_id = $1 AND revoked_at IS NULL AND refresh_expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId],
+  );
   return res.rows;
 };
 
-export const getBrigadeOrders = async (brigadeId) => {
-  const sql = `SELECT * FROM orders WHERE brigade_id = $1 ORDER BY created_at DESC`;
-  const res = await query(sql, [brigadeId]);
+/**
+ * Отзыв устройства. userId — только среди устройств этого сотрудника.
+ */
+export const revokeApiDevice = async (deviceId, userId = null) => {
+  const res = await query(
+    `UPDATE api_devices SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+       AND ($2::bigint IS NULL OR user_id = $2)`,
+    [deviceId, userId],
+  );
+  return res.rowCount > 0;
+};
+
+export const revokeUserApiDevices = async (userId) => {
+  const res = await query(
+    "UPDATE api_devices SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId],
+  );
+  return res.rowCount;
+};
+
+// =============================================================================
+// 🧩 ROLES & PERMISSIONS (RBAC)
+// =============================================================================
+
+/**
+ * Роли с набором прав и числом пользователей (для редактора Владельца).
+ */
+export const getRolesWithPermissions = async () => {
+  const res = await query(
+    `SELECT r.name, r.title, r.is_system,
+       COALESCE(
+         (SELECT array_agg(p.permission ORDER BY p.permission)
+          FROM role_permissions p WHERE p.role = r.name),
+         '{}'
+       ) AS permissions,
+       (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS users_count
+     FROM roles r
+     ORDER BY r.is_system DESC, r.created_at ASC, r.name ASC`,
+  );
   return res.rows;
 };
 
-export const assignOrderToBrigade = async (orderId, brigadeId) => {
-  const sql = `UPDATE orders SET brigade_id = $1, status = 'work', updated_at = NOW() WHERE id = $2 AND status = 'new' RETURNING *`;
-  const res = await query(sql, [brigadeId, orderId]);
+export const getRoleByName = async (name) => {
+  const res = await query("SELECT * FROM roles WHERE name = $1", [name]);
   return res.rows[0];
 };
 
-export const getOrderExpenses = async (orderId) => {
-  const sql =
-    "SELECT * FROM object_expenses WHERE order_id = $1 ORDER BY created_at DESC";
+/**
+ * Создание роли, если ее еще нет. Права записываются только для новой роли,
+ * чтобы правки Владельца не перетирались при рестарте.
+ * @returns {Promise<boolean>} true — роль создана.
+ */
+export const createRole = async ({
+  name,
+  title,
+  isSystem = false,
+  permissions = [],
+}) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const res = await client.query(
+      `INSERT INTO roles (name, title, is_system) VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING name`,
+      [name, title, isSystem],
+    );
+    if (res.rowCount > 0 && permissions.length > 0) {
+      await client.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT $1, UNNEST($2::varchar[])
+         ON CONFLICT DO NOTHING`,
+        [name, permissions],
+      );
+    }
+    await client.query("COMMIT");
+    return res.rowCount > 0;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Полная замена набора прав роли (одной транзакцией).
+ */
+export const setRolePermissions = async (name, permissions) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM role_permissions WHERE role = $1", [name]);
+    if (permissions.length > 0) {
+      await client.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT $1, UNNEST($2::varchar[])`,
+        [name, permissions],
+      );
+    }
+    await client.query("UPDATE roles SET updated_at = NOW() WHERE name = $1", [
+      name,
+    ]);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Пользователи, чья роль имеет право permission (Владелец — все права).
+ * @param {Object} [options] - { includeOwner }: Владелец не нужен, например, в пушах Биржи
+ */
+export const getUsersWithPermission = async (
+  permission,
+  { includeOwner = true } = {},
+) => {
+  const res = await query(
+    `SELECT telegram_id, first_name, username, role, language_code
+     FROM users
+     WHERE role IN (SELECT role FROM role_permissions WHERE permission = $1)
+        OR ($2 AND role = 'owner')
+     ORDER BY role DESC`,
+    [permission, includeOwner],
+  );
+  return res.rows;
+};
+
+export const deleteRole = async (name) => {
+  const res = await query(
+    "DELETE FROM roles WHERE name = $1 AND is_system = FALSE",
+    [name],
+  );
+  return res.rowCount > 0;
+};
+
+// =============================================================================
+// 💬 TELEGRAM BOT SESSIONS (PERSISTENT FSM STATE)
+// =============================================================================
+
+export const getBotSession = async (key) => {
+  const res = await query(
+    "SELECT data FROM bot_sessions WHERE session_key = $1 AND expires_at > NOW()",
+    [key],
+  );
+  return res.rows[0]?.data;
+};
+
+/**
+ * Атомарный UPSERT сессии: несколько инстансов бота пишут в одну таблицу
+ * без гонок на вставке, срок жизни продлевается с каждой записью.
+ */
+export const saveBotSession = async (key, data, ttlHours) => {
+  const sql = `
+    INSERT INTO bot_sessions (session_key, data, expires_at, updated_at)
+    VALUES ($1, $2, NOW() + make_interval(hours => $3), NOW())
+    ON CONFLICT (session_key) DO UPDATE
+    SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at, updated_at = NOW()
+  `;
+  await query(sql, [key, JSON.stringify(data), ttlHours]);
+};
+
+export const deleteBotSession = async (key) => {
+  await query("DELETE FROM bot_sessions WHERE session_key = $1", [key]);
+};
+
+export const purgeExpiredBotSessions = async () => {
+  const res = await query("DELETE FROM bot_sessions WHERE expires_at <= NOW()");
+  return res.rowCount;
+};
+
+// =============================================================================
+// ⏱ SCHEDULED JOBS (DURABLE QUEUE)
+// =============================================================================
+
+/**
+ * Постановка задачи в очередь. mode:
+ * - "replace": ожидающая задача с тем же dedupe_key перезапускается с шага 0;
+ *   если ее сейчас выполняет воркер, замена сохраняется в pending_payload
+ *   и применяется при освобождении задачи (см. releaseJobSet);
+ * - "keep": существующая ожидающая задача не трогается;
+ * - "once": задача ставится, только если с этим ключом ее еще не было никогда.
+ */
+export const enqueueJob = async ({
+  type,
+  dedupeKey = null,
+  payload = {},
+  runAt = new Date(),
+  mode = "replace",
+}) => {
+  const held = "scheduled_jobs.locked_until >= NOW()";
+  const conflict =
+    mode === "replace"
+      ? `DO UPDATE SET
+           payload = CASE WHEN ${held} THEN scheduled_jobs.payload ELSE EXCLUDED.payload END,
+           step = CASE WHEN ${held} THEN scheduled_jobs.step ELSE 0 END,
+           run_at = CASE WHEN ${held} THEN scheduled_jobs.run_at ELSE EXCLUDED.run_at END,
+           attempts = CASE WHEN ${held} THEN scheduled_jobs.attempts ELSE 0 END,
+           last_error = CASE WHEN ${held} THEN scheduled_jobs.last_error END,
+           pending_payload = CASE WHEN ${held} THEN EXCLUDED.payload END,
+           pending_run_at = CASE WHEN ${held} THEN EXCLUDED.run_at END,
+           cancel_requested = FALSE, updated_at = NOW()`
+      : "DO NOTHING";
+  const onceFilter =
+    mode === "once"
+      ? "WHERE NOT EXISTS (SELECT 1 FROM scheduled_jobs WHERE type = $1 AND dedupe_key = $2)"
+      : "";
+  const sql = `
+    INSERT INTO scheduled_jobs (type, dedupe_key, payload, run_at)
+    SELECT $1::varchar, $2::varchar, $3::jsonb, $4::timestamptz
+    ${onceFilter}
+    ON CONFLICT (type, dedupe_key) WHERE status = 'pending' AND dedupe_key IS NOT NULL
+    ${conflict}
+    RETURNING *
+  `;
+  const res = await query(sql, [
+    type,
+    dedupeKey,
+    JSON.stringify(payload),
+    runAt,
+  ]);
+  return res.rows[0] || null;
+};
+
+/**
+ * Отмена ожидающих задач. Задачу, которую выполняет воркер, нельзя закрыть
+ * из-под него: захват не снимается, ставится cancel_requested, и задача
+ * закрывается как отмененная при освобождении.
+ */
+export const cancelJobs = async (type, dedupeKey) => {
+  const res = await query(
+    `UPDATE scheduled_jobs
+     SET status = CASE WHEN locked_until >= NOW() THEN status ELSE 'cancelled' END,
+         cancel_requested = COALESCE(locked_until >= NOW(), FALSE),
+         pending_payload = NULL, pending_run_at = NULL, updated_at = NOW()
+     WHERE type = $1 AND dedupe_key = $2 AND status = 'pending'`,
+    [type, dedupeKey],
+  );
+  return res.rowCount;
+};
+
+/**
+ * SET-часть освобождения задачи воркером. Замена (enqueueJob) или отмена
+ * (cancelJobs), пришедшие во время выполнения, перекрывают итог обработчика.
+ * @param {Object} result - SQL-выражения итога: { status, step, runAt, payload, attempts, lastError }
+ */
+const releaseJobSet = ({
+  status,
+  step,
+  runAt,
+  payload,
+  attempts,
+  lastError,
+}) => `
+  status = CASE WHEN cancel_requested THEN 'cancelled'
+                WHEN pending_payload IS NOT NULL THEN 'pending'
+                ELSE ${status} END,
+  step = CASE WHEN pending_payload IS NULL THEN ${step} ELSE 0 END,
+  run_at = COALESCE(pending_run_at, ${runAt}),
+  payload = COALESCE(pending_payload, ${payload}),
+  attempts = CASE WHEN pending_payload IS NULL THEN ${attempts} ELSE 0 END,
+  last_error = CASE WHEN pending_payload IS NULL THEN ${lastError} END,
+  locked_until = NULL, pending_payload = NULL, pending_run_at = NULL,
+  cancel_requested = FALSE, updated_at = NOW()
+`;
+
+/**
+ * Захват созревших задач. SKIP LOCKED + locked_until: одну задачу
+ * выполняет ровно один воркер, упавший воркер отпускает ее по таймауту.
+ */
+export const claimDueJobs = async (limit = 20, lockMinutes = 5) => {
+  // Воркер упал, не освободив задачу: отложенные замена/отмена применяются до захвата
+  await query(`
+    UPDATE scheduled_jobs
+    SET ${releaseJobSet({
+      status: "status",
+      step: "step",
+      runAt: "run_at",
+      payload: "payload",
+      attempts: "attempts",
+      lastError: "last_error",
+    })}
+    WHERE status = 'pending' AND locked_until < NOW()
+      AND (cancel_requested OR pending_payload IS NOT NULL)
+  `);
+  const sql = `
+    UPDATE scheduled_jobs SET locked_until = NOW() + make_interval(mins => $2), updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM scheduled_jobs
+      WHERE status = 'pending' AND run_at <= NOW()
+        AND (locked_until IS NULL OR locked_until < NOW())
+      ORDER BY run_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+  const res = await query(sql, [limit, lockMinutes]);
+  return res.rows;
+};
+
+/**
+ * Продление захвата задач, которые воркер еще не завершил (heartbeat).
+ */
+export const extendJobLocks = async (ids, lockMinutes = 5) => {
+  const res = await query(
+    `UPDATE scheduled_jobs SET locked_until = NOW() + make_interval(mins => $2), updated_at = NOW()
+     WHERE id = ANY($1::int[]) AND status = 'pending'`,
+    [ids, lockMinutes],
+  );
+  return res.rowCount;
+};
+
+// Переход цепочки на следующий шаг
+export const rescheduleJob = async (id, { step, runAt, payload }) => {
+  const sql = `
+    UPDATE scheduled_jobs
+    SET ${releaseJobSet({
+      status: "status",
+      step: "$2",
+      runAt: "$3",
+      payload: "COALESCE($4::jsonb, payload)",
+      attempts: "0",
+      lastError: "NULL",
+    })}
+    WHERE id = $1 AND status = 'pending'
+  `;
+  await query(sql, [id, step, runAt, payload ? JSON.stringify(payload) : null]);
+};
+
+export const finishJob = async (id, status = "done") => {
+  const sql = `
+    UPDATE scheduled_jobs
+    SET ${releaseJobSet({
+      status: "$2",
+      step: "step",
+      runAt: "run_at",
+      payload: "payload",
+      attempts: "attempts",
+      lastError: "last_error",
+    })}
+    WHERE id = $1 AND status = 'pending'
+  `;
+  await query(sql, [id, status]);
+};
+
+// Ошибка выполнения: повтор позже, после maxAttempts задача помечается failed
+export const failJobAttempt = async (id, error, retryAt, maxAttempts) => {
+  const sql = `
+    UPDATE scheduled_jobs
+    SET ${releaseJobSet({
+      status: "CASE WHEN attempts + 1 >= $4 THEN 'failed' ELSE status END",
+      step: "step",
+      runAt: "$3",
+      payload: "payload",
+      attempts: "attempts + 1",
+      lastError: "$2",
+    })}
+    WHERE id = $1 AND status = 'pending'
+  `;
+  await query(sql, [id, String(error).slice(0, 1000), retryAt, maxAttempts]);
+};
+
+// =============================================================================
+// 📣 BROADCAST CAMPAIGNS (QUEUED DELIVERY)
+// =============================================================================
+
+/**
+ * WHERE-условие аудитории по фильтрам сегмента (alias users: u).
+ * Всегда исключаются оффлайн-клиенты (telegram_id <= 0) и заблокировавшие бота.
+ * @param {Object} filters - { role, orderStatus, completedDaysAgo, inactiveDays, withoutPhone, brigadeId }
+ * @param {Array} [params] - массив параметров запроса (дополняется)
+ */
+const buildAudienceWhere = (filters = {}, params = []) => {
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const where = ["u.telegram_id > 0", "u.is_blocked = FALSE"];
+
+  if (filters.role && filters.role !== "all") {
+    where.push(`u.role = ${add(filters.role)}`);
+  }
+  if (filters.orderStatus) {
+    where.push(`EXISTS (
+      SELECT 1 FROM orders o WHERE o.user_id = u.telegram_id AND o.status = ${add(filters.orderStatus)}
+    )`);
+  }
+  if (filters.completedDaysAgo) {
+    // Дата сдачи — последний переход в 'done' из журнала order_events:
+    // финализация с расчетом долей ('finalized') или ручная смена статуса
+    where.push(`EXISTS (
+      SELECT 1 FROM orders o
+      WHERE o.user_id = u.telegram_id AND o.status = 'done'
+        AND (
+          SELECT MAX(e.created_at) FROM order_events e
+          WHERE e.order_id = o.id AND e.action IN ('status_changed', 'finalized')
+            AND e.after_data->>'status' = 'done'
+        ) <= NOW() - make_interval(days => ${add(filters.completedDaysAgo)})
+    )`);
+  }
+  if (filters.inactiveDays) {
+    where.push(
+      `COALESCE(u.last_active, u.created_at) < NOW() - make_interval(days => ${add(filters.inactiveDays)})`,
+    );
+  }
+  if (filters.withoutPhone) {
+    where.push("(u.phone IS NULL OR u.phone = '')");
+  }
+  if (filters.brigadeId) {
+    where.push(`EXISTS (
+      SELECT 1 FROM orders o WHERE o.user_id = u.telegram_id AND o.brigade_id = ${add(filters.brigadeId)}
+    )`);
+  }
+  return where.join(" AND ");
+};
+
+export const getBroadcastAudience = async (filters = {}) => {
+  const params = [];
+  const where = buildAudienceWhere(filters, params);
+  const res = await query(
+    `SELECT u.telegram_id FROM users u WHERE ${where}`,
+    params,
+  );
+  return res.rows;
+};
+
+export const countBroadcastAudience = async (filters = {}) => {
+  const params = [];
+  const where = buildAudienceWhere(filters, params);
+  const res = await query(
+    `SELECT COUNT(*)::int as count FROM users u WHERE ${where}`,
+    params,
+  );
+  return res.rows[0].count;
+};
+
+/**
+ * Создание кампании с фиксацией аудитории по фильтрам сегмента.
+ */
+export const createBroadcastCampaign = async ({
+  text,
+  imageUrl = null,
+  filters = {},
+  segmentId = null,
+  createdBy = null,
+}) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const {
+      rows: [campaign],
+    } = await client.query(
+      `INSERT INTO broadcast_campaigns (text, image_url, target_role, filters, segment_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        text,
+        imageUrl,
+        filters.role || "all",
+        JSON.stringify(filters),
+        segmentId,
+        createdBy,
+      ],
+    );
+    const params = [];
+    const where = buildAudienceWhere(filters, params);
+    params.push(campaign.id);
+    const recipients = await client.query(
+      `INSERT INTO broadcast_recipients (campaign_id, user_id)
+       SELECT $${params.length}, u.telegram_id FROM users u WHERE ${where}`,
+      params,
+    );
+    const {
+      rows: [result],
+    } = await client.query(
+      "UPDATE broadcast_campaigns SET total = $2 WHERE id = $1 RETURNING *",
+      [campaign.id, recipients.rowCount],
+    );
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export const getBroadcastCampaign = async (id) => {
+  const res = await query("SELECT * FROM broadcast_campaigns WHERE id = $1", [
+    id,
+  ]);
+  return res.rows[0];
+};
+
+export const getBroadcastCampaigns = async (limit = 50) => {
+  const sql = `
+    SELECT c.*, u.first_name as created_by_name, s.name as segment_name
+    FROM broadcast_campaigns c
+    LEFT JOIN users u ON c.created_by = u.telegram_id
+    LEFT JOIN broadcast_segments s ON c.segment_id = s.id
+    ORDER BY c.created_at DESC
+    LIMIT $1
+  `;
+  const res = await query(sql, [limit]);
+  return res.rows;
+};
+
+export const getPendingBroadcastRecipients = async (campaignId, limit) => {
+  const res = await query(
+    `SELECT user_id, attempts FROM broadcast_recipients
+     WHERE campaign_id = $1 AND status = 'pending'
+     ORDER BY user_id LIMIT $2`,
+    [campaignId, limit],
+  );
+  return res.rows;
+};
+
+/**
+ * Итог доставки получателю. Счетчики кампании и флаг users.is_blocked
+ * обновляются в одной транзакции с записью статуса.
+ */
+export const setBroadcastRecipientStatus = async (
+  campaignId,
+  userId,
+  status,
+  error = null,
+) => {
+  const counter = { sent: "sent", failed: "failed", blocked: "blocked" }[
+    status
+  ];
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const res = await client.query(
+      `UPDATE broadcast_recipients
+       SET status = $3::varchar, attempts = attempts + 1, error = $4,
+           sent_at = CASE WHEN $3::varchar = 'sent' THEN NOW() ELSE sent_at END
+       WHERE campaign_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [campaignId, userId, status, error],
+    );
+    if (res.rowCount > 0 && counter) {
+      await client.query(
+        `UPDATE broadcast_campaigns SET ${counter} = ${counter} + 1, updated_at = NOW() WHERE id = $1`,
+        [campaignId],
+      );
+    }
+    if (status === "blocked") {
+      await client.query(
+        "UPDATE users SET is_blocked = TRUE, updated_at = NOW() WHERE telegram_id = $1",
+        [userId],
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Временная ошибка: получатель остается pending для следующей попытки
+export const recordBroadcastRetry = async (campaignId, userId, error) => {
+  await query(
+    `UPDATE broadcast_recipients SET attempts = attempts + 1, error = $3
+     WHERE campaign_id = $1 AND user_id = $2 AND status = 'pending'`,
+    [campaignId, userId, error],
+  );
+};
+
+export const setBroadcastCampaignStatus = async (id, status) => {
+  const sql = `
+    UPDATE broadcast_campaigns
+    SET status = $2::varchar,
+        started_at = CASE WHEN $2::varchar = 'running' THEN COALESCE(started_at, NOW()) ELSE started_at END,
+        finished_at = CASE WHEN $2::varchar IN ('done', 'cancelled') THEN NOW() ELSE finished_at END,
+        updated_at = NOW()
+    WHERE id = $1 AND status NOT IN ('done', 'cancelled')
+    RETURNING *
+  `;
+  const res = await query(sql, [id, status]);
+  return res.rows[0] || null;
+};
+
+// --- СЕГМЕНТЫ АУДИТОРИИ ---
+
+export const getBroadcastSegments = async () => {
+  const res = await query(
+    "SELECT * FROM broadcast_segments ORDER BY name ASC, id ASC",
+  );
+  return res.rows;
+};
+
+export const getBroadcastSegment = async (id) => {
+  const res = await query("SELECT * FROM broadcast_segments WHERE id = $1", [
+    id,
+  ]);
+  return res.rows[0];
+};
+
+export const createBroadcastSegment = async ({
+  name,
+  filters,
+  createdBy = null,
+}) => {
+  const res = await query(
+    `INSERT INTO broadcast_segments (name, filters, created_by)
+     VALUES ($1, $2, $3) RETURNING *`,
+    [name, JSON.stringify(filters), createdBy],
+  );
+  return res.rows[0];
+};
+
+export const updateBroadcastSegment = async (id, { name, filters }) => {
+  const res = await query(
+    `UPDATE broadcast_segments SET name = $2, filters = $3, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, name, JSON.stringify(filters)],
+  );
+  return res.rows[0];
+};
+
+export const deleteBroadcastSegment = async (id) => {
+  const res = await query("DELETE FROM broadcast_segments WHERE id = $1", [id]);
+  return res.rowCount > 0;
+};
+
+// =============================================================================
+// 📐 ESTIMATE RULE SETS (VERSIONED PRICING RULES)
+// =============================================================================
+
+export const getActiveEstimateRuleSet = async (objectType) => {
+  const res = await query(
+    "SELECT * FROM estimate_rule_sets WHERE object_type = $1 AND is_active = TRUE LIMIT 1",
+    [objectType],
+  );
+  return res.rows[0];
+};
+
+export const getEstimateRuleSets = async (objectType = null) => {
+  const sql = `
+    SELECT r.*, u.first_name as author_name,
+      (SELECT COUNT(*) FROM orders o WHERE o.rule_set_id = r.id) as orders_count
+    FROM estimate_rule_sets r
+    LEFT JOIN users u ON r.created_by = u.telegram_id
+    WHERE ($1::varchar IS NULL OR r.object_type = $1)
+    ORDER BY r.object_type ASC, r.version DESC
+  `;
+  const res = await query(sql, [objectType]);
+  return res.rows;
+};
+
+/**
+ * Новая версия правил становится активной; предыдущая сохраняется в истории.
+ */
+export const createEstimateRuleSetVersion = async ({
+  objectType,
+  rules,
+  comment = null,
+  createdBy = null,
+}) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    // Сериализация публикаций по типу объекта (номер версии без гонок)
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `estimate_rules:${objectType}`,
+    ]);
+    const resVersion = await client.query(
+      "SELECT COALESCE(MAX(version), 0) + 1 as next FROM estimate_rule_sets WHERE object_type = $1",
+      [objectType],
+    );
+    await client.query(
+      "UPDATE estimate_rule_sets SET is_active = FALSE WHERE object_type = $1 AND is_active = TRUE",
+      [objectType],
+    );
+    const res = await client.query(
+      `INSERT INTO estimate_rule_sets (object_type, version, rules, is_active, comment, created_by, created_at)
+       VALUES ($1, $2, $3, TRUE, $4, $5, NOW()) RETURNING *`,
+      [objectType, resVersion.rows[0].next, rules, comment, createdBy],
+    );
+    await client.query("COMMIT");
+    return res.rows[0];
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка публикации правил сметы: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Откат: активирует выбранную (в т.ч. прошлую) версию правил.
+ */
+export const activateEstimateRuleSet = async (id) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const resTarget = await client.query(
+      "SELECT object_type FROM estimate_rule_sets WHERE id = $1",
+      [id],
+    );
+    if (resTarget.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    const { object_type: objectType } = resTarget.rows[0];
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `estimate_rules:${objectType}`,
+    ]);
+    await client.query(
+      "UPDATE estimate_rule_sets SET is_active = FALSE WHERE object_type = $1 AND is_active = TRUE",
+      [objectType],
+    );
+    const res = await client.query(
+      "UPDATE estimate_rule_sets SET is_active = TRUE WHERE id = $1 RETURNING *",
+      [id],
+    );
+    await client.query("COMMIT");
+    return res.rows[0];
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка активации правил сметы: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+// =============================================================================
+// 🧰 MATERIALS CATALOG (BOM COSTING)
+// =============================================================================
+
+export const getMaterials = async ({ includeInactive = false } = {}) => {
+  const sql = `
+    SELECT * FROM materials
+    WHERE ($1::boolean OR is_active = TRUE)
+    ORDER BY name ASC
+  `;
+  const res = await query(sql, [includeInactive]);
+  return res.rows;
+};
+
+export const getMaterialById = async (id) => {
+  const res = await query("SELECT * FROM materials WHERE id = $1", [id]);
+  return res.rows[0];
+};
+
+export const getMaterialsBySkus = async (skus) => {
+  if (!skus.length) return [];
+  const res = await query("SELECT * FROM materials WHERE sku = ANY($1)", [
+    skus,
+  ]);
+  return res.rows;
+};
+
+export const createMaterial = async ({
+  sku,
+  name,
+  unit,
+  purchasePrice,
+  sellPrice,
+  supplier = null,
+  minStock = 0,
+}) => {
+  try {
+    const res = await query(
+      `INSERT INTO materials (sku, name, unit, purchase_price, sell_price, supplier, min_stock)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [sku, name, unit, purchasePrice, sellPrice, supplier, minStock],
+    );
+    return res.rows[0];
+  } catch (error) {
+    if (error.code === "23505")
+      throw new Error(`Материал с артикулом ${sku} уже есть в каталоге`);
+    throw new Error(`Ошибка добавления материала: ${error.message}`);
+  }
+};
+
+/**
+ * Частичное обновление карточки (undefined-поля не трогаются). SKU неизменяем:
+ * на него ссылаются шаблон BOM и сохраненные спецификации заказов.
+ */
+export const updateMaterial = async (
+  id,
+  { name, unit, purchasePrice, sellPrice, supplier, isActive, minStock },
+) => {
+  const sql = `
+    UPDATE materials SET
+      name = COALESCE($2, name),
+      unit = COALESCE($3, unit),
+      purchase_price = COALESCE($4, purchase_price),
+      sell_price = COALESCE($5, sell_price),
+      supplier = COALESCE($6, supplier),
+      is_active = COALESCE($7, is_active),
+      min_stock = COALESCE($8, min_stock),
+      updated_at = NOW()
+    WHERE id = $1 RETURNING *
+  `;
+  const res = await query(sql, [
+    id,
+    name ?? null,
+    unit ?? null,
+    purchasePrice ?? null,
+    sellPrice ?? null,
+    supplier ?? null,
+    isActive ?? null,
+    minStock ?? null,
+  ]);
+  return res.rows[0];
+};
+
+// =============================================================================
+// 🏬 WAREHOUSE STOCK (LOCATIONS, MOVEMENTS, BALANCES)
+// =============================================================================
+
+export const getStockLocations = async () => {
+  const sql = `
+    SELECT l.*, b.name as brigade_name
+    FROM stock_locations l
+    LEFT JOIN brigades b ON l.brigade_id = b.id
+    WHERE l.is_active = TRUE
+    ORDER BY (l.type = 'warehouse') DESC, l.name ASC
+  `;
+  const res = await query(sql);
+  return res.rows;
+};
+
+export const getStockLocationById = async (id, client = null) => {
+  const runner = client || { query };
+  const res = await runner.query(
+    "SELECT * FROM stock_locations WHERE id = $1 AND is_active = TRUE",
+    [id],
+  );
+  return res.rows[0];
+};
+
+/**
+ * Локация "машина бригады" создается при первом обращении (имя — по бригаде).
+ */
+export const ensureBrigadeStockLocation = async (brigadeId) => {
+  const sql = `
+    INSERT INTO stock_locations (name, type, brigade_id)
+    SELECT '🚐 ' || name, 'brigade_van', id FROM brigades WHERE id = $1
+    ON CONFLICT (brigade_id) DO UPDATE SET is_active = TRUE
+    RETURNING *
+  `;
+  const res = await query(sql, [brigadeId]);
+  return res.rows[0];
+};
+
+export const getStockBalances = async ({ locationId = null } = {}) => {
+  const sql = `
+    SELECT sb.material_id, sb.location_id, sb.qty, sb.updated_at,
+           m.sku, m.name, m.unit, m.purchase_price, m.min_stock,
+           l.name as location_name, l.type as location_type
+    FROM stock_balances sb
+    JOIN materials m ON sb.material_id = m.id
+    JOIN stock_locations l ON sb.location_id = l.id
+    WHERE l.is_active = TRUE AND ($1::int IS NULL OR sb.location_id = $1)
+      AND sb.qty > 0
+    ORDER BY l.id ASC, m.name ASC
+  `;
+  const res = await query(sql, [locationId]);
+  return res.rows;
+};
+
+/**
+ * Остаток на складах (type = warehouse) в сравнении с порогом min_stock.
+ */
+export const getWarehouseStockLevels = async (materialIds = null) => {
+  const sql = `
+    SELECT m.id as material_id, m.sku, m.name, m.unit, m.min_stock,
+           COALESCE(SUM(sb.qty), 0) as qty
+    FROM materials m
+    LEFT JOIN stock_balances sb ON sb.material_id = m.id
+      AND sb.location_id IN (
+        SELECT id FROM stock_locations WHERE type = 'warehouse' AND is_active = TRUE
+      )
+    WHERE m.is_active = TRUE AND ($1::int[] IS NULL OR m.id = ANY($1))
+    GROUP BY m.id
+    ORDER BY m.name ASC
+  `;
+  const res = await query(sql, [materialIds]);
+  return res.rows;
+};
+
+export const getStockMovements = async ({
+  materialId = null,
+  orderId = null,
+  locationId = null,
+  limit = 100,
+} = {}) => {
+  const sql = `
+    SELECT sm.*, m.sku, m.name as material_name, m.unit,
+           lf.name as location_from_name, lt.name as location_to_name,
+           u.first_name as user_name
+    FROM stock_movements sm
+    JOIN materials m ON sm.material_id = m.id
+    LEFT JOIN stock_locations lf ON sm.location_from = lf.id
+    LEFT JOIN stock_locations lt ON sm.location_to = lt.id
+    LEFT JOIN users u ON sm.user_id = u.telegram_id
+    WHERE ($1::int IS NULL OR sm.material_id = $1)
+      AND ($2::int IS NULL OR sm.order_id = $2)
+      AND ($3::int IS NULL OR $3 IN (sm.location_from, sm.location_to))
+    ORDER BY sm.created_at DESC, sm.id DESC
+    LIMIT $4
+  `;
+  const res = await query(sql, [materialId, orderId, locationId, limit]);
+  return res.rows;
+};
+
+/**
+ * Запись движения (остатки пересчитывает триггер). Принимает client, чтобы
+ * выдача на объект и расход объекта фиксировались в одной транзакции.
+ */
+export const insertStockMovement = async (
+  {
+    materialId,
+    kind,
+    locationFrom = null,
+    locationTo = null,
+    qty,
+    unitCost = 0,
+    orderId = null,
+    userId = null,
+    comment = null,
+  },
+  client = null,
+) => {
+  const runner = client || { query };
+  const sql = `
+    INSERT INTO stock_movements
+      (material_id, kind, location_from, location_to, qty, unit_cost, order_id, user_id, comment, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+    RETURNING *
+  `;
+  try {
+    const res = await runner.query(sql, [
+      materialId,
+      kind,
+      locationFrom,
+      locationTo,
+      qty,
+      unitCost,
+      orderId,
+      userId,
+      comment,
+    ]);
+    return res.rows[0];
+  } catch (error) {
+    if (error.code === "23514" && error.table === "stock_balances")
+      throw new Error("Недостаточно остатка материала в выбранной локации");
+    throw new Error(`Ошибка записи движения склада: ${error.message}`);
+  }
+};
+
+/**
+ * Нетто-выдача материалов на объект: выдано минус возвращено (по материалу).
+ */
+export const getOrderMaterialIssues = async (orderId, client = null) => {
+  const runner = client || { query };
+  const sql = `
+    SELECT sm.material_id, m.sku, m.name, m.unit,
+           SUM(CASE WHEN sm.kind = 'issue' THEN sm.qty ELSE -sm.qty END) as qty,
+           SUM(CASE WHEN sm.kind = 'issue' THEN 1 ELSE -1 END * sm.qty * sm.unit_cost) as cost
+    FROM stock_movements sm
+    JOIN materials m ON sm.material_id = m.id
+    WHERE sm.order_id = $1 AND sm.kind IN ('issue', 'return')
+    GROUP BY sm.material_id, m.sku, m.name, m.unit
+    ORDER BY m.name ASC
+  `;
+  const res = await runner.query(sql, [orderId]);
+  return res.rows;
+};
+
+// =============================================================================
+// 🚚 PURCHASE ORDERS (SUPPLIER PROCUREMENT)
+// =============================================================================
+
+export const getPurchaseOrders = async ({ status = null } = {}) => {
+  const sql = `
+    SELECT po.*, u.first_name as created_by_name,
+           COUNT(l.id)::int as lines_count,
+           ARRAY_REMOVE(ARRAY_AGG(DISTINCT l.order_id), NULL) as order_ids
+    FROM purchase_orders po
+    LEFT JOIN purchase_order_lines l ON l.purchase_order_id = po.id
+    LEFT JOIN users u ON po.created_by = u.telegram_id
+    WHERE ($1::text IS NULL OR po.status = $1)
+    GROUP BY po.id, u.first_name
+    ORDER BY po.created_at DESC, po.id DESC
+    LIMIT 200
+  `;
+  const res = await query(sql, [status]);
+  return res.rows;
+};
+
+export const getPurchaseOrderById = async (id) => {
+  const res = await query("SELECT * FROM purchase_orders WHERE id = $1", [id]);
+  if (!res.rows[0]) return null;
+  const lines = await query(
+    "SELECT * FROM purchase_order_lines WHERE purchase_order_id = $1 ORDER BY name ASC, order_id ASC",
+    [id],
+  );
+  return { ...res.rows[0], lines: lines.rows };
+};
+
+/**
+ * Уже заказанное по объектам (все PO, кроме отмененных): ключ — order_id + SKU/имя.
+ */
+export const getOrderedPurchaseQty = async (orderIds) => {
+  const sql = `
+    SELECT l.order_id, COALESCE(l.sku, l.name) as line_key, SUM(l.qty) as qty
+    FROM purchase_order_lines l
+    JOIN purchase_orders po ON l.purchase_order_id = po.id
+    WHERE l.order_id = ANY($1) AND po.status <> 'cancelled'
+    GROUP BY l.order_id, COALESCE(l.sku, l.name)
+  `;
+  const res = await query(sql, [orderIds]);
+  return res.rows;
+};
+
+export const createPurchaseOrder = async ({
+  supplier,
+  lines,
+  comment = null,
+  createdBy = null,
+}) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const total = roundMoney(
+      lines.reduce((acc, l) => acc + l.qty * l.unitCost, 0),
+    );
+    const poRes = await client.query(
+      `INSERT INTO purchase_orders (supplier, status, total, comment, created_by, created_at, updated_at)
+       VALUES ($1, 'draft', $2, $3, $4, NOW(), NOW()) RETURNING *`,
+      [supplier, total, comment, createdBy],
+    );
+    const po = poRes.rows[0];
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO purchase_order_lines (purchase_order_id, order_id, material_id, sku, name, unit, qty, unit_cost)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          po.id,
+          line.orderId,
+          line.materialId,
+          line.sku,
+          line.name,
+          line.unit,
+          line.qty,
+          line.unitCost,
+        ],
+      );
+    }
+    await client.query("COMMIT");
+    return po;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка создания заказа поставщику: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Атомарная смена статуса PO: обновляется, только если текущий статус из fromStatuses
+ * (защита от двойной приемки). Возвращает строку или undefined.
+ */
+export const setPurchaseOrderStatus = async (
+  id,
+  fromStatuses,
+  toStatus,
+  { accountId = null, transactionId = null } = {},
+) => {
+  const sql = `
+    UPDATE purchase_orders SET
+      status = $3,
+      account_id = COALESCE($4, account_id),
+      transaction_id = COALESCE($5, transaction_id),
+      sent_at = CASE WHEN $3 = 'sent' THEN NOW() ELSE sent_at END,
+      received_at = CASE WHEN $3 = 'received' THEN NOW() ELSE received_at END,
+      updated_at = NOW()
+    WHERE id = $1 AND status = ANY($2)
+    RETURNING *
+  `;
+  const res = await query(sql, [
+    id,
+    fromStatuses,
+    toStatus,
+    accountId,
+    transactionId,
+  ]);
+  return res.rows[0];
+};
+
+/**
+ * Объекты из списка, по которым есть незакрытые PO (draft / sent).
+ */
+export const getOrdersWithOpenPurchases = async (orderIds) => {
+  const sql = `
+    SELECT DISTINCT l.order_id
+    FROM purchase_order_lines l
+    JOIN purchase_orders po ON l.purchase_order_id = po.id
+    WHERE l.order_id = ANY($1) AND po.status IN ('draft', 'sent')
+  `;
+  const res = await query(sql, [orderIds]);
+  return res.rows.map((row) => row.order_id);
+};
+
+// =============================================================================
+// 📅 APPOINTMENTS (SITE VISITS & WORK DAYS CALENDAR)
+// =============================================================================
+
+const APPOINTMENT_OVERLAP_MESSAGE =
+  "Бригада уже занята в это время. Выберите другой слот.";
+
+export const getAppointments = async ({
+  from,
+  to,
+  brigadeId = null,
+  orderId = null,
+  includeCancelled = false,
+} = {}) => {
+  const sql = `
+    SELECT a.*, b.name as brigade_name,
+           u.first_name as client_name, u.phone as client_phone,
+           o.status as order_status, o.details->>'address' as address
+    FROM appointments a
+    JOIN orders o ON a.order_id = o.id
+    LEFT JOIN users u ON o.user_id = u.telegram_id
+    LEFT JOIN brigades b ON a.brigade_id = b.id
+    WHERE ($1::timestamptz IS NULL OR a.ends_at > $1)
+      AND ($2::timestamptz IS NULL OR a.starts_at < $2)
+      AND ($3::int IS NULL OR a.brigade_id = $3 OR ($3 > 0 AND a.brigade_id IS NULL))
+      AND ($4::int IS NULL OR a.order_id = $4)
+      AND ($5::boolean OR a.status <> 'cancelled')
+    ORDER BY a.starts_at ASC
+  `;
+  const res = await query(sql, [
+    from || null,
+    to || null,
+    brigadeId,
+    orderId,
+    includeCancelled,
+  ]);
+  return res.rows;
+};
+
+export const getAppointmentById = async (id) => {
+  const res = await query("SELECT * FROM appointments WHERE id = $1", [id]);
+  return res.rows[0];
+};
+
+export const countActiveBrigades = async () => {
+  const res = await query(
+    "SELECT COUNT(*)::int as count FROM brigades WHERE is_active = TRUE",
+  );
+  return res.rows[0].count;
+};
+
+export const createAppointment = async ({
+  orderId,
+  brigadeId = null,
+  kind = "visit",
+  startsAt,
+  endsAt,
+  comment = null,
+  createdBy = null,
+}) => {
+  try {
+    const res = await query(
+      `INSERT INTO appointments (order_id, brigade_id, kind, starts_at, ends_at, comment, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [orderId, brigadeId, kind, startsAt, endsAt, comment, createdBy],
+    );
+    return res.rows[0];
+  } catch (error) {
+    if (error.code === "23P01") throw new Error(APPOINTMENT_OVERLAP_MESSAGE);
+    throw new Error(`Ошибка записи в календарь: ${error.message}`);
+  }
+};
+
+/**
+ * Запись клиента на замер: прошлый запланированный замер объекта отменяется.
+ * Для объекта без бригады (Биржа) слот ограничен числом активных бригад —
+ * проверка и вставка сериализуются advisory-блокировкой.
+ */
+export const bookVisitAppointment = async ({
+  orderId,
+  brigadeId = null,
+  startsAt,
+  endsAt,
+  capacity,
+  createdBy = null,
+}) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('appointments'))");
+
+    await client.query(
+      `UPDATE appointments SET status = 'cancelled', updated_at = NOW()
+       WHERE order_id = $1 AND kind = 'visit' AND status = 'scheduled'`,
+      [orderId],
+    );
+
+    if (!brigadeId) {
+      const busy = await client.query(
+        `SELECT COUNT(*)::int as count FROM appointments
+         WHERE status = 'scheduled' AND tstzrange(starts_at, ends_at) && tstzrange($1, $2)`,
+        [startsAt, endsAt],
+      );
+      if (busy.rows[0].count >= capacity)
+        throw new Error("Это время уже занято. Выберите другой слот.");
+    }
+
+    const res = await client.query(
+      `INSERT INTO appointments (order_id, brigade_id, kind, starts_at, ends_at, created_by)
+       VALUES ($1, $2, 'visit', $3, $4, $5) RETURNING *`,
+      [orderId, brigadeId, startsAt, endsAt, createdBy],
+    );
+    await client.query("COMMIT");
+    return res.rows[0];
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23P01") throw new Error(APPOINTMENT_OVERLAP_MESSAGE);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export const updateAppointment = async (
+  id,
+  { startsAt, endsAt, status, brigadeId, comment },
+) => {
+  const sql = `
+    UPDATE appointments SET
+      starts_at = COALESCE($2, starts_at),
+      ends_at = COALESCE($3, ends_at),
+      status = COALESCE($4, status),
+      brigade_id = CASE WHEN $5::boolean THEN $6 ELSE brigade_id END,
+      comment = COALESCE($7, comment),
+      reminder_sent_at = CASE WHEN $2::timestamptz IS NOT NULL THEN NULL ELSE reminder_sent_at END,
+      updated_at = NOW()
+    WHERE id = $1 RETURNING *
+  `;
+  try {
+    const res = await query(sql, [
+      id,
+      startsAt ?? null,
+      endsAt ?? null,
+      status ?? null,
+      brigadeId !== undefined,
+      brigadeId ?? null,
+      comment ?? null,
+    ]);
+    return res.rows[0];
+  } catch (error) {
+    if (error.code === "23P01") throw new Error(APPOINTMENT_OVERLAP_MESSAGE);
+    throw new Error(`Ошибка обновления записи: ${error.message}`);
+  }
+};
+
+/**
+ * Запланированные визиты в окне напоминания, по которым напоминание не отправлено.
+ */
+export const getDueAppointmentReminders = async (leadHours) => {
+  const sql = `
+    SELECT a.*, o.user_id as client_id, o.details->>'address' as address,
+           b.brigadier_id, b.name as brigade_name,
+           u.first_name as client_name, u.phone as client_phone,
+           u.language_code as client_language, bu.language_code as brigadier_language
+    FROM appointments a
+    JOIN orders o ON a.order_id = o.id
+    LEFT JOIN brigades b ON a.brigade_id = b.id
+    LEFT JOIN users u ON o.user_id = u.telegram_id
+    LEFT JOIN users bu ON b.brigadier_id = bu.telegram_id
+    WHERE a.status = 'scheduled' AND a.reminder_sent_at IS NULL
+      AND a.starts_at > NOW()
+      AND a.starts_at <= NOW() + make_interval(hours => $1)
+    ORDER BY a.starts_at ASC
+    LIMIT 100
+  `;
+  const res = await query(sql, [leadHours]);
+  return res.rows;
+};
+
+export const markAppointmentReminderSent = async (id) => {
+  await query(
+    "UPDATE appointments SET reminder_sent_at = NOW() WHERE id = $1",
+    [id],
+  );
+};
+
+// =============================================================================
+// 📦 ORDERS REPOSITORY (BUSINESS CORE & BRIGADE ASSIGNMENT)
+// =============================================================================
+
+export const createOrder = async (userId, data) => {
+  const sql = `
+    INSERT INTO orders (id, user_id, total_price, area, details, object_type, rule_set_id, status, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, 'new', NOW(), NOW())
+    RETURNING *
+  `;
+  const area =
+    data.area ||
+    (data.details && data.details.params ? data.details.params.area : 0);
+  const res = await query(sql, [
+    data.id,
+    userId,
+    data.price,
+    area,
+    data.details || {},
+    data.objectType || "apartment",
+    data.ruleSetId || null,
+  ]);
+  return res.rows[0];
+};
+
+export const getOrderById = async (orderId) => {
+  const sql = "SELECT * FROM orders WHERE id = $1";
+  const res = await query(sql, [orderId]);
+  return res.rows[0];
+};
+
+export const updateOrderStatus = async (orderId, status) => {
+  const sql =
+    "UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *";
+  const res = await query(sql, [status, orderId]);
+  return res.rows[0];
+};
+
+export const updateOrderDetails = async (orderId, details, totalPrice) => {
+  const sql = `UPDATE orders SET details = $1, total_price = $2, updated_at = NOW() WHERE id = $3 RETURNING *`;
+  const res = await query(sql, [details, totalPrice, orderId]);
+  return res.rows[0];
+};
+
+export const getUserOrders = async (userId, limit = 20) => {
+  const sql = `SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`;
+  const res = await query(sql, [userId, limit]);
+  return res.rows;
+};
+
+export const getAvailableNewOrders = async () => {
+  const sql = `SELECT * FROM orders WHERE status = 'new' ORDER BY created_at ASC`;
+  const res = await query(sql);
+  return res.rows;
+};
+
+export const getBrigadeOrders = async (brigadeId) => {
+  const sql = `SELECT * FROM orders WHERE brigade_id = $1 ORDER BY created_at DESC`;
+  const res = await query(sql, [brigadeId]);
+  return res.rows;
+};
+
+export const assignOrderToBrigade = async (orderId, brigadeId) => {
+  const sql = `UPDATE orders SET brigade_id = $1, status = 'work', updated_at = NOW() WHERE id = $2 AND status = 'new' RETURNING *`;
+  const res = await query(sql, [brigadeId, orderId]);
+  return res.rows[0];
+};
+
+export const getOrderExpenses = async (orderId) => {
+  const sql =
+    "SELECT * FROM object_expenses WHERE order_id = $1 ORDER BY created_at DESC";
+  const res = await query(sql, [orderId]);
+  return res.rows;
+};
+
+/**
+ * Зеркалирование графа переходов статусов (OrderService.ORDER_TRANSITIONS)
+ * в таблицу order_status_transitions, которую проверяет триггер БД.
+ */
+export const syncOrderStatusTransitions = async (graph) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM order_status_transitions");
+    for (const [fromStatus, targets] of Object.entries(graph)) {
+      for (const toStatus of targets) {
+        await client.query(
+          "INSERT INTO order_status_transitions (from_status, to_status) VALUES ($1, $2)",
+          [fromStatus, toStatus],
+        );
+      }
+    }
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка синхронизации графа статусов: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+// =============================================================================
+// 🧾 ORDER AUDIT LOG (APPEND-ONLY JOURNAL)
+// =============================================================================
+
+/**
+ * Запись события в журнал order_events.
+ * Принимает опциональный client, чтобы писать в рамках внешней транзакции.
+ */
+export const addOrderEvent = async (
+  { orderId, actorId = null, action, before = null, after = null, source },
+  client = null,
+) => {
+  const runner = client || { query };
+  const sql = `
+    INSERT INTO order_events (order_id, actor_id, action, before_data, after_data, source, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    RETURNING *
+  `;
+  const res = await runner.query(sql, [
+    orderId,
+    actorId,
+    action,
+    before,
+    after,
+    source || "system",
+  ]);
+  return res.rows[0];
+};
+
+export const getOrderEvents = async (orderId) => {
+  const sql = `
+    SELECT e.*, u.first_name as actor_name, u.role as actor_role
+    FROM order_events e
+    LEFT JOIN users u ON e.actor_id = u.telegram_id
+    WHERE e.order_id = $1
+    ORDER BY e.created_at ASC, e.id ASC
+  `;
   const res = await query(sql, [orderId]);
   return res.rows;
 };
@@ -272,6 +2026,12 @@ export const getBrigades = async () => {
   return res.rows;
 };
 
+export const getBrigadeById = async (brigadeId) => {
+  const sql = "SELECT * FROM brigades WHERE id = $1";
+  const res = await query(sql, [brigadeId]);
+  return res.rows[0];
+};
+
 export const getBrigadeByManagerId = async (telegramId) => {
   const sql = "SELECT * FROM brigades WHERE brigadier_id = $1 LIMIT 1";
   const res = await query(sql, [telegramId]);
@@ -284,13 +2044,167 @@ export const updateBrigade = async (brigadeId, profitPercentage, isActive) => {
   return res.rows[0];
 };
 
+// =============================================================================
+// 📒 DOUBLE-ENTRY LEDGER (JOURNAL)
+// =============================================================================
+
+// Номинальные счета журнала (не показываются в кассах)
+const SYSTEM_ACCOUNT_TYPES = ["revenue", "expense", "equity"];
+const HIDDEN_ACCOUNT_TYPES_SQL = "('brigade_acc', 'revenue', 'expense', 'equity')";
+
+const getSystemAccountId = async (client, type) => {
+  if (!SYSTEM_ACCOUNT_TYPES.includes(type))
+    throw new Error(`Неизвестный системный счет: ${type}`);
+  const res = await client.query(
+    "SELECT id FROM accounts WHERE type = $1 ORDER BY id ASC LIMIT 1",
+    [type],
+  );
+  if (!res.rows[0]) throw new Error(`Не найден системный счет '${type}'.`);
+  return res.rows[0].id;
+};
+
+/**
+ * Проводит сбалансированную проводку внутри открытой транзакции.
+ * Баланс счетов пересчитывается триггером из строк журнала, а итоговое
+ * равенство дебета и кредита дополнительно проверяется на COMMIT.
+ * @param {Object} client - Клиент БД с открытой транзакцией
+ * @param {Object} entry - { description, orderId, userId, kind, reversalOf, reason, lines: [{ accountId, debit, credit, category, comment }] }
+ * @returns {Promise<{entryId: number, lines: Array}>}
+ */
+const postJournalEntry = async (
+  client,
+  {
+    description,
+    orderId = null,
+    userId = null,
+    kind = "manual",
+    reversalOf = null,
+    reason = null,
+    lines = [],
+  },
+) => {
+  const normalized = lines.map((line) => ({
+    ...line,
+    debit: roundMoney(line.debit),
+    credit: roundMoney(line.credit),
+  }));
+
+  let totalDebit = 0;
+  let totalCredit = 0;
+  for (const line of normalized) {
+    if (!line.accountId) throw new Error("В проводке не указан счет.");
+    if (line.debit < 0 || line.credit < 0)
+      throw new Error("Суммы проводки не могут быть отрицательными.");
+    if (line.debit > 0 && line.credit > 0)
+      throw new Error("Строка проводки не может иметь и дебет, и кредит.");
+    totalDebit += line.debit;
+    totalCredit += line.credit;
+  }
+  totalDebit = roundMoney(totalDebit);
+  totalCredit = roundMoney(totalCredit);
+  if (totalDebit === 0 || totalDebit !== totalCredit)
+    throw new Error(
+      `Проводка не сбалансирована (дебет ${totalDebit} ≠ кредит ${totalCredit}).`,
+    );
+
+  const resEntry = await client.query(
+    "INSERT INTO journal_entries (description, order_id, user_id, kind, reversal_of, reason, created_at) VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING id",
+    [description, orderId, userId, kind, reversalOf, reason],
+  );
+  const entryId = resEntry.rows[0].id;
+
+  const posted = [];
+  for (const line of normalized) {
+    if (line.debit === 0 && line.credit === 0) continue;
+    // amount/type дублируются для совместимости с лентой операций
+    const res = await client.query(
+      `INSERT INTO transactions (entry_id, account_id, user_id, amount, type, category, comment, order_id, debit, credit, created_at)
+       SELECT $1, a.id, $3, ABS($4::numeric - $5::numeric),
+         CASE WHEN ledger_sign(a.type) * ($4::numeric - $5::numeric) >= 0 THEN 'income' ELSE 'expense' END,
+         $6, $7, $8, $4, $5, NOW()
+       FROM accounts a WHERE a.id = $2
+       RETURNING *`,
+      [
+        entryId,
+        line.accountId,
+        userId,
+        line.debit,
+        line.credit,
+        line.category || null,
+        line.comment || null,
+        orderId,
+      ],
+    );
+    if (!res.rows[0]) throw new Error(`Счет #${line.accountId} не найден.`);
+    posted.push(res.rows[0]);
+  }
+  return { entryId, lines: posted };
+};
+
+/**
+ * Оборотно-сальдовая ведомость: сверка кэша accounts.balance с журналом.
+ * @returns {Promise<Object>} { accounts, totals, unbalancedEntries, hasDrift }
+ */
+export const getTrialBalance = async () => {
+  const resAccounts = await query(`
+    SELECT a.id, a.name, a.type, a.user_id,
+      a.balance AS cached_balance,
+      COALESCE(SUM(t.debit), 0) AS total_debit,
+      COALESCE(SUM(t.credit), 0) AS total_credit,
+      ledger_sign(a.type) * (COALESCE(SUM(t.debit), 0) - COALESCE(SUM(t.credit), 0)) AS journal_balance
+    FROM accounts a
+    LEFT JOIN transactions t ON t.account_id = a.id AND t.entry_id IS NOT NULL
+    GROUP BY a.id
+    ORDER BY a.id ASC
+  `);
+
+  const accounts = resAccounts.rows.map((row) => {
+    const drift = roundMoney(
+      parseFloat(row.cached_balance) - parseFloat(row.journal_balance),
+    );
+    return { ...row, drift, has_drift: Math.abs(drift) >= 0.01 };
+  });
+
+  const resUnbalanced = await query(`
+    SELECT e.id, e.description, e.order_id, e.created_at,
+      COALESCE(SUM(t.debit), 0) AS total_debit,
+      COALESCE(SUM(t.credit), 0) AS total_credit
+    FROM journal_entries e
+    LEFT JOIN transactions t ON t.entry_id = e.id
+    GROUP BY e.id
+    HAVING COALESCE(SUM(t.debit), 0) <> COALESCE(SUM(t.credit), 0)
+    ORDER BY e.id DESC
+  `);
+
+  const totalDebit = roundMoney(
+    accounts.reduce((sum, a) => sum + parseFloat(a.total_debit), 0),
+  );
+  const totalCredit = roundMoney(
+    accounts.reduce((sum, a) => sum + parseFloat(a.total_credit), 0),
+  );
+
+  return {
+    accounts,
+    totals: {
+      debit: totalDebit,
+      credit: totalCredit,
+      balanced: totalDebit === totalCredit,
+    },
+    unbalancedEntries: resUnbalanced.rows,
+    hasDrift:
+      accounts.some((a) => a.has_drift) ||
+      resUnbalanced.rows.length > 0 ||
+      totalDebit !== totalCredit,
+  };
+};
+
 // =============================================================================
 // 💸 CORPORATE FINANCE REPOSITORY (GLOBAL CASHBOX)
 // =============================================================================
 
 export const getAccounts = async () => {
   let res = await query(
-    "SELECT * FROM accounts WHERE type != 'brigade_acc' ORDER BY id ASC",
+    `SELECT * FROM accounts WHERE type NOT IN ${HIDDEN_ACCOUNT_TYPES_SQL} ORDER BY id ASC`,
   );
   if (res.rows.length === 0) {
     await query(
@@ -300,7 +2214,7 @@ export const getAccounts = async () => {
       `INSERT INTO accounts (name, type, balance, created_at, updated_at) VALUES ('Расчетный счет (Безнал)', 'card', 0, NOW(), NOW())`,
     );
     res = await query(
-      "SELECT * FROM accounts WHERE type != 'brigade_acc' ORDER BY id ASC",
+      `SELECT * FROM accounts WHERE type NOT IN ${HIDDEN_ACCOUNT_TYPES_SQL} ORDER BY id ASC`,
     );
   }
   return res.rows;
@@ -312,7 +2226,7 @@ export const getCompanyTransactions = async (limit = 100) => {
     FROM transactions t
     LEFT JOIN accounts a ON t.account_id = a.id
     LEFT JOIN users u ON t.user_id = u.telegram_id
-    WHERE a.type != 'brigade_acc'
+    WHERE a.type NOT IN ${HIDDEN_ACCOUNT_TYPES_SQL}
     ORDER BY t.created_at DESC LIMIT $1
   `;
   const res = await query(sql, [limit]);
@@ -330,23 +2244,37 @@ export const addCompanyTransaction = async ({
   const client = await getClient();
   try {
     await client.query("BEGIN");
-    const sqlTx = `INSERT INTO transactions (account_id, user_id, amount, type, category, comment, created_at) VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *`;
-    const resTx = await client.query(sqlTx, [
-      accountId,
-      userId,
-      amount,
-      type,
-      category,
-      comment,
-    ]);
-
-    const operator = type === "income" ? "+" : "-";
-    await client.query(
-      `UPDATE accounts SET balance = balance ${operator} $1, updated_at = NOW() WHERE id = $2`,
-      [amount, accountId],
+    const value = roundMoney(amount);
+    const isIncome = type === "income";
+    const counterAccountId = await getSystemAccountId(
+      client,
+      isIncome ? "revenue" : "expense",
     );
+
+    // Приход: Дт Касса / Кт Доходы. Расход: Дт Расходы / Кт Касса
+    const { lines } = await postJournalEntry(client, {
+      description: comment || category || (isIncome ? "Приход" : "Расход"),
+      userId,
+      kind: "manual",
+      lines: [
+        {
+          accountId,
+          debit: isIncome ? value : 0,
+          credit: isIncome ? 0 : value,
+          category,
+          comment,
+        },
+        {
+          accountId: counterAccountId,
+          debit: isIncome ? 0 : value,
+          credit: isIncome ? value : 0,
+          category,
+          comment,
+        },
+      ],
+    });
     await client.query("COMMIT");
-    return resTx.rows[0];
+    return lines[0];
   } catch (error) {
     await client.query("ROLLBACK");
     throw new Error(`Ошибка проведения транзакции: ${error.message}`);
@@ -361,16 +2289,19 @@ export const addOrderExpense = async (orderId, amount, category, comment) => {
   return res.rows[0];
 };
 
-export const finalizeOrderAndDistributeProfit = async (orderId) => {
+export const finalizeOrderAndDistributeProfit = async (
+  orderId,
+  { actorId = null, source = "system" } = {},
+) => {
   const client = await getClient();
   try {
     await client.query("BEGIN");
 
-    const sqlOrder = `SELECT o.total_price, o.brigade_id, b.profit_percentage, b.brigadier_id, b.name as brigade_name FROM orders o JOIN brigades b ON o.brigade_id = b.id WHERE o.id = $1 AND o.status = 'work'`;
+    const sqlOrder = `SELECT o.status, o.total_price, o.brigade_id, b.profit_percentage, b.brigadier_id, b.name as brigade_name FROM orders o JOIN brigades b ON o.brigade_id = b.id WHERE o.id = $1 AND o.status IN ('work', 'payment') FOR UPDATE OF o`;
     const resOrder = await client.query(sqlOrder, [orderId]);
     if (resOrder.rows.length === 0)
       throw new Error(
-        "Заказ не найден, не привязан к бригаде или не в статусе 'work'",
+        "Заказ не найден, не привязан к бригаде или не в статусе 'work'/'payment'",
       );
     const order = resOrder.rows[0];
 
@@ -379,16 +2310,29 @@ export const finalizeOrderAndDistributeProfit = async (orderId) => {
       [orderId],
     );
     const totalExpenses = parseFloat(resExp.rows[0].total_expenses);
-    const netProfit = parseFloat(order.total_price) - totalExpenses;
+
+    // Прибыль считается только от фактически собранных оплат клиента:
+    // объект с остатком к оплате не закрывается (оплату фиксируют заранее)
+    const { collected, companyHeld } = await getOrderPaymentTotals(
+      orderId,
+      client,
+    );
+    const outstanding = roundMoney(parseFloat(order.total_price) - collected);
+    if (outstanding > 0)
+      throw new Error(
+        `Остаток к оплате ${outstanding} ₸. Сначала зафиксируйте оплату клиента.`,
+      );
+    const netProfit = roundMoney(collected - totalExpenses);
 
     if (netProfit <= 0)
       throw new Error(
         "Чистая прибыль отрицательная. Авто-распределение невозможно.",
       );
 
-    const brigadeShare =
-      netProfit * (parseFloat(order.profit_percentage) / 100);
-    const ownerShare = netProfit - brigadeShare;
+    const brigadeShare = roundMoney(
+      netProfit * (parseFloat(order.profit_percentage) / 100),
+    );
+    const ownerShare = roundMoney(netProfit - brigadeShare);
 
     const resBrigadeAcc = await client.query(
       "SELECT id FROM accounts WHERE user_id = $1 AND type = 'brigade_acc' LIMIT 1",
@@ -396,47 +2340,559 @@ export const finalizeOrderAndDistributeProfit = async (orderId) => {
     );
     const brigadeAccountId = resBrigadeAcc.rows[0]?.id;
     if (!brigadeAccountId) throw new Error("Не найден системный счет бригады.");
+    const revenueAccountId = await getSystemAccountId(client, "revenue");
+
+    // Наличные от клиента остаются у бригады: Дт Бригада (долг Шефу) на
+    // прибыль за вычетом оплат, уже поступивших в кассу фирмы (они признаны
+    // доходом при приеме), Кт Бригада на ее долю, Кт Доходы на остаток доли фирмы.
+    const brigadeHeld = roundMoney(netProfit - companyHeld);
+    const ownerRemainder = roundMoney(ownerShare - companyHeld);
+    await postJournalEntry(client, {
+      description: `Распределение прибыли по объекту #${orderId}`,
+      orderId,
+      userId: order.brigadier_id,
+      kind: "profit_split",
+      lines: [
+        {
+          accountId: brigadeAccountId,
+          credit: brigadeShare,
+          category: "Заработок",
+          comment: `Доля ${order.profit_percentage}% за объект #${orderId}`,
+        },
+        brigadeHeld >= 0
+          ? {
+              accountId: brigadeAccountId,
+              debit: brigadeHeld,
+              category: "Удержание",
+              comment: `Наличные средства от клиента остались у вас (Долг Шефу)`,
+            }
+          : {
+              accountId: brigadeAccountId,
+              credit: -brigadeHeld,
+              category: "Доплата бригаде",
+              comment: `Оплата клиента поступила в кассу фирмы`,
+            },
+        {
+          accountId: revenueAccountId,
+          debit: ownerRemainder < 0 ? -ownerRemainder : 0,
+          credit: ownerRemainder > 0 ? ownerRemainder : 0,
+          category: "Доля фирмы",
+          comment: `Доля фирмы за объект #${orderId}`,
+        },
+      ],
+    });
 
+    // Пропуск для триггера стейт-машины: 'done' только через финализацию
     await client.query(
-      "UPDATE accounts SET balance = balance + $1 - $2, updated_at = NOW() WHERE id = $3",
-      [brigadeShare, netProfit, brigadeAccountId],
+      "SELECT set_config('proelectric.transition_via', 'finalize', true)",
     );
-
     await client.query(
-      "INSERT INTO transactions (account_id, user_id, amount, type, category, comment, order_id, created_at) VALUES ($1, $2, $3, 'income', 'Заработок', $4, $5, NOW())",
-      [
-        brigadeAccountId,
-        order.brigadier_id,
-        brigadeShare,
-        `Доля ${order.profit_percentage}% за объект #${orderId}`,
+      "UPDATE orders SET status = 'done', updated_at = NOW() WHERE id = $1",
+      [orderId],
+    );
+    await addOrderEvent(
+      {
         orderId,
-      ],
+        actorId,
+        action: "finalized",
+        before: { status: order.status },
+        after: {
+          status: "done",
+          collected,
+          netProfit,
+          brigadeShare,
+          ownerShare,
+        },
+        source,
+      },
+      client,
+    );
+    await client.query("COMMIT");
+    // ownerDue — на сколько вырос долг бригады Шефу (может быть < 0)
+    return {
+      collected,
+      netProfit,
+      brigadeShare,
+      ownerShare,
+      ownerDue: ownerRemainder,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка распределения прибыли: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Сторно финализации: компенсирующие проводки по счету бригады и доле фирмы,
+ * возврат заказа в 'work' (пропуск триггера via = 'storno') и запись причины.
+ * Заказы, закрытые до перехода на двойную запись, сторнируются по legacy-строкам
+ * против счета капитала (см. buildLegacyStornoLines).
+ * Прибыль и доли в событии сторно — из события финализации (legacy — по строкам).
+ */
+export const reverseOrderFinalization = async (
+  orderId,
+  { actorId = null, source = "system", reason } = {},
+) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+
+    const resOrder = await client.query(
+      "SELECT id, status FROM orders WHERE id = $1 AND status = 'done' FOR UPDATE",
+      [orderId],
+    );
+    if (resOrder.rows.length === 0)
+      throw new Error("Заказ не найден или не в статусе 'done'.");
+
+    const resEntries = await client.query(
+      `SELECT e.id, e.user_id FROM journal_entries e
+       WHERE e.order_id = $1 AND e.kind = 'profit_split'
+         AND NOT EXISTS (SELECT 1 FROM journal_entries r WHERE r.reversal_of = e.id)
+       ORDER BY e.id ASC`,
+      [orderId],
+    );
+
+    const reversedEntries = [];
+    let brigadeShare = 0;
+    let netProfit = 0;
+
+    for (const entry of resEntries.rows) {
+      const resLines = await client.query(
+        "SELECT account_id, debit, credit, category FROM transactions WHERE entry_id = $1 ORDER BY id ASC",
+        [entry.id],
+      );
+      for (const line of resLines.rows) {
+        if (line.category === "Заработок")
+          brigadeShare += parseFloat(line.credit);
+        if (line.category === "Удержание")
+          netProfit += parseFloat(line.debit);
+      }
+
+      // Зеркальная проводка: дебет и кредит меняются местами
+      const { entryId } = await postJournalEntry(client, {
+        description: `Сторно распределения прибыли по объекту #${orderId}`,
+        orderId,
+        userId: entry.user_id,
+        kind: "storno",
+        reversalOf: entry.id,
+        reason,
+        lines: resLines.rows.map((line) => ({
+          accountId: line.account_id,
+          debit: line.credit,
+          credit: line.debit,
+          category: "Сторно",
+          comment: `Сторно «${line.category}» по объекту #${orderId}: ${reason}`,
+        })),
+      });
+      reversedEntries.push({ entryId: entry.id, stornoEntryId: entryId });
+    }
+
+    if (reversedEntries.length === 0) {
+      // Legacy: объект закрыт прямыми изменениями баланса (без проводок)
+      const resStorno = await client.query(
+        "SELECT 1 FROM journal_entries WHERE order_id = $1 AND kind = 'storno' LIMIT 1",
+        [orderId],
+      );
+      const resLegacy = await client.query(
+        `SELECT account_id, user_id, category, amount FROM transactions
+         WHERE order_id = $1 AND entry_id IS NULL AND category IN ('Заработок', 'Удержание')`,
+        [orderId],
+      );
+      if (resStorno.rows.length > 0 || resLegacy.rows.length === 0)
+        throw new Error("Не найдены проводки распределения прибыли по объекту.");
+
+      const legacy = resLegacy.rows;
+      brigadeShare = legacy
+        .filter((row) => row.category === "Заработок")
+        .reduce((sum, row) => sum + parseFloat(row.amount), 0);
+      netProfit = legacy
+        .filter((row) => row.category === "Удержание")
+        .reduce((sum, row) => sum + parseFloat(row.amount), 0);
+      const equityAccountId = await getSystemAccountId(client, "equity");
+
+      const { entryId } = await postJournalEntry(client, {
+        description: `Сторно распределения прибыли по объекту #${orderId} (legacy)`,
+        orderId,
+        userId: legacy[0].user_id,
+        kind: "storno",
+        reason,
+        lines: buildLegacyStornoLines({
+          orderId,
+          brigadeAccountId: legacy[0].account_id,
+          equityAccountId,
+          brigadeShare,
+          netProfit,
+          reason,
+        }),
+      });
+      reversedEntries.push({ entryId: null, stornoEntryId: entryId });
+    }
+
+    brigadeShare = roundMoney(brigadeShare);
+    netProfit = roundMoney(netProfit);
+    let ownerShare = roundMoney(netProfit - brigadeShare);
+
+    // «Удержание» содержит прибыль за вычетом оплат в кассу фирмы — суммы
+    // распределения берутся из события финализации, которое сторнируется
+    const resFinalized = await client.query(
+      `SELECT after_data FROM order_events
+       WHERE order_id = $1 AND action = 'finalized'
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [orderId],
+    );
+    const finalized = resFinalized.rows[0]?.after_data;
+    if (finalized?.netProfit !== undefined) {
+      netProfit = roundMoney(finalized.netProfit);
+      brigadeShare = roundMoney(finalized.brigadeShare);
+      ownerShare = roundMoney(finalized.ownerShare);
+    }
+
+    // Пропуск для триггера стейт-машины: done -> work только сторнированием
+    await client.query(
+      "SELECT set_config('proelectric.transition_via', 'storno', true)",
     );
     await client.query(
-      "INSERT INTO transactions (account_id, user_id, amount, type, category, comment, order_id, created_at) VALUES ($1, $2, $3, 'expense', 'Удержание', $4, $5, NOW())",
+      "UPDATE orders SET status = 'work', updated_at = NOW() WHERE id = $1",
+      [orderId],
+    );
+    await addOrderEvent(
+      {
+        orderId,
+        actorId,
+        action: "reversed",
+        before: { status: "done", netProfit, brigadeShare, ownerShare },
+        after: {
+          status: "work",
+          reason,
+          entries: reversedEntries.map((e) => e.stornoEntryId),
+        },
+        source,
+      },
+      client,
+    );
+    await client.query("COMMIT");
+    return { netProfit, brigadeShare, ownerShare, entries: reversedEntries };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка сторнирования: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+// =============================================================================
+// 💳 ORDER PAYMENTS (ОПЛАТЫ КЛИЕНТОВ)
+// =============================================================================
+
+const COMPANY_ACCOUNT_TYPES = ["cash", "card"];
+
+export const getOrderPayments = async (orderId) => {
+  const sql = `
+    SELECT p.*, a.name as account_name, u.first_name as received_by_name
+    FROM order_payments p
+    LEFT JOIN accounts a ON p.account_id = a.id
+    LEFT JOIN users u ON p.received_by = u.telegram_id
+    WHERE p.order_id = $1
+    ORDER BY p.received_at ASC, p.id ASC
+  `;
+  const res = await query(sql, [orderId]);
+  return res.rows;
+};
+
+/**
+ * Собрано по объекту: всего и в кассе компании (остальное — на руках у бригады).
+ */
+export const getOrderPaymentTotals = async (orderId, client = null) => {
+  const runner = client || { query };
+  const res = await runner.query(
+    `SELECT COALESCE(SUM(amount), 0) as collected,
+            COALESCE(SUM(amount) FILTER (WHERE account_id IS NOT NULL), 0) as company_held,
+            COUNT(*)::int as count
+     FROM order_payments WHERE order_id = $1`,
+    [orderId],
+  );
+  const row = res.rows[0];
+  return {
+    collected: roundMoney(row.collected),
+    companyHeld: roundMoney(row.company_held),
+    count: row.count,
+  };
+};
+
+/**
+ * Прием оплаты: сумма не больше остатка к оплате (заказ блокируется FOR UPDATE).
+ * Платеж в кассу компании сразу проводится: Дт Касса / Кт Доходы.
+ * invoiceId — оплата по счету провайдера: счет закрывается в той же
+ * транзакции (повторный webhook не создаст второй платеж). Деньги уже
+ * получены, поэтому зачисляется не больше остатка, а переплата оставляет
+ * счет на ручной сверке ('review'). null — остатка нет, платеж не создан.
+ */
+export const addOrderPayment = async (
+  {
+    orderId,
+    amount,
+    method,
+    kind,
+    accountId = null,
+    receivedBy = null,
+    receivedAt = null,
+    comment = null,
+    invoiceId = null,
+  },
+  { actorId = null, source = "system" } = {},
+) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const resOrder = await client.query(
+      "SELECT id, status, total_price FROM orders WHERE id = $1 FOR UPDATE",
+      [orderId],
+    );
+    const order = resOrder.rows[0];
+    if (!order) throw new Error("Заказ не найден.");
+    if (["done", "cancel", "archived"].includes(order.status))
+      throw new Error("Объект закрыт: прием оплаты невозможен.");
+
+    const received = roundMoney(amount);
+    const { collected } = await getOrderPaymentTotals(orderId, client);
+    const outstanding = roundMoney(parseFloat(order.total_price) - collected);
+    let value = received;
+    if (invoiceId) {
+      value = roundMoney(Math.max(Math.min(received, outstanding), 0));
+      const excess = roundMoney(received - value);
+      const reviewReason =
+        excess > 0 ? `Переплата ${excess} ₸ сверх остатка к оплате` : null;
+      const resInvoice = await client.query(
+        `UPDATE payment_invoices
+         SET status = CASE WHEN $3::text IS NULL THEN 'paid' ELSE 'review' END,
+             paid_amount = $4, review_reason = $3, paid_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND order_id = $2 AND status = 'pending' RETURNING id`,
+        [invoiceId, orderId, reviewReason, received],
+      );
+      if (resInvoice.rowCount === 0)
+        throw new Error("Счет уже оплачен или отменен.");
+      if (reviewReason)
+        await addOrderEvent(
+          {
+            orderId,
+            actorId,
+            action: "invoice_payment_review",
+            after: { invoiceId, amount: received, reason: reviewReason },
+            source,
+          },
+          client,
+        );
+      if (value === 0) {
+        await client.query("COMMIT");
+        return null;
+      }
+    } else if (value > outstanding) {
+      throw new Error(`Сумма превышает остаток к оплате (${outstanding} ₸).`);
+    }
+
+    let entryId = null;
+    if (accountId) {
+      const resAcc = await client.query(
+        "SELECT id, type FROM accounts WHERE id = $1",
+        [accountId],
+      );
+      if (!COMPANY_ACCOUNT_TYPES.includes(resAcc.rows[0]?.type))
+        throw new Error("Касса компании не найдена.");
+      const revenueAccountId = await getSystemAccountId(client, "revenue");
+      ({ entryId } = await postJournalEntry(client, {
+        description: `Оплата клиента по объекту #${orderId}`,
+        orderId,
+        userId: receivedBy,
+        kind: "client_payment",
+        lines: [
+          {
+            accountId,
+            debit: value,
+            category: "Оплата клиента",
+            comment,
+          },
+          {
+            accountId: revenueAccountId,
+            credit: value,
+            category: "Оплата клиента",
+            comment,
+          },
+        ],
+      }));
+    }
+
+    const res = await client.query(
+      `INSERT INTO order_payments (order_id, amount, method, kind, account_id, entry_id, received_by, received_at, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), $9) RETURNING *`,
       [
-        brigadeAccountId,
-        order.brigadier_id,
-        netProfit,
-        `Наличные средства от клиента остались у вас (Долг Шефу)`,
         orderId,
+        value,
+        method,
+        kind,
+        accountId,
+        entryId,
+        receivedBy,
+        receivedAt,
+        comment,
       ],
     );
+    const payment = res.rows[0];
+    if (invoiceId)
+      await client.query(
+        "UPDATE payment_invoices SET payment_id = $1 WHERE id = $2",
+        [payment.id, invoiceId],
+      );
+
+    await addOrderEvent(
+      {
+        orderId,
+        actorId,
+        action: "payment_received",
+        before: { collected },
+        after: {
+          collected: roundMoney(collected + value),
+          payment: { id: payment.id, amount: value, method, kind, invoiceId },
+        },
+        source,
+      },
+      client,
+    );
+    await client.query("COMMIT");
+    return payment;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка приема оплаты: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+// =============================================================================
+// 🧾 PAYMENT INVOICES (СЧЕТА ОНЛАЙН-ОПЛАТЫ)
+// =============================================================================
 
+/**
+ * Новый счет по объекту. Прежние неоплаченные счета отменяются — у клиента
+ * всегда одна актуальная ссылка/QR.
+ */
+export const createPaymentInvoice = async ({
+  orderId,
+  provider,
+  amount,
+  createdBy = null,
+  expiresAt = null,
+}) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
     await client.query(
-      "UPDATE orders SET status = 'done', updated_at = NOW() WHERE id = $1",
+      `UPDATE payment_invoices SET status = 'cancelled', updated_at = NOW()
+       WHERE order_id = $1 AND status = 'pending'`,
       [orderId],
     );
+    const res = await client.query(
+      `INSERT INTO payment_invoices (order_id, provider, amount, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [orderId, provider, roundMoney(amount), createdBy, expiresAt],
+    );
     await client.query("COMMIT");
-    return { netProfit, brigadeShare, ownerShare };
+    return res.rows[0];
   } catch (error) {
     await client.query("ROLLBACK");
-    throw new Error(`Ошибка распределения прибыли: ${error.message}`);
+    throw new Error(`Ошибка создания счета: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Данные, выданные провайдером (идентификатор, ссылка, QR).
+ */
+export const attachPaymentInvoiceProvider = async (
+  invoiceId,
+  { externalId, paymentUrl, qrPayload, expiresAt = null },
+) => {
+  const res = await query(
+    `UPDATE payment_invoices
+     SET external_id = $2, payment_url = $3, qr_payload = $4,
+         expires_at = COALESCE($5, expires_at), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [invoiceId, externalId, paymentUrl, qrPayload, expiresAt],
+  );
+  return res.rows[0] || null;
+};
+
+export const setPaymentInvoiceStatus = async (invoiceId, status) => {
+  const res = await query(
+    `UPDATE payment_invoices SET status = $2, updated_at = NOW()
+     WHERE id = $1 AND status = 'pending' RETURNING *`,
+    [invoiceId, status],
+  );
+  return res.rows[0] || null;
+};
+
+/**
+ * Оплата пришла, но зачислить ее автоматически нельзя (счет отменен или
+ * просрочен, объект закрыт, сумма не совпала). Счет ждет ручной сверки,
+ * в истории объекта остается событие. null — счет уже оплачен или на сверке.
+ */
+export const flagPaymentInvoiceForReview = async (
+  invoiceId,
+  { amount, reason },
+) => {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+    const res = await client.query(
+      `UPDATE payment_invoices
+       SET status = 'review', paid_amount = $2, review_reason = $3,
+           paid_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status NOT IN ('paid', 'review') RETURNING *`,
+      [invoiceId, roundMoney(amount), reason],
+    );
+    const invoice = res.rows[0] || null;
+    if (invoice)
+      await addOrderEvent(
+        {
+          orderId: invoice.order_id,
+          action: "invoice_payment_review",
+          after: {
+            invoiceId: invoice.id,
+            amount: roundMoney(amount),
+            reason,
+          },
+          source: "api",
+        },
+        client,
+      );
+    await client.query("COMMIT");
+    return invoice;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`Ошибка пометки счета к сверке: ${error.message}`);
   } finally {
     client.release();
   }
 };
 
+export const getPaymentInvoiceByExternalId = async (provider, externalId) => {
+  const res = await query(
+    "SELECT * FROM payment_invoices WHERE provider = $1 AND external_id = $2",
+    [provider, externalId],
+  );
+  return res.rows[0] || null;
+};
+
+export const getOrderPaymentInvoices = async (orderId) => {
+  const res = await query(
+    "SELECT * FROM payment_invoices WHERE order_id = $1 ORDER BY id DESC",
+    [orderId],
+  );
+  return res.rows;
+};
+
 export const processIncassation = async (
   brigadierId,
   amount,
@@ -454,23 +2910,27 @@ export const processIncassation = async (
     if (!brigadeAccountId || !ownerAccountId)
       throw new Error("Счет бригады или счет Владельца не найден.");
 
-    await client.query(
-      "UPDATE accounts SET balance = balance + $1, updated_at = NOW() WHERE id = $2",
-      [amount, brigadeAccountId],
-    );
-    await client.query(
-      "INSERT INTO transactions (account_id, user_id, amount, type, category, comment, created_at) VALUES ($1, $2, $3, 'income', 'Инкассация', 'Передача выручки Шефу', NOW())",
-      [brigadeAccountId, brigadierId, amount],
-    );
-
-    await client.query(
-      "UPDATE accounts SET balance = balance + $1, updated_at = NOW() WHERE id = $2",
-      [amount, ownerAccountId],
-    );
-    await client.query(
-      "INSERT INTO transactions (account_id, user_id, amount, type, category, comment, created_at) VALUES ($1, $2, $3, 'income', 'Инкассация', 'Получение выручки от бригады', NOW())",
-      [ownerAccountId, brigadierId, amount],
-    );
+    // Дт Касса Шефа / Кт Счет бригады (долг бригады уменьшается)
+    const value = roundMoney(amount);
+    await postJournalEntry(client, {
+      description: "Инкассация выручки от бригады",
+      userId: brigadierId,
+      kind: "incassation",
+      lines: [
+        {
+          accountId: brigadeAccountId,
+          credit: value,
+          category: "Инкассация",
+          comment: "Передача выручки Шефу",
+        },
+        {
+          accountId: ownerAccountId,
+          debit: value,
+          category: "Инкассация",
+          comment: "Получение выручки от бригады",
+        },
+      ],
+    });
 
     await client.query("COMMIT");
     return true;
@@ -753,3 +3213,74 @@ export const getBrigadesAnalytics = async (
       row.current_balance < 0 ? Math.abs(parseFloat(row.current_balance)) : 0,
   }));
 };
+
+// =============================================================================
+// 📤 EXPORT (STREAMING CURSORS FOR XLSX / CSV)
+// =============================================================================
+
+/**
+ * Построчное чтение больших выборок серверным курсором (без загрузки всего в память).
+ * Курсор живет в отдельной READ ONLY транзакции на выделенном клиенте пула.
+ */
+export async function* streamRows(sql, params = [], batchSize = 500) {
+  const client = await getClient();
+  let completed = false;
+  try {
+    await client.query("BEGIN READ ONLY");
+    await client.query(
+      `DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`,
+      params,
+    );
+
+    while (true) {
+      const { rows } = await client.query(
+        `FETCH ${batchSize} FROM export_cursor`,
+      );
+      if (rows.length === 0) break;
+      yield* rows;
+    }
+
+    await client.query("COMMIT");
+    completed = true;
+  } catch (error) {
+    throw new Error(`Ошибка потоковой выгрузки: ${error.message}`);
+  } finally {
+    // Ошибка или прерванная выгрузка (клиент закрыл соединение) — откат курсора
+    if (!completed) await client.query("ROLLBACK").catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Выгрузка проводок кассы (строки журнала) с фильтром по датам и счету.
+ */
+export const streamCompanyTransactions = ({
+  startDate = null,
+  endDate = null,
+  accountId = null,
+} = {}) => {
+  let sql = `
+    SELECT t.id, t.created_at, t.entry_id, a.name as account_name, t.type,
+           t.amount, t.debit, t.credit, t.category, t.comment,
+           u.first_name as user_name
+    FROM transactions t
+    LEFT JOIN accounts a ON t.account_id = a.id
+    LEFT JOIN users u ON t.user_id = u.telegram_id
+    WHERE a.type NOT IN ${HIDDEN_ACCOUNT_TYPES_SQL}
+  `;
+  const params = [];
+  if (startDate) {
+    params.push(startDate);
+    sql += ` AND t.created_at >= $${params.length}`;
+  }
+  if (endDate) {
+    params.push(endDate);
+    sql += ` AND t.created_at <= $${params.length}::date + interval '1 day' - interval '1 second'`;
+  }
+  if (accountId) {
+    params.push(accountId);
+    sql += ` AND t.account_id = $${params.length}`;
+  }
+  sql += ` ORDER BY t.created_at DESC, t.id DESC`;
+  return streamRows(sql, params);
+};
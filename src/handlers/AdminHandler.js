@@ -5,6 +5,11 @@
  * Включает FSM для ввода метаданных заказа и инструменты DevOps (SQL, Backup).
  * ИСПРАВЛЕНИЕ: Жесткое отсечение роли MANAGER (Бригадиров) от Админ-панели (Zero-Trust).
  * ДОБАВЛЕНО: Инлайн-кнопки блокировки и активации бригад (без сокращения старого кода).
+ * ИСПРАВЛЕНО: Смена статусов через стейт-машину OrderService ('done' — только финализацией).
+ * ДОБАВЛЕНО: Сторно финализированного объекта из карточки (только Владелец, с причиной).
+ * ДОБАВЛЕНО: Локализация панели (ru/kk/en); уведомления бригадирам — на их языке.
+ * ДОБАВЛЕНО: Кнопки, команды и inline-действия проверяют права роли (PermissionService).
+ * ДОБАВЛЕНО: «Выйти везде» для сотрудника из списка персонала (SessionService).
  *
  * @module AdminHandler
  * @version 10.5.2 (Senior Architect Edition - Strict RBAC & Cash Flow)
@@ -12,7 +17,16 @@
 
 import { Markup } from "telegraf";
 import { UserService } from "../services/UserService.js";
-import { OrderService } from "../services/OrderService.js";
+import { PermissionService } from "../services/PermissionService.js";
+import { SessionService } from "../services/SessionService.js";
+import {
+  OrderService,
+  ORDER_STATUS,
+  OrderTransitionError,
+  OBJECT_TYPE_NAMES,
+} from "../services/OrderService.js";
+import { I18nService } from "../services/I18nService.js";
+import { UserHandler } from "./UserHandler.js";
 import * as db from "../database/index.js";
 import { getSocketIO } from "../bot.js"; // Интеграция с WebSockets
 import os from "os";
@@ -21,163 +35,257 @@ import os from "os";
 // 🔧 INTERNAL CONSTANTS & CONFIGURATION
 // =============================================================================
 
-const ROLES = Object.freeze({
-  OWNER: "owner",
-  ADMIN: "admin",
-  MANAGER: "manager",
-  USER: "user",
-  BANNED: "banned",
+// Ключи каталога локализации (подписи кнопок на языке пользователя)
+const BUTTONS = Object.freeze({
+  DASHBOARD: "buttons.dashboard",
+  ORDERS: "buttons.registry",
+  BRIGADES: "buttons.brigades",
+  SETTINGS: "buttons.priceSettings",
+  STAFF: "buttons.staff",
+  SQL_CONSOLE: "buttons.sqlConsole",
+  BACKUP: "buttons.backup",
+  SERVER_STATS: "buttons.serverStats",
+  BACK: "buttons.toMainMenu",
 });
 
-const BUTTONS = Object.freeze({
-  DASHBOARD: "📊 Финансовый Отчет",
-  ORDERS: "📦 Реестр объектов",
-  BRIGADES: "🏗 Управление Бригадами",
-  SETTINGS: "⚙️ Настройки цен",
-  STAFF: "👥 Персонал",
-  SQL_CONSOLE: "👨‍💻 SQL Терминал",
-  BACKUP: "💾 Дамп базы",
-  SERVER_STATS: "🖥 Статус сервера",
-  BACK: "🔙 В главное меню",
+// Право, без которого кнопка панели скрыта и не обрабатывается
+const BUTTON_PERMISSIONS = Object.freeze({
+  [BUTTONS.DASHBOARD]: "finance.view",
+  [BUTTONS.ORDERS]: "orders.view_all",
+  [BUTTONS.BRIGADES]: "brigades.manage",
+  [BUTTONS.SETTINGS]: "settings.view",
+  [BUTTONS.STAFF]: "users.view",
+  [BUTTONS.SQL_CONSOLE]: "system.console",
+  [BUTTONS.BACKUP]: "system.console",
+  [BUTTONS.SERVER_STATS]: "system.console",
+});
+
+const MENU_LAYOUT = [
+  [BUTTONS.DASHBOARD, BUTTONS.ORDERS],
+  [BUTTONS.BRIGADES, BUTTONS.SETTINGS],
+  [BUTTONS.STAFF],
+  [BUTTONS.SQL_CONSOLE, BUTTONS.BACKUP],
+  [BUTTONS.SERVER_STATS],
+];
+
+// Текстовые команды панели и требуемые права
+const COMMAND_PERMISSIONS = Object.freeze({
+  "/addbrigade": "brigades.manage",
+  "/sql": "system.console",
+  "/setprice": "settings.edit_prices",
+  "/setrole": "users.manage_roles",
+  "/order": "orders.view_all",
+});
+
+const STAFF_ICONS = Object.freeze({
+  owner: "👑",
+  admin: "🛡",
+  manager: "👷‍♂️",
+  accountant: "🧾",
+  dispatcher: "🎧",
 });
 
 export const ADMIN_STATES = Object.freeze({
   IDLE: "IDLE",
   WAIT_ADDRESS: "WAIT_ADDRESS",
   WAIT_COMMENT: "WAIT_COMMENT",
+  WAIT_STORNO_REASON: "WAIT_STORNO_REASON",
 });
 
-const WALL_NAMES = Object.freeze({
-  wall_gas: "Газоблок / ГКЛ",
-  wall_brick: "Кирпич",
-  wall_concrete: "Бетон / Монолит",
-});
+/**
+ * Проверка права для команды или inline-кнопки. Без права — отказ
+ * (alert для callback) и false.
+ */
+const ensurePermission = async (ctx, permission) => {
+  const role = await UserService.getUserRole(ctx.from.id);
+  if (await PermissionService.can(role, permission)) return true;
+  const message = ctx.t("admin.permissionDenied");
+  if (ctx.callbackQuery)
+    await ctx.answerCbQuery(message, { show_alert: true }).catch(() => {});
+  else await ctx.reply(message);
+  return false;
+};
+
+// Сообщение бригадиру на его языке интерфейса
+const sendLocalized = async (telegram, chatId, key, params = {}) => {
+  const lang = await UserService.getUserLanguage(chatId);
+  const values = typeof params === "function" ? params(lang) : params;
+  return telegram.sendMessage(chatId, I18nService.t(lang, key, values), {
+    parse_mode: "HTML",
+  });
+};
 
 // =============================================================================
 // 🎹 KEYBOARDS FACTORY
 // =============================================================================
 
 const AdminKeyboards = {
-  mainMenu: (role) => {
-    const buttons = [
-      [BUTTONS.DASHBOARD, BUTTONS.ORDERS],
-      [BUTTONS.BRIGADES, BUTTONS.SETTINGS],
-      [BUTTONS.STAFF],
-    ];
-
-    if (role === ROLES.OWNER) {
-      buttons.push([BUTTONS.SQL_CONSOLE, BUTTONS.BACKUP]);
-      buttons.push([BUTTONS.SERVER_STATS]);
-    }
-
-    buttons.push([BUTTONS.BACK]);
+  mainMenu: (permissions, lang) => {
+    const label = (key) => I18nService.t(lang, key);
+    const buttons = MENU_LAYOUT.map((row) =>
+      row
+        .filter((key) => permissions.includes(BUTTON_PERMISSIONS[key]))
+        .map(label),
+    ).filter((row) => row.length > 0);
+
+    buttons.push([label(BUTTONS.BACK)]);
     return Markup.keyboard(buttons).resize();
   },
 
-  orderControl: (orderId, status) => {
+  orderControl: (orderId, status, permissions, lang) => {
+    const t = (key) => I18nService.t(lang, key);
+    const can = (permission) => permissions.includes(permission);
     const actions = [];
 
     // FSM Статусов заказа (Стейт-машина)
     switch (status) {
       case "new":
       case "draft":
-        actions.push([
-          Markup.button.callback(
-            "👷 Взять в расчет/замер",
-            `status_${orderId}_processing`,
-          ),
-        ]);
-        actions.push([
-          Markup.button.callback(
-            "❌ Отклонить (Отказ)",
-            `prompt_cancel_${orderId}`,
-          ),
-        ]);
+        if (can("orders.edit"))
+          actions.push([
+            Markup.button.callback(
+              t("admin.takeToMeasureButton"),
+              `status_${orderId}_processing`,
+            ),
+          ]);
+        if (can("orders.cancel"))
+          actions.push([
+            Markup.button.callback(
+              t("admin.rejectButton"),
+              `prompt_cancel_${orderId}`,
+            ),
+          ]);
         break;
       case "processing":
-        actions.push([
-          Markup.button.callback("🛠 Начать монтаж", `status_${orderId}_work`),
-        ]);
-        actions.push([
-          Markup.button.callback(
-            "❌ Отклонить (Отказ)",
-            `prompt_cancel_${orderId}`,
-          ),
-        ]);
-        actions.push([
-          Markup.button.callback("↩️ Вернуть в новые", `status_${orderId}_new`),
-        ]);
+        if (can("orders.edit"))
+          actions.push([
+            Markup.button.callback(
+              t("admin.startWorkButton"),
+              `status_${orderId}_work`,
+            ),
+          ]);
+        if (can("orders.cancel")) {
+          actions.push([
+            Markup.button.callback(
+              t("admin.rejectButton"),
+              `prompt_cancel_${orderId}`,
+            ),
+          ]);
+          actions.push([
+            Markup.button.callback(
+              t("admin.backToNewButton"),
+              `status_${orderId}_new`,
+            ),
+          ]);
+        }
         break;
       case "work":
-        actions.push([
-          Markup.button.callback(
-            "✅ Завершить объект",
-            `status_${orderId}_done`,
-          ),
-        ]);
+        if (can("orders.finalize"))
+          actions.push([
+            Markup.button.callback(
+              t("admin.finishButton"),
+              `status_${orderId}_done`,
+            ),
+          ]);
+        break;
+      case "done":
+        if (can("orders.storno")) {
+          actions.push([
+            Markup.button.callback(
+              t("admin.stornoButton"),
+              `prompt_storno_${orderId}`,
+            ),
+          ]);
+        }
         break;
     }
 
-    if (!["cancel", "archived", "done"].includes(status)) {
+    if (
+      !["cancel", "archived", "done"].includes(status) &&
+      can("orders.edit")
+    ) {
       actions.push([
-        Markup.button.callback("📍 Указать адрес", `prompt_address_${orderId}`),
         Markup.button.callback(
-          "📝 Заметка (Внутр.)",
+          t("admin.addressButton"),
+          `prompt_address_${orderId}`,
+        ),
+        Markup.button.callback(
+          t("admin.noteButton"),
           `prompt_comment_${orderId}`,
         ),
       ]);
     }
 
     actions.push([
-      Markup.button.callback("🔄 Обновить данные", `refresh_order_${orderId}`),
+      Markup.button.callback(
+        t("admin.refreshButton"),
+        `refresh_order_${orderId}`,
+      ),
     ]);
 
     return Markup.inlineKeyboard(actions);
   },
 
-  cancelReasonControl: (orderId) => {
+  cancelReasonControl: (orderId, lang) => {
+    const t = (key) => I18nService.t(lang, key);
     return Markup.inlineKeyboard([
       [
         Markup.button.callback(
-          "👤 Отказ по инициативе клиента",
+          t("admin.cancelByClientButton"),
           `cancel_reason_${orderId}_client`,
         ),
       ],
       [
         Markup.button.callback(
-          "🏢 Отказ фирмы (нет мастеров/далеко)",
+          t("admin.cancelByFirmButton"),
           `cancel_reason_${orderId}_firm`,
         ),
       ],
       [
         Markup.button.callback(
-          "🔙 Назад к объекту",
+          t("admin.backToOrderButton"),
           `refresh_order_${orderId}`,
         ),
       ],
     ]);
   },
 
-  refresh: Markup.inlineKeyboard([
-    [
-      Markup.button.callback(
-        "🔄 Синхронизировать БД",
-        "admin_refresh_dashboard",
-      ),
-    ],
-  ]),
+  refresh: (lang) =>
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(
+          I18nService.t(lang, "admin.syncButton"),
+          "admin_refresh_dashboard",
+        ),
+      ],
+    ]),
+
+  // «Выйти везде» — по кнопке на сотрудника (кроме себя)
+  staffSessions: (staff, selfId, lang) =>
+    Markup.inlineKeyboard(
+      staff
+        .filter((u) => String(u.telegram_id) !== String(selfId))
+        .map((u) => [
+          Markup.button.callback(
+            I18nService.t(lang, "admin.logoutEverywhereButton", {
+              name: u.first_name || u.telegram_id,
+            }),
+            `logout_all_${u.telegram_id}`,
+          ),
+        ]),
+    ),
 
   // 🔥 НОВОЕ: Инлайн-кнопки управления доступом бригады
-  brigadeControl: (brigadeId, isActive) =>
+  brigadeControl: (brigadeId, isActive, lang) =>
     Markup.inlineKeyboard([
       [
         isActive
           ? Markup.button.callback(
-              "🚫 Заблокировать доступ",
+              I18nService.t(lang, "admin.blockButton"),
               `toggle_brigade_${brigadeId}_false`,
             )
           : Markup.button.callback(
-              "✅ Активировать доступ",
+              I18nService.t(lang, "admin.activateButton"),
               `toggle_brigade_${brigadeId}_true`,
             ),
       ],
@@ -196,27 +304,25 @@ export const AdminHandler = {
     try {
       const userId = ctx.from.id;
       const role = await UserService.getUserRole(userId);
+      const permissions = await PermissionService.getPermissions(role);
 
-      // ИСПРАВЛЕНИЕ: Жестко отсекаем менеджеров (Бригадиров) от Админ-панели
-      if (![ROLES.OWNER, ROLES.ADMIN].includes(role)) {
-        return ctx.reply(
-          "⛔ <b>Доступ запрещен.</b> Раздел доступен только Руководству.\n<i>Если вы Бригадир, используйте кнопку «👷 Панель Бригадира» в главном меню.</i>",
-          { parse_mode: "HTML" },
-        );
+      // Панель — только ролям с правом bot.admin_panel (бригадиры — в своей панели)
+      if (!permissions.includes("bot.admin_panel")) {
+        return ctx.reply(ctx.t("admin.accessDenied"), { parse_mode: "HTML" });
       }
 
       if (ctx.session) ctx.session.adminState = ADMIN_STATES.IDLE;
 
       await ctx.replyWithHTML(
-        `💼 <b>ProElectric ERP Terminal</b>\n` +
-          `👤 Пользователь: <b>${ctx.from.first_name}</b>\n` +
-          `🔑 Уровень доступа: <code>${role.toUpperCase()}</code>\n\n` +
-          `Выберите директорию для управления системой:`,
-        AdminKeyboards.mainMenu(role),
+        ctx.t("admin.menu", {
+          name: ctx.from.first_name,
+          role: role.toUpperCase(),
+        }),
+        AdminKeyboards.mainMenu(permissions, ctx.lang),
       );
     } catch (e) {
       console.error("[AdminHandler] Init Error:", e);
-      ctx.reply("⚠️ Критическая ошибка инициализации панели управления.");
+      ctx.reply(ctx.t("admin.menuFailed"));
     }
   },
 
@@ -226,18 +332,20 @@ export const AdminHandler = {
 
     const userId = ctx.from.id;
     const role = await UserService.getUserRole(userId);
+    const permissions = await PermissionService.getPermissions(role);
 
-    // ИСПРАВЛЕНИЕ: Менеджеры не могут отправлять текстовые команды админа
-    if (![ROLES.OWNER, ROLES.ADMIN].includes(role)) return;
+    // ИСПРАВЛЕНИЕ: Без права на панель текстовые команды админа не принимаются
+    if (!permissions.includes("bot.admin_panel")) return;
 
     const state = ctx.session?.adminState || ADMIN_STATES.IDLE;
 
-    // Глобальная отмена действий
-    if (text === BUTTONS.BACK || text.toLowerCase() === "отмена") {
+    // Глобальная отмена действий ("Отмена" на любом языке интерфейса)
+    const isCancel = I18nService.isCancelWord(text);
+    if (I18nService.matches(text, BUTTONS.BACK) || isCancel) {
       if (state !== ADMIN_STATES.IDLE) {
         ctx.session.adminState = ADMIN_STATES.IDLE;
-        await ctx.reply("❌ Процесс прерван.");
-        if (text.toLowerCase() === "отмена") return;
+        await ctx.reply(ctx.t("admin.processAborted"));
+        if (isCancel) return;
       }
     }
 
@@ -246,9 +354,21 @@ export const AdminHandler = {
       return this.processAddressInput(ctx);
     if (state === ADMIN_STATES.WAIT_COMMENT)
       return this.processCommentInput(ctx);
+    if (state === ADMIN_STATES.WAIT_STORNO_REASON)
+      return this.processStornoReason(ctx);
 
     // Маршрутизация по кнопкам
-    switch (text) {
+    const button = Object.values(BUTTONS).find((key) =>
+      I18nService.matches(text, key),
+    );
+    const command = Object.keys(COMMAND_PERMISSIONS).find((name) =>
+      text.startsWith(name),
+    );
+    const required = BUTTON_PERMISSIONS[button] || COMMAND_PERMISSIONS[command];
+    if (required && !permissions.includes(required))
+      return ctx.reply(ctx.t("admin.permissionDenied"));
+
+    switch (button) {
       case BUTTONS.DASHBOARD:
         return this.showDashboard(ctx);
       case BUTTONS.ORDERS:
@@ -259,33 +379,19 @@ export const AdminHandler = {
         return this.showSettings(ctx);
       case BUTTONS.STAFF:
         return this.showStaffList(ctx);
+      case BUTTONS.SQL_CONSOLE:
+        return this.showSQLInstruction(ctx);
+      case BUTTONS.BACKUP:
+        return this.processBackup(ctx);
+      case BUTTONS.SERVER_STATS:
+        return this.showServerStats(ctx);
       case BUTTONS.BACK:
-        return ctx.reply(
-          "🏠 Главное меню",
-          Markup.keyboard([
-            ["🚀 Рассчитать стоимость"],
-            ["📂 Мои заявки", "💰 Прайс-лист"],
-            ["📞 Контакты", "ℹ️ Как мы работаем"],
-            ["👑 Админ-панель", "🔑 Доступ в Web CRM"],
-            ["👷 Панель Бригадира"],
-          ]).resize(),
-        );
-    }
-
-    // Owner / Admin Exclusive Routes
-    if ([ROLES.OWNER, ROLES.ADMIN].includes(role)) {
-      if (text.startsWith("/addbrigade")) return this.processAddBrigade(ctx);
-    }
-
-    // Owner Exclusive Routes
-    if (role === ROLES.OWNER) {
-      if (text === BUTTONS.SQL_CONSOLE) return this.showSQLInstruction(ctx);
-      if (text === BUTTONS.BACKUP) return this.processBackup(ctx);
-      if (text === BUTTONS.SERVER_STATS) return this.showServerStats(ctx);
-      if (text.startsWith("/sql")) return this.processSQL(ctx);
+        return UserHandler.returnToMainMenu(ctx);
     }
 
-    // Текстовые команды
+    // Текстовые команды (права проверены выше по COMMAND_PERMISSIONS)
+    if (text.startsWith("/addbrigade")) return this.processAddBrigade(ctx);
+    if (text.startsWith("/sql")) return this.processSQL(ctx);
     if (text.startsWith("/setprice")) return this.processSetPrice(ctx);
     if (text.startsWith("/setrole")) return this.processSetRole(ctx);
     if (text.startsWith("/order")) return this.findOrder(ctx);
@@ -295,11 +401,11 @@ export const AdminHandler = {
    * 2. 📊 ERP ДАШБОРД (NET PROFIT CALCULUS v9.1)
    */
   async showDashboard(ctx) {
+    if (ctx.callbackQuery && !(await ensurePermission(ctx, "finance.view")))
+      return;
     let loadingMsgId;
     if (!ctx.callbackQuery) {
-      const loading = await ctx.reply(
-        "⏳ Агрегация финансовых данных из базы...",
-      );
+      const loading = await ctx.reply(ctx.t("admin.aggregating"));
       loadingMsgId = loading.message_id;
     }
 
@@ -332,25 +438,21 @@ export const AdminHandler = {
           ? ((data.done_count / data.total_count) * 100).toFixed(1)
           : 0;
 
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
-
-      const report =
-        `📊 <b>СВОДКА PROELECTRIC (Real-Time)</b>\n` +
-        `➖➖➖➖➖➖➖➖➖➖\n` +
-        `💵 Оборот (Выручка): <b>${fmt(gross)} ₸</b>\n` +
-        `📉 Сумма расходов: <b style="color:red">${fmt(expenses)} ₸</b>\n` +
-        `💎 <b>ЧИСТАЯ ПРИБЫЛЬ: ${fmt(net)} ₸</b>\n` +
-        `➖➖➖➖➖➖➖➖➖➖\n` +
-        `📈 <b>Бизнес Метрики:</b>\n` +
-        `• Маржинальность: <b>${margin}%</b>\n` +
-        `• Конверсия (Win Rate): <b>${conversion}%</b>\n` +
-        `• Всего лидов в системе: <b>${data.total_count}</b>\n\n` +
-        `📂 <b>Пайплайн объектов:</b>\n` +
-        `🆕 Новые: ${data.new_count}\n` +
-        `👨‍🔧 На замере: ${data.processing_count}\n` +
-        `🛠 На монтаже: ${data.work_count}\n` +
-        `✅ Завершены: ${data.done_count}\n` +
-        `❌ Отказы: ${data.cancel_count}`;
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
+
+      const report = ctx.t("admin.dashboard", {
+        gross: fmt(gross),
+        expenses: fmt(expenses),
+        net: fmt(net),
+        margin,
+        conversion,
+        total: data.total_count,
+        new: data.new_count,
+        processing: data.processing_count,
+        work: data.work_count,
+        done: data.done_count,
+        cancel: data.cancel_count,
+      });
 
       if (ctx.callbackQuery) {
         try {
@@ -361,21 +463,21 @@ export const AdminHandler = {
             report,
             {
               parse_mode: "HTML",
-              reply_markup: AdminKeyboards.refresh.reply_markup,
+              reply_markup: AdminKeyboards.refresh(ctx.lang).reply_markup,
             },
           );
-          await ctx.answerCbQuery("✅ Данные синхронизированы");
+          await ctx.answerCbQuery(ctx.t("admin.synced"));
         } catch (editError) {
           if (
             editError.description &&
             editError.description.includes("message is not modified")
           ) {
-            await ctx.answerCbQuery("🔄 Данные актуальны (изменений нет)", {
+            await ctx.answerCbQuery(ctx.t("admin.upToDate"), {
               show_alert: false,
             });
           } else {
             console.error(editError);
-            await ctx.answerCbQuery("❌ Ошибка обновления интерфейса");
+            await ctx.answerCbQuery(ctx.t("admin.uiUpdateFailed"));
           }
         }
       } else {
@@ -386,20 +488,20 @@ export const AdminHandler = {
           report,
           {
             parse_mode: "HTML",
-            reply_markup: AdminKeyboards.refresh.reply_markup,
+            reply_markup: AdminKeyboards.refresh(ctx.lang).reply_markup,
           },
         );
       }
     } catch (e) {
       console.error(e);
       if (ctx.callbackQuery) {
-        await ctx.answerCbQuery("❌ Ошибка БД");
+        await ctx.answerCbQuery(ctx.t("admin.dbError"));
       } else {
         await ctx.telegram.editMessageText(
           ctx.chat.id,
           loadingMsgId,
           null,
-          "❌ Ошибка формирования P&L отчета.",
+          ctx.t("admin.reportFailed"),
         );
       }
     }
@@ -409,16 +511,11 @@ export const AdminHandler = {
    * 3. 📦 УПРАВЛЕНИЕ ЗАКАЗАМИ (ERP INTEGRATION)
    */
   async showOrdersInstruction(ctx) {
-    await ctx.replyWithHTML(
-      `📦 <b>РЕЕСТР ОБЪЕКТОВ</b>\n\n` +
-        `Для управления объектом введите команду <code>/order ID</code>.\n` +
-        `<i>Пример: /order 15</i>\n\n` +
-        `Карточка заказа содержит полную финансовую аналитику, смету и спецификацию материалов (BOM). ` +
-        `Для добавления чеков и расходов используйте Web CRM.`,
-    );
+    await ctx.replyWithHTML(ctx.t("admin.ordersInstruction"));
   },
 
   async findOrder(ctx) {
+    if (!(await ensurePermission(ctx, "orders.view_all"))) return;
     const text = ctx.message?.text || ctx.callbackQuery?.data;
     let orderId;
 
@@ -429,7 +526,7 @@ export const AdminHandler = {
     }
 
     if (!orderId || isNaN(orderId)) {
-      return ctx.reply("⚠️ Укажите валидный числовой ID. Пример: /order 15");
+      return ctx.reply(ctx.t("admin.invalidOrderId"));
     }
 
     try {
@@ -443,7 +540,7 @@ export const AdminHandler = {
       );
 
       if (res.rows.length === 0)
-        return ctx.reply(`❌ Объект #${orderId} не найден в БД.`);
+        return ctx.reply(ctx.t("admin.orderNotFound", { id: orderId }));
 
       const order = res.rows[0];
       const details = order.details || {};
@@ -456,74 +553,92 @@ export const AdminHandler = {
         expenses: [],
       };
 
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
-      const wallName =
-        WALL_NAMES[params.wallType] || params.wallType || "Не указано";
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
+      const wallName = I18nService.has(`walls.${params.wallType}`)
+        ? ctx.t(`walls.${params.wallType}`)
+        : params.wallType || ctx.t("admin.notSpecifiedWall");
       const statusEmoji = {
         new: "🆕",
         processing: "⏳",
         work: "🛠",
+        material: "📦",
         done: "✅",
         cancel: "❌",
       };
 
       const addressLine = details.address
-        ? `\n📍 <b>Локация:</b> ${details.address}`
-        : `\n📍 <b>Локация:</b> <i>Не указана</i>`;
+        ? ctx.t("admin.locationLine", { address: details.address })
+        : ctx.t("admin.locationMissing");
       const commentLine = details.comment
-        ? `\n📝 <b>Заметка:</b> <i>${details.comment}</i>`
+        ? ctx.t("admin.noteLine", { comment: details.comment })
         : ``;
 
       let cancelLine = ``;
       if (order.status === "cancel") {
         const reasonStr =
           details.cancel_reason === "client"
-            ? "Инициатива клиента"
+            ? ctx.t("admin.cancelReasonClient")
             : details.cancel_reason === "firm"
-              ? "Отказ фирмы"
-              : "Причина не указана";
-        cancelLine = `\n⚠️ <b>Отказ:</b> ${reasonStr}\n`;
+              ? ctx.t("admin.cancelReasonFirm")
+              : ctx.t("admin.cancelReasonUnknown");
+        cancelLine = ctx.t("admin.cancelLine", { reason: reasonStr });
       }
 
       const bomCount = details.bom?.length || 0;
       const bomIndicator =
-        bomCount > 0 ? `\n📦 <i>BOM Спецификация: ${bomCount} поз.</i>` : "";
+        bomCount > 0 ? ctx.t("admin.bomIndicator", { count: bomCount }) : "";
 
       const areaInfo = order.area || params.area || 0;
+      const objectTypeName = OBJECT_TYPE_NAMES[order.object_type]
+        ? ctx.t(`objectTypes.${order.object_type}`)
+        : order.object_type || "—";
+      const ruleSetVersion = details.ruleSet?.version
+        ? `v${details.ruleSet.version}`
+        : ctx.t("admin.beforeVersioning");
+      const permissions = await PermissionService.getPermissions(
+        await UserService.getUserRole(ctx.from.id),
+      );
 
       const brigadeLine = order.brigade_name
-        ? `\n👷‍♂️ <b>Бригада:</b> ${order.brigade_name}`
-        : `\n👷‍♂️ <b>Бригада:</b> <i>Свободный объект (Биржа)</i>`;
-
-      const info =
-        `🏢 <b>ОБЪЕКТ #${order.id}</b>\n` +
-        `Статус: <b>${statusEmoji[order.status] || "❓"} ${order.status.toUpperCase()}</b>\n` +
-        `Создан: ${new Date(order.created_at).toLocaleString("ru-RU")}\n` +
-        cancelLine +
-        `\n👤 <b>Заказчик:</b>\n` +
-        `Имя: ${order.first_name}\n` +
-        `Тел: <code>${order.phone || "Не указан"}</code>\n` +
-        `Telegram: @${order.username || "Нет"}\n` +
-        addressLine +
-        commentLine +
-        `\n\n` +
-        `🏗 <b>Технические данные:</b>\n` +
-        `Площадь: ${areaInfo} м² | Комнат: ${params.rooms || 0}\n` +
-        `Стены: ${wallName}` +
-        brigadeLine +
-        bomIndicator +
-        `\n\n` +
-        `💸 <b>Финансовый контроллер:</b>\n` +
-        `Итого клиенту: <b>${fmt(financials.final_price)} ₸</b>\n` +
-        `Затраты фирмы: <b>${fmt(financials.total_expenses)} ₸</b> <i>(Чеков: ${financials.expenses?.length || 0})</i>\n` +
-        `<b>ЧИСТАЯ ПРИБЫЛЬ: ${fmt(financials.net_profit)} ₸</b>`;
+        ? ctx.t("admin.brigadeLine", { name: order.brigade_name })
+        : ctx.t("admin.brigadeFree");
+
+      const info = ctx.t("admin.orderCard", {
+        id: order.id,
+        statusEmoji: statusEmoji[order.status] || "❓",
+        status: order.status.toUpperCase(),
+        created: new Date(order.created_at).toLocaleString(
+          I18nService.getLocaleTag(ctx.lang),
+        ),
+        cancelLine,
+        name: order.first_name,
+        phone: order.phone || ctx.t("common.notSpecified"),
+        username: order.username || ctx.t("common.none"),
+        addressLine,
+        commentLine,
+        objectType: objectTypeName,
+        ruleSet: ruleSetVersion,
+        area: areaInfo,
+        rooms: params.rooms || 0,
+        wall: wallName,
+        brigadeLine,
+        bomLine: bomIndicator,
+        finalPrice: fmt(financials.final_price),
+        expenses: fmt(financials.total_expenses),
+        receipts: financials.expenses?.length || 0,
+        net: fmt(financials.net_profit),
+      });
 
       if (ctx.callbackQuery) {
         try {
           await ctx.editMessageText(info, {
             parse_mode: "HTML",
-            reply_markup: AdminKeyboards.orderControl(order.id, order.status)
-              .reply_markup,
+            reply_markup: AdminKeyboards.orderControl(
+              order.id,
+              order.status,
+              permissions,
+              ctx.lang,
+            ).reply_markup,
           });
           await ctx.answerCbQuery();
         } catch (e) {
@@ -531,51 +646,87 @@ export const AdminHandler = {
             e.description &&
             e.description.includes("message is not modified")
           ) {
-            await ctx.answerCbQuery("🔄 Данные объекта актуальны");
+            await ctx.answerCbQuery(ctx.t("admin.orderUpToDate"));
           }
         }
       } else {
         await ctx.replyWithHTML(
           info,
-          AdminKeyboards.orderControl(order.id, order.status),
+          AdminKeyboards.orderControl(
+            order.id,
+            order.status,
+            permissions,
+            ctx.lang,
+          ),
         );
       }
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка извлечения данных объекта.");
+      ctx.reply(ctx.t("admin.orderLoadFailed"));
     }
   },
 
   async handleOrderStatusChange(ctx, orderId, newStatus) {
+    const permission =
+      newStatus === ORDER_STATUS.DONE
+        ? "orders.finalize"
+        : [ORDER_STATUS.NEW, ORDER_STATUS.CANCELED].includes(newStatus)
+          ? "orders.cancel"
+          : "orders.edit";
+    if (!(await ensurePermission(ctx, permission))) return;
     try {
-      await db.query(
-        `UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2`,
-        [newStatus, orderId],
-      );
+      // Статус 'done' ставится только финализацией (расчет долей бригады)
+      if (newStatus === ORDER_STATUS.DONE) {
+        const result = await OrderService.finalizeOrderAndDistributeProfit(
+          orderId,
+          { id: ctx.from.id, source: "bot" },
+        );
+        const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
 
-      const io = getSocketIO();
-      if (io) {
-        io.emit("order_updated", { orderId, status: newStatus });
-      }
+        const io = getSocketIO();
+        if (io) io.emit("order_updated", { orderId, status: newStatus });
 
-      await ctx.answerCbQuery(
-        `✅ Статус изменен на: ${newStatus.toUpperCase()}`,
-      );
+        await ctx.answerCbQuery(
+          ctx.t("admin.finalized", {
+            brigadeShare: fmt(result.brigadeShare),
+            ownerShare: fmt(result.ownerShare),
+          }),
+          { show_alert: true },
+        );
+      } else {
+        await OrderService.updateOrderStatus(orderId, newStatus, {
+          actor: { id: ctx.from.id, source: "bot" },
+        });
+
+        const io = getSocketIO();
+        if (io) {
+          io.emit("order_updated", { orderId, status: newStatus });
+        }
+
+        await ctx.answerCbQuery(
+          ctx.t("admin.statusChanged", { status: newStatus.toUpperCase() }),
+        );
+      }
 
       ctx.callbackQuery.data = `refresh_order_${orderId}`;
       return this.findOrder(ctx);
     } catch (e) {
-      ctx.answerCbQuery("❌ Ошибка транзакции статуса");
+      if (e instanceof OrderTransitionError) {
+        return ctx.answerCbQuery(`⛔ ${e.message}`, { show_alert: true });
+      }
+      console.error(e);
+      ctx.answerCbQuery(ctx.t("admin.statusFailed", { error: e.message }), {
+        show_alert: true,
+      });
     }
   },
 
   async promptAddress(ctx, orderId) {
+    if (!(await ensurePermission(ctx, "orders.edit"))) return;
     ctx.session.adminState = ADMIN_STATES.WAIT_ADDRESS;
     ctx.session.targetOrderId = orderId;
     await ctx.answerCbQuery();
-    await ctx.replyWithHTML(
-      `📍 <b>Локация объекта #${orderId}</b>\nВведите адрес (улица, дом, квартира):\n<i>Для отмены введите "Отмена"</i>`,
-    );
+    await ctx.replyWithHTML(ctx.t("admin.addressPrompt", { id: orderId }));
   },
 
   async processAddressInput(ctx) {
@@ -585,27 +736,27 @@ export const AdminHandler = {
         orderId,
         "address",
         ctx.message.text,
+        { id: ctx.from.id, source: "bot" },
       );
       ctx.session.adminState = ADMIN_STATES.IDLE;
 
       const io = getSocketIO();
       if (io) io.emit("order_updated", { orderId, address_updated: true });
 
-      await ctx.reply(`✅ Адрес успешно зафиксирован.`);
+      await ctx.reply(ctx.t("admin.addressSaved"));
       ctx.message.text = `/order ${orderId}`;
       return this.findOrder(ctx);
     } catch (e) {
-      ctx.reply("❌ Ошибка записи JSONB.");
+      ctx.reply(ctx.t("admin.addressFailed"));
     }
   },
 
   async promptComment(ctx, orderId) {
+    if (!(await ensurePermission(ctx, "orders.edit"))) return;
     ctx.session.adminState = ADMIN_STATES.WAIT_COMMENT;
     ctx.session.targetOrderId = orderId;
     await ctx.answerCbQuery();
-    await ctx.replyWithHTML(
-      `📝 <b>Заметка к объекту #${orderId}</b>\nВведите текст (видит только персонал):\n<i>Для отмены введите "Отмена"</i>`,
-    );
+    await ctx.replyWithHTML(ctx.t("admin.commentPrompt", { id: orderId }));
   },
 
   async processCommentInput(ctx) {
@@ -615,43 +766,100 @@ export const AdminHandler = {
         orderId,
         "comment",
         ctx.message.text,
+        { id: ctx.from.id, source: "bot" },
       );
       ctx.session.adminState = ADMIN_STATES.IDLE;
-      await ctx.reply(`✅ Заметка сохранена.`);
+      await ctx.reply(ctx.t("admin.commentSaved"));
       ctx.message.text = `/order ${orderId}`;
       return this.findOrder(ctx);
     } catch (e) {
-      ctx.reply("❌ Сбой записи в базу.");
+      ctx.reply(ctx.t("admin.commentFailed"));
     }
   },
 
   async promptCancel(ctx, orderId) {
-    await ctx.editMessageText(
-      `⚠️ <b>Фиксация отказа по объекту #${orderId}</b>\nУкажите инициатора для сохранения чистоты аналитики:`,
-      {
-        parse_mode: "HTML",
-        reply_markup: AdminKeyboards.cancelReasonControl(orderId).reply_markup,
-      },
-    );
+    if (!(await ensurePermission(ctx, "orders.cancel"))) return;
+    await ctx.editMessageText(ctx.t("admin.cancelPrompt", { id: orderId }), {
+      parse_mode: "HTML",
+      reply_markup: AdminKeyboards.cancelReasonControl(orderId, ctx.lang)
+        .reply_markup,
+    });
   },
 
   async processCancelReason(ctx, orderId, reason) {
+    if (!(await ensurePermission(ctx, "orders.cancel"))) return;
     try {
-      await OrderService.updateOrderDetails(orderId, "cancel_reason", reason);
-      await db.query(
-        `UPDATE orders SET status = 'cancel', updated_at = NOW() WHERE id = $1`,
-        [orderId],
+      // Сначала проверяем переход, чтобы не записать причину отказа впустую
+      const order = await OrderService.getOrderById(orderId);
+      if (!order) return ctx.answerCbQuery(ctx.t("admin.objectNotFound"));
+      OrderService.assertTransition(order, ORDER_STATUS.CANCELED);
+
+      const actor = { id: ctx.from.id, source: "bot" };
+      await OrderService.updateOrderDetails(
+        orderId,
+        "cancel_reason",
+        reason,
+        actor,
       );
+      await OrderService.updateOrderStatus(orderId, ORDER_STATUS.CANCELED, {
+        actor,
+      });
 
       const io = getSocketIO();
       if (io) io.emit("order_updated", { orderId, status: "cancel" });
 
-      await ctx.answerCbQuery("✅ Отказ оформлен.");
+      await ctx.answerCbQuery(ctx.t("admin.cancelDone"));
 
       ctx.callbackQuery.data = `refresh_order_${orderId}`;
       return this.findOrder(ctx);
     } catch (e) {
-      ctx.answerCbQuery("❌ Ошибка отмены заказа");
+      if (e instanceof OrderTransitionError) {
+        return ctx.answerCbQuery(`⛔ ${e.message}`, { show_alert: true });
+      }
+      ctx.answerCbQuery(ctx.t("admin.cancelFailed"));
+    }
+  },
+
+  async promptStorno(ctx, orderId) {
+    if (!(await ensurePermission(ctx, "orders.storno"))) return;
+
+    ctx.session.adminState = ADMIN_STATES.WAIT_STORNO_REASON;
+    ctx.session.targetOrderId = orderId;
+    await ctx.answerCbQuery();
+    await ctx.replyWithHTML(ctx.t("admin.stornoPrompt", { id: orderId }));
+  },
+
+  async processStornoReason(ctx) {
+    const orderId = ctx.session.targetOrderId;
+    ctx.session.adminState = ADMIN_STATES.IDLE;
+    try {
+      if (!(await ensurePermission(ctx, "orders.storno"))) return;
+
+      const result = await OrderService.reverseOrderFinalization(
+        orderId,
+        ctx.message.text,
+        { id: ctx.from.id, source: "bot" },
+      );
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
+
+      const io = getSocketIO();
+      if (io) io.emit("order_updated", { orderId, status: ORDER_STATUS.WORK });
+
+      await ctx.replyWithHTML(
+        ctx.t("admin.stornoDone", {
+          id: orderId,
+          brigadeShare: fmt(result.brigadeShare),
+          ownerShare: fmt(result.ownerShare),
+        }),
+      );
+      ctx.message.text = `/order ${orderId}`;
+      return this.findOrder(ctx);
+    } catch (e) {
+      if (e instanceof OrderTransitionError) {
+        return ctx.reply(`⛔ ${e.message}`);
+      }
+      console.error(e);
+      ctx.reply(ctx.t("admin.stornoFailed", { error: e.message }));
     }
   },
 
@@ -668,44 +876,45 @@ export const AdminHandler = {
       `);
       const brigades = res.rows;
 
-      let topMsg = `🏗 <b>УПРАВЛЕНИЕ БРИГАДАМИ (ERP)</b>\n\n`;
+      let topMsg = ctx.t("admin.brigadesTitle");
 
       if (brigades.length === 0) {
-        topMsg += `<i>Бригады пока не созданы.</i>\n\n`;
+        topMsg += ctx.t("admin.brigadesEmpty");
         await ctx.replyWithHTML(topMsg);
       } else {
-        await ctx.replyWithHTML(topMsg + "Список подрядчиков:");
+        await ctx.replyWithHTML(topMsg + ctx.t("admin.brigadesList"));
 
         for (const b of brigades) {
-          const statusIcon = b.is_active ? "🟢 Активна" : "🔴 Заблокирована";
-          const msg =
-            `🔹 <b>${b.name}</b> (ID: ${b.id})\n` +
-            `Бригадир ID: <code>${b.brigadier_id}</code> | Доля: ${b.profit_percentage}%\n` +
-            `Статус: ${statusIcon}`;
+          const statusIcon = ctx.t(
+            b.is_active ? "admin.brigadeActive" : "admin.brigadeBlocked",
+          );
+          const msg = ctx.t("admin.brigadeCard", {
+            name: b.name,
+            id: b.id,
+            brigadierId: b.brigadier_id,
+            percent: b.profit_percentage,
+            status: statusIcon,
+          });
 
           // 🔥 Выводим карточку каждой бригады с кнопками Блокировки/Активации
           await ctx.replyWithHTML(
             msg,
-            AdminKeyboards.brigadeControl(b.id, b.is_active),
+            AdminKeyboards.brigadeControl(b.id, b.is_active, ctx.lang),
           );
         }
       }
 
       // СОХРАНЕННАЯ ОРИГИНАЛЬНАЯ ИНСТРУКЦИЯ
-      let instructionMsg = `\n<b>Как добавить новую бригаду:</b>\n`;
-      instructionMsg += `Используйте команду:\n<code>/addbrigade [Название] [ID_Бригадира] [Процент_Прибыли]</code>\n`;
-      instructionMsg += `<i>Пример: /addbrigade Монтажники Альфа 123456789 40</i>\n`;
-      instructionMsg += `\n⚠️ <i>Бригадир автоматически получит роль MANAGER и системный счет в кассе компании.</i>`;
-
-      await ctx.replyWithHTML(instructionMsg);
+      await ctx.replyWithHTML(ctx.t("admin.addBrigadeHelp"));
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка загрузки списка бригад.");
+      ctx.reply(ctx.t("admin.brigadesFailed"));
     }
   },
 
   // 🔥 НОВЫЙ МЕТОД: Блокировка и разблокировка Бригады и смена Роли
   async toggleBrigadeAccess(ctx, brigadeId, newState) {
+    if (!(await ensurePermission(ctx, "brigades.manage"))) return;
     try {
       const isActivating = newState === "true";
 
@@ -713,7 +922,7 @@ export const AdminHandler = {
         brigadeId,
       ]);
       if (bRes.rows.length === 0)
-        return ctx.answerCbQuery("❌ Бригада не найдена.", {
+        return ctx.answerCbQuery(ctx.t("admin.brigadeNotFound"), {
           show_alert: true,
         });
 
@@ -733,38 +942,54 @@ export const AdminHandler = {
           "UPDATE users SET role = $1, updated_at = NOW() WHERE telegram_id = $2 AND role != 'owner'",
           [newRole, brigadierId],
         );
+        // Заблокированный бригадир теряет и открытые сеансы CRM / приложения
+        if (!isActivating) await SessionService.endAllForUser(brigadierId);
       }
 
       await ctx.answerCbQuery(
-        `✅ Доступ ${isActivating ? "АКТИВИРОВАН" : "ЗАБЛОКИРОВАН"}`,
+        ctx.t(isActivating ? "admin.accessActivated" : "admin.accessBlocked"),
       );
 
       // 3. Обновляем сообщение в боте
-      const statusIcon = isActivating ? "🟢 Активна" : "🔴 Заблокирована";
+      const statusIcon = ctx.t(
+        isActivating ? "admin.brigadeActive" : "admin.brigadeBlocked",
+      );
       const msg =
-        `🔹 <b>${brigade.name}</b> (ID: ${brigade.id})\n` +
-        `Бригадир ID: <code>${brigade.brigadier_id}</code> | Доля: ${brigade.profit_percentage}%\n` +
-        `Статус: ${statusIcon}\n` +
-        `🛡 <i>Доступ ${isActivating ? "восстановлен" : "ограничен"}. Роль пользователя обновлена.</i>`;
+        ctx.t("admin.brigadeCard", {
+          name: brigade.name,
+          id: brigade.id,
+          brigadierId: brigade.brigadier_id,
+          percent: brigade.profit_percentage,
+          status: statusIcon,
+        }) +
+        ctx.t(
+          isActivating
+            ? "admin.brigadeAccessRestored"
+            : "admin.brigadeAccessLimited",
+        );
 
       await ctx.editMessageText(msg, {
         parse_mode: "HTML",
-        reply_markup: AdminKeyboards.brigadeControl(brigadeId, isActivating)
-          .reply_markup,
+        reply_markup: AdminKeyboards.brigadeControl(
+          brigadeId,
+          isActivating,
+          ctx.lang,
+        ).reply_markup,
       });
 
       // 4. Оповещаем самого бригадира
       if (brigadierId) {
-        const notifyMsg = isActivating
-          ? "✅ <b>ДОСТУП ВОССТАНОВЛЕН</b>\nРуководство активировало вашу учетную запись. Вы снова можете принимать заказы."
-          : "⚠️ <b>ВНИМАНИЕ! ДОСТУП ПРИОСТАНОВЛЕН</b>\nВаш доступ к системе распределения заказов ProElectric был временно ограничен руководством.";
-        await ctx.telegram
-          .sendMessage(brigadierId, notifyMsg, { parse_mode: "HTML" })
-          .catch(() => {});
+        await sendLocalized(
+          ctx.telegram,
+          brigadierId,
+          isActivating ? "brigade.accessRestored" : "brigade.accessSuspended",
+        ).catch(() => {});
       }
     } catch (e) {
       console.error(e);
-      ctx.answerCbQuery("❌ Ошибка обновления статуса.", { show_alert: true });
+      ctx.answerCbQuery(ctx.t("admin.brigadeStatusFailed"), {
+        show_alert: true,
+      });
     }
   },
 
@@ -773,9 +998,7 @@ export const AdminHandler = {
     const parts = text.split(" ");
 
     if (parts.length < 3) {
-      return ctx.reply(
-        "⚠️ Синтаксис: /addbrigade <Название> <ID_Бригадира> <Процент>\nПример: /addbrigade Монтажники Альфа 123456789 45",
-      );
+      return ctx.reply(ctx.t("admin.addBrigadeSyntax"));
     }
 
     const percentage = parseFloat(parts.pop());
@@ -783,20 +1006,16 @@ export const AdminHandler = {
     const name = parts.join(" ");
 
     if (isNaN(percentage) || isNaN(brigadierId) || !name) {
-      return ctx.reply(
-        "❌ Ошибка парсинга. Убедитесь, что ID и Процент являются числами.",
-      );
+      return ctx.reply(ctx.t("admin.addBrigadeParseError"));
     }
 
     try {
       const newBrigade = await db.createBrigade(name, brigadierId, percentage);
       await ctx.replyWithHTML(
-        `✅ <b>Бригада "${newBrigade.name}" успешно создана!</b>\n` +
-          `Счет бригады автоматически открыт.\n` +
-          `Пользователю <code>${brigadierId}</code> выданы права доступа "MANAGER".`,
+        ctx.t("admin.brigadeCreated", { name: newBrigade.name, brigadierId }),
       );
     } catch (e) {
-      ctx.reply(`❌ Ошибка создания бригады: ${e.message}`);
+      ctx.reply(ctx.t("admin.brigadeCreateFailed", { error: e.message }));
     }
   },
 
@@ -805,44 +1024,82 @@ export const AdminHandler = {
    */
   async showStaffList(ctx) {
     try {
-      const res = await db.query(`
-        SELECT telegram_id, first_name, username, role 
-        FROM users WHERE role IN ('owner', 'admin', 'manager')
-        ORDER BY role DESC
-      `);
-
-      let msg = "👥 <b>МАТРИЦА ПЕРСОНАЛА</b>\n\n";
-      res.rows.forEach((u, i) => {
-        const icon =
-          u.role === "owner" ? "👑" : u.role === "admin" ? "🛡" : "👷‍♂️";
-        msg += `${i + 1}. ${icon} <b>${u.first_name}</b> (@${u.username || "Нет"})\n   ID: <code>${u.telegram_id}</code> | Роль: ${u.role.toUpperCase()}\n\n`;
+      // Персонал — Владелец и роли с правом входа в CRM
+      const staff = await db.getUsersWithPermission("crm.access");
+
+      let msg = ctx.t("admin.staffTitle");
+      staff.forEach((u, i) => {
+        const icon = STAFF_ICONS[u.role] || "👤";
+        msg += ctx.t("admin.staffRow", {
+          index: i + 1,
+          icon,
+          name: u.first_name,
+          username: u.username || ctx.t("common.none"),
+          id: u.telegram_id,
+          role: u.role.toUpperCase(),
+        });
       });
 
-      msg += `Для изменения роли:\n<code>/setrole ID ROLE</code>\n<i>Доступно: admin, manager, user, banned</i>`;
-      await ctx.replyWithHTML(msg);
+      msg += ctx.t("admin.staffHelp");
+
+      const role = await UserService.getUserRole(ctx.from.id);
+      const canEndSessions = await PermissionService.can(
+        role,
+        "users.sessions",
+      );
+      await ctx.replyWithHTML(
+        msg,
+        canEndSessions
+          ? AdminKeyboards.staffSessions(staff, ctx.from.id, ctx.lang)
+          : undefined,
+      );
+    } catch (e) {
+      ctx.reply(ctx.t("admin.staffFailed"));
+    }
+  },
+
+  /**
+   * «Выйти везде»: веб-сессии CRM и устройства API сотрудника (потерянный телефон).
+   */
+  async logoutEverywhere(ctx, targetId) {
+    if (!(await ensurePermission(ctx, "users.sessions"))) return;
+    try {
+      const role = await UserService.getUserRole(ctx.from.id);
+      const { sessions, devices } = await SessionService.logoutEverywhere(
+        targetId,
+        role,
+      );
+      await ctx.answerCbQuery(
+        ctx.t("admin.loggedOutEverywhere", { sessions, devices }),
+        { show_alert: true },
+      );
     } catch (e) {
-      ctx.reply("❌ Ошибка чтения таблицы пользователей.");
+      await ctx.answerCbQuery(
+        ctx.t("admin.logoutEverywhereFailed", { error: e.message }),
+        { show_alert: true },
+      );
     }
   },
 
   async processSetRole(ctx) {
     const args = ctx.message.text.split(" ");
-    if (args.length < 3) return ctx.reply("⚠️ Синтаксис: /setrole <ID> <ROLE>");
+    if (args.length < 3) return ctx.reply(ctx.t("admin.setRoleSyntax"));
     const targetId = args[1],
       newRole = args[2].toLowerCase();
 
     try {
       if (String(targetId) === String(ctx.from.id))
-        return ctx.reply(
-          "⛔ Архитектурный запрет: нельзя изменить роль самому себе.",
-        );
+        return ctx.reply(ctx.t("admin.setRoleSelf"));
       await UserService.changeUserRole(ctx.from.id, targetId, newRole);
       await ctx.reply(
-        `✅ ID <code>${targetId}</code> успешно переведен в группу <b>${newRole.toUpperCase()}</b>`,
+        ctx.t("admin.roleChanged", {
+          id: targetId,
+          role: newRole.toUpperCase(),
+        }),
         { parse_mode: "HTML" },
       );
     } catch (e) {
-      ctx.reply(`❌ Отклонено: ${e.message}`);
+      ctx.reply(ctx.t("admin.roleRejected", { error: e.message }));
     }
   },
 
@@ -853,36 +1110,31 @@ export const AdminHandler = {
     try {
       const pricelist = await OrderService.getPublicPricelist();
 
-      let msg = "⚙️ <b>ПАНЕЛЬ УПРАВЛЕНИЯ ЦЕНАМИ</b>\n\n";
-      msg +=
-        "Для изменения цены используйте команду:\n<code>/setprice [ключ] [цена]</code>\n\n";
+      let msg = ctx.t("admin.settingsTitle");
 
       if (Array.isArray(pricelist)) {
         pricelist.forEach((section) => {
           msg += `🔸 <b>${section.category}</b>\n`;
           section.items.forEach((item) => {
             msg += `▪️ ${item.name}: <b>${item.currentPrice} ${item.unit}</b>\n`;
-            msg += `   Ключ: <code>${item.key}</code>\n`;
+            msg += ctx.t("admin.settingsKey", { key: item.key });
           });
           msg += `\n`;
         });
       } else {
-        msg += "⚠️ Прайс-лист пуст или имеет неверный формат.";
+        msg += ctx.t("admin.settingsEmpty");
       }
 
       await ctx.replyWithHTML(msg);
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка доступа к таблице конфигурации.");
+      ctx.reply(ctx.t("admin.settingsFailed"));
     }
   },
 
   async processSetPrice(ctx) {
     const args = ctx.message.text.split(" ");
-    if (args.length < 3)
-      return ctx.reply(
-        "⚠️ Синтаксис: /setprice <KEY> <VALUE>\nПример: /setprice price_drill_concrete 600",
-      );
+    if (args.length < 3) return ctx.reply(ctx.t("admin.setPriceSyntax"));
     try {
       await db.query(
         `INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, NOW()) ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
@@ -893,11 +1145,11 @@ export const AdminHandler = {
       if (io) io.emit("settings_updated", { key: args[1], value: args[2] });
 
       await ctx.reply(
-        `✅ Прайс-лист обновлен!\nКлюч <b>${args[1]}</b> = <b>${args[2]}</b>.\n\nИзменения моментально применены в Web CRM и Калькуляторе.`,
+        ctx.t("admin.priceUpdated", { key: args[1], value: args[2] }),
         { parse_mode: "HTML" },
       );
     } catch (e) {
-      ctx.reply("❌ Ошибка I/O базы данных.");
+      ctx.reply(ctx.t("admin.priceUpdateFailed"));
     }
   },
 
@@ -912,18 +1164,18 @@ export const AdminHandler = {
     const ping = Date.now() - start;
 
     await ctx.replyWithHTML(
-      `🖥 <b>HARDWARE & NETWORK СТАТИСТИКА</b>\n` +
-        `⏱ Uptime: ${(os.uptime() / 3600).toFixed(1)} часов\n` +
-        `💾 Память (RAM): ${memFree} GB свободно из ${memTotal} GB\n` +
-        `🔌 PostgreSQL Latency: ${ping} ms\n` +
-        `🐧 Архитектура ОС: ${os.type()} ${os.release()} (${os.arch()})`,
+      ctx.t("admin.serverStats", {
+        uptime: (os.uptime() / 3600).toFixed(1),
+        memFree,
+        memTotal,
+        ping,
+        os: `${os.type()} ${os.release()} (${os.arch()})`,
+      }),
     );
   },
 
   async processBackup(ctx) {
-    const loading = await ctx.reply(
-      "💾 Инициализация создания Snapshot'а базы данных (v10.0.0)...",
-    );
+    const loading = await ctx.reply(ctx.t("admin.backupStarting"));
     try {
       const dump = { timestamp: new Date().toISOString(), database: {} };
       const tables = [
@@ -931,8 +1183,18 @@ export const AdminHandler = {
         "brigades",
         "orders",
         "settings",
+        "materials",
+        "stock_locations",
+        "stock_movements",
+        "stock_balances",
+        "purchase_orders",
+        "purchase_order_lines",
+        "appointments",
+        "order_payments",
+        "payment_invoices",
         "object_expenses",
         "accounts",
+        "journal_entries",
         "transactions",
       ];
 
@@ -953,17 +1215,12 @@ export const AdminHandler = {
       });
       await ctx.telegram.deleteMessage(ctx.chat.id, loading.message_id);
     } catch (e) {
-      ctx.reply(`❌ Критический сбой создания дампа: ${e.message}`);
+      ctx.reply(ctx.t("admin.backupFailed", { error: e.message }));
     }
   },
 
   async showSQLInstruction(ctx) {
-    await ctx.replyWithHTML(
-      `👨‍💻 <b>POSTGRESQL ТЕРМИНАЛ</b>\n` +
-        `Прямой доступ к ядру СУБД. Выполняй любые валидные SQL запросы.\n` +
-        `⚠️ <b>Внимание:</b> DML операции (UPDATE, DELETE) выполняются без подтверждения.\n\n` +
-        `Синтаксис:\n<code>/sql SELECT id, total_price FROM orders LIMIT 3;</code>`,
-    );
+    await ctx.replyWithHTML(ctx.t("admin.sqlInstruction"));
   },
 
   async processSQL(ctx) {
@@ -985,9 +1242,7 @@ export const AdminHandler = {
           await ctx.replyWithHTML(msg + `<pre>${json}</pre>`);
         }
       } else {
-        await ctx.replyWithHTML(
-          msg + "<i>Запрос выполнен успешно. Пустой возврат (0 строк).</i>",
-        );
+        await ctx.replyWithHTML(msg + ctx.t("admin.sqlEmpty"));
       }
     } catch (e) {
       await ctx.replyWithHTML(
@@ -1005,18 +1260,18 @@ export const AdminHandler = {
    * Вызывает финансовую транзакцию, которая списывает долг бригады и зачисляет деньги Владельцу.
    */
   async approveIncassation(ctx, brigadierId, amount) {
+    if (!(await ensurePermission(ctx, "finance.edit"))) return;
     try {
-      const fmtAmount = new Intl.NumberFormat("ru-RU").format(amount);
+      const fmtAmount = I18nService.formatNumber(ctx.lang, amount);
 
       // Ищем ID счета Владельца (Главная Касса / Наличные)
       const resAcc = await db.query(
         "SELECT id FROM accounts WHERE type = 'cash' ORDER BY id ASC LIMIT 1",
       );
       if (resAcc.rows.length === 0) {
-        return ctx.answerCbQuery(
-          "❌ Ошибка: Системный счет 'Главная Касса' не найден.",
-          { show_alert: true },
-        );
+        return ctx.answerCbQuery(ctx.t("admin.cashAccountMissing"), {
+          show_alert: true,
+        });
       }
       const ownerAccountId = resAcc.rows[0].id;
 
@@ -1030,25 +1285,27 @@ export const AdminHandler = {
       // Обновляем сообщение Владельца (чтобы нельзя было нажать дважды)
       await ctx.editMessageText(
         ctx.callbackQuery.message.text +
-          `\n\n✅ <b>СТАТУС: ПОДТВЕРЖДЕНО</b>\nДеньги (${fmtAmount} ₸) успешно зачислены в кассу. Долг бригады списан.`,
+          ctx.t("admin.incassationConfirmed", { amount: fmtAmount }),
         { parse_mode: "HTML" },
       );
 
       // Отправляем радостное уведомление Бригадиру
-      await ctx.telegram
-        .sendMessage(
-          brigadierId,
-          `✅ <b>Шеф подтвердил получение ${fmtAmount} ₸!</b>\nСумма успешно списана с вашего долга. Баланс обновлен.`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => {});
+      await sendLocalized(
+        ctx.telegram,
+        brigadierId,
+        "brigade.incassationApproved",
+        (lang) => ({ amount: I18nService.formatNumber(lang, amount) }),
+      ).catch(() => {});
 
-      await ctx.answerCbQuery("✅ Инкассация успешно проведена!");
+      await ctx.answerCbQuery(ctx.t("admin.incassationDone"));
     } catch (e) {
       console.error("Ошибка подтверждения инкассации:", e);
-      ctx.answerCbQuery(`❌ Ошибка базы данных: ${e.message}`, {
-        show_alert: true,
-      });
+      ctx.answerCbQuery(
+        ctx.t("admin.incassationDbError", { error: e.message }),
+        {
+          show_alert: true,
+        },
+      );
     }
   },
 
@@ -1056,29 +1313,26 @@ export const AdminHandler = {
    * Отклонение перевода (если Шеф не получил деньги на Kaspi)
    */
   async rejectIncassation(ctx, brigadierId, amount) {
+    if (!(await ensurePermission(ctx, "finance.edit"))) return;
     try {
-      const fmtAmount = new Intl.NumberFormat("ru-RU").format(amount);
-
       // Меняем интерфейс кнопки на Отклонено
       await ctx.editMessageText(
-        ctx.callbackQuery.message.text +
-          `\n\n❌ <b>СТАТУС: ОТКЛОНЕНО</b>\nВы указали, что деньги не поступали на ваш счет.`,
+        ctx.callbackQuery.message.text + ctx.t("admin.incassationRejectedNote"),
         { parse_mode: "HTML" },
       );
 
       // Уведомляем Бригадира, что перевод не прошел
-      await ctx.telegram
-        .sendMessage(
-          brigadierId,
-          `❌ <b>Внимание! Шеф отклонил инкассацию на сумму ${fmtAmount} ₸.</b>\nДолг не списан. Пожалуйста, свяжитесь с руководством для уточнения статуса перевода.`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => {});
+      await sendLocalized(
+        ctx.telegram,
+        brigadierId,
+        "brigade.incassationRejected",
+        (lang) => ({ amount: I18nService.formatNumber(lang, amount) }),
+      ).catch(() => {});
 
-      await ctx.answerCbQuery("❌ Вы отклонили перевод.");
+      await ctx.answerCbQuery(ctx.t("admin.incassationRejectedToast"));
     } catch (e) {
       console.error("Ошибка отклонения инкассации:", e);
-      ctx.answerCbQuery("❌ Системная ошибка.");
+      ctx.answerCbQuery(ctx.t("admin.systemError"));
     }
   },
 };
@@ -4,6 +4,10 @@
  * Отвечает за: Биржу заказов, Управление своими объектами, Статистику, Инкассацию.
  * ИСПРАВЛЕНО: Критический баг с расчетом долга бригады. Теперь долг строго
  * считывается из актуального баланса системного счета (accounts.balance).
+ * ИСПРАВЛЕНО: Взятие, отказ и смена статусов идут через стейт-машину OrderService.
+ * ИСПРАВЛЕНО: Долг Шефу при закрытии объекта учитывает оплаты, поступившие в кассу фирмы.
+ * ДОБАВЛЕНО: Локализация панели (ru/kk/en); уведомления Шефу и бригадам — на языке получателя.
+ * ДОБАВЛЕНО: Вход в панель по праву bot.brigade_panel (PermissionService).
  * НИКАКИХ УДАЛЕНИЙ И СОКРАЩЕНИЙ: Весь оригинальный код сохранен на 100%.
  *
  * @module BrigadeHandler
@@ -11,8 +15,15 @@
  */
 
 import { Markup } from "telegraf";
-import { UserService, ROLES } from "../services/UserService.js";
-import { OrderService } from "../services/OrderService.js";
+import { UserService } from "../services/UserService.js";
+import { PermissionService } from "../services/PermissionService.js";
+import {
+  OrderService,
+  ORDER_STATUS,
+  OrderTransitionError,
+} from "../services/OrderService.js";
+import { I18nService } from "../services/I18nService.js";
+import { UserHandler } from "./UserHandler.js";
 import * as db from "../database/index.js";
 import { getSocketIO } from "../bot.js";
 
@@ -29,40 +40,61 @@ export const BRIGADE_STATES = Object.freeze({
   WAIT_ORDER_NEW_PRICE: "WAIT_ORDER_NEW_PRICE",
 });
 
+// Ключи каталога локализации (подписи кнопок на языке пользователя)
 const BUTTONS = Object.freeze({
-  MARKET: "💼 Биржа заказов",
-  MY_OBJECTS: "🛠 Мои объекты",
-  FINANCE: "💸 Сверка и Выручка",
-  BACK: "🔙 В главное меню",
+  MARKET: "buttons.market",
+  MY_OBJECTS: "buttons.myObjects",
+  FINANCE: "buttons.finance",
+  BACK: "buttons.toMainMenu",
 });
 
+// Сообщение получателю на его языке интерфейса (params может зависеть от языка)
+const sendLocalized = async (
+  telegram,
+  chatId,
+  key,
+  params = {},
+  extra = {},
+) => {
+  const lang = await UserService.getUserLanguage(chatId);
+  const values = typeof params === "function" ? params(lang) : params;
+  return telegram.sendMessage(chatId, I18nService.t(lang, key, values), {
+    parse_mode: "HTML",
+    ...(typeof extra === "function" ? extra(lang) : extra),
+  });
+};
+
 // =============================================================================
 // 🎹 KEYBOARDS
 // =============================================================================
 
 const Keyboards = {
-  menu: Markup.keyboard([
-    [BUTTONS.MARKET, BUTTONS.MY_OBJECTS],
-    [BUTTONS.FINANCE],
-    [BUTTONS.BACK],
-  ]).resize(),
+  menu: (lang) => {
+    const label = (key) => I18nService.t(lang, key);
+    return Markup.keyboard([
+      [label(BUTTONS.MARKET), label(BUTTONS.MY_OBJECTS)],
+      [label(BUTTONS.FINANCE)],
+      [label(BUTTONS.BACK)],
+    ]).resize();
+  },
 
-  orderActions: (orderId, currentStatus) => {
+  orderActions: (orderId, currentStatus, lang) => {
+    const t = (key) => I18nService.t(lang, key);
     const buttons = [];
 
-    // Кнопки смены статуса
-    if (currentStatus !== "processing") {
+    // Кнопки смены статуса (только разрешенные графом переходы)
+    if (OrderService.canTransition(currentStatus, ORDER_STATUS.PROCESSING)) {
       buttons.push([
         Markup.button.callback(
-          "📐 Перевести 'В замер'",
+          t("brigade.toMeasureButton"),
           `set_status_processing_${orderId}`,
         ),
       ]);
     }
-    if (currentStatus !== "work") {
+    if (OrderService.canTransition(currentStatus, ORDER_STATUS.WORK)) {
       buttons.push([
         Markup.button.callback(
-          "🛠 Перевести 'В работу'",
+          t("brigade.toWorkButton"),
           `set_status_work_${orderId}`,
         ),
       ]);
@@ -70,40 +102,57 @@ const Keyboards = {
 
     // Кнопки финансов
     buttons.push([
-      Markup.button.callback("💰 Изменить цену", `prompt_price_${orderId}`),
       Markup.button.callback(
-        "🧾 Добавить чек (Расход)",
+        t("brigade.changePriceButton"),
+        `prompt_price_${orderId}`,
+      ),
+      Markup.button.callback(
+        t("brigade.addExpenseButton"),
         `add_expense_${orderId}`,
       ),
     ]);
 
     // Делегирование и отказ
     buttons.push([
-      Markup.button.callback("❌ Отказаться", `refuse_order_${orderId}`),
-      Markup.button.callback("🤝 Передать", `prompt_transfer_${orderId}`),
+      Markup.button.callback(
+        t("brigade.refuseButton"),
+        `refuse_order_${orderId}`,
+      ),
+      Markup.button.callback(
+        t("brigade.transferButton"),
+        `prompt_transfer_${orderId}`,
+      ),
     ]);
 
     // Закрытие объекта
     buttons.push([
-      Markup.button.callback("✅ ЗАВЕРШИТЬ ОБЪЕКТ", `finish_order_${orderId}`),
+      Markup.button.callback(
+        t("brigade.finishButton"),
+        `finish_order_${orderId}`,
+      ),
     ]);
 
     return Markup.inlineKeyboard(buttons);
   },
 
-  takeOrderAction: (orderId) =>
+  takeOrderAction: (orderId, lang) =>
     Markup.inlineKeyboard([
       [
         Markup.button.callback(
-          "✅ Забрать объект себе",
+          I18nService.t(lang, "brigade.takeSelfButton"),
           `take_order_${orderId}`,
         ),
       ],
     ]),
 
-  financeActions: () =>
+  financeActions: (lang) =>
     Markup.inlineKeyboard([
-      [Markup.button.callback("💸 Передать долю Шефу", `start_incassation`)],
+      [
+        Markup.button.callback(
+          I18nService.t(lang, "brigade.payOwnerButton"),
+          `start_incassation`,
+        ),
+      ],
     ]),
 };
 
@@ -117,29 +166,32 @@ export const BrigadeHandler = {
    */
   async showMenu(ctx) {
     try {
+      // Руководство с админ-панелью тоже может открыть панель бригадира
       const role = await UserService.getUserRole(ctx.from.id);
       if (
-        role !== ROLES.MANAGER &&
-        role !== ROLES.OWNER &&
-        role !== ROLES.ADMIN
+        !(await PermissionService.can(role, "bot.brigade_panel")) &&
+        !(await PermissionService.can(role, "bot.admin_panel"))
       ) {
-        return ctx.reply("⛔ Доступ запрещен. Вы не являетесь бригадиром.");
+        return ctx.reply(ctx.t("brigade.accessDenied"));
       }
 
       if (ctx.session) ctx.session.brigadeState = BRIGADE_STATES.IDLE;
 
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
       const brigadeInfo = brigade
-        ? `\n👷‍♂️ Ваша бригада: <b>${brigade.name}</b> (Ваша доля: ${brigade.profit_percentage}%)`
-        : `\n⚠️ <i>Внимание: Вы пока не привязаны ни к одной бригаде! Обратитесь к шефу.</i>`;
+        ? ctx.t("brigade.brigadeInfo", {
+            name: brigade.name,
+            percent: brigade.profit_percentage,
+          })
+        : ctx.t("brigade.noBrigadeInfo");
 
       await ctx.replyWithHTML(
-        `🛠 <b>ПАНЕЛЬ БРИГАДИРА</b>${brigadeInfo}\n\nВыберите нужный раздел:`,
-        Keyboards.menu,
+        ctx.t("brigade.menu", { info: brigadeInfo }),
+        Keyboards.menu(ctx.lang),
       );
     } catch (e) {
       console.error("[BrigadeHandler] Init Error:", e);
-      ctx.reply("❌ Системная ошибка загрузки панели бригады.");
+      ctx.reply(ctx.t("brigade.menuFailed"));
     }
   },
 
@@ -149,12 +201,13 @@ export const BrigadeHandler = {
 
     const state = ctx.session?.brigadeState || BRIGADE_STATES.IDLE;
 
-    // Глобальная отмена
-    if (text === BUTTONS.BACK || text.toLowerCase() === "отмена") {
+    // Глобальная отмена ("Отмена" на любом языке интерфейса)
+    const isCancel = I18nService.isCancelWord(text);
+    if (I18nService.matches(text, BUTTONS.BACK) || isCancel) {
       if (state !== BRIGADE_STATES.IDLE) {
         ctx.session.brigadeState = BRIGADE_STATES.IDLE;
-        await ctx.reply("❌ Действие отменено.");
-        if (text.toLowerCase() === "отмена") return;
+        await ctx.reply(ctx.t("brigade.actionCancelled"));
+        if (isCancel) return;
       }
     }
 
@@ -169,7 +222,11 @@ export const BrigadeHandler = {
       return this.processOrderNewPrice(ctx);
 
     // Роутинг по кнопкам
-    switch (text) {
+    const button = Object.values(BUTTONS).find((key) =>
+      I18nService.matches(text, key),
+    );
+
+    switch (button) {
       case BUTTONS.MARKET:
         return this.showMarket(ctx);
       case BUTTONS.MY_OBJECTS:
@@ -177,16 +234,7 @@ export const BrigadeHandler = {
       case BUTTONS.FINANCE:
         return this.showFinance(ctx);
       case BUTTONS.BACK:
-        return ctx.reply(
-          "🏠 Главное меню",
-          Markup.keyboard([
-            ["🚀 Рассчитать стоимость"],
-            ["📂 Мои заявки", "💰 Прайс-лист"],
-            ["📞 Контакты", "ℹ️ Как мы работаем"],
-            ["👑 Админ-панель", "🔑 Доступ в Web CRM"],
-            ["👷 Панель Бригадира"],
-          ]).resize(),
-        );
+        return UserHandler.returnToMainMenu(ctx);
     }
   },
 
@@ -196,10 +244,7 @@ export const BrigadeHandler = {
   async showMarket(ctx) {
     try {
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
-      if (!brigade)
-        return ctx.reply(
-          "⚠️ Доступ закрыт: вы не состоите в активной бригаде.",
-        );
+      if (!brigade) return ctx.reply(ctx.t("brigade.marketClosed"));
 
       const res = await db.query(`
         SELECT o.*, u.first_name, u.username, u.phone 
@@ -211,41 +256,46 @@ export const BrigadeHandler = {
       const orders = res.rows;
 
       if (!orders || orders.length === 0) {
-        return ctx.reply("📭 В данный момент свободных заказов на бирже нет.");
+        return ctx.reply(ctx.t("brigade.marketEmpty"));
       }
 
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
 
       await ctx.replyWithHTML(
-        `💼 <b>ДОСТУПНЫЕ ОБЪЕКТЫ НА БИРЖЕ (${orders.length} шт.):</b>\n<i>Внимательно изучите детали перед тем, как брать в работу.</i>`,
+        ctx.t("brigade.marketHeader", { count: orders.length }),
       );
 
       for (const o of orders) {
-        const address = o.details?.address ? o.details.address : "Не указан";
+        const address = o.details?.address
+          ? o.details.address
+          : ctx.t("common.notSpecified");
         const comment = o.details?.admin_comment
           ? o.details.admin_comment
-          : "Нет заметок";
+          : ctx.t("common.noNotes");
         const area = o.area || o.details?.params?.area || 0;
-        const clientPhone = o.phone || "Скрыт";
-        const clientUser = o.username ? `@${o.username}` : "Скрыт";
-        const clientName = o.first_name || "Заказчик";
+        const clientPhone = o.phone || ctx.t("common.hidden");
+        const clientUser = o.username
+          ? `@${o.username}`
+          : ctx.t("common.hidden");
+        const clientName = o.first_name || ctx.t("common.customer");
+
+        const msg = ctx.t("brigade.marketCard", {
+          id: o.id,
+          client: clientName,
+          user: clientUser,
+          phone: clientPhone,
+          address,
+          comment,
+          area,
+          price: fmt(o.total_price),
+          date: I18nService.formatDate(ctx.lang, o.created_at),
+        });
 
-        const msg =
-          `🆕 <b>Объект #${o.id}</b>\n` +
-          `👤 <b>Клиент:</b> ${clientName} (${clientUser})\n` +
-          `📞 <b>Телефон:</b> <code>${clientPhone}</code>\n` +
-          `📍 <b>Адрес:</b> ${address}\n` +
-          `📝 <b>Комментарий:</b> <i>${comment}</i>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `📐 <b>Объем:</b> ${area} м²\n` +
-          `💰 <b>Сумма по смете:</b> ${fmt(o.total_price)} ₸\n` +
-          `📅 <b>Создан:</b> ${new Date(o.created_at).toLocaleDateString("ru-RU")}`;
-
-        await ctx.replyWithHTML(msg, Keyboards.takeOrderAction(o.id));
+        await ctx.replyWithHTML(msg, Keyboards.takeOrderAction(o.id, ctx.lang));
       }
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка загрузки биржи.");
+      ctx.reply(ctx.t("brigade.marketFailed"));
     }
   },
 
@@ -253,7 +303,7 @@ export const BrigadeHandler = {
     try {
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
       if (!brigade)
-        return ctx.answerCbQuery("❌ Вы не состоите в бригаде.", {
+        return ctx.answerCbQuery(ctx.t("brigade.notInBrigade"), {
           show_alert: true,
         });
 
@@ -262,15 +312,15 @@ export const BrigadeHandler = {
         [orderId],
       );
       if (orderRes.rows.length === 0 || orderRes.rows[0].status !== "new") {
-        return ctx.answerCbQuery("⚠️ Заказ уже забрали или он недоступен.", {
+        return ctx.answerCbQuery(ctx.t("brigade.alreadyTaken"), {
           show_alert: true,
         });
       }
 
-      await db.query(
-        "UPDATE orders SET brigade_id = $1, status = 'processing', updated_at = NOW() WHERE id = $2 AND status = 'new'",
-        [brigade.id, orderId],
-      );
+      await OrderService.updateOrderStatus(orderId, ORDER_STATUS.PROCESSING, {
+        brigadeId: brigade.id,
+        actor: { id: ctx.from.id, source: "bot" },
+      });
 
       const io = getSocketIO();
       if (io)
@@ -281,13 +331,16 @@ export const BrigadeHandler = {
         });
 
       await ctx.editMessageText(
-        `✅ <b>Объект #${orderId} успешно взят!</b>\nВаша бригада: ${brigade.name}\nТекущий статус: <b>В ЗАМЕРЕ</b>.\n\nЗаказ перемещен в раздел "🛠 Мои объекты". Свяжитесь с клиентом и договоритесь о выезде.`,
+        ctx.t("brigade.taken", { id: orderId, brigade: brigade.name }),
         { parse_mode: "HTML" },
       );
-      await ctx.answerCbQuery("✅ Заказ ваш!");
+      await ctx.answerCbQuery(ctx.t("brigade.takenToast"));
     } catch (e) {
+      if (e instanceof OrderTransitionError) {
+        return ctx.answerCbQuery(`⚠️ ${e.message}`, { show_alert: true });
+      }
       console.error(e);
-      ctx.answerCbQuery("❌ Ошибка привязки заказа.");
+      ctx.answerCbQuery(ctx.t("brigade.takeFailed"));
     }
   },
 
@@ -297,7 +350,7 @@ export const BrigadeHandler = {
   async showMyObjects(ctx) {
     try {
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
-      if (!brigade) return ctx.reply("⚠️ Вы не состоите в бригаде.");
+      if (!brigade) return ctx.reply(ctx.t("brigade.notInBrigadeWarn"));
 
       const res = await db.query(
         `
@@ -312,13 +365,11 @@ export const BrigadeHandler = {
       const activeOrders = res.rows;
 
       if (activeOrders.length === 0) {
-        return ctx.reply(
-          "📭 У вашей бригады сейчас нет активных объектов в работе.",
-        );
+        return ctx.reply(ctx.t("brigade.noActiveObjects"));
       }
 
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
-      await ctx.replyWithHTML(`🛠 <b>ВАШИ АКТИВНЫЕ ОБЪЕКТЫ:</b>`);
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
+      await ctx.replyWithHTML(ctx.t("brigade.objectsHeader"));
 
       for (const o of activeOrders) {
         const netProfit =
@@ -326,39 +377,47 @@ export const BrigadeHandler = {
             ? o.details.financials.net_profit
             : o.total_price;
         const expenses = o.details?.financials?.total_expenses || 0;
-        const statusLocal =
+        const statusLocal = ctx.t(
           o.status === "processing"
-            ? "📐 В ЗАМЕРЕ (Оценка)"
-            : "🛠 В РАБОТЕ (Монтаж)";
+            ? "brigade.stageMeasure"
+            : "brigade.stageWork",
+        );
 
-        const address = o.details?.address || "Не указан";
-        const comment = o.details?.admin_comment || "Нет заметок";
-        const clientPhone = o.phone || "Скрыт";
-        const clientUser = o.username ? `@${o.username}` : "Скрыт";
-        const clientName = o.first_name || "Заказчик";
+        const address = o.details?.address || ctx.t("common.notSpecified");
+        const comment = o.details?.admin_comment || ctx.t("common.noNotes");
+        const clientPhone = o.phone || ctx.t("common.hidden");
+        const clientUser = o.username
+          ? `@${o.username}`
+          : ctx.t("common.hidden");
+        const clientName = o.first_name || ctx.t("common.customer");
 
         let bomText = "";
         if (o.details?.bom && o.details.bom.length > 0) {
-          bomText = `\n📦 <b>Материалы (BOM):</b> ${o.details.bom.length} позиций спецификации`;
+          bomText = ctx.t("brigade.bomLine", { count: o.details.bom.length });
         }
 
         const msg =
-          `🏢 <b>Объект #${o.id}</b> | ${statusLocal}\n` +
-          `👤 <b>Клиент:</b> ${clientName} (${clientUser})\n` +
-          `📞 <b>Телефон:</b> <code>${clientPhone}</code>\n` +
-          `📍 <b>Адрес:</b> ${address}\n` +
-          `📝 <b>Комментарий:</b> <i>${comment}</i>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `💰 <b>Договорная цена:</b> ${fmt(o.total_price)} ₸\n` +
-          `📉 <b>Расходы (Чеки):</b> ${fmt(expenses)} ₸\n` +
-          `💎 <b>Ваша расчетная доля: ${fmt(netProfit * (brigade.profit_percentage / 100))} ₸</b>` +
-          bomText;
-
-        await ctx.replyWithHTML(msg, Keyboards.orderActions(o.id, o.status));
+          ctx.t("brigade.objectCard", {
+            id: o.id,
+            stage: statusLocal,
+            client: clientName,
+            user: clientUser,
+            phone: clientPhone,
+            address,
+            comment,
+            price: fmt(o.total_price),
+            expenses: fmt(expenses),
+            share: fmt(netProfit * (brigade.profit_percentage / 100)),
+          }) + bomText;
+
+        await ctx.replyWithHTML(
+          msg,
+          Keyboards.orderActions(o.id, o.status, ctx.lang),
+        );
       }
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка загрузки ваших объектов.");
+      ctx.reply(ctx.t("brigade.objectsFailed"));
     }
   },
 
@@ -368,23 +427,40 @@ export const BrigadeHandler = {
   async setOrderStatus(ctx, orderId, newStatus) {
     try {
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
-      if (!brigade) return ctx.answerCbQuery("❌ Вы не состоите в бригаде.");
+      if (!brigade) return ctx.answerCbQuery(ctx.t("brigade.notInBrigade"));
 
-      await OrderService.updateOrderStatus(orderId, newStatus);
+      const order = await OrderService.getOrderById(orderId);
+      if (!order || order.brigade_id !== brigade.id) {
+        return ctx.answerCbQuery(ctx.t("brigade.notYourOrder"), {
+          show_alert: true,
+        });
+      }
+
+      await OrderService.updateOrderStatus(orderId, newStatus, {
+        actor: { id: ctx.from.id, source: "bot" },
+      });
       const io = getSocketIO();
       if (io) io.emit("order_updated", { orderId, status: newStatus });
 
-      const statusName =
-        newStatus === "processing" ? "📐 В ЗАМЕРЕ" : "🛠 В РАБОТЕ";
+      const statusName = ctx.t(
+        newStatus === "processing"
+          ? "brigade.statusMeasure"
+          : "brigade.statusWork",
+      );
 
-      await ctx.answerCbQuery(`✅ Статус изменен на "${statusName}"`);
+      await ctx.answerCbQuery(
+        ctx.t("brigade.statusChangedToast", { status: statusName }),
+      );
       await ctx.editMessageText(
-        `✅ <b>Статус объекта #${orderId} успешно обновлен!</b>\nТекущая стадия: <b>${statusName}</b>\n\n<i>Для дальнейших действий вернитесь в "Мои объекты".</i>`,
+        ctx.t("brigade.statusChanged", { id: orderId, status: statusName }),
         { parse_mode: "HTML" },
       );
     } catch (e) {
+      if (e instanceof OrderTransitionError) {
+        return ctx.answerCbQuery(`⛔ ${e.message}`, { show_alert: true });
+      }
       console.error("Ошибка смены статуса:", e);
-      ctx.answerCbQuery("❌ Ошибка смены статуса");
+      ctx.answerCbQuery(ctx.t("brigade.statusFailed"));
     }
   },
 
@@ -395,34 +471,36 @@ export const BrigadeHandler = {
     ctx.session.brigadeState = BRIGADE_STATES.WAIT_ORDER_NEW_PRICE;
     ctx.session.targetOrderId = orderId;
     await ctx.answerCbQuery();
-    await ctx.replyWithHTML(
-      `💰 <b>Изменение договорной цены для объекта #${orderId}</b>\n\n` +
-        `Введите окончательную сумму, о которой вы договорились с клиентом после замера (цифрами, например: <code>150000</code>):\n` +
-        `<i>Для отмены напишите "Отмена"</i>`,
-    );
+    await ctx.replyWithHTML(ctx.t("brigade.pricePrompt", { id: orderId }));
   },
 
   async processOrderNewPrice(ctx) {
     const amount = parseFloat(ctx.message.text.replace(/\s/g, ""));
     if (isNaN(amount) || amount <= 0) {
-      return ctx.reply("⚠️ Пожалуйста, введите корректную сумму цифрами.");
+      return ctx.reply(ctx.t("brigade.invalidAmount"));
     }
     const orderId = ctx.session.targetOrderId;
 
     try {
-      await OrderService.updateOrderFinalPrice(orderId, amount);
+      await OrderService.updateOrderFinalPrice(orderId, amount, {
+        id: ctx.from.id,
+        source: "bot",
+      });
       ctx.session.brigadeState = BRIGADE_STATES.IDLE;
 
       const io = getSocketIO();
       if (io) io.emit("order_updated", { orderId });
 
       await ctx.reply(
-        `✅ <b>Цена успешно обновлена!</b>\nНовая итоговая сумма объекта #${orderId}: <b>${new Intl.NumberFormat("ru-RU").format(amount)} ₸</b>.`,
+        ctx.t("brigade.priceUpdated", {
+          id: orderId,
+          amount: I18nService.formatNumber(ctx.lang, amount),
+        }),
         { parse_mode: "HTML" },
       );
     } catch (e) {
       console.error("Ошибка изменения цены:", e);
-      ctx.reply("❌ Ошибка при обновлении цены в базе данных.");
+      ctx.reply(ctx.t("brigade.priceFailed", { error: e.message }));
     }
   },
 
@@ -432,7 +510,7 @@ export const BrigadeHandler = {
   async refuseOrder(ctx, orderId) {
     try {
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
-      if (!brigade) return ctx.answerCbQuery("❌ Вы не состоите в бригаде.");
+      if (!brigade) return ctx.answerCbQuery(ctx.t("brigade.notInBrigade"));
 
       const orderRes = await db.query(
         "SELECT brigade_id FROM orders WHERE id = $1",
@@ -442,46 +520,45 @@ export const BrigadeHandler = {
         orderRes.rows.length === 0 ||
         orderRes.rows[0].brigade_id !== brigade.id
       ) {
-        return ctx.answerCbQuery("⚠️ Это не ваш заказ или он уже закрыт.", {
+        return ctx.answerCbQuery(ctx.t("brigade.notYourOrder"), {
           show_alert: true,
         });
       }
 
-      await db.query(
-        "UPDATE orders SET brigade_id = NULL, status = 'new', updated_at = NOW() WHERE id = $1",
-        [orderId],
-      );
+      // Возврат в 'new' через стейт-машину автоматически освобождает объект
+      await OrderService.updateOrderStatus(orderId, ORDER_STATUS.NEW, {
+        actor: { id: ctx.from.id, source: "bot" },
+      });
 
       const io = getSocketIO();
       if (io)
         io.emit("order_updated", { orderId, status: "new", brigade_id: null });
 
-      await ctx.editMessageText(
-        `❌ <b>Вы отказались от объекта #${orderId}</b>.\nОн возвращен на биржу и доступен другим бригадам.`,
-        { parse_mode: "HTML" },
-      );
-      await ctx.answerCbQuery("✅ Заказ возвращен на биржу");
+      await ctx.editMessageText(ctx.t("brigade.refused", { id: orderId }), {
+        parse_mode: "HTML",
+      });
+      await ctx.answerCbQuery(ctx.t("brigade.refusedToast"));
 
       const ownerId = await db.getSystemOwnerId();
       if (ownerId) {
-        await ctx.telegram
-          .sendMessage(
-            ownerId,
-            `⚠️ Бригада <b>${brigade.name}</b> отказалась от объекта #${orderId}. Заказ возвращен на биржу.`,
-            { parse_mode: "HTML" },
-          )
-          .catch(() => {});
+        await sendLocalized(ctx.telegram, ownerId, "owner.brigadeRefused", {
+          brigade: brigade.name,
+          id: orderId,
+        }).catch(() => {});
       }
     } catch (e) {
+      if (e instanceof OrderTransitionError) {
+        return ctx.answerCbQuery(`⛔ ${e.message}`, { show_alert: true });
+      }
       console.error("Ошибка отказа от заказа:", e);
-      ctx.answerCbQuery("❌ Системная ошибка.");
+      ctx.answerCbQuery(ctx.t("brigade.systemError"));
     }
   },
 
   async promptTransfer(ctx, orderId) {
     try {
       const brigade = await db.getBrigadeByManagerId(ctx.from.id);
-      if (!brigade) return ctx.answerCbQuery("❌ Ошибка бригады.");
+      if (!brigade) return ctx.answerCbQuery(ctx.t("brigade.brigadeError"));
 
       const res = await db.query(
         "SELECT * FROM brigades WHERE is_active = true AND id != $1 ORDER BY name ASC",
@@ -490,30 +567,32 @@ export const BrigadeHandler = {
       const otherBrigades = res.rows;
 
       if (otherBrigades.length === 0) {
-        return ctx.answerCbQuery(
-          "⚠️ Нет других активных бригад для передачи.",
-          { show_alert: true },
-        );
+        return ctx.answerCbQuery(ctx.t("brigade.noOtherBrigades"), {
+          show_alert: true,
+        });
       }
 
       const buttons = otherBrigades.map((b) => [
         Markup.button.callback(
-          `➡️ Передать: ${b.name}`,
+          ctx.t("brigade.transferToButton", { name: b.name }),
           `exec_transfer_${orderId}_${b.id}`,
         ),
       ]);
       buttons.push([
-        Markup.button.callback("🔙 Отмена", `cancel_transfer_${orderId}`),
+        Markup.button.callback(
+          ctx.t("brigade.cancelButton"),
+          `cancel_transfer_${orderId}`,
+        ),
       ]);
 
       await ctx.editMessageText(
-        `🤝 <b>Кому вы хотите передать объект #${orderId}?</b>\nВыберите бригаду из списка ниже:`,
+        ctx.t("brigade.transferPrompt", { id: orderId }),
         { parse_mode: "HTML", reply_markup: { inline_keyboard: buttons } },
       );
       await ctx.answerCbQuery();
     } catch (e) {
       console.error(e);
-      ctx.answerCbQuery("❌ Ошибка загрузки списка бригад.");
+      ctx.answerCbQuery(ctx.t("brigade.brigadesFailed"));
     }
   },
 
@@ -526,35 +605,37 @@ export const BrigadeHandler = {
       );
 
       if (targetBrigadeRes.rows.length === 0)
-        return ctx.answerCbQuery("❌ Целевая бригада не найдена.");
+        return ctx.answerCbQuery(ctx.t("brigade.targetNotFound"));
       const targetBrigade = targetBrigadeRes.rows[0];
 
-      await db.query(
-        "UPDATE orders SET brigade_id = $1, updated_at = NOW() WHERE id = $2",
-        [targetBrigade.id, orderId],
-      );
+      await OrderService.transferOrderToBrigade(orderId, targetBrigade.id, {
+        id: ctx.from.id,
+        source: "bot",
+      });
 
       const io = getSocketIO();
       if (io)
         io.emit("order_updated", { orderId, brigade_id: targetBrigade.id });
 
       await ctx.editMessageText(
-        `✅ <b>Объект #${orderId} успешно передан бригаде "${targetBrigade.name}".</b>\nОн пропадет из вашего списка.`,
+        ctx.t("brigade.transferred", {
+          id: orderId,
+          brigade: targetBrigade.name,
+        }),
         { parse_mode: "HTML" },
       );
 
-      await ctx.telegram
-        .sendMessage(
-          targetBrigade.brigadier_id,
-          `🎁 <b>Вам передали объект!</b>\nБригада <b>${myBrigade.name}</b> передала вам в работу объект <b>#${orderId}</b>.\nПроверьте раздел "🛠 Мои объекты".`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => {});
+      await sendLocalized(
+        ctx.telegram,
+        targetBrigade.brigadier_id,
+        "brigade.transferReceived",
+        { brigade: myBrigade.name, id: orderId },
+      ).catch(() => {});
 
-      await ctx.answerCbQuery("✅ Успешно передано");
+      await ctx.answerCbQuery(ctx.t("brigade.transferredToast"));
     } catch (e) {
       console.error("Ошибка передачи:", e);
-      ctx.answerCbQuery("❌ Ошибка при передаче объекта.");
+      ctx.answerCbQuery(ctx.t("brigade.transferFailed"));
     }
   },
 
@@ -567,25 +648,18 @@ export const BrigadeHandler = {
     ctx.session.expenseType = "Материалы (Чек)";
 
     await ctx.answerCbQuery();
-    await ctx.replyWithHTML(
-      `🧾 <b>Добавление расхода (Чек) к объекту #${orderId}</b>\n\n` +
-        `Введите сумму расхода цифрами (например: <code>15000</code>):\n` +
-        `<i>Для отмены напишите "Отмена"</i>`,
-    );
+    await ctx.replyWithHTML(ctx.t("brigade.expensePrompt", { id: orderId }));
   },
 
   async processExpenseAmount(ctx) {
     const amount = parseFloat(ctx.message.text.replace(/\s/g, ""));
     if (isNaN(amount) || amount <= 0)
-      return ctx.reply("⚠️ Пожалуйста, введите корректную сумму цифрами.");
+      return ctx.reply(ctx.t("brigade.invalidAmount"));
 
     ctx.session.expenseAmount = amount;
     ctx.session.brigadeState = BRIGADE_STATES.WAIT_EXPENSE_COMMENT;
 
-    await ctx.replyWithHTML(
-      `📝 Сумма: <b>${amount} ₸</b>.\nТеперь напишите комментарий (на что потрачено, номер чека):\n` +
-        `<i>Для отмены напишите "Отмена"</i>`,
-    );
+    await ctx.replyWithHTML(ctx.t("brigade.expenseCommentPrompt", { amount }));
   },
 
   async processExpenseComment(ctx) {
@@ -600,20 +674,25 @@ export const BrigadeHandler = {
         amount,
         category,
         comment,
-        ctx.from.id,
+        { id: ctx.from.id, source: "bot" },
       );
 
       const io = getSocketIO();
       if (io) io.emit("expense_added", { orderId, amount, category });
 
       ctx.session.brigadeState = BRIGADE_STATES.IDLE;
+      // Категория хранится в БД на русском, в сообщении — на языке пользователя
       await ctx.reply(
-        `✅ <b>Успешно!</b> ${category} на сумму ${amount} ₸ добавлен к объекту #${orderId}.`,
+        ctx.t("brigade.expenseAdded", {
+          category: ctx.t("brigade.expenseCategory"),
+          amount,
+          id: orderId,
+        }),
         { parse_mode: "HTML" },
       );
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка записи расхода в базу.");
+      ctx.reply(ctx.t("brigade.expenseFailed"));
     }
   },
 
@@ -628,9 +707,7 @@ export const BrigadeHandler = {
         [ctx.from.id],
       );
       if (resAcc.rows.length === 0)
-        return ctx.reply(
-          "⚠️ Ваша статистика пока пуста. Завершите хотя бы один объект.",
-        );
+        return ctx.reply(ctx.t("brigade.statsEmpty"));
 
       const account = resAcc.rows[0];
       const accountId = account.id;
@@ -638,7 +715,7 @@ export const BrigadeHandler = {
 
       // Если баланс отрицательный - это долг бригады перед шефом
       const debt = balance < 0 ? Math.abs(balance) : 0;
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
 
       // Считаем общую сумму заработанных денег (для мотивации, берем только транзакции "Заработок")
       const txRes = await db.query(
@@ -652,19 +729,19 @@ export const BrigadeHandler = {
 
       const earned = parseFloat(txRes.rows[0].total_earned);
 
-      let msg = `📊 <b>СТАТИСТИКА БРИГАДЫ</b>\n➖➖➖➖➖➖➖➖➖➖\n`;
-      msg += `💰 <b>Всего заработано: ${fmt(earned)} ₸</b>\n<i>(Ваш чистый заработок)</i>\n\n`;
+      let msg = ctx.t("brigade.statsHeader");
+      msg += ctx.t("brigade.statsEarned", { earned: fmt(earned) });
 
       if (debt > 0) {
-        msg += `🔴 <b>ДОЛГ ПЕРЕД ШЕФОМ: ${fmt(debt)} ₸</b>\n<i>(Доля компании с завершенных объектов)</i>\n➖➖➖➖➖➖➖➖➖➖`;
+        msg += ctx.t("brigade.statsDebt", { debt: fmt(debt) });
       } else {
-        msg += `⚪️ <b>Долгов перед компанией нет.</b>\n➖➖➖➖➖➖➖➖➖➖`;
+        msg += ctx.t("brigade.statsNoDebt");
       }
 
-      await ctx.replyWithHTML(msg, Keyboards.financeActions());
+      await ctx.replyWithHTML(msg, Keyboards.financeActions(ctx.lang));
     } catch (e) {
       console.error(e);
-      ctx.reply("❌ Ошибка загрузки статистики.");
+      ctx.reply(ctx.t("brigade.statsFailed"));
     }
   },
 
@@ -674,22 +751,20 @@ export const BrigadeHandler = {
   async promptIncassation(ctx) {
     ctx.session.brigadeState = BRIGADE_STATES.WAIT_INCASSATION_AMOUNT;
     await ctx.answerCbQuery();
-    await ctx.replyWithHTML(
-      `💸 <b>Передача доли Шефу</b>\n\nВведите переданную сумму (цифрами, например <code>50000</code>):\n<i>Для отмены напишите "Отмена"</i>`,
-    );
+    await ctx.replyWithHTML(ctx.t("brigade.incassationPrompt"));
   },
 
   async processIncassationAmount(ctx) {
     const amount = parseFloat(ctx.message.text.replace(/\s/g, ""));
     if (isNaN(amount) || amount <= 0)
-      return ctx.reply("⚠️ Введите корректную сумму цифрами.");
+      return ctx.reply(ctx.t("brigade.invalidAmountShort"));
 
     ctx.session.brigadeState = BRIGADE_STATES.IDLE;
     const brigadierId = ctx.from.id;
     const brigade = await db.getBrigadeByManagerId(brigadierId);
 
     const ownerId = await db.getSystemOwnerId();
-    if (!ownerId) return ctx.reply("⚠️ Системная ошибка: Владелец не найден.");
+    if (!ownerId) return ctx.reply(ctx.t("brigade.ownerNotFound"));
 
     try {
       // Получаем точный баланс счета
@@ -703,30 +778,35 @@ export const BrigadeHandler = {
         currentDebt = balance < 0 ? Math.abs(balance) : 0;
       }
 
-      await ctx.telegram.sendMessage(
+      await sendLocalized(
+        ctx.telegram,
         ownerId,
-        `💰 <b>ИНКАССАЦИЯ (Передача денег)</b>\n➖➖➖➖➖➖➖➖➖➖\n👷‍♂️ Бригада: <b>${brigade?.name || ctx.from.first_name}</b>\n💸 Передает: <b>${new Intl.NumberFormat("ru-RU").format(amount)} ₸</b>\n📉 Остаток долга: <b>${new Intl.NumberFormat("ru-RU").format(currentDebt - amount)} ₸</b>\n➖➖➖➖➖➖➖➖➖➖`,
-        Markup.inlineKeyboard([
-          [
-            Markup.button.callback(
-              "✅ Подтвердить получение",
-              `app_inc_${brigadierId}_${amount}`,
-            ),
-          ],
-          [
-            Markup.button.callback(
-              "❌ Не поступали",
-              `rej_inc_${brigadierId}_${amount}`,
-            ),
-          ],
-        ]),
-      );
-      await ctx.replyWithHTML(
-        `✅ <b>Запрос отправлен Шефу!</b>\nСумма будет списана с долга после его подтверждения.`,
+        "owner.incassationRequest",
+        (lang) => ({
+          brigade: brigade?.name || ctx.from.first_name,
+          amount: I18nService.formatNumber(lang, amount),
+          debt: I18nService.formatNumber(lang, currentDebt - amount),
+        }),
+        (lang) =>
+          Markup.inlineKeyboard([
+            [
+              Markup.button.callback(
+                I18nService.t(lang, "owner.confirmReceiptButton"),
+                `app_inc_${brigadierId}_${amount}`,
+              ),
+            ],
+            [
+              Markup.button.callback(
+                I18nService.t(lang, "owner.notReceivedButton"),
+                `rej_inc_${brigadierId}_${amount}`,
+              ),
+            ],
+          ]),
       );
+      await ctx.replyWithHTML(ctx.t("brigade.incassationSent"));
     } catch (e) {
       console.error("Ошибка инкассации:", e);
-      ctx.reply("❌ Ошибка отправки запроса.");
+      ctx.reply(ctx.t("brigade.incassationFailed"));
     }
   },
 
@@ -735,31 +815,43 @@ export const BrigadeHandler = {
    */
   async finishOrder(ctx, orderId) {
     try {
-      await ctx.answerCbQuery("⏳ Закрытие объекта и расчет долей...");
+      await ctx.answerCbQuery(ctx.t("brigade.finishing"));
 
-      const result = await db.finalizeOrderAndDistributeProfit(orderId);
+      const result = await OrderService.finalizeOrderAndDistributeProfit(
+        orderId,
+        { id: ctx.from.id, source: "bot" },
+      );
       const io = getSocketIO();
       if (io) io.emit("order_updated", { orderId, status: "done" });
 
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
       await ctx.editMessageText(
-        `✅ <b>Объект #${orderId} ЗАВЕРШЕН.</b>\n➖➖➖➖➖➖➖➖➖➖\n💰 Вы заработали: <b>+${fmt(result.brigadeShare)} ₸</b>\n🔴 Долг Шефу: <b>-${fmt(result.ownerShare)} ₸</b>\n➖➖➖➖➖➖➖➖➖➖\n<i>Доля Шефа добавлена в ваш долг.</i>`,
+        ctx.t("brigade.finished", {
+          id: orderId,
+          brigadeShare: fmt(result.brigadeShare),
+          ownerDue: fmt(result.ownerDue),
+        }),
         { parse_mode: "HTML" },
       );
 
       const ownerId = await db.getSystemOwnerId();
       if (ownerId) {
-        ctx.telegram
-          .sendMessage(
-            ownerId,
-            `🔔 <b>ОБЪЕКТ #${orderId} ЗАВЕРШЕН!</b>\nБригадир закрыл заказ.\nДоля компании <b>${fmt(result.ownerShare)} ₸</b> записана в долг бригады.`,
-            { parse_mode: "HTML" },
-          )
-          .catch(() => {});
+        sendLocalized(ctx.telegram, ownerId, "owner.orderFinished", (lang) => ({
+          id: orderId,
+          ownerShare: I18nService.formatNumber(lang, result.ownerShare),
+          ownerDue: I18nService.formatNumber(lang, result.ownerDue),
+          partialNote:
+            result.ownerDue !== result.ownerShare
+              ? I18nService.t(lang, "owner.partialPaidNote")
+              : "",
+        })).catch(() => {});
       }
     } catch (e) {
+      // Например, остаток к оплате клиента еще не зафиксирован
+      if (e instanceof OrderTransitionError)
+        return ctx.reply(`⚠️ ${e.message}`);
       console.error(e);
-      ctx.answerCbQuery(`❌ Ошибка завершения заказа: ${e.message}`, {
+      ctx.answerCbQuery(ctx.t("brigade.finishFailed", { error: e.message }), {
         show_alert: true,
       });
     }
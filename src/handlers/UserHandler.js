@@ -5,6 +5,14 @@
  * ИСПРАВЛЕНО: Баг с BIGINT (Ошибка доступа при отмене/пинге).
  * ИСПРАВЛЕНО: Добавлена рассылка (СМС) всем Бригадирам при оформлении нового заказа клиентом.
  * ДОБАВЛЕНО: Маркетинговый текст про Умный Дом и дисклеймер о примерной стоимости монтажа до замера.
+ * ДОБАВЛЕНО: Выбор типа объекта в калькуляторе, типы стен из активной версии правил сметы.
+ * ДОБАВЛЕНО: Отправка PDF сметы (коммерческого предложения) документом из карточки объекта.
+ * ДОБАВЛЕНО: Выбор времени выезда инженера (слоты замера) после оформления заявки.
+ * ДОБАВЛЕНО: Включение/отключение уведомлений о статусе объектов в "Мои заявки".
+ * ДОБАВЛЕНО: Локализация (ru/kk/en): клавиатуры и тексты по языку пользователя, выбор языка.
+ * ДОБАВЛЕНО: "Брошенная корзина" через персистентную follow-up цепочку (FollowUpService).
+ * ДОБАВЛЕНО: Выдача OTP командой /webauth пишется в журнал входов (auth_events).
+ * ДОБАВЛЕНО: Кнопки панелей и входа в CRM в главном меню — по правам роли.
  * НИКАКИХ СОКРАЩЕНИЙ.
  *
  * @module UserHandler
@@ -13,7 +21,22 @@
 
 import { Markup } from "telegraf";
 import { UserService } from "../services/UserService.js";
-import { OrderService } from "../services/OrderService.js";
+import { PermissionService } from "../services/PermissionService.js";
+import {
+  OrderService,
+  OrderTransitionError,
+  OBJECT_TYPE_NAMES,
+  ORDER_STATUS,
+} from "../services/OrderService.js";
+import { I18nService, LANGUAGES } from "../services/I18nService.js";
+import { DocumentService } from "../services/DocumentService.js";
+import { NotificationService } from "../services/NotificationService.js";
+import { FollowUpService } from "../services/FollowUpService.js";
+import { AuthService, AUTH_EVENTS } from "../services/AuthService.js";
+import {
+  SchedulingService,
+  formatSlot,
+} from "../services/SchedulingService.js";
 import * as db from "../database/index.js";
 import { getSocketIO } from "../bot.js";
 
@@ -23,96 +46,214 @@ import { getSocketIO } from "../bot.js";
 
 const OWNER_ID = process.env.OWNER_ID || 2041384570;
 
-// Система "Брошенная корзина"
-const PENDING_NOTIFICATIONS = new Map();
-const ABANDONED_TIMEOUT_MS = 15 * 60 * 1000; // 15 минут
+const MAX_VISIT_SLOT_BUTTONS = 12;
 
 const USER_STATES = Object.freeze({
   IDLE: "IDLE",
   WAIT_PHONE: "WAIT_PHONE",
+  CALC_OBJECT_TYPE: "CALC_WAIT_OBJECT_TYPE",
   CALC_AREA: "CALC_WAIT_AREA",
   CALC_WALL: "CALC_WAIT_WALL",
   CALC_ROOMS: "CALC_WAIT_ROOMS",
 });
 
+// Ключи каталога локализации: подпись кнопки зависит от языка пользователя
 const BUTTONS = Object.freeze({
-  CALCULATE: "🚀 Рассчитать стоимость",
-  ORDERS: "📂 Мои заявки",
-  PRICE_LIST: "💰 Прайс-лист",
-  CONTACTS: "📞 Контакты",
-  HOW_WORK: "ℹ️ Как мы работаем",
-  BACK: "🔙 Назад",
-  CANCEL: "❌ Отмена",
-  SHARE_PHONE: "📱 Отправить мой номер телефона",
-  ADMIN_PANEL: "👑 Админ-панель",
-  BRIGADE_PANEL: "👷 Панель Бригадира",
-  WEB_AUTH: "🔑 Доступ в Web CRM",
+  CALCULATE: "buttons.calculate",
+  ORDERS: "buttons.orders",
+  PRICE_LIST: "buttons.priceList",
+  CONTACTS: "buttons.contacts",
+  HOW_WORK: "buttons.howWork",
+  BACK: "buttons.back",
+  CANCEL: "buttons.cancel",
+  SHARE_PHONE: "buttons.sharePhone",
+  ADMIN_PANEL: "buttons.adminPanel",
+  BRIGADE_PANEL: "buttons.brigadePanel",
+  WEB_AUTH: "buttons.webAuth",
+  LANGUAGE: "buttons.language",
 });
 
+// Сообщение Владельцу на его языке интерфейса (params может зависеть от языка)
+const notifyOwner = async (telegram, key, params = {}) => {
+  const lang = await UserService.getUserLanguage(OWNER_ID);
+  const values = typeof params === "function" ? params(lang) : params;
+  return telegram.sendMessage(OWNER_ID, I18nService.t(lang, key, values), {
+    parse_mode: "HTML",
+  });
+};
+
+// Смета оформлена или расчет начат заново — follow-up цепочка не нужна
+const cancelEstimateFollowUp = (userId) =>
+  FollowUpService.cancelEstimateFollowUp(userId).catch((e) =>
+    console.error("[UserHandler] Follow-up cancel failed:", e.message),
+  );
+
+// Название типа объекта на языке пользователя (для старых смет — сохраненное)
+const objectTypeLabel = (lang, params = {}) =>
+  OBJECT_TYPE_NAMES[params.objectType]
+    ? I18nService.t(lang, `objectTypes.${params.objectType}`)
+    : params.objectTypeName;
+
 // =============================================================================
 // 🎹 KEYBOARDS FACTORY
 // =============================================================================
 
 const Keyboards = {
-  mainMenu: (role = "user") => {
+  mainMenu: (permissions = [], lang) => {
+    const label = (key) => I18nService.t(lang, key);
     const buttons = [
-      [BUTTONS.CALCULATE],
-      [BUTTONS.ORDERS, BUTTONS.PRICE_LIST],
-      [BUTTONS.CONTACTS, BUTTONS.HOW_WORK],
+      [label(BUTTONS.CALCULATE)],
+      [label(BUTTONS.ORDERS), label(BUTTONS.PRICE_LIST)],
+      [label(BUTTONS.CONTACTS), label(BUTTONS.HOW_WORK)],
     ];
 
-    if (["owner", "admin"].includes(role)) {
-      buttons.push([BUTTONS.ADMIN_PANEL]);
-      buttons.push([BUTTONS.WEB_AUTH]);
-    }
+    if (permissions.includes("bot.admin_panel"))
+      buttons.push([label(BUTTONS.ADMIN_PANEL)]);
+    if (permissions.includes("bot.brigade_panel"))
+      buttons.push([label(BUTTONS.BRIGADE_PANEL)]);
+    if (permissions.includes("crm.access"))
+      buttons.push([label(BUTTONS.WEB_AUTH)]);
 
-    if (role === "manager") {
-      buttons.push([BUTTONS.BRIGADE_PANEL]);
-      buttons.push([BUTTONS.WEB_AUTH]);
-    }
+    buttons.push([label(BUTTONS.LANGUAGE)]);
 
     return Markup.keyboard(buttons).resize();
   },
 
-  requestPhone: Markup.keyboard([
-    [{ text: BUTTONS.SHARE_PHONE, request_contact: true }],
-  ])
-    .resize()
-    .oneTime(),
-
-  cancel: Markup.keyboard([[BUTTONS.CANCEL]]).resize(),
-
-  wallSelection: Markup.inlineKeyboard([
-    [Markup.button.callback("🧱 Газоблок / ГКЛ", "wall_gas")],
-    [Markup.button.callback("🧱 Кирпич", "wall_brick")],
-    [Markup.button.callback("🏗 Бетон / Монолит", "wall_concrete")],
-  ]),
-
-  estimateActions: Markup.inlineKeyboard([
-    [Markup.button.callback("✅ Оформить выезд инженера", "action_save_order")],
-    [
-      Markup.button.callback("🔄 Пересчитать", "action_recalc"),
-      Markup.button.url("💬 WhatsApp", "https://wa.me/77066066323"),
-    ],
-  ]),
-
-  userOrderActions: (orderId, status) => {
+  requestPhone: (lang) =>
+    Markup.keyboard([
+      [
+        {
+          text: I18nService.t(lang, BUTTONS.SHARE_PHONE),
+          request_contact: true,
+        },
+      ],
+    ])
+      .resize()
+      .oneTime(),
+
+  cancel: (lang) =>
+    Markup.keyboard([[I18nService.t(lang, BUTTONS.CANCEL)]]).resize(),
+
+  objectTypeSelection: (lang) =>
+    Markup.inlineKeyboard(
+      Object.keys(OBJECT_TYPE_NAMES).map((key) => [
+        Markup.button.callback(
+          `🏘 ${I18nService.t(lang, `objectTypes.${key}`)}`,
+          `objtype_${key}`,
+        ),
+      ]),
+    ),
+
+  languageSelection: () =>
+    Markup.inlineKeyboard(
+      Object.values(LANGUAGES).map((lang) => [
+        Markup.button.callback(
+          I18nService.getLanguageName(lang),
+          `set_lang_${lang}`,
+        ),
+      ]),
+    ),
+
+  // Типы стен берутся из активной версии правил сметы для типа объекта
+  wallSelection: (walls) =>
+    Markup.inlineKeyboard(
+      Object.entries(walls).map(([key, wall]) => [
+        Markup.button.callback(`🧱 ${wall.name}`, key),
+      ]),
+    ),
+
+  estimateActions: (lang) =>
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(
+          I18nService.t(lang, "user.orderVisitButton"),
+          "action_save_order",
+        ),
+      ],
+      [
+        Markup.button.callback(
+          I18nService.t(lang, "user.recalcButton"),
+          "action_recalc",
+        ),
+        Markup.button.url("💬 WhatsApp", "https://wa.me/77066066323"),
+      ],
+    ]),
+
+  // Слоты замера: время в callback передается в минутах Unix-эпохи
+  visitSlots: (orderId, slots, lang) => {
     const buttons = [];
-    if (status === "new") {
+    for (let i = 0; i < slots.length; i += 2) {
+      buttons.push(
+        slots
+          .slice(i, i + 2)
+          .map((slot) =>
+            Markup.button.callback(
+              `📅 ${formatSlot(slot.startsAt, lang)}`,
+              `visit_slot_${orderId}_${slot.startsAt.getTime() / 60000}`,
+            ),
+          ),
+      );
+    }
+    buttons.push([
+      Markup.button.callback(
+        I18nService.t(lang, "user.agreeByPhoneButton"),
+        `visit_skip_${orderId}`,
+      ),
+    ]);
+    return Markup.inlineKeyboard(buttons);
+  },
+
+  orderNotifications: (enabled, lang) =>
+    Markup.inlineKeyboard([
+      [
+        enabled
+          ? Markup.button.callback(
+              I18nService.t(lang, "user.notifyDisableButton"),
+              "user_notify_off",
+            )
+          : Markup.button.callback(
+              I18nService.t(lang, "user.notifyEnableButton"),
+              "user_notify_on",
+            ),
+      ],
+    ]),
+
+  userOrderActions: (orderId, status, lang) => {
+    const buttons = [];
+    if (status === ORDER_STATUS.NEW || status === ORDER_STATUS.PROCESSING) {
       buttons.push([
         Markup.button.callback(
-          "❌ Отменить заказ",
+          I18nService.t(lang, "user.pickVisitButton"),
+          `user_pick_visit_${orderId}`,
+        ),
+      ]);
+    }
+    if (status === ORDER_STATUS.NEW) {
+      buttons.push([
+        Markup.button.callback(
+          I18nService.t(lang, "user.cancelOrderButton"),
           `user_cancel_order_${orderId}`,
         ),
       ]);
-    } else if (status === "processing" || status === "work") {
+    } else if (
+      status === ORDER_STATUS.PROCESSING ||
+      status === ORDER_STATUS.WORK
+    ) {
       buttons.push([
         Markup.button.callback(
-          "👨‍💼 Связаться с Руководителем",
+          I18nService.t(lang, "user.pingBossButton"),
           `user_ping_boss_${orderId}`,
         ),
       ]);
     }
+    if (status !== ORDER_STATUS.CANCELED) {
+      buttons.push([
+        Markup.button.callback(
+          I18nService.t(lang, "user.estimatePdfButton"),
+          `user_estimate_pdf_${orderId}`,
+        ),
+      ]);
+    }
     return buttons.length > 0 ? Markup.inlineKeyboard(buttons) : null;
   },
 };
@@ -135,10 +276,7 @@ export const UserHandler = {
         ctx.session.calcData = {};
       }
 
-      if (PENDING_NOTIFICATIONS.has(ctx.from.id)) {
-        clearTimeout(PENDING_NOTIFICATIONS.get(ctx.from.id));
-        PENDING_NOTIFICATIONS.delete(ctx.from.id);
-      }
+      cancelEstimateFollowUp(ctx.from.id);
 
       let role = "user";
       try {
@@ -149,10 +287,8 @@ export const UserHandler = {
           if (!dbUser.phone) {
             ctx.session.state = USER_STATES.WAIT_PHONE;
             return ctx.replyWithHTML(
-              `👋 Привет, <b>${ctx.from.first_name}</b>!\n\n` +
-              `🔒 <b>Верификация профиля</b>\n` +
-              `Для доступа к инженерному калькулятору, пожалуйста, подтвердите ваш номер телефона, нажав кнопку ниже.`,
-              Keyboards.requestPhone,
+              ctx.t("user.verifyPhone", { name: ctx.from.first_name }),
+              Keyboards.requestPhone(ctx.lang),
             );
           }
         }
@@ -163,21 +299,49 @@ export const UserHandler = {
       await this.showMainMenu(ctx, role);
     } catch (error) {
       console.error("[UserHandler] Start Command Error:", error);
-      ctx.reply(
-        "⚠️ Критический сбой системы. Отправьте /start для перезагрузки сессии.",
-      );
+      ctx.reply(ctx.t("user.startFailed"));
     }
   },
 
   async showMainMenu(ctx, role = "user") {
+    const permissions = await PermissionService.getPermissions(role);
     await ctx.replyWithHTML(
-      `👋 <b>Добро пожаловать в ProElectric!</b>\n\n` +
-      `Автоматизированная система управления электромонтажными работами.\n` +
-      `Выберите необходимое действие:`,
-      Keyboards.mainMenu(role),
+      ctx.t("user.welcome"),
+      Keyboards.mainMenu(permissions, ctx.lang),
     );
   },
 
+  /**
+   * ===========================================================================
+   * 🌐 ЯЗЫК ИНТЕРФЕЙСА
+   * ===========================================================================
+   */
+
+  async showLanguageMenu(ctx) {
+    await ctx.replyWithHTML(
+      ctx.t("language.prompt"),
+      Keyboards.languageSelection(),
+    );
+  },
+
+  async setLanguage(ctx, language) {
+    try {
+      await UserService.setUserLanguage(ctx.from.id, language);
+      ctx.session.lang = language;
+      ctx.lang = language;
+
+      await ctx.answerCbQuery().catch(() => { });
+      await ctx.editMessageText(ctx.t("language.changed")).catch(() => { });
+
+      // Клавиатура перерисовывается на новом языке
+      const role = await UserService.getUserRole(ctx.from.id);
+      await this.showMainMenu(ctx, role);
+    } catch (e) {
+      console.error("[UserHandler] Set Language Error:", e);
+      ctx.answerCbQuery(ctx.t("user.systemErrorLater")).catch(() => { });
+    }
+  },
+
   async handleContact(ctx) {
     try {
       if (ctx.session.state !== USER_STATES.WAIT_PHONE) return;
@@ -186,37 +350,24 @@ export const UserHandler = {
       if (contact && contact.user_id === ctx.from.id) {
         await UserService.updateUserPhone(ctx.from.id, contact.phone_number);
 
-        const userLink = ctx.from.username
-          ? `@${ctx.from.username}`
-          : `Без Username`;
-
-        ctx.telegram
-          .sendMessage(
-            OWNER_ID,
-            `🔔 <b>РЕГИСТРАЦИЯ НОВОГО КЛИЕНТА</b>\n` +
-            `➖➖➖➖➖➖➖➖➖➖\n` +
-            `👤 <b>Имя:</b> ${ctx.from.first_name}\n` +
-            `🔗 <b>Telegram:</b> ${userLink}\n` +
-            `🆔 <b>ID:</b> <code>${ctx.from.id}</code>\n` +
-            `📱 <b>Телефон:</b> <code>${contact.phone_number}</code>\n` +
-            `➖➖➖➖➖➖➖➖➖➖\n` +
-            `<i>Пользователь успешно прошел верификацию.</i>`,
-            { parse_mode: "HTML" },
-          )
-          .catch(() => { });
+        notifyOwner(ctx.telegram, "owner.newClient", (lang) => ({
+          name: ctx.from.first_name,
+          link: ctx.from.username
+            ? `@${ctx.from.username}`
+            : I18nService.t(lang, "common.withoutUsername"),
+          id: ctx.from.id,
+          phone: contact.phone_number,
+        })).catch(() => { });
 
         ctx.session.state = USER_STATES.IDLE;
-        await ctx.reply(
-          "✅ Отлично! Ваш номер успешно привязан. Доступ в систему открыт.",
-          { reply_markup: { remove_keyboard: true } },
-        );
+        await ctx.reply(ctx.t("user.phoneLinked"), {
+          reply_markup: { remove_keyboard: true },
+        });
 
         const role = await UserService.getUserRole(ctx.from.id);
         await this.showMainMenu(ctx, role);
       } else {
-        await ctx.reply(
-          "⛔ Пожалуйста, используйте специальную кнопку меню для отправки именно вашего системного контакта.",
-        );
+        await ctx.reply(ctx.t("user.phoneOwnContactOnly"));
       }
     } catch (error) {
       console.error("[UserHandler] Handle Contact Error:", error);
@@ -234,7 +385,11 @@ export const UserHandler = {
       const text = ctx.message.text;
       const state = ctx.session?.state || USER_STATES.IDLE;
 
-      switch (text) {
+      const button = Object.values(BUTTONS).find((key) =>
+        I18nService.matches(text, key),
+      );
+
+      switch (button) {
         case BUTTONS.CALCULATE:
           return this.enterCalculationMode(ctx);
         case BUTTONS.PRICE_LIST:
@@ -245,36 +400,27 @@ export const UserHandler = {
           return this.generateWebOTP(ctx);
         case BUTTONS.CONTACTS:
           return ctx.replyWithHTML(
-            `📞 <b>НАШИ КОНТАКТЫ:</b>\n\n` +
-            `👷‍♂️ Главный Инженер: <b>Ернияз</b>\n` +
-            `📱 Связь: <a href="tel:+77066066323">+7 (706) 606-63-23</a>\n` +
-            `📍 Базирование: г. Алматы`,
+            ctx.t("user.contacts"),
             Markup.inlineKeyboard([
               [
                 Markup.button.url(
-                  "💬 Написать в WhatsApp",
+                  ctx.t("user.writeWhatsApp"),
                   "https://wa.me/77066066323",
                 ),
               ],
             ]),
           );
         case BUTTONS.HOW_WORK:
-          return ctx.replyWithHTML(
-            `<b>🛠 РЕГЛАМЕНТ РАБОТЫ</b>\n\n` +
-            `1️⃣ <b>Предварительный расчет:</b> Вы формируете ТЗ через этот бот.\n` +
-            `2️⃣ <b>Инженерный замер:</b> Специалист изучает объект, согласовывает точки и формирует точную спецификацию.\n` +
-            `3️⃣ <b>Монтаж:</b> Выполнение чернового, а затем чистового этапа работ.\n` +
-            `4️⃣ <b>Гарантия:</b> 1 год на все работы и материалы.`,
-          );
+          return ctx.replyWithHTML(ctx.t("user.howWeWork"));
+        case BUTTONS.LANGUAGE:
+          return this.showLanguageMenu(ctx);
         case BUTTONS.BACK:
         case BUTTONS.CANCEL:
           return this.returnToMainMenu(ctx);
       }
 
       if (state === USER_STATES.WAIT_PHONE)
-        return ctx.reply(
-          "👇 Для работы с ботом требуется нажать кнопку 'Отправить телефон'.",
-        );
+        return ctx.reply(ctx.t("user.pressSharePhone"));
       if (state === USER_STATES.CALC_AREA) return this.processAreaInput(ctx);
       if (state === USER_STATES.CALC_ROOMS) return this.processRoomsInput(ctx);
     } catch (error) {
@@ -289,19 +435,20 @@ export const UserHandler = {
    */
   async generateWebOTP(ctx) {
     try {
-      const { otp, phone } = await UserService.generateWebOTP(ctx.from.id);
-
-      const message =
-        `🔐 <b>Доступ в Web CRM</b>\n` +
-        `➖➖➖➖➖➖➖➖➖➖\n` +
-        `👤 <b>Ваш логин:</b> <code>${phone}</code>\n` +
-        `🔑 <b>Временный пароль:</b> <code>${otp}</code>\n` +
-        `➖➖➖➖➖➖➖➖➖➖\n` +
-        `<i>⏳ Пароль действительен 15 минут. После входа он будет автоматически сброшен (одноразовый). Никому не сообщайте этот код!</i>`;
-
-      await ctx.replyWithHTML(message);
+      const { otp, phone, expiresIn } = await UserService.generateWebOTP(
+        ctx.from.id,
+      );
+      await AuthService.recordEvent(AUTH_EVENTS.OTP_ISSUED, {
+        userId: ctx.from.id,
+        phone: phone.replace(/\D/g, "").slice(-10),
+        meta: { channel: "telegram" },
+      });
+
+      await ctx.replyWithHTML(
+        ctx.t("user.webOtp", { phone, otp, minutes: expiresIn }),
+      );
     } catch (error) {
-      await ctx.reply(`❌ Ошибка доступа: ${error.message}`);
+      await ctx.reply(ctx.t("user.webOtpFailed", { error: error.message }));
     }
   },
 
@@ -312,17 +459,29 @@ export const UserHandler = {
    */
 
   async enterCalculationMode(ctx) {
-    ctx.session.state = USER_STATES.CALC_AREA;
+    ctx.session.state = USER_STATES.CALC_OBJECT_TYPE;
     ctx.session.calcData = {};
 
-    if (PENDING_NOTIFICATIONS.has(ctx.from.id)) {
-      clearTimeout(PENDING_NOTIFICATIONS.get(ctx.from.id));
-      PENDING_NOTIFICATIONS.delete(ctx.from.id);
+    cancelEstimateFollowUp(ctx.from.id);
+
+    await ctx.replyWithHTML(
+      ctx.t("user.calcStep1"),
+      Keyboards.objectTypeSelection(ctx.lang),
+    );
+  },
+
+  async handleObjectTypeSelection(ctx) {
+    if (ctx.session.state !== USER_STATES.CALC_OBJECT_TYPE) {
+      return ctx.answerCbQuery(ctx.t("user.calcExpired"));
     }
 
+    ctx.session.calcData.objectType = ctx.match[1];
+    ctx.session.state = USER_STATES.CALC_AREA;
+
+    await ctx.answerCbQuery();
     await ctx.replyWithHTML(
-      "📏 <b>Шаг 1 из 3:</b>\nВведите общую площадь помещения в квадратных метрах (число):",
-      Keyboards.cancel,
+      ctx.t("user.calcStep2"),
+      Keyboards.cancel(ctx.lang),
     );
   },
 
@@ -331,24 +490,24 @@ export const UserHandler = {
     const area = parseFloat(input);
 
     if (isNaN(area) || area < 5 || area > 5000) {
-      return ctx.reply(
-        "⚠️ Ошибка валидации: площадь должна быть числом от 5 до 5000 м².",
-      );
+      return ctx.reply(ctx.t("user.areaInvalid"));
     }
 
     ctx.session.calcData.area = area;
     ctx.session.state = USER_STATES.CALC_WALL;
+
+    const ruleSet = await OrderService.getEstimateRuleSet(
+      ctx.session.calcData.objectType,
+    );
     await ctx.replyWithHTML(
-      "🧱 <b>Шаг 2 из 3:</b>\nВыберите основной материал конструктива стен:",
-      Keyboards.wallSelection,
+      ctx.t("user.calcStep3"),
+      Keyboards.wallSelection(ruleSet.rules.walls),
     );
   },
 
   async handleWallSelection(ctx) {
     if (ctx.session.state !== USER_STATES.CALC_WALL) {
-      return ctx.answerCbQuery(
-        "⚠️ Сессия расчета устарела. Запустите калькулятор заново.",
-      );
+      return ctx.answerCbQuery(ctx.t("user.calcExpired"));
     }
 
     ctx.session.calcData.wallType = ctx.match[0];
@@ -356,17 +515,15 @@ export const UserHandler = {
 
     await ctx.answerCbQuery();
     await ctx.replyWithHTML(
-      "🚪 <b>Шаг 3 из 3:</b>\nУкажите количество комнат (учитывая кухню, если она изолирована):",
-      Keyboards.cancel,
+      ctx.t("user.calcStep4"),
+      Keyboards.cancel(ctx.lang),
     );
   },
 
   async processRoomsInput(ctx) {
     const rooms = parseInt(ctx.message.text);
     if (isNaN(rooms) || rooms < 1 || rooms > 50) {
-      return ctx.reply(
-        "⚠️ Ошибка валидации: введите целое число комнат (например: 2).",
-      );
+      return ctx.reply(ctx.t("user.roomsInvalid"));
     }
 
     const data = ctx.session.calcData;
@@ -376,64 +533,36 @@ export const UserHandler = {
       data.area,
       data.rooms,
       data.wallType,
+      data.objectType,
     );
     ctx.session.lastEstimate = estimate;
 
-    const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
+    const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
     const bomCount = estimate.bom?.length || 0;
 
     // 🔥 ИСПРАВЛЕНО: Текст сметы обновлен. Добавлены дисклеймер и блок Умного Дома.
-    const invoice =
-      `📋 <b>ПРЕДВАРИТЕЛЬНАЯ СМЕТА v10.0.0</b>\n` +
-      `➖➖➖➖➖➖➖➖➖➖\n` +
-      `🏠 <b>Параметры:</b> ${data.area} м² / ${data.rooms} комн.\n` +
-      `🧱 <b>Конструктив:</b> ${estimate.params.wallType}\n\n` +
-      `🛠 <b>ИНЖЕНЕРНЫЕ ОБЪЕМЫ (Расчетные):</b>\n` +
-      `• Электроточки: <b>${estimate.volume.points} шт.</b> (вкл. розеток: ${estimate.volume.detailedPoints.sockets})\n` +
-      `• Штробление трасс: <b>${estimate.volume.strobe} м.</b>\n` +
-      `• Кабельные линии: <b>${estimate.volume.cable} м.</b>\n` +
-      `• Коммутационный щит: <b>${estimate.volume.modules} мод.</b>\n` +
-      `➖➖➖➖➖➖➖➖➖➖\n` +
-      `💰 <b>ПРИМЕРНАЯ СТОИМОСТЬ РАБОТ: ~${fmt(estimate.total.work)} ₸</b>\n` +
-      `⚠️ <i>Внимание: Это автоматический предварительный расчет. Итоговая точная цена фиксируется только после детального инженерного замера на объекте!</i>\n\n` +
-      `📦 <b>ЧЕРНОВОЙ МАТЕРИАЛ:</b>\n` +
-      `<i>Алгоритм сгенерировал спецификацию (BOM) на сумму ~${fmt(estimate.total.material_info)} ₸ (${bomCount} позиций). Точный список материалов мы составим и согласуем после замера.</i>\n\n` +
-      `🤖 <b>УМНЫЙ ДОМ (SMART HOME):</b>\n` +
-      `<i>Управляйте светом, розетками и шторами с телефона или голосом через Алису! Мы интегрируем современные решения без лишних проводов. Скажите нашему инженеру на замере, и мы подготовим проект умного дома.</i>\n\n` +
-      `👇 <i>Для вызова инженера и фиксации сметы нажмите кнопку ниже.</i>`;
+    const invoice = ctx.t("user.estimate", {
+      objectType: objectTypeLabel(ctx.lang, estimate.params),
+      area: data.area,
+      rooms: data.rooms,
+      wallType: estimate.params.wallType,
+      points: estimate.volume.points,
+      sockets: estimate.volume.detailedPoints.sockets,
+      strobe: estimate.volume.strobe,
+      cable: estimate.volume.cable,
+      modules: estimate.volume.modules,
+      work: fmt(estimate.total.work),
+      material: fmt(estimate.total.material_info),
+      bomCount,
+    });
 
     ctx.session.state = USER_STATES.IDLE;
-    await ctx.replyWithHTML(invoice, Keyboards.estimateActions);
-
-    if (PENDING_NOTIFICATIONS.has(ctx.from.id))
-      clearTimeout(PENDING_NOTIFICATIONS.get(ctx.from.id));
+    await ctx.replyWithHTML(invoice, Keyboards.estimateActions(ctx.lang));
 
-    const timeoutId = setTimeout(async () => {
-      try {
-        const userProfile = await UserService.getUserProfile(ctx.from.id);
-        const userLink = ctx.from.username ? `@${ctx.from.username}` : `Скрыт`;
-
-        await ctx.telegram.sendMessage(
-          OWNER_ID,
-          `⚠️ <b>АЛЕРТ: БРОШЕННАЯ КОРЗИНА</b>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `👤 <b>Клиент:</b> ${ctx.from.first_name}\n` +
-          `🔗 <b>Telegram:</b> ${userLink}\n` +
-          `📱 <b>Телефон:</b> <code>${userProfile?.phone || "Нет данных"}</code>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `🏠 <b>Данные:</b> ${data.area} м² / ${data.rooms} комн. (${estimate.params.wallType})\n` +
-          `💰 <b>Примерная сумма работ: ~${fmt(estimate.total.work)} ₸</b>\n\n` +
-          `<i>💡 Аналитика: Клиент сделал расчет 15 минут назад, но не нажал кнопку оформления. Свяжитесь с ним для подогрева лида!</i>`,
-          { parse_mode: "HTML" },
-        );
-      } catch (e) {
-        console.error("Failed to execute abandoned cart trigger", e);
-      } finally {
-        PENDING_NOTIFICATIONS.delete(ctx.from.id);
-      }
-    }, ABANDONED_TIMEOUT_MS);
-
-    PENDING_NOTIFICATIONS.set(ctx.from.id, timeoutId);
+    // Брошенная корзина: алерт Владельцу и напоминания клиенту (шаги в настройках)
+    FollowUpService.startEstimateFollowUp(ctx.from, estimate).catch((e) =>
+      console.error("[UserHandler] Estimate follow-up failed:", e.message),
+    );
   },
 
   /**
@@ -445,76 +574,67 @@ export const UserHandler = {
   async saveOrderAction(ctx) {
     try {
       const estimate = ctx.session.lastEstimate;
-      if (!estimate)
-        return ctx.answerCbQuery(
-          "⚠️ Время сессии истекло. Пожалуйста, сделайте расчет заново.",
-        );
+      if (!estimate) return ctx.answerCbQuery(ctx.t("user.sessionExpired"));
 
-      if (PENDING_NOTIFICATIONS.has(ctx.from.id)) {
-        clearTimeout(PENDING_NOTIFICATIONS.get(ctx.from.id));
-        PENDING_NOTIFICATIONS.delete(ctx.from.id);
-      }
+      cancelEstimateFollowUp(ctx.from.id);
 
-      const order = await OrderService.createOrder(ctx.from.id, estimate);
+      const order = await OrderService.createOrder(ctx.from.id, estimate, {
+        id: ctx.from.id,
+        source: "bot",
+      });
       const userProfile = await UserService.getUserProfile(ctx.from.id);
 
-      await ctx.answerCbQuery("✅ Объект успешно зарегистрирован в базе!");
+      await ctx.answerCbQuery(ctx.t("user.orderRegistered"));
       await ctx.editMessageText(
-        `✅ <b>Заявка на объект #${order.id} подтверждена!</b>\n\n` +
-        `Ваш объект размещен на бирже. В ближайшее время инженер свяжется с вами для согласования удобного времени выезда на замер.\n` +
-        `Контролировать статус объекта можно в разделе "Мои заявки".`,
+        ctx.t("user.orderConfirmed", { id: order.id }),
         { parse_mode: "HTML" },
       );
 
       ctx.session.lastEstimate = null;
       ctx.session.calcData = null;
 
-      const userLink = ctx.from.username ? `@${ctx.from.username}` : `Скрыт`;
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
+      await this.sendVisitSlots(ctx, order);
+
       const bomCount = estimate.bom?.length || 0;
 
       // Уведомление Шефу
-      ctx.telegram
-        .sendMessage(
-          OWNER_ID,
-          `🆕 <b>РЕГИСТРАЦИЯ НОВОГО ОБЪЕКТА #${order.id}</b>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `👤 <b>Заказчик:</b> ${ctx.from.first_name}\n` +
-          `🔗 <b>Telegram:</b> ${userLink}\n` +
-          `📱 <b>Контакт:</b> <code>${userProfile?.phone || "Нет данных"}</code>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `🏠 <b>Геометрия:</b> ${estimate.params.area} м² | ${estimate.params.rooms} комн.\n` +
-          `🧱 <b>Конструктив:</b> ${estimate.params.wallType}\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `💰 <b>Примерная сумма (Работа): ~${fmt(estimate.total.work)} ₸</b>\n` +
-          `📦 <i>BOM Спецификация сгенерирована: ${bomCount} позиций (~${fmt(estimate.total.material_info)} ₸)</i>\n\n` +
-          `<i>⚡️ Заказ отправлен Бригадам на Биржу.</i>`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => { });
+      notifyOwner(ctx.telegram, "owner.newOrder", (lang) => ({
+        id: order.id,
+        name: ctx.from.first_name,
+        link: ctx.from.username
+          ? `@${ctx.from.username}`
+          : I18nService.t(lang, "common.hidden"),
+        phone: userProfile?.phone || I18nService.t(lang, "common.noData"),
+        area: estimate.params.area,
+        rooms: estimate.params.rooms,
+        wallType: estimate.params.wallType,
+        work: I18nService.formatNumber(lang, estimate.total.work),
+        bomCount,
+        material: I18nService.formatNumber(lang, estimate.total.material_info),
+      })).catch(() => { });
 
       // Рассылка СМС (уведомлений) всем Бригадирам на Биржу
       try {
-        const managersRes = await db.query(
-          "SELECT telegram_id FROM users WHERE role = 'manager'",
-        );
-        for (const manager of managersRes.rows) {
+        const managers = await db.getUsersWithPermission("orders.take", {
+          includeOwner: false,
+        });
+        for (const manager of managers) {
+          const lang = manager.language_code;
           await ctx.telegram
             .sendMessage(
               manager.telegram_id,
-              `⚡️ <b>НОВЫЙ ОБЪЕКТ НА БИРЖЕ!</b>\n` +
-              `➖➖➖➖➖➖➖➖➖➖\n` +
-              `💰 <b>Примерная смета:</b> ~${fmt(estimate.total.work)} ₸\n` +
-              `📐 <b>Объем:</b> ${estimate.params.area} м² / Комнат: ${estimate.params.rooms}\n` +
-              `➖➖➖➖➖➖➖➖➖➖\n` +
-              `<i>Кто первый заберет, того и объект!</i>`,
+              I18nService.t(lang, "brigade.marketPush", {
+                work: I18nService.formatNumber(lang, estimate.total.work),
+                area: estimate.params.area,
+                rooms: estimate.params.rooms,
+              }),
               {
                 parse_mode: "HTML",
                 reply_markup: {
                   inline_keyboard: [
                     [
                       {
-                        text: "✅ Забрать объект",
+                        text: I18nService.t(lang, "brigade.takeButton"),
                         callback_data: `take_order_${order.id}`,
                       },
                     ],
@@ -529,10 +649,8 @@ export const UserHandler = {
       }
     } catch (error) {
       console.error("[UserHandler] Save Order Error:", error);
-      ctx.answerCbQuery("❌ Системный сбой").catch(() => { });
-      ctx.reply(
-        "❌ Произошла ошибка базы данных. Попробуйте оформить заявку позже.",
-      );
+      ctx.answerCbQuery(ctx.t("user.systemFailure")).catch(() => { });
+      ctx.reply(ctx.t("user.orderSaveFailed"));
     }
   },
 
@@ -540,36 +658,34 @@ export const UserHandler = {
     try {
       const orders = await OrderService.getUserOrders(ctx.from.id);
       if (!orders || orders.length === 0) {
-        return ctx.reply(
-          "📂 В данный момент у вас нет активных или завершенных объектов.",
-        );
+        return ctx.reply(ctx.t("user.noOrders"));
       }
 
-      const statusMap = {
-        new: "🆕 В обработке (Поиск Бригады)",
-        processing: "⏳ Назначен замер",
-        work: "🔨 В процессе монтажа",
-        done: "✅ Успешно сдан",
-        cancel: "❌ Отменен/Отказ",
-      };
-
-      const fmt = (n) => new Intl.NumberFormat("ru-RU").format(n);
+      const fmt = (n) => I18nService.formatNumber(ctx.lang, n);
 
-      await ctx.replyWithHTML(`📂 <b>РЕЕСТР ВАШИХ ОБЪЕКТОВ:</b>`);
+      await ctx.replyWithHTML(ctx.t("user.ordersHeader"));
 
       for (const o of orders) {
         const finalPrice = o.details?.financials?.final_price ?? o.total_price;
         // Если заказ новый или в обработке, показываем что цена примерная
-        const isFinal = o.status === 'work' || o.status === 'done';
-        const priceLabel = isFinal ? "Договорная стоимость" : "Примерная стоимость";
+        const isFinal =
+          o.status === ORDER_STATUS.WORK || o.status === ORDER_STATUS.DONE;
+        const priceLabel = ctx.t(
+          isFinal ? "user.priceFinal" : "user.priceApprox",
+        );
         const pricePrefix = isFinal ? "" : "~";
+        const statusKey = `clientStatus.${o.status}`;
+        const statusLabel = ctx.t(statusKey);
+
+        const msg = ctx.t("user.orderCard", {
+          id: o.id,
+          status: statusLabel === statusKey ? o.status : statusLabel,
+          priceLabel,
+          price: `${pricePrefix}${fmt(finalPrice)}`,
+          date: I18nService.formatDate(ctx.lang, o.created_at),
+        });
 
-        const msg =
-          `<b>Объект #${o.id}</b> | ${statusMap[o.status] || o.status}\n` +
-          `💰 ${priceLabel}: <b>${pricePrefix}${fmt(finalPrice)} ₸</b>\n` +
-          `📅 Дата создания: <i>${new Date(o.created_at).toLocaleDateString("ru-RU")}</i>`;
-
-        const keyboard = Keyboards.userOrderActions(o.id, o.status);
+        const keyboard = Keyboards.userOrderActions(o.id, o.status, ctx.lang);
 
         if (keyboard) {
           await ctx.replyWithHTML(msg, keyboard);
@@ -579,9 +695,119 @@ export const UserHandler = {
 
         await new Promise((res) => setTimeout(res, 100));
       }
+
+      const profile = await UserService.getUserProfile(ctx.from.id);
+      const enabled = profile?.notify_order_updates !== false;
+      await ctx.replyWithHTML(
+        ctx.t(enabled ? "user.notifyEnabledInfo" : "user.notifyDisabledInfo"),
+        Keyboards.orderNotifications(enabled, ctx.lang),
+      );
     } catch (e) {
       console.error("[UserHandler] Show Orders Error:", e);
-      ctx.reply("⚠️ Ошибка синхронизации с базой данных.");
+      ctx.reply(ctx.t("user.syncError"));
+    }
+  },
+
+  /**
+   * ===========================================================================
+   * 📅 ЗАПИСЬ НА ЗАМЕР (ВЫБОР СЛОТА)
+   * ===========================================================================
+   */
+
+  async sendVisitSlots(ctx, order) {
+    try {
+      const slots = await SchedulingService.getAvailableVisitSlots({
+        brigadeId: order.brigade_id || null,
+      });
+      if (slots.length === 0) {
+        return ctx.reply(ctx.t("user.noSlots"));
+      }
+      await ctx.replyWithHTML(
+        ctx.t("user.pickSlot", { id: order.id }),
+        Keyboards.visitSlots(
+          order.id,
+          slots.slice(0, MAX_VISIT_SLOT_BUTTONS),
+          ctx.lang,
+        ),
+      );
+    } catch (e) {
+      console.error("[UserHandler] Visit Slots Error:", e);
+      ctx.reply(ctx.t("user.slotsFailed"));
+    }
+  },
+
+  async showVisitSlots(ctx, orderId) {
+    const order = await OrderService.getOrderById(orderId);
+    if (!order || String(order.user_id) !== String(ctx.from.id)) {
+      return ctx.answerCbQuery(ctx.t("user.orderAccessDenied"), {
+        show_alert: true,
+      });
+    }
+    await ctx.answerCbQuery().catch(() => { });
+    return this.sendVisitSlots(ctx, order);
+  },
+
+  async bookVisitSlot(ctx, orderId, epochMinutes) {
+    try {
+      const order = await OrderService.getOrderById(orderId);
+      if (!order || String(order.user_id) !== String(ctx.from.id)) {
+        return ctx.answerCbQuery(ctx.t("user.orderAccessDenied"), {
+          show_alert: true,
+        });
+      }
+
+      const appointment = await SchedulingService.bookVisit(
+        order.id,
+        new Date(Number(epochMinutes) * 60000),
+        { id: ctx.from.id, source: "bot" },
+      );
+      const when = formatSlot(appointment.starts_at, ctx.lang);
+
+      await ctx.answerCbQuery(ctx.t("user.slotBooked"));
+      await ctx.editMessageText(
+        ctx.t("user.visitBooked", { id: order.id, when }),
+        { parse_mode: "HTML" },
+      );
+
+      notifyOwner(ctx.telegram, "owner.visitBooked", (lang) => ({
+        id: order.id,
+        when: formatSlot(appointment.starts_at, lang),
+      })).catch(() => { });
+
+      const io = getSocketIO();
+      if (io) io.emit("appointment_updated", { orderId: order.id });
+    } catch (e) {
+      console.error("[UserHandler] Book Visit Error:", e);
+      ctx.answerCbQuery(`⚠️ ${e.message}`, { show_alert: true }).catch(
+        () => { },
+      );
+    }
+  },
+
+  async skipVisitSlot(ctx, orderId) {
+    await ctx.answerCbQuery().catch(() => { });
+    await ctx
+      .editMessageText(ctx.t("user.visitByPhone", { id: orderId }))
+      .catch(() => { });
+  },
+
+  async toggleOrderNotifications(ctx, enabled) {
+    try {
+      const state = await NotificationService.setOrderNotifications(
+        ctx.from.id,
+        enabled,
+      );
+      await ctx.answerCbQuery(
+        ctx.t(state ? "user.notifyOn" : "user.notifyOff"),
+      );
+      await ctx
+        .editMessageReplyMarkup(
+          Keyboards.orderNotifications(state, ctx.lang).reply_markup,
+        )
+        .catch(() => { });
+    } catch (e) {
+      console.error("[UserHandler] Notification Toggle Error:", e);
+      ctx.answerCbQuery(ctx.t("user.notifyToggleFailed")).catch(() => { });
     }
   },
 
@@ -590,39 +816,44 @@ export const UserHandler = {
     try {
       const order = await OrderService.getOrderById(orderId);
       if (!order || String(order.user_id) !== String(ctx.from.id)) {
-        return ctx.answerCbQuery("⚠️ Это не ваш заказ или он не найден.", {
+        return ctx.answerCbQuery(ctx.t("user.notYourOrder"), {
           show_alert: true,
         });
       }
-      if (order.status !== "new") {
-        return ctx.answerCbQuery(
-          "⚠️ Этот заказ уже обрабатывается Бригадой. Отмена невозможна.",
-          { show_alert: true },
-        );
+      if (order.status !== ORDER_STATUS.NEW) {
+        return ctx.answerCbQuery(ctx.t("user.cancelNotAllowed"), {
+          show_alert: true,
+        });
       }
 
-      await OrderService.updateOrderStatus(orderId, "cancel");
+      await OrderService.updateOrderStatus(orderId, ORDER_STATUS.CANCELED, {
+        actor: { id: ctx.from.id, source: "bot" },
+      });
 
       const io = getSocketIO();
-      if (io) io.emit("order_updated", { orderId, status: "cancel" });
+      if (io)
+        io.emit("order_updated", {
+          orderId,
+          status: ORDER_STATUS.CANCELED,
+        });
 
-      await ctx.editMessageText(
-        `❌ <b>Объект #${orderId} успешно отменен.</b>\nЗаявка отозвана и удалена с биржи.`,
-        { parse_mode: "HTML" },
-      );
-      await ctx.answerCbQuery("✅ Заказ отменен");
+      await ctx.editMessageText(ctx.t("user.orderCancelled", { id: orderId }), {
+        parse_mode: "HTML",
+      });
+      await ctx.answerCbQuery(ctx.t("user.orderCancelledToast"));
 
       // Уведомляем Шефа
-      ctx.telegram
-        .sendMessage(
-          OWNER_ID,
-          `⚠️ <b>ОТМЕНА ЗАКАЗА КЛИЕНТОМ</b>\nКлиент отменил свой объект <b>#${orderId}</b>.`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => { });
+      notifyOwner(ctx.telegram, "owner.clientCancelled", { id: orderId }).catch(
+        () => { },
+      );
     } catch (e) {
       console.error("Ошибка отмены клиентом:", e);
-      ctx.answerCbQuery("❌ Ошибка при отмене заказа.");
+      ctx.answerCbQuery(
+        e instanceof OrderTransitionError
+          ? `⚠️ ${e.message}`
+          : ctx.t("user.cancelFailed"),
+        { show_alert: true },
+      );
     }
   },
 
@@ -631,34 +862,49 @@ export const UserHandler = {
     try {
       const order = await OrderService.getOrderById(orderId);
       if (!order || String(order.user_id) !== String(ctx.from.id)) {
-        return ctx.answerCbQuery("⚠️ Ошибка доступа: Заказ не найден.", {
+        return ctx.answerCbQuery(ctx.t("user.orderAccessDenied"), {
           show_alert: true,
         });
       }
 
       const userProfile = await UserService.getUserProfile(ctx.from.id);
-      const phone = userProfile?.phone || "Не указан";
-
-      await ctx.telegram
-        .sendMessage(
-          OWNER_ID,
-          `🔔 <b>ВНИМАНИЕ! ЗАПРОС ОТ КЛИЕНТА</b>\n` +
-          `➖➖➖➖➖➖➖➖➖➖\n` +
-          `Клиент по объекту <b>#${orderId}</b> просит вас срочно связаться с ним!\n` +
-          `Его Telegram: @${ctx.from.username || "Скрыт"}\n` +
-          `Телефон: <code>${phone}</code>\n` +
-          `➖➖➖➖➖➖➖➖➖➖`,
-          { parse_mode: "HTML" },
-        )
-        .catch(() => { });
 
-      await ctx.answerCbQuery(
-        "✅ Руководитель уведомлен и скоро свяжется с вами!",
-        { show_alert: true },
-      );
+      await notifyOwner(ctx.telegram, "owner.clientPing", (lang) => ({
+        id: orderId,
+        username: ctx.from.username || I18nService.t(lang, "common.hidden"),
+        phone: userProfile?.phone || I18nService.t(lang, "common.notSpecified"),
+      })).catch(() => { });
+
+      await ctx.answerCbQuery(ctx.t("user.bossNotified"), { show_alert: true });
     } catch (e) {
       console.error("Ошибка пинга шефа:", e);
-      ctx.answerCbQuery("❌ Системная ошибка. Попробуйте позже.");
+      ctx.answerCbQuery(ctx.t("user.systemErrorLater"));
+    }
+  },
+
+  // 📄 PDF смета / коммерческое предложение по объекту клиента
+  async sendEstimatePdf(ctx, orderId) {
+    try {
+      const order = await OrderService.getOrderById(orderId);
+      if (!order || String(order.user_id) !== String(ctx.from.id)) {
+        return ctx.answerCbQuery(ctx.t("user.orderAccessDenied"), {
+          show_alert: true,
+        });
+      }
+
+      await ctx.answerCbQuery(ctx.t("user.pdfPreparing"));
+      const { buffer, filename } =
+        await DocumentService.getOrderEstimatePdf(orderId);
+
+      await ctx.replyWithDocument(
+        { source: buffer, filename },
+        {
+          caption: ctx.t("user.pdfCaption", { id: orderId }),
+        },
+      );
+    } catch (e) {
+      console.error("[UserHandler] Estimate PDF Error:", e);
+      ctx.reply(ctx.t("user.pdfFailed"));
     }
   },
 
@@ -668,7 +914,7 @@ export const UserHandler = {
   async showPriceList(ctx) {
     try {
       const pricelist = await OrderService.getPublicPricelist();
-      let msg = `💰 <b>СИСТЕМНЫЙ ПРАЙС-ЛИСТ (v10.0.0)</b>\n\n`;
+      let msg = ctx.t("user.priceListTitle");
 
       if (Array.isArray(pricelist)) {
         pricelist.forEach((section) => {
@@ -679,24 +925,15 @@ export const UserHandler = {
           msg += `\n`;
         });
       } else {
-        msg +=
-          `<b>🧱 Подготовка (Черновая стадия):</b>\n` +
-          `🔹 Штроба (Бетон/Монолит): <b>${pricelist.strobeConcrete} ₸/м</b>\n` +
-          `🔹 Штроба (Кирпич): <b>${pricelist.strobeBrick} ₸/м</b>\n` +
-          `🔹 Штроба (Газоблок/ГКЛ): <b>${pricelist.strobeGas} ₸/м</b>\n` +
-          `🔹 Бурение лунки под точку: <b>${pricelist.drillConcrete}</b>\n\n` +
-          `<b>⚡️ Монтаж (Инженерия):</b>\n` +
-          `🔹 Прокладка кабельной трассы: <b>${pricelist.cable} ₸/м</b>\n` +
-          `🔹 Монтаж механизма розетки/выкл.: <b>${pricelist.socket} ₸/шт</b>\n` +
-          `🔹 Сборка и коммутация щита: <b>${pricelist.shield}</b>\n\n`;
+        msg += ctx.t("user.priceListLegacy", pricelist);
       }
 
-      msg += `<i>* Прайс является базовым. Финальная смета формируется алгоритмом с учетом надбавок за гофру, кабель-каналы и конфигурацию конкретного объекта.</i>`;
+      msg += ctx.t("user.priceListFootnote");
 
       await ctx.replyWithHTML(msg);
     } catch (e) {
       console.error("[UserHandler] Pricelist Error:", e);
-      ctx.reply("⚠️ Модуль выгрузки прайс-листа временно недоступен.");
+      ctx.reply(ctx.t("user.priceListFailed"));
     }
   },
 
@@ -0,0 +1,700 @@
+/**
+ * @file src/locales/en.js
+ * @description Каталог строк Telegram-бота: английский язык.
+ * Структура ключей совпадает с ru.js.
+ *
+ * @module LocaleEn
+ */
+
+export default {
+  languageName: "🇬🇧 English",
+
+  buttons: {
+    calculate: "🚀 Calculate cost",
+    orders: "📂 My orders",
+    priceList: "💰 Price list",
+    contacts: "📞 Contacts",
+    howWork: "ℹ️ How we work",
+    back: "🔙 Back",
+    cancel: "❌ Cancel",
+    sharePhone: "📱 Share my phone number",
+    adminPanel: "👑 Admin panel",
+    brigadePanel: "👷 Foreman panel",
+    webAuth: "🔑 Web CRM access",
+    language: "🌐 Язык / Тіл / Language",
+    market: "💼 Order market",
+    myObjects: "🛠 My sites",
+    finance: "💸 Balance & earnings",
+    toMainMenu: "🔙 Main menu",
+    dashboard: "📊 Financial report",
+    registry: "📦 Site registry",
+    brigades: "🏗 Crew management",
+    priceSettings: "⚙️ Price settings",
+    staff: "👥 Staff",
+    sqlConsole: "👨‍💻 SQL terminal",
+    backup: "💾 Database dump",
+    serverStats: "🖥 Server status",
+  },
+
+  common: {
+    cancelWord: "cancel",
+    mainMenu: "🏠 Main menu",
+    systemError:
+      "⚠️ <b>A system error occurred.</b>\nPlease try again later or send /start to restart.",
+    hidden: "Hidden",
+    noData: "No data",
+    notSpecified: "Not specified",
+    noNotes: "No notes",
+    customer: "Customer",
+    none: "None",
+    withoutUsername: "No username",
+  },
+
+  language: {
+    prompt: "🌐 <b>Choose your language</b>\nВыберите язык · Тілді таңдаңыз",
+    changed: "✅ Interface language: English",
+  },
+
+  objectTypes: {
+    apartment: "Apartment",
+    house: "House",
+    office: "Office",
+    commercial: "Commercial premises",
+  },
+
+  walls: {
+    wall_gas: "Aerated block / Drywall",
+    wall_brick: "Brick",
+    wall_concrete: "Concrete / Monolith",
+  },
+
+  clientStatus: {
+    new: "🆕 Processing (looking for a crew)",
+    processing: "⏳ Site survey scheduled",
+    work: "🔨 Installation in progress",
+    material: "📦 Waiting for materials",
+    payment: "💳 Awaiting payment",
+    done: "✅ Completed",
+    cancel: "❌ Cancelled",
+  },
+
+  user: {
+    verifyPhone:
+      "👋 Hi, <b>{name}</b>!\n\n" +
+      "🔒 <b>Profile verification</b>\n" +
+      "To use the engineering calculator, please confirm your phone number by tapping the button below.",
+    startFailed:
+      "⚠️ Critical system failure. Send /start to restart the session.",
+    welcome:
+      "👋 <b>Welcome to ProElectric!</b>\n\n" +
+      "An automated management system for electrical installation works.\n" +
+      "Choose an action:",
+    phoneLinked: "✅ Great! Your number has been linked. Access granted.",
+    phoneOwnContactOnly:
+      "⛔ Please use the dedicated menu button to share your own contact.",
+    pressSharePhone: "👇 To use the bot, tap the 'Share phone' button.",
+    contacts:
+      "📞 <b>OUR CONTACTS:</b>\n\n" +
+      "👷‍♂️ Chief engineer: <b>Yerniyaz</b>\n" +
+      '📱 Phone: <a href="tel:+77066066323">+7 (706) 606-63-23</a>\n' +
+      "📍 Based in: Almaty",
+    writeWhatsApp: "💬 Message on WhatsApp",
+    howWeWork:
+      "<b>🛠 HOW WE WORK</b>\n\n" +
+      "1️⃣ <b>Preliminary estimate:</b> you describe the job through this bot.\n" +
+      "2️⃣ <b>Site survey:</b> an engineer inspects the site, agrees on the points and prepares an exact specification.\n" +
+      "3️⃣ <b>Installation:</b> rough-in works followed by finishing works.\n" +
+      "4️⃣ <b>Warranty:</b> 1 year on all works and materials.",
+    webOtp:
+      "🔐 <b>Web CRM access</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Your login:</b> <code>{phone}</code>\n" +
+      "🔑 <b>One-time password:</b> <code>{otp}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>⏳ The password is valid for {minutes} minutes and is reset after you sign in. Never share this code!</i>",
+    webOtpFailed: "❌ Access error: {error}",
+
+    calcStep1: "🏘 <b>Step 1 of 4:</b>\nChoose the property type:",
+    calcStep2:
+      "📏 <b>Step 2 of 4:</b>\nEnter the total floor area in square meters (a number):",
+    calcStep3: "🧱 <b>Step 3 of 4:</b>\nChoose the main wall material:",
+    calcStep4:
+      "🚪 <b>Step 4 of 4:</b>\nEnter the number of rooms (including the kitchen if it is separate):",
+    calcExpired:
+      "⚠️ The estimate session has expired. Start the calculator again.",
+    areaInvalid:
+      "⚠️ Validation error: the area must be a number from 5 to 5000 m².",
+    roomsInvalid:
+      "⚠️ Validation error: enter a whole number of rooms (e.g. 2).",
+    estimate:
+      "📋 <b>PRELIMINARY ESTIMATE v10.0.0</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏘 <b>Property type:</b> {objectType}\n" +
+      "🏠 <b>Parameters:</b> {area} m² / {rooms} rooms\n" +
+      "🧱 <b>Walls:</b> {wallType}\n\n" +
+      "🛠 <b>ENGINEERING VOLUMES (estimated):</b>\n" +
+      "• Electrical points: <b>{points} pcs</b> (incl. sockets: {sockets})\n" +
+      "• Wall chasing: <b>{strobe} m</b>\n" +
+      "• Cable runs: <b>{cable} m</b>\n" +
+      "• Distribution board: <b>{modules} modules</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>APPROXIMATE LABOUR COST: ~{work} ₸</b>\n" +
+      "⚠️ <i>Note: this is an automatic preliminary estimate. The final price is fixed only after a detailed on-site survey by our engineer!</i>\n\n" +
+      "📦 <b>ROUGH-IN MATERIALS:</b>\n" +
+      "<i>The algorithm generated a bill of materials (BOM) worth ~{material} ₸ ({bomCount} items). We will prepare and agree on the exact list after the survey.</i>\n\n" +
+      "🤖 <b>SMART HOME:</b>\n" +
+      "<i>Control lights, sockets and curtains from your phone or by voice with Alice! We integrate modern solutions without extra wiring. Tell our engineer during the survey and we will prepare a smart home design.</i>\n\n" +
+      "👇 <i>To book an engineer and lock in the estimate, tap the button below.</i>",
+    orderVisitButton: "✅ Book an engineer visit",
+    recalcButton: "🔄 Recalculate",
+
+    sessionExpired:
+      "⚠️ The session has expired. Please run the estimate again.",
+    orderRegistered: "✅ Your site has been registered!",
+    orderConfirmed:
+      "✅ <b>Request for site #{id} confirmed!</b>\n\n" +
+      "Your site is now on the order market. Pick a convenient time for the engineer's survey below.\n" +
+      'You can track the status in "My orders".',
+    systemFailure: "❌ System failure",
+    orderSaveFailed:
+      "❌ A database error occurred. Please try submitting the request later.",
+
+    noOrders: "📂 You have no active or completed sites at the moment.",
+    ordersHeader: "📂 <b>YOUR SITES:</b>",
+    priceFinal: "Agreed price",
+    priceApprox: "Approximate price",
+    orderCard:
+      "<b>Site #{id}</b> | {status}\n" +
+      "💰 {priceLabel}: <b>{price} ₸</b>\n" +
+      "📅 Created: <i>{date}</i>",
+    notifyEnabledInfo:
+      "🔔 We will let you know when a crew takes the site, starts installation and finishes the works.",
+    notifyDisabledInfo: "🔕 Site status notifications are turned off.",
+    notifyDisableButton: "🔕 Turn off status notifications",
+    notifyEnableButton: "🔔 Turn on status notifications",
+    notifyOn: "🔔 Status notifications turned on",
+    notifyOff: "🔕 Status notifications turned off",
+    notifyToggleFailed: "❌ Could not change the setting.",
+    syncError: "⚠️ Database synchronization error.",
+
+    pickVisitButton: "📅 Choose visit time",
+    cancelOrderButton: "❌ Cancel order",
+    pingBossButton: "👨‍💼 Contact the manager",
+    estimatePdfButton: "📄 Estimate (PDF)",
+    agreeByPhoneButton: "📞 Arrange by phone",
+    noSlots:
+      "📅 There are no free slots in the coming days. The engineer will contact you to arrange a visit time.",
+    pickSlot: "📅 <b>Choose a time for the engineer to visit site #{id}:</b>",
+    slotsFailed:
+      "⚠️ Could not load the schedule. The engineer will contact you to arrange the time.",
+    orderAccessDenied: "⚠️ Access error: order not found.",
+    slotBooked: "✅ Visit time booked!",
+    visitBooked:
+      "✅ <b>Engineer visit to site #{id} scheduled</b>\n\n" +
+      "📅 <b>{when}</b>\n" +
+      '<i>We will remind you before the visit. You can change the time in "My orders".</i>',
+    visitByPhone:
+      "📞 Okay! The engineer will contact you to arrange a visit to site #{id}.",
+
+    notYourOrder: "⚠️ This is not your order or it was not found.",
+    cancelNotAllowed:
+      "⚠️ A crew is already handling this order. It can no longer be cancelled.",
+    orderCancelled:
+      "❌ <b>Site #{id} has been cancelled.</b>\nThe request was withdrawn from the order market.",
+    orderCancelledToast: "✅ Order cancelled",
+    cancelFailed: "❌ Error while cancelling the order.",
+    bossNotified: "✅ The manager has been notified and will contact you soon!",
+    systemErrorLater: "❌ System error. Please try again later.",
+
+    pdfPreparing: "⏳ Preparing the document...",
+    pdfCaption: "📄 Estimate for site #{id}",
+    pdfFailed: "❌ Could not generate the estimate. Please try again later.",
+
+    priceListTitle: "💰 <b>PRICE LIST (v10.0.0)</b>\n\n",
+    priceListLegacy:
+      "<b>🧱 Preparation (rough-in):</b>\n" +
+      "🔹 Chasing (concrete/monolith): <b>{strobeConcrete} ₸/m</b>\n" +
+      "🔹 Chasing (brick): <b>{strobeBrick} ₸/m</b>\n" +
+      "🔹 Chasing (aerated block/drywall): <b>{strobeGas} ₸/m</b>\n" +
+      "🔹 Drilling a box hole: <b>{drillConcrete}</b>\n\n" +
+      "<b>⚡️ Installation:</b>\n" +
+      "🔹 Cable routing: <b>{cable} ₸/m</b>\n" +
+      "🔹 Socket/switch installation: <b>{socket} ₸/pc</b>\n" +
+      "🔹 Board assembly and wiring: <b>{shield}</b>\n\n",
+    priceListFootnote:
+      "<i>* These are base prices. The final estimate is calculated by the algorithm with surcharges for conduit, cable trunking and the configuration of the specific site.</i>",
+    priceListFailed: "⚠️ The price list is temporarily unavailable.",
+  },
+
+  owner: {
+    newClient:
+      "🔔 <b>NEW CLIENT REGISTERED</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Name:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "🆔 <b>ID:</b> <code>{id}</code>\n" +
+      "📱 <b>Phone:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>The user has been verified.</i>",
+    abandonedCart:
+      "⚠️ <b>ALERT: ABANDONED CART</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Client:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "📱 <b>Phone:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏠 <b>Data:</b> {area} m² / {rooms} rooms ({wallType})\n" +
+      "💰 <b>Approximate labour cost: ~{work} ₸</b>\n\n" +
+      "<i>💡 Insight: the client made an estimate {minutes} min ago but did not submit it. Reach out to warm up the lead!</i>",
+    staleOrder:
+      "⏳ <b>STALLED REQUEST #{id}</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Client:</b> {name}\n" +
+      "📱 <b>Phone:</b> <code>{phone}</code>\n" +
+      "💰 <b>Labor total:</b> {total} ₸\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>The request has not been taken into work for ~{hours} h. The client got a reminder — contact them or close the request.</i>",
+    newOrder:
+      "🆕 <b>NEW SITE REGISTERED #{id}</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Customer:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "📱 <b>Contact:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏠 <b>Geometry:</b> {area} m² | {rooms} rooms\n" +
+      "🧱 <b>Walls:</b> {wallType}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Approximate amount (labour): ~{work} ₸</b>\n" +
+      "📦 <i>BOM generated: {bomCount} items (~{material} ₸)</i>\n\n" +
+      "<i>⚡️ The order has been sent to crews on the market.</i>",
+    visitBooked:
+      "📅 <b>SURVEY BOOKED</b>\nThe client chose a visit time for site <b>#{id}</b>: <b>{when}</b>.",
+    clientCancelled:
+      "⚠️ <b>ORDER CANCELLED BY CLIENT</b>\nThe client cancelled site <b>#{id}</b>.",
+    clientPing:
+      "🔔 <b>ATTENTION! CLIENT REQUEST</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "The client of site <b>#{id}</b> asks you to contact them urgently!\n" +
+      "Telegram: @{username}\n" +
+      "Phone: <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖",
+    brigadeRefused:
+      "⚠️ Crew <b>{brigade}</b> refused site #{id}. The order is back on the market.",
+    incassationRequest:
+      "💰 <b>CASH HANDOVER</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👷‍♂️ Crew: <b>{brigade}</b>\n" +
+      "💸 Handing over: <b>{amount} ₸</b>\n" +
+      "📉 Remaining debt: <b>{debt} ₸</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖",
+    confirmReceiptButton: "✅ Confirm receipt",
+    notReceivedButton: "❌ Not received",
+    orderFinished:
+      "🔔 <b>SITE #{id} COMPLETED!</b>\nThe foreman closed the order.\nCompany share <b>{ownerShare} ₸</b>, <b>{ownerDue} ₸</b> added to the crew's debt{partialNote}.",
+    partialPaidNote:
+      " (part of the client's payment is already in the cash desk)",
+  },
+
+  brigade: {
+    marketPush:
+      "⚡️ <b>NEW SITE ON THE MARKET!</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Approximate estimate:</b> ~{work} ₸\n" +
+      "📐 <b>Size:</b> {area} m² / Rooms: {rooms}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>First come, first served!</i>",
+    marketPushWeb:
+      "⚡️ <b>NEW SITE ON THE MARKET!</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Estimate:</b> {price} ₸\n" +
+      "📐 <b>Size:</b> {area} m² / Rooms: {rooms}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>First come, first served!</i>",
+    assignedByOwner:
+      '🔔 <b>THE BOSS ASSIGNED YOU A SITE!</b>\nSite <b>#{id}</b> has been added to your task list ("My sites").',
+    takeButton: "✅ Take the site",
+    takeSelfButton: "✅ Take the site",
+    toMeasureButton: "📐 Move to 'Survey'",
+    toWorkButton: "🛠 Move to 'In progress'",
+    changePriceButton: "💰 Change price",
+    addExpenseButton: "🧾 Add receipt (expense)",
+    refuseButton: "❌ Refuse",
+    transferButton: "🤝 Hand over",
+    finishButton: "✅ COMPLETE SITE",
+    payOwnerButton: "💸 Hand over the company share",
+    transferToButton: "➡️ Hand over to: {name}",
+    cancelButton: "🔙 Cancel",
+
+    accessDenied: "⛔ Access denied. You are not a foreman.",
+    brigadeInfo: "\n👷‍♂️ Your crew: <b>{name}</b> (your share: {percent}%)",
+    noBrigadeInfo:
+      "\n⚠️ <i>Note: you are not attached to any crew yet! Contact the owner.</i>",
+    menu: "🛠 <b>FOREMAN PANEL</b>{info}\n\nChoose a section:",
+    menuFailed: "❌ System error while loading the foreman panel.",
+    actionCancelled: "❌ Action cancelled.",
+
+    marketClosed: "⚠️ Access closed: you are not in an active crew.",
+    marketEmpty: "📭 There are no free orders on the market right now.",
+    marketHeader:
+      "💼 <b>AVAILABLE SITES ON THE MARKET ({count}):</b>\n<i>Review the details carefully before taking a job.</i>",
+    marketCard:
+      "🆕 <b>Site #{id}</b>\n" +
+      "👤 <b>Client:</b> {client} ({user})\n" +
+      "📞 <b>Phone:</b> <code>{phone}</code>\n" +
+      "📍 <b>Address:</b> {address}\n" +
+      "📝 <b>Comment:</b> <i>{comment}</i>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "📐 <b>Size:</b> {area} m²\n" +
+      "💰 <b>Estimate amount:</b> {price} ₸\n" +
+      "📅 <b>Created:</b> {date}",
+    marketFailed: "❌ Error loading the market.",
+
+    notInBrigade: "❌ You are not in a crew.",
+    notInBrigadeWarn: "⚠️ You are not in a crew.",
+    alreadyTaken: "⚠️ The order has already been taken or is unavailable.",
+    taken:
+      '✅ <b>Site #{id} is yours!</b>\nYour crew: {brigade}\nCurrent status: <b>SURVEY</b>.\n\nThe order has moved to "🛠 My sites". Contact the client and arrange a visit.',
+    takenToast: "✅ The order is yours!",
+    takeFailed: "❌ Error while assigning the order.",
+
+    noActiveObjects: "📭 Your crew has no active sites right now.",
+    objectsHeader: "🛠 <b>YOUR ACTIVE SITES:</b>",
+    stageMeasure: "📐 SURVEY (assessment)",
+    stageWork: "🛠 IN PROGRESS (installation)",
+    bomLine: "\n📦 <b>Materials (BOM):</b> {count} specification items",
+    objectCard:
+      "🏢 <b>Site #{id}</b> | {stage}\n" +
+      "👤 <b>Client:</b> {client} ({user})\n" +
+      "📞 <b>Phone:</b> <code>{phone}</code>\n" +
+      "📍 <b>Address:</b> {address}\n" +
+      "📝 <b>Comment:</b> <i>{comment}</i>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Agreed price:</b> {price} ₸\n" +
+      "📉 <b>Expenses (receipts):</b> {expenses} ₸\n" +
+      "💎 <b>Your estimated share: {share} ₸</b>",
+    objectsFailed: "❌ Error loading your sites.",
+
+    notYourOrder: "⚠️ This is not your order or it is already closed.",
+    statusMeasure: "📐 SURVEY",
+    statusWork: "🛠 IN PROGRESS",
+    statusChangedToast: '✅ Status changed to "{status}"',
+    statusChanged:
+      '✅ <b>Site #{id} status updated!</b>\nCurrent stage: <b>{status}</b>\n\n<i>Go back to "My sites" for further actions.</i>',
+    statusFailed: "❌ Status change error",
+
+    pricePrompt:
+      "💰 <b>Changing the agreed price of site #{id}</b>\n\n" +
+      "Enter the final amount agreed with the client after the survey (digits, e.g. <code>150000</code>):\n" +
+      '<i>Type "Cancel" to abort</i>',
+    invalidAmount: "⚠️ Please enter a valid amount in digits.",
+    priceUpdated:
+      "✅ <b>Price updated!</b>\nNew total for site #{id}: <b>{amount} ₸</b>.",
+    priceFailed: "❌ Error while updating the price: {error}",
+
+    refused:
+      "❌ <b>You refused site #{id}</b>.\nIt is back on the market and available to other crews.",
+    refusedToast: "✅ The order is back on the market",
+    systemError: "❌ System error.",
+    brigadeError: "❌ Crew error.",
+    noOtherBrigades: "⚠️ There are no other active crews to hand over to.",
+    transferPrompt:
+      "🤝 <b>Who should take over site #{id}?</b>\nChoose a crew from the list below:",
+    brigadesFailed: "❌ Error loading the crew list.",
+    targetNotFound: "❌ Target crew not found.",
+    transferred:
+      '✅ <b>Site #{id} handed over to crew "{brigade}".</b>\nIt will disappear from your list.',
+    transferReceived:
+      '🎁 <b>A site was handed over to you!</b>\nCrew <b>{brigade}</b> handed site <b>#{id}</b> over to you.\nCheck "🛠 My sites".',
+    transferredToast: "✅ Handed over",
+    transferFailed: "❌ Error while handing over the site.",
+
+    expenseCategory: "Materials (receipt)",
+    expensePrompt:
+      "🧾 <b>Adding an expense (receipt) to site #{id}</b>\n\n" +
+      "Enter the expense amount in digits (e.g. <code>15000</code>):\n" +
+      '<i>Type "Cancel" to abort</i>',
+    expenseCommentPrompt:
+      "📝 Amount: <b>{amount} ₸</b>.\nNow write a comment (what it was spent on, receipt number):\n" +
+      '<i>Type "Cancel" to abort</i>',
+    expenseAdded:
+      "✅ <b>Done!</b> {category} of {amount} ₸ added to site #{id}.",
+    expenseFailed: "❌ Error saving the expense.",
+
+    statsEmpty: "⚠️ Your statistics are empty. Complete at least one site.",
+    statsHeader: "📊 <b>CREW STATISTICS</b>\n➖➖➖➖➖➖➖➖➖➖\n",
+    statsEarned:
+      "💰 <b>Total earned: {earned} ₸</b>\n<i>(your net earnings)</i>\n\n",
+    statsDebt:
+      "🔴 <b>DEBT TO THE OWNER: {debt} ₸</b>\n<i>(company share of completed sites)</i>\n➖➖➖➖➖➖➖➖➖➖",
+    statsNoDebt: "⚪️ <b>No debt to the company.</b>\n➖➖➖➖➖➖➖➖➖➖",
+    statsFailed: "❌ Error loading statistics.",
+
+    incassationPrompt:
+      '💸 <b>Handing over the company share</b>\n\nEnter the amount handed over (digits, e.g. <code>50000</code>):\n<i>Type "Cancel" to abort</i>',
+    invalidAmountShort: "⚠️ Enter a valid amount in digits.",
+    ownerNotFound: "⚠️ System error: owner not found.",
+    incassationSent:
+      "✅ <b>Request sent to the owner!</b>\nThe amount will be deducted from your debt once confirmed.",
+    incassationFailed: "❌ Error sending the request.",
+
+    finishing: "⏳ Closing the site and calculating shares...",
+    finished:
+      "✅ <b>Site #{id} COMPLETED.</b>\n➖➖➖➖➖➖➖➖➖➖\n💰 You earned: <b>+{brigadeShare} ₸</b>\n🔴 Owed to the owner: <b>-{ownerDue} ₸</b>\n➖➖➖➖➖➖➖➖➖➖\n<i>The owner's share has been added to your debt.</i>",
+    finishFailed: "❌ Error completing the order: {error}",
+
+    accessRestored:
+      "✅ <b>ACCESS RESTORED</b>\nManagement has reactivated your account. You can accept orders again.",
+    accessSuspended:
+      "⚠️ <b>ATTENTION! ACCESS SUSPENDED</b>\nYour access to the ProElectric order distribution system has been temporarily restricted by management.",
+    incassationApproved:
+      "✅ <b>The owner confirmed receipt of {amount} ₸!</b>\nThe amount has been deducted from your debt. Balance updated.",
+    incassationRejected:
+      "❌ <b>Attention! The owner rejected the handover of {amount} ₸.</b>\nThe debt was not reduced. Please contact management to clarify the transfer.",
+  },
+
+  admin: {
+    accessDenied:
+      "⛔ <b>Access denied.</b> This section is for management only.\n<i>If you are a foreman, use the «👷 Foreman panel» button in the main menu.</i>",
+    permissionDenied: "⛔ You do not have permission for this action. Contact the owner.",
+    menu:
+      "💼 <b>ProElectric ERP Terminal</b>\n" +
+      "👤 User: <b>{name}</b>\n" +
+      "🔑 Access level: <code>{role}</code>\n\n" +
+      "Choose a section to manage:",
+    menuFailed: "⚠️ Critical error while initializing the control panel.",
+    processAborted: "❌ Process aborted.",
+
+    takeToMeasureButton: "👷 Take for estimate/survey",
+    rejectButton: "❌ Reject",
+    startWorkButton: "🛠 Start installation",
+    backToNewButton: "↩️ Back to new",
+    finishButton: "✅ Complete site",
+    stornoButton: "↩️ Reverse (back to work)",
+    addressButton: "📍 Set address",
+    noteButton: "📝 Note (internal)",
+    refreshButton: "🔄 Refresh data",
+    cancelByClientButton: "👤 Cancelled by the client",
+    cancelByFirmButton: "🏢 Declined by the company (no crews/too far)",
+    backToOrderButton: "🔙 Back to site",
+    syncButton: "🔄 Sync database",
+    blockButton: "🚫 Block access",
+    activateButton: "✅ Activate access",
+
+    aggregating: "⏳ Aggregating financial data...",
+    dashboard:
+      "📊 <b>PROELECTRIC SUMMARY (real-time)</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💵 Revenue: <b>{gross} ₸</b>\n" +
+      '📉 Expenses: <b style="color:red">{expenses} ₸</b>\n' +
+      "💎 <b>NET PROFIT: {net} ₸</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "📈 <b>Business metrics:</b>\n" +
+      "• Margin: <b>{margin}%</b>\n" +
+      "• Win rate: <b>{conversion}%</b>\n" +
+      "• Total leads: <b>{total}</b>\n\n" +
+      "📂 <b>Site pipeline:</b>\n" +
+      "🆕 New: {new}\n" +
+      "👨‍🔧 Survey: {processing}\n" +
+      "🛠 Installation: {work}\n" +
+      "✅ Completed: {done}\n" +
+      "❌ Cancelled: {cancel}",
+    synced: "✅ Data synchronized",
+    upToDate: "🔄 Data is up to date (no changes)",
+    uiUpdateFailed: "❌ Error updating the interface",
+    dbError: "❌ Database error",
+    reportFailed: "❌ Error building the P&L report.",
+
+    ordersInstruction:
+      "📦 <b>SITE REGISTRY</b>\n\n" +
+      "To manage a site, send <code>/order ID</code>.\n" +
+      "<i>Example: /order 15</i>\n\n" +
+      "The order card contains full financial analytics, the estimate and the bill of materials (BOM). " +
+      "Use the Web CRM to add receipts and expenses.",
+    invalidOrderId: "⚠️ Provide a valid numeric ID. Example: /order 15",
+    orderNotFound: "❌ Site #{id} was not found in the database.",
+    notSpecifiedWall: "Not specified",
+    locationLine: "\n📍 <b>Location:</b> {address}",
+    locationMissing: "\n📍 <b>Location:</b> <i>Not specified</i>",
+    noteLine: "\n📝 <b>Note:</b> <i>{comment}</i>",
+    cancelReasonClient: "Client's initiative",
+    cancelReasonFirm: "Declined by the company",
+    cancelReasonUnknown: "No reason given",
+    cancelLine: "\n⚠️ <b>Cancellation:</b> {reason}\n",
+    bomIndicator: "\n📦 <i>BOM: {count} items</i>",
+    beforeVersioning: "before versioning",
+    brigadeLine: "\n👷‍♂️ <b>Crew:</b> {name}",
+    brigadeFree: "\n👷‍♂️ <b>Crew:</b> <i>Free site (market)</i>",
+    orderCard:
+      "🏢 <b>SITE #{id}</b>\n" +
+      "Status: <b>{statusEmoji} {status}</b>\n" +
+      "Created: {created}\n" +
+      "{cancelLine}" +
+      "\n👤 <b>Customer:</b>\n" +
+      "Name: {name}\n" +
+      "Phone: <code>{phone}</code>\n" +
+      "Telegram: @{username}\n" +
+      "{addressLine}" +
+      "{commentLine}" +
+      "\n\n" +
+      "🏗 <b>Technical data:</b>\n" +
+      "Type: {objectType} | Estimate rules: {ruleSet}\n" +
+      "Area: {area} m² | Rooms: {rooms}\n" +
+      "Walls: {wall}" +
+      "{brigadeLine}" +
+      "{bomLine}" +
+      "\n\n" +
+      "💸 <b>Financial control:</b>\n" +
+      "Client total: <b>{finalPrice} ₸</b>\n" +
+      "Company costs: <b>{expenses} ₸</b> <i>(receipts: {receipts})</i>\n" +
+      "<b>NET PROFIT: {net} ₸</b>",
+    orderUpToDate: "🔄 Site data is up to date",
+    orderLoadFailed: "❌ Error loading site data.",
+
+    finalized:
+      "✅ Site closed. Crew share: {brigadeShare} ₸, company share: {ownerShare} ₸",
+    statusChanged: "✅ Status changed to: {status}",
+    statusFailed: "❌ Status transaction error: {error}",
+
+    addressPrompt:
+      '📍 <b>Location of site #{id}</b>\nEnter the address (street, building, apartment):\n<i>Type "Cancel" to abort</i>',
+    addressSaved: "✅ Address saved.",
+    addressFailed: "❌ Error writing JSONB.",
+    commentPrompt:
+      '📝 <b>Note for site #{id}</b>\nEnter the text (visible to staff only):\n<i>Type "Cancel" to abort</i>',
+    commentSaved: "✅ Note saved.",
+    commentFailed: "❌ Database write failure.",
+    cancelPrompt:
+      "⚠️ <b>Recording cancellation of site #{id}</b>\nSpecify who initiated it to keep analytics clean:",
+    objectNotFound: "❌ Site not found.",
+    cancelDone: "✅ Cancellation recorded.",
+    cancelFailed: "❌ Error cancelling the order",
+
+    stornoPrompt:
+      '↩️ <b>Reversal of site #{id}</b>\nProfit distribution will be reversed by compensating entries and the site will go back to work.\nEnter the reason:\n<i>Type "Cancel" to abort</i>',
+    stornoDone:
+      "✅ <b>Finalization of site #{id} reversed.</b>\nReversed: crew share {brigadeShare} ₸, company share {ownerShare} ₸.",
+    stornoFailed: "❌ Reversal error: {error}",
+
+    brigadesTitle: "🏗 <b>CREW MANAGEMENT (ERP)</b>\n\n",
+    brigadesEmpty: "<i>No crews yet.</i>\n\n",
+    brigadesList: "Contractors:",
+    brigadeActive: "🟢 Active",
+    brigadeBlocked: "🔴 Blocked",
+    brigadeCard:
+      "🔹 <b>{name}</b> (ID: {id})\n" +
+      "Foreman ID: <code>{brigadierId}</code> | Share: {percent}%\n" +
+      "Status: {status}",
+    brigadeAccessRestored: "\n🛡 <i>Access restored. User role updated.</i>",
+    brigadeAccessLimited: "\n🛡 <i>Access restricted. User role updated.</i>",
+    addBrigadeHelp:
+      "\n<b>How to add a new crew:</b>\n" +
+      "Use the command:\n<code>/addbrigade [Name] [Foreman_ID] [Profit_Percent]</code>\n" +
+      "<i>Example: /addbrigade Alpha Installers 123456789 40</i>\n" +
+      "\n⚠️ <i>The foreman automatically gets the MANAGER role and a system account in the company cash desk.</i>",
+    brigadesFailed: "❌ Error loading the crew list.",
+    brigadeNotFound: "❌ Crew not found.",
+    accessActivated: "✅ Access ACTIVATED",
+    accessBlocked: "✅ Access BLOCKED",
+    brigadeStatusFailed: "❌ Error updating the status.",
+    addBrigadeSyntax:
+      "⚠️ Syntax: /addbrigade <Name> <Foreman_ID> <Percent>\nExample: /addbrigade Alpha Installers 123456789 45",
+    addBrigadeParseError:
+      "❌ Parse error. Make sure the ID and percent are numbers.",
+    brigadeCreated:
+      '✅ <b>Crew "{name}" created!</b>\n' +
+      "The crew account has been opened automatically.\n" +
+      'User <code>{brigadierId}</code> was granted "MANAGER" access.',
+    brigadeCreateFailed: "❌ Error creating the crew: {error}",
+
+    staffTitle: "👥 <b>STAFF MATRIX</b>\n\n",
+    staffRow:
+      "{index}. {icon} <b>{name}</b> (@{username})\n   ID: <code>{id}</code> | Role: {role}\n\n",
+    staffHelp:
+      "To change a role:\n<code>/setrole ID ROLE</code>\n<i>Available: admin, manager, accountant, dispatcher, user, banned</i>",
+    staffFailed: "❌ Error reading the users table.",
+    logoutEverywhereButton: "🚪 Log out everywhere: {name}",
+    loggedOutEverywhere:
+      "🚪 Sessions ended: web sessions {sessions}, devices {devices}.",
+    logoutEverywhereFailed: "❌ Could not end sessions: {error}",
+    setRoleSyntax: "⚠️ Syntax: /setrole <ID> <ROLE>",
+    setRoleSelf: "⛔ Not allowed: you cannot change your own role.",
+    roleChanged: "✅ ID <code>{id}</code> moved to group <b>{role}</b>",
+    roleRejected: "❌ Rejected: {error}",
+
+    settingsTitle:
+      "⚙️ <b>PRICE CONTROL PANEL</b>\n\n" +
+      "To change a price, use the command:\n<code>/setprice [key] [price]</code>\n\n",
+    settingsKey: "   Key: <code>{key}</code>\n",
+    settingsEmpty: "⚠️ The price list is empty or malformed.",
+    settingsFailed: "❌ Error accessing the configuration table.",
+    setPriceSyntax:
+      "⚠️ Syntax: /setprice <KEY> <VALUE>\nExample: /setprice price_drill_concrete 600",
+    priceUpdated:
+      "✅ Price list updated!\nKey <b>{key}</b> = <b>{value}</b>.\n\nChanges are applied instantly in the Web CRM and the calculator.",
+    priceUpdateFailed: "❌ Database I/O error.",
+
+    serverStats:
+      "🖥 <b>HARDWARE & NETWORK STATISTICS</b>\n" +
+      "⏱ Uptime: {uptime} hours\n" +
+      "💾 Memory (RAM): {memFree} GB free of {memTotal} GB\n" +
+      "🔌 PostgreSQL latency: {ping} ms\n" +
+      "🐧 OS architecture: {os}",
+    backupStarting: "💾 Creating a database snapshot (v10.0.0)...",
+    backupFailed: "❌ Critical failure while creating the dump: {error}",
+    sqlInstruction:
+      "👨‍💻 <b>POSTGRESQL TERMINAL</b>\n" +
+      "Direct access to the database engine. Run any valid SQL query.\n" +
+      "⚠️ <b>Warning:</b> DML operations (UPDATE, DELETE) run without confirmation.\n\n" +
+      "Syntax:\n<code>/sql SELECT id, total_price FROM orders LIMIT 3;</code>",
+    sqlEmpty: "<i>Query executed successfully. Empty result (0 rows).</i>",
+
+    cashAccountMissing: "❌ Error: system account 'Main Cash Desk' not found.",
+    incassationConfirmed:
+      "\n\n✅ <b>STATUS: CONFIRMED</b>\nThe money ({amount} ₸) has been credited to the cash desk. The crew's debt was reduced.",
+    incassationDone: "✅ Cash handover recorded!",
+    incassationDbError: "❌ Database error: {error}",
+    incassationRejectedNote:
+      "\n\n❌ <b>STATUS: REJECTED</b>\nYou indicated that the money has not arrived in your account.",
+    incassationRejectedToast: "❌ You rejected the transfer.",
+    systemError: "❌ System error.",
+  },
+
+  notify: {
+    brigadeAssigned:
+      "👷 <b>Site #{id}: crew assigned</b>\n\n" +
+      "Crew <b>{brigade}</b> is handling your site. " +
+      "The foreman will contact you to agree on the details.",
+    workStarted:
+      "🔨 <b>Site #{id}: installation started</b>\n\n" +
+      'The crew has started work. Track progress in "My orders".',
+    awaitingPayment:
+      "💳 <b>Site #{id}: works completed</b>\n\n" +
+      'We are awaiting payment for the site. You can get the final estimate in "My orders".',
+    done:
+      "✅ <b>Site #{id} completed!</b>\n\n" +
+      "Thank you for choosing ProElectric. We will be glad to help again.",
+    disableButton: "🔕 Turn off notifications",
+    kindVisit: "a survey",
+    kindWork: "installation",
+    addressPending: "address to be confirmed",
+    clientReminder:
+      '⏰ <b>Reminder</b>\n\nSite #{id} has {what} scheduled: <b>{when}</b>.\n📍 {address}\n\n<i>If your plans have changed, contact us via "My orders".</i>',
+    brigadeReminder:
+      "⏰ <b>Visit: {when}</b>\n\n🏗 Site #{id} ({what})\n👤 {client} · <code>{phone}</code>\n📍 {address}",
+    reminderClient: "Client",
+    reminderNoPhone: "no phone",
+    webLoginCode:
+      "🔐 <b>Web CRM sign-in</b>\nYour code: <code>{otp}</code>\n<i>Valid for {minutes} minutes.</i>",
+  },
+
+  // Follow-up reminders to clients (abandoned estimate, stalled request)
+  followup: {
+    estimate:
+      "👋 {name}, you calculated the cost of electrical work (~{work} ₸) but have not submitted a request yet.\n\n" +
+      "An engineer will visit for a free survey and refine the estimate. Submit the request with the button below.",
+    staleOrder:
+      "📋 <b>Request #{id} is awaiting confirmation</b>\n\n" +
+      "{name}, we have not agreed on the engineer's visit yet. Pick a convenient time with the button below " +
+      'or contact us via "My orders".',
+  },
+};
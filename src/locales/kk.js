@@ -0,0 +1,706 @@
+/**
+ * @file src/locales/kk.js
+ * @description Каталог строк Telegram-бота: казахский язык.
+ * Структура ключей совпадает с ru.js.
+ *
+ * @module LocaleKk
+ */
+
+export default {
+  languageName: "🇰🇿 Қазақша",
+
+  buttons: {
+    calculate: "🚀 Құнын есептеу",
+    orders: "📂 Менің өтінімдерім",
+    priceList: "💰 Баға тізімі",
+    contacts: "📞 Байланыс",
+    howWork: "ℹ️ Қалай жұмыс істейміз",
+    back: "🔙 Артқа",
+    cancel: "❌ Бас тарту",
+    sharePhone: "📱 Телефон нөмірімді жіберу",
+    adminPanel: "👑 Әкімші панелі",
+    brigadePanel: "👷 Бригадир панелі",
+    webAuth: "🔑 Web CRM-ге кіру",
+    language: "🌐 Язык / Тіл / Language",
+    market: "💼 Тапсырыс биржасы",
+    myObjects: "🛠 Менің нысандарым",
+    finance: "💸 Салыстыру және табыс",
+    toMainMenu: "🔙 Басты мәзір",
+    dashboard: "📊 Қаржылық есеп",
+    registry: "📦 Нысандар тізілімі",
+    brigades: "🏗 Бригадаларды басқару",
+    priceSettings: "⚙️ Баға баптаулары",
+    staff: "👥 Қызметкерлер",
+    sqlConsole: "👨‍💻 SQL терминалы",
+    backup: "💾 Дерекқор дампы",
+    serverStats: "🖥 Сервер күйі",
+  },
+
+  common: {
+    cancelWord: "бас тарту",
+    mainMenu: "🏠 Басты мәзір",
+    systemError:
+      "⚠️ <b>Жүйелік қате орын алды.</b>\nӘрекетті кейінірек қайталаңыз немесе қайта іске қосу үшін /start жазыңыз.",
+    hidden: "Жасырын",
+    noData: "Дерек жоқ",
+    notSpecified: "Көрсетілмеген",
+    noNotes: "Жазба жоқ",
+    customer: "Тапсырыс беруші",
+    none: "Жоқ",
+    withoutUsername: "Username жоқ",
+  },
+
+  language: {
+    prompt:
+      "🌐 <b>Интерфейс тілін таңдаңыз</b>\nВыберите язык · Choose your language",
+    changed: "✅ Интерфейс тілі: Қазақша",
+  },
+
+  objectTypes: {
+    apartment: "Пәтер",
+    house: "Жеке үй",
+    office: "Кеңсе",
+    commercial: "Коммерциялық үй-жай",
+  },
+
+  walls: {
+    wall_gas: "Газоблок / ГКП",
+    wall_brick: "Кірпіш",
+    wall_concrete: "Бетон / Монолит",
+  },
+
+  clientStatus: {
+    new: "🆕 Өңделуде (бригада ізделуде)",
+    processing: "⏳ Өлшеу тағайындалды",
+    work: "🔨 Монтаж жүріп жатыр",
+    material: "📦 Материалдарды күтудеміз",
+    payment: "💳 Төлемді күтуде",
+    done: "✅ Сәтті тапсырылды",
+    cancel: "❌ Бас тартылды",
+  },
+
+  user: {
+    verifyPhone:
+      "👋 Сәлем, <b>{name}</b>!\n\n" +
+      "🔒 <b>Профильді растау</b>\n" +
+      "Инженерлік калькуляторға кіру үшін төмендегі батырманы басып, телефон нөміріңізді растаңыз.",
+    startFailed:
+      "⚠️ Жүйенің сыни ақауы. Сессияны қайта жүктеу үшін /start жіберіңіз.",
+    welcome:
+      "👋 <b>ProElectric-ке қош келдіңіз!</b>\n\n" +
+      "Электр монтаж жұмыстарын басқарудың автоматтандырылған жүйесі.\n" +
+      "Қажетті әрекетті таңдаңыз:",
+    phoneLinked:
+      "✅ Керемет! Нөміріңіз сәтті байланыстырылды. Жүйеге кіру ашық.",
+    phoneOwnContactOnly:
+      "⛔ Өз контактіңізді жіберу үшін мәзірдегі арнайы батырманы пайдаланыңыз.",
+    pressSharePhone:
+      "👇 Ботпен жұмыс істеу үшін 'Телефонды жіберу' батырмасын басыңыз.",
+    contacts:
+      "📞 <b>БІЗДІҢ БАЙЛАНЫС:</b>\n\n" +
+      "👷‍♂️ Бас инженер: <b>Ернияз</b>\n" +
+      '📱 Байланыс: <a href="tel:+77066066323">+7 (706) 606-63-23</a>\n' +
+      "📍 Орналасқан жері: Алматы қ.",
+    writeWhatsApp: "💬 WhatsApp-қа жазу",
+    howWeWork:
+      "<b>🛠 ЖҰМЫС РЕГЛАМЕНТІ</b>\n\n" +
+      "1️⃣ <b>Алдын ала есеп:</b> Сіз осы бот арқылы техникалық тапсырма құрасыз.\n" +
+      "2️⃣ <b>Инженерлік өлшеу:</b> Маман нысанды зерттеп, нүктелерді келісіп, нақты спецификация жасайды.\n" +
+      "3️⃣ <b>Монтаж:</b> Алдымен қара, кейін таза жұмыс кезеңі орындалады.\n" +
+      "4️⃣ <b>Кепілдік:</b> Барлық жұмыс пен материалға 1 жыл.",
+    webOtp:
+      "🔐 <b>Web CRM-ге кіру</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Логиніңіз:</b> <code>{phone}</code>\n" +
+      "🔑 <b>Уақытша құпиясөз:</b> <code>{otp}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>⏳ Құпиясөз {minutes} минут жарамды. Кіргеннен кейін ол автоматты түрде жойылады (бір реттік). Бұл кодты ешкімге айтпаңыз!</i>",
+    webOtpFailed: "❌ Кіру қатесі: {error}",
+
+    calcStep1: "🏘 <b>4 қадамның 1-і:</b>\nНысан түрін таңдаңыз:",
+    calcStep2:
+      "📏 <b>4 қадамның 2-сі:</b>\nҮй-жайдың жалпы ауданын шаршы метрмен енгізіңіз (сан):",
+    calcStep3:
+      "🧱 <b>4 қадамның 3-і:</b>\nҚабырғаның негізгі материалын таңдаңыз:",
+    calcStep4:
+      "🚪 <b>4 қадамның 4-і:</b>\nБөлмелер санын көрсетіңіз (ас үй бөлек болса, оны да қосыңыз):",
+    calcExpired:
+      "⚠️ Есептеу сессиясы ескірді. Калькуляторды қайта іске қосыңыз.",
+    areaInvalid:
+      "⚠️ Тексеру қатесі: аудан 5-тен 5000 м²-ге дейінгі сан болуы керек.",
+    roomsInvalid:
+      "⚠️ Тексеру қатесі: бөлмелердің бүтін санын енгізіңіз (мысалы: 2).",
+    estimate:
+      "📋 <b>АЛДЫН АЛА СМЕТА v10.0.0</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏘 <b>Нысан түрі:</b> {objectType}\n" +
+      "🏠 <b>Параметрлер:</b> {area} м² / {rooms} бөлме\n" +
+      "🧱 <b>Қабырға:</b> {wallType}\n\n" +
+      "🛠 <b>ИНЖЕНЕРЛІК КӨЛЕМДЕР (есептік):</b>\n" +
+      "• Электр нүктелері: <b>{points} дана</b> (оның ішінде розетка: {sockets})\n" +
+      "• Қабырға ою (штроба): <b>{strobe} м</b>\n" +
+      "• Кабель желілері: <b>{cable} м</b>\n" +
+      "• Тарату қалқаны: <b>{modules} модуль</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>ЖҰМЫСТЫҢ ШАМАМЕН ҚҰНЫ: ~{work} ₸</b>\n" +
+      "⚠️ <i>Назар аударыңыз: Бұл автоматты алдын ала есеп. Нақты баға нысанда егжей-тегжейлі инженерлік өлшеуден кейін ғана бекітіледі!</i>\n\n" +
+      "📦 <b>ҚАРА МАТЕРИАЛ:</b>\n" +
+      "<i>Алгоритм ~{material} ₸ сомаға спецификация (BOM) жасады ({bomCount} позиция). Нақты материалдар тізімін өлшеуден кейін құрып, келісеміз.</i>\n\n" +
+      "🤖 <b>АҚЫЛДЫ ҮЙ (SMART HOME):</b>\n" +
+      "<i>Жарықты, розеткаларды және перделерді телефоннан немесе Алиса арқылы дауыспен басқарыңыз! Біз заманауи шешімдерді артық сымсыз біріктіреміз. Өлшеу кезінде инженерімізге айтыңыз, ақылды үй жобасын дайындаймыз.</i>\n\n" +
+      "👇 <i>Инженерді шақыру және сметаны бекіту үшін төмендегі батырманы басыңыз.</i>",
+    orderVisitButton: "✅ Инженердің келуін рәсімдеу",
+    recalcButton: "🔄 Қайта есептеу",
+
+    sessionExpired: "⚠️ Сессия уақыты өтті. Есепті қайта жасаңыз.",
+    orderRegistered: "✅ Нысан базаға сәтті тіркелді!",
+    orderConfirmed:
+      "✅ <b>#{id} нысанына өтінім расталды!</b>\n\n" +
+      "Нысаныңыз биржаға орналастырылды. Төменде инженердің өлшеуге келетін ыңғайлы уақытын таңдаңыз.\n" +
+      'Нысан күйін "Менің өтінімдерім" бөлімінде бақылай аласыз.',
+    systemFailure: "❌ Жүйелік ақау",
+    orderSaveFailed:
+      "❌ Дерекқор қатесі орын алды. Өтінімді кейінірек рәсімдеп көріңіз.",
+
+    noOrders: "📂 Қазіргі уақытта белсенді немесе аяқталған нысандарыңыз жоқ.",
+    ordersHeader: "📂 <b>СІЗДІҢ НЫСАНДАРЫҢЫЗ:</b>",
+    priceFinal: "Келісілген құны",
+    priceApprox: "Шамамен құны",
+    orderCard:
+      "<b>Нысан #{id}</b> | {status}\n" +
+      "💰 {priceLabel}: <b>{price} ₸</b>\n" +
+      "📅 Құрылған күні: <i>{date}</i>",
+    notifyEnabledInfo:
+      "🔔 Бригада нысанды алғанда, монтажды бастағанда және жұмысты аяқтағанда хабарлаймыз.",
+    notifyDisabledInfo: "🔕 Нысан күйі туралы хабарламалар өшірулі.",
+    notifyDisableButton: "🔕 Күй хабарламаларын өшіру",
+    notifyEnableButton: "🔔 Күй хабарламаларын қосу",
+    notifyOn: "🔔 Күй хабарламалары қосылды",
+    notifyOff: "🔕 Күй хабарламалары өшірілді",
+    notifyToggleFailed: "❌ Баптауды өзгерту мүмкін болмады.",
+    syncError: "⚠️ Дерекқормен синхрондау қатесі.",
+
+    pickVisitButton: "📅 Келу уақытын таңдау",
+    cancelOrderButton: "❌ Тапсырыстан бас тарту",
+    pingBossButton: "👨‍💼 Басшымен байланысу",
+    estimatePdfButton: "📄 Смета (PDF)",
+    agreeByPhoneButton: "📞 Телефон арқылы келісу",
+    noSlots:
+      "📅 Жақын күндерге бос уақыт жоқ. Келу уақытын келісу үшін инженер сізбен хабарласады.",
+    pickSlot: "📅 <b>Инженердің #{id} нысанына келу уақытын таңдаңыз:</b>",
+    slotsFailed:
+      "⚠️ Кестені жүктеу мүмкін болмады. Уақытты келісу үшін инженер сізбен хабарласады.",
+    orderAccessDenied: "⚠️ Кіру қатесі: тапсырыс табылмады.",
+    slotBooked: "✅ Келу уақыты броньдалды!",
+    visitBooked:
+      "✅ <b>Инженердің #{id} нысанына келуі тағайындалды</b>\n\n" +
+      "📅 <b>{when}</b>\n" +
+      '<i>Келу туралы алдын ала еске саламыз. Уақытты "Менің өтінімдерім" бөлімінде өзгертуге болады.</i>',
+    visitByPhone:
+      "📞 Жақсы! #{id} нысанына келу уақытын келісу үшін инженер сізбен хабарласады.",
+
+    notYourOrder: "⚠️ Бұл сіздің тапсырысыңыз емес немесе ол табылмады.",
+    cancelNotAllowed:
+      "⚠️ Бұл тапсырыспен бригада айналысып жатыр. Бас тарту мүмкін емес.",
+    orderCancelled:
+      "❌ <b>#{id} нысанынан сәтті бас тартылды.</b>\nӨтінім кері қайтарылып, биржадан алынды.",
+    orderCancelledToast: "✅ Тапсырыстан бас тартылды",
+    cancelFailed: "❌ Тапсырыстан бас тарту кезінде қате.",
+    bossNotified: "✅ Басшыға хабарланды, ол сізбен жақын арада хабарласады!",
+    systemErrorLater: "❌ Жүйелік қате. Кейінірек көріңіз.",
+
+    pdfPreparing: "⏳ Құжат дайындалуда...",
+    pdfCaption: "📄 #{id} нысаны бойынша смета",
+    pdfFailed: "❌ Сметаны жасау мүмкін болмады. Кейінірек көріңіз.",
+
+    priceListTitle: "💰 <b>ЖҮЙЕЛІК БАҒА ТІЗІМІ (v10.0.0)</b>\n\n",
+    priceListLegacy:
+      "<b>🧱 Дайындық (қара кезең):</b>\n" +
+      "🔹 Штроба (бетон/монолит): <b>{strobeConcrete} ₸/м</b>\n" +
+      "🔹 Штроба (кірпіш): <b>{strobeBrick} ₸/м</b>\n" +
+      "🔹 Штроба (газоблок/ГКЛ): <b>{strobeGas} ₸/м</b>\n" +
+      "🔹 Нүктеге ұя бұрғылау: <b>{drillConcrete}</b>\n\n" +
+      "<b>⚡️ Монтаж (инженерия):</b>\n" +
+      "🔹 Кабель трассасын төсеу: <b>{cable} ₸/м</b>\n" +
+      "🔹 Розетка/сөндіргіш механизмін орнату: <b>{socket} ₸/дана</b>\n" +
+      "🔹 Қалқанды жинау және коммутациялау: <b>{shield}</b>\n\n",
+    priceListFootnote:
+      "<i>* Баға тізімі базалық. Соңғы сметаны алгоритм гофра, кабель-арналар және нақты нысан конфигурациясы үшін үстемеақыларды ескере отырып құрады.</i>",
+    priceListFailed: "⚠️ Баға тізімін жүктеу модулі уақытша қолжетімсіз.",
+  },
+
+  owner: {
+    newClient:
+      "🔔 <b>ЖАҢА КЛИЕНТ ТІРКЕЛДІ</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Аты:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "🆔 <b>ID:</b> <code>{id}</code>\n" +
+      "📱 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Пайдаланушы растаудан сәтті өтті.</i>",
+    abandonedCart:
+      "⚠️ <b>ЕСКЕРТУ: ТАСТАЛҒАН СЕБЕТ</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Клиент:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "📱 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏠 <b>Деректер:</b> {area} м² / {rooms} бөлме ({wallType})\n" +
+      "💰 <b>Жұмыстың шамамен сомасы: ~{work} ₸</b>\n\n" +
+      "<i>💡 Аналитика: Клиент {minutes} минут бұрын есеп жасады, бірақ рәсімдеу батырмасын баспады. Лидті жылыту үшін онымен хабарласыңыз!</i>",
+    staleOrder:
+      "⏳ <b>ҚОЗҒАЛЫССЫЗ ӨТІНІМ #{id}</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Клиент:</b> {name}\n" +
+      "📱 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "💰 <b>Жұмыс сомасы:</b> {total} ₸\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Өтінім ~{hours} сағат бойы жұмысқа алынбаған. Клиентке еске салу жіберілді — онымен хабарласыңыз немесе өтінімді жабыңыз.</i>",
+    newOrder:
+      "🆕 <b>ЖАҢА НЫСАН ТІРКЕЛДІ #{id}</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Тапсырыс беруші:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "📱 <b>Байланыс:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏠 <b>Геометрия:</b> {area} м² | {rooms} бөлме\n" +
+      "🧱 <b>Қабырға:</b> {wallType}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Шамамен сома (жұмыс): ~{work} ₸</b>\n" +
+      "📦 <i>BOM спецификациясы жасалды: {bomCount} позиция (~{material} ₸)</i>\n\n" +
+      "<i>⚡️ Тапсырыс биржадағы бригадаларға жіберілді.</i>",
+    visitBooked:
+      "📅 <b>ӨЛШЕУГЕ ЖАЗЫЛУ</b>\nКлиент <b>#{id}</b> нысаны бойынша келу уақытын таңдады: <b>{when}</b>.",
+    clientCancelled:
+      "⚠️ <b>КЛИЕНТ ТАПСЫРЫСТАН БАС ТАРТТЫ</b>\nКлиент <b>#{id}</b> нысанынан бас тартты.",
+    clientPing:
+      "🔔 <b>НАЗАР АУДАРЫҢЫЗ! КЛИЕНТ СҰРАУЫ</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<b>#{id}</b> нысанының клиенті сізден шұғыл хабарласуды сұрайды!\n" +
+      "Telegram: @{username}\n" +
+      "Телефон: <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖",
+    brigadeRefused:
+      "⚠️ <b>{brigade}</b> бригадасы #{id} нысанынан бас тартты. Тапсырыс биржаға қайтарылды.",
+    incassationRequest:
+      "💰 <b>ИНКАССАЦИЯ (ақша тапсыру)</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👷‍♂️ Бригада: <b>{brigade}</b>\n" +
+      "💸 Тапсырады: <b>{amount} ₸</b>\n" +
+      "📉 Қарыз қалдығы: <b>{debt} ₸</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖",
+    confirmReceiptButton: "✅ Алғанын растау",
+    notReceivedButton: "❌ Түскен жоқ",
+    orderFinished:
+      "🔔 <b>#{id} НЫСАН АЯҚТАЛДЫ!</b>\nБригадир тапсырысты жапты.\nКомпания үлесі <b>{ownerShare} ₸</b>, бригада қарызына <b>{ownerDue} ₸</b> жазылды{partialNote}.",
+    partialPaidNote: " (клиент төлемінің бір бөлігі кассада)",
+  },
+
+  brigade: {
+    marketPush:
+      "⚡️ <b>БИРЖАДА ЖАҢА НЫСАН!</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Шамамен смета:</b> ~{work} ₸\n" +
+      "📐 <b>Көлемі:</b> {area} м² / Бөлме: {rooms}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Кім бірінші алса, нысан соныкі!</i>",
+    marketPushWeb:
+      "⚡️ <b>БИРЖАДА ЖАҢА НЫСАН!</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Смета:</b> {price} ₸\n" +
+      "📐 <b>Көлемі:</b> {area} м² / Бөлмелер: {rooms}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Кім бірінші алса, нысан соныкі!</i>",
+    assignedByOwner:
+      '🔔 <b>ШЕФ СІЗГЕ НЫСАН ТАҒАЙЫНДАДЫ!</b>\n<b>#{id}</b> нысаны сіздің тапсырмалар тізіміңізге ("Менің нысандарым") қосылды.',
+    takeButton: "✅ Нысанды алу",
+    takeSelfButton: "✅ Нысанды өзіме алу",
+    toMeasureButton: "📐 'Өлшеуге' ауыстыру",
+    toWorkButton: "🛠 'Жұмысқа' ауыстыру",
+    changePriceButton: "💰 Бағаны өзгерту",
+    addExpenseButton: "🧾 Чек қосу (шығыс)",
+    refuseButton: "❌ Бас тарту",
+    transferButton: "🤝 Беру",
+    finishButton: "✅ НЫСАНДЫ АЯҚТАУ",
+    payOwnerButton: "💸 Шефке үлесті тапсыру",
+    transferToButton: "➡️ Беру: {name}",
+    cancelButton: "🔙 Бас тарту",
+
+    accessDenied: "⛔ Кіруге тыйым салынған. Сіз бригадир емессіз.",
+    brigadeInfo: "\n👷‍♂️ Сіздің бригадаңыз: <b>{name}</b> (үлесіңіз: {percent}%)",
+    noBrigadeInfo:
+      "\n⚠️ <i>Назар аударыңыз: Сіз әлі ешбір бригадаға тіркелмегенсіз! Шефке хабарласыңыз.</i>",
+    menu: "🛠 <b>БРИГАДИР ПАНЕЛІ</b>{info}\n\nҚажетті бөлімді таңдаңыз:",
+    menuFailed: "❌ Бригада панелін жүктеудегі жүйелік қате.",
+    actionCancelled: "❌ Әрекет тоқтатылды.",
+
+    marketClosed: "⚠️ Кіру жабық: сіз белсенді бригада құрамында емессіз.",
+    marketEmpty: "📭 Қазіргі уақытта биржада бос тапсырыс жоқ.",
+    marketHeader:
+      "💼 <b>БИРЖАДАҒЫ ҚОЛЖЕТІМДІ НЫСАНДАР ({count} дана):</b>\n<i>Жұмысқа алмас бұрын мәліметтерді мұқият қараңыз.</i>",
+    marketCard:
+      "🆕 <b>Нысан #{id}</b>\n" +
+      "👤 <b>Клиент:</b> {client} ({user})\n" +
+      "📞 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "📍 <b>Мекенжай:</b> {address}\n" +
+      "📝 <b>Түсініктеме:</b> <i>{comment}</i>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "📐 <b>Көлемі:</b> {area} м²\n" +
+      "💰 <b>Смета бойынша сома:</b> {price} ₸\n" +
+      "📅 <b>Құрылды:</b> {date}",
+    marketFailed: "❌ Биржаны жүктеу қатесі.",
+
+    notInBrigade: "❌ Сіз бригада құрамында емессіз.",
+    notInBrigadeWarn: "⚠️ Сіз бригада құрамында емессіз.",
+    alreadyTaken: "⚠️ Тапсырысты біреу алып қойды немесе ол қолжетімсіз.",
+    taken:
+      '✅ <b>#{id} нысаны сәтті алынды!</b>\nБригадаңыз: {brigade}\nАғымдағы күйі: <b>ӨЛШЕУДЕ</b>.\n\nТапсырыс "🛠 Менің нысандарым" бөліміне ауыстырылды. Клиентпен хабарласып, келу уақытын келісіңіз.',
+    takenToast: "✅ Тапсырыс сіздікі!",
+    takeFailed: "❌ Тапсырысты бекіту қатесі.",
+
+    noActiveObjects: "📭 Бригадаңызда қазір жұмыстағы белсенді нысан жоқ.",
+    objectsHeader: "🛠 <b>СІЗДІҢ БЕЛСЕНДІ НЫСАНДАРЫҢЫЗ:</b>",
+    stageMeasure: "📐 ӨЛШЕУДЕ (бағалау)",
+    stageWork: "🛠 ЖҰМЫСТА (монтаж)",
+    bomLine: "\n📦 <b>Материалдар (BOM):</b> спецификацияның {count} позициясы",
+    objectCard:
+      "🏢 <b>Нысан #{id}</b> | {stage}\n" +
+      "👤 <b>Клиент:</b> {client} ({user})\n" +
+      "📞 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "📍 <b>Мекенжай:</b> {address}\n" +
+      "📝 <b>Түсініктеме:</b> <i>{comment}</i>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Келісілген баға:</b> {price} ₸\n" +
+      "📉 <b>Шығыстар (чектер):</b> {expenses} ₸\n" +
+      "💎 <b>Есептік үлесіңіз: {share} ₸</b>",
+    objectsFailed: "❌ Нысандарыңызды жүктеу қатесі.",
+
+    notYourOrder: "⚠️ Бұл сіздің тапсырысыңыз емес немесе ол жабылған.",
+    statusMeasure: "📐 ӨЛШЕУДЕ",
+    statusWork: "🛠 ЖҰМЫСТА",
+    statusChangedToast: '✅ Күйі "{status}" болып өзгертілді',
+    statusChanged:
+      '✅ <b>#{id} нысанының күйі сәтті жаңартылды!</b>\nАғымдағы кезең: <b>{status}</b>\n\n<i>Әрі қарай әрекет ету үшін "Менің нысандарым" бөліміне оралыңыз.</i>',
+    statusFailed: "❌ Күйді өзгерту қатесі",
+
+    pricePrompt:
+      "💰 <b>#{id} нысанының келісілген бағасын өзгерту</b>\n\n" +
+      "Өлшеуден кейін клиентпен келісілген соңғы соманы енгізіңіз (цифрмен, мысалы: <code>150000</code>):\n" +
+      '<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    invalidAmount: "⚠️ Соманы цифрмен дұрыс енгізіңіз.",
+    priceUpdated:
+      "✅ <b>Баға сәтті жаңартылды!</b>\n#{id} нысанының жаңа қорытынды сомасы: <b>{amount} ₸</b>.",
+    priceFailed: "❌ Бағаны жаңарту қатесі: {error}",
+
+    refused:
+      "❌ <b>Сіз #{id} нысанынан бас тарттыңыз</b>.\nОл биржаға қайтарылды және басқа бригадаларға қолжетімді.",
+    refusedToast: "✅ Тапсырыс биржаға қайтарылды",
+    systemError: "❌ Жүйелік қате.",
+    brigadeError: "❌ Бригада қатесі.",
+    noOtherBrigades: "⚠️ Беруге басқа белсенді бригада жоқ.",
+    transferPrompt:
+      "🤝 <b>#{id} нысанын кімге бересіз?</b>\nТөмендегі тізімнен бригаданы таңдаңыз:",
+    brigadesFailed: "❌ Бригадалар тізімін жүктеу қатесі.",
+    targetNotFound: "❌ Мақсатты бригада табылмады.",
+    transferred:
+      '✅ <b>#{id} нысаны "{brigade}" бригадасына сәтті берілді.</b>\nОл сіздің тізіміңізден жойылады.',
+    transferReceived:
+      '🎁 <b>Сізге нысан берілді!</b>\n<b>{brigade}</b> бригадасы сізге <b>#{id}</b> нысанын жұмысқа берді.\n"🛠 Менің нысандарым" бөлімін тексеріңіз.',
+    transferredToast: "✅ Сәтті берілді",
+    transferFailed: "❌ Нысанды беру қатесі.",
+
+    expenseCategory: "Материалдар (чек)",
+    expensePrompt:
+      "🧾 <b>#{id} нысанына шығыс (чек) қосу</b>\n\n" +
+      "Шығыс сомасын цифрмен енгізіңіз (мысалы: <code>15000</code>):\n" +
+      '<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    expenseCommentPrompt:
+      "📝 Сома: <b>{amount} ₸</b>.\nЕнді түсініктеме жазыңыз (не үшін жұмсалды, чек нөмірі):\n" +
+      '<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    expenseAdded:
+      "✅ <b>Сәтті!</b> {amount} ₸ сомасындағы {category} #{id} нысанына қосылды.",
+    expenseFailed: "❌ Шығысты базаға жазу қатесі.",
+
+    statsEmpty:
+      "⚠️ Статистикаңыз әзірге бос. Кем дегенде бір нысанды аяқтаңыз.",
+    statsHeader: "📊 <b>БРИГАДА СТАТИСТИКАСЫ</b>\n➖➖➖➖➖➖➖➖➖➖\n",
+    statsEarned:
+      "💰 <b>Барлығы табылды: {earned} ₸</b>\n<i>(таза табысыңыз)</i>\n\n",
+    statsDebt:
+      "🔴 <b>ШЕФ АЛДЫНДАҒЫ ҚАРЫЗ: {debt} ₸</b>\n<i>(аяқталған нысандардағы компания үлесі)</i>\n➖➖➖➖➖➖➖➖➖➖",
+    statsNoDebt: "⚪️ <b>Компания алдында қарыз жоқ.</b>\n➖➖➖➖➖➖➖➖➖➖",
+    statsFailed: "❌ Статистиканы жүктеу қатесі.",
+
+    incassationPrompt:
+      '💸 <b>Шефке үлесті тапсыру</b>\n\nТапсырылған соманы енгізіңіз (цифрмен, мысалы <code>50000</code>):\n<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    invalidAmountShort: "⚠️ Соманы цифрмен дұрыс енгізіңіз.",
+    ownerNotFound: "⚠️ Жүйелік қате: иесі табылмады.",
+    incassationSent:
+      "✅ <b>Сұрау Шефке жіберілді!</b>\nСома ол растағаннан кейін қарызыңыздан шегеріледі.",
+    incassationFailed: "❌ Сұрауды жіберу қатесі.",
+
+    finishing: "⏳ Нысанды жабу және үлестерді есептеу...",
+    finished:
+      "✅ <b>#{id} нысаны АЯҚТАЛДЫ.</b>\n➖➖➖➖➖➖➖➖➖➖\n💰 Сіздің табысыңыз: <b>+{brigadeShare} ₸</b>\n🔴 Шефке қарыз: <b>-{ownerDue} ₸</b>\n➖➖➖➖➖➖➖➖➖➖\n<i>Шеф үлесі қарызыңызға қосылды.</i>",
+    finishFailed: "❌ Тапсырысты аяқтау қатесі: {error}",
+
+    accessRestored:
+      "✅ <b>КІРУ ҚАЛПЫНА КЕЛТІРІЛДІ</b>\nБасшылық есептік жазбаңызды белсендірді. Сіз қайтадан тапсырыс қабылдай аласыз.",
+    accessSuspended:
+      "⚠️ <b>НАЗАР АУДАРЫҢЫЗ! КІРУ ТОҚТАТЫЛДЫ</b>\nProElectric тапсырыстарды тарату жүйесіне кіруіңізді басшылық уақытша шектеді.",
+    incassationApproved:
+      "✅ <b>Шеф {amount} ₸ алғанын растады!</b>\nСома қарызыңыздан сәтті шегерілді. Баланс жаңартылды.",
+    incassationRejected:
+      "❌ <b>Назар аударыңыз! Шеф {amount} ₸ инкассациясын қабылдамады.</b>\nҚарыз шегерілмеді. Аударым күйін нақтылау үшін басшылықпен хабарласыңыз.",
+  },
+
+  admin: {
+    accessDenied:
+      "⛔ <b>Кіруге тыйым салынған.</b> Бөлім тек басшылыққа қолжетімді.\n<i>Егер сіз бригадир болсаңыз, басты мәзірдегі «👷 Бригадир панелі» батырмасын пайдаланыңыз.</i>",
+    permissionDenied: "⛔ Бұл әрекетке құқығыңыз жеткіліксіз. Иесіне хабарласыңыз.",
+    menu:
+      "💼 <b>ProElectric ERP Terminal</b>\n" +
+      "👤 Пайдаланушы: <b>{name}</b>\n" +
+      "🔑 Кіру деңгейі: <code>{role}</code>\n\n" +
+      "Жүйені басқару бөлімін таңдаңыз:",
+    menuFailed: "⚠️ Басқару панелін іске қосудағы сыни қате.",
+    processAborted: "❌ Процесс тоқтатылды.",
+
+    takeToMeasureButton: "👷 Есепке/өлшеуге алу",
+    rejectButton: "❌ Қабылдамау (бас тарту)",
+    startWorkButton: "🛠 Монтажды бастау",
+    backToNewButton: "↩️ Жаңаларға қайтару",
+    finishButton: "✅ Нысанды аяқтау",
+    stornoButton: "↩️ Сторно (жұмысқа қайтару)",
+    addressButton: "📍 Мекенжайды көрсету",
+    noteButton: "📝 Жазба (ішкі)",
+    refreshButton: "🔄 Деректерді жаңарту",
+    cancelByClientButton: "👤 Клиенттің бастамасымен бас тарту",
+    cancelByFirmButton: "🏢 Фирманың бас тартуы (шебер жоқ/алыс)",
+    backToOrderButton: "🔙 Нысанға оралу",
+    syncButton: "🔄 ДҚ синхрондау",
+    blockButton: "🚫 Кіруді бұғаттау",
+    activateButton: "✅ Кіруді белсендіру",
+
+    aggregating: "⏳ Қаржылық деректерді жинақтау...",
+    dashboard:
+      "📊 <b>PROELECTRIC ЖИЫНТЫҒЫ (Real-Time)</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💵 Айналым (түсім): <b>{gross} ₸</b>\n" +
+      '📉 Шығыстар сомасы: <b style="color:red">{expenses} ₸</b>\n' +
+      "💎 <b>ТАЗА ПАЙДА: {net} ₸</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "📈 <b>Бизнес метрикалары:</b>\n" +
+      "• Маржиналдылық: <b>{margin}%</b>\n" +
+      "• Конверсия (Win Rate): <b>{conversion}%</b>\n" +
+      "• Жүйедегі барлық лид: <b>{total}</b>\n\n" +
+      "📂 <b>Нысандар пайплайны:</b>\n" +
+      "🆕 Жаңа: {new}\n" +
+      "👨‍🔧 Өлшеуде: {processing}\n" +
+      "🛠 Монтажда: {work}\n" +
+      "✅ Аяқталды: {done}\n" +
+      "❌ Бас тартулар: {cancel}",
+    synced: "✅ Деректер синхрондалды",
+    upToDate: "🔄 Деректер өзекті (өзгеріс жоқ)",
+    uiUpdateFailed: "❌ Интерфейсті жаңарту қатесі",
+    dbError: "❌ ДҚ қатесі",
+    reportFailed: "❌ P&L есебін құру қатесі.",
+
+    ordersInstruction:
+      "📦 <b>НЫСАНДАР ТІЗІЛІМІ</b>\n\n" +
+      "Нысанды басқару үшін <code>/order ID</code> командасын енгізіңіз.\n" +
+      "<i>Мысал: /order 15</i>\n\n" +
+      "Тапсырыс карточкасында толық қаржылық аналитика, смета және материалдар спецификациясы (BOM) бар. " +
+      "Чектер мен шығыстарды қосу үшін Web CRM пайдаланыңыз.",
+    invalidOrderId: "⚠️ Жарамды сандық ID көрсетіңіз. Мысал: /order 15",
+    orderNotFound: "❌ #{id} нысаны ДҚ-да табылмады.",
+    notSpecifiedWall: "Көрсетілмеген",
+    locationLine: "\n📍 <b>Орналасуы:</b> {address}",
+    locationMissing: "\n📍 <b>Орналасуы:</b> <i>Көрсетілмеген</i>",
+    noteLine: "\n📝 <b>Жазба:</b> <i>{comment}</i>",
+    cancelReasonClient: "Клиенттің бастамасы",
+    cancelReasonFirm: "Фирманың бас тартуы",
+    cancelReasonUnknown: "Себебі көрсетілмеген",
+    cancelLine: "\n⚠️ <b>Бас тарту:</b> {reason}\n",
+    bomIndicator: "\n📦 <i>BOM спецификациясы: {count} поз.</i>",
+    beforeVersioning: "нұсқалауға дейін",
+    brigadeLine: "\n👷‍♂️ <b>Бригада:</b> {name}",
+    brigadeFree: "\n👷‍♂️ <b>Бригада:</b> <i>Бос нысан (биржа)</i>",
+    orderCard:
+      "🏢 <b>НЫСАН #{id}</b>\n" +
+      "Күйі: <b>{statusEmoji} {status}</b>\n" +
+      "Құрылды: {created}\n" +
+      "{cancelLine}" +
+      "\n👤 <b>Тапсырыс беруші:</b>\n" +
+      "Аты: {name}\n" +
+      "Тел: <code>{phone}</code>\n" +
+      "Telegram: @{username}\n" +
+      "{addressLine}" +
+      "{commentLine}" +
+      "\n\n" +
+      "🏗 <b>Техникалық деректер:</b>\n" +
+      "Түрі: {objectType} | Смета ережелері: {ruleSet}\n" +
+      "Аудан: {area} м² | Бөлме: {rooms}\n" +
+      "Қабырға: {wall}" +
+      "{brigadeLine}" +
+      "{bomLine}" +
+      "\n\n" +
+      "💸 <b>Қаржылық бақылау:</b>\n" +
+      "Клиентке барлығы: <b>{finalPrice} ₸</b>\n" +
+      "Фирма шығындары: <b>{expenses} ₸</b> <i>(чектер: {receipts})</i>\n" +
+      "<b>ТАЗА ПАЙДА: {net} ₸</b>",
+    orderUpToDate: "🔄 Нысан деректері өзекті",
+    orderLoadFailed: "❌ Нысан деректерін алу қатесі.",
+
+    finalized:
+      "✅ Нысан жабылды. Бригада үлесі: {brigadeShare} ₸, фирма үлесі: {ownerShare} ₸",
+    statusChanged: "✅ Күйі өзгертілді: {status}",
+    statusFailed: "❌ Күй транзакциясының қатесі: {error}",
+
+    addressPrompt:
+      '📍 <b>#{id} нысанының орналасуы</b>\nМекенжайды енгізіңіз (көше, үй, пәтер):\n<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    addressSaved: "✅ Мекенжай сәтті сақталды.",
+    addressFailed: "❌ JSONB жазу қатесі.",
+    commentPrompt:
+      '📝 <b>#{id} нысанына жазба</b>\nМәтінді енгізіңіз (тек қызметкерлер көреді):\n<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    commentSaved: "✅ Жазба сақталды.",
+    commentFailed: "❌ Базаға жазу ақауы.",
+    cancelPrompt:
+      "⚠️ <b>#{id} нысаны бойынша бас тартуды тіркеу</b>\nАналитиканың тазалығы үшін бастамашыны көрсетіңіз:",
+    objectNotFound: "❌ Нысан табылмады.",
+    cancelDone: "✅ Бас тарту рәсімделді.",
+    cancelFailed: "❌ Тапсырыстан бас тарту қатесі",
+
+    stornoPrompt:
+      '↩️ <b>#{id} нысанының сторносы</b>\nПайданы бөлу өтемдік проводкалармен жойылады, нысан жұмысқа қайтарылады.\nСебебін енгізіңіз:\n<i>Тоқтату үшін "Бас тарту" деп жазыңыз</i>',
+    stornoDone:
+      "✅ <b>#{id} нысанының қорытындысы жойылды.</b>\nСторнирленді: бригада үлесі {brigadeShare} ₸, фирма үлесі {ownerShare} ₸.",
+    stornoFailed: "❌ Сторнирлеу қатесі: {error}",
+
+    brigadesTitle: "🏗 <b>БРИГАДАЛАРДЫ БАСҚАРУ (ERP)</b>\n\n",
+    brigadesEmpty: "<i>Бригадалар әлі құрылмаған.</i>\n\n",
+    brigadesList: "Мердігерлер тізімі:",
+    brigadeActive: "🟢 Белсенді",
+    brigadeBlocked: "🔴 Бұғатталған",
+    brigadeCard:
+      "🔹 <b>{name}</b> (ID: {id})\n" +
+      "Бригадир ID: <code>{brigadierId}</code> | Үлес: {percent}%\n" +
+      "Күйі: {status}",
+    brigadeAccessRestored:
+      "\n🛡 <i>Кіру қалпына келтірілді. Пайдаланушы рөлі жаңартылды.</i>",
+    brigadeAccessLimited:
+      "\n🛡 <i>Кіру шектелді. Пайдаланушы рөлі жаңартылды.</i>",
+    addBrigadeHelp:
+      "\n<b>Жаңа бригаданы қалай қосуға болады:</b>\n" +
+      "Команданы пайдаланыңыз:\n<code>/addbrigade [Атауы] [Бригадир_ID] [Пайда_пайызы]</code>\n" +
+      "<i>Мысал: /addbrigade Монтажники Альфа 123456789 40</i>\n" +
+      "\n⚠️ <i>Бригадир автоматты түрде MANAGER рөлін және компания кассасында жүйелік шот алады.</i>",
+    brigadesFailed: "❌ Бригадалар тізімін жүктеу қатесі.",
+    brigadeNotFound: "❌ Бригада табылмады.",
+    accessActivated: "✅ Кіру БЕЛСЕНДІРІЛДІ",
+    accessBlocked: "✅ Кіру БҰҒАТТАЛДЫ",
+    brigadeStatusFailed: "❌ Күйді жаңарту қатесі.",
+    addBrigadeSyntax:
+      "⚠️ Синтаксис: /addbrigade <Атауы> <Бригадир_ID> <Пайыз>\nМысал: /addbrigade Монтажники Альфа 123456789 45",
+    addBrigadeParseError:
+      "❌ Талдау қатесі. ID мен Пайыздың сан екеніне көз жеткізіңіз.",
+    brigadeCreated:
+      '✅ <b>"{name}" бригадасы сәтті құрылды!</b>\n' +
+      "Бригада шоты автоматты түрде ашылды.\n" +
+      '<code>{brigadierId}</code> пайдаланушысына "MANAGER" құқықтары берілді.',
+    brigadeCreateFailed: "❌ Бригаданы құру қатесі: {error}",
+
+    staffTitle: "👥 <b>ҚЫЗМЕТКЕРЛЕР МАТРИЦАСЫ</b>\n\n",
+    staffRow:
+      "{index}. {icon} <b>{name}</b> (@{username})\n   ID: <code>{id}</code> | Рөлі: {role}\n\n",
+    staffHelp:
+      "Рөлді өзгерту үшін:\n<code>/setrole ID ROLE</code>\n<i>Қолжетімді: admin, manager, accountant, dispatcher, user, banned</i>",
+    staffFailed: "❌ Пайдаланушылар кестесін оқу қатесі.",
+    logoutEverywhereButton: "🚪 Барлық жерден шығу: {name}",
+    loggedOutEverywhere:
+      "🚪 Сеанстар аяқталды: веб-сессиялар {sessions}, құрылғылар {devices}.",
+    logoutEverywhereFailed: "❌ Сеанстарды аяқтау мүмкін болмады: {error}",
+    setRoleSyntax: "⚠️ Синтаксис: /setrole <ID> <ROLE>",
+    setRoleSelf: "⛔ Архитектуралық тыйым: өз рөліңізді өзгерте алмайсыз.",
+    roleChanged:
+      "✅ ID <code>{id}</code> <b>{role}</b> тобына сәтті ауыстырылды",
+    roleRejected: "❌ Қабылданбады: {error}",
+
+    settingsTitle:
+      "⚙️ <b>БАҒАЛАРДЫ БАСҚАРУ ПАНЕЛІ</b>\n\n" +
+      "Бағаны өзгерту үшін команданы пайдаланыңыз:\n<code>/setprice [кілт] [баға]</code>\n\n",
+    settingsKey: "   Кілт: <code>{key}</code>\n",
+    settingsEmpty: "⚠️ Баға тізімі бос немесе пішімі қате.",
+    settingsFailed: "❌ Конфигурация кестесіне кіру қатесі.",
+    setPriceSyntax:
+      "⚠️ Синтаксис: /setprice <KEY> <VALUE>\nМысал: /setprice price_drill_concrete 600",
+    priceUpdated:
+      "✅ Баға тізімі жаңартылды!\n<b>{key}</b> кілті = <b>{value}</b>.\n\nӨзгерістер Web CRM мен Калькуляторда бірден қолданылды.",
+    priceUpdateFailed: "❌ Дерекқордың I/O қатесі.",
+
+    serverStats:
+      "🖥 <b>HARDWARE & NETWORK СТАТИСТИКАСЫ</b>\n" +
+      "⏱ Uptime: {uptime} сағат\n" +
+      "💾 Жады (RAM): {memTotal} GB ішінен {memFree} GB бос\n" +
+      "🔌 PostgreSQL кідірісі: {ping} ms\n" +
+      "🐧 ОЖ архитектурасы: {os}",
+    backupStarting: "💾 Дерекқор Snapshot'ын жасау басталды (v10.0.0)...",
+    backupFailed: "❌ Дамп жасаудың сыни ақауы: {error}",
+    sqlInstruction:
+      "👨‍💻 <b>POSTGRESQL ТЕРМИНАЛЫ</b>\n" +
+      "ДҚБЖ ядросына тікелей кіру. Кез келген жарамды SQL сұрауын орындаңыз.\n" +
+      "⚠️ <b>Назар аударыңыз:</b> DML операциялары (UPDATE, DELETE) растаусыз орындалады.\n\n" +
+      "Синтаксис:\n<code>/sql SELECT id, total_price FROM orders LIMIT 3;</code>",
+    sqlEmpty: "<i>Сұрау сәтті орындалды. Бос нәтиже (0 жол).</i>",
+
+    cashAccountMissing: "❌ Қате: 'Басты касса' жүйелік шоты табылмады.",
+    incassationConfirmed:
+      "\n\n✅ <b>КҮЙІ: РАСТАЛДЫ</b>\nАқша ({amount} ₸) кассаға сәтті түсті. Бригада қарызы шегерілді.",
+    incassationDone: "✅ Инкассация сәтті жүргізілді!",
+    incassationDbError: "❌ Дерекқор қатесі: {error}",
+    incassationRejectedNote:
+      "\n\n❌ <b>КҮЙІ: ҚАБЫЛДАНБАДЫ</b>\nСіз ақша шотыңызға түспегенін көрсеттіңіз.",
+    incassationRejectedToast: "❌ Сіз аударымды қабылдамадыңыз.",
+    systemError: "❌ Жүйелік қате.",
+  },
+
+  notify: {
+    brigadeAssigned:
+      "👷 <b>#{id} нысан: бригада тағайындалды</b>\n\n" +
+      "Нысаныңызбен <b>{brigade}</b> бригадасы айналысады. " +
+      "Бригадир мәліметтерді келісу үшін сізбен хабарласады.",
+    workStarted:
+      "🔨 <b>#{id} нысан: монтаж басталды</b>\n\n" +
+      'Бригада жұмысқа кірісті. Жұмыс барысы — "Менің өтінімдерім" бөлімінде.',
+    awaitingPayment:
+      "💳 <b>#{id} нысан: жұмыстар орындалды</b>\n\n" +
+      'Нысан бойынша төлемді күтеміз. Қорытынды сметаны "Менің өтінімдерім" бөлімінен алуға болады.',
+    done:
+      "✅ <b>#{id} нысан сәтті тапсырылды!</b>\n\n" +
+      "ProElectric-ті таңдағаныңызға рахмет. Қайта көмектесуге қуаныштымыз.",
+    disableButton: "🔕 Хабарламаларды өшіру",
+    kindVisit: "өлшеу",
+    kindWork: "монтаж",
+    addressPending: "мекенжай нақтылануда",
+    clientReminder:
+      '⏰ <b>Еске салу</b>\n\n#{id} нысаны бойынша {what} жоспарланған: <b>{when}</b>.\n📍 {address}\n\n<i>Жоспарыңыз өзгерсе, "Менің өтінімдерім" арқылы бізбен хабарласыңыз.</i>',
+    brigadeReminder:
+      "⏰ <b>Шығу: {when}</b>\n\n🏗 Нысан #{id} ({what})\n👤 {client} · <code>{phone}</code>\n📍 {address}",
+    reminderClient: "Клиент",
+    reminderNoPhone: "телефон жоқ",
+    webLoginCode:
+      "🔐 <b>Web CRM-ге кіру</b>\nКодыңыз: <code>{otp}</code>\n<i>{minutes} минут жарамды.</i>",
+  },
+
+  // Клиентке follow-up еске салулар (тасталған смета, тоқтап қалған өтінім)
+  followup: {
+    estimate:
+      "👋 {name}, сіз электр монтажының құнын есептедіңіз (~{work} ₸), бірақ өтінімді әлі рәсімдемедіңіз.\n\n" +
+      "Инженер өлшеуге тегін келіп, сметаны нақтылайды. Өтінімді төмендегі батырма арқылы рәсімдеуге болады.",
+    staleOrder:
+      "📋 <b>#{id} өтінім растауды күтуде</b>\n\n" +
+      "{name}, инженердің келу уақытын әлі келіспедік. Ыңғайлы уақытты төмендегі батырмамен таңдаңыз " +
+      'немесе "Менің өтінімдерім" арқылы бізбен хабарласыңыз.',
+  },
+};
@@ -0,0 +1,728 @@
+/**
+ * @file src/locales/ru.js
+ * @description Каталог строк Telegram-бота: русский язык (базовый).
+ * Ключи группируются по контроллерам; плейсхолдеры — {name}.
+ * Если ключа нет в kk/en, I18nService берет строку отсюда.
+ *
+ * @module LocaleRu
+ */
+
+export default {
+  languageName: "🇷🇺 Русский",
+
+  // ===========================================================================
+  // 🎹 КНОПКИ REPLY-КЛАВИАТУР (по ним же маршрутизирует bot.hears)
+  // ===========================================================================
+  buttons: {
+    calculate: "🚀 Рассчитать стоимость",
+    orders: "📂 Мои заявки",
+    priceList: "💰 Прайс-лист",
+    contacts: "📞 Контакты",
+    howWork: "ℹ️ Как мы работаем",
+    back: "🔙 Назад",
+    cancel: "❌ Отмена",
+    sharePhone: "📱 Отправить мой номер телефона",
+    adminPanel: "👑 Админ-панель",
+    brigadePanel: "👷 Панель Бригадира",
+    webAuth: "🔑 Доступ в Web CRM",
+    language: "🌐 Язык / Тіл / Language",
+    market: "💼 Биржа заказов",
+    myObjects: "🛠 Мои объекты",
+    finance: "💸 Сверка и Выручка",
+    toMainMenu: "🔙 В главное меню",
+    dashboard: "📊 Финансовый Отчет",
+    registry: "📦 Реестр объектов",
+    brigades: "🏗 Управление Бригадами",
+    priceSettings: "⚙️ Настройки цен",
+    staff: "👥 Персонал",
+    sqlConsole: "👨‍💻 SQL Терминал",
+    backup: "💾 Дамп базы",
+    serverStats: "🖥 Статус сервера",
+  },
+
+  // ===========================================================================
+  // 🧩 ОБЩИЕ СТРОКИ
+  // ===========================================================================
+  common: {
+    cancelWord: "отмена",
+    mainMenu: "🏠 Главное меню",
+    systemError:
+      "⚠️ <b>Произошла системная ошибка.</b>\nПожалуйста, попробуйте повторить действие позже или напишите /start для перезапуска.",
+    hidden: "Скрыт",
+    noData: "Нет данных",
+    notSpecified: "Не указан",
+    noNotes: "Нет заметок",
+    customer: "Заказчик",
+    none: "Нет",
+    withoutUsername: "Без Username",
+  },
+
+  language: {
+    prompt:
+      "🌐 <b>Выберите язык интерфейса</b>\nТілді таңдаңыз · Choose your language",
+    changed: "✅ Язык интерфейса: Русский",
+  },
+
+  objectTypes: {
+    apartment: "Квартира",
+    house: "Частный дом",
+    office: "Офис",
+    commercial: "Коммерческое помещение",
+  },
+
+  walls: {
+    wall_gas: "Газоблок / ГКЛ",
+    wall_brick: "Кирпич",
+    wall_concrete: "Бетон / Монолит",
+  },
+
+  // Статусы объекта глазами клиента ("Мои заявки")
+  clientStatus: {
+    new: "🆕 В обработке (Поиск Бригады)",
+    processing: "⏳ Назначен замер",
+    work: "🔨 В процессе монтажа",
+    material: "📦 Ожидаем поставку материалов",
+    payment: "💳 Ожидает оплаты",
+    done: "✅ Успешно сдан",
+    cancel: "❌ Отменен/Отказ",
+  },
+
+  // ===========================================================================
+  // 👤 КЛИЕНТ (UserHandler)
+  // ===========================================================================
+  user: {
+    verifyPhone:
+      "👋 Привет, <b>{name}</b>!\n\n" +
+      "🔒 <b>Верификация профиля</b>\n" +
+      "Для доступа к инженерному калькулятору, пожалуйста, подтвердите ваш номер телефона, нажав кнопку ниже.",
+    startFailed:
+      "⚠️ Критический сбой системы. Отправьте /start для перезагрузки сессии.",
+    welcome:
+      "👋 <b>Добро пожаловать в ProElectric!</b>\n\n" +
+      "Автоматизированная система управления электромонтажными работами.\n" +
+      "Выберите необходимое действие:",
+    phoneLinked:
+      "✅ Отлично! Ваш номер успешно привязан. Доступ в систему открыт.",
+    phoneOwnContactOnly:
+      "⛔ Пожалуйста, используйте специальную кнопку меню для отправки именно вашего системного контакта.",
+    pressSharePhone:
+      "👇 Для работы с ботом требуется нажать кнопку 'Отправить телефон'.",
+    contacts:
+      "📞 <b>НАШИ КОНТАКТЫ:</b>\n\n" +
+      "👷‍♂️ Главный Инженер: <b>Ернияз</b>\n" +
+      '📱 Связь: <a href="tel:+77066066323">+7 (706) 606-63-23</a>\n' +
+      "📍 Базирование: г. Алматы",
+    writeWhatsApp: "💬 Написать в WhatsApp",
+    howWeWork:
+      "<b>🛠 РЕГЛАМЕНТ РАБОТЫ</b>\n\n" +
+      "1️⃣ <b>Предварительный расчет:</b> Вы формируете ТЗ через этот бот.\n" +
+      "2️⃣ <b>Инженерный замер:</b> Специалист изучает объект, согласовывает точки и формирует точную спецификацию.\n" +
+      "3️⃣ <b>Монтаж:</b> Выполнение чернового, а затем чистового этапа работ.\n" +
+      "4️⃣ <b>Гарантия:</b> 1 год на все работы и материалы.",
+    webOtp:
+      "🔐 <b>Доступ в Web CRM</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Ваш логин:</b> <code>{phone}</code>\n" +
+      "🔑 <b>Временный пароль:</b> <code>{otp}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>⏳ Пароль действителен {minutes} мин.. После входа он будет автоматически сброшен (одноразовый). Никому не сообщайте этот код!</i>",
+    webOtpFailed: "❌ Ошибка доступа: {error}",
+
+    calcStep1: "🏘 <b>Шаг 1 из 4:</b>\nВыберите тип объекта:",
+    calcStep2:
+      "📏 <b>Шаг 2 из 4:</b>\nВведите общую площадь помещения в квадратных метрах (число):",
+    calcStep3:
+      "🧱 <b>Шаг 3 из 4:</b>\nВыберите основной материал конструктива стен:",
+    calcStep4:
+      "🚪 <b>Шаг 4 из 4:</b>\nУкажите количество комнат (учитывая кухню, если она изолирована):",
+    calcExpired: "⚠️ Сессия расчета устарела. Запустите калькулятор заново.",
+    areaInvalid:
+      "⚠️ Ошибка валидации: площадь должна быть числом от 5 до 5000 м².",
+    roomsInvalid:
+      "⚠️ Ошибка валидации: введите целое число комнат (например: 2).",
+    estimate:
+      "📋 <b>ПРЕДВАРИТЕЛЬНАЯ СМЕТА v10.0.0</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏘 <b>Тип объекта:</b> {objectType}\n" +
+      "🏠 <b>Параметры:</b> {area} м² / {rooms} комн.\n" +
+      "🧱 <b>Конструктив:</b> {wallType}\n\n" +
+      "🛠 <b>ИНЖЕНЕРНЫЕ ОБЪЕМЫ (Расчетные):</b>\n" +
+      "• Электроточки: <b>{points} шт.</b> (вкл. розеток: {sockets})\n" +
+      "• Штробление трасс: <b>{strobe} м.</b>\n" +
+      "• Кабельные линии: <b>{cable} м.</b>\n" +
+      "• Коммутационный щит: <b>{modules} мод.</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>ПРИМЕРНАЯ СТОИМОСТЬ РАБОТ: ~{work} ₸</b>\n" +
+      "⚠️ <i>Внимание: Это автоматический предварительный расчет. Итоговая точная цена фиксируется только после детального инженерного замера на объекте!</i>\n\n" +
+      "📦 <b>ЧЕРНОВОЙ МАТЕРИАЛ:</b>\n" +
+      "<i>Алгоритм сгенерировал спецификацию (BOM) на сумму ~{material} ₸ ({bomCount} позиций). Точный список материалов мы составим и согласуем после замера.</i>\n\n" +
+      "🤖 <b>УМНЫЙ ДОМ (SMART HOME):</b>\n" +
+      "<i>Управляйте светом, розетками и шторами с телефона или голосом через Алису! Мы интегрируем современные решения без лишних проводов. Скажите нашему инженеру на замере, и мы подготовим проект умного дома.</i>\n\n" +
+      "👇 <i>Для вызова инженера и фиксации сметы нажмите кнопку ниже.</i>",
+    orderVisitButton: "✅ Оформить выезд инженера",
+    recalcButton: "🔄 Пересчитать",
+
+    sessionExpired:
+      "⚠️ Время сессии истекло. Пожалуйста, сделайте расчет заново.",
+    orderRegistered: "✅ Объект успешно зарегистрирован в базе!",
+    orderConfirmed:
+      "✅ <b>Заявка на объект #{id} подтверждена!</b>\n\n" +
+      "Ваш объект размещен на бирже. Выберите удобное время выезда инженера на замер ниже.\n" +
+      'Контролировать статус объекта можно в разделе "Мои заявки".',
+    systemFailure: "❌ Системный сбой",
+    orderSaveFailed:
+      "❌ Произошла ошибка базы данных. Попробуйте оформить заявку позже.",
+
+    noOrders: "📂 В данный момент у вас нет активных или завершенных объектов.",
+    ordersHeader: "📂 <b>РЕЕСТР ВАШИХ ОБЪЕКТОВ:</b>",
+    priceFinal: "Договорная стоимость",
+    priceApprox: "Примерная стоимость",
+    orderCard:
+      "<b>Объект #{id}</b> | {status}\n" +
+      "💰 {priceLabel}: <b>{price} ₸</b>\n" +
+      "📅 Дата создания: <i>{date}</i>",
+    notifyEnabledInfo:
+      "🔔 Мы сообщим, когда бригада возьмет объект, начнет монтаж и завершит работы.",
+    notifyDisabledInfo: "🔕 Уведомления о статусе объектов отключены.",
+    notifyDisableButton: "🔕 Отключить уведомления о статусе",
+    notifyEnableButton: "🔔 Включить уведомления о статусе",
+    notifyOn: "🔔 Уведомления о статусе включены",
+    notifyOff: "🔕 Уведомления о статусе отключены",
+    notifyToggleFailed: "❌ Не удалось изменить настройку.",
+    syncError: "⚠️ Ошибка синхронизации с базой данных.",
+
+    pickVisitButton: "📅 Выбрать время выезда",
+    cancelOrderButton: "❌ Отменить заказ",
+    pingBossButton: "👨‍💼 Связаться с Руководителем",
+    estimatePdfButton: "📄 Смета (PDF)",
+    agreeByPhoneButton: "📞 Согласовать по телефону",
+    noSlots:
+      "📅 На ближайшие дни свободных слотов нет. Инженер свяжется с вами для согласования времени выезда.",
+    pickSlot: "📅 <b>Выберите время выезда инженера на объект #{id}:</b>",
+    slotsFailed:
+      "⚠️ Не удалось загрузить расписание. Инженер свяжется с вами для согласования времени.",
+    orderAccessDenied: "⚠️ Ошибка доступа: Заказ не найден.",
+    slotBooked: "✅ Время выезда забронировано!",
+    visitBooked:
+      "✅ <b>Выезд инженера на объект #{id} назначен</b>\n\n" +
+      "📅 <b>{when}</b>\n" +
+      '<i>Мы напомним о визите заранее. Изменить время можно в разделе "Мои заявки".</i>',
+    visitByPhone:
+      "📞 Хорошо! Инженер свяжется с вами для согласования времени выезда на объект #{id}.",
+
+    notYourOrder: "⚠️ Это не ваш заказ или он не найден.",
+    cancelNotAllowed:
+      "⚠️ Этот заказ уже обрабатывается Бригадой. Отмена невозможна.",
+    orderCancelled:
+      "❌ <b>Объект #{id} успешно отменен.</b>\nЗаявка отозвана и удалена с биржи.",
+    orderCancelledToast: "✅ Заказ отменен",
+    cancelFailed: "❌ Ошибка при отмене заказа.",
+    bossNotified: "✅ Руководитель уведомлен и скоро свяжется с вами!",
+    systemErrorLater: "❌ Системная ошибка. Попробуйте позже.",
+
+    pdfPreparing: "⏳ Формируем документ...",
+    pdfCaption: "📄 Смета по объекту #{id}",
+    pdfFailed: "❌ Не удалось сформировать смету. Попробуйте позже.",
+
+    priceListTitle: "💰 <b>СИСТЕМНЫЙ ПРАЙС-ЛИСТ (v10.0.0)</b>\n\n",
+    priceListLegacy:
+      "<b>🧱 Подготовка (Черновая стадия):</b>\n" +
+      "🔹 Штроба (Бетон/Монолит): <b>{strobeConcrete} ₸/м</b>\n" +
+      "🔹 Штроба (Кирпич): <b>{strobeBrick} ₸/м</b>\n" +
+      "🔹 Штроба (Газоблок/ГКЛ): <b>{strobeGas} ₸/м</b>\n" +
+      "🔹 Бурение лунки под точку: <b>{drillConcrete}</b>\n\n" +
+      "<b>⚡️ Монтаж (Инженерия):</b>\n" +
+      "🔹 Прокладка кабельной трассы: <b>{cable} ₸/м</b>\n" +
+      "🔹 Монтаж механизма розетки/выкл.: <b>{socket} ₸/шт</b>\n" +
+      "🔹 Сборка и коммутация щита: <b>{shield}</b>\n\n",
+    priceListFootnote:
+      "<i>* Прайс является базовым. Финальная смета формируется алгоритмом с учетом надбавок за гофру, кабель-каналы и конфигурацию конкретного объекта.</i>",
+    priceListFailed: "⚠️ Модуль выгрузки прайс-листа временно недоступен.",
+  },
+
+  // Уведомления Владельцу о действиях клиентов
+  owner: {
+    newClient:
+      "🔔 <b>РЕГИСТРАЦИЯ НОВОГО КЛИЕНТА</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Имя:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "🆔 <b>ID:</b> <code>{id}</code>\n" +
+      "📱 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Пользователь успешно прошел верификацию.</i>",
+    abandonedCart:
+      "⚠️ <b>АЛЕРТ: БРОШЕННАЯ КОРЗИНА</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Клиент:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "📱 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏠 <b>Данные:</b> {area} м² / {rooms} комн. ({wallType})\n" +
+      "💰 <b>Примерная сумма работ: ~{work} ₸</b>\n\n" +
+      "<i>💡 Аналитика: Клиент сделал расчет {minutes} мин. назад, но не нажал кнопку оформления. Свяжитесь с ним для подогрева лида!</i>",
+    staleOrder:
+      "⏳ <b>ЗАЯВКА БЕЗ ДВИЖЕНИЯ #{id}</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Клиент:</b> {name}\n" +
+      "📱 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "💰 <b>Сумма работ:</b> {total} ₸\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Заявка не взята в работу уже ~{hours} ч. Клиенту отправлено напоминание — свяжитесь с ним или закройте заявку.</i>",
+    newOrder:
+      "🆕 <b>РЕГИСТРАЦИЯ НОВОГО ОБЪЕКТА #{id}</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👤 <b>Заказчик:</b> {name}\n" +
+      "🔗 <b>Telegram:</b> {link}\n" +
+      "📱 <b>Контакт:</b> <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "🏠 <b>Геометрия:</b> {area} м² | {rooms} комн.\n" +
+      "🧱 <b>Конструктив:</b> {wallType}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Примерная сумма (Работа): ~{work} ₸</b>\n" +
+      "📦 <i>BOM Спецификация сгенерирована: {bomCount} позиций (~{material} ₸)</i>\n\n" +
+      "<i>⚡️ Заказ отправлен Бригадам на Биржу.</i>",
+    visitBooked:
+      "📅 <b>ЗАПИСЬ НА ЗАМЕР</b>\nКлиент выбрал время выезда по объекту <b>#{id}</b>: <b>{when}</b>.",
+    clientCancelled:
+      "⚠️ <b>ОТМЕНА ЗАКАЗА КЛИЕНТОМ</b>\nКлиент отменил свой объект <b>#{id}</b>.",
+    clientPing:
+      "🔔 <b>ВНИМАНИЕ! ЗАПРОС ОТ КЛИЕНТА</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "Клиент по объекту <b>#{id}</b> просит вас срочно связаться с ним!\n" +
+      "Его Telegram: @{username}\n" +
+      "Телефон: <code>{phone}</code>\n" +
+      "➖➖➖➖➖➖➖➖➖➖",
+    brigadeRefused:
+      "⚠️ Бригада <b>{brigade}</b> отказалась от объекта #{id}. Заказ возвращен на биржу.",
+    incassationRequest:
+      "💰 <b>ИНКАССАЦИЯ (Передача денег)</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "👷‍♂️ Бригада: <b>{brigade}</b>\n" +
+      "💸 Передает: <b>{amount} ₸</b>\n" +
+      "📉 Остаток долга: <b>{debt} ₸</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖",
+    confirmReceiptButton: "✅ Подтвердить получение",
+    notReceivedButton: "❌ Не поступали",
+    orderFinished:
+      "🔔 <b>ОБЪЕКТ #{id} ЗАВЕРШЕН!</b>\nБригадир закрыл заказ.\nДоля компании <b>{ownerShare} ₸</b>, в долг бригады записано <b>{ownerDue} ₸</b>{partialNote}.",
+    partialPaidNote: " (часть оплаты клиента уже в кассе)",
+  },
+
+  // ===========================================================================
+  // 👷 БРИГАДИР (BrigadeHandler)
+  // ===========================================================================
+  brigade: {
+    marketPush:
+      "⚡️ <b>НОВЫЙ ОБЪЕКТ НА БИРЖЕ!</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Примерная смета:</b> ~{work} ₸\n" +
+      "📐 <b>Объем:</b> {area} м² / Комнат: {rooms}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Кто первый заберет, того и объект!</i>",
+    marketPushWeb:
+      "⚡️ <b>НОВЫЙ ОБЪЕКТ НА БИРЖЕ!</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Смета:</b> {price} ₸\n" +
+      "📐 <b>Объем:</b> {area} м² / Комнат: {rooms}\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "<i>Кто первый заберет, того и объект!</i>",
+    assignedByOwner:
+      '🔔 <b>ШЕФ НАЗНАЧИЛ ВАМ ОБЪЕКТ!</b>\nОбъект <b>#{id}</b> принудительно добавлен в ваш список задач ("Мои объекты").',
+    takeButton: "✅ Забрать объект",
+    takeSelfButton: "✅ Забрать объект себе",
+    toMeasureButton: "📐 Перевести 'В замер'",
+    toWorkButton: "🛠 Перевести 'В работу'",
+    changePriceButton: "💰 Изменить цену",
+    addExpenseButton: "🧾 Добавить чек (Расход)",
+    refuseButton: "❌ Отказаться",
+    transferButton: "🤝 Передать",
+    finishButton: "✅ ЗАВЕРШИТЬ ОБЪЕКТ",
+    payOwnerButton: "💸 Передать долю Шефу",
+    transferToButton: "➡️ Передать: {name}",
+    cancelButton: "🔙 Отмена",
+
+    accessDenied: "⛔ Доступ запрещен. Вы не являетесь бригадиром.",
+    brigadeInfo: "\n👷‍♂️ Ваша бригада: <b>{name}</b> (Ваша доля: {percent}%)",
+    noBrigadeInfo:
+      "\n⚠️ <i>Внимание: Вы пока не привязаны ни к одной бригаде! Обратитесь к шефу.</i>",
+    menu: "🛠 <b>ПАНЕЛЬ БРИГАДИРА</b>{info}\n\nВыберите нужный раздел:",
+    menuFailed: "❌ Системная ошибка загрузки панели бригады.",
+    actionCancelled: "❌ Действие отменено.",
+
+    marketClosed: "⚠️ Доступ закрыт: вы не состоите в активной бригаде.",
+    marketEmpty: "📭 В данный момент свободных заказов на бирже нет.",
+    marketHeader:
+      "💼 <b>ДОСТУПНЫЕ ОБЪЕКТЫ НА БИРЖЕ ({count} шт.):</b>\n<i>Внимательно изучите детали перед тем, как брать в работу.</i>",
+    marketCard:
+      "🆕 <b>Объект #{id}</b>\n" +
+      "👤 <b>Клиент:</b> {client} ({user})\n" +
+      "📞 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "📍 <b>Адрес:</b> {address}\n" +
+      "📝 <b>Комментарий:</b> <i>{comment}</i>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "📐 <b>Объем:</b> {area} м²\n" +
+      "💰 <b>Сумма по смете:</b> {price} ₸\n" +
+      "📅 <b>Создан:</b> {date}",
+    marketFailed: "❌ Ошибка загрузки биржи.",
+
+    notInBrigade: "❌ Вы не состоите в бригаде.",
+    notInBrigadeWarn: "⚠️ Вы не состоите в бригаде.",
+    alreadyTaken: "⚠️ Заказ уже забрали или он недоступен.",
+    taken:
+      '✅ <b>Объект #{id} успешно взят!</b>\nВаша бригада: {brigade}\nТекущий статус: <b>В ЗАМЕРЕ</b>.\n\nЗаказ перемещен в раздел "🛠 Мои объекты". Свяжитесь с клиентом и договоритесь о выезде.',
+    takenToast: "✅ Заказ ваш!",
+    takeFailed: "❌ Ошибка привязки заказа.",
+
+    noActiveObjects:
+      "📭 У вашей бригады сейчас нет активных объектов в работе.",
+    objectsHeader: "🛠 <b>ВАШИ АКТИВНЫЕ ОБЪЕКТЫ:</b>",
+    stageMeasure: "📐 В ЗАМЕРЕ (Оценка)",
+    stageWork: "🛠 В РАБОТЕ (Монтаж)",
+    bomLine: "\n📦 <b>Материалы (BOM):</b> {count} позиций спецификации",
+    objectCard:
+      "🏢 <b>Объект #{id}</b> | {stage}\n" +
+      "👤 <b>Клиент:</b> {client} ({user})\n" +
+      "📞 <b>Телефон:</b> <code>{phone}</code>\n" +
+      "📍 <b>Адрес:</b> {address}\n" +
+      "📝 <b>Комментарий:</b> <i>{comment}</i>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💰 <b>Договорная цена:</b> {price} ₸\n" +
+      "📉 <b>Расходы (Чеки):</b> {expenses} ₸\n" +
+      "💎 <b>Ваша расчетная доля: {share} ₸</b>",
+    objectsFailed: "❌ Ошибка загрузки ваших объектов.",
+
+    notYourOrder: "⚠️ Это не ваш заказ или он уже закрыт.",
+    statusMeasure: "📐 В ЗАМЕРЕ",
+    statusWork: "🛠 В РАБОТЕ",
+    statusChangedToast: '✅ Статус изменен на "{status}"',
+    statusChanged:
+      '✅ <b>Статус объекта #{id} успешно обновлен!</b>\nТекущая стадия: <b>{status}</b>\n\n<i>Для дальнейших действий вернитесь в "Мои объекты".</i>',
+    statusFailed: "❌ Ошибка смены статуса",
+
+    pricePrompt:
+      "💰 <b>Изменение договорной цены для объекта #{id}</b>\n\n" +
+      "Введите окончательную сумму, о которой вы договорились с клиентом после замера (цифрами, например: <code>150000</code>):\n" +
+      '<i>Для отмены напишите "Отмена"</i>',
+    invalidAmount: "⚠️ Пожалуйста, введите корректную сумму цифрами.",
+    priceUpdated:
+      "✅ <b>Цена успешно обновлена!</b>\nНовая итоговая сумма объекта #{id}: <b>{amount} ₸</b>.",
+    priceFailed: "❌ Ошибка при обновлении цены: {error}",
+
+    refused:
+      "❌ <b>Вы отказались от объекта #{id}</b>.\nОн возвращен на биржу и доступен другим бригадам.",
+    refusedToast: "✅ Заказ возвращен на биржу",
+    systemError: "❌ Системная ошибка.",
+    brigadeError: "❌ Ошибка бригады.",
+    noOtherBrigades: "⚠️ Нет других активных бригад для передачи.",
+    transferPrompt:
+      "🤝 <b>Кому вы хотите передать объект #{id}?</b>\nВыберите бригаду из списка ниже:",
+    brigadesFailed: "❌ Ошибка загрузки списка бригад.",
+    targetNotFound: "❌ Целевая бригада не найдена.",
+    transferred:
+      '✅ <b>Объект #{id} успешно передан бригаде "{brigade}".</b>\nОн пропадет из вашего списка.',
+    transferReceived:
+      '🎁 <b>Вам передали объект!</b>\nБригада <b>{brigade}</b> передала вам в работу объект <b>#{id}</b>.\nПроверьте раздел "🛠 Мои объекты".',
+    transferredToast: "✅ Успешно передано",
+    transferFailed: "❌ Ошибка при передаче объекта.",
+
+    expenseCategory: "Материалы (Чек)",
+    expensePrompt:
+      "🧾 <b>Добавление расхода (Чек) к объекту #{id}</b>\n\n" +
+      "Введите сумму расхода цифрами (например: <code>15000</code>):\n" +
+      '<i>Для отмены напишите "Отмена"</i>',
+    expenseCommentPrompt:
+      "📝 Сумма: <b>{amount} ₸</b>.\nТеперь напишите комментарий (на что потрачено, номер чека):\n" +
+      '<i>Для отмены напишите "Отмена"</i>',
+    expenseAdded:
+      "✅ <b>Успешно!</b> {category} на сумму {amount} ₸ добавлен к объекту #{id}.",
+    expenseFailed: "❌ Ошибка записи расхода в базу.",
+
+    statsEmpty: "⚠️ Ваша статистика пока пуста. Завершите хотя бы один объект.",
+    statsHeader: "📊 <b>СТАТИСТИКА БРИГАДЫ</b>\n➖➖➖➖➖➖➖➖➖➖\n",
+    statsEarned:
+      "💰 <b>Всего заработано: {earned} ₸</b>\n<i>(Ваш чистый заработок)</i>\n\n",
+    statsDebt:
+      "🔴 <b>ДОЛГ ПЕРЕД ШЕФОМ: {debt} ₸</b>\n<i>(Доля компании с завершенных объектов)</i>\n➖➖➖➖➖➖➖➖➖➖",
+    statsNoDebt: "⚪️ <b>Долгов перед компанией нет.</b>\n➖➖➖➖➖➖➖➖➖➖",
+    statsFailed: "❌ Ошибка загрузки статистики.",
+
+    incassationPrompt:
+      '💸 <b>Передача доли Шефу</b>\n\nВведите переданную сумму (цифрами, например <code>50000</code>):\n<i>Для отмены напишите "Отмена"</i>',
+    invalidAmountShort: "⚠️ Введите корректную сумму цифрами.",
+    ownerNotFound: "⚠️ Системная ошибка: Владелец не найден.",
+    incassationSent:
+      "✅ <b>Запрос отправлен Шефу!</b>\nСумма будет списана с долга после его подтверждения.",
+    incassationFailed: "❌ Ошибка отправки запроса.",
+
+    finishing: "⏳ Закрытие объекта и расчет долей...",
+    finished:
+      "✅ <b>Объект #{id} ЗАВЕРШЕН.</b>\n➖➖➖➖➖➖➖➖➖➖\n💰 Вы заработали: <b>+{brigadeShare} ₸</b>\n🔴 Долг Шефу: <b>-{ownerDue} ₸</b>\n➖➖➖➖➖➖➖➖➖➖\n<i>Доля Шефа добавлена в ваш долг.</i>",
+    finishFailed: "❌ Ошибка завершения заказа: {error}",
+
+    accessRestored:
+      "✅ <b>ДОСТУП ВОССТАНОВЛЕН</b>\nРуководство активировало вашу учетную запись. Вы снова можете принимать заказы.",
+    accessSuspended:
+      "⚠️ <b>ВНИМАНИЕ! ДОСТУП ПРИОСТАНОВЛЕН</b>\nВаш доступ к системе распределения заказов ProElectric был временно ограничен руководством.",
+    incassationApproved:
+      "✅ <b>Шеф подтвердил получение {amount} ₸!</b>\nСумма успешно списана с вашего долга. Баланс обновлен.",
+    incassationRejected:
+      "❌ <b>Внимание! Шеф отклонил инкассацию на сумму {amount} ₸.</b>\nДолг не списан. Пожалуйста, свяжитесь с руководством для уточнения статуса перевода.",
+  },
+
+  // ===========================================================================
+  // 👑 АДМИНИСТРАТОР (AdminHandler)
+  // ===========================================================================
+  admin: {
+    accessDenied:
+      "⛔ <b>Доступ запрещен.</b> Раздел доступен только Руководству.\n<i>Если вы Бригадир, используйте кнопку «👷 Панель Бригадира» в главном меню.</i>",
+    permissionDenied: "⛔ Недостаточно прав для этого действия. Обратитесь к Владельцу.",
+    menu:
+      "💼 <b>ProElectric ERP Terminal</b>\n" +
+      "👤 Пользователь: <b>{name}</b>\n" +
+      "🔑 Уровень доступа: <code>{role}</code>\n\n" +
+      "Выберите директорию для управления системой:",
+    menuFailed: "⚠️ Критическая ошибка инициализации панели управления.",
+    processAborted: "❌ Процесс прерван.",
+
+    takeToMeasureButton: "👷 Взять в расчет/замер",
+    rejectButton: "❌ Отклонить (Отказ)",
+    startWorkButton: "🛠 Начать монтаж",
+    backToNewButton: "↩️ Вернуть в новые",
+    finishButton: "✅ Завершить объект",
+    stornoButton: "↩️ Сторно (вернуть в работу)",
+    addressButton: "📍 Указать адрес",
+    noteButton: "📝 Заметка (Внутр.)",
+    refreshButton: "🔄 Обновить данные",
+    cancelByClientButton: "👤 Отказ по инициативе клиента",
+    cancelByFirmButton: "🏢 Отказ фирмы (нет мастеров/далеко)",
+    backToOrderButton: "🔙 Назад к объекту",
+    syncButton: "🔄 Синхронизировать БД",
+    blockButton: "🚫 Заблокировать доступ",
+    activateButton: "✅ Активировать доступ",
+
+    aggregating: "⏳ Агрегация финансовых данных из базы...",
+    dashboard:
+      "📊 <b>СВОДКА PROELECTRIC (Real-Time)</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "💵 Оборот (Выручка): <b>{gross} ₸</b>\n" +
+      '📉 Сумма расходов: <b style="color:red">{expenses} ₸</b>\n' +
+      "💎 <b>ЧИСТАЯ ПРИБЫЛЬ: {net} ₸</b>\n" +
+      "➖➖➖➖➖➖➖➖➖➖\n" +
+      "📈 <b>Бизнес Метрики:</b>\n" +
+      "• Маржинальность: <b>{margin}%</b>\n" +
+      "• Конверсия (Win Rate): <b>{conversion}%</b>\n" +
+      "• Всего лидов в системе: <b>{total}</b>\n\n" +
+      "📂 <b>Пайплайн объектов:</b>\n" +
+      "🆕 Новые: {new}\n" +
+      "👨‍🔧 На замере: {processing}\n" +
+      "🛠 На монтаже: {work}\n" +
+      "✅ Завершены: {done}\n" +
+      "❌ Отказы: {cancel}",
+    synced: "✅ Данные синхронизированы",
+    upToDate: "🔄 Данные актуальны (изменений нет)",
+    uiUpdateFailed: "❌ Ошибка обновления интерфейса",
+    dbError: "❌ Ошибка БД",
+    reportFailed: "❌ Ошибка формирования P&L отчета.",
+
+    ordersInstruction:
+      "📦 <b>РЕЕСТР ОБЪЕКТОВ</b>\n\n" +
+      "Для управления объектом введите команду <code>/order ID</code>.\n" +
+      "<i>Пример: /order 15</i>\n\n" +
+      "Карточка заказа содержит полную финансовую аналитику, смету и спецификацию материалов (BOM). " +
+      "Для добавления чеков и расходов используйте Web CRM.",
+    invalidOrderId: "⚠️ Укажите валидный числовой ID. Пример: /order 15",
+    orderNotFound: "❌ Объект #{id} не найден в БД.",
+    notSpecifiedWall: "Не указано",
+    locationLine: "\n📍 <b>Локация:</b> {address}",
+    locationMissing: "\n📍 <b>Локация:</b> <i>Не указана</i>",
+    noteLine: "\n📝 <b>Заметка:</b> <i>{comment}</i>",
+    cancelReasonClient: "Инициатива клиента",
+    cancelReasonFirm: "Отказ фирмы",
+    cancelReasonUnknown: "Причина не указана",
+    cancelLine: "\n⚠️ <b>Отказ:</b> {reason}\n",
+    bomIndicator: "\n📦 <i>BOM Спецификация: {count} поз.</i>",
+    beforeVersioning: "до версионирования",
+    brigadeLine: "\n👷‍♂️ <b>Бригада:</b> {name}",
+    brigadeFree: "\n👷‍♂️ <b>Бригада:</b> <i>Свободный объект (Биржа)</i>",
+    orderCard:
+      "🏢 <b>ОБЪЕКТ #{id}</b>\n" +
+      "Статус: <b>{statusEmoji} {status}</b>\n" +
+      "Создан: {created}\n" +
+      "{cancelLine}" +
+      "\n👤 <b>Заказчик:</b>\n" +
+      "Имя: {name}\n" +
+      "Тел: <code>{phone}</code>\n" +
+      "Telegram: @{username}\n" +
+      "{addressLine}" +
+      "{commentLine}" +
+      "\n\n" +
+      "🏗 <b>Технические данные:</b>\n" +
+      "Тип: {objectType} | Правила сметы: {ruleSet}\n" +
+      "Площадь: {area} м² | Комнат: {rooms}\n" +
+      "Стены: {wall}" +
+      "{brigadeLine}" +
+      "{bomLine}" +
+      "\n\n" +
+      "💸 <b>Финансовый контроллер:</b>\n" +
+      "Итого клиенту: <b>{finalPrice} ₸</b>\n" +
+      "Затраты фирмы: <b>{expenses} ₸</b> <i>(Чеков: {receipts})</i>\n" +
+      "<b>ЧИСТАЯ ПРИБЫЛЬ: {net} ₸</b>",
+    orderUpToDate: "🔄 Данные объекта актуальны",
+    orderLoadFailed: "❌ Ошибка извлечения данных объекта.",
+
+    finalized:
+      "✅ Объект закрыт. Доля бригады: {brigadeShare} ₸, доля фирмы: {ownerShare} ₸",
+    statusChanged: "✅ Статус изменен на: {status}",
+    statusFailed: "❌ Ошибка транзакции статуса: {error}",
+
+    addressPrompt:
+      '📍 <b>Локация объекта #{id}</b>\nВведите адрес (улица, дом, квартира):\n<i>Для отмены введите "Отмена"</i>',
+    addressSaved: "✅ Адрес успешно зафиксирован.",
+    addressFailed: "❌ Ошибка записи JSONB.",
+    commentPrompt:
+      '📝 <b>Заметка к объекту #{id}</b>\nВведите текст (видит только персонал):\n<i>Для отмены введите "Отмена"</i>',
+    commentSaved: "✅ Заметка сохранена.",
+    commentFailed: "❌ Сбой записи в базу.",
+    cancelPrompt:
+      "⚠️ <b>Фиксация отказа по объекту #{id}</b>\nУкажите инициатора для сохранения чистоты аналитики:",
+    objectNotFound: "❌ Объект не найден.",
+    cancelDone: "✅ Отказ оформлен.",
+    cancelFailed: "❌ Ошибка отмены заказа",
+
+    stornoPrompt:
+      '↩️ <b>Сторно объекта #{id}</b>\nРаспределение прибыли будет отменено компенсирующими проводками, объект вернется в работу.\nВведите причину:\n<i>Для отмены введите "Отмена"</i>',
+    stornoDone:
+      "✅ <b>Финализация объекта #{id} отменена.</b>\nСторнировано: доля бригады {brigadeShare} ₸, доля фирмы {ownerShare} ₸.",
+    stornoFailed: "❌ Ошибка сторнирования: {error}",
+
+    brigadesTitle: "🏗 <b>УПРАВЛЕНИЕ БРИГАДАМИ (ERP)</b>\n\n",
+    brigadesEmpty: "<i>Бригады пока не созданы.</i>\n\n",
+    brigadesList: "Список подрядчиков:",
+    brigadeActive: "🟢 Активна",
+    brigadeBlocked: "🔴 Заблокирована",
+    brigadeCard:
+      "🔹 <b>{name}</b> (ID: {id})\n" +
+      "Бригадир ID: <code>{brigadierId}</code> | Доля: {percent}%\n" +
+      "Статус: {status}",
+    brigadeAccessRestored:
+      "\n🛡 <i>Доступ восстановлен. Роль пользователя обновлена.</i>",
+    brigadeAccessLimited:
+      "\n🛡 <i>Доступ ограничен. Роль пользователя обновлена.</i>",
+    addBrigadeHelp:
+      "\n<b>Как добавить новую бригаду:</b>\n" +
+      "Используйте команду:\n<code>/addbrigade [Название] [ID_Бригадира] [Процент_Прибыли]</code>\n" +
+      "<i>Пример: /addbrigade Монтажники Альфа 123456789 40</i>\n" +
+      "\n⚠️ <i>Бригадир автоматически получит роль MANAGER и системный счет в кассе компании.</i>",
+    brigadesFailed: "❌ Ошибка загрузки списка бригад.",
+    brigadeNotFound: "❌ Бригада не найдена.",
+    accessActivated: "✅ Доступ АКТИВИРОВАН",
+    accessBlocked: "✅ Доступ ЗАБЛОКИРОВАН",
+    brigadeStatusFailed: "❌ Ошибка обновления статуса.",
+    addBrigadeSyntax:
+      "⚠️ Синтаксис: /addbrigade <Название> <ID_Бригадира> <Процент>\nПример: /addbrigade Монтажники Альфа 123456789 45",
+    addBrigadeParseError:
+      "❌ Ошибка парсинга. Убедитесь, что ID и Процент являются числами.",
+    brigadeCreated:
+      '✅ <b>Бригада "{name}" успешно создана!</b>\n' +
+      "Счет бригады автоматически открыт.\n" +
+      'Пользователю <code>{brigadierId}</code> выданы права доступа "MANAGER".',
+    brigadeCreateFailed: "❌ Ошибка создания бригады: {error}",
+
+    staffTitle: "👥 <b>МАТРИЦА ПЕРСОНАЛА</b>\n\n",
+    staffRow:
+      "{index}. {icon} <b>{name}</b> (@{username})\n   ID: <code>{id}</code> | Роль: {role}\n\n",
+    staffHelp:
+      "Для изменения роли:\n<code>/setrole ID ROLE</code>\n<i>Доступно: admin, manager, accountant, dispatcher, user, banned</i>",
+    staffFailed: "❌ Ошибка чтения таблицы пользователей.",
+    logoutEverywhereButton: "🚪 Выйти везде: {name}",
+    loggedOutEverywhere:
+      "🚪 Сеансы завершены: веб-сессий {sessions}, устройств {devices}.",
+    logoutEverywhereFailed: "❌ Не удалось завершить сеансы: {error}",
+    setRoleSyntax: "⚠️ Синтаксис: /setrole <ID> <ROLE>",
+    setRoleSelf: "⛔ Архитектурный запрет: нельзя изменить роль самому себе.",
+    roleChanged:
+      "✅ ID <code>{id}</code> успешно переведен в группу <b>{role}</b>",
+    roleRejected: "❌ Отклонено: {error}",
+
+    settingsTitle:
+      "⚙️ <b>ПАНЕЛЬ УПРАВЛЕНИЯ ЦЕНАМИ</b>\n\n" +
+      "Для изменения цены используйте команду:\n<code>/setprice [ключ] [цена]</code>\n\n",
+    settingsKey: "   Ключ: <code>{key}</code>\n",
+    settingsEmpty: "⚠️ Прайс-лист пуст или имеет неверный формат.",
+    settingsFailed: "❌ Ошибка доступа к таблице конфигурации.",
+    setPriceSyntax:
+      "⚠️ Синтаксис: /setprice <KEY> <VALUE>\nПример: /setprice price_drill_concrete 600",
+    priceUpdated:
+      "✅ Прайс-лист обновлен!\nКлюч <b>{key}</b> = <b>{value}</b>.\n\nИзменения моментально применены в Web CRM и Калькуляторе.",
+    priceUpdateFailed: "❌ Ошибка I/O базы данных.",
+
+    serverStats:
+      "🖥 <b>HARDWARE & NETWORK СТАТИСТИКА</b>\n" +
+      "⏱ Uptime: {uptime} часов\n" +
+      "💾 Память (RAM): {memFree} GB свободно из {memTotal} GB\n" +
+      "🔌 PostgreSQL Latency: {ping} ms\n" +
+      "🐧 Архитектура ОС: {os}",
+    backupStarting:
+      "💾 Инициализация создания Snapshot'а базы данных (v10.0.0)...",
+    backupFailed: "❌ Критический сбой создания дампа: {error}",
+    sqlInstruction:
+      "👨‍💻 <b>POSTGRESQL ТЕРМИНАЛ</b>\n" +
+      "Прямой доступ к ядру СУБД. Выполняй любые валидные SQL запросы.\n" +
+      "⚠️ <b>Внимание:</b> DML операции (UPDATE, DELETE) выполняются без подтверждения.\n\n" +
+      "Синтаксис:\n<code>/sql SELECT id, total_price FROM orders LIMIT 3;</code>",
+    sqlEmpty: "<i>Запрос выполнен успешно. Пустой возврат (0 строк).</i>",
+
+    cashAccountMissing: "❌ Ошибка: Системный счет 'Главная Касса' не найден.",
+    incassationConfirmed:
+      "\n\n✅ <b>СТАТУС: ПОДТВЕРЖДЕНО</b>\nДеньги ({amount} ₸) успешно зачислены в кассу. Долг бригады списан.",
+    incassationDone: "✅ Инкассация успешно проведена!",
+    incassationDbError: "❌ Ошибка базы данных: {error}",
+    incassationRejectedNote:
+      "\n\n❌ <b>СТАТУС: ОТКЛОНЕНО</b>\nВы указали, что деньги не поступали на ваш счет.",
+    incassationRejectedToast: "❌ Вы отклонили перевод.",
+    systemError: "❌ Системная ошибка.",
+  },
+
+  // ===========================================================================
+  // 🔔 УВЕДОМЛЕНИЯ (NotificationService, SchedulingService, Web OTP)
+  // ===========================================================================
+  notify: {
+    brigadeAssigned:
+      "👷 <b>Объект #{id}: назначена бригада</b>\n\n" +
+      "Вашим объектом занимается бригада <b>{brigade}</b>. " +
+      "Бригадир свяжется с вами для согласования деталей.",
+    workStarted:
+      "🔨 <b>Объект #{id}: начат монтаж</b>\n\n" +
+      'Бригада приступила к работам. Ход работ — в разделе "Мои заявки".',
+    awaitingPayment:
+      "💳 <b>Объект #{id}: работы выполнены</b>\n\n" +
+      'Ожидаем оплату по объекту. Итоговую смету можно получить в разделе "Мои заявки".',
+    done:
+      "✅ <b>Объект #{id} успешно сдан!</b>\n\n" +
+      "Спасибо, что выбрали ProElectric. Будем рады помочь снова.",
+    disableButton: "🔕 Отключить уведомления",
+    kindVisit: "замер",
+    kindWork: "монтаж",
+    addressPending: "адрес уточняется",
+    clientReminder:
+      '⏰ <b>Напоминание</b>\n\nПо объекту #{id} запланирован {what}: <b>{when}</b>.\n📍 {address}\n\n<i>Если планы изменились, свяжитесь с нами через "Мои заявки".</i>',
+    brigadeReminder:
+      "⏰ <b>Выезд: {when}</b>\n\n🏗 Объект #{id} ({what})\n👤 {client} · <code>{phone}</code>\n📍 {address}",
+    reminderClient: "Клиент",
+    reminderNoPhone: "нет телефона",
+    webLoginCode:
+      "🔐 <b>Вход в Web CRM</b>\nВаш код: <code>{otp}</code>\n<i>Действителен {minutes} мин.</i>",
+  },
+
+  // Follow-up напоминания клиенту (брошенная смета, зависшая заявка)
+  followup: {
+    estimate:
+      "👋 {name}, вы рассчитали стоимость электромонтажа (~{work} ₸), но еще не оформили заявку.\n\n" +
+      "Инженер бесплатно приедет на замер и уточнит смету. Оформить заявку можно кнопкой ниже.",
+    staleOrder:
+      "📋 <b>Заявка #{id} ждет подтверждения</b>\n\n" +
+      "{name}, мы еще не согласовали с вами выезд инженера. Выберите удобное время кнопкой ниже " +
+      'или свяжитесь с нами через "Мои заявки".',
+  },
+};
@@ -7,6 +7,13 @@
  * 3. Настройку Graceful Shutdown (безопасная остановка без потери данных).
  * 4. Инициализацию Socket.IO для Real-Time обновлений ERP.
  * ДОБАВЛЕНО: Интеграция PostgreSQL LISTEN/NOTIFY напрямую в WebSockets.
+ * ДОБАВЛЕНО: Фоновый цикл напоминаний о замерах (SchedulingService).
+ * ДОБАВЛЕНО: Telegram-уведомления клиентов о смене статуса объекта (order_updates).
+ * ДОБАВЛЕНО: Фоновая очистка просроченных сессий бота (BotSessionStore).
+ * ДОБАВЛЕНО: Воркер очереди отложенных задач (JobService) и follow-up цепочки.
+ * ДОБАВЛЕНО: Прогресс кампаний рассылки в реальном времени (broadcast_updated).
+ * ДОБАВЛЕНО: Первичная учетная запись Владельца для входа в CRM (AuthService).
+ * ДОБАВЛЕНО: Системные роли и права по умолчанию (PermissionService).
  *
  * @module Server
  * @version 10.9.7 (Enterprise ERP Edition)
@@ -17,6 +24,15 @@ import { Server as SocketIOServer } from "socket.io";
 import app from "./app.js";
 import { bot, setSocketIO } from "./bot.js";
 import { initDB, closePool } from "./database/index.js";
+import { OrderService } from "./services/OrderService.js";
+import { SchedulingService } from "./services/SchedulingService.js";
+import { NotificationService } from "./services/NotificationService.js";
+import { BotSessionStore } from "./services/BotSessionStore.js";
+import { JobService } from "./services/JobService.js";
+import { FollowUpService } from "./services/FollowUpService.js";
+import { BroadcastService } from "./services/BroadcastService.js";
+import { AuthService } from "./services/AuthService.js";
+import { PermissionService } from "./services/PermissionService.js";
 // 🔥 НОВОЕ: Импортируем слушатель БД и шину событий для прямой трансляции в Сокеты
 import { initRealtimeListeners, dbEvents } from "./database/connection.js";
 import { config } from "./config.js";
@@ -36,6 +52,18 @@ async function startServer() {
     await initDB();
     console.log("✅ [Server] База данных успешно инициализирована.");
 
+    // 1.1 Синхронизация графа статусов заказов с триггером БД (State Machine)
+    await OrderService.syncStatusGraph();
+
+    // 1.2 Стартовые версии правил сметы для каждого типа объекта
+    await OrderService.ensureEstimateRuleSets();
+
+    // 1.3 Системные роли и права по умолчанию (правки Владельца сохраняются)
+    await PermissionService.ensureDefaults();
+
+    // 1.4 Вход Владельца в CRM из ADMIN_LOGIN / ADMIN_PASS (только первый раз)
+    await AuthService.bootstrapOwnerCredentials();
+
     // 🔥 1.5 Активация слушателя Real-Time событий БД (LISTEN/NOTIFY)
     await initRealtimeListeners();
 
@@ -63,11 +91,17 @@ async function startServer() {
     // 🔥 МОСТ: Пробрасываем системные события БД напрямую в браузеры клиентов
     dbEvents.on("order_updates", (payload) => {
       io.emit("order_updated", payload);
+      NotificationService.handleOrderUpdate(payload);
     });
     dbEvents.on("settings_updates", (payload) => {
       io.emit("settings_updated", payload);
     });
 
+    // Прогресс рассылок из воркера очереди
+    BroadcastService.setProgressListener((campaign) => {
+      io.emit("broadcast_updated", campaign);
+    });
+
     // Логируем подключения фронтенда
     io.on("connection", (socket) => {
       console.log(`⚡️ [WebSocket] Новый клиент подключен: ${socket.id}`);
@@ -78,6 +112,16 @@ async function startServer() {
     });
     console.log("✅ [Server] WebSockets успешно привязаны к серверу и БД.");
 
+    // Напоминания о визитах (проверка раз в несколько минут)
+    SchedulingService.startReminders();
+
+    // Удаление просроченных сессий бота (раз в час)
+    BotSessionStore.startCleanup();
+
+    // Очередь отложенных задач: follow-up брошенных смет и зависших заявок
+    await FollowUpService.scheduleStaleOrderScan();
+    JobService.startWorker();
+
     // 3. Запуск Telegram Бота (Long-polling)
     console.log("🤖 [Server] Запуск Telegram-контроллера (ProElectric Bot)...");
     await bot.launch();
@@ -100,6 +144,9 @@ async function startServer() {
         // 1. Останавливаем прием новых запросов от Telegram
         console.log("⏳ [Shutdown] Остановка Telegram-бота...");
         bot.stop(signal);
+        SchedulingService.stopReminders();
+        BotSessionStore.stopCleanup();
+        JobService.stopWorker();
 
         // 2. Закрываем HTTP-сервер Express и WebSockets
         console.log(
@@ -0,0 +1,510 @@
+/**
+ * @file src/services/AuthService.js
+ * @description Вход персонала в Web CRM по логину и паролю (Staff Credentials).
+ * Учетная запись привязана к users.telegram_id, поэтому каждое действие в CRM
+ * атрибутируется конкретному сотруднику. Пароли хранятся как scrypt-хэш с
+ * солью и сравниваются за постоянное время. Серия неудачных попыток блокирует
+ * вход (config.auth.maxLoginAttempts / lockMinutes). Логин и временный пароль
+ * выдает Владелец; временный пароль нужно сменить при первом входе.
+ * Вход по OTP из Telegram: троттлинг по телефону и IP (config.auth.otp*),
+ * все выдачи, проверки и отказы пишутся в журнал auth_events.
+ * Вход разрешен ролям с правом crm.access (PermissionService).
+ * Bearer-токены устройств выдает TokenService; повтор refresh-токена пишется в журнал.
+ *
+ * @module AuthService
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { UserService } from "./UserService.js";
+import { I18nService } from "./I18nService.js";
+import { PermissionService } from "./PermissionService.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_SCHEME = "scrypt";
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MAX_PASSWORD_LENGTH = 256;
+const LOGIN_PATTERN = /^[a-z0-9._-]{3,64}$/;
+
+// Персонал — любая роль с правом входа в Web CRM
+const isStaff = (role) => PermissionService.can(role, "crm.access");
+
+// Типы записей журнала входов (auth_events)
+export const AUTH_EVENTS = Object.freeze({
+  OTP_ISSUED: "otp_issued",
+  OTP_VERIFIED: "otp_verified",
+  OTP_FAILED: "otp_failed",
+  OTP_THROTTLED: "otp_throttled",
+  PASSWORD_SUCCESS: "password_success",
+  PASSWORD_FAILED: "password_failed",
+  ACCOUNT_LOCKED: "account_locked",
+  TOKEN_REUSED: "token_reused",
+});
+
+const PHONE_DIGITS = 10; // Сравнение по последним 10 цифрам (+7 / 8 не важны)
+
+/**
+ * Ошибка входа / управления учетной записью с HTTP-статусом и кодом для CRM.
+ */
+export class AuthError extends Error {
+  constructor(
+    message,
+    { status = 401, code = "AUTH_FAILED", lockedUntil } = {},
+  ) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.code = code;
+    this.lockedUntil = lockedUntil || null;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      lockedUntil: this.lockedUntil,
+    };
+  }
+}
+
+const invalidCredentials = () =>
+  new AuthError("Неверный логин или пароль", { code: "INVALID_CREDENTIALS" });
+
+const lockedError = (lockedUntil) =>
+  new AuthError(
+    "Слишком много неудачных попыток. Вход временно заблокирован.",
+    { status: 423, code: "ACCOUNT_LOCKED", lockedUntil },
+  );
+
+/**
+ * Хэш пароля в формате "scrypt$<salt hex>$<key hex>".
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `${HASH_SCHEME}$${salt.toString("hex")}$${key.toString("hex")}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, saltHex, keyHex] = String(stored || "").split("$");
+  if (scheme !== HASH_SCHEME || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  if (expected.length === 0) return false;
+  const key = await scrypt(
+    String(password),
+    Buffer.from(saltHex, "hex"),
+    expected.length,
+  );
+  return crypto.timingSafeEqual(key, expected);
+};
+
+// Хэш-заглушка: для неизвестного логина тратим то же время на проверку,
+// чтобы по времени ответа нельзя было перебирать существующие логины
+let dummyHashPromise = null;
+const dummyHash = () =>
+  (dummyHashPromise ??= hashPassword(crypto.randomBytes(16).toString("hex")));
+
+const validateNewPassword = (password) => {
+  const min = config.auth.minPasswordLength;
+  if (typeof password !== "string" || password.length < min)
+    throw new AuthError(`Пароль должен содержать не менее ${min} символов`, {
+      status: 400,
+      code: "WEAK_PASSWORD",
+    });
+  if (password.length > MAX_PASSWORD_LENGTH)
+    throw new AuthError("Пароль слишком длинный", {
+      status: 400,
+      code: "WEAK_PASSWORD",
+    });
+};
+
+const generateTempPassword = () => crypto.randomBytes(9).toString("base64url");
+
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length < PHONE_DIGITS)
+    throw new AuthError("Введите номер телефона полностью", {
+      status: 400,
+      code: "INVALID_PHONE",
+    });
+  return digits.slice(-PHONE_DIGITS);
+};
+
+/**
+ * Троттлинг OTP по журналу auth_events за окно config.auth.otpWindowMinutes.
+ * withRequests — учитывать и число выданных кодов на номер (запрос кода).
+ */
+const assertOtpAllowed = async (phone, meta, withRequests = false) => {
+  const { otpWindowMinutes: minutes } = config.auth;
+  const failed = [AUTH_EVENTS.OTP_FAILED];
+  const [phoneFailures, ipFailures, phoneRequests] = await Promise.all([
+    db.countRecentAuthEvents({ events: failed, phone, minutes }),
+    meta.ip
+      ? db.countRecentAuthEvents({ events: failed, ip: meta.ip, minutes })
+      : 0,
+    withRequests
+      ? db.countRecentAuthEvents({
+          events: [AUTH_EVENTS.OTP_ISSUED],
+          phone,
+          minutes,
+        })
+      : 0,
+  ]);
+
+  let reason = null;
+  if (phoneFailures >= config.auth.otpMaxFailuresPerPhone) reason = "phone";
+  else if (ipFailures >= config.auth.otpMaxFailuresPerIp) reason = "ip";
+  else if (phoneRequests >= config.auth.otpMaxRequestsPerPhone)
+    reason = "requests";
+  if (!reason) return;
+
+  await AuthService.recordEvent(AUTH_EVENTS.OTP_THROTTLED, {
+    phone,
+    meta,
+    details: { reason },
+  });
+  throw new AuthError(
+    `Слишком много попыток. Повторите через ${minutes} мин.`,
+    { status: 429, code: "OTP_THROTTLED" },
+  );
+};
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const AuthService = {
+  AUTH_EVENTS,
+
+  /**
+   * Запись в журнал входов.
+   * @param {string} event - AUTH_EVENTS.*
+   * @param {Object} data - { userId, phone, meta: { ip, userAgent, channel }, details }
+   */
+  async recordEvent(
+    event,
+    { userId = null, phone = null, meta = {}, details = {} } = {},
+  ) {
+    await db.recordAuthEvent({
+      event,
+      userId,
+      phone,
+      ip: meta.ip || null,
+      userAgent: meta.userAgent || null,
+      details: meta.channel ? { channel: meta.channel, ...details } : details,
+    });
+  },
+
+  /**
+   * Данные сотрудника для сессии Web CRM (вход по паролю и по OTP).
+   * @param {Object} user - строка users (или staff_credentials + users)
+   * @param {Object} [flags] - { hasPassword, mustChangePassword }
+   */
+  buildSessionUser(
+    user,
+    { hasPassword = false, mustChangePassword = false } = {},
+  ) {
+    return {
+      id: user.telegram_id ?? user.user_id,
+      role: user.role,
+      name: user.first_name,
+      phone: user.phone,
+      language: I18nService.normalizeLanguage(user.language_code),
+      hasPassword,
+      mustChangePassword,
+    };
+  },
+
+  /**
+   * Пользователь сессии с актуальным списком прав его роли (для Web CRM).
+   * Права не хранятся в сессии: правки Владельца действуют без перелогина.
+   */
+  async withPermissions(user) {
+    return {
+      ...user,
+      permissions: await PermissionService.getPermissions(user.role),
+    };
+  },
+
+  /**
+   * Вход по логину и паролю.
+   * @returns {Promise<Object>} Пользователь сессии (buildSessionUser).
+   * @throws {AuthError} 401 неверные данные, 423 блокировка, 403 не персонал.
+   */
+  async login(login, password, meta = {}) {
+    if (!login || !password)
+      throw new AuthError("Введите логин и пароль", {
+        status: 400,
+        code: "CREDENTIALS_REQUIRED",
+      });
+
+    const credential = await db.getStaffCredentialByLogin(String(login).trim());
+    if (!credential) {
+      await verifyPassword(password, await dummyHash());
+      await this.recordEvent(AUTH_EVENTS.PASSWORD_FAILED, {
+        meta,
+        details: { login: String(login).trim().slice(0, 64) },
+      });
+      throw invalidCredentials();
+    }
+    const audit = { userId: credential.user_id, meta };
+
+    if (
+      credential.locked_until &&
+      new Date(credential.locked_until) > new Date()
+    ) {
+      await this.recordEvent(AUTH_EVENTS.PASSWORD_FAILED, {
+        ...audit,
+        details: { reason: "locked" },
+      });
+      throw lockedError(credential.locked_until);
+    }
+
+    if (!(await verifyPassword(password, credential.password_hash))) {
+      const state = await db.recordStaffLoginFailure(
+        credential.user_id,
+        config.auth.maxLoginAttempts,
+        config.auth.lockMinutes,
+      );
+      await this.recordEvent(AUTH_EVENTS.PASSWORD_FAILED, audit);
+      if (state?.locked_until) {
+        await this.recordEvent(AUTH_EVENTS.ACCOUNT_LOCKED, {
+          ...audit,
+          details: { lockedUntil: state.locked_until },
+        });
+        throw lockedError(state.locked_until);
+      }
+      throw invalidCredentials();
+    }
+
+    if (!(await isStaff(credential.role)))
+      throw new AuthError("Доступ в Web CRM запрещен для вашей роли.", {
+        status: 403,
+        code: "ROLE_FORBIDDEN",
+      });
+
+    await db.recordStaffLoginSuccess(credential.user_id);
+    await this.recordEvent(AUTH_EVENTS.PASSWORD_SUCCESS, audit);
+    return this.buildSessionUser(credential, {
+      hasPassword: true,
+      mustChangePassword: credential.must_change_password,
+    });
+  },
+
+  /**
+   * Запрос OTP на вход: код уходит сотруднику в Telegram (отправляет вызывающий).
+   * @param {string} phone
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<{user: Object, otp: string, expiresIn: number}>}
+   */
+  async requestOtp(phone, meta = {}) {
+    const digits = normalizePhone(phone);
+    await assertOtpAllowed(digits, meta, true);
+
+    const user = await db.findUserByPhone(digits);
+    if (!user || !(await isStaff(user.role))) {
+      await this.recordEvent(AUTH_EVENTS.OTP_FAILED, {
+        userId: user?.telegram_id,
+        phone: digits,
+        meta,
+        details: { reason: user ? "role" : "unknown_phone" },
+      });
+      if (!user)
+        throw new AuthError("Пользователь с таким номером не найден", {
+          status: 404,
+          code: "USER_NOT_FOUND",
+        });
+      throw new AuthError("Доступ разрешен только персоналу", {
+        status: 403,
+        code: "ROLE_FORBIDDEN",
+      });
+    }
+
+    const { otp, expiresIn } = await UserService.generateWebOTP(
+      user.telegram_id,
+    );
+    await this.recordEvent(AUTH_EVENTS.OTP_ISSUED, {
+      userId: user.telegram_id,
+      phone: digits,
+      meta,
+    });
+    return { user, otp, expiresIn };
+  },
+
+  /**
+   * Проверка OTP. Код одноразовый; неверные вводы считаются на код,
+   * на номер и на IP.
+   * @returns {Promise<Object>} Пользователь сессии (buildSessionUser).
+   */
+  async verifyOtp(phone, otp, meta = {}) {
+    const digits = normalizePhone(phone);
+    if (!otp)
+      throw new AuthError("Телефон и код обязательны", {
+        status: 400,
+        code: "CREDENTIALS_REQUIRED",
+      });
+    await assertOtpAllowed(digits, meta);
+
+    const user = await UserService.verifyWebOTP(digits, otp);
+    if (!user || !(await isStaff(user.role))) {
+      await this.recordEvent(AUTH_EVENTS.OTP_FAILED, {
+        userId: user?.telegram_id,
+        phone: digits,
+        meta,
+        details: { reason: user ? "role" : "invalid_code" },
+      });
+      throw new AuthError("Неверный или просроченный код", {
+        code: "OTP_INVALID",
+      });
+    }
+
+    await this.recordEvent(AUTH_EVENTS.OTP_VERIFIED, {
+      userId: user.telegram_id,
+      phone: digits,
+      meta,
+    });
+    return this.sessionUserFor(user);
+  },
+
+  /**
+   * Журнал входов для Владельца.
+   * @param {Object} filters - { event, userId, limit, offset }
+   */
+  async getEvents(filters = {}) {
+    const event = Object.values(AUTH_EVENTS).includes(filters.event)
+      ? filters.event
+      : null;
+    return db.getAuthEvents({
+      event,
+      userId: parseInt(filters.userId, 10) || null,
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 500),
+      offset: parseInt(filters.offset, 10) || 0,
+    });
+  },
+
+  /**
+   * Пользователь сессии после входа по OTP (пароль мог быть выдан ранее).
+   */
+  async sessionUserFor(user) {
+    const credential = await db.getStaffCredential(user.telegram_id);
+    return this.buildSessionUser(user, { hasPassword: Boolean(credential) });
+  },
+
+  /**
+   * Смена пароля самим сотрудником (в т.ч. обязательная после выдачи).
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const credential = await db.getStaffCredential(userId);
+    if (!credential)
+      throw new AuthError("Вход по паролю для вас не настроен", {
+        status: 404,
+        code: "NO_CREDENTIALS",
+      });
+    if (
+      !(await verifyPassword(currentPassword || "", credential.password_hash))
+    )
+      throw new AuthError("Текущий пароль указан неверно", {
+        status: 400,
+        code: "INVALID_PASSWORD",
+      });
+    validateNewPassword(newPassword);
+    if (newPassword === currentPassword)
+      throw new AuthError("Новый пароль должен отличаться от текущего", {
+        status: 400,
+        code: "WEAK_PASSWORD",
+      });
+
+    await db.updateStaffPassword(userId, await hashPassword(newPassword));
+    return true;
+  },
+
+  /**
+   * Выдача логина и временного пароля сотруднику (только Владелец).
+   * Повторная выдача перевыпускает пароль и снимает блокировку.
+   * @returns {Promise<{login: string, tempPassword: string}>}
+   */
+  async issueCredentials(userId, login, actor = {}) {
+    const user = await db.findUserById(userId);
+    if (!user)
+      throw new AuthError("Пользователь не найден в базе данных.", {
+        status: 404,
+        code: "USER_NOT_FOUND",
+      });
+    if (!(await isStaff(user.role)))
+      throw new AuthError("Вход в Web CRM выдается только персоналу", {
+        status: 400,
+        code: "ROLE_FORBIDDEN",
+      });
+
+    const normalized = String(login || "")
+      .trim()
+      .toLowerCase();
+    if (!LOGIN_PATTERN.test(normalized))
+      throw new AuthError(
+        "Логин: от 3 до 64 символов (латиница, цифры, точка, дефис, подчеркивание)",
+        { status: 400, code: "INVALID_LOGIN" },
+      );
+
+    const tempPassword = generateTempPassword();
+    try {
+      await db.saveStaffCredential({
+        userId: user.telegram_id,
+        login: normalized,
+        passwordHash: await hashPassword(tempPassword),
+        mustChangePassword: true,
+        createdBy: actor.id || null,
+      });
+    } catch (error) {
+      if (error.code === "23505")
+        throw new AuthError("Этот логин уже занят", {
+          status: 409,
+          code: "LOGIN_TAKEN",
+        });
+      throw error;
+    }
+    return { login: normalized, tempPassword };
+  },
+
+  async revokeCredentials(userId) {
+    if (!(await db.deleteStaffCredential(userId)))
+      throw new AuthError("Учетная запись для входа не найдена", {
+        status: 404,
+        code: "NO_CREDENTIALS",
+      });
+    return true;
+  },
+
+  /**
+   * Первичная учетная запись Владельца из ADMIN_LOGIN / ADMIN_PASS.
+   * Создается только пока staff_credentials пуста и Владелец уже есть в users
+   * (запускал бота); пароль помечается временным. Вызывается после initDB.
+   */
+  async bootstrapOwnerCredentials() {
+    if (!config.admin.password) return null;
+    if ((await db.countStaffCredentials()) > 0) return null;
+
+    const ownerId = config.bot.ownerId || (await db.getSystemOwnerId());
+    const owner = ownerId ? await db.findUserById(ownerId) : null;
+    if (!owner) {
+      console.warn(
+        "⚠️ [AuthService] ADMIN_PASS задан, но Владелец еще не зарегистрирован в боте — учетная запись не создана.",
+      );
+      return null;
+    }
+
+    const credential = await db.saveStaffCredential({
+      userId: owner.telegram_id,
+      login: config.admin.login.trim().toLowerCase(),
+      passwordHash: await hashPassword(config.admin.password),
+      mustChangePassword: true,
+    });
+    console.log(
+      `🔑 [AuthService] Создана учетная запись Владельца "${credential.login}" (требуется смена пароля).`,
+    );
+    return credential;
+  },
+};
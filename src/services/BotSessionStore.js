@@ -0,0 +1,60 @@
+/**
+ * @file src/services/BotSessionStore.js
+ * @description PostgreSQL-хранилище сессий Telegram-бота (Telegraf session store).
+ * Состояния диалогов (state, adminState, brigadeState, черновики калькулятора)
+ * сохраняются в bot_sessions и переживают деплой/падение процесса.
+ * Хранилище не держит кэш в памяти, поэтому несколько инстансов бота
+ * безопасно работают с одной базой. Просроченные сессии не читаются и
+ * удаляются фоновым циклом (startCleanup).
+ *
+ * @module BotSessionStore
+ */
+
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+export const BotSessionStore = {
+  /**
+   * Чтение сессии. Ошибку БД пробрасываем: пустая сессия затерла бы
+   * сохраненное состояние при записи после обработки апдейта.
+   * @param {string} key - "<from.id>:<chat.id>"
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(key) {
+    return db.getBotSession(key);
+  },
+
+  /**
+   * Запись и удаление тоже не глушат ошибку БД: иначе пользователь видит
+   * ответ бота, а шаг диалога молча теряется. Ошибка уходит в bot.catch.
+   */
+  async set(key, value) {
+    await db.saveBotSession(key, value, config.bot.sessionTtlHours);
+  },
+
+  async delete(key) {
+    await db.deleteBotSession(key);
+  },
+
+  startCleanup() {
+    if (cleanupTimer) return;
+    const tick = () =>
+      db
+        .purgeExpiredBotSessions()
+        .catch((error) =>
+          console.error("[BotSessionStore] Cleanup tick failed:", error),
+        );
+    cleanupTimer = setInterval(tick, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+    tick();
+  },
+
+  stopCleanup() {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  },
+};
@@ -0,0 +1,329 @@
+/**
+ * @file src/services/BroadcastService.js
+ * @description Кампании массовых рассылок через Telegram-бота (Broadcast Module).
+ * Кампания сохраняется вместе с зафиксированной аудиторией, доставку ведет
+ * задача очереди (JobService) с лимитом скорости (config.bot.broadcastRatePerSec).
+ * На 429 задача откладывается на retry_after, 403 помечает получателя и
+ * users.is_blocked. Статус каждого получателя хранится в broadcast_recipients,
+ * поэтому после рестарта рассылка продолжается с недоставленных.
+ * Аудитория задается фильтрами сегмента (роль, статус заказа, давность сдачи
+ * объекта, неактивность, без телефона, клиенты бригады); сегменты можно
+ * сохранять (broadcast_segments) и оценивать число получателей до отправки.
+ *
+ * @module BroadcastService
+ */
+
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { JobService } from "./JobService.js";
+import { ORDER_STATUS } from "./OrderService.js";
+
+export const BROADCAST_STATUS = Object.freeze({
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  CANCELLED: "cancelled",
+});
+
+export const BROADCAST_TARGETS = Object.freeze([
+  "all",
+  "user",
+  "manager",
+  "admin",
+]);
+
+const MAX_FILTER_DAYS = 3650;
+
+const JOB_TYPE = "broadcast.campaign";
+const BATCH_SIZE = 100;
+const RUN_BUDGET_MS = 60 * 1000; // Один проход воркера, дальше задача переназначается
+const MAX_SEND_ATTEMPTS = 3;
+
+// Отправитель (chatId, text, imageUrl) => Promise (внедряется из bot.js)
+let messageSender = null;
+// Слушатель прогресса кампании (внедряется из server.js для WebSockets)
+let progressListener = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const jobKey = (campaignId) => `campaign:${campaignId}`;
+
+// TelegramError (Telegraf): код и параметры ответа Bot API
+const retryAfterSeconds = (error) =>
+  error?.response?.parameters?.retry_after ?? null;
+
+const isBlockedError = (error) =>
+  (error?.response?.error_code ?? error?.code) === 403;
+
+const emitProgress = (campaign) => {
+  if (!campaign || !progressListener) return;
+  try {
+    progressListener(campaign);
+  } catch (error) {
+    console.warn("[BroadcastService] Progress listener failed:", error.message);
+  }
+};
+
+const parseDays = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  const days = parseInt(value, 10);
+  if (isNaN(days) || days < 1 || days > MAX_FILTER_DAYS)
+    throw new Error(`${label}: укажите число дней от 1 до ${MAX_FILTER_DAYS}`);
+  return days;
+};
+
+/**
+ * Проверка и нормализация фильтров сегмента (пустые фильтры отбрасываются).
+ * @param {Object} raw
+ * @returns {Object} { role?, orderStatus?, completedDaysAgo?, inactiveDays?, withoutPhone?, brigadeId? }
+ */
+export const normalizeSegmentFilters = (raw = {}) => {
+  const filters = {};
+
+  const role = raw.role || raw.targetRole;
+  if (role && role !== "all") {
+    if (!BROADCAST_TARGETS.includes(role))
+      throw new Error("Неизвестная аудитория рассылки");
+    filters.role = role;
+  }
+  if (raw.orderStatus) {
+    if (!Object.values(ORDER_STATUS).includes(raw.orderStatus))
+      throw new Error("Неизвестный статус заказа");
+    filters.orderStatus = raw.orderStatus;
+  }
+  const completedDaysAgo = parseDays(
+    raw.completedDaysAgo,
+    "Объект сдан не менее",
+  );
+  if (completedDaysAgo) filters.completedDaysAgo = completedDaysAgo;
+  const inactiveDays = parseDays(raw.inactiveDays, "Неактивны не менее");
+  if (inactiveDays) filters.inactiveDays = inactiveDays;
+  if (raw.withoutPhone === true || raw.withoutPhone === "true")
+    filters.withoutPhone = true;
+  if (raw.brigadeId) {
+    const brigadeId = parseInt(raw.brigadeId, 10);
+    if (isNaN(brigadeId) || brigadeId < 1)
+      throw new Error("Некорректная бригада");
+    filters.brigadeId = brigadeId;
+  }
+  return filters;
+};
+
+// =============================================================================
+// ⏱ ОБРАБОТЧИК ЗАДАЧИ ДОСТАВКИ
+// =============================================================================
+
+async function runCampaign(job) {
+  const { campaignId } = job.payload;
+  const campaign = await db.getBroadcastCampaign(campaignId);
+  if (
+    !campaign ||
+    [BROADCAST_STATUS.DONE, BROADCAST_STATUS.CANCELLED].includes(
+      campaign.status,
+    )
+  )
+    return null;
+  if (!messageSender) throw new Error("Отправитель рассылки не подключен");
+
+  emitProgress(
+    await db.setBroadcastCampaignStatus(campaignId, BROADCAST_STATUS.RUNNING),
+  );
+
+  const intervalMs = 1000 / Math.max(1, config.bot.broadcastRatePerSec);
+  const deadline = Date.now() + RUN_BUDGET_MS;
+
+  while (Date.now() < deadline) {
+    const current = await db.getBroadcastCampaign(campaignId);
+    if (current.status === BROADCAST_STATUS.CANCELLED) return null;
+
+    const batch = await db.getPendingBroadcastRecipients(
+      campaignId,
+      BATCH_SIZE,
+    );
+    if (batch.length === 0) {
+      emitProgress(
+        await db.setBroadcastCampaignStatus(campaignId, BROADCAST_STATUS.DONE),
+      );
+      return null;
+    }
+
+    for (const recipient of batch) {
+      if (Date.now() >= deadline) break;
+      const startedAt = Date.now();
+      try {
+        await messageSender(
+          recipient.user_id,
+          campaign.text,
+          campaign.image_url,
+        );
+        await db.setBroadcastRecipientStatus(
+          campaignId,
+          recipient.user_id,
+          "sent",
+        );
+      } catch (error) {
+        // Flood control: вся кампания ждет, получатель остается pending
+        const retryAfter = retryAfterSeconds(error);
+        if (retryAfter) {
+          emitProgress(await db.getBroadcastCampaign(campaignId));
+          return { step: 0, runAt: new Date(Date.now() + retryAfter * 1000) };
+        }
+
+        if (isBlockedError(error)) {
+          await db.setBroadcastRecipientStatus(
+            campaignId,
+            recipient.user_id,
+            "blocked",
+            error.message,
+          );
+        } else if (recipient.attempts + 1 >= MAX_SEND_ATTEMPTS) {
+          await db.setBroadcastRecipientStatus(
+            campaignId,
+            recipient.user_id,
+            "failed",
+            error.message,
+          );
+        } else {
+          await db.recordBroadcastRetry(
+            campaignId,
+            recipient.user_id,
+            error.message,
+          );
+        }
+      }
+      await sleep(Math.max(0, intervalMs - (Date.now() - startedAt)));
+    }
+
+    emitProgress(await db.getBroadcastCampaign(campaignId));
+  }
+
+  return { step: 0, runAt: new Date() };
+}
+
+JobService.registerHandler(JOB_TYPE, runCampaign);
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const BroadcastService = {
+  setMessageSender(sender) {
+    messageSender = sender;
+  },
+
+  setProgressListener(listener) {
+    progressListener = listener;
+  },
+
+  /**
+   * Фильтры аудитории: из сохраненного сегмента (segmentId) или из запроса.
+   * @returns {Promise<{filters: Object, segmentId: number|null}>}
+   */
+  async resolveAudience(data = {}) {
+    if (data.segmentId) {
+      const segment = await db.getBroadcastSegment(data.segmentId);
+      if (!segment) throw new Error("Сегмент не найден");
+      return {
+        filters: normalizeSegmentFilters(segment.filters),
+        segmentId: segment.id,
+      };
+    }
+    return {
+      filters: normalizeSegmentFilters({
+        ...(data.filters || {}),
+        role: data.filters?.role || data.targetRole,
+      }),
+      segmentId: null,
+    };
+  },
+
+  /**
+   * Предпросмотр: число получателей до отправки.
+   * @param {Object} data - { segmentId } | { filters, targetRole }
+   */
+  async previewAudience(data = {}) {
+    const { filters } = await this.resolveAudience(data);
+    return { filters, count: await db.countBroadcastAudience(filters) };
+  },
+
+  /**
+   * Создание кампании и постановка доставки в очередь.
+   * @param {Object} data - { text, imageUrl, targetRole, filters, segmentId }
+   * @param {Object} [actor] - { id } автора рассылки
+   */
+  async createCampaign(data, actor = {}) {
+    const text = String(data.text || "").trim();
+    if (!text) throw new Error("Текст рассылки обязателен");
+    const { filters, segmentId } = await this.resolveAudience(data);
+
+    const campaign = await db.createBroadcastCampaign({
+      text,
+      imageUrl: data.imageUrl || null,
+      filters,
+      segmentId,
+      createdBy: actor.id || null,
+    });
+
+    if (campaign.total === 0) {
+      return db.setBroadcastCampaignStatus(campaign.id, BROADCAST_STATUS.DONE);
+    }
+
+    await JobService.enqueue(JOB_TYPE, {
+      dedupeKey: jobKey(campaign.id),
+      payload: { campaignId: campaign.id },
+      mode: "keep",
+    });
+    JobService.wake();
+    return campaign;
+  },
+
+  async getCampaigns(limit = 50) {
+    return db.getBroadcastCampaigns(limit);
+  },
+
+  // ---------------------------------------------------------------------------
+  // Сохраненные сегменты аудитории
+  // ---------------------------------------------------------------------------
+
+  async getSegments() {
+    return db.getBroadcastSegments();
+  },
+
+  async saveSegment(data, actor = {}) {
+    const name = String(data.name || "").trim();
+    if (!name) throw new Error("Укажите название сегмента");
+    if (name.length > 100) throw new Error("Название сегмента слишком длинное");
+    const filters = normalizeSegmentFilters(data.filters);
+
+    if (data.id) {
+      const segment = await db.updateBroadcastSegment(data.id, {
+        name,
+        filters,
+      });
+      if (!segment) throw new Error("Сегмент не найден");
+      return segment;
+    }
+    return db.createBroadcastSegment({
+      name,
+      filters,
+      createdBy: actor.id || null,
+    });
+  },
+
+  async deleteSegment(segmentId) {
+    if (!(await db.deleteBroadcastSegment(segmentId)))
+      throw new Error("Сегмент не найден");
+    return true;
+  },
+
+  async cancelCampaign(campaignId) {
+    const campaign = await db.setBroadcastCampaignStatus(
+      campaignId,
+      BROADCAST_STATUS.CANCELLED,
+    );
+    if (!campaign) throw new Error("Рассылка уже завершена или не найдена");
+    await JobService.cancel(JOB_TYPE, jobKey(campaignId));
+    emitProgress(campaign);
+    return campaign;
+  },
+};
@@ -0,0 +1,451 @@
+/**
+ * @file src/services/DocumentService.js
+ * @description Генерация клиентских документов (Commercial Proposal / Estimate PDF).
+ * Собирает брендированную смету из DTO объекта (params, volume, breakdown, bom),
+ * а при наличии позиционной сметы (details.estimate_lines) — построчно из нее.
+ * Используется REST API (скачивание из CRM) и ботом (отправка клиенту документом).
+ *
+ * @module DocumentService
+ */
+
+import fs from "fs";
+import PDFDocument from "pdfkit";
+import { config } from "../config.js";
+import * as db from "../database/index.js";
+
+// =============================================================================
+// 🔤 ШРИФТЫ (кириллица есть только во внешних TTF)
+// =============================================================================
+
+const FONT_CANDIDATES = {
+  regular: [
+    config.documents.fontPath,
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf", // Debian / Ubuntu
+    "/usr/share/fonts/dejavu/DejaVuSans.ttf", // Alpine (font-dejavu)
+  ],
+  bold: [
+    config.documents.fontBoldPath,
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+    "/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf",
+  ],
+};
+
+const resolveFont = (candidates) =>
+  candidates.find((fontPath) => fontPath && fs.existsSync(fontPath));
+
+const STATUS_NAMES = {
+  new: "Новый",
+  processing: "Замер / Расчет",
+  work: "В работе",
+  material: "Ожидание материалов",
+  done: "Сдан",
+  cancel: "Отменен",
+  archived: "Архив",
+};
+
+// Расчетные работы: ключ breakdown -> наименование и объем из volume
+const WORK_ROWS = [
+  {
+    key: "strobe",
+    name: "Штробление трасс",
+    qty: (v) => v.strobe,
+    unit: "м",
+  },
+  {
+    key: "drill",
+    name: "Бурение подрозетников и распаечных коробок",
+    qty: (v) =>
+      (v.detailedPoints?.sockets || 0) + (v.detailedPoints?.boxes || 0),
+    unit: "шт",
+  },
+  {
+    key: "cable",
+    name: "Прокладка кабельных линий",
+    qty: (v) => v.cable,
+    unit: "м",
+  },
+  {
+    key: "points",
+    name: "Монтаж электроточек",
+    qty: (v) => v.points,
+    unit: "шт",
+  },
+  {
+    key: "shield",
+    name: "Сборка коммутационного щита",
+    qty: (v) => v.modules,
+    unit: "мод.",
+  },
+];
+
+const PAGE_MARGIN = 40;
+const ROW_PADDING = 4;
+
+const fmt = (n) => new Intl.NumberFormat("ru-RU").format(Math.round(n || 0));
+
+// =============================================================================
+// 🧱 ПРИМИТИВЫ ВЕРСТКИ
+// =============================================================================
+
+/**
+ * Рендер документа в Buffer (pdfkit отдает поток).
+ */
+const renderToBuffer = (info, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN, info });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+};
+
+const sectionTitle = (doc, fonts, text) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc
+    .font(fonts.bold)
+    .fontSize(12)
+    .fillColor("#111827")
+    .text(text, PAGE_MARGIN);
+  doc.moveDown(0.3);
+};
+
+/**
+ * Простая таблица: columns = [{ title, width, align }], rows = [[...cells]].
+ * Переносит строки на новую страницу, повторяя шапку.
+ */
+const drawTable = (doc, fonts, columns, rows) => {
+  const drawRow = (cells, { header = false } = {}) => {
+    doc.font(header ? fonts.bold : fonts.regular).fontSize(9);
+    const height =
+      Math.max(
+        ...cells.map((cell, i) =>
+          doc.heightOfString(String(cell), {
+            width: columns[i].width - ROW_PADDING * 2,
+          }),
+        ),
+      ) +
+      ROW_PADDING * 2;
+
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      if (!header) drawRow(columns.map((c) => c.title), { header: true });
+    }
+
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    if (header) {
+      const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+      doc.rect(PAGE_MARGIN, top, tableWidth, height).fill("#f3f4f6");
+    }
+    doc.fillColor("#111827");
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + ROW_PADDING, top + ROW_PADDING, {
+        width: columns[i].width - ROW_PADDING * 2,
+        align: columns[i].align || "left",
+      });
+      x += columns[i].width;
+    });
+    doc
+      .moveTo(PAGE_MARGIN, top + height)
+      .lineTo(x, top + height)
+      .strokeColor("#d1d5db")
+      .lineWidth(0.5)
+      .stroke();
+    doc.y = top + height;
+  };
+
+  drawRow(
+    columns.map((c) => c.title),
+    { header: true },
+  );
+  rows.forEach((cells) => drawRow(cells));
+  doc.x = PAGE_MARGIN;
+};
+
+const totalRow = (doc, fonts, label, value, { bold = false } = {}) => {
+  ensureSpace(doc, 20);
+  doc
+    .font(bold ? fonts.bold : fonts.regular)
+    .fontSize(bold ? 12 : 10)
+    .fillColor("#111827")
+    .text(`${label}: ${value}`, PAGE_MARGIN, doc.y, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: "right",
+    });
+};
+
+// =============================================================================
+// 📄 ПУБЛИЧНЫЙ API
+// =============================================================================
+
+export const DocumentService = {
+  /**
+   * Строки работ: позиционная смета (если составлена) или расчетный breakdown.
+   */
+  getEstimateWorkRows(details = {}) {
+    if (
+      Array.isArray(details.estimate_lines) &&
+      details.estimate_lines.length > 0
+    ) {
+      return details.estimate_lines.map((line) => ({
+        name: line.name,
+        qty: line.qty,
+        unit: line.unit,
+        price: line.price,
+        sum: line.sum,
+      }));
+    }
+
+    const breakdown = details.breakdown || {};
+    const volume = details.volume || {};
+    return WORK_ROWS.filter((row) => breakdown[row.key] > 0).map((row) => {
+      const qty = row.qty(volume) || 0;
+      const sum = breakdown[row.key];
+      return {
+        name: row.name,
+        qty,
+        unit: row.unit,
+        price: qty > 0 ? sum / qty : null,
+        sum,
+      };
+    });
+  },
+
+  /**
+   * 🖨 Сборка PDF сметы по заказу и профилю клиента. Возвращает Buffer.
+   */
+  async buildEstimatePdf(order, client = {}) {
+    const fonts = {
+      regular: resolveFont(FONT_CANDIDATES.regular),
+      bold: resolveFont(FONT_CANDIDATES.bold),
+    };
+    if (!fonts.regular) {
+      throw new Error(
+        "Не найден TTF-шрифт с кириллицей для PDF (задайте PDF_FONT_PATH).",
+      );
+    }
+    fonts.bold = fonts.bold || fonts.regular;
+
+    const { companyName, companyDetails, companyPhone } = config.documents;
+    const details = order.details || {};
+    const params = details.params || {};
+    const workRows = this.getEstimateWorkRows(details);
+    const bom = Array.isArray(details.bom) ? details.bom : [];
+    const finalPrice =
+      details.financials?.final_price ?? (parseFloat(order.total_price) || 0);
+    const isItemized =
+      Array.isArray(details.estimate_lines) &&
+      details.estimate_lines.length > 0;
+    const isFinal = ["work", "done"].includes(order.status) || isItemized;
+    const contentWidth = 595.28 - PAGE_MARGIN * 2; // A4
+
+    return renderToBuffer(
+      {
+        Title: `Смета по объекту #${order.id}`,
+        Author: companyName,
+      },
+      (doc) => {
+        doc.registerFont("Regular", fonts.regular);
+        doc.registerFont("Bold", fonts.bold);
+        const f = { regular: "Regular", bold: "Bold" };
+
+        // --- Шапка фирмы ---
+        doc.font(f.bold).fontSize(20).fillColor("#1d4ed8").text(companyName);
+        doc.font(f.regular).fontSize(9).fillColor("#4b5563");
+        if (companyDetails) doc.text(companyDetails);
+        if (companyPhone) doc.text(`Тел.: ${companyPhone}`);
+        doc
+          .moveTo(PAGE_MARGIN, doc.y + 6)
+          .lineTo(PAGE_MARGIN + contentWidth, doc.y + 6)
+          .strokeColor("#1d4ed8")
+          .lineWidth(1.5)
+          .stroke();
+        doc.moveDown(1.2);
+
+        doc
+          .font(f.bold)
+          .fontSize(15)
+          .fillColor("#111827")
+          .text(`КОММЕРЧЕСКОЕ ПРЕДЛОЖЕНИЕ · СМЕТА № ${order.id}`);
+        doc
+          .font(f.regular)
+          .fontSize(9)
+          .fillColor("#4b5563")
+          .text(
+            `Дата: ${new Date().toLocaleDateString("ru-RU")} · Статус объекта: ${STATUS_NAMES[order.status] || order.status}`,
+          );
+
+        // --- Клиент и объект ---
+        sectionTitle(doc, f, "Заказчик и объект");
+        doc.font(f.regular).fontSize(10).fillColor("#111827");
+        const info = [
+          ["Заказчик", client.first_name || "—"],
+          ["Телефон", client.phone || "—"],
+          ["Адрес объекта", details.address || "уточняется"],
+          ["Тип объекта", params.objectTypeName || "—"],
+          [
+            "Площадь / комнаты",
+            `${params.area || "—"} м² / ${params.rooms || "—"}`,
+          ],
+          ["Конструктив стен", params.wallType || "—"],
+        ];
+        info.forEach(([label, value]) => {
+          doc.font(f.bold).text(`${label}: `, { continued: true });
+          doc.font(f.regular).text(String(value));
+        });
+
+        // --- Работы ---
+        sectionTitle(doc, f, "Перечень работ");
+        if (workRows.length === 0) {
+          doc
+            .font(f.regular)
+            .fontSize(10)
+            .text("Работы уточняются после замера.");
+        } else {
+          drawTable(
+            doc,
+            f,
+            [
+              { title: "№", width: 30, align: "center" },
+              { title: "Наименование", width: 215 },
+              { title: "Кол-во", width: 60, align: "right" },
+              { title: "Ед.", width: 45, align: "center" },
+              { title: "Цена, ₸", width: 75, align: "right" },
+              { title: "Сумма, ₸", width: contentWidth - 425, align: "right" },
+            ],
+            workRows.map((row, i) => [
+              i + 1,
+              row.name,
+              row.qty,
+              row.unit,
+              row.price === null ? "—" : fmt(row.price),
+              fmt(row.sum),
+            ]),
+          );
+        }
+
+        // --- Спецификация материалов ---
+        if (bom.length > 0) {
+          sectionTitle(doc, f, "Спецификация материалов");
+          drawTable(
+            doc,
+            f,
+            [
+              { title: "№", width: 30, align: "center" },
+              { title: "Материал", width: contentWidth - 325 },
+              { title: "Кол-во", width: 60, align: "right" },
+              { title: "Ед.", width: 45, align: "center" },
+              { title: "Цена, ₸", width: 90, align: "right" },
+              { title: "Сумма, ₸", width: 100, align: "right" },
+            ],
+            bom.map((item, i) => [
+              i + 1,
+              item.name,
+              item.qty,
+              item.unit,
+              item.price === undefined ? "—" : fmt(item.price),
+              item.sum === undefined ? "—" : fmt(item.sum),
+            ]),
+          );
+        }
+
+        // --- Итоги ---
+        doc.moveDown(1);
+        if (!isItemized && details.total?.work) {
+          totalRow(
+            doc,
+            f,
+            "Расчетная стоимость работ",
+            `${fmt(details.total.work)} ₸`,
+          );
+        }
+        // Материалы по каталогу (total.material) или старая оценка долей
+        if (details.total?.material) {
+          totalRow(
+            doc,
+            f,
+            "Материалы по спецификации",
+            `${fmt(details.total.material)} ₸`,
+          );
+        } else if (details.total?.material_info) {
+          totalRow(
+            doc,
+            f,
+            "Ориентировочная стоимость материалов",
+            `~${fmt(details.total.material_info)} ₸`,
+          );
+        }
+        totalRow(
+          doc,
+          f,
+          isFinal ? "ИТОГО К ОПЛАТЕ ЗА РАБОТЫ" : "ИТОГО (ПРЕДВАРИТЕЛЬНО)",
+          `${fmt(finalPrice)} ₸`,
+          { bold: true },
+        );
+
+        if (!isFinal) {
+          doc.moveDown(0.5);
+          doc
+            .font(f.regular)
+            .fontSize(8)
+            .fillColor("#6b7280")
+            .text(
+              "Предварительный расчет. Итоговая стоимость фиксируется после инженерного замера на объекте.",
+              PAGE_MARGIN,
+            );
+        }
+
+        // --- Подписи ---
+        ensureSpace(doc, 80);
+        doc.moveDown(3);
+        const signY = doc.y;
+        doc.font(f.regular).fontSize(10).fillColor("#111827");
+        doc.text(
+          `Исполнитель (${companyName}): ____________`,
+          PAGE_MARGIN,
+          signY,
+        );
+        doc.text(
+          "Заказчик: ____________",
+          PAGE_MARGIN + contentWidth / 2,
+          signY,
+          { width: contentWidth / 2, align: "right" },
+        );
+      },
+    );
+  },
+
+  /**
+   * Загрузка заказа с клиентом и генерация PDF. Бросает Error, если заказа нет.
+   * @returns {Promise<{ buffer: Buffer, filename: string, order: Object }>}
+   */
+  async getOrderEstimatePdf(orderId) {
+    const res = await db.query(
+      `SELECT o.*, u.first_name AS client_name, u.phone AS client_phone
+       FROM orders o
+       LEFT JOIN users u ON u.telegram_id = o.user_id
+       WHERE o.id = $1`,
+      [orderId],
+    );
+    const order = res.rows[0];
+    if (!order) throw new Error("Заказ не найден");
+
+    const buffer = await this.buildEstimatePdf(order, {
+      first_name: order.client_name,
+      phone: order.client_phone,
+    });
+    return { buffer, filename: `smeta_${order.id}.pdf`, order };
+  },
+};
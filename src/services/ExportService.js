@@ -0,0 +1,284 @@
+/**
+ * @file src/services/ExportService.js
+ * @description Выгрузка реестров в XLSX / CSV (Spreadsheet Export Module).
+ * Пишет файл потоком прямо в HTTP-ответ: строки читаются курсором БД
+ * (db.streamRows) и не накапливаются в памяти. Описания колонок датасетов
+ * (заказы, проводки кассы, аналитика) живут здесь, фильтры — в маршрутах.
+ *
+ * @module ExportService
+ */
+
+import ExcelJS from "exceljs";
+import { OBJECT_TYPE_NAMES } from "./OrderService.js";
+
+export const EXPORT_FORMATS = Object.freeze({
+  XLSX: "xlsx",
+  CSV: "csv",
+});
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+// Excel в ru-локали открывает CSV с разделителем ';' без мастера импорта
+const CSV_SEPARATOR = ";";
+
+const NUM_FORMATS = {
+  money: "#,##0.00",
+  number: "#,##0.##",
+  date: "dd.mm.yyyy hh:mm",
+};
+
+const STATUS_NAMES = {
+  new: "Новый",
+  processing: "Замер / Расчет",
+  work: "В работе",
+  material: "Ожидание материалов",
+  done: "Завершен",
+  cancel: "Отменен",
+  archived: "Архив",
+};
+
+// =============================================================================
+// 📋 КОЛОНКИ ДАТАСЕТОВ ({ key, header, width, type, value(row) })
+// =============================================================================
+
+export const ORDER_EXPORT_COLUMNS = [
+  { key: "id", header: "№ объекта", width: 10, type: "number" },
+  { key: "created_at", header: "Создан", width: 18, type: "date" },
+  {
+    key: "status",
+    header: "Статус",
+    width: 16,
+    value: (row) => STATUS_NAMES[row.status] || row.status,
+  },
+  { key: "client_name", header: "Клиент", width: 20 },
+  { key: "client_phone", header: "Телефон", width: 16 },
+  { key: "brigade_name", header: "Бригада", width: 20 },
+  {
+    key: "object_type",
+    header: "Тип объекта",
+    width: 14,
+    value: (row) => OBJECT_TYPE_NAMES[row.object_type] || row.object_type,
+  },
+  {
+    key: "area",
+    header: "Площадь, м²",
+    width: 12,
+    type: "number",
+    value: (row) => row.details?.params?.area,
+  },
+  {
+    key: "address",
+    header: "Адрес",
+    width: 30,
+    value: (row) => row.details?.address,
+  },
+  { key: "total_price", header: "Цена, ₸", width: 14, type: "money" },
+  {
+    key: "total_expenses",
+    header: "Расходы, ₸",
+    width: 14,
+    type: "money",
+    value: (row) => row.details?.financials?.total_expenses,
+  },
+  {
+    key: "net_profit",
+    header: "Чистая прибыль, ₸",
+    width: 16,
+    type: "money",
+    value: (row) => row.details?.financials?.net_profit,
+  },
+];
+
+export const TRANSACTION_EXPORT_COLUMNS = [
+  { key: "id", header: "ID", width: 8, type: "number" },
+  { key: "created_at", header: "Дата", width: 18, type: "date" },
+  { key: "entry_id", header: "Проводка", width: 10, type: "number" },
+  { key: "account_name", header: "Счет", width: 22 },
+  {
+    key: "type",
+    header: "Тип",
+    width: 10,
+    value: (row) => (row.type === "income" ? "Приход" : "Расход"),
+  },
+  { key: "amount", header: "Сумма, ₸", width: 14, type: "money" },
+  { key: "debit", header: "Дебет, ₸", width: 14, type: "money" },
+  { key: "credit", header: "Кредит, ₸", width: 14, type: "money" },
+  { key: "category", header: "Категория", width: 18 },
+  { key: "comment", header: "Комментарий", width: 30 },
+  { key: "user_name", header: "Автор", width: 16 },
+];
+
+export const BRIGADE_ANALYTICS_EXPORT_COLUMNS = [
+  { key: "id", header: "ID", width: 8, type: "number" },
+  { key: "name", header: "Бригада", width: 22 },
+  {
+    key: "closed_orders_count",
+    header: "Закрыто объектов",
+    width: 16,
+    type: "number",
+  },
+  {
+    key: "total_revenue_brought",
+    header: "Выручка, ₸",
+    width: 16,
+    type: "money",
+  },
+  {
+    key: "total_net_profit_brought",
+    header: "Чистая прибыль, ₸",
+    width: 18,
+    type: "money",
+  },
+  { key: "current_balance", header: "Баланс, ₸", width: 14, type: "money" },
+  { key: "current_debt", header: "Долг, ₸", width: 14, type: "money" },
+];
+
+export const DEEP_ANALYTICS_EXPORT_COLUMNS = [
+  { key: "section", header: "Раздел", width: 20 },
+  { key: "metric", header: "Показатель", width: 30 },
+  { key: "value", header: "Значение, ₸", width: 16, type: "money" },
+];
+
+// =============================================================================
+// 🧱 ФОРМАТИРОВАНИЕ ЯЧЕЕК
+// =============================================================================
+
+const cellValue = (column, row) => {
+  const raw = column.value ? column.value(row) : row[column.key];
+  if (raw === null || raw === undefined || raw === "") return null;
+  if (column.type === "date") return new Date(raw);
+  if (["money", "number"].includes(column.type)) {
+    const num = parseFloat(raw);
+    return isNaN(num) ? null : num;
+  }
+  return String(raw);
+};
+
+const csvCell = (value) => {
+  if (value === null) return "";
+  let text =
+    value instanceof Date
+      ? value.toLocaleString("ru-RU", { timeZone: process.env.TZ })
+      : typeof value === "number"
+        ? String(value).replace(".", ",") // Десятичная запятая (ru-локаль)
+        : value;
+  // Защита от CSV-инъекций формул при открытии в Excel
+  if (/^[=+\-@]/.test(text) && typeof value === "string") text = `'${text}`;
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Ожидание освобождения буфера сокета (или закрытия соединения клиентом)
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// =============================================================================
+// 📤 ПУБЛИЧНЫЙ API
+// =============================================================================
+
+export const ExportService = {
+  /**
+   * Нормализация формата из query (?format=xlsx|csv). По умолчанию XLSX.
+   */
+  parseFormat(raw) {
+    const format = String(raw || EXPORT_FORMATS.XLSX).toLowerCase();
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      const error = new Error(
+        `Неизвестный формат выгрузки: ${raw} (xlsx или csv).`,
+      );
+      error.status = 400;
+      throw error;
+    }
+    return format;
+  },
+
+  /**
+   * Плоские строки "Раздел / Показатель / Значение" из /api/analytics/deep.
+   */
+  deepAnalyticsRows(data = {}) {
+    const economics = data.economics || {};
+    return [
+      {
+        section: "Экономика",
+        metric: "Средний чек",
+        value: economics.averageCheck,
+      },
+      {
+        section: "Экономика",
+        metric: "Средняя маржа",
+        value: economics.averageMargin,
+      },
+      {
+        section: "Экономика",
+        metric: "Долги бригад",
+        value: economics.totalBrigadeDebts,
+      },
+      ...(data.expenseBreakdown || []).map((row) => ({
+        section: "Расходы по категориям",
+        metric: row.category,
+        value: row.total,
+      })),
+    ];
+  },
+
+  /**
+   * Потоковая отправка файла. rows — массив или async-итератор (db.streamRows).
+   * Ошибка после отправки заголовков обрывает соединение (файл будет неполным).
+   */
+  async sendExport(res, { format, filename, sheetName, columns, rows }) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set({
+      "Content-Type": CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${filename}_${stamp}.${format}"`,
+      "Cache-Control": "no-store",
+    });
+
+    if (format === EXPORT_FORMATS.CSV) {
+      res.write("\uFEFF"); // BOM: Excel распознает UTF-8 и кириллицу
+      res.write(columns.map((c) => csvCell(c.header)).join(CSV_SEPARATOR));
+      for await (const row of rows) {
+        if (res.destroyed) break;
+        const line = columns
+          .map((c) => csvCell(cellValue(c, row)))
+          .join(CSV_SEPARATOR);
+        if (!res.write(`\r\n${line}`)) await waitForDrain(res);
+      }
+      res.end();
+      return;
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((c) => ({
+      header: c.header,
+      key: c.key,
+      width: c.width,
+      style: NUM_FORMATS[c.type] ? { numFmt: NUM_FORMATS[c.type] } : {},
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const row of rows) {
+      if (res.destroyed) break;
+      const values = Object.fromEntries(
+        columns.map((c) => [c.key, cellValue(c, row)]),
+      );
+      sheet.addRow(values).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  },
+};
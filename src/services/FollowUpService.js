@@ -0,0 +1,291 @@
+/**
+ * @file src/services/FollowUpService.js
+ * @description Follow-up цепочки для брошенных смет и зависших заявок.
+ * Шаги хранятся в очереди задач (JobService) и переживают рестарт:
+ * - смета рассчитана, но не оформлена: первый шаг — алерт Владельцу,
+ *   каждый шаг — напоминание клиенту с кнопкой оформления;
+ * - заявка в статусе new/draft без движения: алерт Владельцу и напоминание
+ *   клиенту с выбором времени выезда. Заявки находит периодическая задача scan.
+ * Тайминги и тексты шагов — в settings (followup_<estimate|order>_delay_N /
+ * _text_N), пустой текст — стандартный из каталога на языке клиента.
+ * Напоминания клиенту учитывают отказ от уведомлений (notify_order_updates).
+ *
+ * @module FollowUpService
+ */
+
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { OrderService, ORDER_STATUS } from "./OrderService.js";
+import { I18nService } from "./I18nService.js";
+import { JobService } from "./JobService.js";
+
+export const FOLLOWUP_JOBS = Object.freeze({
+  ESTIMATE: "followup.estimate",
+  ORDER: "followup.order",
+  SCAN: "followup.scan",
+});
+
+const MAX_STEPS = 3;
+const DELAY_SETTING = /^followup_(estimate|order)_delay_\d+$/;
+const SCAN_INTERVAL_MS = 30 * 60 * 1000;
+const SCAN_WINDOW_MIN = 24 * 60; // Запас после последнего шага цепочки заявки
+const STALE_ORDER_STATUSES = [ORDER_STATUS.NEW, ORDER_STATUS.DRAFT];
+
+// Отправитель сообщений (внедряется из bot.js)
+let messageSender = null;
+
+// =============================================================================
+// 🔧 ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// =============================================================================
+
+/**
+ * Шаги цепочки из настроек, по возрастанию задержки (минуты от старта).
+ * @param {"estimate"|"order"} kind
+ * @returns {Promise<Array<{delayMin: number, template: string}>>}
+ */
+const loadSequence = async (kind) => {
+  const prefix = `followup_${kind}_`;
+  const settings = await db.getSettingsByPrefix(prefix);
+  const steps = [];
+  for (let i = 1; i <= MAX_STEPS; i++) {
+    const delayMin = parseInt(settings[`${prefix}delay_${i}`], 10);
+    if (!delayMin || delayMin <= 0) continue;
+    steps.push({
+      delayMin,
+      template: (settings[`${prefix}text_${i}`] || "").trim(),
+    });
+  }
+  return steps.sort((a, b) => a.delayMin - b.delayMin);
+};
+
+const stepTime = (anchor, step) =>
+  new Date(new Date(anchor).getTime() + step.delayMin * 60000);
+
+// Следующий шаг цепочки для JobService (null — цепочка завершена)
+const nextStep = (steps, anchor, index) =>
+  steps[index + 1]
+    ? { step: index + 1, runAt: stepTime(anchor, steps[index + 1]) }
+    : null;
+
+// Текст шага: шаблон из настроек или стандартный текст на языке клиента
+const renderStep = (step, lang, key, params) =>
+  step.template
+    ? I18nService.format(step.template, params)
+    : I18nService.t(lang, key, params);
+
+const notifyButton = (lang) => [
+  {
+    text: I18nService.t(lang, "notify.disableButton"),
+    callback_data: "user_notify_off",
+  },
+];
+
+const notifyOwner = async (key, paramsFn) => {
+  const ownerId = config.bot.ownerId || (await db.getSystemOwnerId());
+  if (!ownerId || !messageSender) return;
+  const owner = await db.findUserById(ownerId);
+  const lang = owner?.language_code;
+  await messageSender(ownerId, I18nService.t(lang, key, paramsFn(lang)));
+};
+
+const wantsReminders = (client) =>
+  Boolean(client) && client.notify_order_updates !== false;
+
+// =============================================================================
+// ⏱ ОБРАБОТЧИКИ ЗАДАЧ
+// =============================================================================
+
+async function runEstimateStep(job) {
+  const { payload } = job;
+  const steps = await loadSequence("estimate");
+  const step = steps[job.step];
+  if (!step) return null;
+
+  // Клиент оформил заявку после расчета — цепочка больше не нужна
+  const ordered = await db.query(
+    "SELECT 1 FROM orders WHERE user_id = $1 AND created_at >= $2 LIMIT 1",
+    [payload.userId, payload.anchor],
+  );
+  if (ordered.rowCount > 0) return { cancel: true };
+
+  const client = await db.findUserById(payload.userId);
+
+  if (job.step === 0) {
+    await notifyOwner("owner.abandonedCart", (lang) => ({
+      name: payload.name,
+      link: payload.username
+        ? `@${payload.username}`
+        : I18nService.t(lang, "common.hidden"),
+      phone: client?.phone || I18nService.t(lang, "common.noData"),
+      area: payload.area,
+      rooms: payload.rooms,
+      wallType: payload.wallType,
+      work: I18nService.formatNumber(lang, payload.work),
+      minutes: step.delayMin,
+    }));
+  }
+
+  if (wantsReminders(client) && messageSender) {
+    const lang = client.language_code;
+    const html = renderStep(step, lang, "followup.estimate", {
+      name: client.first_name || payload.name,
+      work: I18nService.formatNumber(lang, payload.work),
+    });
+    await messageSender(payload.userId, html, {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: I18nService.t(lang, "user.orderVisitButton"),
+              callback_data: "action_save_order",
+            },
+          ],
+          notifyButton(lang),
+        ],
+      },
+    });
+  }
+
+  return nextStep(steps, payload.anchor, job.step);
+}
+
+async function runOrderStep(job) {
+  const { payload } = job;
+  const order = await db.getOrderById(payload.orderId);
+  if (!order || !STALE_ORDER_STATUSES.includes(order.status))
+    return { cancel: true };
+
+  const steps = await loadSequence("order");
+  const step = steps[job.step];
+  if (!step) return null;
+
+  const client = await db.findUserById(order.user_id);
+
+  if (job.step === 0) {
+    await notifyOwner("owner.staleOrder", (lang) => ({
+      id: order.id,
+      name: client?.first_name || I18nService.t(lang, "common.noData"),
+      phone: client?.phone || I18nService.t(lang, "common.noData"),
+      total: I18nService.formatNumber(lang, order.total_price || 0),
+      hours: Math.round(step.delayMin / 60),
+    }));
+  }
+
+  if (wantsReminders(client) && messageSender) {
+    const lang = client.language_code;
+    const html = renderStep(step, lang, "followup.staleOrder", {
+      id: order.id,
+      name: client.first_name || "",
+      work: I18nService.formatNumber(lang, order.total_price || 0),
+    });
+    const keyboard = [notifyButton(lang)];
+    if (order.status === ORDER_STATUS.NEW) {
+      keyboard.unshift([
+        {
+          text: I18nService.t(lang, "user.pickVisitButton"),
+          callback_data: `user_pick_visit_${order.id}`,
+        },
+      ]);
+    }
+    await messageSender(order.user_id, html, {
+      reply_markup: { inline_keyboard: keyboard },
+    });
+  }
+
+  return nextStep(steps, payload.anchor, job.step);
+}
+
+// Периодический поиск зависших заявок; задача переназначает сама себя
+async function runScan() {
+  const steps = await loadSequence("order");
+  if (steps.length > 0) {
+    const orders = await OrderService.getAbandonedCarts(
+      steps[0].delayMin,
+      steps[steps.length - 1].delayMin + SCAN_WINDOW_MIN,
+    );
+    for (const order of orders) {
+      await JobService.enqueue(FOLLOWUP_JOBS.ORDER, {
+        dedupeKey: `order:${order.id}`,
+        payload: { orderId: order.id, anchor: order.created_at },
+        runAt: stepTime(order.created_at, steps[0]),
+        mode: "once",
+      });
+    }
+  }
+  return { step: 0, runAt: new Date(Date.now() + SCAN_INTERVAL_MS) };
+}
+
+JobService.registerHandler(FOLLOWUP_JOBS.ESTIMATE, runEstimateStep);
+JobService.registerHandler(FOLLOWUP_JOBS.ORDER, runOrderStep);
+JobService.registerHandler(FOLLOWUP_JOBS.SCAN, runScan);
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const FollowUpService = {
+  /**
+   * Внедрение отправителя: (chatId, html, extra) => Promise.
+   */
+  setMessageSender(sender) {
+    messageSender = sender;
+  },
+
+  /**
+   * Запуск цепочки по рассчитанной, но не оформленной смете.
+   * Повторный расчет перезапускает цепочку клиента с первого шага.
+   * @param {Object} from - ctx.from клиента
+   * @param {Object} estimate - результат OrderService.calculateComplexEstimate
+   */
+  async startEstimateFollowUp(from, estimate) {
+    const steps = await loadSequence("estimate");
+    if (steps.length === 0) return null;
+    const anchor = new Date();
+    return JobService.enqueue(FOLLOWUP_JOBS.ESTIMATE, {
+      dedupeKey: `user:${from.id}`,
+      payload: {
+        userId: from.id,
+        name: from.first_name,
+        username: from.username || null,
+        area: estimate.params.area,
+        rooms: estimate.params.rooms,
+        wallType: estimate.params.wallType,
+        work: estimate.total.work,
+        anchor: anchor.toISOString(),
+      },
+      runAt: stepTime(anchor, steps[0]),
+    });
+  },
+
+  /**
+   * Проверка настроек цепочек перед сохранением (POST /api/settings):
+   * задержка шага — целое число минут, 0 выключает шаг.
+   * @param {Array<{key: string, value: *}>} items
+   * @returns {string|null} Текст ошибки или null.
+   */
+  validateSettings(items) {
+    const invalid = items.find(
+      (item) =>
+        DELAY_SETTING.test(item?.key || "") &&
+        !/^\d+$/.test(String(item.value ?? "").trim()),
+    );
+    return invalid
+      ? `Задержка ${invalid.key} должна быть целым числом минут`
+      : null;
+  },
+
+  async cancelEstimateFollowUp(userId) {
+    return JobService.cancel(FOLLOWUP_JOBS.ESTIMATE, `user:${userId}`);
+  },
+
+  /**
+   * Постановка периодического поиска зависших заявок (один на все инстансы).
+   * Вызывается при старте сервера после initDB.
+   */
+  async scheduleStaleOrderScan() {
+    return JobService.enqueue(FOLLOWUP_JOBS.SCAN, {
+      dedupeKey: "stale_orders",
+      mode: "keep",
+    });
+  },
+};
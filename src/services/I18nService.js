@@ -0,0 +1,135 @@
+/**
+ * @file src/services/I18nService.js
+ * @description Локализация Telegram-бота (русский, казахский, английский).
+ * Язык пользователя хранится в users.language_code; строки — в src/locales.
+ * Отсутствующие в каталоге ключи берутся из русского (базового) каталога.
+ *
+ * @module I18nService
+ */
+
+import ru from "../locales/ru.js";
+import kk from "../locales/kk.js";
+import en from "../locales/en.js";
+
+export const LANGUAGES = Object.freeze({
+  RU: "ru",
+  KK: "kk",
+  EN: "en",
+});
+
+export const DEFAULT_LANGUAGE = LANGUAGES.RU;
+
+const CATALOGS = Object.freeze({ ru, kk, en });
+
+// Локали Intl для форматирования чисел и дат
+const LOCALE_TAGS = Object.freeze({
+  ru: "ru-RU",
+  kk: "kk-KZ",
+  en: "en-US",
+});
+
+// Коды Telegram, которые сводим к поддерживаемым языкам
+const LANGUAGE_ALIASES = Object.freeze({
+  kz: LANGUAGES.KK,
+});
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : match,
+  );
+
+export const I18nService = {
+  LANGUAGES,
+
+  /**
+   * Приведение кода языка (Telegram language_code, "kk-KZ") к поддерживаемому.
+   * @param {string} [code]
+   * @returns {string} ru | kk | en (неизвестные — ru).
+   */
+  normalizeLanguage(code) {
+    const base = String(code || "")
+      .toLowerCase()
+      .split(/[-_]/)[0];
+    const lang = LANGUAGE_ALIASES[base] || base;
+    return CATALOGS[lang] ? lang : DEFAULT_LANGUAGE;
+  },
+
+  isSupported(code) {
+    return Boolean(CATALOGS[code]);
+  },
+
+  /**
+   * Перевод строки по ключу "раздел.ключ" с подстановкой {параметров}.
+   * @param {string} lang
+   * @param {string} key
+   * @param {Object} [params]
+   * @returns {string}
+   */
+  t(lang, key, params = {}) {
+    const catalog = CATALOGS[this.normalizeLanguage(lang)];
+    const template = lookup(catalog, key) ?? lookup(CATALOGS.ru, key);
+    if (typeof template !== "string") return key;
+    return interpolate(template, params);
+  },
+
+  // Подстановка {параметров} в произвольный шаблон (тексты из настроек)
+  format(template, params = {}) {
+    return interpolate(String(template), params);
+  },
+
+  // Есть ли ключ в базовом каталоге (для значений из БД: типы стен, статусы)
+  has(key) {
+    return typeof lookup(CATALOGS.ru, key) === "string";
+  },
+
+  /**
+   * Все языковые варианты строки (для bot.hears и сравнения нажатых кнопок).
+   * @param {string} key
+   * @returns {string[]}
+   */
+  variants(key) {
+    const values = Object.keys(CATALOGS).map((lang) => this.t(lang, key));
+    return [...new Set(values)];
+  },
+
+  /**
+   * Совпадает ли текст сообщения с кнопкой на любом из языков.
+   * @param {string} text
+   * @param {string} key
+   */
+  matches(text, key) {
+    return this.variants(key).includes(text);
+  },
+
+  // Слово "Отмена" в свободном вводе (без учета регистра, на любом языке)
+  isCancelWord(text) {
+    const value = String(text || "")
+      .trim()
+      .toLowerCase();
+    return (
+      this.variants("common.cancelWord").includes(value) ||
+      this.variants("buttons.cancel").some((b) => b.toLowerCase() === value)
+    );
+  },
+
+  getLanguageName(lang) {
+    return this.t(lang, "languageName");
+  },
+
+  getLocaleTag(lang) {
+    return LOCALE_TAGS[this.normalizeLanguage(lang)];
+  },
+
+  formatNumber(lang, value) {
+    return new Intl.NumberFormat(this.getLocaleTag(lang)).format(value);
+  },
+
+  formatDate(lang, date, options = {}) {
+    return new Date(date).toLocaleDateString(this.getLocaleTag(lang), options);
+  },
+};
@@ -0,0 +1,152 @@
+/**
+ * @file src/services/JobService.js
+ * @description Планировщик отложенных задач на PostgreSQL (Durable Job Scheduler).
+ * Задачи живут в scheduled_jobs и переживают рестарт. Воркер (startWorker)
+ * периодически забирает созревшие задачи; захват через SKIP LOCKED делает
+ * безопасным запуск нескольких инстансов. Обработчик типа задачи
+ * регистрируется сервисом-владельцем (registerHandler) и может вернуть
+ * следующий шаг цепочки ({ step, runAt, payload }) — тогда задача
+ * переназначается, иначе закрывается.
+ *
+ * @module JobService
+ */
+
+import * as db from "../database/index.js";
+
+export const JOB_STATUS = Object.freeze({
+  PENDING: "pending",
+  DONE: "done",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+});
+
+const WORKER_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+const LOCK_MINUTES = 5;
+// Захват продлевается заранее, чтобы долгая задача (рассылка) не ушла второму инстансу
+const HEARTBEAT_MS = (LOCK_MINUTES * 60 * 1000) / 2;
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const handlers = new Map();
+let workerTimer = null;
+let workerTick = null;
+let workerBusy = false;
+
+export const JobService = {
+  /**
+   * Регистрация обработчика: async (job) => null | { step, runAt, payload? }.
+   * Возврат { cancel: true } закрывает задачу как отмененную.
+   */
+  registerHandler(type, handler) {
+    handlers.set(type, handler);
+  },
+
+  /**
+   * Постановка задачи в очередь (см. режимы в db.enqueueJob).
+   * @param {string} type
+   * @param {Object} options - { dedupeKey, payload, runAt, mode }
+   */
+  async enqueue(type, options = {}) {
+    return db.enqueueJob({ type, ...options });
+  },
+
+  /**
+   * Отмена по dedupe_key. Задача, которую сейчас выполняет воркер,
+   * закрывается после завершения текущего шага (см. db.cancelJobs).
+   */
+  async cancel(type, dedupeKey) {
+    return db.cancelJobs(type, dedupeKey);
+  },
+
+  /**
+   * Выполнение созревших задач одним проходом воркера.
+   * @returns {Promise<number>} Количество обработанных задач.
+   */
+  async runDueJobs() {
+    const jobs = await db.claimDueJobs(BATCH_SIZE, LOCK_MINUTES);
+    // Задачи пачки выполняются по очереди: захват держится за всеми незавершенными
+    const held = new Set(jobs.map((job) => job.id));
+    const heartbeat = setInterval(() => {
+      if (held.size === 0) return;
+      db.extendJobLocks([...held], LOCK_MINUTES).catch((error) =>
+        console.error("[JobService] Lock heartbeat failed:", error.message),
+      );
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    try {
+      for (const job of jobs) {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+          await db.failJobAttempt(
+            job.id,
+            `Нет обработчика для задачи "${job.type}"`,
+            new Date(Date.now() + RETRY_DELAY_MS),
+            MAX_ATTEMPTS,
+          );
+          held.delete(job.id);
+          continue;
+        }
+
+        try {
+          const next = await handler(job);
+          if (next?.cancel) {
+            await db.finishJob(job.id, JOB_STATUS.CANCELLED);
+          } else if (next) {
+            await db.rescheduleJob(job.id, next);
+          } else {
+            await db.finishJob(job.id, JOB_STATUS.DONE);
+          }
+        } catch (error) {
+          console.error(
+            `[JobService] Job #${job.id} (${job.type}) failed:`,
+            error.message,
+          );
+          await db.failJobAttempt(
+            job.id,
+            error.message,
+            new Date(Date.now() + RETRY_DELAY_MS * (job.attempts + 1)),
+            MAX_ATTEMPTS,
+          );
+        }
+        held.delete(job.id);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+    return jobs.length;
+  },
+
+  startWorker() {
+    if (workerTimer) return;
+    // Проходы не накладываются: долгая задача (рассылка) не запускает второй проход
+    workerTick = async () => {
+      if (workerBusy) return;
+      workerBusy = true;
+      try {
+        await this.runDueJobs();
+      } catch (error) {
+        console.error("[JobService] Worker tick failed:", error);
+      } finally {
+        workerBusy = false;
+      }
+    };
+    workerTimer = setInterval(workerTick, WORKER_INTERVAL_MS);
+    workerTimer.unref();
+    workerTick();
+  },
+
+  /**
+   * Внеочередной проход воркера (задача поставлена на "сейчас").
+   */
+  wake() {
+    if (workerTick) workerTick();
+  },
+
+  stopWorker() {
+    clearInterval(workerTimer);
+    workerTimer = null;
+    workerTick = null;
+  },
+};
@@ -0,0 +1,265 @@
+/**
+ * @file src/services/MaterialService.js
+ * @description Каталог материалов и стоимость спецификаций (Materials & BOM Costing).
+ * Генератор BOM ссылается на артикулы каталога (SKU), строки спецификации
+ * несут закупочную и отпускную цену, итог по материалам считается построчно.
+ *
+ * @module MaterialService
+ */
+
+import * as db from "../database/index.js";
+
+// =============================================================================
+// 📐 ШАБЛОН СПЕЦИФИКАЦИИ (SKU каталога + формула объема)
+// name/unit — запасные значения, если артикул удален из каталога
+// =============================================================================
+
+export const BOM_TEMPLATE = [
+  {
+    sku: "CAB-VVG-3X2.5",
+    name: "Кабель ВВГнг-LS 3x2.5",
+    note: "Розетки",
+    unit: "м",
+    qty: (v) => Math.ceil(v.cable * 0.65),
+  },
+  {
+    sku: "CAB-VVG-3X1.5",
+    name: "Кабель ВВГнг-LS 3x1.5",
+    note: "Свет",
+    unit: "м",
+    qty: (v) => Math.ceil(v.cable * 0.35),
+  },
+  {
+    sku: "CORR-PVC-D20",
+    name: "Гофра ПВХ D20",
+    unit: "м",
+    qty: (v) => v.detailedCable.corrugated,
+  },
+  {
+    sku: "CHAN-25X16",
+    name: "Кабель-канал 25x16",
+    unit: "м",
+    qty: (v) => v.detailedCable.channel,
+  },
+  {
+    sku: "BOX-D68",
+    name: "Подрозетники D68",
+    unit: "шт",
+    qty: (v) => v.detailedPoints.sockets,
+  },
+  {
+    sku: "JBOX-100",
+    name: "Распредкоробки 100x100",
+    unit: "шт",
+    qty: (v) => v.detailedPoints.boxes,
+  },
+  {
+    sku: "MCB-16A",
+    name: "Автоматы 16A",
+    note: "Линии",
+    unit: "шт",
+    qty: (v) => Math.ceil(v.modules * 0.4),
+  },
+  {
+    sku: "RCBO-16A",
+    name: "УЗО / Дифавтоматы",
+    unit: "шт",
+    qty: (v) => Math.ceil(v.modules * 0.15),
+  },
+  {
+    sku: "WAGO-221",
+    name: "Клеммы WAGO (Уп.)",
+    unit: "уп",
+    qty: (v) => Math.ceil(v.detailedPoints.boxes * 0.5),
+  },
+];
+
+const MAX_BOM_LINES = 300;
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+const costLine = (material, qty, name) => ({
+  material_id: material.id,
+  sku: material.sku,
+  name,
+  qty,
+  unit: material.unit,
+  price: parseFloat(material.sell_price) || 0,
+  cost: parseFloat(material.purchase_price) || 0,
+  sum: roundMoney(qty * (parseFloat(material.sell_price) || 0)),
+});
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const MaterialService = {
+  /**
+   * Проверка карточки материала. partial=true — для PATCH (поля опциональны).
+   */
+  validateMaterial(data = {}, { partial = false } = {}) {
+    const result = {};
+    const text = (value) =>
+      value === undefined || value === null ? undefined : String(value).trim();
+
+    const sku = text(data.sku)?.toUpperCase();
+    if (!partial) {
+      if (!sku || !/^[A-Z0-9][A-Z0-9._-]{1,63}$/.test(sku))
+        throw new Error(
+          "Артикул (SKU): латиница, цифры, '.', '_' или '-' (2–64 символа).",
+        );
+      result.sku = sku;
+    }
+
+    const name = text(data.name);
+    if (name !== undefined || !partial) {
+      if (!name) throw new Error("Укажите наименование материала.");
+      result.name = name;
+    }
+
+    const unit = text(data.unit);
+    if (unit !== undefined || !partial) result.unit = unit || "шт";
+
+    for (const [field, key] of [
+      ["purchasePrice", "purchase_price"],
+      ["sellPrice", "sell_price"],
+    ]) {
+      const raw = data[field] ?? data[key];
+      if (raw === undefined || raw === null || raw === "") {
+        if (!partial) result[field] = 0;
+        continue;
+      }
+      const num = parseFloat(raw);
+      if (isNaN(num) || num < 0 || num > 100000000)
+        throw new Error("Цены материала должны быть неотрицательными числами.");
+      result[field] = roundMoney(num);
+    }
+
+    const minStock = data.minStock ?? data.min_stock;
+    if (minStock !== undefined && minStock !== null && minStock !== "") {
+      const num = parseFloat(minStock);
+      if (isNaN(num) || num < 0 || num > 1000000)
+        throw new Error("Минимальный остаток должен быть неотрицательным.");
+      result.minStock = num;
+    }
+
+    const supplier = text(data.supplier);
+    if (supplier !== undefined) result.supplier = supplier;
+    if (data.isActive !== undefined) result.isActive = Boolean(data.isActive);
+    return result;
+  },
+
+  async getCatalog({ includeInactive = false } = {}) {
+    return db.getMaterials({ includeInactive });
+  },
+
+  async createMaterial(data) {
+    return db.createMaterial(this.validateMaterial(data));
+  },
+
+  async updateMaterial(id, data) {
+    const material = await db.updateMaterial(
+      id,
+      this.validateMaterial(data, { partial: true }),
+    );
+    if (!material) throw new Error("Материал не найден");
+    return material;
+  },
+
+  /**
+   * Генерация BOM по объемам работ: строки с ценами каталога (нулевые объемы пропускаются).
+   */
+  async buildSpecification(volumes) {
+    const catalog = new Map(
+      (await db.getMaterialsBySkus(BOM_TEMPLATE.map((t) => t.sku))).map(
+        (m) => [m.sku, m],
+      ),
+    );
+
+    return BOM_TEMPLATE.map((template) => ({
+      template,
+      qty: template.qty(volumes) || 0,
+    }))
+      .filter(({ qty }) => qty > 0)
+      .map(({ template, qty }) => {
+        const material = catalog.get(template.sku);
+        const baseName = material ? material.name : template.name;
+        const name = template.note
+          ? `${baseName} (${template.note})`
+          : baseName;
+        if (material) return costLine(material, qty, name);
+        return {
+          material_id: null,
+          sku: template.sku,
+          name,
+          qty,
+          unit: template.unit,
+          price: 0,
+          cost: 0,
+          sum: 0,
+        };
+      });
+  },
+
+  /**
+   * Пересчет строк BOM из редактора: цены позиций каталога берутся на сервере,
+   * свои позиции (без SKU) — с ценой из запроса (закупка = отпуск).
+   */
+  async costBomLines(rawLines) {
+    if (!Array.isArray(rawLines))
+      throw new Error("Спецификация должна быть массивом.");
+    if (rawLines.length > MAX_BOM_LINES)
+      throw new Error(`Спецификация ограничена ${MAX_BOM_LINES} позициями.`);
+
+    const skus = rawLines.filter((l) => l?.sku).map((l) => l.sku);
+    const catalog = new Map(
+      (await db.getMaterialsBySkus(skus)).map((m) => [m.sku, m]),
+    );
+
+    return rawLines.map((raw, index) => {
+      const position = `Позиция ${index + 1}`;
+      const qty = parseFloat(raw?.qty);
+      if (isNaN(qty) || qty < 0 || qty > 1000000)
+        throw new Error(`${position}: некорректное количество.`);
+
+      if (raw.sku) {
+        const material = catalog.get(raw.sku);
+        if (!material)
+          throw new Error(
+            `${position}: артикул ${raw.sku} не найден в каталоге.`,
+          );
+        return costLine(material, qty, String(raw.name || material.name));
+      }
+
+      const name = String(raw.name || "").trim();
+      if (!name) throw new Error(`${position}: укажите наименование.`);
+      const price = parseFloat(raw.price) || 0;
+      if (price < 0)
+        throw new Error(`${position}: цена не может быть отрицательной.`);
+      return {
+        material_id: null,
+        sku: null,
+        name,
+        qty,
+        unit: String(raw.unit || "шт").trim() || "шт",
+        price,
+        cost: price,
+        sum: roundMoney(qty * price),
+      };
+    });
+  },
+
+  /**
+   * Итоги спецификации: отпускная сумма (клиенту) и закупочная себестоимость.
+   */
+  summarizeBom(lines = []) {
+    return lines.reduce(
+      (acc, line) => ({
+        sell: roundMoney(acc.sell + (parseFloat(line.sum) || 0)),
+        cost: roundMoney(
+          acc.cost + (parseFloat(line.qty) || 0) * (parseFloat(line.cost) || 0),
+        ),
+      }),
+      { sell: 0, cost: 0 },
+    );
+  },
+};
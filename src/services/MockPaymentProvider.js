@@ -0,0 +1,75 @@
+/**
+ * @file src/services/MockPaymentProvider.js
+ * @description Локальный платежный шлюз (Mock Payment Provider).
+ * Повторяет контракт внешнего провайдера (Kaspi QR): выдает ссылку и QR на
+ * тестовую страницу оплаты в самой CRM, а "оплата" на ней отправляет
+ * подписанный HMAC-SHA256 webhook на /api/payments/webhook/mock.
+ * Позволяет проверить весь поток оплаты без сети и реальных денег.
+ *
+ * @module MockPaymentProvider
+ */
+
+import crypto from "crypto";
+import { config } from "../config.js";
+
+export const MOCK_SIGNATURE_HEADER = "x-mock-signature";
+
+const sign = (rawBody) =>
+  crypto
+    .createHmac("sha256", config.payments.webhookSecret)
+    .update(rawBody)
+    .digest("hex");
+
+export const MockPaymentProvider = {
+  name: "mock",
+  title: "Тестовый шлюз (Mock)",
+
+  /**
+   * Выставление счета: ссылка на локальную страницу оплаты.
+   */
+  async createInvoice({ invoiceId }) {
+    const externalId = `mock_${invoiceId}_${crypto.randomBytes(4).toString("hex")}`;
+    const paymentUrl = `${config.payments.publicUrl}/api/payments/mock/${externalId}`;
+    return { externalId, paymentUrl, qrPayload: paymentUrl };
+  },
+
+  /**
+   * Проверка подписи и разбор уведомления о платеже.
+   * @returns {{externalId: string, status: "paid"|"failed", amount: number}}
+   */
+  parseWebhook({ headers, rawBody }) {
+    const signature = String(headers[MOCK_SIGNATURE_HEADER] || "");
+    const expected = sign(rawBody || "");
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    )
+      throw new Error("Неверная подпись webhook.");
+
+    const payload = JSON.parse(rawBody.toString("utf8"));
+    return {
+      externalId: payload.invoice_id,
+      status: payload.event === "payment.succeeded" ? "paid" : "failed",
+      amount: parseFloat(payload.amount),
+    };
+  },
+
+  /**
+   * Тело и заголовки webhook, который отправил бы провайдер (для страницы оплаты).
+   */
+  buildWebhook(invoice, succeeded = true) {
+    const rawBody = JSON.stringify({
+      event: succeeded ? "payment.succeeded" : "payment.failed",
+      invoice_id: invoice.external_id,
+      amount: parseFloat(invoice.amount),
+      paid_at: new Date().toISOString(),
+    });
+    return {
+      rawBody,
+      headers: {
+        "Content-Type": "application/json",
+        [MOCK_SIGNATURE_HEADER]: sign(rawBody),
+      },
+    };
+  },
+};
@@ -0,0 +1,114 @@
+/**
+ * @file src/services/NotificationService.js
+ * @description Уведомления клиентов о ходе работ по объекту (Client Notifications).
+ * Слушает payload триггера order_update_trigger (канал order_updates) и
+ * отправляет владельцу заказа сообщение в Telegram на значимых переходах:
+ * бригада назначена, монтаж начат, ожидается оплата, объект сдан.
+ * Клиент может отказаться от уведомлений (users.notify_order_updates).
+ * Текст — на языке клиента (users.language_code, каталог notify.*).
+ *
+ * @module NotificationService
+ */
+
+import * as db from "../database/index.js";
+import { ORDER_STATUS } from "./OrderService.js";
+import { I18nService } from "./I18nService.js";
+
+export const ORDER_NOTIFICATION_EVENTS = Object.freeze({
+  BRIGADE_ASSIGNED: "brigade_assigned",
+  WORK_STARTED: "work_started",
+  AWAITING_PAYMENT: "awaiting_payment",
+  DONE: "done",
+});
+
+// Статус заказа -> событие для клиента (остальные переходы клиенту не шлем)
+const STATUS_EVENTS = Object.freeze({
+  [ORDER_STATUS.WORK]: ORDER_NOTIFICATION_EVENTS.WORK_STARTED,
+  [ORDER_STATUS.PENDING_PAYMENT]: ORDER_NOTIFICATION_EVENTS.AWAITING_PAYMENT,
+  [ORDER_STATUS.DONE]: ORDER_NOTIFICATION_EVENTS.DONE,
+});
+
+// Событие -> ключ каталога локализации
+const MESSAGES = Object.freeze({
+  brigade_assigned: "notify.brigadeAssigned",
+  work_started: "notify.workStarted",
+  awaiting_payment: "notify.awaitingPayment",
+  done: "notify.done",
+});
+
+// Отправитель сообщений (внедряется из bot.js)
+let messageSender = null;
+
+/**
+ * Значимое для клиента событие по payload триггера (или null).
+ * Назначение бригады важнее смены статуса: взятие с Биржи меняет оба поля.
+ */
+export const resolveOrderNotification = (payload = {}) => {
+  if (payload.brigade_id && payload.brigade_id !== payload.old_brigade_id)
+    return ORDER_NOTIFICATION_EVENTS.BRIGADE_ASSIGNED;
+  if (payload.status === payload.old_status) return null;
+  return STATUS_EVENTS[payload.status] || null;
+};
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const NotificationService = {
+  /**
+   * Внедрение отправителя: (chatId, html, extra) => Promise.
+   */
+  setMessageSender(sender) {
+    messageSender = sender;
+  },
+
+  /**
+   * Обработчик события order_updates из dbEvents (server.js).
+   */
+  async handleOrderUpdate(payload) {
+    const event = resolveOrderNotification(payload);
+    if (!event || !messageSender) return;
+
+    try {
+      const order = await db.getOrderById(payload.order_id);
+      if (!order?.user_id) return;
+      const client = await db.findUserById(order.user_id);
+      if (!client || client.notify_order_updates === false) return;
+
+      if (event === ORDER_NOTIFICATION_EVENTS.BRIGADE_ASSIGNED) {
+        const brigade = await db.getBrigadeById(order.brigade_id);
+        order.brigade_name = brigade?.name;
+      }
+
+      const lang = client.language_code;
+      const html = I18nService.t(lang, MESSAGES[event], {
+        id: order.id,
+        brigade: order.brigade_name || "ProElectric",
+      });
+
+      await messageSender(order.user_id, html, {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: I18nService.t(lang, "notify.disableButton"),
+                callback_data: "user_notify_off",
+              },
+            ],
+          ],
+        },
+      });
+    } catch (error) {
+      console.warn(
+        `[NotificationService] Order #${payload.order_id} notification failed:`,
+        error.message,
+      );
+    }
+  },
+
+  async setOrderNotifications(userId, enabled) {
+    const user = await db.setUserOrderNotifications(userId, enabled);
+    if (!user) throw new Error("Пользователь не найден");
+    return user.notify_order_updates;
+  },
+};
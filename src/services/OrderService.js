@@ -8,12 +8,23 @@
  * 4. Автогенерацию массива спецификации (BOM).
  * 5. Управление распределением заказов по бригадам.
  * ДОБАВЛЕНО: Audit Trail (История изменения статусов для аналитики времени).
+ * ДОБАВЛЕНО: Стейт-машина статусов (граф переходов + guards), общая для Бота, API и БД.
+ * ДОБАВЛЕНО: Журнал order_events (кто, что, diff до/после, источник) вместо details.history.
+ * ДОБАВЛЕНО: Сторно финализированных объектов (done -> work, только Владелец).
+ * ДОБАВЛЕНО: Версионируемые правила сметы по типам объектов (estimate_rule_sets).
+ * ДОБАВЛЕНО: Позиционная смета (details.estimate_lines) с пересчетом итога на сервере.
+ * ДОБАВЛЕНО: BOM по каталогу материалов (SKU, закупочные/отпускные цены, итог материалов).
+ * ДОБАВЛЕНО: Выдача/возврат материалов со склада на объект с расходом по себестоимости.
+ * ДОБАВЛЕНО: Статус 'material' управляется открытыми заказами поставщикам (PurchaseService).
+ * ДОБАВЛЕНО: Прибыль при финализации считается от фактически собранных оплат (order_payments).
+ * ДОБАВЛЕНО: Полная онлайн-оплата (webhook провайдера) закрывает объект из статуса 'payment'.
  *
  * @module OrderService
- * @version 10.9.4 (Enterprise ERP Edition - Audit Trail)
+ * @version 10.11.0 (Enterprise ERP Edition - Order Audit Log)
  */
 
 import * as db from "../database/index.js";
+import { MaterialService } from "./MaterialService.js";
 
 // =============================================================================
 // 1. 🚦 STATE MACHINE & CONFIGURATION
@@ -34,12 +45,196 @@ export const ORDER_STATUS = Object.freeze({
   ARCHIVED: "archived",
 });
 
-const WALL_NAMES = Object.freeze({
-  wall_gas: "Газоблок / ГКЛ",
-  wall_brick: "Кирпич",
-  wall_concrete: "Бетон / Монолит",
+/**
+ * 🔀 ГРАФ ПЕРЕХОДОВ СТАТУСОВ (Единый для Бота, REST API и БД)
+ * Ключ — текущий статус, значение — список допустимых следующих статусов.
+ * При старте сервера граф зеркалируется в таблицу order_status_transitions,
+ * где его проверяет триггер enforce_order_transition (защита от прямых UPDATE).
+ */
+export const ORDER_TRANSITIONS = Object.freeze({
+  [ORDER_STATUS.DRAFT]: [ORDER_STATUS.NEW, ORDER_STATUS.CANCELED],
+  [ORDER_STATUS.NEW]: [
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.CANCELED,
+    ORDER_STATUS.ARCHIVED,
+  ],
+  [ORDER_STATUS.PROCESSING]: [
+    ORDER_STATUS.NEW,
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.CANCELED,
+  ],
+  [ORDER_STATUS.CONFIRMED]: [
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.MATERIAL_WAIT,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.CANCELED,
+  ],
+  [ORDER_STATUS.ON_HOLD]: [
+    ORDER_STATUS.NEW,
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.CANCELED,
+  ],
+  [ORDER_STATUS.WORK]: [
+    ORDER_STATUS.NEW,
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.MATERIAL_WAIT,
+    ORDER_STATUS.PENDING_PAYMENT,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.DISPUTE,
+    ORDER_STATUS.CANCELED,
+    ORDER_STATUS.DONE,
+  ],
+  [ORDER_STATUS.MATERIAL_WAIT]: [
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.CANCELED,
+  ],
+  [ORDER_STATUS.PENDING_PAYMENT]: [
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.DISPUTE,
+    ORDER_STATUS.DONE,
+  ],
+  [ORDER_STATUS.DONE]: [ORDER_STATUS.WORK, ORDER_STATUS.ARCHIVED],
+  [ORDER_STATUS.CANCELED]: [ORDER_STATUS.NEW, ORDER_STATUS.ARCHIVED],
+  [ORDER_STATUS.DISPUTE]: [
+    ORDER_STATUS.WORK,
+    ORDER_STATUS.PENDING_PAYMENT,
+    ORDER_STATUS.CANCELED,
+  ],
+  [ORDER_STATUS.ARCHIVED]: [],
+});
+
+/**
+ * 🛡 GUARDS (Бизнес-условия переходов)
+ * Функция возвращает текст отказа или null, если переход разрешен.
+ * context.via — канал перехода ('status' по умолчанию, 'finalize' для расчета долей,
+ * 'storno' для отмены финализации, 'purchase' — автоматика заказов поставщикам).
+ * context.brigadeId — бригада, назначаемая в рамках того же перехода.
+ * context.outstanding — остаток к оплате клиента (финализация только без долга).
+ */
+const requireBrigade = (order, context) => {
+  const brigadeId =
+    context.brigadeId !== undefined ? context.brigadeId : order.brigade_id;
+  return brigadeId
+    ? null
+    : "К объекту не привязана бригада. Сначала назначьте исполнителя.";
+};
+
+const TRANSITION_GUARDS = Object.freeze({
+  [ORDER_STATUS.DONE]: (order, context) => {
+    if (context.via !== "finalize")
+      return "Статус 'done' устанавливается только через финализацию объекта (расчет и распределение прибыли).";
+    return context.outstanding > 0
+      ? `Остаток к оплате ${context.outstanding} ₸. Сначала зафиксируйте оплату клиента.`
+      : null;
+  },
+  [ORDER_STATUS.WORK]: (order, context) =>
+    order.status === ORDER_STATUS.DONE && context.via !== "storno"
+      ? "Завершенный объект возвращается в работу только сторнированием (Владелец)."
+      : requireBrigade(order, context),
+  [ORDER_STATUS.MATERIAL_WAIT]: (order, context) =>
+    context.via === "purchase"
+      ? requireBrigade(order, context)
+      : "Статус 'material' выставляется автоматически по открытым заказам поставщикам.",
+  [ORDER_STATUS.PENDING_PAYMENT]: requireBrigade,
 });
 
+/**
+ * ⛔ Структурированная ошибка перехода статуса.
+ * Web CRM получает ее в виде JSON (code/from/to/allowed), Бот — через message.
+ */
+export class OrderTransitionError extends Error {
+  constructor(message, { orderId, from, to, allowed = [] } = {}) {
+    super(message);
+    this.name = "OrderTransitionError";
+    this.code = "ORDER_TRANSITION_REJECTED";
+    this.status = 409;
+    this.orderId = orderId;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      orderId: this.orderId,
+      from: this.from,
+      to: this.to,
+      allowed: this.allowed,
+    };
+  }
+}
+
+/**
+ * 🧾 AUDIT LOG: Типы событий и каналы (источники) изменений заказа.
+ * Журнал order_events — append-only, заменяет старый массив details.history.
+ */
+export const ORDER_EVENTS = Object.freeze({
+  CREATED: "created",
+  STATUS_CHANGED: "status_changed",
+  PRICE_CHANGED: "price_changed",
+  BOM_CHANGED: "bom_changed",
+  DETAILS_CHANGED: "details_changed",
+  BRIGADE_TRANSFERRED: "brigade_transferred",
+  EXPENSE_ADDED: "expense_added",
+  FINALIZED: "finalized",
+  REVERSED: "reversed",
+  ESTIMATE_CHANGED: "estimate_changed",
+  MATERIAL_ISSUED: "material_issued",
+  MATERIAL_RETURNED: "material_returned",
+  PAYMENT_RECEIVED: "payment_received",
+  INVOICE_PAYMENT_REVIEW: "invoice_payment_review",
+});
+
+export const EVENT_SOURCES = Object.freeze({
+  BOT: "bot",
+  WEB: "web",
+  API: "api",
+  SYSTEM: "system",
+});
+
+/**
+ * Нормализация инициатора: { id: telegram_id | null, source: bot/web/api/system }.
+ */
+const normalizeActor = (actor = {}) => {
+  const id = Number(actor.id);
+  return {
+    id: Number.isFinite(id) && id !== 0 ? id : null,
+    source: Object.values(EVENT_SOURCES).includes(actor.source)
+      ? actor.source
+      : EVENT_SOURCES.SYSTEM,
+  };
+};
+
+/**
+ * Атомарная запись: изменение заказа и событие аудита в одной транзакции.
+ * mutate(client) выполняет UPDATE и возвращает результат операции.
+ */
+const withOrderEvent = async (event, mutate) => {
+  const client = await db.getClient();
+  try {
+    await client.query("BEGIN");
+    const result = await mutate(client);
+    await db.addOrderEvent(event, client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * 🔥 ДИНАМИЧЕСКИЙ ПРАЙС-ЛИСТ
  * Бурение лунок и монтаж механизмов полностью разделены.
@@ -139,17 +334,190 @@ export const PRICELIST_TEMPLATE = [
   },
 ];
 
-const ESTIMATE_RULES = Object.freeze({
+/**
+ * 🏘 ТИПЫ ОБЪЕКТОВ (у каждого свой набор правил сметы)
+ */
+export const OBJECT_TYPES = Object.freeze({
+  APARTMENT: "apartment",
+  HOUSE: "house",
+  OFFICE: "office",
+  COMMERCIAL: "commercial",
+});
+
+export const OBJECT_TYPE_NAMES = Object.freeze({
+  apartment: "Квартира",
+  house: "Частный дом",
+  office: "Офис",
+  commercial: "Коммерческое помещение",
+});
+
+/**
+ * 📐 КОЭФФИЦИЕНТЫ ИНЖЕНЕРНОГО РАСЧЕТА
+ * Описание полей для валидации и генерации формы в Web CRM.
+ */
+export const ESTIMATE_RULE_FIELDS = Object.freeze([
+  { key: "cablePerSqm", name: "Кабель на 1 м² (м)", min: 0.5, max: 50 },
+  { key: "cableRatioCorr", name: "Доля кабеля в гофре", min: 0, max: 1 },
+  { key: "cableRatioBase", name: "Доля открытой прокладки", min: 0, max: 1 },
+  { key: "strobeFactor", name: "Штробление на 1 м² (м)", min: 0, max: 10 },
+  {
+    key: "socketsPerSqm",
+    name: "Розеток/выключателей на 1 м²",
+    min: 0,
+    max: 5,
+  },
+  {
+    key: "boxesPerRoom",
+    name: "Распаечных коробок на комнату",
+    min: 0,
+    max: 10,
+  },
+  {
+    key: "chandeliersPerRoom",
+    name: "Светильников на комнату",
+    min: 0,
+    max: 20,
+  },
+  { key: "minShieldModules", name: "Минимум модулей щита", min: 1, max: 200 },
+  {
+    key: "shieldBaseArea",
+    name: "Площадь без доп. модулей (м²)",
+    min: 0,
+    max: 5000,
+  },
+  {
+    key: "shieldModulesStep",
+    name: "м² на доп. модуль щита",
+    min: 1,
+    max: 500,
+  },
+  {
+    key: "materialRatio",
+    name: "Доля материалов от работ (если в каталоге нет цен)",
+    min: 0,
+    max: 5,
+  },
+  { key: "roundTo", name: "Округление итога (₸)", min: 1, max: 100000 },
+]);
+
+// Позиции прайса для позиционной сметы: key -> { ...item, category }
+const PRICELIST_ITEMS = new Map(
+  PRICELIST_TEMPLATE.flatMap((section) =>
+    section.items.map((item) => [
+      item.key,
+      { ...item, category: section.category },
+    ]),
+  ),
+);
+
+const MAX_ESTIMATE_LINES = 200;
+const CUSTOM_LINES_CATEGORY = "✍️ Индивидуальные позиции";
+
+// Штробление по типу стен ссылается на цену из прайс-листа (+ множитель)
+const STROBE_PRICE_KEYS = PRICELIST_TEMPLATE.flatMap((section) =>
+  section.items.map((item) => item.key),
+).filter((key) => key.startsWith("price_strobe_"));
+
+const BASE_WALLS = {
+  wall_gas: {
+    name: "Газоблок / ГКЛ",
+    strobePriceKey: "price_strobe_gas",
+    multiplier: 1,
+  },
+  wall_brick: {
+    name: "Кирпич",
+    strobePriceKey: "price_strobe_brick",
+    multiplier: 1,
+  },
+  wall_concrete: {
+    name: "Бетон / Монолит",
+    strobePriceKey: "price_strobe_concrete",
+    multiplier: 1,
+  },
+};
+
+const BASE_COEFFICIENTS = {
   cablePerSqm: 6.5,
   cableRatioCorr: 0.7,
   cableRatioBase: 0.2,
-  cableRatioChan: 0.1,
   strobeFactor: 0.9,
   socketsPerSqm: 0.7,
   boxesPerRoom: 1.5,
   chandeliersPerRoom: 1.0,
   minShieldModules: 12,
+  shieldBaseArea: 40,
   shieldModulesStep: 15,
+  materialRatio: 0.45,
+  roundTo: 500,
+};
+
+/**
+ * Стартовые правила (версия 1) для каждого типа объекта.
+ * Дальнейшие версии создаются из Web CRM и хранятся в estimate_rule_sets.
+ */
+export const DEFAULT_ESTIMATE_RULES = Object.freeze({
+  [OBJECT_TYPES.APARTMENT]: {
+    coefficients: { ...BASE_COEFFICIENTS },
+    walls: { ...BASE_WALLS },
+  },
+  [OBJECT_TYPES.HOUSE]: {
+    coefficients: {
+      ...BASE_COEFFICIENTS,
+      cablePerSqm: 8,
+      strobeFactor: 0.8,
+      socketsPerSqm: 0.6,
+      boxesPerRoom: 2,
+      chandeliersPerRoom: 1.5,
+      minShieldModules: 18,
+      shieldBaseArea: 60,
+      shieldModulesStep: 12,
+      materialRatio: 0.5,
+    },
+    walls: {
+      ...BASE_WALLS,
+      wall_wood: {
+        name: "Дерево / Каркас",
+        strobePriceKey: "price_strobe_gas",
+        multiplier: 0.5,
+      },
+    },
+  },
+  [OBJECT_TYPES.OFFICE]: {
+    coefficients: {
+      ...BASE_COEFFICIENTS,
+      cablePerSqm: 7.5,
+      cableRatioCorr: 0.4,
+      cableRatioBase: 0.2,
+      strobeFactor: 0.5,
+      socketsPerSqm: 0.9,
+      boxesPerRoom: 1,
+      chandeliersPerRoom: 2.5,
+      minShieldModules: 18,
+    },
+    walls: { ...BASE_WALLS },
+  },
+  [OBJECT_TYPES.COMMERCIAL]: {
+    coefficients: {
+      ...BASE_COEFFICIENTS,
+      cablePerSqm: 8.5,
+      cableRatioCorr: 0.3,
+      cableRatioBase: 0.3,
+      strobeFactor: 0.4,
+      socketsPerSqm: 0.5,
+      boxesPerRoom: 1,
+      chandeliersPerRoom: 3,
+      minShieldModules: 24,
+      shieldModulesStep: 10,
+    },
+    walls: {
+      ...BASE_WALLS,
+      wall_sandwich: {
+        name: "Сэндвич-панели",
+        strobePriceKey: "price_strobe_gas",
+        multiplier: 0.5,
+      },
+    },
+  },
 });
 
 // =============================================================================
@@ -177,11 +545,157 @@ export const OrderService = {
     return result;
   },
 
+  // ===========================================================================
+  // 📐 ВЕРСИОНИРУЕМЫЕ ПРАВИЛА СМЕТЫ (ESTIMATE RULE SETS)
+  // ===========================================================================
+
+  /**
+   * Проверка и нормализация набора правил. Бросает Error с описанием поля.
+   */
+  validateEstimateRules(rules) {
+    if (!rules || typeof rules !== "object")
+      throw new Error("Правила сметы должны быть объектом.");
+
+    const coefficients = {};
+    for (const field of ESTIMATE_RULE_FIELDS) {
+      const value = parseFloat(rules.coefficients?.[field.key]);
+      if (isNaN(value) || value < field.min || value > field.max) {
+        throw new Error(
+          `Поле «${field.name}» должно быть числом от ${field.min} до ${field.max}.`,
+        );
+      }
+      coefficients[field.key] = value;
+    }
+    if (coefficients.cableRatioCorr + coefficients.cableRatioBase > 1) {
+      throw new Error(
+        "Сумма долей кабеля (гофра + открытая прокладка) не может превышать 1.",
+      );
+    }
+
+    const walls = {};
+    for (const [key, wall] of Object.entries(rules.walls || {})) {
+      if (!/^wall_[a-z0-9_]{1,30}$/.test(key))
+        throw new Error(
+          `Некорректный ключ типа стен '${key}' (формат: wall_xxx).`,
+        );
+      const name = String(wall?.name || "").trim();
+      if (!name) throw new Error(`Не указано название для '${key}'.`);
+      if (!STROBE_PRICE_KEYS.includes(wall.strobePriceKey))
+        throw new Error(`Неизвестная цена штробления для '${key}'.`);
+      const multiplier = parseFloat(wall.multiplier ?? 1);
+      if (isNaN(multiplier) || multiplier < 0 || multiplier > 10)
+        throw new Error(`Множитель для '${key}' должен быть от 0 до 10.`);
+      walls[key] = { name, strobePriceKey: wall.strobePriceKey, multiplier };
+    }
+    if (Object.keys(walls).length === 0)
+      throw new Error("Нужен хотя бы один тип стен.");
+
+    return { coefficients, walls };
+  },
+
+  normalizeObjectType(objectType) {
+    return Object.values(OBJECT_TYPES).includes(objectType)
+      ? objectType
+      : OBJECT_TYPES.APARTMENT;
+  },
+
+  /**
+   * Создание версии 1 для типов объектов без активных правил.
+   * Вызывается при старте сервера после initDB.
+   */
+  async ensureEstimateRuleSets() {
+    for (const objectType of Object.values(OBJECT_TYPES)) {
+      const active = await db.getActiveEstimateRuleSet(objectType);
+      if (active) continue;
+      await db.createEstimateRuleSetVersion({
+        objectType,
+        rules: DEFAULT_ESTIMATE_RULES[objectType],
+        comment: "Базовые правила (по умолчанию)",
+        createdBy: null,
+      });
+    }
+  },
+
+  /**
+   * Активный набор правил для типа объекта ({ id, version, rules }).
+   * Если в БД правил нет — встроенные значения без версии.
+   */
+  async getEstimateRuleSet(objectType) {
+    const type = this.normalizeObjectType(objectType);
+    const ruleSet = await db.getActiveEstimateRuleSet(type);
+    if (ruleSet) return ruleSet;
+    return {
+      id: null,
+      object_type: type,
+      version: null,
+      rules: DEFAULT_ESTIMATE_RULES[type],
+    };
+  },
+
+  /**
+   * Активные правила всех типов объектов (калькулятор и форма заказа).
+   */
+  async getEstimateConfig() {
+    const result = [];
+    for (const objectType of Object.values(OBJECT_TYPES)) {
+      const ruleSet = await this.getEstimateRuleSet(objectType);
+      result.push({
+        objectType,
+        name: OBJECT_TYPE_NAMES[objectType],
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version,
+        walls: Object.entries(ruleSet.rules.walls || {}).map(([key, w]) => ({
+          key,
+          name: w.name,
+        })),
+      });
+    }
+    return result;
+  },
+
+  async getEstimateRuleSetHistory(objectType = null) {
+    return await db.getEstimateRuleSets(
+      objectType ? this.normalizeObjectType(objectType) : null,
+    );
+  },
+
+  /**
+   * Публикация новой версии правил (прошлые версии неизменны и доступны для отката).
+   */
+  async publishEstimateRules(objectType, rules, comment, actor = {}) {
+    if (!Object.values(OBJECT_TYPES).includes(objectType))
+      throw new Error(`Неизвестный тип объекта '${objectType}'.`);
+    const normalized = this.validateEstimateRules(rules);
+    return await db.createEstimateRuleSetVersion({
+      objectType,
+      rules: normalized,
+      comment: comment || null,
+      createdBy: normalizeActor(actor).id,
+    });
+  },
+
+  async activateEstimateRuleSet(ruleSetId) {
+    const ruleSet = await db.activateEstimateRuleSet(ruleSetId);
+    if (!ruleSet) throw new Error("Версия правил не найдена.");
+    return ruleSet;
+  },
+
   /**
    * 🏗 Инженерный расчет сметы (Разделенное бурение и механизмы).
+   * Коэффициенты и типы стен берутся из активной версии правил типа объекта.
    */
-  async calculateComplexEstimate(areaRaw, roomsRaw, wallKey) {
+  async calculateComplexEstimate(
+    areaRaw,
+    roomsRaw,
+    wallKey,
+    objectType = OBJECT_TYPES.APARTMENT,
+  ) {
     const settings = await db.getSettings();
+    const ruleSet = await this.getEstimateRuleSet(objectType);
+    const rules = ruleSet.rules.coefficients;
+    const walls = ruleSet.rules.walls;
+    const wallEntry = walls[wallKey] ? wallKey : Object.keys(walls)[0];
+    const wall = walls[wallEntry];
     const area = parseFloat(areaRaw) || 0;
     const rooms = parseInt(roomsRaw, 10) || 1;
 
@@ -196,9 +710,8 @@ export const OrderService = {
     };
 
     // 1. Тарифы
-    let priceStrobe = getPrice("price_strobe_concrete");
-    if (wallKey === "wall_gas") priceStrobe = getPrice("price_strobe_gas");
-    if (wallKey === "wall_brick") priceStrobe = getPrice("price_strobe_brick");
+    const priceStrobe =
+      getPrice(wall.strobePriceKey) * (parseFloat(wall.multiplier) || 0);
 
     const priceDrill = getPrice("price_drill_concrete"); // Отдельная цена бурения
     const pricePointSocket = getPrice("price_point_socket");
@@ -213,23 +726,29 @@ export const OrderService = {
     const priceShieldExtra = getPrice("price_shield_extra_module");
 
     // 2. Объемы
-    const volStrobe = Math.ceil(area * ESTIMATE_RULES.strobeFactor);
-    const totalCable = Math.ceil(area * ESTIMATE_RULES.cablePerSqm);
-    const volCableCorr = Math.ceil(totalCable * ESTIMATE_RULES.cableRatioCorr);
-    const volCableBase = Math.ceil(totalCable * ESTIMATE_RULES.cableRatioBase);
+    const volStrobe = Math.ceil(area * rules.strobeFactor);
+    const totalCable = Math.ceil(area * rules.cablePerSqm);
+    const volCableCorr = Math.ceil(totalCable * rules.cableRatioCorr);
+    const volCableBase = Math.min(
+      totalCable - volCableCorr,
+      Math.ceil(totalCable * rules.cableRatioBase),
+    );
     const volCableChan = totalCable - volCableCorr - volCableBase;
 
-    const volSockets = Math.ceil(area * ESTIMATE_RULES.socketsPerSqm);
-    const volBoxes = Math.ceil(rooms * ESTIMATE_RULES.boxesPerRoom);
-    const volChandeliers = Math.ceil(rooms * ESTIMATE_RULES.chandeliersPerRoom);
+    const volSockets = Math.ceil(area * rules.socketsPerSqm);
+    const volBoxes = Math.ceil(rooms * rules.boxesPerRoom);
+    const volChandeliers = Math.ceil(rooms * rules.chandeliersPerRoom);
     const totalPoints = volSockets + volBoxes + volChandeliers;
 
     // Объем бурения (розетки + коробки)
     const volDrill = volSockets + volBoxes;
 
     const volModules = Math.max(
-      ESTIMATE_RULES.minShieldModules,
-      Math.ceil(12 + Math.max(0, area - 40) / ESTIMATE_RULES.shieldModulesStep),
+      rules.minShieldModules,
+      Math.ceil(
+        rules.minShieldModules +
+          Math.max(0, area - rules.shieldBaseArea) / rules.shieldModulesStep,
+      ),
     );
 
     // 3. Калькуляция
@@ -259,18 +778,19 @@ export const OrderService = {
           costCableTotal +
           costPointsTotal +
           costShield) /
-          500,
-      ) * 500;
-    const materialInfo = Math.ceil(grandTotalWork * 0.45);
-
+          rules.roundTo,
+      ) * rules.roundTo;
     // 4. Формирование DTO
     const estimateDTO = {
       params: {
         area,
         rooms,
-        wallTypeRaw: wallKey,
-        wallType: WALL_NAMES[wallKey] || wallKey,
+        wallTypeRaw: wallEntry,
+        wallType: wall.name,
+        objectType: ruleSet.object_type,
+        objectTypeName: OBJECT_TYPE_NAMES[ruleSet.object_type],
       },
+      ruleSet: { id: ruleSet.id, version: ruleSet.version },
       volume: {
         points: totalPoints,
         detailedPoints: {
@@ -296,74 +816,149 @@ export const OrderService = {
       },
       total: {
         work: grandTotalWork,
-        material_info: materialInfo,
         grandTotal: grandTotalWork,
       },
     };
 
-    // Строгий массив спецификации (BOM)
-    estimateDTO.bom = this.generateMaterialSpecification(estimateDTO.volume);
+    // Строгий массив спецификации (BOM) с ценами каталога материалов
+    estimateDTO.bom = await this.generateMaterialSpecification(
+      estimateDTO.volume,
+    );
+    const materials = MaterialService.summarizeBom(estimateDTO.bom);
+    estimateDTO.total.material = materials.sell;
+    estimateDTO.total.material_cost = materials.cost;
+    // material_info (старые клиенты): сумма по каталогу; доля от работ —
+    // только если в каталоге еще нет цен
+    estimateDTO.total.material_info =
+      materials.sell > 0
+        ? materials.sell
+        : Math.ceil(grandTotalWork * rules.materialRatio);
 
     return estimateDTO;
   },
 
   /**
-   * 🛠 Генератор массива спецификации (BOM Generator)
+   * 🛠 Генератор массива спецификации (BOM Generator).
+   * Позиции ссылаются на каталог материалов (SKU) и несут закупочную/отпускную цену.
    */
-  generateMaterialSpecification(volumes) {
-    return [
-      {
-        name: "Кабель ВВГнг-LS 3x2.5 (Розетки)",
-        qty: Math.ceil(volumes.cable * 0.65),
-        unit: "м",
-      },
-      {
-        name: "Кабель ВВГнг-LS 3x1.5 (Свет)",
-        qty: Math.ceil(volumes.cable * 0.35),
-        unit: "м",
-      },
-      {
-        name: "Гофра ПВХ D20",
-        qty: volumes.detailedCable.corrugated,
-        unit: "м",
-      },
-      {
-        name: "Кабель-канал 25x16",
-        qty: volumes.detailedCable.channel,
-        unit: "м",
-      },
-      {
-        name: "Подрозетники D68",
-        qty: volumes.detailedPoints.sockets,
-        unit: "шт",
-      },
-      {
-        name: "Распредкоробки 100x100",
-        qty: volumes.detailedPoints.boxes,
-        unit: "шт",
-      },
-      {
-        name: "Автоматы 16A (Линии)",
-        qty: Math.ceil(volumes.modules * 0.4),
-        unit: "шт",
-      },
-      {
-        name: "УЗО / Дифавтоматы",
-        qty: Math.ceil(volumes.modules * 0.15),
-        unit: "шт",
-      },
-      {
-        name: "Клеммы WAGO (Уп.)",
-        qty: Math.ceil(volumes.detailedPoints.boxes * 0.5),
-        unit: "уп",
-      },
-    ];
+  async generateMaterialSpecification(volumes) {
+    return MaterialService.buildSpecification(volumes);
+  },
+
+  /**
+   * 🧾 Сборка позиционной сметы. Цены позиций прайса берутся из настроек БД
+   * (клиентские цены игнорируются), свои позиции — с ценой менеджера
+   * (отрицательная цена = скидка). Итог — сумма строк без округлений.
+   */
+  async buildEstimateLines(rawLines) {
+    if (!Array.isArray(rawLines))
+      throw new Error("Позиции сметы должны быть массивом.");
+    if (rawLines.length > MAX_ESTIMATE_LINES)
+      throw new Error(`Смета ограничена ${MAX_ESTIMATE_LINES} позициями.`);
+
+    const settings = await db.getSettings();
+    const lines = rawLines.map((raw, index) => {
+      const position = `Позиция ${index + 1}`;
+      const qty = parseFloat(raw?.qty);
+      if (isNaN(qty) || qty <= 0 || qty > 100000)
+        throw new Error(`${position}: некорректное количество.`);
+
+      if (raw.key) {
+        const item = PRICELIST_ITEMS.get(raw.key);
+        if (!item)
+          throw new Error(`${position}: '${raw.key}' нет в прайс-листе.`);
+        const val = parseFloat(settings[item.key]);
+        const price = !isNaN(val) && val > 0 ? val : item.default;
+        return {
+          key: item.key,
+          name: item.name,
+          unit: item.unit.replace("₸/", ""),
+          category: item.category,
+          qty,
+          price,
+          sum: Math.round(qty * price),
+        };
+      }
+
+      const name = String(raw.name || "").trim();
+      const price = parseFloat(raw.price);
+      if (!name) throw new Error(`${position}: укажите наименование.`);
+      if (isNaN(price) || Math.abs(price) > 100000000)
+        throw new Error(`${position}: некорректная цена.`);
+      return {
+        key: null,
+        custom: true,
+        name,
+        unit: String(raw.unit || "шт").trim() || "шт",
+        category: CUSTOM_LINES_CATEGORY,
+        qty,
+        price,
+        sum: Math.round(qty * price),
+      };
+    });
+
+    const total = lines.reduce((sum, line) => sum + line.sum, 0);
+    if (total < 0) throw new Error("Итог сметы не может быть отрицательным.");
+    return { lines, total };
+  },
+
+  /**
+   * Сохранение позиционной сметы: итог становится договорной ценой объекта.
+   * Пустой список очищает смету (цена остается прежней и снова правится вручную).
+   */
+  async saveEstimateLines(orderId, rawLines, actor = {}) {
+    const order = await this.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+
+    const { lines, total } = await this.buildEstimateLines(rawLines);
+    const details = order.details || {};
+
+    if (!details.financials) {
+      details.financials = {
+        final_price: parseFloat(order.total_price) || 0,
+        expenses: [],
+        total_expenses: 0,
+        net_profit: 0,
+      };
+    }
+
+    const previousPrice = parseFloat(order.total_price) || 0;
+    const previousLines = Array.isArray(details.estimate_lines)
+      ? details.estimate_lines.length
+      : 0;
+
+    details.estimate_lines = lines;
+    if (lines.length > 0) {
+      details.financials.final_price = total;
+      details.financials.net_profit =
+        total - (details.financials.total_expenses || 0);
+    }
+    const newPrice = details.financials.final_price;
+
+    const initiator = normalizeActor(actor);
+    const event = {
+      orderId: order.id,
+      actorId: initiator.id,
+      action: ORDER_EVENTS.ESTIMATE_CHANGED,
+      before: { total_price: previousPrice, estimate_lines: previousLines },
+      after: { total_price: newPrice, estimate_lines: lines.length },
+      source: initiator.source,
+    };
+
+    await withOrderEvent(event, (client) =>
+      client.query(
+        "UPDATE orders SET total_price = $1, details = $2, updated_at = NOW() WHERE id = $3",
+        [newPrice, details, orderId],
+      ),
+    );
+
+    return { lines, total, financials: details.financials };
   },
 
   /**
    * 📝 Создание заказа (Генерация уникального ID)
    */
-  async createOrder(userId, estimate) {
+  async createOrder(userId, estimate, actor = {}) {
     // 🔥 ГЕНЕРАЦИЯ УНИКАЛЬНОГО 6-ЗНАЧНОГО ID
     let isUnique = false;
     let randomId;
@@ -390,57 +985,195 @@ export const OrderService = {
       id: randomId,
       area: area,
       price: estimate.total.work,
+      objectType: estimate.params?.objectType || OBJECT_TYPES.APARTMENT,
+      ruleSetId: estimate.ruleSet?.id || null,
       details: {
         ...estimate,
         financials,
-        history: [{ status: "new", changed_at: new Date().toISOString() }], // Инициализация истории
       },
     };
 
-    return await db.createOrder(userId, orderData);
+    const order = await db.createOrder(userId, orderData);
+    const initiator = normalizeActor(actor);
+    await db.addOrderEvent({
+      orderId: order.id,
+      actorId: initiator.id,
+      action: ORDER_EVENTS.CREATED,
+      before: null,
+      after: {
+        status: order.status,
+        total_price: order.total_price,
+        object_type: order.object_type,
+        rule_set_id: order.rule_set_id,
+      },
+      source: initiator.source,
+    });
+    return order;
   },
 
+  // ===========================================================================
+  // 🚦 STATE MACHINE (ЕДИНАЯ ТОЧКА СМЕНЫ СТАТУСОВ)
+  // ===========================================================================
+
   /**
-   * 🔥 НОВОЕ: Audit Trail (История изменения статусов)
+   * Список статусов, в которые можно перейти из текущего.
    */
-  async updateOrderStatus(orderId, newStatus) {
-    const order = await this.getOrderById(orderId);
+  getAllowedTransitions(fromStatus) {
+    return ORDER_TRANSITIONS[fromStatus] || [];
+  },
 
-    if (order) {
-      const details = order.details || {};
-      if (!Array.isArray(details.history)) details.history = [];
+  canTransition(fromStatus, toStatus) {
+    return this.getAllowedTransitions(fromStatus).includes(toStatus);
+  },
 
-      // Записываем таймстемп смены статуса
-      details.history.push({
-        old_status: order.status,
-        new_status: newStatus,
-        changed_at: new Date().toISOString(),
-      });
+  /**
+   * Проверка перехода по графу и guard-условиям.
+   * Бросает OrderTransitionError, если переход запрещен.
+   */
+  assertTransition(order, newStatus, context = {}) {
+    const allowed = this.getAllowedTransitions(order.status);
+    const meta = {
+      orderId: order.id,
+      from: order.status,
+      to: newStatus,
+      allowed,
+    };
 
-      await db.query(
-        "UPDATE orders SET status = $1, details = $2, updated_at = NOW() WHERE id = $3",
-        [newStatus, details, orderId],
+    if (!Object.values(ORDER_STATUS).includes(newStatus)) {
+      throw new OrderTransitionError(
+        `Неизвестный статус '${newStatus}'.`,
+        meta,
       );
-    } else {
-      // Fallback
-      await db.query(
-        "UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2",
-        [newStatus, orderId],
+    }
+    if (!allowed.includes(newStatus)) {
+      throw new OrderTransitionError(
+        `Переход '${order.status}' → '${newStatus}' запрещен для объекта #${order.id}.`,
+        meta,
       );
     }
-    return true;
+
+    const guard = TRANSITION_GUARDS[newStatus];
+    const reason = guard ? guard(order, context) : null;
+    if (reason) {
+      throw new OrderTransitionError(
+        `Переход в '${newStatus}' невозможен: ${reason}`,
+        meta,
+      );
+    }
+  },
+
+  /**
+   * Зеркалирование графа в БД (таблица order_status_transitions для триггера).
+   * Вызывается при старте сервера после initDB.
+   */
+  async syncStatusGraph() {
+    return await db.syncOrderStatusTransitions(ORDER_TRANSITIONS);
+  },
+
+  /**
+   * 🔥 Смена статуса через стейт-машину + Audit Trail (журнал order_events).
+   * context: { via, brigadeId, actor } — см. TRANSITION_GUARDS.
+   * Возврат в 'new' всегда освобождает объект (brigade_id = NULL, Биржа).
+   */
+  async updateOrderStatus(orderId, newStatus, context = {}) {
+    const order = await this.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+    if (order.status === newStatus) return order;
+
+    this.assertTransition(order, newStatus, context);
+
+    let brigadeId =
+      context.brigadeId !== undefined ? context.brigadeId : order.brigade_id;
+    if (newStatus === ORDER_STATUS.NEW) brigadeId = null;
+
+    const actor = normalizeActor(context.actor);
+    const event = {
+      orderId: order.id,
+      actorId: actor.id,
+      action: ORDER_EVENTS.STATUS_CHANGED,
+      before: { status: order.status, brigade_id: order.brigade_id },
+      after: { status: newStatus, brigade_id: brigadeId },
+      source: actor.source,
+    };
+
+    let res;
+    try {
+      // Оптимистичная блокировка: статус не должен измениться с момента чтения
+      res = await withOrderEvent(event, async (client) => {
+        const upd = await client.query(
+          `UPDATE orders SET status = $1, brigade_id = $2, updated_at = NOW()
+           WHERE id = $3 AND status = $4 RETURNING *`,
+          [newStatus, brigadeId, orderId, order.status],
+        );
+        if (upd.rows.length === 0) {
+          throw new OrderTransitionError(
+            `Статус объекта #${order.id} уже изменен другим пользователем. Обновите карточку.`,
+            {
+              orderId: order.id,
+              from: order.status,
+              to: newStatus,
+              allowed: this.getAllowedTransitions(order.status),
+            },
+          );
+        }
+        return upd;
+      });
+    } catch (error) {
+      // check_violation из триггера enforce_order_transition
+      if (error.code === "23514") {
+        throw new OrderTransitionError(error.message, {
+          orderId: order.id,
+          from: order.status,
+          to: newStatus,
+          allowed: this.getAllowedTransitions(order.status),
+        });
+      }
+      throw error;
+    }
+
+    return res.rows[0];
   },
 
-  async updateOrderDetails(orderId, key, value) {
+  /**
+   * Изменение одного ключа details (адрес, заметка, BOM, причина отказа)
+   * с записью diff в журнал событий.
+   */
+  async updateOrderDetails(orderId, key, value, actor = {}) {
     const order = await this.getOrderById(orderId);
     if (!order) throw new Error("Заказ не найден");
 
     const details = order.details || {};
+    const previous = details[key] !== undefined ? details[key] : null;
+
+    // BOM из редактора пересчитывается по каталогу (цены клиента не доверяем)
+    if (key === "bom") {
+      value = await MaterialService.costBomLines(value);
+      const materials = MaterialService.summarizeBom(value);
+      details.total = {
+        ...(details.total || {}),
+        material: materials.sell,
+        material_cost: materials.cost,
+        material_info: materials.sell,
+      };
+    }
     details[key] = value;
 
-    await db.query(
-      "UPDATE orders SET details = $1, updated_at = NOW() WHERE id = $2",
-      [details, orderId],
+    const initiator = normalizeActor(actor);
+    const event = {
+      orderId: order.id,
+      actorId: initiator.id,
+      action:
+        key === "bom" ? ORDER_EVENTS.BOM_CHANGED : ORDER_EVENTS.DETAILS_CHANGED,
+      before: { [key]: previous },
+      after: { [key]: value },
+      source: initiator.source,
+    };
+
+    await withOrderEvent(event, (client) =>
+      client.query(
+        "UPDATE orders SET details = $1, updated_at = NOW() WHERE id = $2",
+        [details, orderId],
+      ),
     );
     return details;
   },
@@ -449,12 +1182,22 @@ export const OrderService = {
   // 3. 💸 ФИНАНСОВОЕ УПРАВЛЕНИЕ (SELF-HEALING ERP)
   // ===========================================================================
 
-  async updateOrderFinalPrice(orderId, newPrice) {
+  async updateOrderFinalPrice(orderId, newPrice, actor = {}) {
     const order = await this.getOrderById(orderId);
     if (!order) throw new Error("Заказ не найден");
 
     const details = order.details || {};
 
+    // Цена с позиционной сметой объясняется строками — ручная правка запрещена
+    if (
+      Array.isArray(details.estimate_lines) &&
+      details.estimate_lines.length > 0
+    ) {
+      throw new Error(
+        "Цена объекта формируется позиционной сметой. Измените позиции сметы или очистите ее.",
+      );
+    }
+
     // Self-Healing: Инициализация финансового блока, если его убили старые версии
     if (!details.financials) {
       details.financials = {
@@ -465,19 +1208,32 @@ export const OrderService = {
       };
     }
 
+    const previousPrice = parseFloat(order.total_price) || 0;
     details.financials.final_price = parseFloat(newPrice);
     details.financials.net_profit =
       details.financials.final_price - details.financials.total_expenses;
 
-    await db.query(
-      "UPDATE orders SET total_price = $1, details = $2, updated_at = NOW() WHERE id = $3",
-      [details.financials.final_price, details, orderId],
+    const initiator = normalizeActor(actor);
+    const event = {
+      orderId: order.id,
+      actorId: initiator.id,
+      action: ORDER_EVENTS.PRICE_CHANGED,
+      before: { total_price: previousPrice },
+      after: { total_price: details.financials.final_price },
+      source: initiator.source,
+    };
+
+    await withOrderEvent(event, (client) =>
+      client.query(
+        "UPDATE orders SET total_price = $1, details = $2, updated_at = NOW() WHERE id = $3",
+        [details.financials.final_price, details, orderId],
+      ),
     );
 
     return details.financials;
   },
 
-  async addOrderExpense(orderId, amount, category, comment, userId) {
+  async addOrderExpense(orderId, amount, category, comment, actor = {}) {
     const order = await this.getOrderById(orderId);
     if (!order) throw new Error("Заказ не найден");
 
@@ -502,17 +1258,33 @@ export const OrderService = {
       category: category || "Прочее",
       comment: comment || "",
       date: new Date().toISOString(),
-      added_by: userId || "admin",
+      added_by: actor.id || "admin",
     };
 
+    const previousTotal = details.financials.total_expenses;
     details.financials.expenses.push(expenseItem);
     details.financials.total_expenses += expenseItem.amount;
     details.financials.net_profit =
       details.financials.final_price - details.financials.total_expenses;
 
-    await db.query(
-      "UPDATE orders SET details = $1, updated_at = NOW() WHERE id = $2",
-      [details, orderId],
+    const initiator = normalizeActor(actor);
+    const event = {
+      orderId: order.id,
+      actorId: initiator.id,
+      action: ORDER_EVENTS.EXPENSE_ADDED,
+      before: { total_expenses: previousTotal },
+      after: {
+        total_expenses: details.financials.total_expenses,
+        expense: expenseItem,
+      },
+      source: initiator.source,
+    };
+
+    await withOrderEvent(event, (client) =>
+      client.query(
+        "UPDATE orders SET details = $1, updated_at = NOW() WHERE id = $2",
+        [details, orderId],
+      ),
     );
 
     try {
@@ -530,6 +1302,141 @@ export const OrderService = {
     return details.financials;
   },
 
+  /**
+   * Выдача материала со склада на объект (issue) или возврат на склад (return).
+   * Движение склада, расход объекта по закупочной цене (details.financials +
+   * object_expenses) и событие аудита фиксируются одной транзакцией.
+   * Материал должен входить в спецификацию (details.bom) объекта.
+   */
+  async recordMaterialMovement(
+    orderId,
+    { kind, material, locationId, qty, comment = "" },
+    actor = {},
+  ) {
+    const isIssue = kind === "issue";
+    const initiator = normalizeActor(actor);
+    const event = {
+      orderId,
+      actorId: initiator.id,
+      action: isIssue
+        ? ORDER_EVENTS.MATERIAL_ISSUED
+        : ORDER_EVENTS.MATERIAL_RETURNED,
+      source: initiator.source,
+    };
+
+    return withOrderEvent(event, async (client) => {
+      const orderRes = await client.query(
+        "SELECT * FROM orders WHERE id = $1 FOR UPDATE",
+        [orderId],
+      );
+      const order = orderRes.rows[0];
+      if (!order) throw new Error("Заказ не найден");
+      if (
+        [
+          ORDER_STATUS.DONE,
+          ORDER_STATUS.CANCELED,
+          ORDER_STATUS.ARCHIVED,
+        ].includes(order.status)
+      )
+        throw new Error(
+          "Объект закрыт: движение материалов по нему невозможно.",
+        );
+
+      const details = order.details || {};
+      const inBom = (details.bom || []).some(
+        (line) =>
+          Number(line.material_id) === material.id || line.sku === material.sku,
+      );
+      if (!inBom)
+        throw new Error(
+          `Материал ${material.sku} отсутствует в спецификации (BOM) объекта.`,
+        );
+
+      // Возврат — не больше выданного, по средней себестоимости выдачи
+      let unitCost = parseFloat(material.purchase_price) || 0;
+      if (!isIssue) {
+        const issued = (await db.getOrderMaterialIssues(orderId, client)).find(
+          (row) => row.material_id === material.id,
+        );
+        const issuedQty = parseFloat(issued?.qty) || 0;
+        if (qty > issuedQty)
+          throw new Error(
+            `Нельзя вернуть больше выданного (на объекте: ${issuedQty} ${material.unit}).`,
+          );
+        unitCost = parseFloat(issued.cost) / issuedQty || 0;
+      }
+
+      const movement = await db.insertStockMovement(
+        {
+          materialId: material.id,
+          kind,
+          locationFrom: isIssue ? locationId : null,
+          locationTo: isIssue ? null : locationId,
+          qty,
+          unitCost: Math.round(unitCost * 100) / 100,
+          orderId,
+          userId: initiator.id,
+          comment: comment || null,
+        },
+        client,
+      );
+
+      if (!details.financials) {
+        details.financials = {
+          final_price: parseFloat(order.total_price) || 0,
+          expenses: [],
+          total_expenses: 0,
+          net_profit: 0,
+        };
+      }
+      if (!Array.isArray(details.financials.expenses)) {
+        details.financials.expenses = [];
+      }
+
+      const amount =
+        Math.round((isIssue ? 1 : -1) * qty * unitCost * 100) / 100;
+      const expenseComment = `${isIssue ? "Выдача" : "Возврат"}: ${material.name}, ${qty} ${material.unit} (движение #${movement.id})`;
+      const expenseItem = {
+        id: Date.now().toString(),
+        amount,
+        category: "Материалы",
+        comment: expenseComment,
+        date: new Date().toISOString(),
+        added_by: initiator.id || "system",
+        stock_movement_id: movement.id,
+      };
+
+      const previousTotal = details.financials.total_expenses || 0;
+      details.financials.expenses.push(expenseItem);
+      details.financials.total_expenses = previousTotal + amount;
+      details.financials.net_profit =
+        details.financials.final_price - details.financials.total_expenses;
+
+      await client.query(
+        "UPDATE orders SET details = $1, updated_at = NOW() WHERE id = $2",
+        [details, orderId],
+      );
+      await client.query(
+        "INSERT INTO object_expenses (order_id, amount, category, comment, created_at) VALUES ($1, $2, $3, $4, NOW())",
+        [orderId, amount, expenseItem.category, expenseComment],
+      );
+
+      event.before = { total_expenses: previousTotal };
+      event.after = {
+        total_expenses: details.financials.total_expenses,
+        expense: expenseItem,
+        movement: {
+          id: movement.id,
+          sku: material.sku,
+          qty,
+          location_id: locationId,
+        },
+      };
+
+      return { movement, financials: details.financials };
+    });
+  },
+
   // ===========================================================================
   // 4. 🏗 BRIGADES & PROFIT DISTRIBUTION (ERP v10.0)
   // ===========================================================================
@@ -542,16 +1449,132 @@ export const OrderService = {
     return await db.getBrigadeOrders(brigadeId);
   },
 
-  async assignOrderToBrigade(orderId, brigadeId) {
-    return await db.assignOrderToBrigade(orderId, brigadeId);
+  /**
+   * Назначение бригады Шефом. Если объект уже в работе — просто смена исполнителя,
+   * иначе переход в 'work' через стейт-машину.
+   */
+  async assignOrderToBrigade(orderId, brigadeId, actor = {}) {
+    const order = await this.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+
+    if (order.status === ORDER_STATUS.WORK) {
+      return await this.transferOrderToBrigade(orderId, brigadeId, actor);
+    }
+    return await this.updateOrderStatus(orderId, ORDER_STATUS.WORK, {
+      brigadeId,
+      actor,
+    });
+  },
+
+  /**
+   * Передача объекта другой бригаде без смены статуса (Бот / Web CRM).
+   */
+  async transferOrderToBrigade(orderId, brigadeId, actor = {}) {
+    const order = await this.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+
+    const initiator = normalizeActor(actor);
+    const event = {
+      orderId: order.id,
+      actorId: initiator.id,
+      action: ORDER_EVENTS.BRIGADE_TRANSFERRED,
+      before: { brigade_id: order.brigade_id },
+      after: { brigade_id: Number(brigadeId) },
+      source: initiator.source,
+    };
+
+    const res = await withOrderEvent(event, (client) =>
+      client.query(
+        "UPDATE orders SET brigade_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
+        [brigadeId, orderId],
+      ),
+    );
+    return res.rows[0];
   },
 
   async getOrderExpenses(orderId) {
     return await db.getOrderExpenses(orderId);
   },
 
-  async finalizeOrderAndDistributeProfit(orderId, ownerAccountId) {
-    return await db.finalizeOrderAndDistributeProfit(orderId, ownerAccountId);
+  /**
+   * Единственный легальный путь в статус 'done' (guard via: 'finalize').
+   * Распределяется прибыль от собранных оплат; пока у клиента есть остаток
+   * к оплате, объект не закрывается — оплату нужно сначала зафиксировать.
+   */
+  async finalizeOrderAndDistributeProfit(orderId, actor = {}) {
+    const order = await this.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+    const { collected } = await db.getOrderPaymentTotals(order.id);
+    const outstanding =
+      Math.round(((parseFloat(order.total_price) || 0) - collected) * 100) /
+      100;
+    this.assertTransition(order, ORDER_STATUS.DONE, {
+      via: "finalize",
+      outstanding,
+    });
+
+    const initiator = normalizeActor(actor);
+    return await db.finalizeOrderAndDistributeProfit(orderId, {
+      actorId: initiator.id,
+      source: initiator.source,
+    });
+  },
+
+  /**
+   * 💳 Объект оплачен полностью (webhook платежного провайдера): из статуса
+   * 'payment' он сразу финализируется. Отказ финализации (например,
+   * отрицательная прибыль) не откатывает оплату — объект остается в 'payment'
+   * для ручного закрытия.
+   */
+  async settlePaidOrder(orderId, actor = {}) {
+    const order = await this.getOrderById(orderId);
+    if (!order || order.status !== ORDER_STATUS.PENDING_PAYMENT)
+      return { finalized: false };
+
+    const { collected } = await db.getOrderPaymentTotals(order.id);
+    if (collected < parseFloat(order.total_price)) return { finalized: false };
+
+    try {
+      const distribution = await this.finalizeOrderAndDistributeProfit(
+        order.id,
+        actor,
+      );
+      return { finalized: true, distribution };
+    } catch (error) {
+      console.error(
+        `[OrderService] Авто-финализация объекта #${order.id} не выполнена:`,
+        error.message,
+      );
+      return { finalized: false, error: error.message };
+    }
+  },
+
+  /**
+   * ↩️ Сторно финализации: компенсирующие проводки и возврат в 'work' (guard via: 'storno').
+   * Права (только Владелец) проверяются на уровне контроллеров.
+   */
+  async reverseOrderFinalization(orderId, reason, actor = {}) {
+    const cleanReason = String(reason || "").trim();
+    if (cleanReason.length < 3)
+      throw new Error("Укажите причину сторнирования (минимум 3 символа).");
+
+    const order = await this.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+    this.assertTransition(order, ORDER_STATUS.WORK, { via: "storno" });
+
+    const initiator = normalizeActor(actor);
+    return await db.reverseOrderFinalization(orderId, {
+      actorId: initiator.id,
+      source: initiator.source,
+      reason: cleanReason,
+    });
+  },
+
+  /**
+   * 🧾 Таймлайн объекта (журнал order_events, от старых к новым).
+   */
+  async getOrderTimeline(orderId) {
+    return await db.getOrderEvents(orderId);
   },
 
   // ===========================================================================
@@ -610,15 +1633,21 @@ export const OrderService = {
     };
   },
 
-  async getAbandonedCarts() {
+  /**
+   * Заявки new/draft без движения, созданные minAge..maxAge минут назад
+   * (источник follow-up цепочки FollowUpService).
+   */
+  async getAbandonedCarts(minAgeMinutes = 24 * 60, maxAgeMinutes = 72 * 60) {
     return (
       await db.query(
         `
       SELECT o.id, o.user_id, u.first_name, o.total_price, o.created_at
       FROM orders o JOIN users u ON o.user_id = u.telegram_id
-      WHERE o.status IN ($1, $2) AND o.created_at < NOW() - INTERVAL '24 hours' AND o.created_at > NOW() - INTERVAL '72 hours'
+      WHERE o.status IN ($1, $2)
+        AND o.created_at < NOW() - make_interval(mins => $3)
+        AND o.created_at > NOW() - make_interval(mins => $4)
     `,
-        [ORDER_STATUS.NEW, ORDER_STATUS.DRAFT],
+        [ORDER_STATUS.NEW, ORDER_STATUS.DRAFT, minAgeMinutes, maxAgeMinutes],
       )
     ).rows;
   },
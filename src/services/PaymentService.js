@@ -0,0 +1,335 @@
+/**
+ * @file src/services/PaymentService.js
+ * @description Оплаты клиентов по объектам (Order Payments).
+ * Предоплаты и частичные платежи (наличные, Kaspi, банковский перевод),
+ * остаток к оплате по объекту. Деньги либо на руках у бригады (account_id
+ * не указан), либо сразу в кассе компании — это учитывается при
+ * распределении прибыли (db.finalizeOrderAndDistributeProfit).
+ * ДОБАВЛЕНО: Онлайн-оплата по счету провайдера: ссылка и QR для клиента,
+ * подтверждение webhook с зачислением в кассу компании. Подключен только
+ * mock-шлюз; адаптер Kaspi QR реализует контракт PAYMENT_PROVIDERS.
+ * ДОБАВЛЕНО: Оплата, которую нельзя зачислить автоматически, ждет ручной сверки.
+ *
+ * @module PaymentService
+ */
+
+import QRCode from "qrcode";
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { OrderService, ORDER_STATUS } from "./OrderService.js";
+import { MockPaymentProvider } from "./MockPaymentProvider.js";
+
+export const PAYMENT_METHODS = Object.freeze({
+  CASH: "cash",
+  KASPI: "kaspi",
+  BANK_TRANSFER: "bank_transfer",
+});
+
+export const PAYMENT_METHOD_NAMES = Object.freeze({
+  cash: "Наличные",
+  kaspi: "Kaspi",
+  bank_transfer: "Банковский перевод",
+});
+
+export const PAYMENT_KINDS = Object.freeze({
+  PREPAYMENT: "prepayment",
+  INSTALLMENT: "installment",
+});
+
+// До начала монтажа любая оплата считается предоплатой
+const PREPAYMENT_STATUSES = [
+  ORDER_STATUS.DRAFT,
+  ORDER_STATUS.NEW,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.CONFIRMED,
+];
+
+/**
+ * 🔌 Платежные провайдеры. Контракт провайдера:
+ * createInvoice({ invoiceId, orderId, amount, description }) -> { externalId, paymentUrl, qrPayload, expiresAt? }
+ * parseWebhook({ headers, rawBody }) -> { externalId, status: "paid"|"failed", amount }
+ */
+export const PAYMENT_PROVIDERS = Object.freeze({
+  [MockPaymentProvider.name]: MockPaymentProvider,
+});
+
+const CLOSED_STATUSES = [
+  ORDER_STATUS.DONE,
+  ORDER_STATUS.CANCELED,
+  ORDER_STATUS.ARCHIVED,
+];
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+const getPaymentKind = (order) =>
+  PREPAYMENT_STATUSES.includes(order.status)
+    ? PAYMENT_KINDS.PREPAYMENT
+    : PAYMENT_KINDS.INSTALLMENT;
+
+/**
+ * Активный провайдер (config.payments.provider). Webhook принимается
+ * только от него — иначе mock-подпись открыла бы дорогу поддельным оплатам.
+ */
+const getActiveProvider = (name = config.payments.provider) => {
+  if (!config.payments.provider)
+    throw new Error("Онлайн-оплата не подключена (PAYMENT_PROVIDER).");
+  const provider = PAYMENT_PROVIDERS[name];
+  if (!provider || name !== config.payments.provider)
+    throw new Error(`Платежный провайдер '${name}' не подключен.`);
+  if (provider === MockPaymentProvider && !config.payments.mockEnabled)
+    throw new Error("Тестовый шлюз оплаты отключен.");
+  return provider;
+};
+
+/**
+ * Почему оплату нельзя зачислить автоматически (null — можно).
+ * Деньги клиента при этом не теряются: счет уходит на ручную сверку.
+ */
+const getReviewReason = (invoice, order, notice) => {
+  if (invoice.status === "cancelled") return "Счет был заменен новым счетом";
+  if (invoice.status === "failed") return "Счет ранее был отклонен";
+  if (invoice.expires_at && new Date(invoice.expires_at) < new Date())
+    return "Срок действия счета истек";
+  if (!order) return "Объект не найден";
+  if (CLOSED_STATUSES.includes(order.status))
+    return `Объект #${order.id} уже закрыт`;
+  if (roundMoney(notice.amount) !== roundMoney(parseFloat(invoice.amount)))
+    return `Сумма оплаты ${roundMoney(notice.amount)} ₸ не совпадает со счетом ${roundMoney(parseFloat(invoice.amount))} ₸`;
+  return null;
+};
+
+// Касса зачисления онлайн-оплат: из конфига или первый безналичный счет
+const resolveInvoiceAccountId = async () => {
+  if (config.payments.accountId) return config.payments.accountId;
+  const accounts = await db.getAccounts();
+  const account = accounts.find((a) => a.type === "card") || accounts[0];
+  if (!account) throw new Error("Не найдена касса для зачисления оплаты.");
+  return account.id;
+};
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const PaymentService = {
+  /**
+   * Оплаты объекта и сводка: к оплате, собрано, остаток.
+   */
+  async getOrderPayments(orderId) {
+    const order = await OrderService.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+
+    const payments = await db.getOrderPayments(order.id);
+    const total = roundMoney(parseFloat(order.total_price) || 0);
+    const collected = roundMoney(
+      payments.reduce((sum, p) => sum + parseFloat(p.amount), 0),
+    );
+    return {
+      payments,
+      summary: {
+        total,
+        collected,
+        outstanding: roundMoney(Math.max(total - collected, 0)),
+      },
+    };
+  },
+
+  /**
+   * Прием оплаты. accountId — касса компании (только Админ), без него
+   * деньги числятся на руках у бригады до финализации объекта.
+   */
+  async recordPayment(
+    orderId,
+    { amount, method, accountId, receivedAt, comment },
+    actor = {},
+  ) {
+    const order = await OrderService.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+
+    const value = roundMoney(parseFloat(amount));
+    if (!Number.isFinite(value) || value <= 0)
+      throw new Error("Сумма оплаты должна быть положительным числом.");
+    if (!Object.values(PAYMENT_METHODS).includes(method))
+      throw new Error("Укажите способ оплаты: наличные, Kaspi или перевод.");
+
+    let date = null;
+    if (receivedAt) {
+      date = new Date(receivedAt);
+      if (isNaN(date.getTime()) || date > new Date())
+        throw new Error("Некорректная дата оплаты.");
+    }
+
+    return db.addOrderPayment(
+      {
+        orderId: order.id,
+        amount: value,
+        method,
+        kind: getPaymentKind(order),
+        accountId: accountId ? Number(accountId) : null,
+        receivedBy: actor.id || null,
+        receivedAt: date,
+        comment: comment ? String(comment).trim() : null,
+      },
+      { actorId: actor.id || null, source: actor.source || "system" },
+    );
+  },
+
+  // ===========================================================================
+  // 🧾 ONLINE INVOICES (KASPI QR / MOCK)
+  // ===========================================================================
+
+  /**
+   * Счета объекта (последний — актуальный).
+   */
+  async getOrderInvoices(orderId) {
+    return db.getOrderPaymentInvoices(orderId);
+  },
+
+  /**
+   * Счет на остаток к оплате: ссылка и QR провайдера (qrDataUrl — PNG для CRM).
+   */
+  async createInvoice(orderId, actor = {}) {
+    const provider = getActiveProvider();
+    const order = await OrderService.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+    if (CLOSED_STATUSES.includes(order.status))
+      throw new Error("Объект закрыт: выставление счета невозможно.");
+
+    const { summary } = await this.getOrderPayments(order.id);
+    if (summary.outstanding <= 0)
+      throw new Error("По объекту нет остатка к оплате.");
+
+    const expiresAt = new Date(
+      Date.now() + config.payments.invoiceTtlMinutes * 60 * 1000,
+    );
+    const invoice = await db.createPaymentInvoice({
+      orderId: order.id,
+      provider: provider.name,
+      amount: summary.outstanding,
+      createdBy: actor.id || null,
+      expiresAt,
+    });
+
+    let issued;
+    try {
+      issued = await provider.createInvoice({
+        invoiceId: invoice.id,
+        orderId: order.id,
+        amount: summary.outstanding,
+        description: `Оплата работ по объекту #${order.id}`,
+      });
+    } catch (error) {
+      await db.setPaymentInvoiceStatus(invoice.id, "failed");
+      throw new Error(`Провайдер отклонил счет: ${error.message}`);
+    }
+
+    const saved = await db.attachPaymentInvoiceProvider(invoice.id, issued);
+    return {
+      ...saved,
+      qrDataUrl: await QRCode.toDataURL(saved.qr_payload, { margin: 1 }),
+    };
+  },
+
+  /**
+   * Уведомление провайдера. Повторная доставка webhook по оплаченному счету
+   * безопасна (duplicate: true). Полная оплата объекта в статусе 'payment'
+   * закрывает его через OrderService.settlePaidOrder. Оплата по отмененному
+   * или просроченному счету, закрытому объекту или с другой суммой не
+   * зачисляется, а помечается к ручной сверке (review: true). Оплата сверх
+   * остатка зачисляется в пределах остатка, переплата ждет сверки.
+   */
+  async handleWebhook(providerName, { headers, rawBody }) {
+    const provider = getActiveProvider(providerName);
+    const notice = provider.parseWebhook({ headers, rawBody });
+
+    const invoice = await db.getPaymentInvoiceByExternalId(
+      provider.name,
+      notice.externalId,
+    );
+    if (!invoice) throw new Error("Счет не найден.");
+    if (invoice.status === "paid" || invoice.status === "review")
+      return { invoice, duplicate: true, settlement: null };
+
+    if (notice.status !== "paid") {
+      const failed = await db.setPaymentInvoiceStatus(invoice.id, "failed");
+      return { invoice: failed || invoice, duplicate: false, settlement: null };
+    }
+
+    const order = await OrderService.getOrderById(invoice.order_id);
+    const reason = getReviewReason(invoice, order, notice);
+    if (reason) {
+      const flagged = await db.flagPaymentInvoiceForReview(invoice.id, {
+        amount: notice.amount,
+        reason,
+      });
+      console.warn(
+        `⚠️ [PaymentService] Оплата по счету #${invoice.id} ждет ручной сверки: ${reason}`,
+      );
+      return {
+        invoice: flagged || invoice,
+        duplicate: !flagged,
+        review: true,
+        settlement: null,
+      };
+    }
+    const actor = { id: null, source: "api" };
+
+    const payment = await db.addOrderPayment(
+      {
+        orderId: order.id,
+        amount: parseFloat(invoice.amount),
+        method: PAYMENT_METHODS.KASPI,
+        kind: getPaymentKind(order),
+        accountId: await resolveInvoiceAccountId(),
+        comment: `Онлайн-оплата (${provider.title}), счет #${invoice.id}`,
+        invoiceId: invoice.id,
+      },
+      { actorId: null, source: actor.source },
+    );
+
+    const applied = await db.getPaymentInvoiceByExternalId(
+      provider.name,
+      notice.externalId,
+    );
+    const review = applied.status === "review";
+    if (review)
+      console.warn(
+        `⚠️ [PaymentService] Оплата по счету #${invoice.id} ждет ручной сверки: ${applied.review_reason}`,
+      );
+
+    const settlement = payment
+      ? await OrderService.settlePaidOrder(order.id, actor)
+      : null;
+    return {
+      invoice: applied,
+      payment,
+      duplicate: false,
+      review,
+      settlement,
+    };
+  },
+
+  /**
+   * Тестовая "оплата" на странице mock-шлюза: тот же путь, что и webhook.
+   */
+  async simulateMockPayment(externalId, succeeded = true) {
+    getActiveProvider(MockPaymentProvider.name);
+    const invoice = await db.getPaymentInvoiceByExternalId(
+      MockPaymentProvider.name,
+      externalId,
+    );
+    if (!invoice) throw new Error("Счет не найден.");
+    return this.handleWebhook(
+      MockPaymentProvider.name,
+      MockPaymentProvider.buildWebhook(invoice, succeeded),
+    );
+  },
+
+  async getMockInvoice(externalId) {
+    getActiveProvider(MockPaymentProvider.name);
+    return db.getPaymentInvoiceByExternalId(
+      MockPaymentProvider.name,
+      externalId,
+    );
+  },
+};
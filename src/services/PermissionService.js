@@ -0,0 +1,323 @@
+/**
+ * @file src/services/PermissionService.js
+ * @description Права доступа персонала (Permission Model).
+ * Роль — это набор именованных прав (orders.finalize, finance.view, ...),
+ * хранится в roles / role_permissions и редактируется Владельцем. Один и тот же
+ * набор проверяют REST middleware (requirePermission), обработчики бота и
+ * Web CRM (session user.permissions). Владелец имеет все права всегда.
+ * Системные роли создаются при старте (ensureDefaults) с правами по умолчанию;
+ * дальнейшие правки Владельца рестарт не перетирает.
+ *
+ * @module PermissionService
+ */
+
+import * as db from "../database/index.js";
+
+// Каталог прав: ключ → описание (группа — префикс до точки)
+export const PERMISSIONS = Object.freeze({
+  "crm.access": "Вход в Web CRM",
+  "dashboard.view": "Дашборд и аналитика объектов",
+  "analytics.brigades": "Рейтинг эффективности бригад",
+  "brigades.view": "Список бригад",
+  "brigades.manage": "Создание, доли и блокировка бригад",
+  "orders.view": "Просмотр объектов, смет и оплат",
+  "orders.view_all": "Все объекты компании (без права — своя бригада и Биржа)",
+  "orders.create": "Создание заказа вручную",
+  "orders.take": "Взять объект с Биржи своей бригадой",
+  "orders.edit": "Смета, BOM, адрес, расходы и материалы объекта",
+  "orders.cancel": "Отмена объекта и возврат на Биржу",
+  "orders.assign": "Назначение бригады на объект",
+  "orders.finalize": "Завершение объекта с распределением прибыли",
+  "orders.storno": "Сторно завершенного объекта",
+  "payments.record": "Оплаты клиентов и счета на оплату",
+  "finance.view": "Глобальная касса, выручка, прибыль и ОСВ",
+  "finance.edit": "Проводки, инкассация, оплата в кассу компании",
+  "settings.view": "Просмотр прайса и правил сметы",
+  "settings.edit_prices": "Изменение цен, правил сметы и каталога материалов",
+  "warehouse.view": "Остатки склада",
+  "warehouse.manage": "Приход, перемещения и корректировки склада",
+  "purchases.manage": "Заказы поставщикам",
+  "schedule.view": "Календарь замеров и монтажа",
+  "schedule.manage": "Запись и перенос выездов",
+  "users.view": "База клиентов и персонала",
+  "users.manage_roles": "Смена ролей пользователей",
+  "users.credentials": "Выдача и отзыв входа по паролю",
+  "users.sessions": "Завершение всех сеансов сотрудника («выйти везде»)",
+  "auth.audit": "Журнал входов",
+  "roles.manage": "Редактор ролей и прав",
+  "broadcast.send": "Рассылки и сегменты аудитории",
+  "bot.admin_panel": "Админ-панель в Telegram",
+  "bot.brigade_panel": "Панель бригадира в Telegram",
+  "system.console": "SQL-терминал, дамп базы и статус сервера",
+});
+
+const ALL_PERMISSIONS = Object.freeze(Object.keys(PERMISSIONS));
+
+export const OWNER_ROLE = "owner";
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,31}$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+// Права, которые Администратор по умолчанию не получает
+const OWNER_ONLY = [
+  "orders.take",
+  "orders.storno",
+  "users.credentials",
+  "users.sessions",
+  "auth.audit",
+  "roles.manage",
+  "bot.brigade_panel",
+  "system.console",
+];
+
+/**
+ * Системные роли и их права при первом запуске. Владелец в таблице прав
+ * не нуждается — can() разрешает ему все.
+ */
+export const DEFAULT_ROLES = Object.freeze([
+  { name: OWNER_ROLE, title: "Владелец", permissions: ALL_PERMISSIONS },
+  {
+    name: "admin",
+    title: "Администратор",
+    permissions: ALL_PERMISSIONS.filter((p) => !OWNER_ONLY.includes(p)),
+  },
+  {
+    name: "manager",
+    title: "Бригадир",
+    permissions: [
+      "crm.access",
+      "dashboard.view",
+      "orders.view",
+      "orders.take",
+      "orders.edit",
+      "orders.finalize",
+      "payments.record",
+      "warehouse.view",
+      "schedule.view",
+      "schedule.manage",
+      "bot.brigade_panel",
+    ],
+  },
+  {
+    name: "accountant",
+    title: "Бухгалтер",
+    permissions: [
+      "crm.access",
+      "dashboard.view",
+      "analytics.brigades",
+      "orders.view",
+      "orders.view_all",
+      "payments.record",
+      "finance.view",
+      "finance.edit",
+      "settings.view",
+      "warehouse.view",
+    ],
+  },
+  {
+    name: "dispatcher",
+    title: "Диспетчер",
+    permissions: [
+      "crm.access",
+      "dashboard.view",
+      "orders.view",
+      "orders.view_all",
+      "orders.create",
+      "orders.edit",
+      "orders.cancel",
+      "orders.assign",
+      "brigades.view",
+      "schedule.view",
+      "schedule.manage",
+    ],
+  },
+  { name: "user", title: "Клиент", permissions: [] },
+  { name: "banned", title: "Заблокирован", permissions: [] },
+]);
+
+/**
+ * Ошибка управления ролями с HTTP-статусом и кодом для CRM.
+ */
+export class PermissionError extends Error {
+  constructor(message, { status = 400, code = "ROLE_INVALID" } = {}) {
+    super(message);
+    this.name = "PermissionError";
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+// Кэш role → Set(прав); сбрасывается при правках и по TTL (несколько инстансов)
+let cache = null;
+let cacheLoadedAt = 0;
+
+const loadCache = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+  const roles = await db.getRolesWithPermissions();
+  cache = new Map(roles.map((r) => [r.name, new Set(r.permissions)]));
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+const invalidateCache = () => {
+  cache = null;
+};
+
+const normalizePermissions = (permissions) => {
+  if (!Array.isArray(permissions))
+    throw new PermissionError("Передайте массив прав");
+  const unknown = permissions.filter((p) => !PERMISSIONS[p]);
+  if (unknown.length > 0)
+    throw new PermissionError(`Неизвестные права: ${unknown.join(", ")}`);
+  return [...new Set(permissions)].sort();
+};
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const PermissionService = {
+  PERMISSIONS,
+
+  /**
+   * Системные роли с правами по умолчанию (только отсутствующие). Вызывается после initDB.
+   */
+  async ensureDefaults() {
+    for (const role of DEFAULT_ROLES) {
+      const created = await db.createRole({
+        name: role.name,
+        title: role.title,
+        isSystem: true,
+        permissions: role.name === OWNER_ROLE ? [] : role.permissions,
+      });
+      if (created)
+        console.log(`🧩 [PermissionService] Создана роль "${role.name}".`);
+    }
+    invalidateCache();
+  },
+
+  /**
+   * Есть ли у роли право. Неизвестная роль прав не имеет.
+   * @param {string} role
+   * @param {string} permission - ключ из PERMISSIONS
+   * @returns {Promise<boolean>}
+   */
+  async can(role, permission) {
+    if (role === OWNER_ROLE) return true;
+    const roles = await loadCache();
+    return roles.get(role)?.has(permission) || false;
+  },
+
+  /**
+   * Полный список прав роли (для сессии Web CRM и клавиатур бота).
+   * @returns {Promise<string[]>}
+   */
+  async getPermissions(role) {
+    if (role === OWNER_ROLE) return [...ALL_PERMISSIONS];
+    const roles = await loadCache();
+    return [...(roles.get(role) || [])];
+  },
+
+  async roleExists(role) {
+    return (await loadCache()).has(role);
+  },
+
+  /**
+   * Роли с правами и каталог прав для редактора Владельца.
+   */
+  async listRoles() {
+    const roles = await db.getRolesWithPermissions();
+    return {
+      roles: roles.map((r) =>
+        r.name === OWNER_ROLE ? { ...r, permissions: [...ALL_PERMISSIONS] } : r,
+      ),
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+      })),
+    };
+  },
+
+  /**
+   * Новая роль (например, «Бухгалтер филиала»). Латинское имя — ключ в users.role.
+   */
+  async createRole({ name, title, permissions = [] } = {}) {
+    const normalizedName = String(name || "")
+      .trim()
+      .toLowerCase();
+    if (!ROLE_NAME_PATTERN.test(normalizedName))
+      throw new PermissionError(
+        "Код роли: от 3 до 32 символов (латиница, цифры, подчеркивание), начинается с буквы",
+      );
+    const normalizedTitle = String(title || "").trim();
+    if (!normalizedTitle) throw new PermissionError("Укажите название роли");
+
+    const created = await db.createRole({
+      name: normalizedName,
+      title: normalizedTitle.slice(0, 100),
+      permissions: normalizePermissions(permissions),
+    });
+    if (!created)
+      throw new PermissionError("Роль с таким кодом уже существует", {
+        status: 409,
+        code: "ROLE_EXISTS",
+      });
+    invalidateCache();
+    return db.getRoleByName(normalizedName);
+  },
+
+  /**
+   * Полная замена прав роли. Права Владельца не редактируются.
+   */
+  async setRolePermissions(name, permissions) {
+    if (name === OWNER_ROLE)
+      throw new PermissionError("Права Владельца не редактируются", {
+        status: 403,
+        code: "ROLE_PROTECTED",
+      });
+    if (!(await db.getRoleByName(name)))
+      throw new PermissionError("Роль не найдена", {
+        status: 404,
+        code: "ROLE_NOT_FOUND",
+      });
+
+    const normalized = normalizePermissions(permissions);
+    await db.setRolePermissions(name, normalized);
+    invalidateCache();
+    return normalized;
+  },
+
+  /**
+   * Удаление пользовательской роли. Системные и назначенные роли не удаляются.
+   */
+  async deleteRole(name) {
+    const role = await db.getRoleByName(name);
+    if (!role)
+      throw new PermissionError("Роль не найдена", {
+        status: 404,
+        code: "ROLE_NOT_FOUND",
+      });
+    if (role.is_system)
+      throw new PermissionError("Системную роль удалить нельзя", {
+        status: 403,
+        code: "ROLE_PROTECTED",
+      });
+
+    const { rows } = await db.query(
+      "SELECT COUNT(*)::int AS count FROM users WHERE role = $1",
+      [name],
+    );
+    if (rows[0].count > 0)
+      throw new PermissionError(
+        `Роль назначена пользователям (${rows[0].count}). Сначала смените им роль.`,
+        { status: 409, code: "ROLE_IN_USE" },
+      );
+
+    await db.deleteRole(name);
+    invalidateCache();
+    return true;
+  },
+};
@@ -0,0 +1,312 @@
+/**
+ * @file src/services/PurchaseService.js
+ * @description Заказы поставщикам по спецификациям объектов (Purchase Orders).
+ * Собирает строки details.bom одного или нескольких объектов, вычитает уже
+ * заказанное и раскладывает потребность по поставщикам из каталога материалов.
+ * Жизненный цикл PO: draft -> sent -> received (или cancelled).
+ * Приемка проводит оплату через кассу (db.addCompanyTransaction) и разносит
+ * себестоимость по расходам объектов. Открытые PO держат объекты в статусе
+ * 'material' (ORDER_STATUS.MATERIAL_WAIT), закрытие последнего — возвращает в работу.
+ *
+ * @module PurchaseService
+ */
+
+import * as db from "../database/index.js";
+import { OrderService, ORDER_STATUS } from "./OrderService.js";
+
+export const PO_STATUS = Object.freeze({
+  DRAFT: "draft",
+  SENT: "sent",
+  RECEIVED: "received",
+  CANCELLED: "cancelled",
+});
+
+export const PO_STATUS_NAMES = Object.freeze({
+  draft: "Черновик",
+  sent: "Отправлен поставщику",
+  received: "Получен",
+  cancelled: "Отменен",
+});
+
+const NO_SUPPLIER = "Без поставщика";
+const PURCHASE_CATEGORY = "Закупка материалов";
+const MAX_ORDERS_PER_BATCH = 50;
+
+// Закупка под объект возможна, пока объект не закрыт
+const CLOSED_ORDER_STATUSES = [
+  ORDER_STATUS.DONE,
+  ORDER_STATUS.CANCELED,
+  ORDER_STATUS.ARCHIVED,
+];
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+const lineKey = (orderId, key) => `${orderId}:${key}`;
+
+const SYSTEM_ACTOR = { id: null, source: "system" };
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const PurchaseService = {
+  async getPurchaseOrders({ status } = {}) {
+    return db.getPurchaseOrders({
+      status: Object.values(PO_STATUS).includes(status) ? status : null,
+    });
+  },
+
+  /**
+   * Карточка PO: строки по объектам + сводка по позициям (сумма по всем объектам).
+   */
+  async getPurchaseOrder(id) {
+    const po = await db.getPurchaseOrderById(id);
+    if (!po) throw new Error("Заказ поставщику не найден");
+
+    const items = new Map();
+    for (const line of po.lines) {
+      const key = line.sku || line.name;
+      const item = items.get(key) || {
+        sku: line.sku,
+        name: line.name,
+        unit: line.unit,
+        qty: 0,
+        sum: 0,
+        order_ids: [],
+      };
+      const qty = parseFloat(line.qty) || 0;
+      item.qty = Math.round((item.qty + qty) * 1000) / 1000;
+      const cost = parseFloat(line.unit_cost) || 0;
+      item.sum = roundMoney(item.sum + qty * cost);
+      if (!item.order_ids.includes(line.order_id))
+        item.order_ids.push(line.order_id);
+      items.set(key, item);
+    }
+    return { ...po, items: [...items.values()] };
+  },
+
+  /**
+   * Черновики PO по BOM объектов: по одному на поставщика.
+   * Уже заказанное (не отмененные PO) повторно не заказывается.
+   */
+  async generateFromOrders(orderIds, actor = {}) {
+    const ids = [...new Set((orderIds || []).map(Number))].filter(
+      (id) => Number.isInteger(id) && id > 0,
+    );
+    if (ids.length === 0) throw new Error("Укажите объекты для закупки.");
+    if (ids.length > MAX_ORDERS_PER_BATCH)
+      throw new Error(`Не более ${MAX_ORDERS_PER_BATCH} объектов за раз.`);
+
+    const orders = [];
+    for (const id of ids) {
+      const order = await OrderService.getOrderById(id);
+      if (!order) throw new Error(`Объект #${id} не найден.`);
+      if (CLOSED_ORDER_STATUSES.includes(order.status))
+        throw new Error(`Объект #${id} закрыт: закупка невозможна.`);
+      orders.push(order);
+    }
+
+    const ordered = new Map(
+      (await db.getOrderedPurchaseQty(ids)).map((row) => [
+        lineKey(row.order_id, row.line_key),
+        parseFloat(row.qty) || 0,
+      ]),
+    );
+    const skus = orders.flatMap((o) =>
+      (o.details?.bom || []).filter((l) => l.sku).map((l) => l.sku),
+    );
+    const materials = await db.getMaterialsBySkus([...new Set(skus)]);
+    const catalog = new Map(materials.map((m) => [m.sku, m]));
+
+    // Группировка потребности по поставщикам каталога
+    const bySupplier = new Map();
+    for (const order of orders) {
+      for (const line of order.details?.bom || []) {
+        const material = line.sku ? catalog.get(line.sku) : null;
+        const key = line.sku || line.name;
+        const need =
+          (parseFloat(line.qty) || 0) -
+          (ordered.get(lineKey(order.id, key)) || 0);
+        if (!key || need <= 0) continue;
+
+        const supplier = material?.supplier?.trim() || NO_SUPPLIER;
+        if (!bySupplier.has(supplier)) bySupplier.set(supplier, []);
+        bySupplier.get(supplier).push({
+          orderId: order.id,
+          materialId: material?.id || null,
+          sku: line.sku || null,
+          name: material?.name || line.name,
+          unit: material?.unit || line.unit || "шт",
+          qty: Math.round(need * 1000) / 1000,
+          unitCost: material
+            ? parseFloat(material.purchase_price) || 0
+            : parseFloat(line.cost) || 0,
+        });
+      }
+    }
+    if (bySupplier.size === 0)
+      throw new Error("По выбранным объектам все материалы уже заказаны.");
+
+    const initiator = actor.id ? Number(actor.id) : null;
+    const created = [];
+    for (const [supplier, lines] of bySupplier) {
+      created.push(
+        await db.createPurchaseOrder({
+          supplier,
+          lines,
+          comment: `Объекты: ${ids.map((id) => `#${id}`).join(", ")}`,
+          createdBy: initiator,
+        }),
+      );
+    }
+
+    await this.syncMaterialWaitStatus(ids);
+    return created;
+  },
+
+  async markSent(id) {
+    const po = await db.setPurchaseOrderStatus(
+      id,
+      [PO_STATUS.DRAFT],
+      PO_STATUS.SENT,
+    );
+    if (!po)
+      throw new Error("Отправить поставщику можно только черновик заказа.");
+    return po;
+  },
+
+  async cancel(id) {
+    const po = await db.setPurchaseOrderStatus(
+      id,
+      [PO_STATUS.DRAFT, PO_STATUS.SENT],
+      PO_STATUS.CANCELLED,
+    );
+    if (!po) throw new Error("Заказ уже получен или отменен.");
+    await this.syncMaterialWaitStatus(await this.getLinkedOrderIds(id));
+    return po;
+  },
+
+  /**
+   * Приемка PO: оплата из кассы (расход в журнале) и себестоимость в расходы
+   * объектов. Статус захватывается первым — повторная приемка невозможна.
+   */
+  async receive(id, { accountId } = {}, actor = {}) {
+    if (!accountId)
+      throw new Error("Укажите кассу (счет) оплаты поставщику.");
+
+    const claimed = await db.setPurchaseOrderStatus(
+      id,
+      [PO_STATUS.SENT],
+      PO_STATUS.RECEIVED,
+      { accountId: Number(accountId) },
+    );
+    if (!claimed)
+      throw new Error("Принять можно только заказ, отправленный поставщику.");
+
+    const po = await db.getPurchaseOrderById(id);
+    const total = roundMoney(parseFloat(po.total) || 0);
+
+    let transaction = null;
+    if (total > 0) {
+      try {
+        transaction = await db.addCompanyTransaction({
+          accountId: Number(accountId),
+          userId: actor.id || null,
+          amount: total,
+          type: "expense",
+          category: PURCHASE_CATEGORY,
+          comment: `PO #${po.id} · ${po.supplier}`,
+        });
+      } catch (error) {
+        // Оплата не прошла — PO возвращается в "отправлен"
+        await db.setPurchaseOrderStatus(
+          id,
+          [PO_STATUS.RECEIVED],
+          PO_STATUS.SENT,
+        );
+        throw error;
+      }
+      await db.setPurchaseOrderStatus(
+        id,
+        [PO_STATUS.RECEIVED],
+        PO_STATUS.RECEIVED,
+        { transactionId: transaction.id },
+      );
+    }
+
+    // Себестоимость по объектам (закупка под объект минует остатки склада)
+    const costByOrder = new Map();
+    for (const line of po.lines) {
+      const cost =
+        (parseFloat(line.qty) || 0) * (parseFloat(line.unit_cost) || 0);
+      costByOrder.set(
+        line.order_id,
+        roundMoney((costByOrder.get(line.order_id) || 0) + cost),
+      );
+    }
+
+    const skipped = [];
+    for (const [orderId, amount] of costByOrder) {
+      if (amount <= 0) continue;
+      const order = await OrderService.getOrderById(orderId);
+      if (!order || CLOSED_ORDER_STATUSES.includes(order.status)) {
+        skipped.push(orderId);
+        continue;
+      }
+      await OrderService.addOrderExpense(
+        orderId,
+        amount,
+        "Материалы",
+        `Закупка PO #${po.id} (${po.supplier})`,
+        actor,
+      );
+    }
+
+    await this.syncMaterialWaitStatus([...costByOrder.keys()]);
+    return { purchaseOrder: claimed, transaction, skippedOrders: skipped };
+  },
+
+  async getLinkedOrderIds(id) {
+    const po = await db.getPurchaseOrderById(id);
+    return po ? [...new Set(po.lines.map((l) => l.order_id))] : [];
+  },
+
+  /**
+   * Статус 'material' следует за открытыми PO: есть открытые — объект ждет
+   * материалы (из 'work' / 'confirmed'), нет — возвращается в 'work'.
+   * Ошибки переходов (например, нет бригады) не блокируют закупку.
+   */
+  async syncMaterialWaitStatus(orderIds) {
+    if (!orderIds.length) return;
+    const open = new Set(await db.getOrdersWithOpenPurchases(orderIds));
+    const context = { via: "purchase", actor: SYSTEM_ACTOR };
+
+    for (const orderId of orderIds) {
+      try {
+        const order = await OrderService.getOrderById(orderId);
+        if (!order) continue;
+        const waiting = order.status === ORDER_STATUS.MATERIAL_WAIT;
+        if (
+          open.has(orderId) &&
+          [ORDER_STATUS.WORK, ORDER_STATUS.CONFIRMED].includes(order.status)
+        ) {
+          await OrderService.updateOrderStatus(
+            orderId,
+            ORDER_STATUS.MATERIAL_WAIT,
+            context,
+          );
+        } else if (!open.has(orderId) && waiting) {
+          await OrderService.updateOrderStatus(
+            orderId,
+            ORDER_STATUS.WORK,
+            context,
+          );
+        }
+      } catch (error) {
+        console.warn(
+          `[PurchaseService] Material status sync skipped for #${orderId}:`,
+          error.message,
+        );
+      }
+    }
+  },
+};
@@ -0,0 +1,349 @@
+/**
+ * @file src/services/SchedulingService.js
+ * @description Календарь выездов инженера и монтажных дней (Scheduling Module).
+ * Слоты замера строятся по конфигу (часы, рабочие дни, горизонт записи) в
+ * часовом поясе компании. Двойное бронирование бригады запрещено на уровне БД
+ * (EXCLUDE appointments_no_overlap), для объектов на Бирже слот ограничен
+ * числом свободных бригад. Напоминания клиенту и бригадиру отправляются
+ * фоновым циклом (startReminders), отправитель внедряется из bot.js.
+ * Тексты напоминаний — на языке интерфейса получателя (I18nService).
+ *
+ * @module SchedulingService
+ */
+
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { OrderService, ORDER_STATUS } from "./OrderService.js";
+import { I18nService } from "./I18nService.js";
+
+export const APPOINTMENT_KINDS = Object.freeze({
+  VISIT: "visit",
+  WORK: "work",
+});
+
+export const APPOINTMENT_STATUS = Object.freeze({
+  SCHEDULED: "scheduled",
+  DONE: "done",
+  CANCELLED: "cancelled",
+});
+
+const TIMEZONE = config.system.timezone;
+const MIN_LEAD_MS = 2 * 60 * 60 * 1000; // Запись не позже чем за 2 часа
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_APPOINTMENT_HOURS = 14;
+
+// Объекты, на которые клиент может записаться на замер
+const BOOKABLE_ORDER_STATUSES = [ORDER_STATUS.NEW, ORDER_STATUS.PROCESSING];
+
+let messageSender = null;
+let reminderTimer = null;
+
+// =============================================================================
+// 🕒 ЧАСОВОЙ ПОЯС КОМПАНИИ
+// =============================================================================
+
+const zoneParts = (date) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: TIMEZONE,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+
+/**
+ * Местное время компании (год, месяц 0-11, день, час) -> момент UTC.
+ */
+const zonedDate = (year, month, day, hour) => {
+  const guess = Date.UTC(year, month, day, hour);
+  const parts = zoneParts(new Date(guess));
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+  );
+  return new Date(guess - (asUtc - guess));
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export const formatSlot = (date, lang) =>
+  new Date(date).toLocaleString(I18nService.getLocaleTag(lang), {
+    timeZone: TIMEZONE,
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const parseDate = (raw, label) => {
+  const date = new Date(raw);
+  if (!raw || isNaN(date.getTime())) throw new Error(`Некорректная ${label}.`);
+  return date;
+};
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const SchedulingService = {
+  /**
+   * Внедрение отправителя напоминаний: (chatId, html) => Promise.
+   */
+  setMessageSender(sender) {
+    messageSender = sender;
+  },
+
+  /**
+   * Сетка слотов замера на горизонт записи (без учета занятости).
+   */
+  buildVisitSlots(now = new Date()) {
+    const { visitSlots, workDays, visitDurationMin, bookingDays } =
+      config.scheduling;
+    const slots = [];
+    for (let offset = 0; offset <= bookingDays; offset++) {
+      const day = zoneParts(new Date(now.getTime() + offset * 86400000));
+      if (!workDays.includes(WEEKDAYS[day.weekday])) continue;
+      for (const hour of visitSlots) {
+        const startsAt = zonedDate(
+          Number(day.year),
+          Number(day.month) - 1,
+          Number(day.day),
+          hour,
+        );
+        if (startsAt.getTime() - now.getTime() < MIN_LEAD_MS) continue;
+        slots.push({
+          startsAt,
+          endsAt: new Date(startsAt.getTime() + visitDurationMin * 60000),
+        });
+      }
+    }
+    return slots;
+  },
+
+  /**
+   * Свободные слоты замера. brigadeId — объект уже у бригады (ее занятость),
+   * иначе слот свободен, пока занято меньше бригад, чем активно.
+   */
+  async getAvailableVisitSlots({ brigadeId = null } = {}) {
+    const slots = this.buildVisitSlots();
+    if (slots.length === 0) return [];
+
+    const [appointments, capacity] = await Promise.all([
+      db.getAppointments({
+        from: slots[0].startsAt,
+        to: slots[slots.length - 1].endsAt,
+      }),
+      brigadeId ? 1 : db.countActiveBrigades(),
+    ]);
+    const relevant = brigadeId
+      ? appointments.filter((a) => a.brigade_id === brigadeId)
+      : appointments;
+
+    return slots.filter(({ startsAt, endsAt }) => {
+      const busy = relevant.filter(
+        (a) => new Date(a.starts_at) < endsAt && new Date(a.ends_at) > startsAt,
+      ).length;
+      return busy < capacity;
+    });
+  },
+
+  /**
+   * Запись клиента на замер (из бота). Повторная запись переносит визит.
+   */
+  async bookVisit(orderId, startsAtRaw, actor = {}) {
+    const order = await OrderService.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+    if (!BOOKABLE_ORDER_STATUSES.includes(order.status))
+      throw new Error("Запись на замер для этого объекта уже недоступна.");
+
+    const startsAt = parseDate(startsAtRaw, "дата визита");
+    const slot = this.buildVisitSlots().find(
+      (s) => s.startsAt.getTime() === startsAt.getTime(),
+    );
+    if (!slot) throw new Error("Слот недоступен. Выберите другое время.");
+
+    return db.bookVisitAppointment({
+      orderId: order.id,
+      brigadeId: order.brigade_id || null,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      capacity: await db.countActiveBrigades(),
+      createdBy: actor.id || null,
+    });
+  },
+
+  async getCalendar({ from, to, brigadeId = null, orderId = null } = {}) {
+    return db.getAppointments({
+      from: from ? parseDate(from, "дата начала") : null,
+      to: to ? parseDate(to, "дата окончания") : null,
+      brigadeId,
+      orderId: orderId ? Number(orderId) : null,
+    });
+  },
+
+  /**
+   * Запись из Web CRM: замер или монтажный день с явными датами.
+   * Бригада по умолчанию — исполнитель объекта.
+   */
+  async scheduleAppointment(data = {}, actor = {}) {
+    const order = await OrderService.getOrderById(Number(data.orderId));
+    if (!order) throw new Error("Заказ не найден");
+    if (
+      [ORDER_STATUS.DONE, ORDER_STATUS.CANCELED, ORDER_STATUS.ARCHIVED].includes(
+        order.status,
+      )
+    )
+      throw new Error("Объект закрыт: планирование недоступно.");
+
+    const kind = Object.values(APPOINTMENT_KINDS).includes(data.kind)
+      ? data.kind
+      : APPOINTMENT_KINDS.VISIT;
+    const { startsAt, endsAt } = this.validateRange(data.startsAt, data.endsAt);
+    const brigadeId = data.brigadeId
+      ? Number(data.brigadeId)
+      : order.brigade_id || null;
+    if (kind === APPOINTMENT_KINDS.WORK && !brigadeId)
+      throw new Error("Для монтажного дня укажите бригаду.");
+
+    return db.createAppointment({
+      orderId: order.id,
+      brigadeId,
+      kind,
+      startsAt,
+      endsAt,
+      comment: data.comment ? String(data.comment).trim() : null,
+      createdBy: actor.id || null,
+    });
+  },
+
+  /**
+   * Перенос / смена статуса / бригады записи. Перенос сбрасывает напоминание.
+   */
+  async updateAppointment(id, data = {}) {
+    const appointment = await db.getAppointmentById(id);
+    if (!appointment) throw new Error("Запись не найдена");
+
+    const patch = {};
+    if (data.startsAt || data.endsAt) {
+      Object.assign(
+        patch,
+        this.validateRange(
+          data.startsAt || appointment.starts_at,
+          data.endsAt || appointment.ends_at,
+        ),
+      );
+    }
+    if (data.status !== undefined) {
+      if (!Object.values(APPOINTMENT_STATUS).includes(data.status))
+        throw new Error("Недопустимый статус записи.");
+      patch.status = data.status;
+    }
+    if (data.brigadeId !== undefined)
+      patch.brigadeId = data.brigadeId ? Number(data.brigadeId) : null;
+    if (data.comment !== undefined) patch.comment = String(data.comment);
+
+    return db.updateAppointment(id, patch);
+  },
+
+  validateRange(startsRaw, endsRaw) {
+    const startsAt = parseDate(startsRaw, "дата начала");
+    const endsAt = parseDate(endsRaw, "дата окончания");
+    const hours = (endsAt - startsAt) / 3600000;
+    if (hours <= 0) throw new Error("Окончание должно быть позже начала.");
+    if (hours > MAX_APPOINTMENT_HOURS)
+      throw new Error(
+        `Запись не длиннее ${MAX_APPOINTMENT_HOURS} часов (многодневные работы — по дням).`,
+      );
+    return { startsAt, endsAt };
+  },
+
+  // ===========================================================================
+  // 🔔 НАПОМИНАНИЯ (КЛИЕНТ + БРИГАДИР)
+  // ===========================================================================
+
+  async sendDueReminders() {
+    if (!messageSender) return 0;
+    const due = await db.getDueAppointmentReminders(
+      config.scheduling.reminderLeadHours,
+    );
+
+    for (const a of due) {
+      // Параметры напоминания на языке конкретного получателя
+      const reminder = (lang) => {
+        const t = (key) => I18nService.t(lang, key);
+        return {
+          id: a.order_id,
+          when: formatSlot(a.starts_at, lang),
+          what: t(
+            a.kind === APPOINTMENT_KINDS.WORK
+              ? "notify.kindWork"
+              : "notify.kindVisit",
+          ),
+          address: a.address || t("notify.addressPending"),
+          client: a.client_name || t("notify.reminderClient"),
+          phone: a.client_phone || t("notify.reminderNoPhone"),
+        };
+      };
+      const recipients = [];
+
+      if (a.client_id) {
+        recipients.push([
+          a.client_id,
+          I18nService.t(
+            a.client_language,
+            "notify.clientReminder",
+            reminder(a.client_language),
+          ),
+        ]);
+      }
+      if (a.brigadier_id) {
+        recipients.push([
+          a.brigadier_id,
+          I18nService.t(
+            a.brigadier_language,
+            "notify.brigadeReminder",
+            reminder(a.brigadier_language),
+          ),
+        ]);
+      }
+
+      for (const [chatId, html] of recipients) {
+        await messageSender(chatId, html).catch((error) =>
+          console.warn(
+            `[SchedulingService] Reminder to ${chatId} failed:`,
+            error.message,
+          ),
+        );
+      }
+      await db.markAppointmentReminderSent(a.id);
+    }
+    return due.length;
+  },
+
+  startReminders() {
+    if (reminderTimer) return;
+    const tick = () =>
+      this.sendDueReminders().catch((error) =>
+        console.error("[SchedulingService] Reminder tick failed:", error),
+      );
+    reminderTimer = setInterval(tick, REMINDER_INTERVAL_MS);
+    reminderTimer.unref();
+    tick();
+  },
+
+  stopReminders() {
+    clearInterval(reminderTimer);
+    reminderTimer = null;
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * @file src/services/SessionService.js
+ * @description Активные сеансы сотрудника: веб-сессии Web CRM (user_sessions,
+ * connect-pg-simple) и устройства с Bearer-токенами (api_devices).
+ * Сотрудник видит свои сеансы (устройство, IP, последняя активность) и
+ * завершает любой из них. Владелец завершает все сеансы сотрудника
+ * («выйти везде», право users.sessions) из CRM или из бота. Смена роли
+ * завершает сеансы сразу — новые права действуют с повторного входа.
+ *
+ * @module SessionService
+ */
+
+import * as db from "../database/index.js";
+import { PermissionService, OWNER_ROLE } from "./PermissionService.js";
+
+// Веб-сеанс: md5 от sid (32 hex), устройство API: числовой id
+const WEB_SESSION_ID = /^[a-f0-9]{32}$/;
+const DEVICE_ID = /^\d+$/;
+
+/**
+ * Ошибка управления сеансами с HTTP-статусом и кодом для CRM.
+ */
+export class SessionError extends Error {
+  constructor(message, { status = 400, code = "SESSION_INVALID" } = {}) {
+    super(message);
+    this.name = "SessionError";
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const sessionNotFound = () =>
+  new SessionError("Сеанс не найден или уже завершен", {
+    status: 404,
+    code: "SESSION_NOT_FOUND",
+  });
+
+// Метаданные веб-сессии пишет app.js при входе и при активности (client, lastSeenAt)
+const describeWebSession = (row, currentSid) => ({
+  id: row.id,
+  type: "web",
+  device: row.sess.client?.userAgent || null,
+  ip: row.sess.client?.ip || null,
+  createdAt: row.sess.loginTime || null,
+  lastSeenAt: row.sess.lastSeenAt || row.sess.loginTime || null,
+  expiresAt: row.expire,
+  current: row.sid === currentSid,
+});
+
+const describeDevice = (device, currentDeviceId) => ({
+  id: String(device.id),
+  type: "api",
+  device: device.device_name || device.user_agent || null,
+  ip: device.ip,
+  createdAt: device.created_at,
+  lastSeenAt: device.last_used_at,
+  expiresAt: device.refresh_expires_at,
+  current: String(device.id) === currentDeviceId,
+});
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const SessionService = {
+  /**
+   * Сеансы сотрудника, последние активные — первыми.
+   * @param {number|string} userId
+   * @param {Object} current - { sid, deviceId } текущего запроса (пометка current)
+   */
+  async listForUser(userId, { sid = null, deviceId = null } = {}) {
+    const [webSessions, devices] = await Promise.all([
+      db.getUserWebSessions(userId),
+      db.getUserApiDevices(userId),
+    ]);
+    return [
+      ...webSessions.map((row) => describeWebSession(row, sid)),
+      ...devices.map((device) => describeDevice(device, deviceId)),
+    ].sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+  },
+
+  /**
+   * Завершение одного своего сеанса (веб-сессии или устройства API).
+   * @throws {SessionError} 404 SESSION_NOT_FOUND
+   */
+  async endSession(userId, sessionId) {
+    const id = String(sessionId || "");
+    let ended = false;
+    if (WEB_SESSION_ID.test(id))
+      ended = await db.deleteUserWebSession(userId, id);
+    else if (DEVICE_ID.test(id)) ended = await db.revokeApiDevice(id, userId);
+    if (!ended) throw sessionNotFound();
+    return true;
+  },
+
+  /**
+   * Все сеансы сотрудника: веб-сессии удаляются, устройства отзываются.
+   * @returns {Promise<{sessions: number, devices: number}>}
+   */
+  async endAllForUser(userId) {
+    const [sessions, devices] = await Promise.all([
+      db.deleteUserWebSessions(userId),
+      db.revokeUserApiDevices(userId),
+    ]);
+    if (sessions + devices > 0)
+      console.log(
+        `🚪 [SessionService] Сеансы сотрудника ${userId} завершены: веб ${sessions}, устройств ${devices}.`,
+      );
+    return { sessions, devices };
+  },
+
+  /**
+   * «Выйти везде» для сотрудника по решению Владельца (CRM и бот).
+   * Сеансы Владельца может завершить только Владелец.
+   * @param {number|string} targetId
+   * @param {string} actorRole - роль инициатора
+   */
+  async logoutEverywhere(targetId, actorRole) {
+    if (!(await PermissionService.can(actorRole, "users.sessions")))
+      throw new SessionError("Недостаточно прав для завершения сеансов.", {
+        status: 403,
+        code: "PERMISSION_DENIED",
+      });
+    const target = await db.findUserById(targetId);
+    if (!target)
+      throw new SessionError("Пользователь не найден в базе данных.", {
+        status: 404,
+        code: "USER_NOT_FOUND",
+      });
+    if (target.role === OWNER_ROLE && actorRole !== OWNER_ROLE)
+      throw new SessionError("Сеансы Владельца завершает только он сам.", {
+        status: 403,
+        code: "PERMISSION_DENIED",
+      });
+    return this.endAllForUser(target.telegram_id);
+  },
+};
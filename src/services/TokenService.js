@@ -0,0 +1,234 @@
+/**
+ * @file src/services/TokenService.js
+ * @description Bearer-токены API для мобильного приложения и интеграций.
+ * После проверки OTP устройство получает короткоживущий access-токен
+ * (HS256 JWT на config.server.jwtSecret) и refresh-токен. Refresh-токен
+ * хранится только как SHA-256 в api_devices и заменяется при каждом
+ * обновлении; повторное предъявление токена, который устройство уже получало
+ * и заменило (previous_refresh_hashes), считается утечкой и отзывает устройство. Access-токен проверяется вместе с записью
+ * устройства, поэтому отзыв устройства действует сразу, а роль сотрудника
+ * читается из users на каждый запрос.
+ *
+ * @module TokenService
+ */
+
+import crypto from "crypto";
+import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { AuthService, AuthError, AUTH_EVENTS } from "./AuthService.js";
+import { PermissionService } from "./PermissionService.js";
+
+const TOKEN_TYPE = "Bearer";
+const REFRESH_SECRET_BYTES = 32;
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+const encodeSegment = (data) =>
+  Buffer.from(JSON.stringify(data)).toString("base64url");
+
+const JWT_HEADER = encodeSegment({ alg: "HS256", typ: "JWT" });
+
+const sign = (data) =>
+  crypto
+    .createHmac("sha256", config.server.jwtSecret)
+    .update(data)
+    .digest("base64url");
+
+const hashRefreshToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const invalidToken = () =>
+  new AuthError("Недействительный токен", { code: "TOKEN_INVALID" });
+
+const revokedToken = () =>
+  new AuthError("Доступ устройства отозван. Войдите заново.", {
+    code: "TOKEN_REVOKED",
+  });
+
+const refreshExpiry = () =>
+  new Date(Date.now() + config.auth.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Access-токен устройства: sub — сотрудник, did — устройство (api_devices.id).
+ */
+const signAccessToken = (userId, deviceId) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = encodeSegment({
+    sub: String(userId),
+    did: String(deviceId),
+    typ: "access",
+    iat: now,
+    exp: now + config.auth.accessTokenMinutes * 60,
+  });
+  const body = `${JWT_HEADER}.${payload}`;
+  return `${body}.${sign(body)}`;
+};
+
+const verifyAccessToken = (token) => {
+  const [header, payload, signature] = String(token || "").split(".");
+  if (header !== JWT_HEADER || !payload || !signature) throw invalidToken();
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  )
+    throw invalidToken();
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw invalidToken();
+  }
+  if (claims.typ !== "access" || !claims.sub || !claims.did)
+    throw invalidToken();
+  if (!(claims.exp * 1000 > Date.now()))
+    throw new AuthError("Срок действия токена истек", {
+      code: "TOKEN_EXPIRED",
+    });
+  return claims;
+};
+
+// Refresh-токен "<id устройства>.<секрет>": id — для поиска, секрет — для хэша
+const parseRefreshToken = (token) => {
+  const [deviceId, secret] = String(token || "").split(".");
+  if (!/^\d+$/.test(deviceId || "") || !secret) throw invalidToken();
+  return { deviceId, secret };
+};
+
+const newRefreshSecret = () =>
+  crypto.randomBytes(REFRESH_SECRET_BYTES).toString("base64url");
+
+/**
+ * Ответ клиенту: пара токенов и срок жизни access-токена в секундах.
+ */
+const buildTokenPair = (device, refreshSecret) => ({
+  tokenType: TOKEN_TYPE,
+  accessToken: signAccessToken(device.user_id, device.id),
+  expiresIn: config.auth.accessTokenMinutes * 60,
+  refreshToken: `${device.id}.${refreshSecret}`,
+  refreshExpiresAt: device.refresh_expires_at,
+  deviceId: String(device.id),
+});
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const TokenService = {
+  /**
+   * Вход устройства по OTP из Telegram (код запрашивается через /api/auth/otp/request).
+   * @param {Object} params - { phone, otp, deviceName }
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} Пара токенов и пользователь (buildSessionUser).
+   */
+  async issueForOtp({ phone, otp, deviceName } = {}, meta = {}) {
+    const user = await AuthService.verifyOtp(phone, otp, {
+      ...meta,
+      channel: "api",
+    });
+
+    const refreshSecret = newRefreshSecret();
+    const device = await db.createApiDevice({
+      userId: user.id,
+      deviceName:
+        String(deviceName || "")
+          .trim()
+          .slice(0, MAX_DEVICE_NAME_LENGTH) || null,
+      refreshTokenHash: hashRefreshToken(refreshSecret),
+      refreshExpiresAt: refreshExpiry(),
+      ip: meta.ip,
+      userAgent: meta.userAgent,
+    });
+    return {
+      ...buildTokenPair(device, refreshSecret),
+      user: { ...user, deviceId: String(device.id) },
+    };
+  },
+
+  /**
+   * Новая пара токенов по refresh-токену (старый refresh-токен больше не действует).
+   * @throws {AuthError} 401 TOKEN_INVALID / TOKEN_REVOKED, 403 ROLE_FORBIDDEN
+   */
+  async refresh(refreshToken, meta = {}) {
+    const { deviceId, secret } = parseRefreshToken(refreshToken);
+    const currentHash = hashRefreshToken(secret);
+    const nextSecret = newRefreshSecret();
+
+    const device = await db.rotateApiDeviceRefreshToken({
+      deviceId,
+      currentHash,
+      nextHash: hashRefreshToken(nextSecret),
+      refreshExpiresAt: refreshExpiry(),
+      ip: meta.ip,
+      userAgent: meta.userAgent,
+    });
+
+    if (!device) {
+      // Повтор токена, который устройство уже получало и заменило, — его могли
+      // украсть. Чужой или подобранный секрет — просто 401, устройство не трогаем.
+      if (await db.isReplacedApiRefreshToken(deviceId, currentHash)) {
+        const known = await db.getApiDevice(deviceId);
+        await db.revokeApiDevice(deviceId);
+        await AuthService.recordEvent(AUTH_EVENTS.TOKEN_REUSED, {
+          userId: known.user_id,
+          meta: { ...meta, channel: "api" },
+          details: { deviceId: String(deviceId) },
+        });
+        throw revokedToken();
+      }
+      throw invalidToken();
+    }
+
+    const active = await db.getActiveApiDevice(device.id);
+    if (!active || !(await PermissionService.can(active.role, "crm.access"))) {
+      await db.revokeApiDevice(device.id);
+      throw new AuthError("Доступ к API запрещен для вашей роли.", {
+        status: 403,
+        code: "ROLE_FORBIDDEN",
+      });
+    }
+    return buildTokenPair(device, nextSecret);
+  },
+
+  /**
+   * Сотрудник по access-токену — тот же вид, что и пользователь сессии Web CRM,
+   * плюс deviceId. Роль берется из users, а не из токена.
+   * @throws {AuthError} 401 TOKEN_INVALID / TOKEN_EXPIRED / TOKEN_REVOKED
+   */
+  async authenticate(accessToken) {
+    const claims = verifyAccessToken(accessToken);
+    const device = await db.getActiveApiDevice(claims.did);
+    if (!device || String(device.user_id) !== claims.sub) throw revokedToken();
+
+    return {
+      ...AuthService.buildSessionUser(device, {
+        hasPassword: device.has_password,
+      }),
+      deviceId: String(device.id),
+    };
+  },
+
+  /**
+   * Устройства сотрудника с действующим доступом к API.
+   */
+  async listDevices(userId) {
+    return db.getUserApiDevices(userId);
+  },
+
+  /**
+   * Отзыв устройства самим сотрудником (выход из приложения, потерянный телефон).
+   */
+  async revokeDevice(userId, deviceId) {
+    const revoked =
+      /^\d+$/.test(String(deviceId)) &&
+      (await db.revokeApiDevice(deviceId, userId));
+    if (!revoked)
+      throw new AuthError("Устройство не найдено", {
+        status: 404,
+        code: "DEVICE_NOT_FOUND",
+      });
+    return true;
+  },
+};
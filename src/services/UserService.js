@@ -5,26 +5,47 @@
  * и генерацию динамических OTP-паролей для Web CRM.
  * Оптимизирован под использование как из Telegram-бота, так и из Web CRM.
  * ДОБАВЛЕНО: Трекинг последней активности (last_active) для метрик Retention.
+ * ДОБАВЛЕНО: Язык интерфейса пользователя (users.language_code) для бота и Web CRM.
+ * ДОБАВЛЕНО: Аудитория рассылки по фильтрам сегмента (getUsersForBroadcast).
+ * ДОБАВЛЕНО: OTP хранится как HMAC, срок из config.server.otpExpiresIn, лимит попыток на код.
+ * ДОБАВЛЕНО: Роли проверяются по таблице roles, права — через PermissionService.
+ * ДОБАВЛЕНО: Смена роли завершает веб-сессии и отзывает устройства API (SessionService).
  * НИКАКИХ УДАЛЕНИЙ: Весь оригинальный код и логика сохранены на 100%.
  *
  * @module UserService
  * @version 10.9.16 (Enterprise ERP Edition - Activity Tracking)
  */
 
+import crypto from "crypto";
 import * as db from "../database/index.js";
+import { config } from "../config.js";
+import { I18nService } from "./I18nService.js";
+import { normalizeSegmentFilters } from "./BroadcastService.js";
+import { PermissionService } from "./PermissionService.js";
+import { SessionService } from "./SessionService.js";
 
 // =============================================================================
 // 🔒 ROLES DEFINITION (RBAC)
 // =============================================================================
 
+// Системные роли; права ролей и пользовательские роли — в таблице roles (PermissionService)
 export const ROLES = Object.freeze({
-  OWNER: "owner",     // Владелец бизнеса (Super Admin)
-  ADMIN: "admin",     // Администратор (Доступ к CRM)
-  MANAGER: "manager", // Бригадир / Инженер (Работает с заказами)
-  USER: "user",       // Клиент бота
-  BANNED: "banned",   // Заблокирован
+  OWNER: "owner",           // Владелец бизнеса (Super Admin)
+  ADMIN: "admin",           // Администратор (Доступ к CRM)
+  MANAGER: "manager",       // Бригадир / Инженер (Работает с заказами)
+  ACCOUNTANT: "accountant", // Бухгалтер (Касса, оплаты, отчеты)
+  DISPATCHER: "dispatcher", // Диспетчер (Прием заявок, назначение бригад)
+  USER: "user",             // Клиент бота
+  BANNED: "banned",         // Заблокирован
 });
 
+// HMAC кода с привязкой к пользователю: дамп БД не раскрывает действующие коды
+const hashOtp = (telegramId, otp) =>
+  crypto
+    .createHmac("sha256", config.server.sessionSecret)
+    .update(`${telegramId}:${otp}`)
+    .digest("hex");
+
 // =============================================================================
 // 🧠 BUSINESS LOGIC IMPLEMENTATION
 // =============================================================================
@@ -66,23 +87,63 @@ export const UserService = {
    * @returns {Promise<Object>} Обновленная запись пользователя
    */
   async registerOrUpdateUser(telegramUser) {
-    const { id, first_name, username } = telegramUser;
+    const { id, first_name, username, language_code } = telegramUser;
 
+    // Язык из Telegram фиксируется один раз, дальше его меняет сам пользователь
     const sql = `
-      INSERT INTO users (telegram_id, first_name, username, last_active, updated_at)
-      VALUES ($1, $2, $3, NOW(), NOW())
+      INSERT INTO users (telegram_id, first_name, username, language_code, last_active, updated_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
       ON CONFLICT (telegram_id) DO UPDATE SET
         first_name = EXCLUDED.first_name,
         username = EXCLUDED.username,
+        language_code = COALESCE(users.language_code, EXCLUDED.language_code),
         last_active = NOW(),
         updated_at = NOW()
       RETURNING *
     `;
 
-    const res = await db.query(sql, [id, first_name, username || null]);
+    const res = await db.query(sql, [
+      id,
+      first_name,
+      username || null,
+      I18nService.normalizeLanguage(language_code),
+    ]);
     return res.rows[0];
   },
 
+  /**
+   * 🌐 Язык интерфейса пользователя.
+   * @param {number|string} telegramId
+   * @param {string} [fallback] - Код языка, если пользователя нет в БД (например, ctx.from.language_code).
+   * @returns {Promise<string>} ru | kk | en
+   */
+  async getUserLanguage(telegramId, fallback) {
+    const res = await db.query(
+      "SELECT language_code FROM users WHERE telegram_id = $1 LIMIT 1",
+      [telegramId],
+    );
+    return I18nService.normalizeLanguage(
+      res.rows[0]?.language_code || fallback,
+    );
+  },
+
+  /**
+   * 🌐 Смена языка интерфейса (команда /language в боте или переключатель в Web CRM).
+   * @param {number|string} telegramId
+   * @param {string} language - ru | kk | en
+   * @returns {Promise<string>} Сохраненный код языка.
+   */
+  async setUserLanguage(telegramId, language) {
+    if (!I18nService.isSupported(language)) {
+      throw new Error(`Неподдерживаемый язык: ${language}`);
+    }
+    await db.query(
+      "UPDATE users SET language_code = $1, updated_at = NOW() WHERE telegram_id = $2",
+      [language, telegramId],
+    );
+    return language;
+  },
+
   /**
    * 🕒 Обновление только времени последней активности (для middleware).
    * @param {number|string} telegramId
@@ -123,15 +184,20 @@ export const UserService = {
     // Проверка прав инициатора (если это не системный вызов из Web API)
     if (initiatorId !== 0) {
       const initiatorRole = await this.getUserRole(initiatorId);
-      if (initiatorRole !== ROLES.OWNER && initiatorRole !== ROLES.ADMIN) {
+      if (!(await PermissionService.can(initiatorRole, "users.manage_roles"))) {
         throw new Error("Недостаточно прав для изменения ролей.");
       }
+      // Роль Владельца дает все права — назначить ее может только Владелец
+      if (newRole === ROLES.OWNER && initiatorRole !== ROLES.OWNER) {
+        throw new Error("Назначить роль Владельца может только Владелец.");
+      }
     }
 
-    if (!Object.values(ROLES).includes(newRole)) {
+    if (!(await PermissionService.roleExists(newRole))) {
       throw new Error(`Недопустимая роль системы: ${newRole}`);
     }
 
+    const previousRole = await this.getUserRole(targetId);
     const res = await db.query(
       "UPDATE users SET role = $1, updated_at = NOW() WHERE telegram_id = $2 RETURNING *",
       [newRole, targetId],
@@ -141,6 +207,9 @@ export const UserService = {
       throw new Error("Пользователь не найден в базе данных.");
     }
 
+    // Роль попадает в сессию при входе — после смены сотрудник входит заново
+    if (previousRole !== newRole) await SessionService.endAllForUser(targetId);
+
     return res.rows[0];
   },
 
@@ -160,19 +229,16 @@ export const UserService = {
 
   /**
    * 🎯 Получение списка пользователей для массовой рассылки.
-   * @param {string} roleFilter - 'all', 'user', 'manager', 'admin'
+   * @param {string|Object} filters - роль ('all', 'user', 'manager', 'admin')
+   * или фильтры сегмента (см. BroadcastService.normalizeSegmentFilters).
+   * Оффлайн-клиенты и заблокировавшие бота исключаются.
    */
-  async getUsersForBroadcast(roleFilter = "all") {
-    let sql = "SELECT telegram_id FROM users WHERE telegram_id > 0"; // Исключаем виртуальных оффлайн-клиентов
-    const params = [];
-
-    if (roleFilter !== "all") {
-      sql += " AND role = $1";
-      params.push(roleFilter);
-    }
-
-    const res = await db.query(sql, params);
-    return res.rows;
+  async getUsersForBroadcast(filters = "all") {
+    const segment =
+      typeof filters === "string"
+        ? normalizeSegmentFilters({ role: filters })
+        : normalizeSegmentFilters(filters);
+    return db.getBroadcastAudience(segment);
   },
 
   /**
@@ -204,20 +270,21 @@ export const UserService = {
     if (!user) throw new Error("Пользователь не найден.");
     if (!user.phone)
       throw new Error("Для входа в CRM необходим привязанный номер телефона.");
-    if (![ROLES.OWNER, ROLES.ADMIN, ROLES.MANAGER].includes(user.role)) {
+    if (!(await PermissionService.can(user.role, "crm.access"))) {
       throw new Error("Доступ в Web CRM запрещен для вашей роли.");
     }
 
-    // Генерируем 6-значный код
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    // Генерируем 6-значный код (криптостойкий ГСЧ)
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const expiresIn = config.server.otpExpiresIn;
 
-    // Сохраняем в базу на 15 минут
-    await db.setWebPassword(telegramId, otp, 15);
+    // В базе только HMAC кода; новый код заменяет предыдущий
+    await db.setWebPassword(telegramId, hashOtp(telegramId, otp), expiresIn);
 
     // Логируем активность
     await this.trackUserActivity(telegramId);
 
-    return { otp, phone: user.phone };
+    return { otp, phone: user.phone, expiresIn, userId: user.telegram_id };
   },
 
   /**
@@ -227,15 +294,22 @@ export const UserService = {
     const user = await db.getWebAuthUser(phone);
     if (!user) return null;
 
-    if (user.web_password === otp) {
-      // Пароль верный, стираем его (одноразовость)
-      await db.clearWebPassword(user.telegram_id);
-      
+    // Погашение атомарно: код принимается один раз и только до истечения
+    const consumed = await db.consumeWebPassword(
+      user.telegram_id,
+      hashOtp(user.telegram_id, String(otp).trim())
+    );
+    if (consumed) {
       // Логируем успешный вход
-      await this.trackUserActivity(user.telegram_id);
-      
-      return user;
+      await this.trackUserActivity(consumed.telegram_id);
+      return consumed;
     }
+
+    // Неверный код: после лимита попыток код аннулируется
+    await db.recordWebPasswordFailure(
+      user.telegram_id,
+      config.auth.otpMaxCodeAttempts
+    );
     return null;
   },
 };
\ No newline at end of file
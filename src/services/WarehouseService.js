@@ -0,0 +1,298 @@
+/**
+ * @file src/services/WarehouseService.js
+ * @description Складской учет материалов (Warehouse Stock Module).
+ * Остатки по локациям (основной склад, машины бригад), журнал движений
+ * (приход, перемещение, корректировка, выдача/возврат по объекту) и
+ * уведомление Владельца в Telegram при падении остатка ниже min_stock.
+ * Выдача на объект проводится через OrderService (расход по себестоимости).
+ *
+ * @module WarehouseService
+ */
+
+import * as db from "../database/index.js";
+import { OrderService } from "./OrderService.js";
+
+export const STOCK_MOVEMENT_KINDS = Object.freeze({
+  RECEIPT: "receipt",
+  ISSUE: "issue",
+  RETURN: "return",
+  TRANSFER: "transfer",
+  ADJUSTMENT: "adjustment",
+});
+
+export const STOCK_LOCATION_TYPES = Object.freeze({
+  WAREHOUSE: "warehouse",
+  BRIGADE_VAN: "brigade_van",
+});
+
+const MAX_QTY = 1000000;
+
+// Отправитель уведомлений (внедряется из bot.js, как Socket.IO)
+let alertSender = null;
+
+const parseQty = (raw, label = "Количество") => {
+  const qty = parseFloat(raw);
+  if (isNaN(qty) || qty <= 0 || qty > MAX_QTY)
+    throw new Error(`${label} должно быть положительным числом.`);
+  return Math.round(qty * 1000) / 1000;
+};
+
+const requireMaterial = async (materialId) => {
+  const material = await db.getMaterialById(Number(materialId));
+  if (!material) throw new Error("Материал не найден в каталоге");
+  return material;
+};
+
+const requireLocation = async (locationId) => {
+  const location = await db.getStockLocationById(Number(locationId));
+  if (!location) throw new Error("Локация склада не найдена");
+  return location;
+};
+
+// =============================================================================
+// 🧠 BUSINESS LOGIC
+// =============================================================================
+
+export const WarehouseService = {
+  /**
+   * Внедрение отправителя уведомлений: (chatId, html) => Promise.
+   */
+  setAlertSender(sender) {
+    alertSender = sender;
+  },
+
+  /**
+   * Локации с гарантированной "машиной" для каждой активной бригады.
+   */
+  async getLocations() {
+    const brigades = (await db.getBrigades()).filter((b) => b.is_active);
+    for (const brigade of brigades) {
+      await db.ensureBrigadeStockLocation(brigade.id);
+    }
+    return db.getStockLocations();
+  },
+
+  async getBalances({ locationId = null } = {}) {
+    return db.getStockBalances({
+      locationId: locationId ? Number(locationId) : null,
+    });
+  },
+
+  async getMovements({ materialId, orderId, locationId, limit } = {}) {
+    return db.getStockMovements({
+      materialId: materialId ? Number(materialId) : null,
+      orderId: orderId ? Number(orderId) : null,
+      locationId: locationId ? Number(locationId) : null,
+      limit: Math.min(parseInt(limit) || 100, 500),
+    });
+  },
+
+  /**
+   * Материалы ниже порога min_stock (остаток на складах, без машин бригад).
+   */
+  async getLowStock() {
+    const levels = await db.getWarehouseStockLevels();
+    return levels.filter(
+      (row) =>
+        parseFloat(row.min_stock) > 0 &&
+        parseFloat(row.qty) < parseFloat(row.min_stock),
+    );
+  },
+
+  /**
+   * Приход на склад (закупка). unitCost по умолчанию — закупочная цена каталога.
+   */
+  async receive(
+    { materialId, locationId, qty, unitCost, comment },
+    actor = {},
+  ) {
+    const material = await requireMaterial(materialId);
+    const location = await requireLocation(locationId);
+    const cost = parseFloat(unitCost);
+    return db.insertStockMovement({
+      materialId: material.id,
+      kind: STOCK_MOVEMENT_KINDS.RECEIPT,
+      locationTo: location.id,
+      qty: parseQty(qty),
+      unitCost: isNaN(cost) || cost < 0 ? material.purchase_price : cost,
+      userId: actor.id || null,
+      comment: comment || null,
+    });
+  },
+
+  /**
+   * Перемещение между локациями (склад -> машина бригады и обратно).
+   */
+  async transfer({ materialId, fromId, toId, qty, comment }, actor = {}) {
+    const material = await requireMaterial(materialId);
+    const from = await requireLocation(fromId);
+    const to = await requireLocation(toId);
+    if (from.id === to.id)
+      throw new Error("Локации отправления и назначения совпадают.");
+
+    const amount = parseQty(qty);
+    const movement = await db.insertStockMovement({
+      materialId: material.id,
+      kind: STOCK_MOVEMENT_KINDS.TRANSFER,
+      locationFrom: from.id,
+      locationTo: to.id,
+      qty: amount,
+      unitCost: material.purchase_price,
+      userId: actor.id || null,
+      comment: comment || null,
+    });
+    await this.checkLowStock(material.id, from, amount);
+    return movement;
+  },
+
+  /**
+   * Корректировка по инвентаризации: delta > 0 — излишек, delta < 0 — списание.
+   */
+  async adjust({ materialId, locationId, delta, comment }, actor = {}) {
+    const material = await requireMaterial(materialId);
+    const location = await requireLocation(locationId);
+    const value = parseFloat(delta);
+    if (isNaN(value) || value === 0)
+      throw new Error("Укажите ненулевую корректировку остатка.");
+    if (!String(comment || "").trim())
+      throw new Error("Укажите причину корректировки.");
+
+    const amount = parseQty(Math.abs(value), "Корректировка");
+    const movement = await db.insertStockMovement({
+      materialId: material.id,
+      kind: STOCK_MOVEMENT_KINDS.ADJUSTMENT,
+      locationFrom: value < 0 ? location.id : null,
+      locationTo: value > 0 ? location.id : null,
+      qty: amount,
+      unitCost: material.purchase_price,
+      userId: actor.id || null,
+      comment: String(comment).trim(),
+    });
+    if (value < 0) await this.checkLowStock(material.id, location, amount);
+    return movement;
+  },
+
+  /**
+   * Выдача на объект: списание с локации + расход объекта по закупочной цене.
+   */
+  async issueToOrder(orderId, { materialId, locationId, qty, comment }, actor) {
+    const material = await requireMaterial(materialId);
+    const location = await requireLocation(locationId);
+    const amount = parseQty(qty);
+    const result = await OrderService.recordMaterialMovement(
+      orderId,
+      {
+        kind: STOCK_MOVEMENT_KINDS.ISSUE,
+        material,
+        locationId: location.id,
+        qty: amount,
+        comment,
+      },
+      actor,
+    );
+    await this.checkLowStock(material.id, location, amount);
+    return result;
+  },
+
+  /**
+   * Возврат неиспользованного материала с объекта (сторно расхода).
+   */
+  async returnFromOrder(
+    orderId,
+    { materialId, locationId, qty, comment },
+    actor,
+  ) {
+    const material = await requireMaterial(materialId);
+    const location = await requireLocation(locationId);
+    return OrderService.recordMaterialMovement(
+      orderId,
+      {
+        kind: STOCK_MOVEMENT_KINDS.RETURN,
+        material,
+        locationId: location.id,
+        qty: parseQty(qty),
+        comment,
+      },
+      actor,
+    );
+  },
+
+  /**
+   * Сводка по объекту: план из BOM против нетто-выдачи со склада.
+   */
+  async getOrderMaterials(orderId) {
+    const order = await OrderService.getOrderById(orderId);
+    if (!order) throw new Error("Заказ не найден");
+
+    const issues = await db.getOrderMaterialIssues(order.id);
+    const issuedById = new Map(issues.map((row) => [row.material_id, row]));
+    const catalog = new Map(
+      (
+        await db.getMaterialsBySkus(
+          (order.details?.bom || []).filter((l) => l.sku).map((l) => l.sku),
+        )
+      ).map((m) => [m.sku, m]),
+    );
+
+    const lines = (order.details?.bom || [])
+      .filter((line) => line.sku && catalog.has(line.sku))
+      .map((line) => {
+        const material = catalog.get(line.sku);
+        const issued = issuedById.get(material.id);
+        issuedById.delete(material.id);
+        return {
+          material_id: material.id,
+          sku: material.sku,
+          name: line.name || material.name,
+          unit: material.unit,
+          planned: parseFloat(line.qty) || 0,
+          issued: parseFloat(issued?.qty) || 0,
+          cost: parseFloat(issued?.cost) || 0,
+        };
+      });
+
+    // Выданное по позициям, позже удаленным из спецификации
+    for (const row of issuedById.values()) {
+      lines.push({
+        material_id: row.material_id,
+        sku: row.sku,
+        name: row.name,
+        unit: row.unit,
+        planned: 0,
+        issued: parseFloat(row.qty) || 0,
+        cost: parseFloat(row.cost) || 0,
+      });
+    }
+    return lines;
+  },
+
+  /**
+   * Уведомление Владельца, если движение опустило складской остаток ниже порога.
+   * Срабатывает один раз — в момент пересечения порога, а не на каждую выдачу.
+   */
+  async checkLowStock(materialId, location, movedQty) {
+    if (location.type !== STOCK_LOCATION_TYPES.WAREHOUSE) return;
+    try {
+      const [level] = await db.getWarehouseStockLevels([materialId]);
+      if (!level) return;
+      const min = parseFloat(level.min_stock) || 0;
+      const qty = parseFloat(level.qty) || 0;
+      if (min <= 0 || qty >= min || qty + movedQty < min) return;
+
+      const ownerId = await db.getSystemOwnerId();
+      if (!ownerId || !alertSender) return;
+      await alertSender(
+        ownerId,
+        `📉 <b>Низкий остаток на складе</b>\n\n` +
+          `📦 ${level.name} (<code>${level.sku}</code>)\n` +
+          `Остаток: <b>${qty} ${level.unit}</b> (минимум: ${min} ${level.unit})\n\n` +
+          `<i>Пора оформить закупку.</i>`,
+      );
+    } catch (error) {
+      console.error(
+        "[WarehouseService] Low stock alert failed:",
+        error.message,
+      );
+    }
+  },
+};
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { escapeHtml } from "../public/js/html.js";
+
+test("имя из Telegram с разметкой выводится как текст", () => {
+  const name = '<img src=x onerror="alert(document.cookie)">';
+  const html = escapeHtml(name);
+
+  assert.equal(
+    html,
+    "&lt;img src=x onerror=&quot;alert(document.cookie)&quot;&gt;",
+  );
+  assert.ok(!html.includes("<"));
+});
+
+test("кавычки экранируются для значений атрибутов", () => {
+  assert.equal(escapeHtml(`" onclick='x'`), "&quot; onclick=&#39;x&#39;");
+});
+
+test("пустые значения превращаются в пустую строку", () => {
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(0), "0");
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildLegacyStornoLines } from "../src/database/ledger.js";
+
+// Счета бригады и капитала пассивные: баланс = кредит − дебет
+const BRIGADE = 1;
+const EQUITY = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const applyLines = (balances, lines) => {
+  for (const line of lines) {
+    const delta = (line.credit || 0) - (line.debit || 0);
+    balances[line.accountId] = round((balances[line.accountId] || 0) + delta);
+  }
+};
+
+// Legacy-финализация меняла баланс бригады напрямую, а ввод начальных остатков
+// перенес его в журнал против капитала (как миграция в database/index.js)
+const legacyFinalizeAsOpening = (brigadeShare, netProfit) => {
+  const amt = -(brigadeShare - netProfit);
+  return [
+    { accountId: BRIGADE, debit: Math.max(amt, 0), credit: Math.max(-amt, 0) },
+    { accountId: EQUITY, debit: Math.max(-amt, 0), credit: Math.max(amt, 0) },
+  ];
+};
+
+for (const [brigadeShare, netProfit] of [
+  [30000, 75000.5],
+  [12000, 9000],
+  [5000, 5000],
+]) {
+  test(`legacy-финализация и сторно возвращают балансы (${brigadeShare} / ${netProfit})`, () => {
+    const balances = { [BRIGADE]: 0, [EQUITY]: 0 };
+    applyLines(balances, legacyFinalizeAsOpening(brigadeShare, netProfit));
+
+    const lines = buildLegacyStornoLines({
+      orderId: 7,
+      brigadeAccountId: BRIGADE,
+      equityAccountId: EQUITY,
+      brigadeShare,
+      netProfit,
+      reason: "ошибка",
+    });
+    applyLines(balances, lines);
+
+    const debit = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+    const credit = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+    assert.equal(round(debit), round(credit));
+    assert.deepEqual(
+      new Set(lines.map((line) => line.accountId)),
+      new Set([BRIGADE, EQUITY]),
+    );
+    assert.deepEqual(balances, { [BRIGADE]: 0, [EQUITY]: 0 });
+  });
+}